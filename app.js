@@ -8,12 +8,14 @@ require('dotenv').config();
 const config = require('./config');
 // 【修改】只引入 Service Container (它是新的唯一真神)
 const initializeServices = require('./services/service-container'); 
+const BaseReader = require('./data/base-reader');
 
 // ❌ 移除舊的服務載入器
 // const initializeBusinessServices = require('./services'); 
 
 // --- 引入中介軟體和路由 ---
 const { globalErrorHandler } = require('./middleware/error.middleware');
+const requestContext = require('./utils/request-context');
 const allApiRoutes = require('./routes'); 
 
 const app = express();
@@ -22,6 +24,8 @@ const app = express();
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 app.use(cors());
+// [Realtime] 記錄請求來源的前端連線ID，讓推播事件能標記 origin
+app.use(requestContext.middleware);
 
 // 靜態資源目錄
 app.use(express.static(path.join(__dirname, 'public')));
@@ -37,6 +41,13 @@ async function startServer() {
         app.set('services', services);
         console.log('✅ 所有服務已成功注入 app');
 
+        // [Snapshot] 每週管線快照排程
+        if (config.PIPELINE_SNAPSHOT.ENABLED) services.pipelineSnapshotService.startSchedule();
+        // [Automation] 閒置規則定期檢查
+        if (config.AUTOMATION.ENABLED) services.automationService.startSchedule();
+        // [Webhook] 對外 Webhook 事件傳送與 LINE 新名片輪詢
+        if (config.WEBHOOKS.ENABLED) services.webhookService.start();
+
         // 3. 設定 API 路由
         
         // 公開路由：健康檢查
@@ -70,6 +81,17 @@ async function startServer() {
             console.log(`🚀 CRM 系統已在 http://localhost:${config.PORT} 啟動`);
         });
 
+        // [Cache] 結束前移除本實例的快取同步紀錄
+        ['SIGINT', 'SIGTERM'].forEach(signal => {
+            process.once(signal, async () => {
+                services.pipelineSnapshotService.stopSchedule();
+                services.automationService.stopSchedule();
+                services.webhookService.stop();
+                await BaseReader.cacheBackend.stop().catch(() => {});
+                process.exit(0);
+            });
+        });
+
     } catch (error) {
         console.error('⚠ 系統啟動失敗:', error.message);
         // 印出 Stack Trace 以便除錯
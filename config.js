@@ -42,16 +42,39 @@ module.exports = {
     // ★★★ Phase 5 Refactoring: 資料源切換開關 (Source Toggles) ★★★
     // ============================================================
     // 決定各模組的資料來源是 'SHEET' 還是 'SQL'。
-    // 目前階段全數預設為 'SHEET'。
+    // 目前階段全數預設為 'SHEET'。由 services/service-container.js 依此選擇對應的 Reader/Writer。
+    // 註：AUTH 控制使用者名冊；SYSTEM 控制系統設定工作表 (兩者可獨立切換)。
     DATA_SOURCES: {
         CONTACT: 'SHEET',
+        COMPANY: 'SHEET',
         OPPORTUNITY: 'SHEET',
         INTERACTION: 'SHEET',
         EVENT_LOG: 'SHEET',
         SYSTEM: 'SHEET',
         PRODUCT: 'SHEET',
         AUTH: 'SHEET',
-        WEEKLY: 'SHEET'
+        WEEKLY: 'SHEET',
+        AUDIT: 'SHEET',
+        SNAPSHOT: 'SHEET',
+        QUOTE: 'SHEET',
+        TASK: 'SHEET',
+        AUTOMATION: 'SHEET',
+        WEBHOOK: 'SHEET',
+        QUOTA: 'SHEET'
+    },
+
+    // ============================================================
+    // [Cache] 快取同步後端 (多實例部署)
+    // ============================================================
+    // 資料快取仍保存在各實例記憶體中；後端只負責「失效通知」與全域最後寫入時間的同步。
+    // - memory: 單一實例 (預設)，不做任何同步
+    // - file:   多實例共用同一個目錄 (例如共用掛載磁碟)，每個實例寫入自己的失效紀錄檔
+    // - sql:    透過 Supabase 資料表 cache_invalidations 同步
+    CACHE: {
+        BACKEND: process.env.CACHE_BACKEND || 'memory',
+        SYNC_INTERVAL: parseInt(process.env.CACHE_SYNC_INTERVAL, 10) || 2000, // 輪詢其他實例失效紀錄的間隔 (ms)
+        FILE_DIR: process.env.CACHE_SYNC_DIR || '',  // 未設定時使用 os.tmpdir()/tfc-crm-cache
+        SQL_TABLE: 'cache_invalidations'
     },
 
     // --- 保留舊有設定以供尚未重構的模組讀取 (Legacy Support) ---
@@ -90,7 +113,30 @@ module.exports = {
         ANNOUNCEMENTS: '佈告欄',
 
         // 市場商品資料
-        MARKET_PRODUCTS: '市場商品資料'
+        MARKET_PRODUCTS: '市場商品資料',
+
+        // 欄位層級稽核紀錄 (需手動建立工作表與標題列，見 AUDIT_LOG_FIELDS)
+        AUDIT_LOG: '稽核紀錄',
+
+        // 銷售管線每週快照 (需手動建立工作表與標題列，見 PIPELINE_SNAPSHOT_FIELDS)
+        PIPELINE_SNAPSHOTS: '機會快照',
+
+        // 報價單 (需手動建立工作表與標題列，見 QUOTE_FIELDS)
+        QUOTES: '報價單',
+
+        // 待辦任務 (需手動建立工作表與標題列，見 TASK_FIELDS)
+        TASKS: '待辦任務',
+
+        // 自動化規則與執行紀錄 (需手動建立工作表與標題列，見 AUTOMATION_RULE_FIELDS / AUTOMATION_LOG_FIELDS)
+        AUTOMATION_RULES: '自動化規則',
+        AUTOMATION_LOGS: '自動化執行紀錄',
+
+        // 對外 Webhook 訂閱與傳送紀錄 (需手動建立工作表與標題列，見 WEBHOOK_SUBSCRIPTION_FIELDS / WEBHOOK_DELIVERY_FIELDS)
+        WEBHOOK_SUBSCRIPTIONS: 'Webhook訂閱',
+        WEBHOOK_DELIVERIES: 'Webhook傳送紀錄',
+
+        // 業績目標 (需手動建立工作表與標題列，見 SALES_QUOTA_FIELDS)
+        SALES_QUOTAS: '業績目標'
     },
 
     // 重構：機會案件 - 標準標題名稱定義
@@ -120,7 +166,11 @@ module.exports = {
         CREATED_TIME: '建立時間',
         LAST_UPDATE_TIME: '最後更新時間',
         LAST_MODIFIER: '最後變更者',
-        PARENT_ID: '母機會ID'           
+        PARENT_ID: '母機會ID',
+        // [Soft Delete] 需在工作表加上這三個標題 (未加時回收桶改以最後更新時間/最後變更者顯示，還原回到「進行中」)
+        DELETED_TIME: '刪除時間',
+        DELETED_BY: '刪除者',
+        PREVIOUS_STATUS: '刪除前狀態'
     },
     
     // --- 事件紀錄欄位結構 ---
@@ -174,12 +224,67 @@ module.exports = {
         '建立者', '最後變更者'
     ],
     
+    // 稽核紀錄欄位
+    AUDIT_LOG_FIELDS: [
+        '紀錄ID', '時間', '實體', '實體ID', '動作', '欄位', '舊值', '新值', '使用者'
+    ],
+
+    // 機會快照欄位 (每筆快照 = 多列，每列一個進行中的機會；業績預測快照也存於此，快照類型為 forecast)
+    PIPELINE_SNAPSHOT_FIELDS: [
+        '快照ID', '快照時間', '週次', '快照類型', '機會ID', '機會名稱', '終端客戶',
+        '負責業務', '目前階段', '機會價值', '下單機率', '機率', '預計結案日', '建立者'
+    ],
+
+    // 報價單欄位 (每個版次一列，明細以 JSON 存於「明細」欄)
+    QUOTE_FIELDS: [
+        '報價ID', '報價單號', '機會ID', '版次', '狀態', '價格級別', '明細', '小計',
+        '稅率', '稅額', '總計', '有效期限', '備註', '建立者', '建立時間', '最後更新時間', '最後變更者'
+    ],
+
+    // 待辦任務欄位 (關聯類型：opportunity / company / contact)
+    TASK_FIELDS: [
+        '任務ID', '標題', '說明', '負責人', '到期日', '優先度', '狀態', '重複週期', '關聯類型', '關聯ID',
+        '關聯名稱', '來源互動ID', '完成時間', '建立者', '建立時間', '最後更新時間', '最後變更者'
+    ],
+
+    // 自動化規則欄位 (觸發參數 / 條件 / 動作以 JSON 存放)
+    AUTOMATION_RULE_FIELDS: [
+        '規則ID', '名稱', '啟用', '實體', '觸發', '觸發參數', '條件', '動作',
+        '建立者', '建立時間', '最後更新時間', '最後變更者'
+    ],
+
+    // 自動化執行紀錄欄位 (只追加)
+    AUTOMATION_LOG_FIELDS: [
+        '紀錄ID', '規則ID', '規則名稱', '觸發', '實體', '實體ID', '結果', '明細', '執行時間'
+    ],
+
+    // Webhook 訂閱欄位 (事件以 JSON 陣列存放)
+    WEBHOOK_SUBSCRIPTION_FIELDS: [
+        '訂閱ID', '名稱', '網址', '簽章密鑰', '事件', '啟用',
+        '建立者', '建立時間', '最後更新時間', '最後變更者'
+    ],
+
+    // Webhook 傳送紀錄欄位 (只追加；重新傳送會新增一列並記錄原傳送ID)
+    WEBHOOK_DELIVERY_FIELDS: [
+        '傳送ID', '訂閱ID', '事件', '實體ID', '內容', '結果', '嘗試次數', 'HTTP狀態', '錯誤訊息', '傳送時間', '重送來源'
+    ],
+
+    // 業績目標欄位 (每個負責業務 + 期別 + 分類一列；期別類型：month / quarter)
+    SALES_QUOTA_FIELDS: [
+        '目標ID', '負責業務', '期別類型', '期別', '分類', '金額', '最後更新時間', '最後變更者'
+    ],
+
     // 公司總表欄位
     COMPANY_LIST_FIELDS: [
         '公司ID', '公司名稱', '公司電話', '地址', '建立時間', '最後更新時間',
         '縣市', '建立者', '最後變更者', '公司簡介',
-        '公司類型', '客戶階段', '互動評級'
+        '公司類型', '客戶階段', '互動評級',
+        '刪除時間', '刪除者'
     ],
+
+    // [Soft Delete] 軟刪除標記欄位：公司總表 (N:O) 與各事件紀錄表 (接在該表既有欄位之後)
+    // 「刪除時間」有值即視為已刪除，Reader 預設濾除；清空即還原。
+    SOFT_DELETE_FIELDS: ['刪除時間', '刪除者'],
     
     // 日曆整合工作表欄位
     CALENDAR_SYNC_FIELDS: [
@@ -229,12 +334,285 @@ module.exports = {
         PRODUCTS_PER_PAGE: 50
     },
     
-    // Follow-up 設定
+    // Follow-up 設定 (追蹤範圍為銷售流程中的進行中階段，見 PIPELINE)
     FOLLOW_UP: {
-        DAYS_THRESHOLD: 7,
-        ACTIVE_STAGES: ['01_初步接觸', '02_需求確認', '03_提案報價', '04_談判修正']
+        DAYS_THRESHOLD: 7
+    },
+
+    // ============================================================
+    // [Pipeline] 銷售流程 (由 services/pipeline-service.js 載入)
+    // ============================================================
+    // 正式定義存於「系統設定」工作表的「機會階段」列：
+    //   設定項目 = 階段值、顯示順序 = 流程順序、備註 = 顯示名稱、
+    //   分類 = 結果 (成交 / 失敗，其餘為進行中)、值2 = 預設機率 (%)、
+    //   值3 = 進入此階段前必填的欄位 (以逗號分隔，可填 DTO 欄位或中文名稱)。
+    // 工作表未填的欄位依下列 DEFAULT_STAGES (以階段值比對) 補齊；工作表完全沒有機會階段時整組使用。
+    PIPELINE: {
+        DEFAULT_STAGES: [
+            { value: '01_初步接觸', label: '初步接觸', probability: 10 },
+            { value: '02_需求確認', label: '需求確認', probability: 25 },
+            { value: '03_提案報價', label: '提案報價', probability: 50, requiredFields: ['opportunityValue', 'expectedCloseDate'] },
+            { value: '04_談判修正', label: '談判修正', probability: 75 },
+            { value: '受注', label: '受注', outcome: 'won', probability: 100 },
+            { value: '失注', label: '失注', outcome: 'lost', probability: 0 }
+        ],
+        // 舊版結案流程寫入的階段值 (不再寫入，僅供統計時辨識歷史資料)
+        LEGACY_OUTCOMES: {
+            '已成交': 'won',
+            '已結案(失敗)': 'lost'
+        }
+    },
+
+    // ============================================================
+    // [Forecast] 業績預測 (SalesAnalysisService.getForecastData)
+    // ============================================================
+    // 機率取自「下單機率」設定 (值2 填百分比，未填時解析名稱中的 %)，沒有下單機率時使用銷售流程的階段預設機率。
+    // 承諾 (Commit)：機率 >= COMMIT_PROBABILITY；最佳情況 (Best Case)：機率 >= BEST_CASE_PROBABILITY (含承諾)。
+    FORECAST: {
+        COMMIT_PROBABILITY: 75,
+        BEST_CASE_PROBABILITY: 25,
+        PERIODS: { month: 6, quarter: 4 }   // 由本期起算的預測期數 (預測快照存於機會快照，見 PIPELINE_SNAPSHOT_FIELDS)
+    },
+
+    // ============================================================
+    // [Snapshot] 銷售管線每週快照 (services/pipeline-snapshot-service.js)
+    // ============================================================
+    // 每週於 WEEKDAY (1 = 週一) 的 HOUR 點之後自動建立一次快照 (以週次判斷是否已建立；快照ID 由週次產生，多實例同時建立也只有一份)。
+    PIPELINE_SNAPSHOT: {
+        ENABLED: process.env.PIPELINE_SNAPSHOT_ENABLED !== 'false',
+        WEEKDAY: 1,
+        HOUR: 6,
+        CHECK_INTERVAL: 60 * 60 * 1000       // 檢查是否到期的間隔 (ms)
+    },
+    
+    // ============================================================
+    // [Quote] 報價單 (services/quote-service.js)
+    // ============================================================
+    // 單價預設取自市場商品資料中該價格級別的欄位；未指定級別時依機會的銷售模式判斷 (比對 SALES_MODEL_TIERS 的關鍵字)。
+    // 接受報價後，以未稅小計寫回機會價值 (機會價值類型改為手動)。
+    QUOTE: {
+        PRICE_TIERS: {
+            MTB: { label: 'MTB價格', field: 'priceMtb' },
+            SI: { label: 'SI價格', field: 'priceSi' },
+            MTU: { label: 'MTU售價', field: 'priceMtu' }
+        },
+        DEFAULT_TIER: 'MTU',
+        SALES_MODEL_TIERS: {
+            MTB: ['MTB', '工具機'],
+            SI: ['SI', '系統整合']
+        },
+        STATUS: {
+            DRAFT: '草稿',
+            SENT: '已送出',
+            ACCEPTED: '已接受',
+            REJECTED: '已拒絕',
+            SUPERSEDED: '已取代'
+        },
+        TAX_RATE: 5,            // 營業稅 (%)
+        VALID_DAYS: 30,         // 報價有效天數
+        COMPANY: {
+            NAME: process.env.QUOTE_COMPANY_NAME || 'TFC',
+            ADDRESS: process.env.QUOTE_COMPANY_ADDRESS || '',
+            PHONE: process.env.QUOTE_COMPANY_PHONE || ''
+        }
     },
     
+    // ============================================================
+    // [Task] 待辦任務 (services/task-service.js)
+    // ============================================================
+    // 負責人為團隊成員的設定值 (與機會的負責業務相同)。週期性任務完成時，依重複週期自動建立下一次的任務。
+    // 到期日在 DUE_SOON_DAYS 天內的未完成任務於「我的任務」中提醒；互動的「下次行動」轉為任務時，預設 FROM_INTERACTION_DUE_DAYS 天後到期。
+    TASK: {
+        STATUS: {
+            OPEN: '待辦',
+            IN_PROGRESS: '進行中',
+            DONE: '已完成',
+            CANCELLED: '已取消'
+        },
+        PRIORITIES: ['高', '中', '低'],
+        DEFAULT_PRIORITY: '中',
+        RECURRENCE: {
+            none: '不重複',
+            daily: '每天',
+            weekly: '每週',
+            monthly: '每月'
+        },
+        LINK_TYPES: {
+            opportunity: '機會案件',
+            company: '公司',
+            contact: '聯絡人'
+        },
+        DUE_SOON_DAYS: 3,
+        FROM_INTERACTION_DUE_DAYS: 3
+    },
+
+    // ============================================================
+    // [Automation] 自動化規則 (services/automation-service.js)
+    // ============================================================
+    // 規則 = 觸發 (實體建立 / 更新 / 階段變更 / 閒置 N 天) + 條件 (全部符合) + 動作 (依序執行)。
+    // 建立 / 更新 / 階段變更於 Writer 寫入後觸發；閒置由排程每 IDLE_CHECK_INTERVAL 檢查一次，同一閒置期間只觸發一次。
+    // 動作的文字欄位可使用 {{欄位}} 帶入觸發資料 (例如 {{opportunityName}})。規則執行 (含失敗) 皆寫入執行紀錄。
+    AUTOMATION: {
+        ENABLED: process.env.AUTOMATION_ENABLED !== 'false',
+        IDLE_CHECK_INTERVAL: 6 * 60 * 60 * 1000,   // 閒置檢查間隔 (ms)
+        ENTITIES: {
+            opportunity: '機會案件',
+            company: '公司',
+            contact: '聯絡人'
+        },
+        TRIGGERS: {
+            created: '建立',
+            updated: '更新',
+            stage_changed: '階段變更',
+            idle: '閒置 N 天'
+        },
+        OPERATORS: {
+            equals: '等於',
+            not_equals: '不等於',
+            contains: '包含',
+            in: '為下列之一',
+            gt: '大於',
+            lt: '小於',
+            is_empty: '為空白',
+            not_empty: '不為空白',
+            changed: '有變更'
+        },
+        ACTIONS: {
+            create_task: '建立任務',
+            create_interaction: '新增互動紀錄',
+            post_announcement: '發布公告',
+            send_webhook: '傳送 Webhook',
+            assign_owner: '指派負責業務'
+        }
+    },
+
+    // ============================================================
+    // [Weekly Draft] 週間業務草稿 (WeeklyBusinessService.draftWeek)
+    // ============================================================
+    // 彙整一週的互動紀錄、新增事件紀錄、機會階段異動 (稽核紀錄) 與日曆行程，依日期 + 分類產生草稿供確認後建立。
+    // 分類：事件紀錄依類型；互動與階段異動依關聯機會的種類 (含 IOT_KEYWORDS 者為 IoT，與建立會議時相同)；
+    // 日曆 DX → IoT、AT → DT (同週報頁顯示)。分類不在「週間業務主題」中時改用第一個主題。
+    WEEKLY_DRAFT: {
+        EXCLUDED_INTERACTION_TYPES: ['系統事件'], // 自動產生的互動 (階段異動另由稽核紀錄列出)
+        SNIPPET_LENGTH: 80,                       // 互動內容摘錄字數
+        IOT_KEYWORDS: ['iot', '智慧', '連網'],
+        DEFAULT_CATEGORY: 'DT',
+        EVENT_TYPE_CATEGORIES: { iot: 'IoT', dt: 'DT' },
+        CALENDAR_CATEGORIES: { dx: 'IoT', at: 'DT' }
+    },
+
+    // ============================================================
+    // [Webhooks] 對外 Webhook 訂閱 (services/webhook-service.js)
+    // ============================================================
+    // 資料異動由 ChangeFeedService (Writer 寫入後) 取得；LINE 新名片由外部流程直接寫入工作表，改以 LEAD_POLL_INTERVAL 輪詢偵測。
+    // 每次傳送以訂閱的密鑰計算 HMAC-SHA256：簽章內容為 `${timestamp}.${body}`，放在 X-CRM-Signature (sha256=<hex>)。
+    // 連線失敗、逾時、HTTP 429 / 5xx 依指數退避重試 (同 BaseReader._executeWithRetry)，結果寫入傳送紀錄。
+    WEBHOOKS: {
+        ENABLED: process.env.WEBHOOKS_ENABLED !== 'false',
+        TIMEOUT: 10 * 1000,                      // 單次請求逾時 (ms)
+        MAX_RETRIES: 3,
+        RETRY_BASE_DELAY: 1000,                  // 第 N 次重試等待 RETRY_BASE_DELAY * 2^(N-1) (ms)
+        // 多實例部署時只應由一個實例輪詢 LINE 新名片，其餘設定 WEBHOOKS_LEAD_POLL=false 以免重複傳送
+        LEAD_POLL_ENABLED: process.env.WEBHOOKS_LEAD_POLL !== 'false',
+        LEAD_POLL_INTERVAL: 5 * 60 * 1000,       // LINE 新名片輪詢間隔 (ms)
+        EVENTS: {
+            'opportunity.created': '機會案件建立',
+            'opportunity.updated': '機會案件更新',
+            'opportunity.stage_changed': '機會階段變更',
+            'opportunity.deleted': '機會案件刪除',
+            'company.created': '公司建立',
+            'company.updated': '公司更新',
+            'company.deleted': '公司刪除',
+            'contact.created': '聯絡人建立',
+            'contact.updated': '聯絡人更新',
+            'contact.deleted': '聯絡人刪除',
+            'interaction.created': '互動紀錄新增',
+            'lead.created': 'LINE 新名片'
+        }
+    },
+    
+    // ============================================================
+    // [Duplicates] 重複資料偵測與合併 (services/duplicate-service.js)
+    // ============================================================
+    // 兩兩比對公司 / 正式聯絡人，依各項特徵的相似度 (0 ~ 1) 乘上權重加總為分數 (上限 100)，達 MIN_SCORE 才列為候選。
+    // 公司：名稱 (正規化後相同 / 包含 / 縮寫)、電話、Email 網域 (取自該公司聯絡人)、地址。
+    // 聯絡人：姓名、手機或電話、Email (完全相同；同網域計一半)、所屬公司。
+    // 公用信箱網域 (PUBLIC_EMAIL_DOMAINS) 不列入網域比對。
+    DUPLICATES: {
+        MIN_SCORE: 45,
+        MAX_RESULTS: 200,
+        MERGE_BATCH_SIZE: 50,   // 公司合併時每批更新的機會案件數
+        WEIGHTS: {
+            company: { name: 60, phone: 25, emailDomain: 25, address: 20 },
+            contact: { name: 40, phone: 35, email: 35, company: 20 }
+        },
+        PUBLIC_EMAIL_DOMAINS: [
+            'gmail.com', 'yahoo.com', 'yahoo.com.tw', 'hotmail.com', 'outlook.com', 'live.com',
+            'msn.com', 'icloud.com', 'hinet.net', 'ms1.hinet.net', 'seed.net.tw', 'pchome.com.tw'
+        ]
+    },
+
+    // ============================================================
+    // [Card OCR] CRM 內上傳名片 (services/card-ingestion-service.js)
+    // ============================================================
+    // 圖片存入 Drive 後以 OCR + AI 擷取欄位，寫入「原始名片資料」待業務審核。
+    // 辨識供應者 (services/card-ocr-providers)：
+    // - gemini: 透過 ExternalService 以 Gemini 辨識文字並擷取欄位 (預設)
+    // - stub:   不呼叫外部服務，回傳固定結果 (本地開發 / 測試)
+    CARD_OCR: {
+        PROVIDER: process.env.CARD_OCR_PROVIDER || 'gemini',
+        DRIVE_FOLDER_ID: process.env.CARD_DRIVE_FOLDER_ID || '', // 未設定時存於 Drive 根目錄
+        MAX_IMAGE_BYTES: 5 * 1024 * 1024,                        // 以 base64 JSON 上傳，需低於 express.json 上限
+        MIME_TYPES: ['image/jpeg', 'image/png', 'image/webp', 'image/heic'],
+        DATA_SOURCE: 'CRM上傳',
+        REVIEW_THRESHOLD: 0.7                                     // 欄位信心度低於此值標示為「需確認」
+    },
+
+    // ============================================================
+    // [Import] CSV / XLSX 批次匯入 (services/import-service.js)
+    // ============================================================
+    // 匯入於背景工作中逐筆經由各模組 Writer 寫入 (稽核 / 推播 / 自動化照常觸發)。
+    // Sheets API 寫入配額約每位使用者每分鐘 60 次，且每筆寫入後推播 / 自動化會重新讀取資料，
+    // 因此每筆之間間隔 WRITE_INTERVAL，每 BATCH_SIZE 筆再暫停 BATCH_PAUSE；資料源為 SQL 時改用 SQL_WRITE_INTERVAL。
+    IMPORT: {
+        MAX_FILE_BYTES: 5 * 1024 * 1024,
+        MAX_INFLATED_BYTES: 50 * 1024 * 1024,  // XLSX 解壓後的總大小上限 (防止 ZIP 炸彈)
+        MAX_ROWS: 2000,
+        PREVIEW_ROWS: 200,          // 預覽回傳的列數上限 (統計仍涵蓋全部資料列)
+        BATCH_SIZE: 25,
+        WRITE_INTERVAL: 1200,       // ms
+        BATCH_PAUSE: 10000,         // ms
+        SQL_WRITE_INTERVAL: 50,     // ms
+        KEEP_JOBS: 20               // 保留於記憶體中的匯入工作數 (供查詢進度與結果)
+    },
+
+    // ============================================================
+    // [Export] 列表匯出 CSV / XLSX (services/export-service.js)
+    // ============================================================
+    // 匯出沿用各列表的篩選參數與角色隱藏欄位 (PERMISSIONS.hiddenFields)。
+    // 檔案會離開系統，ADMIN_ONLY_FIELDS 中的欄位對所有非管理員角色一律移除，不論畫面上是否可見。
+    EXPORT: {
+        FORMATS: ['csv', 'xlsx'],
+        MAX_ROWS: 20000,
+        ADMIN_ONLY_FIELDS: {
+            product: ['cost', 'priceMtb', 'priceSi', 'priceMtu']
+        }
+    },
+
+    // ============================================================
+    // [Search] 全域搜尋 (services/search-service.js)
+    // ============================================================
+    // 記憶體內反向索引，依實體分區；寫入後經 ChangeFeed 標記該分區，下次搜尋時重建。
+    // 直接在 Google Sheet 上修改的資料不會產生寫入事件，因此分區最多 INDEX_TTL 後也會重建。
+    SEARCH: {
+        INDEX_TTL: 5 * 60 * 1000,
+        DEFAULT_LIMIT: 20,
+        MAX_LIMIT: 50,
+        MAX_QUERY_LENGTH: 100,
+        // 最後一個英數字詞以前綴比對 (邊打邊搜)，展開的詞數上限
+        MAX_PREFIX_EXPANSIONS: 50
+    },
+
     // Calendar 事件命名格式
     CALENDAR_EVENT: {
         TITLE_FORMAT: '[{assignee}][{stage}] {company} - {description}',
@@ -248,7 +626,8 @@ module.exports = {
             ACTIVE: '進行中',
             COMPLETED: '已完成', 
             CANCELLED: '已取消',
-            ARCHIVED: '已封存'
+            ARCHIVED: '已封存',
+            DELETED: '已刪除' // [Soft Delete] 資源回收桶，還原後回到刪除前的狀態 (OPPORTUNITY_FIELD_NAMES.PREVIOUS_STATUS)
         },
         CONTACT_STATUS: {
             UPGRADED: '已升級'
@@ -261,6 +640,51 @@ module.exports = {
         }
     },
     
+    // ============================================================
+    // [Permissions] 角色權限矩陣 (由 utils/permission-helpers.js 於 Service 層執行)
+    // ============================================================
+    // 每個角色對每個實體定義 read / write 與 hiddenFields (讀取時移除、寫入時忽略的 DTO 欄位)。
+    // '*' 為該角色的預設值，實體設定會覆蓋之；未列出的角色一律視為 DEFAULT_ROLE。
+    PERMISSIONS: {
+        DEFAULT_ROLE: 'sales',
+        ROLES: {
+            admin: {
+                '*': { read: true, write: true }
+            },
+            manager: {
+                '*': { read: true, write: true },
+                product: { read: true, write: false, hiddenFields: ['cost'] },
+                // 業績目標僅管理員可設定
+                salesQuota: { read: true, write: false },
+                // 自動化規則與 Webhook 訂閱僅管理員可檢視與設定
+                automation: { read: false, write: false },
+                webhook: { read: false, write: false }
+            },
+            sales: {
+                '*': { read: true, write: true },
+                product: { read: true, write: false, hiddenFields: ['cost', 'priceMtb', 'priceSi'] },
+                // 業務可檢視業績預測，預測快照 (週會定案) 由主管建立
+                salesAnalysis: { read: true, write: false },
+                salesQuota: { read: true, write: false },
+                automation: { read: false, write: false },
+                webhook: { read: false, write: false },
+                // 業務可檢視重複資料候選，合併由主管執行
+                dataMerge: { read: true, write: false }
+            },
+            readonly: {
+                '*': { read: true, write: false },
+                product: { read: true, write: false, hiddenFields: ['cost', 'priceMtb', 'priceSi', 'priceMtu'] },
+                opportunity: { read: true, write: false, hiddenFields: ['opportunityValue'] },
+                // 報價金額等同機會價值，唯讀角色不可檢視
+                quote: { read: false, write: false },
+                salesAnalysis: { read: false, write: false },
+                salesQuota: { read: false, write: false },
+                automation: { read: false, write: false },
+                webhook: { read: false, write: false }
+            }
+        }
+    },
+
     // 錯誤訊息
     ERROR_MESSAGES: {
         AUTH_FAILED: 'Google認證失敗，請檢查設定',
@@ -49,7 +49,7 @@ class AnnouncementController {
     // DELETE /api/announcements/:id
     deleteAnnouncement = async (req, res) => {
         try {
-            const result = await this.announcementService.deleteAnnouncement(req.params.id);
+            const result = await this.announcementService.deleteAnnouncement(req.params.id, req.user);
             res.json(result);
         } catch (error) {
             handleApiError(res, error, 'Delete Announcement');
@@ -0,0 +1,42 @@
+/**
+ * controllers/audit.controller.js
+ * 稽核紀錄控制器
+ * * @version 1.0.0
+ * @date 2026-02-03
+ * @description 提供各實體的欄位異動歷程查詢 (GET /api/audit?entity=&id=)。
+ */
+
+const { handleApiError } = require('../middleware/error.middleware');
+
+class AuditController {
+    /**
+     * @param {AuditLogService} auditLogService
+     */
+    constructor(auditLogService) {
+        this.auditLogService = auditLogService;
+    }
+
+    /**
+     * 取得異動歷程
+     * GET /api/audit?entity=opportunity&id=OPP...
+     */
+    getHistory = async (req, res) => {
+        try {
+            const { entity, id } = req.query;
+            if (!entity || !id) {
+                return res.status(400).json({ success: false, error: '缺少 entity 或 id 參數' });
+            }
+            if (!this.auditLogService.isSupportedEntity(entity)) {
+                return res.status(400).json({ success: false, error: `不支援的稽核實體: ${entity}` });
+            }
+
+            // 商品成本 / 價格等機敏欄位依角色權限由 AuditLogService 過濾
+            const data = await this.auditLogService.getHistory(entity, id, req.user);
+            res.json({ success: true, data, count: data.length });
+        } catch (error) {
+            handleApiError(res, error, 'Get Audit History');
+        }
+    };
+}
+
+module.exports = AuditController;
@@ -0,0 +1,108 @@
+/**
+ * controllers/automation.controller.js
+ * 自動化規則控制器
+ * * @version 1.0.0
+ * @date 2026-02-14
+ * @description 規則的查詢 / 建立 / 更新 / 刪除、執行紀錄，以及手動執行閒置檢查。權限 (僅管理員) 與驗證皆由 AutomationService 處理。
+ */
+
+const { handleApiError } = require('../middleware/error.middleware');
+
+class AutomationController {
+    /**
+     * @param {AutomationService} automationService
+     */
+    constructor(automationService) {
+        this.automationService = automationService;
+    }
+
+    /**
+     * 規則編輯器選項
+     * GET /api/automation/meta
+     */
+    getMeta = async (req, res) => {
+        try {
+            const data = this.automationService.getMeta(req.user);
+            res.json({ success: true, data });
+        } catch (error) {
+            handleApiError(res, error, 'Get Automation Meta');
+        }
+    };
+
+    /**
+     * GET /api/automation/rules
+     */
+    getRules = async (req, res) => {
+        try {
+            const data = await this.automationService.getRules(req.user);
+            res.json({ success: true, data, count: data.length });
+        } catch (error) {
+            handleApiError(res, error, 'Get Automation Rules');
+        }
+    };
+
+    /**
+     * POST /api/automation/rules
+     */
+    createRule = async (req, res) => {
+        try {
+            const result = await this.automationService.createRule(req.body, req.user);
+            res.json({ ...result, message: '自動化規則已建立' });
+        } catch (error) {
+            handleApiError(res, error, 'Create Automation Rule');
+        }
+    };
+
+    /**
+     * PUT /api/automation/rules/:ruleId
+     */
+    updateRule = async (req, res) => {
+        try {
+            const result = await this.automationService.updateRule(req.params.ruleId, req.body, req.user);
+            res.json({ ...result, message: '自動化規則已更新' });
+        } catch (error) {
+            handleApiError(res, error, 'Update Automation Rule');
+        }
+    };
+
+    /**
+     * DELETE /api/automation/rules/:ruleId
+     */
+    deleteRule = async (req, res) => {
+        try {
+            const result = await this.automationService.deleteRule(req.params.ruleId, req.user);
+            res.json({ ...result, message: '自動化規則已刪除' });
+        } catch (error) {
+            handleApiError(res, error, 'Delete Automation Rule');
+        }
+    };
+
+    /**
+     * 執行紀錄
+     * GET /api/automation/logs?ruleId=&limit=
+     */
+    getRunLogs = async (req, res) => {
+        try {
+            const data = await this.automationService.getRunLogs(req.query, req.user);
+            res.json({ success: true, data, count: data.length });
+        } catch (error) {
+            handleApiError(res, error, 'Get Automation Logs');
+        }
+    };
+
+    /**
+     * 立即執行閒置檢查 (不等排程)
+     * POST /api/automation/idle-check
+     */
+    runIdleCheck = async (req, res) => {
+        try {
+            this.automationService.getMeta(req.user); // 僅檢查權限
+            const count = await this.automationService.runIdleCheck();
+            res.json({ success: true, count, message: `閒置檢查完成，執行 ${count} 次` });
+        } catch (error) {
+            handleApiError(res, error, 'Run Automation Idle Check');
+        }
+    };
+}
+
+module.exports = AutomationController;
@@ -72,7 +72,7 @@ class CompanyController {
             // [Security] 針對 URL 參數進行解碼，防止 % 符號或斜線造成錯誤
             const companyName = decodeURIComponent(req.params.companyName);
             
-            const result = await this.companyService.getCompanyDetails(companyName);
+            const result = await this.companyService.getCompanyDetails(companyName, req.user);
             res.json({ success: true, data: result });
         } catch (error) {
             handleApiError(res, error, 'Get Company Details');
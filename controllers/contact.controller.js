@@ -14,11 +14,13 @@ class ContactController {
      * @param {ContactService} contactService - 核心業務服務
      * @param {WorkflowService} workflowService - 跨模組工作流服務 (用於升級、歸檔)
      * @param {ContactWriter} contactWriter - (Legacy) 部分舊邏輯可能需要的寫入器
+     * @param {CardIngestionService} cardIngestionService - 名片上傳與辨識
      */
-    constructor(contactService, workflowService, contactWriter) {
+    constructor(contactService, workflowService, contactWriter, cardIngestionService) {
         this.contactService = contactService;
         this.workflowService = workflowService;
         this.contactWriter = contactWriter;
+        this.cardIngestionService = cardIngestionService;
     }
 
     /**
@@ -73,14 +75,13 @@ class ContactController {
     };
 
     /**
-     * POST /api/contacts/:rowIndex/upgrade
+     * POST /api/contacts/:cardId/upgrade
      * 將潛在客戶升級為機會案件 (Opportunity)
      * 依賴: WorkflowService
      */
     upgradeContact = async (req, res) => {
         try {
-            const rowIndex = parseInt(req.params.rowIndex);
-            const user = req.user ? req.user.name : 'System';
+            const { cardId } = req.params;
 
             // 防呆檢查：確保 WorkflowService 已注入
             if (!this.workflowService) {
@@ -88,12 +89,12 @@ class ContactController {
                 throw new Error('系統內部錯誤: WorkflowService 未初始化');
             }
 
-            console.log(`[ContactController] Upgrading contact at row ${rowIndex} by ${user}`);
+            console.log(`[ContactController] Upgrading contact ${cardId} by ${req.user.name}`);
 
             const result = await this.workflowService.upgradeContactToOpportunity(
-                rowIndex, 
+                cardId, 
                 req.body, 
-                user
+                req.user
             );
             res.json(result);
         } catch (error) {
@@ -108,12 +109,11 @@ class ContactController {
     updateContact = async (req, res) => {
         try {
             const contactId = req.params.contactId;
-            const user = req.user ? req.user.name : 'System';
 
             const result = await this.contactService.updateContact(
                 contactId, 
                 req.body, 
-                user
+                req.user
             );
             res.json(result);
         } catch (error) {
@@ -128,17 +128,16 @@ class ContactController {
     linkCardToContact = async (req, res) => {
         try {
             const { contactId } = req.params;
-            const { businessCardRowIndex } = req.body;
-            const user = req.user ? req.user.name : 'System';
+            const { businessCardId } = req.body;
 
-            if (!businessCardRowIndex) {
-                return res.status(400).json({ success: false, error: '缺少 businessCardRowIndex 參數' });
+            if (!businessCardId) {
+                return res.status(400).json({ success: false, error: '缺少 businessCardId 參數' });
             }
             
             const result = await this.workflowService.linkBusinessCardToContact(
                 contactId, 
-                parseInt(businessCardRowIndex), 
-                user
+                businessCardId, 
+                req.user
             );
             res.json(result);
         } catch (error) {
@@ -147,23 +146,35 @@ class ContactController {
     };
 
     /**
-     * POST /api/contacts/:rowIndex/file
+     * POST /api/contacts/:cardId/file
      * 將潛在客戶歸檔 (隱藏/標記為 Dropped)
      */
     fileContact = async (req, res) => {
         try {
-            const rowIndex = parseInt(req.params.rowIndex);
-            const user = req.user ? req.user.name : 'System';
+            const { cardId } = req.params;
 
             const result = await this.workflowService.fileContact(
-                rowIndex, 
-                user
+                cardId, 
+                req.user
             );
             res.json(result);
         } catch (error) {
             handleApiError(res, error, 'File Contact');
         }
     };
+
+    /**
+     * POST /api/contacts/business-cards
+     * 上傳名片圖片，辨識後新增為待審核的潛在客戶
+     */
+    uploadBusinessCard = async (req, res) => {
+        try {
+            const result = await this.cardIngestionService.ingestCard(req.body || {}, req.user);
+            res.json({ success: true, data: result, message: '名片已辨識並加入潛在客戶' });
+        } catch (error) {
+            handleApiError(res, error, 'Upload Business Card');
+        }
+    };
 }
 
 module.exports = ContactController;
\ No newline at end of file
@@ -0,0 +1,72 @@
+/**
+ * controllers/duplicate.controller.js
+ * 重複資料偵測與合併控制器
+ * * @version 1.0.0
+ * @date 2026-02-16
+ * @description 公司 / 正式聯絡人的重複候選查詢與合併。權限與驗證皆由 DuplicateService 處理。
+ */
+
+const { handleApiError } = require('../middleware/error.middleware');
+
+class DuplicateController {
+    /**
+     * @param {DuplicateService} duplicateService
+     */
+    constructor(duplicateService) {
+        this.duplicateService = duplicateService;
+    }
+
+    /**
+     * GET /api/duplicates/companies?minScore=&limit=
+     */
+    getCompanyDuplicates = async (req, res) => {
+        try {
+            const data = await this.duplicateService.findCompanyDuplicates(req.query, req.user);
+            res.json({ success: true, data, count: data.length });
+        } catch (error) {
+            handleApiError(res, error, 'Find Company Duplicates');
+        }
+    };
+
+    /**
+     * GET /api/duplicates/contacts?minScore=&limit=
+     */
+    getContactDuplicates = async (req, res) => {
+        try {
+            const data = await this.duplicateService.findContactDuplicates(req.query, req.user);
+            res.json({ success: true, data, count: data.length });
+        } catch (error) {
+            handleApiError(res, error, 'Find Contact Duplicates');
+        }
+    };
+
+    /**
+     * POST /api/duplicates/companies/merge
+     * Body: { survivorId, duplicateId }
+     */
+    mergeCompanies = async (req, res) => {
+        try {
+            const { survivorId, duplicateId } = req.body || {};
+            const result = await this.duplicateService.mergeCompanies(survivorId, duplicateId, req.user);
+            res.json({ ...result, message: '公司已合併' });
+        } catch (error) {
+            handleApiError(res, error, 'Merge Companies');
+        }
+    };
+
+    /**
+     * POST /api/duplicates/contacts/merge
+     * Body: { survivorId, duplicateId }
+     */
+    mergeContacts = async (req, res) => {
+        try {
+            const { survivorId, duplicateId } = req.body || {};
+            const result = await this.duplicateService.mergeContacts(survivorId, duplicateId, req.user);
+            res.json({ ...result, message: '聯絡人已合併' });
+        } catch (error) {
+            handleApiError(res, error, 'Merge Contacts');
+        }
+    };
+}
+
+module.exports = DuplicateController;
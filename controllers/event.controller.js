@@ -21,11 +21,11 @@ const getServices = (req) => req.app.get('services');
 exports.createEventLog = async (req, res) => {
     try {
         const { eventLogService } = getServices(req);
-        // 將 req.user.name (操作者) 傳入 Service，確保建立者正確
+        // 將 req.user.name (操作者) 傳入 Service，確保建立者正確；角色供權限檢查
         res.json(
             await eventLogService.createEvent(
                 req.body,
-                { displayName: req.user.name }
+                { ...req.user, displayName: req.user.name }
             )
         );
 
@@ -54,7 +54,8 @@ exports.updateEventLog = async (req, res) => {
             await eventLogService.updateEventLog(
                 req.params.eventId,
                 req.body,
-                req.user.name
+                req.user.name,
+                req.user
             )
         );
     } catch (error) {
@@ -66,7 +67,7 @@ exports.updateEventLog = async (req, res) => {
 exports.deleteEventLog = async (req, res) => {
     try {
         const { eventLogService } = getServices(req);
-        res.json(await eventLogService.deleteEventLog(req.params.eventId, req.user.name));
+        res.json(await eventLogService.deleteEventLog(req.params.eventId, req.user.name, req.user));
     } catch (error) {
         handleApiError(res, error, 'Delete Event Log');
     }
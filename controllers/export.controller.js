@@ -0,0 +1,88 @@
+/**
+ * controllers/export.controller.js
+ * 列表匯出控制器
+ * * @version 1.0.0
+ * @date 2026-02-19
+ * @description 各列表的 /export 端點：查詢參數與原列表 API 相同，另以 format=csv|xlsx (預設 csv) 指定格式。
+ * 欄位權限與篩選由 ExportService 處理，檔案由 utils/spreadsheet-writer 輸出。
+ */
+
+const { handleApiError } = require('../middleware/error.middleware');
+const { sendSpreadsheet } = require('../utils/spreadsheet-writer');
+
+const formatOf = (req) => String(req.query.format || 'csv').toLowerCase();
+
+class ExportController {
+    /**
+     * @param {ExportService} exportService
+     */
+    constructor(exportService) {
+        this.exportService = exportService;
+    }
+
+    /**
+     * GET /api/opportunities/export?q=&assignee=&type=&stage=&source=&year=&sortField=&sortDirection=&format=
+     */
+    exportOpportunities = async (req, res) => {
+        try {
+            const { q, assignee, type, stage, source, year, sortField, sortDirection } = req.query;
+            const filters = { assignee, type, stage, source, year };
+            Object.keys(filters).forEach(key => (filters[key] === undefined || filters[key] === '' || filters[key] === 'all') && delete filters[key]);
+            const sortOptions = sortField ? { field: sortField, direction: sortDirection } : null;
+
+            const file = await this.exportService.exportOpportunities({ q, filters, sortOptions }, formatOf(req), req.user);
+            sendSpreadsheet(res, { ...file, format: formatOf(req) });
+        } catch (error) {
+            handleApiError(res, error, 'Export Opportunities');
+        }
+    };
+
+    /**
+     * GET /api/companies/export?q=&type=&stage=&rating=&format=
+     */
+    exportCompanies = async (req, res) => {
+        try {
+            const filters = {
+                q: req.query.q || req.query.search || '',
+                type: req.query.type,
+                stage: req.query.stage,
+                rating: req.query.rating
+            };
+            const file = await this.exportService.exportCompanies(filters, formatOf(req), req.user);
+            sendSpreadsheet(res, { ...file, format: formatOf(req) });
+        } catch (error) {
+            handleApiError(res, error, 'Export Companies');
+        }
+    };
+
+    /**
+     * GET /api/events/export?q=&type=&time=&creator=&format=
+     */
+    exportEvents = async (req, res) => {
+        try {
+            const { q, type, time, creator } = req.query;
+            const file = await this.exportService.exportEvents({ q, type, time, creator }, formatOf(req), req.user);
+            sendSpreadsheet(res, { ...file, format: formatOf(req) });
+        } catch (error) {
+            handleApiError(res, error, 'Export Events');
+        }
+    };
+
+    /**
+     * GET /api/products/export?q=&category=&status=&format=
+     */
+    exportProducts = async (req, res) => {
+        try {
+            const { q, category, status } = req.query;
+            const filters = { search: q, category, status };
+            Object.keys(filters).forEach(key => !filters[key] && delete filters[key]);
+
+            const file = await this.exportService.exportProducts(filters, formatOf(req), req.user);
+            sendSpreadsheet(res, { ...file, format: formatOf(req) });
+        } catch (error) {
+            handleApiError(res, error, 'Export Products');
+        }
+    };
+}
+
+module.exports = ExportController;
@@ -0,0 +1,57 @@
+/**
+ * controllers/import.controller.js
+ * CSV / XLSX 批次匯入控制器
+ * * @version 1.0.0
+ * @date 2026-02-18
+ * @description 預覽 (dryRun) 與啟動背景匯入工作、查詢工作進度。權限與驗證皆由 ImportService 處理。
+ */
+
+const { handleApiError } = require('../middleware/error.middleware');
+
+class ImportController {
+    /**
+     * @param {ImportService} importService
+     */
+    constructor(importService) {
+        this.importService = importService;
+    }
+
+    /**
+     * POST /api/import/:entity
+     * Body: { fileName, content (base64 / data URL), mapping?, skipDuplicates?, dryRun? }
+     * dryRun 為 true 時只回傳欄位對應與驗證預覽，否則建立背景匯入工作
+     */
+    importEntity = async (req, res) => {
+        try {
+            const { entity } = req.params;
+            const payload = req.body || {};
+
+            if (payload.dryRun) {
+                const data = await this.importService.preview(entity, payload, req.user);
+                return res.json({ success: true, data });
+            }
+
+            const job = await this.importService.startImport(entity, payload, req.user);
+            res.status(202).json({ success: true, data: job, message: `已開始匯入 ${job.total} 筆資料` });
+        } catch (error) {
+            handleApiError(res, error, 'Import Data');
+        }
+    };
+
+    /**
+     * GET /api/import/jobs/:jobId
+     */
+    getJob = async (req, res) => {
+        try {
+            const job = this.importService.getJob(req.params.jobId, req.user);
+            if (!job) {
+                return res.status(404).json({ success: false, error: '找不到匯入工作 (可能已過期或伺服器已重新啟動)' });
+            }
+            res.json({ success: true, data: job });
+        } catch (error) {
+            handleApiError(res, error, 'Get Import Job');
+        }
+    };
+}
+
+module.exports = ImportController;
@@ -59,7 +59,7 @@ class InteractionController {
     // POST /api/interactions
     createInteraction = async (req, res) => {
         try {
-            const user = req.user || {}; 
+            const user = req.user;
             const result = await this.interactionService.createInteraction(req.body, user);
             res.json(result);
         } catch (error) {
@@ -70,7 +70,7 @@ class InteractionController {
     // PUT /api/interactions/:id
     updateInteraction = async (req, res) => {
         try {
-            const user = req.user || {};
+            const user = req.user;
             const result = await this.interactionService.updateInteraction(req.params.id, req.body, user);
             res.json(result);
         } catch (error) {
@@ -81,7 +81,7 @@ class InteractionController {
     // DELETE /api/interactions/:id
     deleteInteraction = async (req, res) => {
         try {
-            const user = req.user || {};
+            const user = req.user;
             const result = await this.interactionService.deleteInteraction(req.params.id, user);
             res.json(result);
         } catch (error) {
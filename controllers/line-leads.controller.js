@@ -58,7 +58,7 @@ class LineLeadsController {
         }
     };
 
-    // PUT /api/line/leads/:rowIndex
+    // PUT /api/line/leads/:cardId
     updateLead = async (req, res) => {
         try {
             // 1. 驗證 (同上)
@@ -66,20 +66,23 @@ class LineLeadsController {
             const token = authHeader && authHeader.split(' ')[1];
             if (!token) return res.status(401).json({ success: false, message: 'Unauthorized' });
 
-            if (token !== 'TEST_LOCAL_TOKEN') {
-                const user = await this.authService.verifyLineIdToken(token);
-                if (!user) return res.status(401).json({ success: false, message: 'Invalid Token' });
-            }
+            // TEST_LOCAL_TOKEN 由 AuthService 分流，仍需取得操作者身分
+            const lineProfile = await this.authService.verifyLineIdToken(token);
+            if (!lineProfile) return res.status(401).json({ success: false, message: 'Invalid Token' });
 
             // 2. 執行更新
-            const rowIndex = parseInt(req.params.rowIndex);
+            const { cardId } = req.params;
             const updateData = req.body;
 
             // ★ 行為等價：保持原本 modifier 規則（只看 body，否則 LineUser）
-            const modifier = updateData.modifier || 'LineUser';
+            // LINE 使用者不在 CRM 帳號表內，以預設角色 (PERMISSIONS.DEFAULT_ROLE) 檢查權限
+            const user = {
+                username: `line:${lineProfile.sub}`,
+                name: updateData.modifier || 'LineUser'
+            };
 
             // L2：寫入統一委派至 ContactService（移除 Writer 直接依賴）
-            await this.contactService.updatePotentialContact(rowIndex, updateData, modifier);
+            await this.contactService.updatePotentialContact(cardId, updateData, user);
 
             res.json({ success: true, message: '更新成功' });
 
@@ -47,14 +47,16 @@ class OpportunityController {
     };
 
     // GET /api/opportunities/ (Search)
+    // 篩選: assignee, type, stage, source, year；排序: sortField, sortDirection (asc / desc)
     searchOpportunities = async (req, res) => {
         try {
-            const { q, page = 0, assignee, type, stage } = req.query;
-            const filters = { assignee, type, stage };
-            Object.keys(filters).forEach(key => (filters[key] === undefined || filters[key] === '') && delete filters[key]);
+            const { q, page = 0, assignee, type, stage, source, year, sortField, sortDirection } = req.query;
+            const filters = { assignee, type, stage, source, year };
+            Object.keys(filters).forEach(key => (filters[key] === undefined || filters[key] === '' || filters[key] === 'all') && delete filters[key]);
+            const sortOptions = sortField ? { field: sortField, direction: sortDirection } : null;
             
             // [Fix] Layering: Call Service instead of Reader
-            const result = await this.opportunityService.searchOpportunities(q, parseInt(page), filters);
+            const result = await this.opportunityService.searchOpportunities(q, parseInt(page), filters, req.user, sortOptions);
             res.json(result);
         } catch (error) {
             handleApiError(res, error, 'Search Opps');
@@ -64,7 +66,7 @@ class OpportunityController {
     // GET /api/opportunities/:opportunityId/details
     getOpportunityDetails = async (req, res) => {
         try {
-            const data = await this.opportunityService.getOpportunityDetails(req.params.opportunityId);
+            const data = await this.opportunityService.getOpportunityDetails(req.params.opportunityId, req.user);
             res.json({ success: true, data });
         } catch (error) {
             handleApiError(res, error, 'Get Opp Details');
@@ -74,8 +76,7 @@ class OpportunityController {
     // POST /api/opportunities/
     createOpportunity = async (req, res) => {
         try {
-            // 使用 WorkflowService 處理建立邏輯 (可能包含發通知等)
-            const result = await this.workflowService.createOpportunity(req.body, req.user.name);
+            const result = await this.opportunityService.createOpportunity(req.body, req.user);
             res.json(result);
         } catch (error) {
             handleApiError(res, error, 'Create Opp');
@@ -86,18 +87,18 @@ class OpportunityController {
     batchUpdateOpportunities = async (req, res) => {
         try {
             // [Fix] Layering: Call Service instead of Writer
-            const result = await this.opportunityService.batchUpdateOpportunities(req.body.updates);
+            const result = await this.opportunityService.batchUpdateOpportunities(req.body.updates, req.user);
             res.json(result);
         } catch (error) {
             handleApiError(res, error, 'Batch Update Opps');
         }
     };
 
-    // PUT /api/opportunities/:rowIndex
+    // PUT /api/opportunities/:opportunityId
     updateOpportunity = async (req, res) => {
         try {
             const result = await this.opportunityService.updateOpportunity(
-                parseInt(req.params.rowIndex), 
+                req.params.opportunityId, 
                 req.body, 
                 req.user
             );
@@ -107,11 +108,11 @@ class OpportunityController {
         }
     };
 
-    // DELETE /api/opportunities/:rowIndex
+    // DELETE /api/opportunities/:opportunityId
     deleteOpportunity = async (req, res) => {
         try {
             const result = await this.opportunityService.deleteOpportunity(
-                parseInt(req.params.rowIndex), 
+                req.params.opportunityId, 
                 req.user
             );
             res.json(result);
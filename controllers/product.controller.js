@@ -7,9 +7,14 @@
  * @description
  * 採用 Class-based 架構。
  * 透過 ServiceContainer 進行依賴注入，不再使用 require。
+ * [Permissions] 角色權限改由 ProductService 依權限矩陣檢查 (權限不足回傳 403)。
+ * [Concurrency] 批次更新的資料衝突回傳 409。
  */
 
 const config = require('../config');
+const { handleApiError } = require('../middleware/error.middleware');
+const { isPermissionError } = require('../utils/permission-helpers');
+const { isConflictError } = require('../utils/concurrency-helpers');
 
 class ProductController {
     /**
@@ -25,17 +30,13 @@ class ProductController {
      */
     async getProducts(req, res) {
         try {
-            // 權限檢查 (Controller 職責)
-            if (req.user.role !== 'admin') {
-                return res.status(403).json({ success: false, error: config.ERROR_MESSAGES.ADMIN_ONLY });
-            }
-
             const { q } = req.query;
             const filters = q ? { search: q } : {};
             
-            const data = await this.productService.getAllProducts(filters);
+            const data = await this.productService.getAllProducts(filters, req.user);
             res.json({ success: true, data: data, count: data.length });
         } catch (error) {
+            if (isPermissionError(error)) return handleApiError(res, error, 'Get Products');
             console.error('[ProductController] getProducts Error:', error);
             res.status(500).json({ success: false, error: config.ERROR_MESSAGES.NETWORK_ERROR });
         }
@@ -47,12 +48,10 @@ class ProductController {
      */
     async refresh(req, res) {
         try {
-            if (req.user.role !== 'admin') {
-                return res.status(403).json({ success: false, error: 'Forbidden' });
-            }
-            await this.productService.refreshCache();
+            await this.productService.refresh(req.user);
             res.json({ success: true, message: '商品資料已重新同步' });
         } catch (error) {
+            if (isPermissionError(error)) return handleApiError(res, error, 'Refresh Products');
             res.status(500).json({ success: false, error: error.message });
         }
     }
@@ -63,14 +62,12 @@ class ProductController {
      */
     async batchUpdate(req, res) {
         try {
-            if (req.user.role !== 'admin') {
-                return res.status(403).json({ success: false, error: '權限不足' });
-            }
             const { products } = req.body;
             
             const result = await this.productService.batchUpdate(products, req.user);
             res.json({ success: true, message: `處理完成 (更新: ${result.updated}, 新增: ${result.appended})`, result });
         } catch (error) {
+            if (isPermissionError(error) || isConflictError(error)) return handleApiError(res, error, 'Batch Update Products');
             console.error('[ProductController] batchUpdate Error:', error);
             res.status(500).json({ success: false, error: error.message });
         }
@@ -95,12 +92,11 @@ class ProductController {
      */
     async saveCategoryOrder(req, res) {
         try {
-            if (req.user.role !== 'admin') return res.status(403).json({ success: false, error: '權限不足' });
-            
             const { order } = req.body;
             await this.productService.saveCategoryOrder(order, req.user);
             res.json({ success: true, message: '分類排序已更新' });
         } catch (error) {
+            if (isPermissionError(error)) return handleApiError(res, error, 'Save Category Order');
             res.status(500).json({ success: false, error: error.message });
         }
     }
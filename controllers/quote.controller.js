@@ -0,0 +1,117 @@
+/**
+ * controllers/quote.controller.js
+ * 報價單控制器
+ * * @version 1.0.0
+ * @date 2026-02-12
+ * @description 機會案件的報價版次清單、預填、建立、狀態變更與列印 HTML。權限與計價皆由 QuoteService 處理。
+ */
+
+const { handleApiError } = require('../middleware/error.middleware');
+
+class QuoteController {
+    /**
+     * @param {QuoteService} quoteService
+     */
+    constructor(quoteService) {
+        this.quoteService = quoteService;
+    }
+
+    /**
+     * 取得機會案件的報價版次
+     * GET /api/quotes?opportunityId=
+     */
+    getQuotes = async (req, res) => {
+        try {
+            if (!req.query.opportunityId) {
+                return res.status(400).json({ success: false, error: '缺少 opportunityId 參數' });
+            }
+            const data = await this.quoteService.getQuotes(req.query.opportunityId, req.user);
+            res.json({ success: true, data, count: data.length });
+        } catch (error) {
+            handleApiError(res, error, 'Get Quotes');
+        }
+    };
+
+    /**
+     * 新報價的預填內容 (由產品明細帶入)
+     * GET /api/quotes/draft?opportunityId=&priceTier=
+     */
+    getDraft = async (req, res) => {
+        try {
+            const { opportunityId, priceTier } = req.query;
+            if (!opportunityId) {
+                return res.status(400).json({ success: false, error: '缺少 opportunityId 參數' });
+            }
+            const data = await this.quoteService.getDraft(opportunityId, priceTier || null, req.user);
+            res.json({ success: true, data });
+        } catch (error) {
+            handleApiError(res, error, 'Get Quote Draft');
+        }
+    };
+
+    /**
+     * 建立報價版次
+     * POST /api/quotes
+     */
+    createQuote = async (req, res) => {
+        try {
+            const data = await this.quoteService.createQuote(req.body, req.user);
+            res.json({ success: true, data, message: `已建立報價單 ${data.quoteNumber}` });
+        } catch (error) {
+            handleApiError(res, error, 'Create Quote');
+        }
+    };
+
+    /**
+     * GET /api/quotes/:quoteId
+     */
+    getQuote = async (req, res) => {
+        try {
+            const data = await this.quoteService.getQuote(req.params.quoteId, req.user);
+            res.json({ success: true, data });
+        } catch (error) {
+            handleApiError(res, error, 'Get Quote');
+        }
+    };
+
+    /**
+     * 可列印的報價單 HTML (驗證只接受 Header，前端以 authedFetch 取得後自行開窗 / 轉 PDF)
+     * GET /api/quotes/:quoteId/render
+     */
+    renderQuote = async (req, res) => {
+        try {
+            const data = await this.quoteService.renderQuote(req.params.quoteId, req.user);
+            res.json({ success: true, data });
+        } catch (error) {
+            handleApiError(res, error, 'Render Quote');
+        }
+    };
+
+    /**
+     * 變更狀態 (sent / rejected)
+     * POST /api/quotes/:quoteId/status
+     */
+    updateStatus = async (req, res) => {
+        try {
+            const result = await this.quoteService.updateStatus(req.params.quoteId, req.body.status, req.user);
+            res.json(result);
+        } catch (error) {
+            handleApiError(res, error, 'Update Quote Status');
+        }
+    };
+
+    /**
+     * 接受報價並更新機會價值
+     * POST /api/quotes/:quoteId/accept
+     */
+    acceptQuote = async (req, res) => {
+        try {
+            const result = await this.quoteService.acceptQuote(req.params.quoteId, req.user);
+            res.json({ ...result, message: '已接受報價，機會價值已更新' });
+        } catch (error) {
+            handleApiError(res, error, 'Accept Quote');
+        }
+    };
+}
+
+module.exports = QuoteController;
@@ -0,0 +1,66 @@
+/**
+ * controllers/realtime.controller.js
+ * 即時變更推播控制器 (Server-Sent Events)
+ * * @version 1.0.0
+ * @date 2026-02-06
+ * @description
+ * GET /api/realtime/changes 維持一條長連線，每次 Writer 寫入後推送 `event: change`。
+ * 前端以 fetch 讀取串流 (可帶 Authorization header，不需把 Token 放在網址上)。
+ * 依角色權限矩陣，只推送使用者可讀取的實體變更。
+ */
+
+const { canRead } = require('../utils/permission-helpers');
+
+// 定期送出註解行，避免 Proxy / Load Balancer 因閒置而切斷連線
+const HEARTBEAT_INTERVAL = 25 * 1000;
+// 斷線後建議的重連間隔 (ms)
+const RETRY_INTERVAL = 3000;
+
+class RealtimeController {
+    /**
+     * @param {ChangeFeedService} changeFeedService
+     */
+    constructor(changeFeedService) {
+        this.changeFeedService = changeFeedService;
+    }
+
+    _canReceive(user, change) {
+        return change.entity === '*' || canRead(user, change.entity);
+    }
+
+    /**
+     * 變更事件串流
+     * GET /api/realtime/changes
+     */
+    streamChanges = (req, res) => {
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            // Nginx：停用回應緩衝，事件才會立即送達
+            'X-Accel-Buffering': 'no'
+        });
+        res.flushHeaders();
+
+        const send = (event, data) => {
+            res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        };
+
+        res.write(`retry: ${RETRY_INTERVAL}\n\n`);
+        send('ready', { timestamp: Date.now() });
+
+        const unsubscribe = this.changeFeedService.subscribe((change) => {
+            if (!this._canReceive(req.user, change)) return;
+            send('change', change);
+        });
+
+        const heartbeat = setInterval(() => res.write(`: heartbeat ${Date.now()}\n\n`), HEARTBEAT_INTERVAL);
+
+        req.on('close', () => {
+            clearInterval(heartbeat);
+            unsubscribe();
+        });
+    };
+}
+
+module.exports = RealtimeController;
@@ -0,0 +1,76 @@
+/**
+ * controllers/recycle-bin.controller.js
+ * 回收桶控制器
+ * * @version 1.0.0
+ * @date 2026-02-04
+ * @description 回收桶清單、還原與永久刪除，皆僅限管理員。
+ */
+
+const config = require('../config');
+const { handleApiError } = require('../middleware/error.middleware');
+
+class RecycleBinController {
+    /**
+     * @param {RecycleBinService} recycleBinService
+     */
+    constructor(recycleBinService) {
+        this.recycleBinService = recycleBinService;
+    }
+
+    _denyNonAdmin(req, res) {
+        if (req.user.role !== 'admin') {
+            res.status(403).json({ success: false, error: config.ERROR_MESSAGES.ADMIN_ONLY });
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * 取得回收桶清單
+     * GET /api/recycle-bin
+     */
+    getItems = async (req, res) => {
+        try {
+            if (this._denyNonAdmin(req, res)) return;
+
+            const data = await this.recycleBinService.getItems();
+            res.json({ success: true, data, count: data.length });
+        } catch (error) {
+            handleApiError(res, error, 'Get Recycle Bin');
+        }
+    };
+
+    /**
+     * 還原
+     * POST /api/:entity/:id/restore
+     */
+    restore = async (req, res) => {
+        try {
+            if (this._denyNonAdmin(req, res)) return;
+
+            const { entity, id } = req.params;
+            const result = await this.recycleBinService.restore(entity, id, req.user);
+            res.json({ success: true, ...result });
+        } catch (error) {
+            handleApiError(res, error, 'Restore From Recycle Bin');
+        }
+    };
+
+    /**
+     * 永久刪除
+     * POST /api/:entity/:id/purge
+     */
+    purge = async (req, res) => {
+        try {
+            if (this._denyNonAdmin(req, res)) return;
+
+            const { entity, id } = req.params;
+            const result = await this.recycleBinService.purge(entity, id, req.user);
+            res.json({ success: true, ...result });
+        } catch (error) {
+            handleApiError(res, error, 'Purge From Recycle Bin');
+        }
+    };
+}
+
+module.exports = RecycleBinController;
@@ -9,9 +9,123 @@ exports.getSalesAnalysis = async (req, res) => {
     try {
         const { salesAnalysisService } = getServices(req);
         const { startDate, endDate } = req.query;
-        const analysisData = await salesAnalysisService.getSalesAnalysisData(startDate, endDate);
+        const analysisData = await salesAnalysisService.getSalesAnalysisData(startDate, endDate, req.user);
         res.json({ success: true, data: analysisData });
     } catch (error) { 
         handleApiError(res, error, 'Sales Analysis'); 
     }
-};
\ No newline at end of file
+};
+
+// GET /api/sales/pipeline-analytics?startDate=&endDate=
+exports.getPipelineAnalytics = async (req, res) => {
+    try {
+        const { salesAnalysisService } = getServices(req);
+        const { startDate, endDate } = req.query;
+        const analytics = await salesAnalysisService.getPipelineAnalytics(startDate, endDate, req.user);
+        res.json({ success: true, data: analytics });
+    } catch (error) {
+        handleApiError(res, error, 'Pipeline Analytics');
+    }
+};
+
+// GET /api/sales/forecast?period=month|quarter&assignee=
+exports.getForecast = async (req, res) => {
+    try {
+        const { salesAnalysisService } = getServices(req);
+        const { period, assignee } = req.query;
+        const forecast = await salesAnalysisService.getForecastData({ period, assignee }, req.user);
+        res.json({ success: true, data: forecast });
+    } catch (error) {
+        handleApiError(res, error, 'Sales Forecast');
+    }
+};
+
+// POST /api/sales/forecast/snapshots
+exports.saveForecastSnapshot = async (req, res) => {
+    try {
+        const { salesAnalysisService } = getServices(req);
+        const snapshot = await salesAnalysisService.saveForecastSnapshot(req.user);
+        res.json({ success: true, message: '已儲存本次預測快照', data: snapshot });
+    } catch (error) {
+        handleApiError(res, error, 'Save Forecast Snapshot');
+    }
+};
+
+// GET /api/sales/snapshots
+exports.getSnapshots = async (req, res) => {
+    try {
+        const { pipelineSnapshotService } = getServices(req);
+        const snapshots = await pipelineSnapshotService.listSnapshots(req.user);
+        res.json({ success: true, data: snapshots });
+    } catch (error) {
+        handleApiError(res, error, 'Get Pipeline Snapshots');
+    }
+};
+
+// POST /api/sales/snapshots (手動建立快照)
+exports.createSnapshot = async (req, res) => {
+    try {
+        const { pipelineSnapshotService } = getServices(req);
+        const snapshot = await pipelineSnapshotService.takeSnapshot('manual', req.user);
+        res.json({ success: true, message: `已建立管線快照 (${snapshot.count} 筆機會)`, data: snapshot });
+    } catch (error) {
+        handleApiError(res, error, 'Create Pipeline Snapshot');
+    }
+};
+
+// GET /api/sales/snapshots/movement?from=&to=
+exports.getSnapshotMovement = async (req, res) => {
+    try {
+        const { pipelineSnapshotService } = getServices(req);
+        const { from, to } = req.query;
+        const movement = await pipelineSnapshotService.getMovement(from, to, req.user);
+        res.json({ success: true, data: movement });
+    } catch (error) {
+        handleApiError(res, error, 'Pipeline Movement');
+    }
+};
+
+// GET /api/sales/snapshots/:snapshotId
+exports.getSnapshot = async (req, res) => {
+    try {
+        const { pipelineSnapshotService } = getServices(req);
+        const snapshot = await pipelineSnapshotService.getSnapshot(req.params.snapshotId, req.user);
+        res.json({ success: true, data: snapshot });
+    } catch (error) {
+        handleApiError(res, error, 'Get Pipeline Snapshot');
+    }
+};
+
+// GET /api/sales/quotas?year=
+exports.getQuotas = async (req, res) => {
+    try {
+        const { quotaService } = getServices(req);
+        const quotas = await quotaService.getQuotas({ year: req.query.year }, req.user);
+        res.json({ success: true, data: quotas });
+    } catch (error) {
+        handleApiError(res, error, 'Get Sales Quotas');
+    }
+};
+
+// PUT /api/sales/quotas  body: { quotas: [{ assignee, periodType, period, category, amount }] }
+exports.saveQuotas = async (req, res) => {
+    try {
+        const { quotaService } = getServices(req);
+        const quotas = await quotaService.saveQuotas(req.body.quotas, req.user);
+        res.json({ success: true, message: '業績目標已儲存', data: quotas });
+    } catch (error) {
+        handleApiError(res, error, 'Save Sales Quotas');
+    }
+};
+
+// GET /api/sales/quotas/attainment?periodType=month|quarter&period=
+exports.getQuotaAttainment = async (req, res) => {
+    try {
+        const { quotaService } = getServices(req);
+        const { periodType, period } = req.query;
+        const attainment = await quotaService.getAttainment({ periodType, period }, req.user);
+        res.json({ success: true, data: attainment });
+    } catch (error) {
+        handleApiError(res, error, 'Quota Attainment');
+    }
+};
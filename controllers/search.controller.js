@@ -0,0 +1,35 @@
+/**
+ * controllers/search.controller.js
+ * 全域搜尋控制器
+ * * @version 1.0.0
+ * @date 2026-02-20
+ * @description 權限 (可讀取的類型) 與索引更新皆由 SearchService 處理。
+ */
+
+const { handleApiError } = require('../middleware/error.middleware');
+
+class SearchController {
+    /**
+     * @param {SearchService} searchService
+     */
+    constructor(searchService) {
+        this.searchService = searchService;
+    }
+
+    /**
+     * GET /api/search?q=&types=opportunity,company&limit=
+     * types 可用值：opportunity / company / contact / lead / interaction / event / product
+     */
+    search = async (req, res) => {
+        try {
+            const { q, types, limit } = req.query;
+            const typeList = types ? String(types).split(',').map(t => t.trim()).filter(Boolean) : null;
+            const data = await this.searchService.search(q, { types: typeList, limit }, req.user);
+            res.json({ success: true, data });
+        } catch (error) {
+            handleApiError(res, error, 'Global Search');
+        }
+    };
+}
+
+module.exports = SearchController;
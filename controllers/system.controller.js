@@ -60,7 +60,7 @@ class SystemController {
     // 處理 GET /api/dashboard
     getDashboardData = async (req, res) => {
         try {
-            const data = await this.dashboardService.getDashboardData();
+            const data = await this.dashboardService.getDashboardData(req.user);
             res.json({ success: true, data });
         } catch (error) {
             handleApiError(res, error, 'Get Dashboard');
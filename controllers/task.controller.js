@@ -0,0 +1,96 @@
+/**
+ * controllers/task.controller.js
+ * 待辦任務控制器
+ * * @version 1.0.0
+ * @date 2026-02-13
+ * @description 任務查詢 / 我的任務 / 建立 / 更新 / 刪除，以及由互動紀錄的下次行動建立任務。權限與驗證皆由 TaskService 處理。
+ */
+
+const { handleApiError } = require('../middleware/error.middleware');
+
+class TaskController {
+    /**
+     * @param {TaskService} taskService
+     */
+    constructor(taskService) {
+        this.taskService = taskService;
+    }
+
+    /**
+     * 查詢任務
+     * GET /api/tasks?assignee=&status=&linkType=&linkId=
+     */
+    getTasks = async (req, res) => {
+        try {
+            const { assignee, status, linkType, linkId } = req.query;
+            const data = await this.taskService.getTasks({ assignee, status, linkType, linkId }, req.user);
+            res.json({ success: true, data, count: data.length });
+        } catch (error) {
+            handleApiError(res, error, 'Get Tasks');
+        }
+    };
+
+    /**
+     * 目前使用者的未完成任務 (依逾期 / 今天 / 之後分組)
+     * GET /api/tasks/mine
+     */
+    getMyTasks = async (req, res) => {
+        try {
+            const data = await this.taskService.getMyTasks(req.user);
+            res.json({ success: true, data });
+        } catch (error) {
+            handleApiError(res, error, 'Get My Tasks');
+        }
+    };
+
+    /**
+     * POST /api/tasks
+     */
+    createTask = async (req, res) => {
+        try {
+            const result = await this.taskService.createTask(req.body, req.user);
+            res.json({ ...result, message: '任務已建立' });
+        } catch (error) {
+            handleApiError(res, error, 'Create Task');
+        }
+    };
+
+    /**
+     * 將互動紀錄的下次行動轉為任務
+     * POST /api/tasks/from-interaction/:interactionId
+     */
+    createFromInteraction = async (req, res) => {
+        try {
+            const result = await this.taskService.createFromInteraction(req.params.interactionId, req.body || {}, req.user);
+            res.json({ ...result, message: result.existing ? '這筆下次行動已建立過任務' : '已將下次行動轉為任務' });
+        } catch (error) {
+            handleApiError(res, error, 'Create Task From Interaction');
+        }
+    };
+
+    /**
+     * PUT /api/tasks/:taskId
+     */
+    updateTask = async (req, res) => {
+        try {
+            const result = await this.taskService.updateTask(req.params.taskId, req.body, req.user);
+            res.json({ ...result, message: result.nextTaskId ? '任務已完成，已建立下一次的任務' : '任務已更新' });
+        } catch (error) {
+            handleApiError(res, error, 'Update Task');
+        }
+    };
+
+    /**
+     * DELETE /api/tasks/:taskId
+     */
+    deleteTask = async (req, res) => {
+        try {
+            const result = await this.taskService.deleteTask(req.params.taskId, req.user);
+            res.json({ ...result, message: '任務已刪除' });
+        } catch (error) {
+            handleApiError(res, error, 'Delete Task');
+        }
+    };
+}
+
+module.exports = TaskController;
@@ -0,0 +1,108 @@
+/**
+ * controllers/webhook.controller.js
+ * 對外 Webhook 訂閱控制器
+ * * @version 1.0.0
+ * @date 2026-02-15
+ * @description 訂閱的查詢 / 建立 / 更新 / 刪除、傳送紀錄與手動重新傳送。權限 (僅管理員) 與驗證皆由 WebhookService 處理。
+ */
+
+const { handleApiError } = require('../middleware/error.middleware');
+
+class WebhookController {
+    /**
+     * @param {WebhookService} webhookService
+     */
+    constructor(webhookService) {
+        this.webhookService = webhookService;
+    }
+
+    /**
+     * 訂閱編輯器選項
+     * GET /api/webhooks/meta
+     */
+    getMeta = async (req, res) => {
+        try {
+            const data = this.webhookService.getMeta(req.user);
+            res.json({ success: true, data });
+        } catch (error) {
+            handleApiError(res, error, 'Get Webhook Meta');
+        }
+    };
+
+    /**
+     * GET /api/webhooks
+     */
+    getSubscriptions = async (req, res) => {
+        try {
+            const data = await this.webhookService.getSubscriptions(req.user);
+            res.json({ success: true, data, count: data.length });
+        } catch (error) {
+            handleApiError(res, error, 'Get Webhook Subscriptions');
+        }
+    };
+
+    /**
+     * POST /api/webhooks
+     */
+    createSubscription = async (req, res) => {
+        try {
+            const result = await this.webhookService.createSubscription(req.body, req.user);
+            res.json({ ...result, message: 'Webhook 訂閱已建立' });
+        } catch (error) {
+            handleApiError(res, error, 'Create Webhook Subscription');
+        }
+    };
+
+    /**
+     * PUT /api/webhooks/:webhookId
+     */
+    updateSubscription = async (req, res) => {
+        try {
+            const result = await this.webhookService.updateSubscription(req.params.webhookId, req.body, req.user);
+            res.json({ ...result, message: 'Webhook 訂閱已更新' });
+        } catch (error) {
+            handleApiError(res, error, 'Update Webhook Subscription');
+        }
+    };
+
+    /**
+     * DELETE /api/webhooks/:webhookId
+     */
+    deleteSubscription = async (req, res) => {
+        try {
+            const result = await this.webhookService.deleteSubscription(req.params.webhookId, req.user);
+            res.json({ ...result, message: 'Webhook 訂閱已刪除' });
+        } catch (error) {
+            handleApiError(res, error, 'Delete Webhook Subscription');
+        }
+    };
+
+    /**
+     * 傳送紀錄
+     * GET /api/webhooks/deliveries?webhookId=&status=&limit=
+     */
+    getDeliveries = async (req, res) => {
+        try {
+            const data = await this.webhookService.getDeliveries(req.query, req.user);
+            res.json({ success: true, data, count: data.length });
+        } catch (error) {
+            handleApiError(res, error, 'Get Webhook Deliveries');
+        }
+    };
+
+    /**
+     * 以原本的內容重新傳送
+     * POST /api/webhooks/deliveries/:deliveryId/redeliver
+     */
+    redeliver = async (req, res) => {
+        try {
+            const data = await this.webhookService.redeliver(req.params.deliveryId, req.user);
+            const message = data.status === '成功' ? '已重新傳送' : `重新傳送失敗：${data.error}`;
+            res.json({ success: true, data, message });
+        } catch (error) {
+            handleApiError(res, error, 'Redeliver Webhook');
+        }
+    };
+}
+
+module.exports = WebhookController;
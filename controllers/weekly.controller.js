@@ -58,6 +58,23 @@ class WeeklyController {
         }
     };
 
+    /**
+     * POST /api/business/weekly/draft/:weekId
+     * 依本週 CRM 活動草擬週報 (不寫入)
+     * Body: { member, category, summarize }
+     */
+    draftWeek = async (req, res) => {
+        try {
+            const { member, category, summarize } = req.body || {};
+            const data = await this.weeklyBusinessService.draftWeek(
+                req.params.weekId, { member, category, summarize: !!summarize }, req.user
+            );
+            res.json({ success: true, data });
+        } catch (error) {
+            handleApiError(res, error, 'Draft Weekly Entries');
+        }
+    };
+
     /**
      * POST /api/business/weekly
      * 建立週報
@@ -69,7 +86,7 @@ class WeeklyController {
                 userId: req.user.userId, // 確保寫入 User ID
                 creator: req.user.name 
             };
-            const result = await this.weeklyBusinessService.createWeeklyBusinessEntry(data);
+            const result = await this.weeklyBusinessService.createWeeklyBusinessEntry(data, req.user);
             res.json(result);
         } catch (error) {
             handleApiError(res, error, 'Create Weekly Entry');
@@ -87,7 +104,7 @@ class WeeklyController {
                 ...req.body, 
                 creator: req.user.name 
             };
-            const result = await this.weeklyBusinessService.updateWeeklyBusinessEntry(recordId, data);
+            const result = await this.weeklyBusinessService.updateWeeklyBusinessEntry(recordId, data, req.user);
             res.json(result);
         } catch (error) {
             handleApiError(res, error, 'Update Weekly Entry');
@@ -101,10 +118,9 @@ class WeeklyController {
     deleteEntry = async (req, res) => {
         try {
             const { recordId } = req.params;
-            const { rowIndex } = req.body; // 從前端傳入 rowIndex 以加速刪除
             
-            // 修正：現在直接呼叫 Service 方法，不再穿透到 Writer
-            const result = await this.weeklyBusinessService.deleteWeeklyBusinessEntry(recordId, rowIndex);
+            // 修正：現在直接呼叫 Service 方法，不再穿透到 Writer (rowIndex 由 Service 依紀錄ID 查找)
+            const result = await this.weeklyBusinessService.deleteWeeklyBusinessEntry(recordId, req.user);
             res.json(result);
         } catch (error) {
             handleApiError(res, error, 'Delete Weekly Entry');
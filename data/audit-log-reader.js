@@ -0,0 +1,46 @@
+/**
+ * data/audit-log-reader.js
+ * 稽核紀錄讀取器
+ * * @version 1.0.0
+ * @date 2026-02-03
+ * @description [Standard A] 僅讀取「稽核紀錄」工作表原始資料，不做篩選與排序 (由 AuditLogService 負責)。
+ * 欄位順序見 config.AUDIT_LOG_FIELDS。
+ */
+
+const BaseReader = require('./base-reader');
+
+class AuditLogReader extends BaseReader {
+    /**
+     * @param {Object} sheets - Google Sheets API Client
+     * @param {string} spreadsheetId - [Required] 指定要讀取的 Sheet ID
+     */
+    constructor(sheets, spreadsheetId) {
+        super(sheets, spreadsheetId);
+    }
+
+    /**
+     * 取得所有稽核紀錄 (Raw Data)
+     * @returns {Promise<Array<object>>}
+     */
+    async getAuditLogs() {
+        const cacheKey = 'auditLogs';
+        const range = `${this.config.SHEETS.AUDIT_LOG}!A:I`;
+
+        // A:紀錄ID, B:時間, C:實體, D:實體ID, E:動作, F:欄位, G:舊值, H:新值, I:使用者
+        const rowParser = (row) => ({
+            auditId: row[0] || '',
+            timestamp: row[1] || '',
+            entity: row[2] || '',
+            entityId: row[3] || '',
+            action: row[4] || '',
+            field: row[5] || '',
+            oldValue: row[6] || '',
+            newValue: row[7] || '',
+            user: row[8] || ''
+        });
+
+        return this._fetchAndCache(cacheKey, range, rowParser);
+    }
+}
+
+module.exports = AuditLogReader;
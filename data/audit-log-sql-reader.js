@@ -0,0 +1,50 @@
+/**
+ * data/audit-log-sql-reader.js
+ * 稽核紀錄 SQL Reader
+ * * @version 1.0.0
+ * @date 2026-02-03
+ * @description 對應 AuditLogReader 的介面，資料來源為 audit_logs 資料表。
+ * rowIndex = audit_id (稽核紀錄為 Append-only，僅供一致性保留)。
+ */
+
+const BaseSqlReader = require('./base-sql-reader');
+
+// DTO Key -> SQL Column (Reader / Writer 共用)
+const COLUMN_MAP = {
+    auditId: 'audit_id',
+    timestamp: 'created_time',
+    entity: 'entity',
+    entityId: 'entity_id',
+    action: 'action',
+    field: 'field',
+    oldValue: 'old_value',
+    newValue: 'new_value',
+    user: 'username'
+};
+
+class AuditLogSqlReader extends BaseSqlReader {
+    constructor() {
+        super();
+        this.tableName = 'audit_logs';
+    }
+
+    static get COLUMN_MAP() {
+        return COLUMN_MAP;
+    }
+
+    /**
+     * 取得所有稽核紀錄 (Raw Data)
+     * @returns {Promise<Array<object>>}
+     */
+    async getAuditLogs() {
+        const rowParser = (row) => {
+            const entry = this._mapRow(row, COLUMN_MAP);
+            entry.rowIndex = entry.auditId;
+            return entry;
+        };
+
+        return this._fetchAndCache('auditLogs', this.tableName, rowParser);
+    }
+}
+
+module.exports = AuditLogSqlReader;
@@ -0,0 +1,40 @@
+/**
+ * data/audit-log-sql-writer.js
+ * 稽核紀錄 SQL Writer
+ * * @version 1.0.0
+ * @date 2026-02-03
+ * @description 對應 AuditLogWriter 的介面 (Append-only)。
+ */
+
+const BaseSqlWriter = require('./base-sql-writer');
+const AuditLogSqlReader = require('./audit-log-sql-reader');
+
+class AuditLogSqlWriter extends BaseSqlWriter {
+    /**
+     * @param {Object} auditLogReader - 用於清除快取的 Reader
+     */
+    constructor(auditLogReader) {
+        super();
+        if (!auditLogReader) {
+            throw new Error('AuditLogSqlWriter 需要 AuditLogReader 的實例');
+        }
+        this.auditLogReader = auditLogReader;
+        this.tableName = 'audit_logs';
+    }
+
+    /**
+     * 批次追加稽核紀錄
+     * @param {Array<Object>} entries
+     */
+    async appendEntries(entries) {
+        if (!entries || entries.length === 0) return { success: true, count: 0 };
+
+        const rows = entries.map(entry => this._toRow(entry, AuditLogSqlReader.COLUMN_MAP));
+        await this._insert(this.tableName, rows);
+
+        this.auditLogReader.invalidateCache('auditLogs');
+        return { success: true, count: rows.length };
+    }
+}
+
+module.exports = AuditLogSqlWriter;
@@ -0,0 +1,51 @@
+/**
+ * data/audit-log-writer.js
+ * 稽核紀錄寫入器
+ * * @version 1.0.0
+ * @date 2026-02-03
+ * @description [Standard S - Pure Write] 稽核紀錄只允許追加 (Append-only)，不提供更新與刪除。
+ * 差異計算由 AuditLogService 負責，此處只負責將整理好的紀錄寫入。
+ */
+
+const BaseWriter = require('./base-writer');
+
+class AuditLogWriter extends BaseWriter {
+    /**
+     * @param {Object} sheets - Google Sheets API Client
+     * @param {string} spreadsheetId - [Required] 指定要寫入的 Sheet ID
+     * @param {Object} auditLogReader - 用於清除快取的 Reader
+     */
+    constructor(sheets, spreadsheetId, auditLogReader) {
+        super(sheets, spreadsheetId);
+        if (!auditLogReader) {
+            throw new Error('AuditLogWriter 需要 AuditLogReader 的實例');
+        }
+        this.auditLogReader = auditLogReader;
+    }
+
+    /**
+     * 批次追加稽核紀錄
+     * @param {Array<Object>} entries - { auditId, timestamp, entity, entityId, action, field, oldValue, newValue, user }
+     */
+    async appendEntries(entries) {
+        if (!entries || entries.length === 0) return { success: true, count: 0 };
+
+        const rows = entries.map(e => [
+            e.auditId, e.timestamp, e.entity, e.entityId, e.action,
+            e.field, e.oldValue, e.newValue, e.user
+        ]);
+
+        // 使用 RAW 避免舊值/新值被 Sheet 轉型 (例如 "001" 或日期字串)
+        await this.sheets.spreadsheets.values.append({
+            spreadsheetId: this.targetSpreadsheetId,
+            range: `${this.config.SHEETS.AUDIT_LOG}!A:I`,
+            valueInputOption: 'RAW',
+            resource: { values: rows }
+        });
+
+        this.auditLogReader.invalidateCache('auditLogs');
+        return { success: true, count: rows.length };
+    }
+}
+
+module.exports = AuditLogWriter;
@@ -0,0 +1,76 @@
+/**
+ * data/automation-reader.js
+ * 自動化規則讀取器
+ * * @version 1.0.0
+ * @date 2026-02-14
+ * @description [Standard A] 讀取「自動化規則」與「自動化執行紀錄」工作表原始資料。
+ * 觸發參數 / 條件 / 動作為 JSON 字串，由 AutomationService 解析。欄位順序見 config.AUTOMATION_RULE_FIELDS / AUTOMATION_LOG_FIELDS。
+ */
+
+const BaseReader = require('./base-reader');
+
+class AutomationReader extends BaseReader {
+    /**
+     * @param {Object} sheets - Google Sheets API Client
+     * @param {string} spreadsheetId - [Required] 指定要讀取的 Sheet ID
+     */
+    constructor(sheets, spreadsheetId) {
+        super(sheets, spreadsheetId);
+    }
+
+    /**
+     * 取得所有自動化規則 (Raw Data)
+     * @returns {Promise<Array<object>>}
+     */
+    async getRules() {
+        const cacheKey = 'automationRules';
+        const range = `${this.config.SHEETS.AUTOMATION_RULES}!A:L`;
+
+        // A:規則ID, B:名稱, C:啟用, D:實體, E:觸發, F:觸發參數, G:條件, H:動作,
+        // I:建立者, J:建立時間, K:最後更新時間, L:最後變更者
+        const rowParser = (row, index) => ({
+            rowIndex: index + 2,
+            ruleId: row[0] || '',
+            name: row[1] || '',
+            enabled: row[2] || '',
+            entity: row[3] || '',
+            trigger: row[4] || '',
+            triggerParams: row[5] || '',
+            conditions: row[6] || '',
+            actions: row[7] || '',
+            creator: row[8] || '',
+            createdTime: row[9] || '',
+            lastUpdateTime: row[10] || '',
+            lastModifier: row[11] || ''
+        });
+
+        return this._fetchAndCache(cacheKey, range, rowParser);
+    }
+
+    /**
+     * 取得所有執行紀錄 (Raw Data)
+     * @returns {Promise<Array<object>>}
+     */
+    async getRunLogs() {
+        const cacheKey = 'automationLogs';
+        const range = `${this.config.SHEETS.AUTOMATION_LOGS}!A:I`;
+
+        // A:紀錄ID, B:規則ID, C:規則名稱, D:觸發, E:實體, F:實體ID, G:結果, H:明細, I:執行時間
+        const rowParser = (row, index) => ({
+            rowIndex: index + 2,
+            runId: row[0] || '',
+            ruleId: row[1] || '',
+            ruleName: row[2] || '',
+            trigger: row[3] || '',
+            entity: row[4] || '',
+            entityId: row[5] || '',
+            status: row[6] || '',
+            detail: row[7] || '',
+            executedTime: row[8] || ''
+        });
+
+        return this._fetchAndCache(cacheKey, range, rowParser);
+    }
+}
+
+module.exports = AutomationReader;
@@ -0,0 +1,84 @@
+/**
+ * data/automation-sql-reader.js
+ * 自動化規則 SQL Reader
+ * * @version 1.0.0
+ * @date 2026-02-14
+ * @description 對應 AutomationReader 的介面，資料來源為 automation_rules / automation_logs 資料表。
+ * 規則的 rowIndex 即為主鍵 rule_id。
+ */
+
+const BaseSqlReader = require('./base-sql-reader');
+
+// DTO Key -> SQL Column (Reader / Writer 共用)
+const RULE_COLUMN_MAP = {
+    ruleId: 'rule_id',
+    name: 'name',
+    enabled: 'enabled',
+    entity: 'entity',
+    trigger: 'trigger_type',
+    triggerParams: 'trigger_params',
+    conditions: 'conditions',
+    actions: 'actions',
+    creator: 'created_by',
+    createdTime: 'created_time',
+    lastUpdateTime: 'last_update_time',
+    lastModifier: 'last_modifier'
+};
+
+const LOG_COLUMN_MAP = {
+    runId: 'run_id',
+    ruleId: 'rule_id',
+    ruleName: 'rule_name',
+    trigger: 'trigger_type',
+    entity: 'entity',
+    entityId: 'entity_id',
+    status: 'status',
+    detail: 'detail',
+    executedTime: 'executed_time'
+};
+
+class AutomationSqlReader extends BaseSqlReader {
+    constructor() {
+        super();
+        this.tableName = 'automation_rules';
+        this.logTableName = 'automation_logs';
+    }
+
+    static get RULE_COLUMN_MAP() {
+        return RULE_COLUMN_MAP;
+    }
+
+    static get LOG_COLUMN_MAP() {
+        return LOG_COLUMN_MAP;
+    }
+
+    /**
+     * 取得所有自動化規則 (Raw Data)
+     * @returns {Promise<Array<object>>}
+     */
+    async getRules() {
+        const rowParser = (row) => {
+            const entry = this._mapRow(row, RULE_COLUMN_MAP);
+            entry.rowIndex = entry.ruleId;
+            return entry;
+        };
+
+        return this._fetchAndCache('automationRules', this.tableName, rowParser);
+    }
+
+    /**
+     * 取得所有執行紀錄 (Raw Data)
+     * @returns {Promise<Array<object>>}
+     */
+    async getRunLogs() {
+        const rowParser = (row) => {
+            const entry = this._mapRow(row, LOG_COLUMN_MAP);
+            entry.rowIndex = entry.runId;
+            return entry;
+        };
+
+        return this._fetchAndCache('automationLogs', this.logTableName, rowParser);
+    }
+}
+
+module.exports = AutomationSqlReader;
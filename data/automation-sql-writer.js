@@ -0,0 +1,78 @@
+/**
+ * data/automation-sql-writer.js
+ * 自動化規則 SQL Writer
+ * * @version 1.0.0
+ * @date 2026-02-14
+ * @description 對應 AutomationWriter 的介面；rowIndex 參數即為 rule_id。
+ */
+
+const BaseSqlWriter = require('./base-sql-writer');
+const AutomationSqlReader = require('./automation-sql-reader');
+
+// 建立後不可更新的欄位
+const IMMUTABLE_KEYS = ['ruleId', 'creator', 'createdTime'];
+
+class AutomationSqlWriter extends BaseSqlWriter {
+    /**
+     * @param {Object} automationReader - 用於清除快取的 Reader
+     */
+    constructor(automationReader) {
+        super();
+        if (!automationReader) {
+            throw new Error('AutomationSqlWriter 需要 AutomationReader 的實例');
+        }
+        this.automationReader = automationReader;
+        this.tableName = 'automation_rules';
+        this.logTableName = 'automation_logs';
+    }
+
+    async createRule(data, creator) {
+        const now = new Date().toISOString();
+        const ruleId = `RULE${Date.now()}`;
+        const record = this._toRow({
+            ...data,
+            ruleId,
+            creator,
+            createdTime: now,
+            lastUpdateTime: now,
+            lastModifier: creator
+        }, AutomationSqlReader.RULE_COLUMN_MAP);
+        await this._insert(this.tableName, record);
+
+        this.automationReader.invalidateCache('automationRules');
+        return { success: true, id: ruleId };
+    }
+
+    async updateRule(ruleId, data, modifier) {
+        const changes = { ...data };
+        IMMUTABLE_KEYS.forEach(key => delete changes[key]);
+        const row = this._toRow({
+            ...changes,
+            lastUpdateTime: new Date().toISOString(),
+            lastModifier: modifier
+        }, AutomationSqlReader.RULE_COLUMN_MAP);
+        await this._updateByKey(this.tableName, 'rule_id', ruleId, row);
+
+        this.automationReader.invalidateCache('automationRules');
+        return { success: true };
+    }
+
+    async deleteRule(ruleId) {
+        await this._deleteByKey(this.tableName, 'rule_id', ruleId);
+
+        this.automationReader.invalidateCache('automationRules');
+        return { success: true };
+    }
+
+    async appendRunLogs(entries) {
+        if (!entries || entries.length === 0) return { success: true, count: 0 };
+
+        const rows = entries.map(entry => this._toRow(entry, AutomationSqlReader.LOG_COLUMN_MAP));
+        await this._insert(this.logTableName, rows);
+
+        this.automationReader.invalidateCache('automationLogs');
+        return { success: true, count: rows.length };
+    }
+}
+
+module.exports = AutomationSqlWriter;
@@ -0,0 +1,130 @@
+/**
+ * data/automation-writer.js
+ * 自動化規則寫入器
+ * * @version 1.0.0
+ * @date 2026-02-14
+ * @description [Standard S - Pure Write] 規則的建立、更新與刪除；執行紀錄只允許追加。
+ * 規則驗證與 JSON 序列化由 AutomationService 負責。
+ */
+
+const BaseWriter = require('./base-writer');
+
+// DTO Key -> 欄位位置 (A = 0)，建立者 / 建立時間不可更新
+const UPDATABLE_COLUMNS = {
+    name: 1,
+    enabled: 2,
+    entity: 3,
+    trigger: 4,
+    triggerParams: 5,
+    conditions: 6,
+    actions: 7
+};
+
+class AutomationWriter extends BaseWriter {
+    /**
+     * @param {Object} sheets - Google Sheets API Client
+     * @param {string} spreadsheetId - [Required] 指定要寫入的 Sheet ID
+     * @param {Object} automationReader - 用於清除快取的 Reader
+     */
+    constructor(sheets, spreadsheetId, automationReader) {
+        super(sheets, spreadsheetId);
+        if (!automationReader) {
+            throw new Error('AutomationWriter 需要 AutomationReader 的實例');
+        }
+        this.automationReader = automationReader;
+    }
+
+    /**
+     * 建立規則
+     * @param {Object} data - 已驗證並序列化的規則 (不含 ruleId)
+     * @param {string} creator
+     */
+    async createRule(data, creator) {
+        const now = new Date().toISOString();
+        const ruleId = `RULE${Date.now()}`;
+        const row = [
+            ruleId, data.name, data.enabled, data.entity, data.trigger, data.triggerParams,
+            data.conditions, data.actions, creator, now, now, creator
+        ];
+
+        // 使用 RAW 避免 JSON 被 Sheet 轉型
+        await this.sheets.spreadsheets.values.append({
+            spreadsheetId: this.targetSpreadsheetId,
+            range: `${this.config.SHEETS.AUTOMATION_RULES}!A:L`,
+            valueInputOption: 'RAW',
+            resource: { values: [row] }
+        });
+
+        this.automationReader.invalidateCache('automationRules');
+        return { success: true, id: ruleId };
+    }
+
+    /**
+     * 更新規則 (只更新有傳入的欄位)
+     * @param {number} rowIndex
+     * @param {Object} data
+     * @param {string} modifier
+     */
+    async updateRule(rowIndex, data, modifier) {
+        const range = `${this.config.SHEETS.AUTOMATION_RULES}!A${rowIndex}:L${rowIndex}`;
+        const readRes = await this.sheets.spreadsheets.values.get({
+            spreadsheetId: this.targetSpreadsheetId,
+            range
+        });
+        const currentVals = readRes.data.values ? readRes.data.values[0] : null;
+        if (!currentVals || !currentVals[0]) {
+            throw new Error(`[AutomationWriter] 找不到自動化規則 (Row: ${rowIndex})`);
+        }
+        while (currentVals.length < 12) currentVals.push('');
+
+        Object.entries(UPDATABLE_COLUMNS).forEach(([key, index]) => {
+            if (data[key] !== undefined) currentVals[index] = data[key];
+        });
+        currentVals[10] = new Date().toISOString(); // K: 最後更新時間
+        currentVals[11] = modifier;                 // L: 最後變更者
+
+        await this.sheets.spreadsheets.values.update({
+            spreadsheetId: this.targetSpreadsheetId,
+            range,
+            valueInputOption: 'RAW',
+            resource: { values: [currentVals] }
+        });
+
+        this.automationReader.invalidateCache('automationRules');
+        return { success: true };
+    }
+
+    /**
+     * 刪除規則 (執行紀錄保留)
+     * @param {number} rowIndex
+     */
+    async deleteRule(rowIndex) {
+        await this._deleteRow(this.config.SHEETS.AUTOMATION_RULES, rowIndex, this.automationReader);
+        return { success: true };
+    }
+
+    /**
+     * 批次追加執行紀錄
+     * @param {Array<Object>} entries - { runId, ruleId, ruleName, trigger, entity, entityId, status, detail, executedTime }
+     */
+    async appendRunLogs(entries) {
+        if (!entries || entries.length === 0) return { success: true, count: 0 };
+
+        const rows = entries.map(e => [
+            e.runId, e.ruleId, e.ruleName, e.trigger, e.entity,
+            e.entityId, e.status, e.detail, e.executedTime
+        ]);
+
+        await this.sheets.spreadsheets.values.append({
+            spreadsheetId: this.targetSpreadsheetId,
+            range: `${this.config.SHEETS.AUTOMATION_LOGS}!A:I`,
+            valueInputOption: 'RAW',
+            resource: { values: rows }
+        });
+
+        this.automationReader.invalidateCache('automationLogs');
+        return { success: true, count: rows.length };
+    }
+}
+
+module.exports = AutomationWriter;
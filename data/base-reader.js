@@ -6,9 +6,12 @@
  * @description 所有資料 Reader 的父類別。
  * 實作了依賴注入 (DI) 機制，強制要求子類別傳入明確的 Spreadsheet ID。
  * 包含快取機制與自動重試邏輯。
+ * [Cache] 快取失效透過可替換的同步後端 (data/cache-backends) 廣播至其他實例，
+ * 預設 memory 後端為單機行為；資料本身仍保存在各實例記憶體中。
  */
 
 const config = require('../config');
+const { MemoryCacheBackend } = require('./cache-backends');
 
 // 集中管理所有資料的快取狀態
 const cache = {
@@ -31,6 +34,40 @@ const cache = {
 
 const CACHE_DURATION = 30 * 1000; 
 
+// 快取同步後端 (由 service-container 依 config.CACHE 設定)
+let cacheBackend = new MemoryCacheBackend();
+
+// 其他實例快取失效時的監聽者 (例如即時變更推播)
+const remoteInvalidationListeners = new Set();
+
+/**
+ * 套用其他實例的快取失效通知 (不再廣播，避免迴圈)
+ * @param {string|null} key - null 代表全部
+ * @param {number} timestamp - 對方的寫入時間
+ * @param {Object} [options]
+ * @param {boolean} [options.baseline] - 啟動時的既有紀錄，只同步全域最後寫入時間
+ */
+function applyRemoteInvalidation(key, timestamp, { baseline = false } = {}) {
+    if (!baseline) {
+        if (key === null) {
+            Object.keys(cache).forEach(k => {
+                if (cache[k]) cache[k].timestamp = 0;
+            });
+        } else if (cache[key]) {
+            cache[key].timestamp = 0;
+        }
+        console.log(`🔁 [Cache] 其他實例已更新，快取失效: ${key === null ? '全部' : key}`);
+        remoteInvalidationListeners.forEach(listener => {
+            try {
+                listener(key, timestamp);
+            } catch (error) {
+                console.warn(`⚠️ [Cache] 快取失效監聽者執行失敗: ${error.message}`);
+            }
+        });
+    }
+    cache._globalLastWrite.data = Math.max(cache._globalLastWrite.data || 0, timestamp || 0);
+}
+
 /**
  * 所有 Reader 的基礎類別
  * 【Phase 5 暴力重構】：實作 Strict Mode 依賴注入
@@ -60,7 +97,43 @@ class BaseReader {
         this._pendingPromises = {}; 
     }
 
+    /**
+     * 共用快取物件 (供 BaseSqlReader 共享同一份快取與 _globalLastWrite)
+     */
+    static get sharedCache() {
+        return cache;
+    }
+
+    static get CACHE_DURATION() {
+        return CACHE_DURATION;
+    }
+
+    /**
+     * 設定並啟動快取同步後端 (取代目前的後端)
+     * @param {MemoryCacheBackend} backend - 見 data/cache-backends
+     */
+    static async useCacheBackend(backend) {
+        if (cacheBackend && cacheBackend !== backend) await cacheBackend.stop();
+        cacheBackend = backend;
+        await cacheBackend.start(applyRemoteInvalidation);
+    }
+
+    static get cacheBackend() {
+        return cacheBackend;
+    }
+
+    /**
+     * 監聽其他實例造成的快取失效 (本實例的失效不會觸發)
+     * @param {Function} listener - (key|null, timestamp) => void
+     * @returns {Function} 取消監聽
+     */
+    static onRemoteInvalidate(listener) {
+        remoteInvalidationListeners.add(listener);
+        return () => remoteInvalidationListeners.delete(listener);
+    }
+
     invalidateCache(key = null) {
+        const now = Date.now();
         if (key && this.cache[key]) {
             this.cache[key].timestamp = 0;
             console.log(`✅ [Cache] 快取已失效: ${key}`);
@@ -70,7 +143,10 @@ class BaseReader {
             });
             console.log('✅ [Cache] 所有快取已失效');
         }
-        this.cache._globalLastWrite.data = Date.now();
+        this.cache._globalLastWrite.data = now;
+
+        // 通知其他實例 (本實例尚未快取該 key 時，其他實例仍可能有)
+        if (key === null || typeof key === 'string') cacheBackend.publish(key, now);
     }
 
     /**
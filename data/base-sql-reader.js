@@ -0,0 +1,126 @@
+/**
+ * data/base-sql-reader.js
+ * SQL 資料讀取基底類別
+ * * @version 5.4.0 (Phase 5 - SQL Data Sources)
+ * @date 2026-01-30
+ * @description 所有 SQL Reader 的父類別 (Target: PostgreSQL / Supabase)。
+ * 對外介面與 BaseReader 一致 (invalidateCache / _fetchAndCache)，並共用同一份快取，
+ * 讓 Service 在 config.DATA_SOURCES 切換時無須任何修改。
+ * [Rule] SQL 沒有實體列號，DTO 的 rowIndex 一律填入該表主鍵，作為 Writer 的定位 Key。
+ */
+
+const config = require('../config');
+const { supabase } = require('../config/supabase');
+const BaseReader = require('./base-reader');
+
+// PostgREST 單次查詢上限 (預設 max-rows = 1000)
+const PAGE_SIZE = 1000;
+
+class BaseSqlReader {
+    constructor() {
+        this.supabase = supabase;
+        this.config = config;
+        this.cache = BaseReader.sharedCache;
+        this.CACHE_DURATION = BaseReader.CACHE_DURATION;
+
+        // 請求去重用的 Promise 儲存區
+        this._pendingPromises = {};
+    }
+
+    invalidateCache(key = null) {
+        return BaseReader.prototype.invalidateCache.call(this, key);
+    }
+
+    /**
+     * 讀取整張資料表 (自動分頁)
+     * @param {string} tableName
+     * @returns {Promise<Array<Object>>} Raw SQL rows
+     */
+    async _selectAll(tableName) {
+        const rows = [];
+        let from = 0;
+
+        while (true) {
+            const { data, error } = await this.supabase
+                .from(tableName)
+                .select('*')
+                .range(from, from + PAGE_SIZE - 1);
+
+            if (error) {
+                throw new Error(`[${this.constructor.name}] DB Error in ${tableName}: ${error.message}`);
+            }
+
+            rows.push(...data);
+            if (data.length < PAGE_SIZE) break;
+            from += PAGE_SIZE;
+        }
+
+        return rows;
+    }
+
+    /**
+     * 依欄位對照表將 SQL Row 轉為 DTO
+     * @param {Object} row - Raw SQL row
+     * @param {Object} columnMap - { dtoKey: column }
+     */
+    _mapRow(row, columnMap) {
+        const dto = {};
+        Object.entries(columnMap).forEach(([key, column]) => {
+            const value = row[column];
+            dto[key] = (value === null || value === undefined) ? '' : value;
+        });
+        return dto;
+    }
+
+    /**
+     * 通用讀取與快取方法 (對應 BaseReader._fetchAndCache)
+     * @param {string} cacheKey - 快取鍵值
+     * @param {string} tableName - 資料表名稱
+     * @param {Function} rowParser - 資料解析函式 (需自行填入 rowIndex)
+     * @param {Function} sorter - 排序函式 (選填)
+     */
+    async _fetchAndCache(cacheKey, tableName, rowParser, sorter = null) {
+        const now = Date.now();
+
+        if (!this.cache[cacheKey]) {
+            this.cache[cacheKey] = { data: null, timestamp: 0 };
+        }
+
+        if (this.cache[cacheKey].data && (now - this.cache[cacheKey].timestamp < this.CACHE_DURATION)) {
+            return this.cache[cacheKey].data;
+        }
+
+        if (this._pendingPromises[cacheKey]) {
+            console.log(`⏳ [SQL] 併發請求合併: ${cacheKey}`);
+            return this._pendingPromises[cacheKey];
+        }
+
+        console.log(`🔄 [SQL] 準備讀取: ${cacheKey} (${tableName})`);
+
+        const fetchPromise = (async () => {
+            try {
+                const rows = await this._selectAll(tableName);
+                let data = rows
+                    .map((row, index) => rowParser(row, index))
+                    .filter(item => item !== null && item !== undefined);
+
+                if (sorter) data.sort(sorter);
+
+                this.cache[cacheKey] = { data, timestamp: Date.now() };
+                console.log(`[Cache] ${cacheKey} 更新完成 (${data.length} 筆)`);
+                return data;
+
+            } catch (error) {
+                console.error(`❌ [${this.constructor.name}] 讀取 ${tableName} 最終失敗:`, error.message);
+                return this.cache[cacheKey].data || [];
+            } finally {
+                delete this._pendingPromises[cacheKey];
+            }
+        })();
+
+        this._pendingPromises[cacheKey] = fetchPromise;
+        return fetchPromise;
+    }
+}
+
+module.exports = BaseSqlReader;
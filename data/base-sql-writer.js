@@ -0,0 +1,73 @@
+/**
+ * data/base-sql-writer.js
+ * SQL 資料寫入基底類別
+ * * @version 5.4.0 (Phase 5 - SQL Data Sources)
+ * @date 2026-01-30
+ * @description 所有 SQL Writer 的父類別 (Target: PostgreSQL / Supabase)。
+ * 子類別對外方法簽章與對應的 Sheet Writer 完全相同；
+ * 原本傳入 rowIndex 的參數，在 SQL 中即為 Reader 回傳的主鍵 (見 BaseSqlReader)。
+ */
+
+const config = require('../config');
+const { supabase } = require('../config/supabase');
+
+class BaseSqlWriter {
+    constructor() {
+        this.supabase = supabase;
+        this.config = config;
+    }
+
+    _dbError(tableName, error) {
+        return new Error(`[${this.constructor.name}] DB Error in ${tableName}: ${error.message}`);
+    }
+
+    /**
+     * 依欄位對照表將 DTO 轉為 SQL Row
+     * 僅輸出有傳入的欄位 (undefined 不寫)，以支援部分更新。
+     * @param {Object} data - DTO
+     * @param {Object} columnMap - { dtoKey: column }
+     */
+    _toRow(data, columnMap) {
+        const row = {};
+        Object.entries(columnMap).forEach(([key, column]) => {
+            if (data[key] !== undefined) row[column] = data[key];
+        });
+        return row;
+    }
+
+    async _insert(tableName, row) {
+        const { error } = await this.supabase.from(tableName).insert(row);
+        if (error) throw this._dbError(tableName, error);
+    }
+
+    /**
+     * 依主鍵更新單筆資料，找不到時拋錯 (對應 Sheet Writer 的「找不到該列」)
+     */
+    async _updateByKey(tableName, keyColumn, key, row) {
+        const { data, error } = await this.supabase
+            .from(tableName)
+            .update(row)
+            .eq(keyColumn, key)
+            .select(keyColumn);
+
+        if (error) throw this._dbError(tableName, error);
+        if (!data || data.length === 0) {
+            throw new Error(`[${this.constructor.name}] ${tableName} 找不到資料: ${key}`);
+        }
+    }
+
+    async _deleteByKey(tableName, keyColumn, key) {
+        const { data, error } = await this.supabase
+            .from(tableName)
+            .delete()
+            .eq(keyColumn, key)
+            .select(keyColumn);
+
+        if (error) throw this._dbError(tableName, error);
+        if (!data || data.length === 0) {
+            throw new Error(`[${this.constructor.name}] ${tableName} 找不到資料: ${key}`);
+        }
+    }
+}
+
+module.exports = BaseSqlWriter;
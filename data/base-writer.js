@@ -98,6 +98,9 @@ class BaseWriter {
             [this.config.SHEETS.COMPANY_LIST]: 'companyList',
             [this.config.SHEETS.CONTACT_LIST]: 'contactList',
             [this.config.SHEETS.ANNOUNCEMENTS]: 'announcements',
+            [this.config.SHEETS.TASKS]: 'tasks',
+            [this.config.SHEETS.AUTOMATION_RULES]: 'automationRules',
+            [this.config.SHEETS.WEBHOOK_SUBSCRIPTIONS]: 'webhookSubscriptions',
             
             // 事件紀錄相關
             [this.config.SHEETS.EVENT_LOGS_GENERAL]: 'eventLogs',
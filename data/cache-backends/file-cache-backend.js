@@ -0,0 +1,111 @@
+/**
+ * data/cache-backends/file-cache-backend.js
+ * 以共用目錄同步快取失效 (多實例部署於同一台主機或共用掛載磁碟)
+ * * @version 1.0.0
+ * @date 2026-02-05
+ * @description
+ * 每個實例維護自己的 <instanceId>.json ({ key: timestamp })，寫入時先寫暫存檔再 rename，
+ * 其他實例讀到的一定是完整檔案。同一實例的寫入依序執行 (每次使用不同的暫存檔)，
+ * 先開始的寫入不會在後面 rename 而蓋掉較新的內容。輪詢時讀取目錄下所有實例的檔案。
+ * 實例正常結束時移除自己的檔案；異常結束留下的檔案 (含暫存檔) 超過 STALE_AFTER_POLLS 個輪詢間隔未更新即由其他實例移除。
+ * 其中的紀錄早已被所有執行中的實例讀過，仍在執行的實例下次寫入時會重新建立完整檔案。
+ */
+
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const PollingCacheBackend = require('./polling-cache-backend');
+
+// 其他實例的檔案超過幾個輪詢間隔未更新即視為過期 (保留餘裕給共用磁碟的主機時鐘誤差)
+const STALE_AFTER_POLLS = 10;
+
+class FileCacheBackend extends PollingCacheBackend {
+    /**
+     * @param {Object} options
+     * @param {string} [options.dir] - 共用目錄，預設 os.tmpdir()/tfc-crm-cache
+     * @param {number} options.interval - 輪詢間隔 (ms)
+     */
+    constructor({ dir, interval }) {
+        super(interval);
+        this.name = 'file';
+        this.dir = dir || path.join(os.tmpdir(), 'tfc-crm-cache');
+        this.ownFile = path.join(this.dir, `${this.instanceId}.json`);
+        this._ownEntries = {};
+        this._writeQueue = Promise.resolve();
+        this._writeSeq = 0;
+    }
+
+    async start(onRemoteInvalidate) {
+        await fs.mkdir(this.dir, { recursive: true });
+        await super.start(onRemoteInvalidate);
+    }
+
+    async stop() {
+        await super.stop();
+        // 等待進行中的寫入，避免 rename 在移除後重新建立紀錄檔
+        await this._writeQueue.catch(() => {});
+        // 實例結束後不再需要自己的紀錄檔
+        await fs.unlink(this.ownFile).catch(() => {});
+    }
+
+    _write(key, timestamp) {
+        this._ownEntries[key] = timestamp;
+
+        // 前一次寫入失敗不影響這一次；每次寫入最新的完整內容
+        const task = this._writeQueue.catch(() => {}).then(async () => {
+            const tmpFile = `${this.ownFile}.${++this._writeSeq}.tmp`;
+            try {
+                await fs.writeFile(tmpFile, JSON.stringify(this._ownEntries));
+                await fs.rename(tmpFile, this.ownFile);
+            } catch (error) {
+                await fs.unlink(tmpFile).catch(() => {});
+                throw error;
+            }
+        });
+        this._writeQueue = task;
+        return task;
+    }
+
+    async _readAll() {
+        const names = await fs.readdir(this.dir);
+        const files = names.filter(f => f.endsWith('.json'));
+        const records = [];
+
+        await this._removeStaleFiles(names.filter(f => f.endsWith('.tmp')));
+
+        await Promise.all(files.map(async (file) => {
+            const instanceId = file.slice(0, -'.json'.length);
+            try {
+                if (instanceId !== this.instanceId && await this._removeIfStale(file)) return;
+                const entries = JSON.parse(await fs.readFile(path.join(this.dir, file), 'utf8'));
+                Object.entries(entries).forEach(([key, timestamp]) => {
+                    records.push({ key, instanceId, timestamp: Number(timestamp) });
+                });
+            } catch (error) {
+                // 檔案可能剛好被其他實例移除，下一輪再讀即可
+            }
+        }));
+
+        return records;
+    }
+
+    async _removeStaleFiles(files) {
+        await Promise.all(files.filter(f => !f.startsWith(`${this.instanceId}.`)).map(f => this._removeIfStale(f).catch(() => {})));
+    }
+
+    /**
+     * @private 移除超過 STALE_AFTER_POLLS 個輪詢間隔未更新的檔案
+     * @returns {Promise<boolean>} true 表示已移除
+     */
+    async _removeIfStale(file) {
+        const filePath = path.join(this.dir, file);
+        const { mtimeMs } = await fs.stat(filePath);
+        if (Date.now() - mtimeMs <= this.interval * STALE_AFTER_POLLS) return false;
+
+        await fs.unlink(filePath).catch(() => {});
+        console.log(`🧹 [Cache] 移除過期的快取同步檔案: ${file}`);
+        return true;
+    }
+}
+
+module.exports = FileCacheBackend;
@@ -0,0 +1,37 @@
+/**
+ * data/cache-backends/index.js
+ * 依 config.CACHE.BACKEND 建立快取同步後端
+ * * @version 1.0.0
+ * @date 2026-02-05
+ * @description sql 後端依賴 Supabase 環境變數，因此僅在選用時才載入。
+ */
+
+const MemoryCacheBackend = require('./memory-cache-backend');
+const FileCacheBackend = require('./file-cache-backend');
+
+/**
+ * @param {Object} cacheConfig - config.CACHE
+ * @returns {MemoryCacheBackend}
+ */
+function createCacheBackend(cacheConfig = {}) {
+    const backend = String(cacheConfig.BACKEND || 'memory').toLowerCase();
+
+    switch (backend) {
+        case 'memory':
+            return new MemoryCacheBackend();
+
+        case 'file':
+            return new FileCacheBackend({ dir: cacheConfig.FILE_DIR, interval: cacheConfig.SYNC_INTERVAL });
+
+        case 'sql': {
+            const SqlCacheBackend = require('./sql-cache-backend');
+            const { supabase } = require('../../config/supabase');
+            return new SqlCacheBackend({ supabase, tableName: cacheConfig.SQL_TABLE, interval: cacheConfig.SYNC_INTERVAL });
+        }
+
+        default:
+            throw new Error(`未知的快取後端: ${cacheConfig.BACKEND} (可用: memory / file / sql)`);
+    }
+}
+
+module.exports = { createCacheBackend, MemoryCacheBackend, FileCacheBackend };
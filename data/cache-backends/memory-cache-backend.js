@@ -0,0 +1,35 @@
+/**
+ * data/cache-backends/memory-cache-backend.js
+ * 快取同步後端介面 + 單機預設實作
+ * * @version 1.0.0
+ * @date 2026-02-05
+ * @description
+ * 所有快取後端皆繼承此類別並實作相同介面：
+ * - start(onRemoteInvalidate)：開始接收其他實例的失效通知，回呼簽章為 (key|null, timestamp, { baseline })
+ *   baseline = true 表示啟動時讀到的既有紀錄，只用於同步全域最後寫入時間
+ * - publish(key, timestamp)：廣播本實例的快取失效 (key = null 代表全部)
+ * - stop()：停止同步
+ * 單機部署沒有其他實例，因此 publish / start 皆為 no-op，行為與重構前完全相同。
+ */
+
+const os = require('os');
+
+class MemoryCacheBackend {
+    constructor() {
+        this.name = 'memory';
+        // 用於辨識「自己發出的」失效紀錄，避免重複處理
+        this.instanceId = `${os.hostname()}-${process.pid}-${Math.random().toString(36).slice(2, 8)}`;
+    }
+
+    async start(onRemoteInvalidate) {
+        this.onRemoteInvalidate = onRemoteInvalidate;
+    }
+
+    async publish(key, timestamp) {
+        // 單一實例：本地快取已由 BaseReader 處理，不需廣播
+    }
+
+    async stop() {}
+}
+
+module.exports = MemoryCacheBackend;
@@ -0,0 +1,93 @@
+/**
+ * data/cache-backends/polling-cache-backend.js
+ * 以輪詢共用儲存實作跨實例失效通知的基底類別
+ * * @version 1.0.0
+ * @date 2026-02-05
+ * @description
+ * 每個實例只寫入自己的失效紀錄 { key, instanceId, timestamp }，不會與其他實例搶寫同一筆資料。
+ * 輪詢時比對每筆 (instanceId, key) 的 timestamp 是否與上次看到的不同，
+ * 只判斷「有變動」而不比較先後，因此不受各主機時鐘誤差影響。
+ * 子類別只需實作 _write(key, timestamp) 與 _readAll()。
+ */
+
+const MemoryCacheBackend = require('./memory-cache-backend');
+
+// key = null (全部失效) 在共用儲存中的代表值
+const ALL_KEYS = '*';
+
+class PollingCacheBackend extends MemoryCacheBackend {
+    /**
+     * @param {number} interval - 輪詢間隔 (ms)
+     */
+    constructor(interval) {
+        super();
+        this.interval = interval;
+        this._seen = new Map();
+        this._timer = null;
+        this._polling = false;
+    }
+
+    async start(onRemoteInvalidate) {
+        this.onRemoteInvalidate = onRemoteInvalidate;
+
+        // 第一次輪詢只建立基準，不觸發失效 (本實例的快取本來就是空的)
+        await this._poll(true);
+
+        this._timer = setInterval(() => this._poll(false), this.interval);
+        // 不阻擋 process 結束 (例如 tools/ 下的一次性腳本)
+        if (this._timer.unref) this._timer.unref();
+        console.log(`✅ [Cache] ${this.name} 快取同步已啟動 (instance: ${this.instanceId}, interval: ${this.interval}ms)`);
+    }
+
+    async publish(key, timestamp) {
+        try {
+            await this._write(key === null ? ALL_KEYS : key, timestamp);
+        } catch (error) {
+            console.warn(`⚠️ [Cache] 無法廣播快取失效 (${key === null ? ALL_KEYS : key}): ${error.message}`);
+        }
+    }
+
+    async stop() {
+        if (this._timer) clearInterval(this._timer);
+        this._timer = null;
+    }
+
+    async _poll(isBaseline) {
+        // 上一輪尚未結束 (例如 DB 回應慢) 時直接跳過，避免堆積
+        if (this._polling) return;
+        this._polling = true;
+
+        try {
+            const records = await this._readAll();
+            records.forEach(({ key, instanceId, timestamp }) => {
+                const seenKey = `${instanceId}|${key}`;
+                const previous = this._seen.get(seenKey);
+                this._seen.set(seenKey, timestamp);
+
+                if (instanceId === this.instanceId || previous === timestamp) return;
+                this.onRemoteInvalidate(key === ALL_KEYS ? null : key, timestamp, { baseline: isBaseline });
+            });
+        } catch (error) {
+            console.warn(`⚠️ [Cache] ${this.name} 快取同步輪詢失敗: ${error.message}`);
+        } finally {
+            this._polling = false;
+        }
+    }
+
+    /**
+     * @abstract 寫入 (或覆寫) 本實例對該 key 的失效紀錄
+     */
+    async _write(key, timestamp) {
+        throw new Error(`${this.constructor.name} 未實作 _write`);
+    }
+
+    /**
+     * @abstract 讀取所有實例的失效紀錄
+     * @returns {Promise<Array<{key: string, instanceId: string, timestamp: number}>>}
+     */
+    async _readAll() {
+        throw new Error(`${this.constructor.name} 未實作 _readAll`);
+    }
+}
+
+module.exports = PollingCacheBackend;
@@ -0,0 +1,57 @@
+/**
+ * data/cache-backends/sql-cache-backend.js
+ * 以 Supabase 資料表同步快取失效 (多主機部署)
+ * * @version 1.0.0
+ * @date 2026-02-05
+ * @description
+ * 資料表 cache_invalidations：
+ * - cache_key (text), instance_id (text), invalidated_at (bigint, epoch ms)
+ * - Primary Key: (cache_key, instance_id)
+ * 每個實例只 upsert 自己的資料列，資料量為「快取 key 數 x 實例數」，輪詢時整表讀取即可。
+ */
+
+const PollingCacheBackend = require('./polling-cache-backend');
+
+class SqlCacheBackend extends PollingCacheBackend {
+    /**
+     * @param {Object} options
+     * @param {Object} options.supabase - Supabase client
+     * @param {string} options.tableName
+     * @param {number} options.interval - 輪詢間隔 (ms)
+     */
+    constructor({ supabase, tableName, interval }) {
+        super(interval);
+        this.name = 'sql';
+        this.supabase = supabase;
+        this.tableName = tableName;
+    }
+
+    async stop() {
+        await super.stop();
+        await this.supabase.from(this.tableName).delete().eq('instance_id', this.instanceId);
+    }
+
+    async _write(key, timestamp) {
+        const { error } = await this.supabase
+            .from(this.tableName)
+            .upsert({ cache_key: key, instance_id: this.instanceId, invalidated_at: timestamp }, { onConflict: 'cache_key,instance_id' });
+
+        if (error) throw new Error(`DB Error in ${this.tableName}: ${error.message}`);
+    }
+
+    async _readAll() {
+        const { data, error } = await this.supabase
+            .from(this.tableName)
+            .select('cache_key, instance_id, invalidated_at');
+
+        if (error) throw new Error(`DB Error in ${this.tableName}: ${error.message}`);
+
+        return (data || []).map(row => ({
+            key: row.cache_key,
+            instanceId: row.instance_id,
+            timestamp: Number(row.invalidated_at)
+        }));
+    }
+}
+
+module.exports = SqlCacheBackend;
@@ -4,6 +4,7 @@
  * * @version 5.0.0 (Phase 5 Refactoring)
  * @date 2026-01-09
  * @description 實作 Strict Mode 依賴注入。
+ * [Soft Delete] N:刪除時間 / O:刪除者。getCompanyList 濾除已刪除，資源回收桶改用 getDeletedCompanies。
  */
 
 const BaseReader = require('./base-reader');
@@ -18,12 +19,26 @@ class CompanyReader extends BaseReader {
     }
 
     /**
-     * 取得公司總表列表
+     * 取得公司總表列表 (不含已刪除)
      * @returns {Promise<Array<object>>}
      */
     async getCompanyList() {
+        const companies = await this._getAllCompanies();
+        return companies.filter(c => !c.deletedTime);
+    }
+
+    /**
+     * [Soft Delete] 取得資源回收桶中的公司
+     * @returns {Promise<Array<object>>}
+     */
+    async getDeletedCompanies() {
+        const companies = await this._getAllCompanies();
+        return companies.filter(c => c.deletedTime);
+    }
+
+    async _getAllCompanies() {
         const cacheKey = 'companyList';
-        const range = `${this.config.SHEETS.COMPANY_LIST}!A:M`;
+        const range = `${this.config.SHEETS.COMPANY_LIST}!A:O`;
 
         const rowParser = (row) => ({
             companyId: row[0] || '',
@@ -38,7 +53,9 @@ class CompanyReader extends BaseReader {
             introduction: row[9] || '',
             companyType: row[10] || '',     // 新增：公司類型
             customerStage: row[11] || '',   // 新增：客戶階段
-            engagementRating: row[12] || '' // 新增：互動評級
+            engagementRating: row[12] || '', // 新增：互動評級
+            deletedTime: row[13] || '',
+            deletedBy: row[14] || ''
         });
 
         return this._fetchAndCache(cacheKey, range, rowParser);
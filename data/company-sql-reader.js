@@ -0,0 +1,71 @@
+/**
+ * data/company-sql-reader.js
+ * 公司總表 SQL Reader
+ * * @version 5.4.0 (Phase 5 - SQL Data Sources)
+ * @date 2026-01-30
+ * @description 對應 CompanyReader 的介面，資料來源為 companies 資料表。
+ * rowIndex = company_id (見 BaseSqlReader)。
+ * [Soft Delete] deleted_time 有值即為已刪除，getCompanyList 濾除。
+ */
+
+const BaseSqlReader = require('./base-sql-reader');
+
+// DTO Key -> SQL Column (Reader / Writer 共用)
+const COLUMN_MAP = {
+    companyId: 'company_id',
+    companyName: 'company_name',
+    phone: 'phone',
+    address: 'address',
+    createdTime: 'created_time',
+    lastUpdateTime: 'last_update_time',
+    county: 'county',
+    creator: 'creator',
+    lastModifier: 'last_modifier',
+    introduction: 'introduction',
+    companyType: 'company_type',
+    customerStage: 'customer_stage',
+    engagementRating: 'engagement_rating',
+    deletedTime: 'deleted_time',
+    deletedBy: 'deleted_by'
+};
+
+class CompanySqlReader extends BaseSqlReader {
+    constructor() {
+        super();
+        this.tableName = 'companies';
+    }
+
+    static get COLUMN_MAP() {
+        return COLUMN_MAP;
+    }
+
+    /**
+     * 取得公司總表列表 (不含已刪除)
+     * @returns {Promise<Array<object>>}
+     */
+    async getCompanyList() {
+        const companies = await this._getAllCompanies();
+        return companies.filter(c => !c.deletedTime);
+    }
+
+    /**
+     * [Soft Delete] 取得資源回收桶中的公司
+     * @returns {Promise<Array<object>>}
+     */
+    async getDeletedCompanies() {
+        const companies = await this._getAllCompanies();
+        return companies.filter(c => c.deletedTime);
+    }
+
+    async _getAllCompanies() {
+        const rowParser = (row) => {
+            const company = this._mapRow(row, COLUMN_MAP);
+            company.rowIndex = company.companyId;
+            return company;
+        };
+
+        return this._fetchAndCache('companyList', this.tableName, rowParser);
+    }
+}
+
+module.exports = CompanySqlReader;
@@ -0,0 +1,105 @@
+/**
+ * data/company-sql-writer.js
+ * 公司總表 SQL Writer
+ * * @version 5.4.0 (Phase 5 - SQL Data Sources)
+ * @date 2026-01-30
+ * @description 對應 CompanyWriter 的介面。與 Sheet 版相同不注入 Reader，快取由 Service 負責清除。
+ * rowIndex 參數即 company_id (由 CompanySqlReader 提供)。
+ */
+
+const BaseSqlWriter = require('./base-sql-writer');
+const CompanySqlReader = require('./company-sql-reader');
+
+class CompanySqlWriter extends BaseSqlWriter {
+    constructor() {
+        super();
+        this.tableName = 'companies';
+    }
+
+    /**
+     * 建立新公司
+     * @param {Object} companyData 前端傳入的物件 (含 companyName, companyType 等)
+     * @param {string} creator 建立者名稱
+     */
+    async createCompany(companyData, creator) {
+        const now = new Date().toISOString();
+        const companyId = `COMP_${Date.now()}_${Math.floor(Math.random() * 1000)}`;
+
+        console.log(`📝 [CompanySqlWriter] 正在建立公司: ${companyData.companyName}`);
+
+        try {
+            await this._insert(this.tableName, {
+                company_id: companyId,
+                company_name: companyData.companyName || '',
+                phone: companyData.phone || '',
+                address: companyData.address || '',
+                created_time: now,
+                last_update_time: now,
+                county: companyData.county || '',
+                creator: creator,
+                last_modifier: creator,
+                introduction: companyData.introduction || '',
+                company_type: companyData.companyType || '',
+                customer_stage: companyData.customerStage || 'New',
+                engagement_rating: companyData.engagementRating || 'C'
+            });
+
+            return {
+                success: true,
+                data: {
+                    companyId,
+                    companyName: companyData.companyName
+                }
+            };
+        } catch (error) {
+            console.error('❌ [CompanySqlWriter] Create Error:', error);
+            throw new Error(`建立公司失敗: ${error.message}`);
+        }
+    }
+
+    /**
+     * 更新公司資料
+     * @param {string} rowIndex company_id
+     * @param {Object} updateData 更新內容
+     * @param {string} modifier 修改者
+     */
+    async updateCompany(rowIndex, updateData, modifier) {
+        const row = this._toRow(updateData, CompanySqlReader.COLUMN_MAP);
+        // 以下欄位不接受外部覆寫 (與 Sheet 版相同)
+        delete row.company_id;
+        delete row.created_time;
+        delete row.creator;
+        // [Soft Delete] 還原時傳入 '' (Sheet 版清空儲存格)，SQL 以 NULL 表示
+        if (row.deleted_time === '') row.deleted_time = null;
+        if (row.deleted_by === '') row.deleted_by = null;
+
+        row.last_update_time = new Date().toISOString();
+        row.last_modifier = modifier;
+
+        try {
+            await this._updateByKey(this.tableName, 'company_id', rowIndex, row);
+            console.log(`✅ [CompanySqlWriter] 公司資料更新成功 (${rowIndex})`);
+            return { success: true, lastUpdateTime: row.last_update_time };
+        } catch (error) {
+            console.error(`❌ [CompanySqlWriter] Update Error (${rowIndex}):`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * 刪除公司
+     * @param {string} rowIndex company_id
+     */
+    async deleteCompany(rowIndex) {
+        try {
+            await this._deleteByKey(this.tableName, 'company_id', rowIndex);
+            console.log(`✅ [CompanySqlWriter] 刪除成功 (${rowIndex})`);
+            return { success: true };
+        } catch (error) {
+            console.error(`❌ [CompanySqlWriter] Delete Error (${rowIndex}):`, error);
+            throw error;
+        }
+    }
+}
+
+module.exports = CompanySqlWriter;
@@ -7,6 +7,7 @@
  * * 1. [Fix] 補齊欄位對映：確保 Type(10), Stage(11), Rating(12) 正確寫入。
  * * 2. [Fix] 修復 createCompany 錯誤：改用 Native API (values.append)。
  * * 3. [Strict] 嚴格定義 0-12 欄位索引，防止資料錯位。
+ * * 4. [Soft Delete] updateCompany 支援 deletedTime(13) / deletedBy(14)，軟刪除與還原皆經由此方法。
  */
 
 const BaseWriter = require('./base-writer');
@@ -86,8 +87,8 @@ class CompanyWriter extends BaseWriter {
      */
     async updateCompany(rowIndex, updateData, modifier) {
         const sheetName = this.config.SHEETS.COMPANY_LIST;
-        // 擴大讀取範圍至 M 欄 (Index 12)，確保能讀寫到最後一個欄位
-        const range = `${sheetName}!A${rowIndex}:M${rowIndex}`;
+        // 擴大讀取範圍至 O 欄 (Index 14)，包含軟刪除欄位
+        const range = `${sheetName}!A${rowIndex}:O${rowIndex}`;
 
         try {
             // 1. 先讀取舊資料 (Native Get)
@@ -103,8 +104,8 @@ class CompanyWriter extends BaseWriter {
 
             let currentRow = rows[0];
             
-            // 確保陣列長度足夠 (補滿至 Index 12)
-            while (currentRow.length <= 12) {
+            // 確保陣列長度足夠 (補滿至 Index 14)
+            while (currentRow.length <= 14) {
                 currentRow.push('');
             }
 
@@ -127,6 +128,10 @@ class CompanyWriter extends BaseWriter {
             if (updateData.customerStage !== undefined) currentRow[11] = updateData.customerStage;
             if (updateData.engagementRating !== undefined) currentRow[12] = updateData.engagementRating;
 
+            // [Soft Delete] 清空即還原
+            if (updateData.deletedTime !== undefined) currentRow[13] = updateData.deletedTime;
+            if (updateData.deletedBy !== undefined) currentRow[14] = updateData.deletedBy;
+
             // 3. 寫回 Google Sheets (Native Update)
             await this.sheets.spreadsheets.values.update({
                 spreadsheetId: this.targetSpreadsheetId,
@@ -136,7 +141,7 @@ class CompanyWriter extends BaseWriter {
             });
 
             console.log(`✅ [CompanyWriter] 公司資料更新成功 (Row: ${rowIndex})`);
-            return { success: true };
+            return { success: true, lastUpdateTime: currentRow[5] };
 
         } catch (error) {
             console.error(`❌ [CompanyWriter] Update Error (Row ${rowIndex}):`, error);
@@ -32,19 +32,24 @@ class ContactReader extends BaseReader {
 
         const rowParser = (row, index) => {
             const driveLink = row[this.config.CONTACT_FIELDS.DRIVE_LINK] || '';
+            const createdTime = row[this.config.CONTACT_FIELDS.TIME] || '';
             
             return {
                 // [Critical] 用於 Service -> Writer 的定位
                 rowIndex: index + 2,
+
+                // [Stable ID] 名片識別碼：「原始ID」欄 (不受插入/刪除列影響)；未填的舊資料由 ContactService 補發並寫回
+                cardId: row[this.config.CONTACT_FIELDS.ORIGINAL_ID] || '',
                 
                 // 基礎資料欄位
-                createdTime: row[this.config.CONTACT_FIELDS.TIME] || '',
+                createdTime: createdTime,
                 name: row[this.config.CONTACT_FIELDS.NAME] || '',
                 company: row[this.config.CONTACT_FIELDS.COMPANY] || '',
                 position: row[this.config.CONTACT_FIELDS.POSITION] || '',
                 department: row[this.config.CONTACT_FIELDS.DEPARTMENT] || '',
                 phone: row[this.config.CONTACT_FIELDS.PHONE] || '',
                 mobile: row[this.config.CONTACT_FIELDS.MOBILE] || '',
+                fax: row[this.config.CONTACT_FIELDS.FAX] || '',
                 email: row[this.config.CONTACT_FIELDS.EMAIL] || '',
                 website: row[this.config.CONTACT_FIELDS.WEBSITE] || '',
                 address: row[this.config.CONTACT_FIELDS.ADDRESS] || '',
@@ -58,7 +63,15 @@ class ContactReader extends BaseReader {
                 
                 // LINE 整合資訊
                 lineUserId: row[this.config.CONTACT_FIELDS.LINE_USER_ID] || '',
-                userNickname: row[this.config.CONTACT_FIELDS.USER_NICKNAME] || ''
+                userNickname: row[this.config.CONTACT_FIELDS.USER_NICKNAME] || '',
+
+                // [Card OCR] 辨識結果 (供審核)
+                processingTime: row[this.config.CONTACT_FIELDS.PROCESSING_TIME] || '',
+                smartFilename: row[this.config.CONTACT_FIELDS.SMART_FILENAME] || '',
+                rawText: row[this.config.CONTACT_FIELDS.RAW_TEXT] || '',
+                aiParsing: row[this.config.CONTACT_FIELDS.AI_PARSING] || '',
+                aiConfidence: row[this.config.CONTACT_FIELDS.AI_CONFIDENCE] || '',
+                dataSource: row[this.config.CONTACT_FIELDS.DATA_SOURCE] || ''
             };
         };
         
@@ -0,0 +1,128 @@
+/**
+ * data/contact-sql-reader.js
+ * 聯絡人 SQL Reader
+ * * @version 5.4.0 (Phase 5 - SQL Data Sources)
+ * @date 2026-01-30
+ * @description 對應 ContactReader 的介面 (Raw Data Access Only)。
+ * - 潛在客戶 (原始名片資料) -> contacts_raw，rowIndex = id (identity)
+ * - 正式聯絡人 (聯絡人總表) -> contacts，rowIndex = contact_id
+ * - 機會-聯絡人關聯 -> opportunity_contact_links
+ */
+
+const BaseSqlReader = require('./base-sql-reader');
+
+// DTO Key -> SQL Column (Reader / Writer 共用)
+const POTENTIAL_COLUMN_MAP = {
+    createdTime: 'created_time',
+    name: 'name',
+    company: 'company',
+    position: 'position',
+    department: 'department',
+    phone: 'phone',
+    mobile: 'mobile',
+    fax: 'fax',
+    email: 'email',
+    website: 'website',
+    address: 'address',
+    confidence: 'confidence',
+    status: 'status',
+    notes: 'notes',
+    driveLink: 'drive_link',
+    lineUserId: 'line_user_id',
+    userNickname: 'user_nickname',
+    // [Card OCR] 辨識結果 (供審核)
+    processingTime: 'processing_time',
+    smartFilename: 'smart_filename',
+    rawText: 'raw_text',
+    aiParsing: 'ai_parsing',
+    aiConfidence: 'ai_confidence',
+    dataSource: 'data_source'
+};
+
+const CONTACT_COLUMN_MAP = {
+    contactId: 'contact_id',
+    sourceId: 'source_id',
+    name: 'name',
+    companyId: 'company_id',
+    department: 'department',
+    position: 'position',
+    mobile: 'mobile',
+    phone: 'phone',
+    email: 'email',
+    createdTime: 'created_time',
+    lastUpdateTime: 'last_update_time',
+    creator: 'creator',
+    lastModifier: 'last_modifier'
+};
+
+const LINK_COLUMN_MAP = {
+    linkId: 'link_id',
+    opportunityId: 'opportunity_id',
+    contactId: 'contact_id',
+    createTime: 'create_time',
+    status: 'status',
+    creator: 'creator'
+};
+
+class ContactSqlReader extends BaseSqlReader {
+    constructor() {
+        super();
+        this.tables = {
+            potential: 'contacts_raw',
+            official: 'contacts',
+            links: 'opportunity_contact_links'
+        };
+    }
+
+    static get POTENTIAL_COLUMN_MAP() { return POTENTIAL_COLUMN_MAP; }
+    static get CONTACT_COLUMN_MAP() { return CONTACT_COLUMN_MAP; }
+    static get LINK_COLUMN_MAP() { return LINK_COLUMN_MAP; }
+
+    /**
+     * 取得原始名片資料 (潛在客戶) - Raw Data Only
+     * @returns {Promise<Array<object>>}
+     */
+    async getContacts() {
+        const rowParser = (row) => {
+            const contact = this._mapRow(row, POTENTIAL_COLUMN_MAP);
+            // [Critical] 用於 Service -> Writer 的定位
+            contact.rowIndex = row.id;
+            contact.cardId = String(row.id);
+            contact.cardImage = contact.driveLink;
+            return contact;
+        };
+
+        return this._fetchAndCache('contacts', this.tables.potential, rowParser);
+    }
+
+    /**
+     * 取得聯絡人總表 (已建檔正式聯絡人) - Raw Data Only
+     * @returns {Promise<Array<object>>}
+     */
+    async getContactList() {
+        const rowParser = (row) => {
+            const contact = this._mapRow(row, CONTACT_COLUMN_MAP);
+            // [Critical] 用於 Service -> Writer 的定位
+            contact.rowIndex = contact.contactId;
+            return contact;
+        };
+
+        return this._fetchAndCache('contactList', this.tables.official, rowParser);
+    }
+
+    /**
+     * 讀取並快取所有的「機會-聯絡人」關聯
+     * @returns {Promise<Array<object>>}
+     */
+    async getAllOppContactLinks() {
+        const rowParser = (row) => {
+            const link = this._mapRow(row, LINK_COLUMN_MAP);
+            link.rowIndex = link.linkId;
+            return link;
+        };
+
+        return this._fetchAndCache('oppContactLinks', this.tables.links, rowParser);
+    }
+}
+
+module.exports = ContactSqlReader;
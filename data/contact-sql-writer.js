@@ -0,0 +1,170 @@
+/**
+ * data/contact-sql-writer.js
+ * 聯絡人 SQL Writer
+ * * @version 5.4.0 (Phase 5 - SQL Data Sources)
+ * @date 2026-01-30
+ * @description 對應 ContactWriter 的介面 (Pure Write)。
+ * rowIndex 參數即 ContactSqlReader 回傳的主鍵 (contacts_raw.id / contacts.contact_id)。
+ */
+
+const BaseSqlWriter = require('./base-sql-writer');
+const ContactSqlReader = require('./contact-sql-reader');
+
+class ContactSqlWriter extends BaseSqlWriter {
+    /**
+     * @param {Object} contactReader - 用於清除快取 (Optional)
+     */
+    constructor(contactReader) {
+        super();
+        this.contactReader = contactReader;
+
+        this.TABLE_OFFICIAL = 'contacts';
+        this.TABLE_POTENTIAL = 'contacts_raw';
+    }
+
+    /**
+     * 建立新聯絡人 (正式)
+     */
+    async createContact(contactData) {
+        try {
+            const now = new Date().toISOString();
+            await this._insert(this.TABLE_OFFICIAL, {
+                contact_id: contactData.id || contactData.contactId,
+                source_id: contactData.sourceId || 'MANUAL',
+                name: contactData.name,
+                company_id: contactData.company || contactData.companyId,
+                department: contactData.department || '',
+                position: contactData.jobTitle || contactData.position || '',
+                mobile: contactData.phone || '',
+                phone: contactData.tel || '',
+                email: contactData.email || '',
+                created_time: now,
+                last_update_time: now,
+                creator: contactData.creator || 'System',
+                last_modifier: contactData.modifier || 'System'
+            });
+
+            console.log(`✅ [ContactSqlWriter] Created contact: ${contactData.name}`);
+            if (this.contactReader) this.contactReader.invalidateCache('contactList');
+            return contactData.id;
+
+        } catch (error) {
+            console.error('❌ [ContactSqlWriter] Create Failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * [Pure Write] 更新潛在客戶
+     * @param {number} rowIndex - contacts_raw.id
+     * @param {Object} data - 包含要更新的欄位 (已由 Service 處理完畢)
+     */
+    async writePotentialContactRow(rowIndex, data) {
+        if (!rowIndex) throw new Error(`無效的 rowIndex: ${rowIndex}`);
+
+        const row = this._toRow({
+            name: data.name,
+            company: data.company,
+            position: data.position,
+            mobile: data.mobile,
+            email: data.email,
+            notes: data.notes,
+            status: data.status
+        }, ContactSqlReader.POTENTIAL_COLUMN_MAP);
+
+        if (Object.keys(row).length > 0) {
+            await this._updateByKey(this.TABLE_POTENTIAL, 'id', rowIndex, row);
+        }
+
+        if (this.contactReader) this.contactReader.invalidateCache('contacts');
+        console.log(`✅ [ContactSqlWriter] Wrote potential contact ${rowIndex}`);
+        return true;
+    }
+
+    /**
+     * 補寫名片識別碼：contacts_raw 以 identity id 作為名片識別碼，不會缺少
+     */
+    async writeCardIds() {}
+
+    /**
+     * [Card OCR] 新增一筆潛在客戶 (CRM 內上傳的名片)
+     * contacts_raw 以 identity id 作為名片識別碼，忽略 data.cardId。
+     * @param {Object} data - 已由 Service 整理完成的名片資料
+     * @returns {Promise<string>} cardId (contacts_raw.id)
+     */
+    async appendPotentialContactRow(data) {
+        const row = this._toRow(data, ContactSqlReader.POTENTIAL_COLUMN_MAP);
+
+        const { data: inserted, error } = await this.supabase
+            .from(this.TABLE_POTENTIAL)
+            .insert(row)
+            .select('id')
+            .single();
+        if (error) throw this._dbError(this.TABLE_POTENTIAL, error);
+
+        if (this.contactReader) this.contactReader.invalidateCache('contacts');
+        console.log(`✅ [ContactSqlWriter] Appended potential contact: ${data.name || data.company} (${inserted.id})`);
+        return String(inserted.id);
+    }
+
+    /**
+     * [Pure Write] 更新正式聯絡人
+     * 欄位語意與 Sheet 版一致：phone -> 手機 (mobile)，tel -> 公司電話 (phone)
+     * @param {string} rowIndex - contacts.contact_id
+     * @param {Object} data
+     * @param {string} modifier
+     */
+    async updateContactRow(rowIndex, data, modifier) {
+        if (!rowIndex) throw new Error(`無效的 rowIndex: ${rowIndex}`);
+
+        console.log(`📝 [ContactSqlWriter] Update Contact ${rowIndex} by ${modifier}`);
+
+        const row = {
+            last_update_time: new Date().toISOString(),
+            last_modifier: modifier
+        };
+        if (data.name !== undefined) row.name = data.name;
+        if (data.company !== undefined) row.company_id = data.company;
+        if (data.department !== undefined) row.department = data.department;
+        if (data.jobTitle !== undefined) row.position = data.jobTitle;
+        if (data.phone !== undefined) row.mobile = data.phone;
+        if (data.tel !== undefined) row.phone = data.tel;
+        if (data.email !== undefined) row.email = data.email;
+
+        await this._updateByKey(this.TABLE_OFFICIAL, 'contact_id', rowIndex, row);
+
+        if (this.contactReader) this.contactReader.invalidateCache('contactList');
+        return true;
+    }
+
+    /**
+     * [Merge] 刪除正式聯絡人
+     * @param {string} rowIndex - contacts.contact_id
+     * @param {string} modifier
+     */
+    async deleteContactRow(rowIndex, modifier) {
+        if (!rowIndex) throw new Error(`無效的 rowIndex: ${rowIndex}`);
+
+        console.log(`🗑️ [ContactSqlWriter] Delete Contact ${rowIndex} by ${modifier}`);
+        await this._deleteByKey(this.TABLE_OFFICIAL, 'contact_id', rowIndex);
+
+        if (this.contactReader) this.contactReader.invalidateCache('contactList');
+        return true;
+    }
+
+    /**
+     * @deprecated Removed in v7. Use updateContactRow instead.
+     */
+    async updateContact() {
+        throw new Error('Deprecation: Use updateContactRow(rowIndex, data, modifier). Service must provide rowIndex.');
+    }
+
+    /**
+     * @deprecated Removed in v7. Use writePotentialContactRow instead.
+     */
+    async updatePotentialContact() {
+        throw new Error('Deprecation: Use writePotentialContactRow(rowIndex, data). Service must provide merged data.');
+    }
+}
+
+module.exports = ContactSqlWriter;
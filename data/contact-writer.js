@@ -97,6 +97,7 @@ class ContactWriter extends BaseWriter {
         if (F.NOTES !== undefined) {
             pushUpdate(F.NOTES, data.notes);
         }
+        pushUpdate(F.STATUS, data.status);
 
         if (updates.length > 0) {
              await this.sheets.spreadsheets.values.batchUpdate({
@@ -112,6 +113,77 @@ class ContactWriter extends BaseWriter {
         return true;
     }
 
+    /**
+     * [Pure Write] 補寫名片識別碼 (「原始ID」欄)
+     * @param {Array<{ rowIndex: number, cardId: string }>} assignments - 由 Service 產生
+     */
+    async writeCardIds(assignments) {
+        if (assignments.length === 0) return;
+        const colLetter = String.fromCharCode(65 + this.config.CONTACT_FIELDS.ORIGINAL_ID);
+
+        await this.sheets.spreadsheets.values.batchUpdate({
+            spreadsheetId: this.targetSpreadsheetId,
+            resource: {
+                valueInputOption: 'RAW',
+                data: assignments.map(({ rowIndex, cardId }) => ({
+                    range: `${this.SHEET_POTENTIAL}!${colLetter}${rowIndex}`,
+                    values: [[cardId]]
+                }))
+            }
+        });
+
+        if (this.contactReader) this.contactReader.invalidateCache('contacts');
+        console.log(`✅ [ContactWriter] Assigned ${assignments.length} card IDs`);
+    }
+
+    /**
+     * [Card OCR] 新增一筆潛在客戶 (CRM 內上傳的名片) - Append Only
+     * 欄位依 config.CONTACT_FIELDS 排列；以 RAW 寫入，避免電話號碼被轉成數字。
+     * @param {Object} data - 已由 Service 整理完成的名片資料 (cardId 寫入「原始ID」)
+     * @returns {Promise<string>} cardId
+     */
+    async appendPotentialContactRow(data) {
+        const F = this.config.CONTACT_FIELDS;
+        const row = new Array(Object.keys(F).length).fill('');
+        const set = (colIndex, val) => {
+            if (colIndex !== undefined && val !== undefined && val !== null) row[colIndex] = val;
+        };
+
+        set(F.TIME, data.createdTime);
+        set(F.NAME, data.name);
+        set(F.COMPANY, data.company);
+        set(F.POSITION, data.position);
+        set(F.DEPARTMENT, data.department);
+        set(F.PHONE, data.phone);
+        set(F.MOBILE, data.mobile);
+        set(F.FAX, data.fax);
+        set(F.EMAIL, data.email);
+        set(F.WEBSITE, data.website);
+        set(F.ADDRESS, data.address);
+        set(F.CONFIDENCE, data.confidence);
+        set(F.PROCESSING_TIME, data.processingTime);
+        set(F.DRIVE_LINK, data.driveLink);
+        set(F.SMART_FILENAME, data.smartFilename);
+        set(F.RAW_TEXT, data.rawText);
+        set(F.AI_PARSING, data.aiParsing);
+        set(F.AI_CONFIDENCE, data.aiConfidence);
+        set(F.DATA_SOURCE, data.dataSource);
+        set(F.USER_NICKNAME, data.userNickname);
+        set(F.ORIGINAL_ID, data.cardId);
+        set(F.STATUS, data.status);
+
+        await this.sheets.spreadsheets.values.append({
+            spreadsheetId: this.targetSpreadsheetId,
+            range: `${this.SHEET_POTENTIAL}!A:Y`,
+            valueInputOption: 'RAW',
+            resource: { values: [row] }
+        });
+
+        if (this.contactReader) this.contactReader.invalidateCache('contacts');
+        console.log(`✅ [ContactWriter] Appended potential contact: ${data.name || data.company} (${data.cardId})`);
+        return data.cardId;
+    }
+
     /**
      * [Pure Write] 更新正式聯絡人
      * 接收 rowIndex，完全不進行 Read 或 Lookup。
@@ -152,6 +224,21 @@ class ContactWriter extends BaseWriter {
         return true;
     }
 
+    /**
+     * [Merge] 刪除正式聯絡人 (僅用於合併重複聯絡人，關聯已由 Service 移轉)
+     * @param {number} rowIndex - 由 Service 查詢後提供
+     * @param {string} modifier
+     */
+    async deleteContactRow(rowIndex, modifier) {
+        if (isNaN(parseInt(rowIndex)) || rowIndex <= 1) {
+            throw new Error(`無效的 rowIndex: ${rowIndex}`);
+        }
+
+        console.log(`🗑️ [ContactWriter] Delete Contact Row ${rowIndex} by ${modifier}`);
+        await this._deleteRow(this.SHEET_OFFICIAL, rowIndex, this.contactReader);
+        return true;
+    }
+
     /**
      * @deprecated Removed in v7. Use updateContactRow instead.
      */
@@ -5,6 +5,8 @@
  * @date 2026-01-29
  * @description [Standard A] 移除 Cross-Reader 依賴與業務邏輯，僅負責 Raw Data Access。
  * [Patch] 公開 HEADER_TO_KEY_MAP 供 Writer 共用，確保 Single Source of Truth。
+ * [Soft Delete] 新版事件工作表於欄位末端追加 SOFT_DELETE_FIELDS；getEventLogs 排除已刪除事件，
+ * 回收桶改用 getDeletedEventLogs。
  */
 
 const BaseReader = require('./base-reader');
@@ -28,6 +30,10 @@ const HEADER_TO_KEY_MAP = {
     '備註': 'eventNotes',
     '修訂版次': 'editCount',
 
+    // Soft Delete (新版事件工作表皆於最末端)
+    '刪除時間': 'deletedTime',
+    '刪除者': 'deletedBy',
+
     // IOT Specific
     '設備規模': 'iot_deviceScale',
     '生產線特徵': 'iot_lineFeatures',
@@ -110,7 +116,7 @@ class EventLogReader extends BaseReader {
 
     async _fetchEventData(eventType, sheetName, specificFields = []) {
         const commonFields = this.config.EVENT_LOG_COMMON_FIELDS;
-        const allHeaders = [...commonFields, ...specificFields];
+        const allHeaders = [...commonFields, ...specificFields, ...this.config.SOFT_DELETE_FIELDS];
         const lastColumn = String.fromCharCode(65 + allHeaders.length - 1);
         const range = `${sheetName}!A:${lastColumn}`;
 
@@ -148,7 +154,11 @@ class EventLogReader extends BaseReader {
         }
     }
 
-    async getEventLogs() {
+    /**
+     * 取得所有事件紀錄 (含已刪除)
+     * @private
+     */
+    async _getAllEventLogs() {
         const cacheKey = 'eventLogs';
         const now = Date.now();
 
@@ -180,6 +190,22 @@ class EventLogReader extends BaseReader {
         return allLogs;
     }
 
+    /**
+     * 取得所有未刪除的事件紀錄
+     */
+    async getEventLogs() {
+        const allLogs = await this._getAllEventLogs();
+        return allLogs.filter(log => !log.deletedTime);
+    }
+
+    /**
+     * [Soft Delete] 取得回收桶中的事件紀錄
+     */
+    async getDeletedEventLogs() {
+        const allLogs = await this._getAllEventLogs();
+        return allLogs.filter(log => log.deletedTime);
+    }
+
     /**
      * [Standard A] Raw only：只查找 eventId，不做 Join
      */
@@ -61,11 +61,29 @@ class EventLogSqlReader {
     }
 
     /**
-     * Get all events
-     * Unions data from all 5 tables.
+     * Get all non-deleted events
      * @returns {Promise<Array<Object>>} Array of Event DTOs
      */
     async getEventLogs() {
+        const logs = await this._getAllEventLogs();
+        return logs.filter(log => !log.deletedTime);
+    }
+
+    /**
+     * [Soft Delete] Get events in the recycle bin
+     * @returns {Promise<Array<Object>>} Array of Event DTOs
+     */
+    async getDeletedEventLogs() {
+        const logs = await this._getAllEventLogs();
+        return logs.filter(log => log.deletedTime);
+    }
+
+    /**
+     * Get all events (including soft-deleted)
+     * Unions data from all 5 tables.
+     * @returns {Promise<Array<Object>>} Array of Event DTOs
+     */
+    async _getAllEventLogs() {
         try {
             const queries = Object.entries(this.tables).map(async ([type, tableName]) => {
                 const { data, error } = await supabase
@@ -85,7 +103,7 @@ class EventLogSqlReader {
             return results.flat();
 
         } catch (error) {
-            console.error('[EventLogSqlReader] getEventLogs Error:', error);
+            console.error('[EventLogSqlReader] _getAllEventLogs Error:', error);
             throw error; // Strict re-throw
         }
     }
@@ -121,7 +139,11 @@ class EventLogSqlReader {
             ourParticipants: row.our_participants,
             clientParticipants: row.client_participants,
             clientQuestions: row.client_questions,
-            clientIntelligence: row.client_intelligence
+            clientIntelligence: row.client_intelligence,
+
+            // Soft Delete
+            deletedTime: row.deleted_time,
+            deletedBy: row.deleted_by
         };
 
         // Type Specific Mapping (Strict Schema Adherence)
@@ -165,6 +187,8 @@ class EventLogSqlReader {
                     createdTime: row.created_time,
                     opportunityId: row.opportunity_id,
                     visitPlace: row.visit_place,
+                    deletedTime: row.deleted_time,
+                    deletedBy: row.deleted_by,
                     
                     // Summary Specific fields
                     iotStatus: row.iot_status,
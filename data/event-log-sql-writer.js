@@ -0,0 +1,247 @@
+/**
+ * data/event-log-sql-writer.js
+ * [Strict Digital Forensics Mode]
+ * - Type: SQL Writer
+ * - Target: PostgreSQL (Supabase)
+ * - Schema: 與 EventLogSqlReader._mapRowToDto 完全對稱 (snake_case <-> camelCase)
+ * - Constraints: No rowIndex. 所有操作一律以 event_id 定位。
+ * @version 5.3.0 (Phase 5 - SQL Write Path)
+ * @date 2026-01-30
+ * @description
+ * 對應 EventLogWriter 的介面 (createEventLog / updateEventLog / deleteEventLog)，
+ * 由 service-container 依 config.DATA_SOURCES.EVENT_LOG 切換。
+ * 差異：updateEventLog / deleteEventLog 的第一個參數為 eventId (SQL 無 rowIndex)。
+ */
+
+const { supabase } = require('../config/supabase');
+
+class EventLogSqlWriter {
+
+    constructor() {
+        // 與 EventLogSqlReader 保持一致 (Hard Rule)
+        this.tables = {
+            general: 'event_logs_general',
+            iot: 'event_logs_iot',
+            dt: 'event_logs_dt',
+            dx: 'event_logs_dx',
+            summary: 'event_logs_summary'
+        };
+    }
+
+    /**
+     * 根據事件類型取得對應的資料表名稱
+     */
+    _getTableByType(type) {
+        return this.tables[type] || this.tables.general;
+    }
+
+    /**
+     * 掃描所有分表，找出 eventId 所在的表
+     * @param {string} eventId
+     * @returns {Promise<{type: string, row: Object}|null>}
+     */
+    async _locate(eventId) {
+        const queries = Object.entries(this.tables).map(async ([type, tableName]) => {
+            const { data, error } = await supabase
+                .from(tableName)
+                .select('*')
+                .eq('event_id', eventId)
+                .single();
+
+            // Ignore "Row not found" (PGRST116), throw strict on others
+            if (error && error.code !== 'PGRST116') {
+                throw new Error(`[EventLogSqlWriter] DB Error in ${tableName}: ${error.message}`);
+            }
+            return data ? { type, row: data } : null;
+        });
+
+        const results = await Promise.all(queries);
+        return results.find(res => res !== null) || null;
+    }
+
+    /**
+     * 取值：同時接受 Sheet DTO key (例如 iot_deviceScale) 與 SQL DTO key (例如 deviceScale)
+     * 前端表單送出的是 Sheet key，SQL Reader 讀出的是 camelCase key，兩者都必須能寫回。
+     */
+    _pick(data, ...keys) {
+        for (const key of keys) {
+            if (data[key] !== undefined) return data[key];
+        }
+        return undefined;
+    }
+
+    /**
+     * Maps DTO to Raw SQL Row
+     * 僅輸出有傳入的欄位 (undefined 不寫)，以支援部分更新。
+     */
+    _mapDtoToRow(data, type) {
+        const pick = (...keys) => this._pick(data, ...keys);
+        let row;
+
+        if (type === 'summary') {
+            // Summary table has different column set (see EventLogSqlReader)
+            row = {
+                company_id: pick('companyId'),
+                opportunity_id: pick('opportunityId'),
+                visit_place: pick('visitPlace'),
+                iot_status: pick('iot_iotStatus', 'iotStatus'),
+                device_scale: pick('iot_deviceScale', 'deviceScale'),
+                participants: pick('participants'),
+                visit_target: pick('visitTarget'),
+                company_scale: pick('companySize', 'companyScale'),
+                line_features: pick('iot_lineFeatures', 'lineFeatures'),
+                pain_category: pick('iot_painPoints', 'painCategory'),
+                sales_channel: pick('salesChannel'),
+                demand_summary: pick('demandSummary'),
+                pain_extra_note: pick('painExtraNote'),
+                win_probability: pick('orderProbability', 'winProbability'),
+                opportunity_name: pick('opportunityName'),
+                pain_description: pick('iot_painPointDetails', 'painDescription'),
+                expected_quantity: pick('potentialQuantity', 'expectedQuantity'),
+                fanuc_expectation: pick('fanucExpectation'),
+                production_status: pick('iot_productionStatus', 'productionStatus'),
+                system_architecture: pick('iot_systemArchitecture', 'systemArchitecture'),
+                external_integration: pick('externalIntegration')
+            };
+        } else {
+            // Common Base Fields
+            row = {
+                company_id: pick('companyId'),
+                event_name: pick('eventName'),
+                opportunity_id: pick('opportunityId'),
+                visit_place: pick('visitPlace'),
+                event_content: pick('eventContent'),
+                event_notes: pick('eventNotes'),
+                our_participants: pick('ourParticipants'),
+                client_participants: pick('clientParticipants'),
+                client_questions: pick('clientQuestions'),
+                client_intelligence: pick('clientIntelligence')
+            };
+
+            if (type === 'iot') {
+                Object.assign(row, {
+                    iot_status: pick('iot_iotStatus', 'iotStatus'),
+                    device_scale: pick('iot_deviceScale', 'deviceScale'),
+                    line_features: pick('iot_lineFeatures', 'lineFeatures'),
+                    pain_analysis: pick('iot_painPointAnalysis', 'painAnalysis'),
+                    pain_category: pick('iot_painPoints', 'painCategory'),
+                    pain_description: pick('iot_painPointDetails', 'painDescription'),
+                    production_status: pick('iot_productionStatus', 'productionStatus'),
+                    system_architecture: pick('iot_systemArchitecture', 'systemArchitecture')
+                });
+            } else if (type === 'dt') {
+                Object.assign(row, {
+                    industry: pick('dt_industry', 'industry'),
+                    device_scale: pick('dt_deviceScale', 'deviceScale'),
+                    processing_type: pick('dt_processingType', 'processingType')
+                });
+            }
+        }
+
+        // [Soft Delete] 所有分表共用；還原時傳入 '' 以 NULL 清除
+        const softDelete = (value) => (value === '' ? null : value);
+        row.deleted_time = softDelete(pick('deletedTime'));
+        row.deleted_by = softDelete(pick('deletedBy'));
+
+        Object.keys(row).forEach(col => {
+            if (row[col] === undefined) delete row[col];
+        });
+        return row;
+    }
+
+    /**
+     * 建立新事件紀錄
+     * 若 data.eventId 已存在 (例如 Service 的 Move 流程)，沿用原 ID。
+     */
+    async createEventLog(data, creator) {
+        const type = this.tables[data.eventType] ? data.eventType : 'general';
+        const tableName = this._getTableByType(type);
+        console.log(`📅 [EventLogSqlWriter] 建立新事件: ${data.eventName} (${type}) by ${creator}`);
+
+        const now = new Date().toISOString();
+        const eventId = data.eventId || `EVT${Date.now()}`;
+
+        const row = {
+            ...this._mapDtoToRow(data, type),
+            event_id: eventId,
+            creator: creator,
+            created_time: data.createdTime || now
+        };
+        if (type !== 'summary') {
+            row.last_modified_time = now;
+            row.edit_count = 1;
+        }
+
+        const { error } = await supabase.from(tableName).insert(row);
+        if (error) {
+            throw new Error(`[EventLogSqlWriter] DB Error in ${tableName}: ${error.message}`);
+        }
+
+        return { success: true, id: eventId };
+    }
+
+    /**
+     * 更新事件紀錄
+     * @param {string} eventId
+     * @param {Object} data
+     * @param {string} modifier
+     */
+    async updateEventLog(eventId, data, modifier) {
+        if (!eventId) throw new Error('EventLogSqlWriter: eventId is required');
+        console.log(`📅 [EventLogSqlWriter] 更新事件 ${eventId} by ${modifier}`);
+
+        const found = await this._locate(eventId);
+        if (!found) throw new Error('找不到該筆事件資料');
+
+        const tableName = this._getTableByType(found.type);
+        const row = this._mapDtoToRow(data, found.type);
+
+        if (found.type !== 'summary') {
+            row.last_modified_time = new Date().toISOString();
+            row.edit_count = (parseInt(found.row.edit_count) || 1) + 1;
+        }
+
+        const { error } = await supabase
+            .from(tableName)
+            .update(row)
+            .eq('event_id', eventId);
+
+        if (error) {
+            throw new Error(`[EventLogSqlWriter] DB Error in ${tableName}: ${error.message}`);
+        }
+
+        return { success: true, lastModifiedTime: row.last_modified_time };
+    }
+
+    /**
+     * 刪除事件紀錄
+     * @param {string} eventId
+     * @param {string} [eventType] - 若提供則直接定位資料表，否則掃描所有分表
+     */
+    async deleteEventLog(eventId, eventType) {
+        if (!eventId) throw new Error('EventLogSqlWriter: eventId is required');
+        console.log(`🗑️ [EventLogSqlWriter] 刪除事件 ${eventId} (${eventType || 'auto'})`);
+
+        let tableName;
+        if (eventType && this.tables[eventType]) {
+            tableName = this.tables[eventType];
+        } else {
+            const found = await this._locate(eventId);
+            if (!found) throw new Error('找不到該筆事件資料');
+            tableName = this._getTableByType(found.type);
+        }
+
+        const { error } = await supabase
+            .from(tableName)
+            .delete()
+            .eq('event_id', eventId);
+
+        if (error) {
+            throw new Error(`[EventLogSqlWriter] DB Error in ${tableName}: ${error.message}`);
+        }
+
+        return { success: true };
+    }
+}
+
+module.exports = EventLogSqlWriter;
@@ -45,10 +45,12 @@ class EventLogWriter extends BaseWriter {
      */
     _getFieldsByType(type) {
         const commonFields = this.config.EVENT_LOG_COMMON_FIELDS;
-        if (type === 'iot') return [...commonFields, ...this.config.EVENT_LOG_IOT_FIELDS];
-        if (type === 'dt') return [...commonFields, ...this.config.EVENT_LOG_DT_FIELDS];
+        // [Soft Delete] 刪除欄位固定接在各類型欄位之後
+        const softDeleteFields = this.config.SOFT_DELETE_FIELDS;
+        if (type === 'iot') return [...commonFields, ...this.config.EVENT_LOG_IOT_FIELDS, ...softDeleteFields];
+        if (type === 'dt') return [...commonFields, ...this.config.EVENT_LOG_DT_FIELDS, ...softDeleteFields];
         // General 與 DX 目前只使用 Common Fields
-        return commonFields;
+        return [...commonFields, ...softDeleteFields];
     }
 
     /**
@@ -165,7 +167,7 @@ class EventLogWriter extends BaseWriter {
         });
 
         this.eventLogReader.invalidateCache('eventLogs');
-        return { success: true };
+        return { success: true, lastModifiedTime: now };
     }
 
     /**
@@ -6,6 +6,7 @@ const ContactReader = require('./contact-reader');
 const CompanyReader = require('./company-reader');
 const InteractionReader = require('./interaction-reader');
 const EventLogReader = require('./event-log-reader');
+const EventLogSqlReader = require('./event-log-sql-reader');
 const SystemReader = require('./system-reader');
 const WeeklyBusinessReader = require('./weekly-business-reader');
 const AnnouncementReader = require('./announcement-reader');
@@ -16,6 +17,7 @@ const ContactWriter = require('./contact-writer');
 const OpportunityWriter = require('./opportunity-writer');
 const InteractionWriter = require('./interaction-writer');
 const EventLogWriter = require('./event-log-writer');
+const EventLogSqlWriter = require('./event-log-sql-writer');
 const WeeklyBusinessWriter = require('./weekly-business-writer');
 const AnnouncementWriter = require('./announcement-writer');
 
@@ -28,6 +30,7 @@ module.exports = {
     CompanyReader,
     InteractionReader,
     EventLogReader,
+    EventLogSqlReader,
     SystemReader,
     WeeklyBusinessReader,
     AnnouncementReader,
@@ -37,6 +40,7 @@ module.exports = {
     OpportunityWriter,
     InteractionWriter,
     EventLogWriter,
+    EventLogSqlWriter,
     WeeklyBusinessWriter,
     AnnouncementWriter,
 
@@ -0,0 +1,69 @@
+/**
+ * data/interaction-sql-reader.js
+ * 互動紀錄 SQL Reader
+ * * @version 5.4.0 (Phase 5 - SQL Data Sources)
+ * @date 2026-01-30
+ * @description 對應 InteractionReader 的介面 (Raw Data Access)，資料來源為 interactions 資料表。
+ * rowIndex = interaction_id (見 BaseSqlReader)。
+ */
+
+const BaseSqlReader = require('./base-sql-reader');
+const InteractionReader = require('./interaction-reader');
+
+// DTO Key -> SQL Column (Reader / Writer 共用)
+const COLUMN_MAP = {
+    interactionId: 'interaction_id',
+    opportunityId: 'opportunity_id',
+    interactionTime: 'interaction_time',
+    eventType: 'event_type',
+    eventTitle: 'event_title',
+    contentSummary: 'content_summary',
+    participants: 'participants',
+    nextAction: 'next_action',
+    attachmentLink: 'attachment_link',
+    calendarEventId: 'calendar_event_id',
+    recorder: 'recorder',
+    createdTime: 'created_time',
+    companyId: 'company_id'
+};
+
+class InteractionSqlReader extends BaseSqlReader {
+    constructor() {
+        super();
+        this.tableName = 'interactions';
+    }
+
+    static get COLUMN_MAP() {
+        return COLUMN_MAP;
+    }
+
+    /**
+     * 取得所有互動紀錄 (Raw Data)
+     * @returns {Promise<Array<object>>}
+     */
+    async getInteractions() {
+        const rowParser = (row) => {
+            const interaction = this._mapRow(row, COLUMN_MAP);
+            interaction.rowIndex = interaction.interactionId;
+            return interaction;
+        };
+
+        return this._fetchAndCache('interactions', this.tableName, rowParser);
+    }
+
+    /**
+     * [Deprecated] 搜尋邏輯已移至 Service (與 Sheet 版行為一致)
+     */
+    async searchAllInteractions(query, page = 1, fetchAll = false) {
+        return InteractionReader.prototype.searchAllInteractions.call(this, query, page, fetchAll);
+    }
+
+    /**
+     * [Deprecated] 邏輯已移至 Service (與 Sheet 版行為一致)
+     */
+    async getRecentInteractions(options) {
+        return InteractionReader.prototype.getRecentInteractions.call(this, options);
+    }
+}
+
+module.exports = InteractionSqlReader;
@@ -0,0 +1,105 @@
+/**
+ * data/interaction-sql-writer.js
+ * 互動紀錄 SQL Writer
+ * * @version 5.4.0 (Phase 5 - SQL Data Sources)
+ * @date 2026-01-30
+ * @description 對應 InteractionWriter 的介面 (以 interactionId 定位)。
+ */
+
+const BaseSqlWriter = require('./base-sql-writer');
+
+class InteractionSqlWriter extends BaseSqlWriter {
+    /**
+     * @param {Object} interactionReader - 用於清除快取的 Reader 實例
+     */
+    constructor(interactionReader) {
+        super();
+        if (!interactionReader) {
+            throw new Error('InteractionSqlWriter 需要 InteractionReader 的實例');
+        }
+        this.interactionReader = interactionReader;
+        this.tableName = 'interactions';
+    }
+
+    /**
+     * 建立新互動紀錄
+     */
+    async createInteraction(data, recorder) {
+        console.log(`💬 [InteractionSqlWriter] 建立新互動: ${data.eventTitle} by ${recorder}`);
+        const now = new Date().toISOString();
+        const interactionId = `INT${Date.now()}`;
+
+        await this._insert(this.tableName, {
+            interaction_id: interactionId,
+            opportunity_id: data.opportunityId || '',
+            interaction_time: data.interactionTime || now,
+            event_type: data.eventType || '',
+            event_title: data.eventTitle || '',
+            content_summary: data.contentSummary || '',
+            participants: data.participants || '',
+            next_action: data.nextAction || '',
+            attachment_link: data.attachmentLink || '',
+            calendar_event_id: data.calendarEventId || '',
+            recorder: recorder,
+            created_time: now,
+            company_id: data.companyId || ''
+        });
+
+        this.interactionReader.invalidateCache('interactions');
+        return { success: true, id: interactionId };
+    }
+
+    /**
+     * 更新互動紀錄
+     * 不允許修改 ID, OpportunityID, CompanyID, Recorder, CreateTime (與 Sheet 版相同)
+     */
+    async updateInteraction(id, data, modifier) {
+        console.log(`💬 [InteractionSqlWriter] 更新互動紀錄: ${id} by ${modifier}`);
+
+        const row = {};
+        if (data.interactionTime !== undefined) row.interaction_time = data.interactionTime;
+        if (data.eventType !== undefined) row.event_type = data.eventType;
+        if (data.eventTitle !== undefined) row.event_title = data.eventTitle;
+        if (data.contentSummary !== undefined) row.content_summary = data.contentSummary;
+        if (data.participants !== undefined) row.participants = data.participants;
+        if (data.nextAction !== undefined) row.next_action = data.nextAction;
+        if (data.attachmentLink !== undefined) row.attachment_link = data.attachmentLink;
+
+        if (Object.keys(row).length > 0) {
+            await this._updateByKey(this.tableName, 'interaction_id', id, row);
+        }
+
+        this.interactionReader.invalidateCache('interactions');
+        return { success: true };
+    }
+
+    /**
+     * [Merge] 公司合併：將關聯公司ID 由 fromCompanyId 批次改為 toCompanyId
+     */
+    async reassignCompany(fromCompanyId, toCompanyId) {
+        const { data, error } = await this.supabase
+            .from(this.tableName)
+            .update({ company_id: toCompanyId })
+            .eq('company_id', fromCompanyId)
+            .select('interaction_id');
+
+        if (error) throw this._dbError(this.tableName, error);
+
+        this.interactionReader.invalidateCache('interactions');
+        return { success: true, count: (data || []).length };
+    }
+
+    /**
+     * 刪除互動紀錄
+     */
+    async deleteInteraction(id, modifier) {
+        console.log(`🗑️ [InteractionSqlWriter] 刪除互動紀錄: ${id} by ${modifier}`);
+
+        await this._deleteByKey(this.tableName, 'interaction_id', id);
+
+        this.interactionReader.invalidateCache('interactions');
+        return { success: true };
+    }
+}
+
+module.exports = InteractionSqlWriter;
@@ -111,6 +111,40 @@ class InteractionWriter extends BaseWriter {
         return { success: true };
     }
 
+    /**
+     * [Merge] 公司合併：將關聯公司ID 由 fromCompanyId 批次改為 toCompanyId
+     * updateInteraction 不開放修改公司ID，此方法僅供合併流程使用。
+     * @returns {Promise<{success: boolean, count: number}>}
+     */
+    async reassignCompany(fromCompanyId, toCompanyId) {
+        const sheetName = this.config.SHEETS.INTERACTIONS;
+
+        // ★★★ 使用 this.targetSpreadsheetId ★★★
+        const response = await this.sheets.spreadsheets.values.get({
+            spreadsheetId: this.targetSpreadsheetId,
+            range: `${sheetName}!M:M`
+        });
+
+        // 第 1 列為標題
+        const rows = response.data.values || [];
+        const data = [];
+        for (let i = 1; i < rows.length; i++) {
+            if (rows[i] && rows[i][0] === fromCompanyId) {
+                data.push({ range: `${sheetName}!M${i + 1}`, values: [[toCompanyId]] });
+            }
+        }
+
+        if (data.length > 0) {
+            console.log(`💬 [InteractionWriter] 公司合併: ${fromCompanyId} -> ${toCompanyId} (${data.length} 筆)`);
+            await this.sheets.spreadsheets.values.batchUpdate({
+                spreadsheetId: this.targetSpreadsheetId,
+                resource: { valueInputOption: 'RAW', data }
+            });
+            this.interactionReader.invalidateCache('interactions');
+        }
+        return { success: true, count: data.length };
+    }
+
     /**
      * 刪除互動紀錄
      */
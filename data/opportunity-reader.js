@@ -4,6 +4,7 @@
  * * @version 6.1.2 (Fix: Remove Aggregation Logic)
  * @date 2026-01-27
  * @description 實作 Strict Mode，移除內部 require 與聚合邏輯，回歸純粹的資料讀取職責。
+ * [Soft Delete] getOpportunities 濾除「已刪除」；資源回收桶改用 getDeletedOpportunities。
  */
 
 const BaseReader = require('./base-reader');
@@ -42,11 +43,43 @@ class OpportunityReader extends BaseReader {
     }
 
     /**
-     * 取得所有機會案件 (核心函式)
+     * 取得所有機會案件 (核心函式，不含已封存/已刪除)
      * @returns {Promise<Array<object>>} - 保證回傳陣列
      */
     async getOpportunities() {
-        const cacheKey = 'opportunities';
+        const { ARCHIVED, DELETED } = this.config.CONSTANTS.OPPORTUNITY_STATUS;
+        const opportunities = await this._readOpportunities(opp => opp.currentStatus !== ARCHIVED && opp.currentStatus !== DELETED);
+
+        // 寫入快取
+        if (this.cache) {
+            this.cache['opportunities'] = opportunities;
+        }
+
+        return opportunities;
+    }
+
+    /**
+     * [Soft Delete] 取得資源回收桶中的機會案件
+     * @returns {Promise<Array<object>>}
+     */
+    async getDeletedOpportunities() {
+        const { DELETED } = this.config.CONSTANTS.OPPORTUNITY_STATUS;
+        return this._readOpportunities(opp => opp.currentStatus === DELETED);
+    }
+
+    /**
+     * 取得所有機會案件 (含已封存/已刪除，只讀取一次工作表；供稽核等依 rowIndex 定位使用)
+     * @returns {Promise<Array<object>>}
+     */
+    async getAllOpportunities() {
+        return this._readOpportunities(() => true);
+    }
+
+    /**
+     * 內部輔助：讀取並解析機會案件工作表 (每次皆讀取最新資料)
+     * @param {Function} predicate - 保留條件
+     */
+    async _readOpportunities(predicate) {
         const range = `${this.config.SHEETS.OPPORTUNITIES}!A:ZZ`;
 
         try {
@@ -115,10 +148,14 @@ class OpportunityReader extends BaseReader {
                     lastUpdateTime: this._getValue(row, headerMap, FIELD_NAMES.LAST_UPDATE_TIME),
                     lastModifier: this._getValue(row, headerMap, FIELD_NAMES.LAST_MODIFIER),
                     
-                    parentOpportunityId: this._getValue(row, headerMap, FIELD_NAMES.PARENT_ID)
+                    parentOpportunityId: this._getValue(row, headerMap, FIELD_NAMES.PARENT_ID),
+
+                    deletedTime: this._getValue(row, headerMap, FIELD_NAMES.DELETED_TIME),
+                    deletedBy: this._getValue(row, headerMap, FIELD_NAMES.DELETED_BY),
+                    previousStatus: this._getValue(row, headerMap, FIELD_NAMES.PREVIOUS_STATUS)
                 };
                 
-                if (opp.currentStatus !== this.config.CONSTANTS.OPPORTUNITY_STATUS.ARCHIVED) {
+                if (predicate(opp)) {
                     opportunities.push(opp);
                 }
             }
@@ -130,11 +167,6 @@ class OpportunityReader extends BaseReader {
                 return new Date(timeB) - new Date(timeA);
             });
 
-            // 寫入快取
-            if (this.cache) {
-                this.cache[cacheKey] = opportunities;
-            }
-
             return opportunities;
 
         } catch (error) {
@@ -167,6 +199,8 @@ class OpportunityReader extends BaseReader {
         if (filters.assignee) opportunities = opportunities.filter(o => o.assignee === filters.assignee);
         if (filters.type) opportunities = opportunities.filter(o => o.opportunityType === filters.type);
         if (filters.stage) opportunities = opportunities.filter(o => o.currentStage === filters.stage);
+        if (filters.source) opportunities = opportunities.filter(o => o.opportunitySource === filters.source);
+        if (filters.year) opportunities = opportunities.filter(o => new Date(o.createdTime).getFullYear() === Number(filters.year));
         
         // 3. Sorting (若有指定排序選項則執行，否則維持 getOpportunities 的預設排序)
         if (sortOptions && sortOptions.field) {
@@ -0,0 +1,112 @@
+/**
+ * data/opportunity-sql-reader.js
+ * 機會案件 SQL Reader
+ * * @version 5.4.0 (Phase 5 - SQL Data Sources)
+ * @date 2026-01-30
+ * @description 對應 OpportunityReader 的介面，資料來源為 opportunities 資料表。
+ * rowIndex = opportunity_id (見 BaseSqlReader)。
+ * [Soft Delete] 快取保存完整資料表，getOpportunities / getDeletedOpportunities 再依狀態過濾。
+ */
+
+const BaseSqlReader = require('./base-sql-reader');
+const OpportunityReader = require('./opportunity-reader');
+
+// DTO Key -> SQL Column (Reader / Writer 共用)
+const COLUMN_MAP = {
+    opportunityId: 'opportunity_id',
+    opportunityName: 'opportunity_name',
+    customerCompany: 'customer_company',
+    salesModel: 'sales_model',
+    salesChannel: 'sales_channel',
+    channelContact: 'channel_contact',
+    mainContact: 'main_contact',
+    assignee: 'assignee',
+    opportunityType: 'opportunity_type',
+    opportunitySource: 'opportunity_source',
+    currentStage: 'current_stage',
+    expectedCloseDate: 'expected_close_date',
+    opportunityValue: 'opportunity_value',
+    opportunityValueType: 'opportunity_value_type',
+    orderProbability: 'order_probability',
+    potentialSpecification: 'potential_specification',
+    deviceScale: 'device_scale',
+    notes: 'notes',
+    driveFolderLink: 'drive_folder_link',
+    currentStatus: 'current_status',
+    stageHistory: 'stage_history',
+    createdTime: 'created_time',
+    lastUpdateTime: 'last_update_time',
+    lastModifier: 'last_modifier',
+    parentOpportunityId: 'parent_opportunity_id',
+    deletedTime: 'deleted_time',
+    deletedBy: 'deleted_by',
+    previousStatus: 'previous_status'
+};
+
+class OpportunitySqlReader extends BaseSqlReader {
+    constructor() {
+        super();
+        this.tableName = 'opportunities';
+    }
+
+    static get COLUMN_MAP() {
+        return COLUMN_MAP;
+    }
+
+    /**
+     * 取得所有機會案件 (核心函式，不含已封存/已刪除)
+     * @returns {Promise<Array<object>>} - 保證回傳陣列
+     */
+    async getOpportunities() {
+        const { ARCHIVED, DELETED } = this.config.CONSTANTS.OPPORTUNITY_STATUS;
+        // Sheet 版每次回傳新陣列 (searchOpportunities 會就地排序)，filter 同時避免污染快取
+        const opportunities = await this._getAllOpportunities();
+        return opportunities.filter(opp => opp.currentStatus !== ARCHIVED && opp.currentStatus !== DELETED);
+    }
+
+    /**
+     * [Soft Delete] 取得資源回收桶中的機會案件
+     * @returns {Promise<Array<object>>}
+     */
+    async getDeletedOpportunities() {
+        const { DELETED } = this.config.CONSTANTS.OPPORTUNITY_STATUS;
+        const opportunities = await this._getAllOpportunities();
+        return opportunities.filter(opp => opp.currentStatus === DELETED);
+    }
+
+    /**
+     * 取得所有機會案件 (含已封存/已刪除)
+     * @returns {Promise<Array<object>>}
+     */
+    async getAllOpportunities() {
+        return [...await this._getAllOpportunities()];
+    }
+
+    async _getAllOpportunities() {
+        const rowParser = (row) => {
+            const opp = this._mapRow(row, COLUMN_MAP);
+            opp.rowIndex = opp.opportunityId;
+            // 與 Sheet 相同：'主要通路/下單方' 同時對應 channelDetails
+            opp.channelDetails = opp.salesChannel;
+            return opp;
+        };
+
+        const sorter = (a, b) => {
+            const timeA = a.lastUpdateTime || a.createdTime;
+            const timeB = b.lastUpdateTime || b.createdTime;
+            return new Date(timeB) - new Date(timeA);
+        };
+
+        return this._fetchAndCache('opportunities', this.tableName, rowParser, sorter);
+    }
+
+    /**
+     * 搜尋並分頁機會案件
+     * 邏輯與 Sheet 版完全相同 (僅依賴 getOpportunities)，直接沿用
+     */
+    async searchOpportunities(query, page = 1, filters = {}, sortOptions = null) {
+        return OpportunityReader.prototype.searchOpportunities.call(this, query, page, filters, sortOptions);
+    }
+}
+
+module.exports = OpportunitySqlReader;
@@ -0,0 +1,160 @@
+/**
+ * data/opportunity-sql-writer.js
+ * 機會案件 SQL Writer
+ * * @version 5.4.0 (Phase 5 - SQL Data Sources)
+ * @date 2026-01-30
+ * @description 對應 OpportunityWriter 的介面 (含機會-聯絡人關聯)。
+ * rowIndex 參數即 opportunity_id (由 OpportunitySqlReader 提供)。
+ */
+
+const BaseSqlWriter = require('./base-sql-writer');
+const OpportunitySqlReader = require('./opportunity-sql-reader');
+
+const LINK_TABLE = 'opportunity_contact_links';
+
+class OpportunitySqlWriter extends BaseSqlWriter {
+    /**
+     * @param {Object} opportunityReader - 用於清除快取的 Reader
+     * @param {Object} contactReader - 用於清除關聯表快取的 Reader
+     */
+    constructor(opportunityReader, contactReader) {
+        super();
+        if (!opportunityReader || !contactReader) {
+            throw new Error('OpportunitySqlWriter 需要 OpportunityReader 和 ContactReader 的實例');
+        }
+        this.opportunityReader = opportunityReader;
+        this.contactReader = contactReader;
+        this.tableName = 'opportunities';
+    }
+
+    /**
+     * 將更新資料轉為 SQL Row
+     * channelDetails 與 salesChannel 對應同一欄位 (與 Sheet 版相同)
+     */
+    _toOpportunityRow(data) {
+        const row = this._toRow(data, OpportunitySqlReader.COLUMN_MAP);
+        if (data.channelDetails !== undefined) row.sales_channel = data.channelDetails;
+        delete row.opportunity_id;
+        // [Soft Delete] 還原時傳入 '' (Sheet 版清空儲存格)，SQL 以 NULL 表示
+        ['deleted_time', 'deleted_by', 'previous_status'].forEach(column => {
+            if (row[column] === '') row[column] = null;
+        });
+        return row;
+    }
+
+    async createOpportunity(opportunityData, creator) {
+        console.log(`💼 [OpportunitySqlWriter] 建立新機會案件: ${opportunityData.opportunityName} by ${creator}`);
+
+        const now = new Date().toISOString();
+        const newId = `OPP${Date.now()}`;
+
+        const row = {
+            ...this._toOpportunityRow(opportunityData),
+            opportunity_id: newId,
+            sales_channel: opportunityData.salesChannel || opportunityData.channelDetails,
+            current_status: '進行中',
+            stage_history: opportunityData.stageHistory || JSON.stringify([]),
+            created_time: now,
+            last_update_time: now,
+            last_modifier: creator
+        };
+
+        await this._insert(this.tableName, row);
+
+        this.opportunityReader.invalidateCache('opportunities');
+        return { success: true, id: newId };
+    }
+
+    async updateOpportunity(rowIndex, updateData, modifier) {
+        if (!rowIndex) throw new Error(`無效的 opportunityId: ${rowIndex}`);
+        console.log(`📝 [OpportunitySqlWriter] 更新機會案件 - ${rowIndex} by ${modifier}`);
+
+        const now = new Date().toISOString();
+        const row = {
+            ...this._toOpportunityRow(updateData),
+            last_update_time: now,
+            last_modifier: modifier
+        };
+
+        await this._updateByKey(this.tableName, 'opportunity_id', rowIndex, row);
+
+        this.opportunityReader.invalidateCache('opportunities');
+        console.log('✅ [OpportunitySqlWriter] 機會案件更新成功');
+
+        return { success: true, data: { rowIndex, ...updateData, lastUpdateTime: now } };
+    }
+
+    async batchUpdateOpportunities(updates) {
+        console.log('📝 [OpportunitySqlWriter] 執行批量更新機會案件...');
+        const now = new Date().toISOString();
+        let successCount = 0;
+
+        for (const update of updates) {
+            const { data: updateData, modifier } = update;
+            const row = { last_update_time: now, last_modifier: modifier };
+
+            if (updateData.currentStage !== undefined) row.current_stage = updateData.currentStage;
+            if (updateData.stageHistory !== undefined) row.stage_history = updateData.stageHistory;
+            if (updateData.customerCompany !== undefined) row.customer_company = updateData.customerCompany;
+            if (updateData.salesChannel !== undefined) row.sales_channel = updateData.salesChannel;
+
+            try {
+                await this._updateByKey(this.tableName, 'opportunity_id', update.rowIndex, row);
+                successCount++;
+            } catch (error) {
+                console.warn(`⚠️ [OpportunitySqlWriter] 批量更新略過 ${update.rowIndex}: ${error.message}`);
+            }
+        }
+
+        this.opportunityReader.invalidateCache('opportunities');
+        console.log(`✅ [OpportunitySqlWriter] 批量更新完成`);
+        return { success: true, successCount, failCount: updates.length - successCount };
+    }
+
+    async deleteOpportunity(rowIndex, modifier) {
+        if (!rowIndex) throw new Error(`無效的 opportunityId: ${rowIndex}`);
+        console.log(`🗑️ [OpportunitySqlWriter] 刪除機會案件 - ${rowIndex} by ${modifier}`);
+
+        await this._deleteByKey(this.tableName, 'opportunity_id', rowIndex);
+
+        this.opportunityReader.invalidateCache('opportunities');
+        console.log('✅ [OpportunitySqlWriter] 機會案件刪除成功');
+        return { success: true };
+    }
+
+    async linkContactToOpportunity(opportunityId, contactId, modifier) {
+        console.log(`🔗 [OpportunitySqlWriter] 建立關聯: 機會 ${opportunityId} <-> 聯絡人 ${contactId}`);
+        const linkId = `LNK${Date.now()}`;
+
+        await this._insert(LINK_TABLE, {
+            link_id: linkId,
+            opportunity_id: opportunityId,
+            contact_id: contactId,
+            create_time: new Date().toISOString(),
+            status: 'active',
+            creator: modifier
+        });
+
+        this.contactReader.invalidateCache('oppContactLinks');
+        return { success: true, linkId: linkId };
+    }
+
+    async deleteContactLink(opportunityId, contactId) {
+        console.log(`🗑️ [OpportunitySqlWriter] 永久刪除關聯: 機會 ${opportunityId} <-> 聯絡人 ${contactId}`);
+
+        const { data, error } = await this.supabase
+            .from(LINK_TABLE)
+            .delete()
+            .eq('opportunity_id', opportunityId)
+            .eq('contact_id', contactId)
+            .select('link_id');
+
+        if (error) throw this._dbError(LINK_TABLE, error);
+        if (!data || data.length === 0) throw new Error('找不到對應的關聯紀錄');
+
+        this.contactReader.invalidateCache('oppContactLinks');
+        return { success: true, rowIndex: data[0].link_id };
+    }
+}
+
+module.exports = OpportunitySqlWriter;
@@ -177,6 +177,11 @@ class OpportunityWriter extends BaseWriter {
 
         if(updateData.createdTime !== undefined) setValue(FIELD_NAMES.CREATED_TIME, updateData.createdTime);
 
+        // [Soft Delete] 刪除時記錄刪除時間、刪除者與刪除前狀態，還原時清空
+        if(updateData.deletedTime !== undefined) setValue(FIELD_NAMES.DELETED_TIME, updateData.deletedTime);
+        if(updateData.deletedBy !== undefined) setValue(FIELD_NAMES.DELETED_BY, updateData.deletedBy);
+        if(updateData.previousStatus !== undefined) setValue(FIELD_NAMES.PREVIOUS_STATUS, updateData.previousStatus);
+
         setValue(FIELD_NAMES.LAST_UPDATE_TIME, now);
         setValue(FIELD_NAMES.LAST_MODIFIER, modifier);
         
@@ -193,7 +198,7 @@ class OpportunityWriter extends BaseWriter {
         this.opportunityReader.invalidateCache('opportunities');
         console.log('✅ [OpportunityWriter] 機會案件更新成功');
 
-        return { success: true, data: { rowIndex, ...updateData } };
+        return { success: true, data: { rowIndex, ...updateData, lastUpdateTime: now } };
     }
 
     async batchUpdateOpportunities(updates) {
@@ -202,25 +207,23 @@ class OpportunityWriter extends BaseWriter {
         
         // ★★★ 使用 this.targetSpreadsheetId ★★★
         const headerRange = `${this.config.SHEETS.OPPORTUNITIES}!A1:ZZ1`;
-        const headerResponse = await this.sheets.spreadsheets.values.get({
-            spreadsheetId: this.targetSpreadsheetId, 
-            range: headerRange
+        const rowRanges = updates.map(update => `${this.config.SHEETS.OPPORTUNITIES}!A${update.rowIndex}:ZZ${update.rowIndex}`);
+
+        // 標題列與所有目標列以一次 batchGet 讀取 (逐列讀取在大量更新時會超過 API 配額)
+        const response = await this.sheets.spreadsheets.values.batchGet({
+            spreadsheetId: this.targetSpreadsheetId,
+            ranges: [headerRange, ...rowRanges]
         });
-        const headerValues = headerResponse.data.values ? headerResponse.data.values[0] : [];
+        const [headerRangeValues, ...rowRangeValues] = response.data.valueRanges;
+        const headerValues = headerRangeValues.values ? headerRangeValues.values[0] : [];
         const map = {};
         headerValues.forEach((title, index) => { if(title) map[title.trim()] = index; });
 
         const now = new Date().toISOString();
 
-        const data = await Promise.all(updates.map(async (update) => {
-            const range = `${this.config.SHEETS.OPPORTUNITIES}!A${update.rowIndex}:ZZ${update.rowIndex}`;
-            
-            // ★★★ 使用 this.targetSpreadsheetId ★★★
-            const response = await this.sheets.spreadsheets.values.get({ 
-                spreadsheetId: this.targetSpreadsheetId, 
-                range 
-            });
-            const currentRow = response.data.values ? response.data.values[0] : [];
+        const data = updates.map((update, i) => {
+            const range = rowRanges[i];
+            const currentRow = rowRangeValues[i].values ? rowRangeValues[i].values[0] : [];
             
             if (currentRow.length === 0) return null;
             while (currentRow.length < headerValues.length) currentRow.push('');
@@ -235,12 +238,13 @@ class OpportunityWriter extends BaseWriter {
             if (updateData.currentStage !== undefined) setVal(FIELD_NAMES.STAGE, updateData.currentStage);
             if (updateData.stageHistory !== undefined) setVal(FIELD_NAMES.HISTORY, updateData.stageHistory);
             if (updateData.customerCompany !== undefined) setVal(FIELD_NAMES.CUSTOMER, updateData.customerCompany);
+            if (updateData.salesChannel !== undefined) setVal(FIELD_NAMES.CHANNEL, updateData.salesChannel);
 
             setVal(FIELD_NAMES.LAST_UPDATE_TIME, now);
             setVal(FIELD_NAMES.LAST_MODIFIER, modifier);
             
             return { range, values: [currentRow] };
-        }));
+        });
 
         const validData = data.filter(d => d !== null);
         if (validData.length === 0) {
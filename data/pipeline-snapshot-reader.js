@@ -0,0 +1,52 @@
+/**
+ * data/pipeline-snapshot-reader.js
+ * 機會快照讀取器
+ * * @version 1.0.0
+ * @date 2026-02-10
+ * @description [Standard A] 僅讀取「機會快照」工作表原始資料，不做分組與比較 (由 PipelineSnapshotService 負責)。
+ * 欄位順序見 config.PIPELINE_SNAPSHOT_FIELDS。
+ */
+
+const BaseReader = require('./base-reader');
+
+class PipelineSnapshotReader extends BaseReader {
+    /**
+     * @param {Object} sheets - Google Sheets API Client
+     * @param {string} spreadsheetId - [Required] 指定要讀取的 Sheet ID
+     */
+    constructor(sheets, spreadsheetId) {
+        super(sheets, spreadsheetId);
+    }
+
+    /**
+     * 取得所有快照列 (Raw Data)
+     * @returns {Promise<Array<object>>}
+     */
+    async getSnapshotRows() {
+        const cacheKey = 'pipelineSnapshots';
+        const range = `${this.config.SHEETS.PIPELINE_SNAPSHOTS}!A:N`;
+
+        // A:快照ID, B:快照時間, C:週次, D:快照類型, E:機會ID, F:機會名稱, G:終端客戶,
+        // H:負責業務, I:目前階段, J:機會價值, K:下單機率, L:機率, M:預計結案日, N:建立者
+        const rowParser = (row) => ({
+            snapshotId: row[0] || '',
+            snapshotTime: row[1] || '',
+            weekId: row[2] || '',
+            type: row[3] || '',
+            opportunityId: row[4] || '',
+            opportunityName: row[5] || '',
+            customerCompany: row[6] || '',
+            assignee: row[7] || '',
+            currentStage: row[8] || '',
+            opportunityValue: row[9] || '',
+            orderProbability: row[10] || '',
+            probability: row[11] || '',
+            expectedCloseDate: row[12] || '',
+            createdBy: row[13] || ''
+        });
+
+        return this._fetchAndCache(cacheKey, range, rowParser);
+    }
+}
+
+module.exports = PipelineSnapshotReader;
@@ -0,0 +1,55 @@
+/**
+ * data/pipeline-snapshot-sql-reader.js
+ * 機會快照 SQL Reader
+ * * @version 1.0.0
+ * @date 2026-02-10
+ * @description 對應 PipelineSnapshotReader 的介面，資料來源為 pipeline_snapshots 資料表。
+ * 快照為 Append-only，rowIndex 以「快照ID:機會ID」保留一致性。
+ */
+
+const BaseSqlReader = require('./base-sql-reader');
+
+// DTO Key -> SQL Column (Reader / Writer 共用)
+const COLUMN_MAP = {
+    snapshotId: 'snapshot_id',
+    snapshotTime: 'snapshot_time',
+    weekId: 'week_id',
+    type: 'snapshot_type',
+    opportunityId: 'opportunity_id',
+    opportunityName: 'opportunity_name',
+    customerCompany: 'customer_company',
+    assignee: 'assignee',
+    currentStage: 'current_stage',
+    opportunityValue: 'opportunity_value',
+    orderProbability: 'order_probability',
+    probability: 'probability',
+    expectedCloseDate: 'expected_close_date',
+    createdBy: 'created_by'
+};
+
+class PipelineSnapshotSqlReader extends BaseSqlReader {
+    constructor() {
+        super();
+        this.tableName = 'pipeline_snapshots';
+    }
+
+    static get COLUMN_MAP() {
+        return COLUMN_MAP;
+    }
+
+    /**
+     * 取得所有快照列 (Raw Data)
+     * @returns {Promise<Array<object>>}
+     */
+    async getSnapshotRows() {
+        const rowParser = (row) => {
+            const entry = this._mapRow(row, COLUMN_MAP);
+            entry.rowIndex = `${entry.snapshotId}:${entry.opportunityId}`;
+            return entry;
+        };
+
+        return this._fetchAndCache('pipelineSnapshots', this.tableName, rowParser);
+    }
+}
+
+module.exports = PipelineSnapshotSqlReader;
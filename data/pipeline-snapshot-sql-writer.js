@@ -0,0 +1,44 @@
+/**
+ * data/pipeline-snapshot-sql-writer.js
+ * 機會快照 SQL Writer
+ * * @version 1.0.0
+ * @date 2026-02-10
+ * @description 對應 PipelineSnapshotWriter 的介面 (Append-only)。
+ * 資料表需有唯一鍵 (snapshot_id, opportunity_id)；重複寫入同一份快照 (多實例同時建立排程快照) 時略過已存在的列。
+ */
+
+const BaseSqlWriter = require('./base-sql-writer');
+const PipelineSnapshotSqlReader = require('./pipeline-snapshot-sql-reader');
+
+class PipelineSnapshotSqlWriter extends BaseSqlWriter {
+    /**
+     * @param {Object} snapshotReader - 用於清除快取的 Reader
+     */
+    constructor(snapshotReader) {
+        super();
+        if (!snapshotReader) {
+            throw new Error('PipelineSnapshotSqlWriter 需要 PipelineSnapshotReader 的實例');
+        }
+        this.snapshotReader = snapshotReader;
+        this.tableName = 'pipeline_snapshots';
+    }
+
+    /**
+     * 批次追加快照列
+     * @param {Array<Object>} rows
+     */
+    async appendRows(rows) {
+        if (!rows || rows.length === 0) return { success: true, count: 0 };
+
+        const records = rows.map(row => this._toRow(row, PipelineSnapshotSqlReader.COLUMN_MAP));
+        const { error } = await this.supabase
+            .from(this.tableName)
+            .upsert(records, { onConflict: 'snapshot_id,opportunity_id', ignoreDuplicates: true });
+        if (error) throw this._dbError(this.tableName, error);
+
+        this.snapshotReader.invalidateCache('pipelineSnapshots');
+        return { success: true, count: records.length };
+    }
+}
+
+module.exports = PipelineSnapshotSqlWriter;
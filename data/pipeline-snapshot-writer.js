@@ -0,0 +1,52 @@
+/**
+ * data/pipeline-snapshot-writer.js
+ * 機會快照寫入器
+ * * @version 1.0.0
+ * @date 2026-02-10
+ * @description [Standard S - Pure Write] 快照只允許追加 (Append-only)，建立後不再修改。
+ * 快照內容由 PipelineSnapshotService 整理，此處只負責寫入。
+ */
+
+const BaseWriter = require('./base-writer');
+
+class PipelineSnapshotWriter extends BaseWriter {
+    /**
+     * @param {Object} sheets - Google Sheets API Client
+     * @param {string} spreadsheetId - [Required] 指定要寫入的 Sheet ID
+     * @param {Object} snapshotReader - 用於清除快取的 Reader
+     */
+    constructor(sheets, spreadsheetId, snapshotReader) {
+        super(sheets, spreadsheetId);
+        if (!snapshotReader) {
+            throw new Error('PipelineSnapshotWriter 需要 PipelineSnapshotReader 的實例');
+        }
+        this.snapshotReader = snapshotReader;
+    }
+
+    /**
+     * 批次追加快照列
+     * @param {Array<Object>} rows - { snapshotId, snapshotTime, weekId, type, opportunityId, opportunityName, customerCompany,
+     *                                 assignee, currentStage, opportunityValue, orderProbability, probability, expectedCloseDate, createdBy }
+     */
+    async appendRows(rows) {
+        if (!rows || rows.length === 0) return { success: true, count: 0 };
+
+        const values = rows.map(r => [
+            r.snapshotId, r.snapshotTime, r.weekId, r.type, r.opportunityId, r.opportunityName, r.customerCompany,
+            r.assignee, r.currentStage, r.opportunityValue, r.orderProbability, r.probability, r.expectedCloseDate, r.createdBy || ''
+        ]);
+
+        // 使用 RAW 避免階段值與日期字串被 Sheet 轉型
+        await this.sheets.spreadsheets.values.append({
+            spreadsheetId: this.targetSpreadsheetId,
+            range: `${this.config.SHEETS.PIPELINE_SNAPSHOTS}!A:N`,
+            valueInputOption: 'RAW',
+            resource: { values }
+        });
+
+        this.snapshotReader.invalidateCache('pipelineSnapshots');
+        return { success: true, count: values.length };
+    }
+}
+
+module.exports = PipelineSnapshotWriter;
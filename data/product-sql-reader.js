@@ -0,0 +1,72 @@
+/**
+ * data/product-sql-reader.js
+ * 市場商品資料 SQL Reader
+ * * @version 5.4.0 (Phase 5 - SQL Data Sources)
+ * @date 2026-01-30
+ * @description 對應 ProductReader 的介面，資料來源為 products 資料表。
+ * rowIndex = product_id (見 BaseSqlReader)。
+ */
+
+const BaseSqlReader = require('./base-sql-reader');
+
+// DTO Key -> SQL Column (Reader / Writer 共用)
+const COLUMN_MAP = {
+    id: 'product_id',
+    name: 'name',
+    category: 'category',
+    group: 'product_group',
+    combination: 'combination',
+    unit: 'unit',
+    spec: 'spec',
+
+    cost: 'cost',
+    priceMtb: 'price_mtb',
+    priceSi: 'price_si',
+    priceMtu: 'price_mtu',
+
+    supplier: 'supplier',
+    series: 'series',
+    interface: 'interface',
+    property: 'property',
+    aspect: 'aspect',
+    description: 'description',
+
+    status: 'status',
+    creator: 'creator',
+    createTime: 'create_time',
+    lastModifier: 'last_modifier',
+    lastUpdateTime: 'last_update_time'
+};
+
+class ProductSqlReader extends BaseSqlReader {
+    constructor() {
+        super();
+        this.tableName = 'products';
+        this.cacheKey = 'marketProducts';
+    }
+
+    static get COLUMN_MAP() {
+        return COLUMN_MAP;
+    }
+
+    /**
+     * 讀取所有市場商品資料
+     */
+    async getAllProducts() {
+        return this._fetchAndCache(this.cacheKey, this.tableName, (row) => this._parseRow(row));
+    }
+
+    /**
+     * 解析單一列資料
+     */
+    _parseRow(row) {
+        if (!row.product_id && !row.name) return null;
+
+        const product = this._mapRow(row, COLUMN_MAP);
+        product.rowIndex = product.id;
+        product.status = product.status || '上架';
+        return product;
+    }
+}
+
+module.exports = ProductSqlReader;
@@ -0,0 +1,97 @@
+/**
+ * data/product-sql-writer.js
+ * 市場商品資料 SQL Writer
+ * * @version 5.4.0 (Phase 5 - SQL Data Sources)
+ * @date 2026-01-30
+ * @description 對應 ProductWriter 的介面。
+ * rowIndex 參數即 product_id (由 ProductSqlReader 提供)。
+ */
+
+const BaseSqlWriter = require('./base-sql-writer');
+const ProductSqlReader = require('./product-sql-reader');
+
+class ProductSqlWriter extends BaseSqlWriter {
+    /**
+     * @param {Object} productReader - 用於清除快取的 Reader 實例
+     */
+    constructor(productReader) {
+        super();
+        if (!productReader) {
+            throw new Error('ProductSqlWriter 需要 ProductReader 的實例');
+        }
+        this.productReader = productReader;
+        this.tableName = 'products';
+        this.cacheKey = 'marketProducts';
+    }
+
+    /**
+     * 可由外部更新的欄位 (排除 ID 與系統維護欄位)
+     */
+    _toProductRow(data) {
+        const row = this._toRow(data, ProductSqlReader.COLUMN_MAP);
+        delete row.product_id;
+        delete row.creator;
+        delete row.create_time;
+        delete row.last_modifier;
+        delete row.last_update_time;
+        return row;
+    }
+
+    /**
+     * 建立新商品
+     */
+    async createProduct(data, creator) {
+        console.log(`📦 [ProductSqlWriter] 建立新商品: ${data.name} by ${creator}`);
+
+        const now = new Date().toISOString();
+        const newId = `PROD${Date.now()}`;
+
+        await this._insert(this.tableName, {
+            ...this._toProductRow(data),
+            product_id: newId,
+            status: data.status || '上架',
+            creator: creator,
+            create_time: now,
+            last_modifier: creator,
+            last_update_time: now
+        });
+
+        this.productReader.invalidateCache(this.cacheKey);
+        return { success: true, id: newId };
+    }
+
+    /**
+     * 更新商品資料
+     */
+    async updateProduct(rowIndex, data, modifier) {
+        if (!rowIndex) throw new Error(`無效的 rowIndex: ${rowIndex}`);
+        console.log(`📦 [ProductSqlWriter] 更新商品 ${rowIndex} by ${modifier}`);
+
+        const now = new Date().toISOString();
+        await this._updateByKey(this.tableName, 'product_id', rowIndex, {
+            ...this._toProductRow(data),
+            last_modifier: modifier,
+            last_update_time: now
+        });
+
+        this.productReader.invalidateCache(this.cacheKey);
+        return { success: true, lastUpdateTime: now };
+    }
+
+    /**
+     * 刪除商品
+     */
+    async deleteProduct(rowIndex) {
+        console.log(`🗑️ [ProductSqlWriter] 刪除商品 ${rowIndex}`);
+
+        try {
+            await this._deleteByKey(this.tableName, 'product_id', rowIndex);
+        } finally {
+            this.productReader.invalidateCache(this.cacheKey);
+        }
+
+        return { success: true };
+    }
+}
+
+module.exports = ProductSqlWriter;
@@ -135,7 +135,7 @@ class ProductWriter extends BaseWriter {
         });
 
         this.productReader.invalidateCache(this.cacheKey);
-        return { success: true };
+        return { success: true, lastUpdateTime: now };
     }
 
     /**
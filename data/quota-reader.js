@@ -0,0 +1,46 @@
+/**
+ * data/quota-reader.js
+ * 業績目標讀取器
+ * * @version 1.0.0
+ * @date 2026-02-21
+ * @description [Standard A] 讀取「業績目標」工作表原始資料 (每個負責業務 + 期別 + 分類一列)。
+ * 欄位順序見 config.SALES_QUOTA_FIELDS，金額換算與合併由 QuotaService 負責。
+ */
+
+const BaseReader = require('./base-reader');
+
+class QuotaReader extends BaseReader {
+    /**
+     * @param {Object} sheets - Google Sheets API Client
+     * @param {string} spreadsheetId - [Required] 指定要讀取的 Sheet ID
+     */
+    constructor(sheets, spreadsheetId) {
+        super(sheets, spreadsheetId);
+    }
+
+    /**
+     * 取得所有業績目標 (Raw Data)
+     * @returns {Promise<Array<object>>}
+     */
+    async getQuotas() {
+        const cacheKey = 'salesQuotas';
+        const range = `${this.config.SHEETS.SALES_QUOTAS}!A:H`;
+
+        // A:目標ID, B:負責業務, C:期別類型, D:期別, E:分類, F:金額, G:最後更新時間, H:最後變更者
+        const rowParser = (row, index) => ({
+            rowIndex: index + 2,
+            quotaId: row[0] || '',
+            assignee: row[1] || '',
+            periodType: row[2] || '',
+            period: row[3] || '',
+            category: row[4] || '',
+            amount: row[5] || '',
+            lastUpdateTime: row[6] || '',
+            lastModifier: row[7] || ''
+        });
+
+        return this._fetchAndCache(cacheKey, range, rowParser);
+    }
+}
+
+module.exports = QuotaReader;
@@ -0,0 +1,49 @@
+/**
+ * data/quota-sql-reader.js
+ * 業績目標 SQL Reader
+ * * @version 1.0.0
+ * @date 2026-02-21
+ * @description 對應 QuotaReader 的介面，資料來源為 sales_quotas 資料表。
+ * rowIndex 即為主鍵 quota_id；(assignee, period_type, period, category) 為唯一鍵。
+ */
+
+const BaseSqlReader = require('./base-sql-reader');
+
+// DTO Key -> SQL Column (Reader / Writer 共用)
+const COLUMN_MAP = {
+    quotaId: 'quota_id',
+    assignee: 'assignee',
+    periodType: 'period_type',
+    period: 'period',
+    category: 'category',
+    amount: 'amount',
+    lastUpdateTime: 'last_update_time',
+    lastModifier: 'last_modifier'
+};
+
+class QuotaSqlReader extends BaseSqlReader {
+    constructor() {
+        super();
+        this.tableName = 'sales_quotas';
+    }
+
+    static get COLUMN_MAP() {
+        return COLUMN_MAP;
+    }
+
+    /**
+     * 取得所有業績目標 (Raw Data)
+     * @returns {Promise<Array<object>>}
+     */
+    async getQuotas() {
+        const rowParser = (row) => {
+            const entry = this._mapRow(row, COLUMN_MAP);
+            entry.rowIndex = entry.quotaId;
+            return entry;
+        };
+
+        return this._fetchAndCache('salesQuotas', this.tableName, rowParser);
+    }
+}
+
+module.exports = QuotaSqlReader;
@@ -0,0 +1,68 @@
+/**
+ * data/quota-sql-writer.js
+ * 業績目標 SQL Writer
+ * * @version 1.0.0
+ * @date 2026-02-21
+ * @description 對應 QuotaWriter 的介面；rowIndex 參數即為 quota_id。
+ */
+
+const BaseSqlWriter = require('./base-sql-writer');
+const QuotaSqlReader = require('./quota-sql-reader');
+
+class QuotaSqlWriter extends BaseSqlWriter {
+    /**
+     * @param {Object} quotaReader - 用於清除快取的 Reader
+     */
+    constructor(quotaReader) {
+        super();
+        if (!quotaReader) {
+            throw new Error('QuotaSqlWriter 需要 QuotaReader 的實例');
+        }
+        this.quotaReader = quotaReader;
+        this.tableName = 'sales_quotas';
+    }
+
+    async createQuotas(entries, modifier) {
+        if (!entries || entries.length === 0) return { success: true, count: 0 };
+
+        const now = new Date().toISOString();
+        const rows = entries.map((entry, i) => this._toRow({
+            ...entry,
+            quotaId: `QT${Date.now()}${String(i).padStart(3, '0')}`,
+            lastUpdateTime: now,
+            lastModifier: modifier
+        }, QuotaSqlReader.COLUMN_MAP));
+        await this._insert(this.tableName, rows);
+
+        this.quotaReader.invalidateCache('salesQuotas');
+        return { success: true, count: rows.length };
+    }
+
+    async updateQuotas(updates, modifier) {
+        if (!updates || updates.length === 0) return { success: true, count: 0 };
+
+        const now = new Date().toISOString();
+        for (const { rowIndex, amount } of updates) {
+            await this._updateByKey(this.tableName, 'quota_id', rowIndex, {
+                amount,
+                last_update_time: now,
+                last_modifier: modifier
+            });
+        }
+
+        this.quotaReader.invalidateCache('salesQuotas');
+        return { success: true, count: updates.length };
+    }
+
+    async deleteQuotas(quotaIds) {
+        if (!quotaIds || quotaIds.length === 0) return { success: true, count: 0 };
+
+        const { error } = await this.supabase.from(this.tableName).delete().in('quota_id', quotaIds);
+        if (error) throw this._dbError(this.tableName, error);
+
+        this.quotaReader.invalidateCache('salesQuotas');
+        return { success: true, count: quotaIds.length };
+    }
+}
+
+module.exports = QuotaSqlWriter;
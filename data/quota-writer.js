@@ -0,0 +1,99 @@
+/**
+ * data/quota-writer.js
+ * 業績目標寫入器
+ * * @version 1.0.0
+ * @date 2026-02-21
+ * @description [Standard S - Pure Write] 業績目標的批次新增、更新金額與刪除 (每次儲存各一次 API 呼叫)。
+ * 比對既有目標與驗證由 QuotaService 負責。
+ */
+
+const BaseWriter = require('./base-writer');
+
+class QuotaWriter extends BaseWriter {
+    /**
+     * @param {Object} sheets - Google Sheets API Client
+     * @param {string} spreadsheetId - [Required] 指定要寫入的 Sheet ID
+     * @param {Object} quotaReader - 用於清除快取的 Reader
+     */
+    constructor(sheets, spreadsheetId, quotaReader) {
+        super(sheets, spreadsheetId);
+        if (!quotaReader) {
+            throw new Error('QuotaWriter 需要 QuotaReader 的實例');
+        }
+        this.quotaReader = quotaReader;
+    }
+
+    /**
+     * 批次新增業績目標
+     * @param {Array<Object>} entries - { assignee, periodType, period, category, amount }
+     * @param {string} modifier
+     */
+    async createQuotas(entries, modifier) {
+        if (!entries || entries.length === 0) return { success: true, count: 0 };
+
+        const now = new Date().toISOString();
+        const values = entries.map((e, i) => [
+            `QT${Date.now()}${String(i).padStart(3, '0')}`, e.assignee, e.periodType, e.period, e.category, e.amount, now, modifier
+        ]);
+
+        // 使用 RAW 避免期別 (2026-02) 被 Sheet 轉成日期
+        await this.sheets.spreadsheets.values.append({
+            spreadsheetId: this.targetSpreadsheetId,
+            range: `${this.config.SHEETS.SALES_QUOTAS}!A:H`,
+            valueInputOption: 'RAW',
+            resource: { values }
+        });
+
+        this.quotaReader.invalidateCache('salesQuotas');
+        return { success: true, count: values.length };
+    }
+
+    /**
+     * 批次更新金額
+     * @param {Array<{ rowIndex: number, amount: number }>} updates
+     * @param {string} modifier
+     */
+    async updateQuotas(updates, modifier) {
+        if (!updates || updates.length === 0) return { success: true, count: 0 };
+
+        const now = new Date().toISOString();
+        await this.sheets.spreadsheets.values.batchUpdate({
+            spreadsheetId: this.targetSpreadsheetId,
+            resource: {
+                valueInputOption: 'RAW',
+                data: updates.map(({ rowIndex, amount }) => ({
+                    range: `${this.config.SHEETS.SALES_QUOTAS}!F${rowIndex}:H${rowIndex}`,
+                    values: [[amount, now, modifier]]
+                }))
+            }
+        });
+
+        this.quotaReader.invalidateCache('salesQuotas');
+        return { success: true, count: updates.length };
+    }
+
+    /**
+     * 批次刪除 (由下往上刪除，避免列號位移)
+     * @param {Array<number>} rowIndexes
+     */
+    async deleteQuotas(rowIndexes) {
+        if (!rowIndexes || rowIndexes.length === 0) return { success: true, count: 0 };
+
+        const sheetId = await this._getSheetIdByName(this.config.SHEETS.SALES_QUOTAS);
+        const requests = [...rowIndexes].sort((a, b) => b - a).map(rowIndex => ({
+            deleteDimension: {
+                range: { sheetId, dimension: 'ROWS', startIndex: rowIndex - 1, endIndex: rowIndex }
+            }
+        }));
+
+        await this.sheets.spreadsheets.batchUpdate({
+            spreadsheetId: this.targetSpreadsheetId,
+            resource: { requests }
+        });
+
+        this.quotaReader.invalidateCache('salesQuotas');
+        return { success: true, count: rowIndexes.length };
+    }
+}
+
+module.exports = QuotaWriter;
@@ -0,0 +1,56 @@
+/**
+ * data/quote-reader.js
+ * 報價單讀取器
+ * * @version 1.0.0
+ * @date 2026-02-12
+ * @description [Standard A] 僅讀取「報價單」工作表原始資料，明細 JSON 的解析與計價由 QuoteService 負責。
+ * 欄位順序見 config.QUOTE_FIELDS。
+ */
+
+const BaseReader = require('./base-reader');
+
+class QuoteReader extends BaseReader {
+    /**
+     * @param {Object} sheets - Google Sheets API Client
+     * @param {string} spreadsheetId - [Required] 指定要讀取的 Sheet ID
+     */
+    constructor(sheets, spreadsheetId) {
+        super(sheets, spreadsheetId);
+    }
+
+    /**
+     * 取得所有報價單 (Raw Data)
+     * @returns {Promise<Array<object>>}
+     */
+    async getQuotes() {
+        const cacheKey = 'quotes';
+        const range = `${this.config.SHEETS.QUOTES}!A:Q`;
+
+        // A:報價ID, B:報價單號, C:機會ID, D:版次, E:狀態, F:價格級別, G:明細, H:小計,
+        // I:稅率, J:稅額, K:總計, L:有效期限, M:備註, N:建立者, O:建立時間, P:最後更新時間, Q:最後變更者
+        const rowParser = (row, index) => ({
+            rowIndex: index + 2,
+            quoteId: row[0] || '',
+            quoteNumber: row[1] || '',
+            opportunityId: row[2] || '',
+            version: row[3] || '',
+            status: row[4] || '',
+            priceTier: row[5] || '',
+            items: row[6] || '',
+            subtotal: row[7] || '',
+            taxRate: row[8] || '',
+            taxAmount: row[9] || '',
+            total: row[10] || '',
+            validUntil: row[11] || '',
+            note: row[12] || '',
+            createdBy: row[13] || '',
+            createdTime: row[14] || '',
+            lastUpdateTime: row[15] || '',
+            lastModifier: row[16] || ''
+        });
+
+        return this._fetchAndCache(cacheKey, range, rowParser);
+    }
+}
+
+module.exports = QuoteReader;
@@ -0,0 +1,57 @@
+/**
+ * data/quote-sql-reader.js
+ * 報價單 SQL Reader
+ * * @version 1.0.0
+ * @date 2026-02-12
+ * @description 對應 QuoteReader 的介面，資料來源為 quotes 資料表。rowIndex 即為主鍵 quote_id。
+ */
+
+const BaseSqlReader = require('./base-sql-reader');
+
+// DTO Key -> SQL Column (Reader / Writer 共用)
+const COLUMN_MAP = {
+    quoteId: 'quote_id',
+    quoteNumber: 'quote_number',
+    opportunityId: 'opportunity_id',
+    version: 'version',
+    status: 'status',
+    priceTier: 'price_tier',
+    items: 'items',
+    subtotal: 'subtotal',
+    taxRate: 'tax_rate',
+    taxAmount: 'tax_amount',
+    total: 'total',
+    validUntil: 'valid_until',
+    note: 'note',
+    createdBy: 'created_by',
+    createdTime: 'created_time',
+    lastUpdateTime: 'last_update_time',
+    lastModifier: 'last_modifier'
+};
+
+class QuoteSqlReader extends BaseSqlReader {
+    constructor() {
+        super();
+        this.tableName = 'quotes';
+    }
+
+    static get COLUMN_MAP() {
+        return COLUMN_MAP;
+    }
+
+    /**
+     * 取得所有報價單 (Raw Data)
+     * @returns {Promise<Array<object>>}
+     */
+    async getQuotes() {
+        const rowParser = (row) => {
+            const entry = this._mapRow(row, COLUMN_MAP);
+            entry.rowIndex = entry.quoteId;
+            return entry;
+        };
+
+        return this._fetchAndCache('quotes', this.tableName, rowParser);
+    }
+}
+
+module.exports = QuoteSqlReader;
@@ -0,0 +1,63 @@
+/**
+ * data/quote-sql-writer.js
+ * 報價單 SQL Writer
+ * * @version 1.0.0
+ * @date 2026-02-12
+ * @description 對應 QuoteWriter 的介面 (版次追加、僅更新狀態)。
+ */
+
+const BaseSqlWriter = require('./base-sql-writer');
+const QuoteSqlReader = require('./quote-sql-reader');
+
+class QuoteSqlWriter extends BaseSqlWriter {
+    /**
+     * @param {Object} quoteReader - 用於清除快取的 Reader
+     */
+    constructor(quoteReader) {
+        super();
+        if (!quoteReader) {
+            throw new Error('QuoteSqlWriter 需要 QuoteReader 的實例');
+        }
+        this.quoteReader = quoteReader;
+        this.tableName = 'quotes';
+    }
+
+    /**
+     * 追加一個報價版次
+     * @param {Object} quote
+     * @param {string} creator
+     */
+    async createQuote(quote, creator) {
+        const now = new Date().toISOString();
+        const record = this._toRow({
+            ...quote,
+            createdBy: creator,
+            createdTime: now,
+            lastUpdateTime: now,
+            lastModifier: creator
+        }, QuoteSqlReader.COLUMN_MAP);
+        await this._insert(this.tableName, record);
+
+        this.quoteReader.invalidateCache('quotes');
+        return { success: true, id: quote.quoteId };
+    }
+
+    /**
+     * 更新報價狀態
+     * @param {string} quoteId - 即 Reader 回傳的 rowIndex
+     * @param {string} status
+     * @param {string} modifier
+     */
+    async updateQuoteStatus(quoteId, status, modifier) {
+        await this._updateByKey(this.tableName, 'quote_id', quoteId, {
+            status,
+            last_update_time: new Date().toISOString(),
+            last_modifier: modifier
+        });
+
+        this.quoteReader.invalidateCache('quotes');
+        return { success: true };
+    }
+}
+
+module.exports = QuoteSqlWriter;
@@ -0,0 +1,88 @@
+/**
+ * data/quote-writer.js
+ * 報價單寫入器
+ * * @version 1.0.0
+ * @date 2026-02-12
+ * @description [Standard S - Pure Write] 每個版次追加一列；建立後明細與金額不再修改 (修改即建立新版次)，
+ * 只允許更新狀態欄。報價內容由 QuoteService 計算，此處只負責寫入。
+ */
+
+const BaseWriter = require('./base-writer');
+
+class QuoteWriter extends BaseWriter {
+    /**
+     * @param {Object} sheets - Google Sheets API Client
+     * @param {string} spreadsheetId - [Required] 指定要寫入的 Sheet ID
+     * @param {Object} quoteReader - 用於清除快取的 Reader
+     */
+    constructor(sheets, spreadsheetId, quoteReader) {
+        super(sheets, spreadsheetId);
+        if (!quoteReader) {
+            throw new Error('QuoteWriter 需要 QuoteReader 的實例');
+        }
+        this.quoteReader = quoteReader;
+    }
+
+    /**
+     * 追加一個報價版次
+     * @param {Object} quote - { quoteId, quoteNumber, opportunityId, version, status, priceTier, items (JSON 字串),
+     *                           subtotal, taxRate, taxAmount, total, validUntil, note }
+     * @param {string} creator
+     */
+    async createQuote(quote, creator) {
+        const now = new Date().toISOString();
+        const row = [
+            quote.quoteId, quote.quoteNumber, quote.opportunityId, quote.version, quote.status, quote.priceTier,
+            quote.items, quote.subtotal, quote.taxRate, quote.taxAmount, quote.total, quote.validUntil, quote.note,
+            creator, now, now, creator
+        ];
+
+        // 使用 RAW 避免明細 JSON 與報價單號被 Sheet 轉型
+        await this.sheets.spreadsheets.values.append({
+            spreadsheetId: this.targetSpreadsheetId,
+            range: `${this.config.SHEETS.QUOTES}!A:Q`,
+            valueInputOption: 'RAW',
+            resource: { values: [row] }
+        });
+
+        this.quoteReader.invalidateCache('quotes');
+        return { success: true, id: quote.quoteId };
+    }
+
+    /**
+     * 更新報價狀態
+     * @param {number} rowIndex
+     * @param {string} status
+     * @param {string} modifier
+     */
+    async updateQuoteStatus(rowIndex, status, modifier) {
+        const now = new Date().toISOString();
+        const range = `${this.config.SHEETS.QUOTES}!A${rowIndex}:Q${rowIndex}`;
+
+        const readRes = await this.sheets.spreadsheets.values.get({
+            spreadsheetId: this.targetSpreadsheetId,
+            range
+        });
+        const currentVals = readRes.data.values ? readRes.data.values[0] : null;
+        if (!currentVals || !currentVals[0]) {
+            throw new Error(`[QuoteWriter] 找不到報價單 (Row: ${rowIndex})`);
+        }
+        while (currentVals.length < 17) currentVals.push('');
+
+        currentVals[4] = status;     // E: 狀態
+        currentVals[15] = now;       // P: 最後更新時間
+        currentVals[16] = modifier;  // Q: 最後變更者
+
+        await this.sheets.spreadsheets.values.update({
+            spreadsheetId: this.targetSpreadsheetId,
+            range,
+            valueInputOption: 'RAW',
+            resource: { values: [currentVals] }
+        });
+
+        this.quoteReader.invalidateCache('quotes');
+        return { success: true };
+    }
+}
+
+module.exports = QuoteWriter;
@@ -0,0 +1,126 @@
+/**
+ * data/system-sql-reader.js
+ * 系統級資料 SQL Reader (系統設定、使用者)
+ * * @version 5.4.0 (Phase 5 - SQL Data Sources)
+ * @date 2026-01-30
+ * @description 對應 SystemReader 的介面。
+ * - 系統設定 -> system_config：getSystemConfigRaw 仍回傳「含標題列」的二維陣列，與 Sheet 版 A:I 完全相同。
+ * - 使用者名冊 -> users：rowIndex = username。
+ * service-container 依 DATA_SOURCES.SYSTEM / DATA_SOURCES.AUTH 分別決定兩部分的資料源。
+ */
+
+const config = require('../config');
+const BaseSqlReader = require('./base-sql-reader');
+const SystemReader = require('./system-reader');
+
+// 依 Sheet A:I 欄位順序排列 (設定類型, 設定項目, 顯示順序, 啟用狀態, 備註, 顏色, 值2, 值3, 分類)
+const CONFIG_COLUMNS = [
+    'config_type', 'config_item', 'display_order', 'enabled', 'note',
+    'color', 'value2', 'value3', 'category'
+];
+
+const CONFIG_HEADER = [...config.SYSTEM_CONFIG_FIELDS, '顏色', '值2', '值3', '分類'];
+
+class SystemSqlReader extends BaseSqlReader {
+    constructor() {
+        super();
+        this.tables = {
+            config: 'system_config',
+            users: 'users'
+        };
+    }
+
+    static get CONFIG_COLUMNS() {
+        return CONFIG_COLUMNS;
+    }
+
+    /**
+     * 取得全域最後寫入時間戳 (封裝 Cache 存取)
+     * @returns {string|null} ISO String
+     */
+    getLastWriteTimestamp() {
+        return SystemReader.prototype.getLastWriteTimestamp.call(this);
+    }
+
+    /**
+     * [Standard A] 取得系統設定原始資料
+     * 回傳與 Sheet 相同的二維陣列 (第一列為標題)，不處理任何業務規則
+     * @returns {Promise<Array<Array<string>>>} Raw rows
+     */
+    async getSystemConfigRaw() {
+        const cacheKey = 'systemConfigRaw';
+        const now = Date.now();
+
+        if (this.cache[cacheKey] && this.cache[cacheKey].data && (now - this.cache[cacheKey].timestamp < this.CACHE_DURATION)) {
+            return this.cache[cacheKey].data;
+        }
+
+        try {
+            const records = await this._selectAll(this.tables.config);
+            const rows = [CONFIG_HEADER, ...records.map(record => CONFIG_COLUMNS.map(column => {
+                const value = record[column];
+                if (column === 'enabled' && typeof value === 'boolean') return value ? 'TRUE' : 'FALSE';
+                return (value === null || value === undefined) ? '' : String(value);
+            }))];
+
+            this.cache[cacheKey] = { data: rows, timestamp: now };
+            return rows;
+
+        } catch (error) {
+            console.error('❌ [SystemSqlReader] 讀取系統設定失敗:', error);
+            return [];
+        }
+    }
+
+    /**
+     * [HOTFIX / ADAPTER] 向下相容的系統設定讀取方法 (與 Sheet 版邏輯相同)
+     * @deprecated 請儘速遷移至 SystemService.getSystemConfig()
+     */
+    async getSystemConfig() {
+        return SystemReader.prototype.getSystemConfig.call(this);
+    }
+
+    /**
+     * [Standard A] 取得使用者名冊
+     */
+    async getUsers() {
+        const cacheKey = 'users';
+        const now = Date.now();
+
+        if (this.cache[cacheKey] && this.cache[cacheKey].data && (now - this.cache[cacheKey].timestamp < this.CACHE_DURATION)) {
+            return this.cache[cacheKey].data;
+        }
+
+        console.log('🔐 [Auth] 讀取使用者名冊 (SQL)...');
+
+        try {
+            const records = await this._selectAll(this.tables.users);
+
+            const allUsers = records.map(record => ({
+                rowIndex: record.username,
+                username: (record.username || '').trim(),
+                passwordHash: (record.password_hash || '').trim(),
+                displayName: (record.display_name || '').trim(),
+                role: record.role ? record.role.trim().toLowerCase() : 'sales'
+            })).filter(user => user.username && user.passwordHash);
+
+            this.cache[cacheKey] = { data: allUsers, timestamp: now };
+            return allUsers;
+
+        } catch (error) {
+            console.error('❌ [SystemSqlReader] 讀取使用者名冊失敗:', error.message);
+            return [];
+        }
+    }
+
+    /**
+     * 對應 SystemReader.getTabId：SQL 沒有 SheetId，回傳資料表名稱作為識別
+     */
+    async getTabId(sheetTitle) {
+        if (sheetTitle === '使用者名冊') return this.tables.users;
+        if (sheetTitle === this.config.SHEETS.SYSTEM_CONFIG) return this.tables.config;
+        return null;
+    }
+}
+
+module.exports = SystemSqlReader;
@@ -0,0 +1,100 @@
+/**
+ * data/system-sql-writer.js
+ * 系統設定 SQL Writer
+ * * @version 5.4.0 (Phase 5 - SQL Data Sources)
+ * @date 2026-01-30
+ * @description 對應 SystemWriter 的介面 (Standard S - Pure Write)。
+ * 使用者操作的 rowIndex 即 username (由 SystemSqlReader 提供)；sheetId 參數僅為相容而保留。
+ */
+
+const BaseSqlWriter = require('./base-sql-writer');
+
+class SystemSqlWriter extends BaseSqlWriter {
+    constructor() {
+        super();
+        this.tables = {
+            config: 'system_config',
+            users: 'users'
+        };
+    }
+
+    /**
+     * 更新系統設定 (通用底層方法)
+     * 與 Sheet 版相同採 Append 語意，Cache Invalidation 移交 Service 負責
+     */
+    async updateSystemConfig(configData, modifier) {
+        console.log(`⚙️ [SystemSqlWriter] 更新系統設定 [${configData.type}/${configData.value}] by ${modifier}`);
+
+        try {
+            await this._insert(this.tables.config, {
+                config_type: configData.type,
+                config_item: configData.value,
+                display_order: configData.order || 99,
+                enabled: 'TRUE',
+                note: configData.note || '',
+                color: configData.color || '',
+                value2: '',
+                value3: '',
+                category: 'System'
+            });
+            return { success: true };
+        } catch (error) {
+            console.error('❌ [SystemSqlWriter] updateSystemConfig 失敗:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 更新系統偏好設定
+     */
+    async updateSystemPref(item, note, modifier = 'System') {
+        return this.updateSystemConfig({
+            type: 'SystemPref',
+            value: item,
+            note: note,
+            order: 0,
+            color: ''
+        }, modifier);
+    }
+
+    /**
+     * 建立新使用者
+     */
+    async createUser(userData) {
+        console.log(`👤 [SystemSqlWriter] 建立新使用者: ${userData.username}`);
+
+        await this._insert(this.tables.users, {
+            username: userData.username,
+            password_hash: userData.passwordHash,
+            display_name: userData.displayName,
+            role: userData.role || 'sales'
+        });
+
+        return { success: true };
+    }
+
+    /**
+     * [Standard S] 更新使用者密碼
+     * @param {string} rowIndex - username
+     */
+    async updateUserPasswordByRow(rowIndex, newPasswordHash) {
+        console.log(`🔐 [SystemSqlWriter] 更新使用者密碼 (${rowIndex})`);
+
+        await this._updateByKey(this.tables.users, 'username', rowIndex, { password_hash: newPasswordHash });
+        return { success: true };
+    }
+
+    /**
+     * [Standard S] 刪除使用者
+     * @param {string} sheetId - 相容參數 (SQL 不使用)
+     * @param {string} rowIndex - username
+     */
+    async deleteUserByRow(sheetId, rowIndex) {
+        console.log(`🗑️ [SystemSqlWriter] 刪除使用者 (${rowIndex})`);
+
+        await this._deleteByKey(this.tables.users, 'username', rowIndex);
+        return { success: true };
+    }
+}
+
+module.exports = SystemSqlWriter;
@@ -0,0 +1,56 @@
+/**
+ * data/task-reader.js
+ * 待辦任務讀取器
+ * * @version 1.0.0
+ * @date 2026-02-13
+ * @description [Standard A] 僅讀取「待辦任務」工作表原始資料，逾期判斷與排序由 TaskService 負責。
+ * 欄位順序見 config.TASK_FIELDS。
+ */
+
+const BaseReader = require('./base-reader');
+
+class TaskReader extends BaseReader {
+    /**
+     * @param {Object} sheets - Google Sheets API Client
+     * @param {string} spreadsheetId - [Required] 指定要讀取的 Sheet ID
+     */
+    constructor(sheets, spreadsheetId) {
+        super(sheets, spreadsheetId);
+    }
+
+    /**
+     * 取得所有待辦任務 (Raw Data)
+     * @returns {Promise<Array<object>>}
+     */
+    async getTasks() {
+        const cacheKey = 'tasks';
+        const range = `${this.config.SHEETS.TASKS}!A:Q`;
+
+        // A:任務ID, B:標題, C:說明, D:負責人, E:到期日, F:優先度, G:狀態, H:重複週期, I:關聯類型, J:關聯ID,
+        // K:關聯名稱, L:來源互動ID, M:完成時間, N:建立者, O:建立時間, P:最後更新時間, Q:最後變更者
+        const rowParser = (row, index) => ({
+            rowIndex: index + 2,
+            taskId: row[0] || '',
+            title: row[1] || '',
+            description: row[2] || '',
+            assignee: row[3] || '',
+            dueDate: row[4] || '',
+            priority: row[5] || '',
+            status: row[6] || '',
+            recurrence: row[7] || '',
+            linkType: row[8] || '',
+            linkId: row[9] || '',
+            linkName: row[10] || '',
+            sourceInteractionId: row[11] || '',
+            completedTime: row[12] || '',
+            creator: row[13] || '',
+            createdTime: row[14] || '',
+            lastUpdateTime: row[15] || '',
+            lastModifier: row[16] || ''
+        });
+
+        return this._fetchAndCache(cacheKey, range, rowParser);
+    }
+}
+
+module.exports = TaskReader;
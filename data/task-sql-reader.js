@@ -0,0 +1,57 @@
+/**
+ * data/task-sql-reader.js
+ * 待辦任務 SQL Reader
+ * * @version 1.0.0
+ * @date 2026-02-13
+ * @description 對應 TaskReader 的介面，資料來源為 tasks 資料表。rowIndex 即為主鍵 task_id。
+ */
+
+const BaseSqlReader = require('./base-sql-reader');
+
+// DTO Key -> SQL Column (Reader / Writer 共用)
+const COLUMN_MAP = {
+    taskId: 'task_id',
+    title: 'title',
+    description: 'description',
+    assignee: 'assignee',
+    dueDate: 'due_date',
+    priority: 'priority',
+    status: 'status',
+    recurrence: 'recurrence',
+    linkType: 'link_type',
+    linkId: 'link_id',
+    linkName: 'link_name',
+    sourceInteractionId: 'source_interaction_id',
+    completedTime: 'completed_time',
+    creator: 'created_by',
+    createdTime: 'created_time',
+    lastUpdateTime: 'last_update_time',
+    lastModifier: 'last_modifier'
+};
+
+class TaskSqlReader extends BaseSqlReader {
+    constructor() {
+        super();
+        this.tableName = 'tasks';
+    }
+
+    static get COLUMN_MAP() {
+        return COLUMN_MAP;
+    }
+
+    /**
+     * 取得所有待辦任務 (Raw Data)
+     * @returns {Promise<Array<object>>}
+     */
+    async getTasks() {
+        const rowParser = (row) => {
+            const entry = this._mapRow(row, COLUMN_MAP);
+            entry.rowIndex = entry.taskId;
+            return entry;
+        };
+
+        return this._fetchAndCache('tasks', this.tableName, rowParser);
+    }
+}
+
+module.exports = TaskSqlReader;
@@ -0,0 +1,67 @@
+/**
+ * data/task-sql-writer.js
+ * 待辦任務 SQL Writer
+ * * @version 1.0.0
+ * @date 2026-02-13
+ * @description 對應 TaskWriter 的介面；rowIndex 參數即為 task_id。
+ */
+
+const BaseSqlWriter = require('./base-sql-writer');
+const TaskSqlReader = require('./task-sql-reader');
+
+// 建立後不可更新的欄位
+const IMMUTABLE_KEYS = ['taskId', 'creator', 'createdTime'];
+
+class TaskSqlWriter extends BaseSqlWriter {
+    /**
+     * @param {Object} taskReader - 用於清除快取的 Reader
+     */
+    constructor(taskReader) {
+        super();
+        if (!taskReader) {
+            throw new Error('TaskSqlWriter 需要 TaskReader 的實例');
+        }
+        this.taskReader = taskReader;
+        this.tableName = 'tasks';
+    }
+
+    async createTask(data, creator) {
+        const now = new Date().toISOString();
+        const taskId = `TSK${Date.now()}${Math.floor(Math.random() * 1000)}`;
+        const record = this._toRow({
+            ...data,
+            taskId,
+            creator,
+            createdTime: now,
+            lastUpdateTime: now,
+            lastModifier: creator
+        }, TaskSqlReader.COLUMN_MAP);
+        await this._insert(this.tableName, record);
+
+        this.taskReader.invalidateCache('tasks');
+        return { success: true, id: taskId };
+    }
+
+    async updateTask(taskId, data, modifier) {
+        const changes = { ...data };
+        IMMUTABLE_KEYS.forEach(key => delete changes[key]);
+        const row = this._toRow({
+            ...changes,
+            lastUpdateTime: new Date().toISOString(),
+            lastModifier: modifier
+        }, TaskSqlReader.COLUMN_MAP);
+        await this._updateByKey(this.tableName, 'task_id', taskId, row);
+
+        this.taskReader.invalidateCache('tasks');
+        return { success: true };
+    }
+
+    async deleteTask(taskId) {
+        await this._deleteByKey(this.tableName, 'task_id', taskId);
+
+        this.taskReader.invalidateCache('tasks');
+        return { success: true };
+    }
+}
+
+module.exports = TaskSqlWriter;
@@ -0,0 +1,112 @@
+/**
+ * data/task-writer.js
+ * 待辦任務寫入器
+ * * @version 1.0.0
+ * @date 2026-02-13
+ * @description [Standard S - Pure Write] 負責待辦任務的建立、更新與刪除。欄位驗證與週期任務由 TaskService 處理。
+ */
+
+const BaseWriter = require('./base-writer');
+
+// DTO Key -> 欄位位置 (A = 0)，建立者 / 建立時間不可更新
+const UPDATABLE_COLUMNS = {
+    title: 1,
+    description: 2,
+    assignee: 3,
+    dueDate: 4,
+    priority: 5,
+    status: 6,
+    recurrence: 7,
+    linkType: 8,
+    linkId: 9,
+    linkName: 10,
+    sourceInteractionId: 11,
+    completedTime: 12
+};
+
+class TaskWriter extends BaseWriter {
+    /**
+     * @param {Object} sheets - Google Sheets API Client
+     * @param {string} spreadsheetId - [Required] 指定要寫入的 Sheet ID
+     * @param {Object} taskReader - 用於清除快取的 Reader
+     */
+    constructor(sheets, spreadsheetId, taskReader) {
+        super(sheets, spreadsheetId);
+        if (!taskReader) {
+            throw new Error('TaskWriter 需要 TaskReader 的實例');
+        }
+        this.taskReader = taskReader;
+    }
+
+    /**
+     * 建立任務
+     * @param {Object} data - 已驗證的任務 DTO (不含 taskId)
+     * @param {string} creator
+     */
+    async createTask(data, creator) {
+        const now = new Date().toISOString();
+        const taskId = `TSK${Date.now()}${Math.floor(Math.random() * 1000)}`;
+        const row = [
+            taskId, data.title, data.description || '', data.assignee || '', data.dueDate || '', data.priority || '',
+            data.status || '', data.recurrence || '', data.linkType || '', data.linkId || '', data.linkName || '',
+            data.sourceInteractionId || '', data.completedTime || '', creator, now, now, creator
+        ];
+
+        // 使用 RAW 避免到期日被 Sheet 轉為日期序號
+        await this.sheets.spreadsheets.values.append({
+            spreadsheetId: this.targetSpreadsheetId,
+            range: `${this.config.SHEETS.TASKS}!A:Q`,
+            valueInputOption: 'RAW',
+            resource: { values: [row] }
+        });
+
+        this.taskReader.invalidateCache('tasks');
+        return { success: true, id: taskId };
+    }
+
+    /**
+     * 更新任務 (只更新有傳入的欄位)
+     * @param {number} rowIndex
+     * @param {Object} data
+     * @param {string} modifier
+     */
+    async updateTask(rowIndex, data, modifier) {
+        const range = `${this.config.SHEETS.TASKS}!A${rowIndex}:Q${rowIndex}`;
+        const readRes = await this.sheets.spreadsheets.values.get({
+            spreadsheetId: this.targetSpreadsheetId,
+            range
+        });
+        const currentVals = readRes.data.values ? readRes.data.values[0] : null;
+        if (!currentVals || !currentVals[0]) {
+            throw new Error(`[TaskWriter] 找不到任務 (Row: ${rowIndex})`);
+        }
+        while (currentVals.length < 17) currentVals.push('');
+
+        Object.entries(UPDATABLE_COLUMNS).forEach(([key, index]) => {
+            if (data[key] !== undefined) currentVals[index] = data[key];
+        });
+        currentVals[15] = new Date().toISOString(); // P: 最後更新時間
+        currentVals[16] = modifier;                 // Q: 最後變更者
+
+        await this.sheets.spreadsheets.values.update({
+            spreadsheetId: this.targetSpreadsheetId,
+            range,
+            valueInputOption: 'RAW',
+            resource: { values: [currentVals] }
+        });
+
+        this.taskReader.invalidateCache('tasks');
+        return { success: true };
+    }
+
+    /**
+     * 刪除任務
+     * @param {number} rowIndex
+     */
+    async deleteTask(rowIndex) {
+        await this._deleteRow(this.config.SHEETS.TASKS, rowIndex, this.taskReader);
+        return { success: true };
+    }
+}
+
+module.exports = TaskWriter;
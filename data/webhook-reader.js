@@ -0,0 +1,77 @@
+/**
+ * data/webhook-reader.js
+ * Webhook 訂閱讀取器
+ * * @version 1.0.0
+ * @date 2026-02-15
+ * @description [Standard A] 讀取「Webhook訂閱」與「Webhook傳送紀錄」工作表原始資料。
+ * 訂閱的事件與傳送內容為 JSON 字串，由 WebhookService 解析。欄位順序見 config.WEBHOOK_SUBSCRIPTION_FIELDS / WEBHOOK_DELIVERY_FIELDS。
+ */
+
+const BaseReader = require('./base-reader');
+
+class WebhookReader extends BaseReader {
+    /**
+     * @param {Object} sheets - Google Sheets API Client
+     * @param {string} spreadsheetId - [Required] 指定要讀取的 Sheet ID
+     */
+    constructor(sheets, spreadsheetId) {
+        super(sheets, spreadsheetId);
+    }
+
+    /**
+     * 取得所有 Webhook 訂閱 (Raw Data)
+     * @returns {Promise<Array<object>>}
+     */
+    async getSubscriptions() {
+        const cacheKey = 'webhookSubscriptions';
+        const range = `${this.config.SHEETS.WEBHOOK_SUBSCRIPTIONS}!A:J`;
+
+        // A:訂閱ID, B:名稱, C:網址, D:簽章密鑰, E:事件, F:啟用,
+        // G:建立者, H:建立時間, I:最後更新時間, J:最後變更者
+        const rowParser = (row, index) => ({
+            rowIndex: index + 2,
+            webhookId: row[0] || '',
+            name: row[1] || '',
+            url: row[2] || '',
+            secret: row[3] || '',
+            events: row[4] || '',
+            enabled: row[5] || '',
+            creator: row[6] || '',
+            createdTime: row[7] || '',
+            lastUpdateTime: row[8] || '',
+            lastModifier: row[9] || ''
+        });
+
+        return this._fetchAndCache(cacheKey, range, rowParser);
+    }
+
+    /**
+     * 取得所有傳送紀錄 (Raw Data)
+     * @returns {Promise<Array<object>>}
+     */
+    async getDeliveries() {
+        const cacheKey = 'webhookDeliveries';
+        const range = `${this.config.SHEETS.WEBHOOK_DELIVERIES}!A:K`;
+
+        // A:傳送ID, B:訂閱ID, C:事件, D:實體ID, E:內容, F:結果, G:嘗試次數,
+        // H:HTTP狀態, I:錯誤訊息, J:傳送時間, K:重送來源
+        const rowParser = (row, index) => ({
+            rowIndex: index + 2,
+            deliveryId: row[0] || '',
+            webhookId: row[1] || '',
+            event: row[2] || '',
+            entityId: row[3] || '',
+            payload: row[4] || '',
+            status: row[5] || '',
+            attempts: row[6] || '',
+            responseStatus: row[7] || '',
+            error: row[8] || '',
+            deliveredTime: row[9] || '',
+            redeliveryOf: row[10] || ''
+        });
+
+        return this._fetchAndCache(cacheKey, range, rowParser);
+    }
+}
+
+module.exports = WebhookReader;
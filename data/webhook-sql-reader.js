@@ -0,0 +1,84 @@
+/**
+ * data/webhook-sql-reader.js
+ * Webhook 訂閱 SQL Reader
+ * * @version 1.0.0
+ * @date 2026-02-15
+ * @description 對應 WebhookReader 的介面，資料來源為 webhook_subscriptions / webhook_deliveries 資料表。
+ * 訂閱的 rowIndex 即為主鍵 webhook_id。
+ */
+
+const BaseSqlReader = require('./base-sql-reader');
+
+// DTO Key -> SQL Column (Reader / Writer 共用)
+const SUBSCRIPTION_COLUMN_MAP = {
+    webhookId: 'webhook_id',
+    name: 'name',
+    url: 'url',
+    secret: 'secret',
+    events: 'events',
+    enabled: 'enabled',
+    creator: 'created_by',
+    createdTime: 'created_time',
+    lastUpdateTime: 'last_update_time',
+    lastModifier: 'last_modifier'
+};
+
+const DELIVERY_COLUMN_MAP = {
+    deliveryId: 'delivery_id',
+    webhookId: 'webhook_id',
+    event: 'event',
+    entityId: 'entity_id',
+    payload: 'payload',
+    status: 'status',
+    attempts: 'attempts',
+    responseStatus: 'response_status',
+    error: 'error',
+    deliveredTime: 'delivered_time',
+    redeliveryOf: 'redelivery_of'
+};
+
+class WebhookSqlReader extends BaseSqlReader {
+    constructor() {
+        super();
+        this.tableName = 'webhook_subscriptions';
+        this.deliveryTableName = 'webhook_deliveries';
+    }
+
+    static get SUBSCRIPTION_COLUMN_MAP() {
+        return SUBSCRIPTION_COLUMN_MAP;
+    }
+
+    static get DELIVERY_COLUMN_MAP() {
+        return DELIVERY_COLUMN_MAP;
+    }
+
+    /**
+     * 取得所有 Webhook 訂閱 (Raw Data)
+     * @returns {Promise<Array<object>>}
+     */
+    async getSubscriptions() {
+        const rowParser = (row) => {
+            const entry = this._mapRow(row, SUBSCRIPTION_COLUMN_MAP);
+            entry.rowIndex = entry.webhookId;
+            return entry;
+        };
+
+        return this._fetchAndCache('webhookSubscriptions', this.tableName, rowParser);
+    }
+
+    /**
+     * 取得所有傳送紀錄 (Raw Data)
+     * @returns {Promise<Array<object>>}
+     */
+    async getDeliveries() {
+        const rowParser = (row) => {
+            const entry = this._mapRow(row, DELIVERY_COLUMN_MAP);
+            entry.rowIndex = entry.deliveryId;
+            return entry;
+        };
+
+        return this._fetchAndCache('webhookDeliveries', this.deliveryTableName, rowParser);
+    }
+}
+
+module.exports = WebhookSqlReader;
@@ -0,0 +1,78 @@
+/**
+ * data/webhook-sql-writer.js
+ * Webhook 訂閱 SQL Writer
+ * * @version 1.0.0
+ * @date 2026-02-15
+ * @description 對應 WebhookWriter 的介面；rowIndex 參數即為 webhook_id。
+ */
+
+const BaseSqlWriter = require('./base-sql-writer');
+const WebhookSqlReader = require('./webhook-sql-reader');
+
+// 建立後不可更新的欄位
+const IMMUTABLE_KEYS = ['webhookId', 'creator', 'createdTime'];
+
+class WebhookSqlWriter extends BaseSqlWriter {
+    /**
+     * @param {Object} webhookReader - 用於清除快取的 Reader
+     */
+    constructor(webhookReader) {
+        super();
+        if (!webhookReader) {
+            throw new Error('WebhookSqlWriter 需要 WebhookReader 的實例');
+        }
+        this.webhookReader = webhookReader;
+        this.tableName = 'webhook_subscriptions';
+        this.deliveryTableName = 'webhook_deliveries';
+    }
+
+    async createSubscription(data, creator) {
+        const now = new Date().toISOString();
+        const webhookId = `WH${Date.now()}`;
+        const record = this._toRow({
+            ...data,
+            webhookId,
+            creator,
+            createdTime: now,
+            lastUpdateTime: now,
+            lastModifier: creator
+        }, WebhookSqlReader.SUBSCRIPTION_COLUMN_MAP);
+        await this._insert(this.tableName, record);
+
+        this.webhookReader.invalidateCache('webhookSubscriptions');
+        return { success: true, id: webhookId };
+    }
+
+    async updateSubscription(webhookId, data, modifier) {
+        const changes = { ...data };
+        IMMUTABLE_KEYS.forEach(key => delete changes[key]);
+        const row = this._toRow({
+            ...changes,
+            lastUpdateTime: new Date().toISOString(),
+            lastModifier: modifier
+        }, WebhookSqlReader.SUBSCRIPTION_COLUMN_MAP);
+        await this._updateByKey(this.tableName, 'webhook_id', webhookId, row);
+
+        this.webhookReader.invalidateCache('webhookSubscriptions');
+        return { success: true };
+    }
+
+    async deleteSubscription(webhookId) {
+        await this._deleteByKey(this.tableName, 'webhook_id', webhookId);
+
+        this.webhookReader.invalidateCache('webhookSubscriptions');
+        return { success: true };
+    }
+
+    async appendDeliveries(entries) {
+        if (!entries || entries.length === 0) return { success: true, count: 0 };
+
+        const rows = entries.map(entry => this._toRow(entry, WebhookSqlReader.DELIVERY_COLUMN_MAP));
+        await this._insert(this.deliveryTableName, rows);
+
+        this.webhookReader.invalidateCache('webhookDeliveries');
+        return { success: true, count: rows.length };
+    }
+}
+
+module.exports = WebhookSqlWriter;
@@ -0,0 +1,128 @@
+/**
+ * data/webhook-writer.js
+ * Webhook 訂閱寫入器
+ * * @version 1.0.0
+ * @date 2026-02-15
+ * @description [Standard S - Pure Write] 訂閱的建立、更新與刪除；傳送紀錄只允許追加。
+ * 訂閱驗證、密鑰產生與 JSON 序列化由 WebhookService 負責。
+ */
+
+const BaseWriter = require('./base-writer');
+
+// DTO Key -> 欄位位置 (A = 0)，建立者 / 建立時間不可更新
+const UPDATABLE_COLUMNS = {
+    name: 1,
+    url: 2,
+    secret: 3,
+    events: 4,
+    enabled: 5
+};
+
+class WebhookWriter extends BaseWriter {
+    /**
+     * @param {Object} sheets - Google Sheets API Client
+     * @param {string} spreadsheetId - [Required] 指定要寫入的 Sheet ID
+     * @param {Object} webhookReader - 用於清除快取的 Reader
+     */
+    constructor(sheets, spreadsheetId, webhookReader) {
+        super(sheets, spreadsheetId);
+        if (!webhookReader) {
+            throw new Error('WebhookWriter 需要 WebhookReader 的實例');
+        }
+        this.webhookReader = webhookReader;
+    }
+
+    /**
+     * 建立訂閱
+     * @param {Object} data - 已驗證並序列化的訂閱 (不含 webhookId)
+     * @param {string} creator
+     */
+    async createSubscription(data, creator) {
+        const now = new Date().toISOString();
+        const webhookId = `WH${Date.now()}`;
+        const row = [
+            webhookId, data.name, data.url, data.secret, data.events, data.enabled,
+            creator, now, now, creator
+        ];
+
+        // 使用 RAW 避免 JSON 被 Sheet 轉型
+        await this.sheets.spreadsheets.values.append({
+            spreadsheetId: this.targetSpreadsheetId,
+            range: `${this.config.SHEETS.WEBHOOK_SUBSCRIPTIONS}!A:J`,
+            valueInputOption: 'RAW',
+            resource: { values: [row] }
+        });
+
+        this.webhookReader.invalidateCache('webhookSubscriptions');
+        return { success: true, id: webhookId };
+    }
+
+    /**
+     * 更新訂閱 (只更新有傳入的欄位)
+     * @param {number} rowIndex
+     * @param {Object} data
+     * @param {string} modifier
+     */
+    async updateSubscription(rowIndex, data, modifier) {
+        const range = `${this.config.SHEETS.WEBHOOK_SUBSCRIPTIONS}!A${rowIndex}:J${rowIndex}`;
+        const readRes = await this.sheets.spreadsheets.values.get({
+            spreadsheetId: this.targetSpreadsheetId,
+            range
+        });
+        const currentVals = readRes.data.values ? readRes.data.values[0] : null;
+        if (!currentVals || !currentVals[0]) {
+            throw new Error(`[WebhookWriter] 找不到 Webhook 訂閱 (Row: ${rowIndex})`);
+        }
+        while (currentVals.length < 10) currentVals.push('');
+
+        Object.entries(UPDATABLE_COLUMNS).forEach(([key, index]) => {
+            if (data[key] !== undefined) currentVals[index] = data[key];
+        });
+        currentVals[8] = new Date().toISOString(); // I: 最後更新時間
+        currentVals[9] = modifier;                 // J: 最後變更者
+
+        await this.sheets.spreadsheets.values.update({
+            spreadsheetId: this.targetSpreadsheetId,
+            range,
+            valueInputOption: 'RAW',
+            resource: { values: [currentVals] }
+        });
+
+        this.webhookReader.invalidateCache('webhookSubscriptions');
+        return { success: true };
+    }
+
+    /**
+     * 刪除訂閱 (傳送紀錄保留)
+     * @param {number} rowIndex
+     */
+    async deleteSubscription(rowIndex) {
+        await this._deleteRow(this.config.SHEETS.WEBHOOK_SUBSCRIPTIONS, rowIndex, this.webhookReader);
+        return { success: true };
+    }
+
+    /**
+     * 批次追加傳送紀錄
+     * @param {Array<Object>} entries - { deliveryId, webhookId, event, entityId, payload, status, attempts, responseStatus, error, deliveredTime, redeliveryOf }
+     */
+    async appendDeliveries(entries) {
+        if (!entries || entries.length === 0) return { success: true, count: 0 };
+
+        const rows = entries.map(e => [
+            e.deliveryId, e.webhookId, e.event, e.entityId, e.payload, e.status,
+            e.attempts, e.responseStatus, e.error, e.deliveredTime, e.redeliveryOf || ''
+        ]);
+
+        await this.sheets.spreadsheets.values.append({
+            spreadsheetId: this.targetSpreadsheetId,
+            range: `${this.config.SHEETS.WEBHOOK_DELIVERIES}!A:K`,
+            valueInputOption: 'RAW',
+            resource: { values: rows }
+        });
+
+        this.webhookReader.invalidateCache('webhookDeliveries');
+        return { success: true, count: rows.length };
+    }
+}
+
+module.exports = WebhookWriter;
@@ -0,0 +1,78 @@
+/**
+ * data/weekly-business-sql-reader.js
+ * 週間業務 SQL Reader
+ * * @version 5.4.0 (Phase 5 - SQL Data Sources)
+ * @date 2026-01-30
+ * @description 對應 WeeklyBusinessReader 的介面 (Raw Data Access Only)，資料來源為 weekly_business 資料表。
+ * DTO 沿用 Sheet 版的混合 key (中文欄位名 + camelCase)，rowIndex = record_id。
+ */
+
+const BaseSqlReader = require('./base-sql-reader');
+
+// DTO Key -> SQL Column (Reader / Writer 共用)
+const COLUMN_MAP = {
+    '日期': 'entry_date',
+    'weekId': 'week_id',
+    'category': 'category',
+    '主題': 'theme',
+    '參與人員': 'participants',
+    '重點摘要': 'summary',
+    '待辦事項': 'todo',
+    'createdTime': 'created_time',
+    'lastUpdateTime': 'last_update_time',
+    '建立者': 'creator',
+    'recordId': 'record_id'
+};
+
+class WeeklyBusinessSqlReader extends BaseSqlReader {
+    constructor() {
+        super();
+        this.tableName = 'weekly_business';
+    }
+
+    static get COLUMN_MAP() {
+        return COLUMN_MAP;
+    }
+
+    /**
+     * 取得所有週間業務紀錄的摘要資訊 (Raw Data)
+     * @returns {Promise<Array<object>>} - 包含 { weekId, summaryContent } 的陣列
+     */
+    async getWeeklySummary() {
+        try {
+            const rows = await this._selectAll(this.tableName);
+            return rows.map(row => ({
+                weekId: row.week_id || '',
+                summaryContent: row.summary || ''
+            }));
+        } catch (error) {
+            console.error(`❌ [WeeklyBusinessSqlReader] 讀取 weeklyBusinessSummary 失敗:`, error);
+            return [];
+        }
+    }
+
+    /**
+     * 取得所有週間業務紀錄 (Raw Data)
+     * @returns {Promise<Array<object>>}
+     */
+    async getAllEntries() {
+        const rowParser = (row) => {
+            const entry = this._mapRow(row, COLUMN_MAP);
+            // [Critical] 用於 Service -> Writer 的定位
+            entry.rowIndex = entry.recordId;
+            return entry;
+        };
+
+        return this._fetchAndCache('weeklyBusiness', this.tableName, rowParser);
+    }
+
+    /**
+     * 清除快取
+     */
+    invalidateCache() {
+        super.invalidateCache('weeklyBusiness');
+        console.log('✅ [Cache] 週間業務摘要與完整資料快取已失效');
+    }
+}
+
+module.exports = WeeklyBusinessSqlReader;
@@ -0,0 +1,108 @@
+/**
+ * data/weekly-business-sql-writer.js
+ * 週間業務 SQL Writer
+ * * @version 5.4.0 (Phase 5 - SQL Data Sources)
+ * @date 2026-01-30
+ * @description 對應 WeeklyBusinessWriter 的介面 (Pure Write)。
+ * rowIndex 參數即 record_id (由 WeeklyBusinessSqlReader 提供)。
+ */
+
+const BaseSqlWriter = require('./base-sql-writer');
+
+class WeeklyBusinessSqlWriter extends BaseSqlWriter {
+    /**
+     * @param {Object} weeklyReader - 用於清除快取 Reader 實例
+     */
+    constructor(weeklyReader) {
+        super();
+        if (!weeklyReader) {
+            throw new Error('WeeklyBusinessSqlWriter 需要 WeeklyBusinessReader 的實例');
+        }
+        this.weeklyReader = weeklyReader;
+        this.tableName = 'weekly_business';
+    }
+
+    /**
+     * 建立新業務紀錄
+     */
+    async createEntry(data, creator) {
+        console.log(`📅 [WeeklySqlWriter] 建立新紀錄: ${data.theme} by ${creator}`);
+
+        const now = new Date().toISOString();
+        const recordId = `WK${Date.now()}`;
+
+        await this._insert(this.tableName, {
+            entry_date: data.date || now.split('T')[0],
+            week_id: data.weekId || '',
+            category: data.category || '一般',
+            theme: data.theme || '',
+            participants: data.participants || '',
+            summary: data.summary || '',
+            todo: data.todo || '',
+            created_time: now,
+            last_update_time: now,
+            creator: creator,
+            record_id: recordId
+        });
+
+        this.weeklyReader.invalidateCache();
+        return { success: true, id: recordId };
+    }
+
+    /**
+     * [Pure Write] 更新業務紀錄
+     * @param {string} rowIndex - record_id
+     * @param {Object} data
+     * @param {string} modifier
+     */
+    async updateEntryRow(rowIndex, data, modifier) {
+        if (!rowIndex) throw new Error(`無效的 rowIndex: ${rowIndex}`);
+
+        console.log(`📅 [WeeklySqlWriter] 更新紀錄 ${rowIndex} by ${modifier}`);
+
+        const row = { last_update_time: new Date().toISOString() };
+        if (data.date !== undefined) row.entry_date = data.date;
+        if (data.weekId !== undefined) row.week_id = data.weekId;
+        if (data.category !== undefined) row.category = data.category;
+        if (data.theme !== undefined) row.theme = data.theme;
+        if (data.participants !== undefined) row.participants = data.participants;
+        if (data.summary !== undefined) row.summary = data.summary;
+        if (data.todo !== undefined) row.todo = data.todo;
+
+        await this._updateByKey(this.tableName, 'record_id', rowIndex, row);
+
+        this.weeklyReader.invalidateCache();
+        return { success: true };
+    }
+
+    /**
+     * [Pure Write] 刪除業務紀錄
+     * @param {string} rowIndex - record_id
+     */
+    async deleteEntryRow(rowIndex) {
+        if (!rowIndex) throw new Error(`無效的 rowIndex: ${rowIndex}`);
+
+        console.log(`🗑️ [WeeklySqlWriter] 刪除紀錄 ${rowIndex}`);
+
+        await this._deleteByKey(this.tableName, 'record_id', rowIndex);
+
+        this.weeklyReader.invalidateCache();
+        return { success: true };
+    }
+
+    /**
+     * @deprecated Removed in v7. Use updateEntryRow.
+     */
+    async updateEntry() {
+        throw new Error('Deprecation: Use updateEntryRow(rowIndex, data, modifier). Service must provide rowIndex.');
+    }
+
+    /**
+     * @deprecated Removed in v7. Use deleteEntryRow.
+     */
+    async deleteEntry() {
+        throw new Error('Deprecation: Use deleteEntryRow(rowIndex). Service must provide rowIndex.');
+    }
+}
+
+module.exports = WeeklyBusinessSqlWriter;
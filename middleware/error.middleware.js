@@ -1,13 +1,32 @@
 // middleware/error.middleware.js
 
+const { isConflictError } = require('../utils/concurrency-helpers');
+const { isPermissionError } = require('../utils/permission-helpers');
+const { isStageGateError } = require('../utils/pipeline-helpers');
+
 // 統一的 API 錯誤處理函式
 exports.handleApiError = (res, error, context = 'API') => {
     console.error(`⚠ ${context} 執行錯誤:`, error.message);
     // 檢查是否為我們自訂的業務邏輯錯誤
-    if (error.message.startsWith('無法刪除：') || error.message.startsWith('無法建檔：')) {
+    if (error.message.startsWith('無法刪除：') || error.message.startsWith('無法建檔：') || error.message.startsWith('無法還原：') || error.message.startsWith('無法更新：') || error.message.startsWith('無法合併：') || error.message.startsWith('無法匯出：')) {
+         return res.status(400).json({ success: false, error: error.message, details: error.message });
+    }
+
+    // 銷售流程階段關卡 (不合法的階段變更或缺少必填欄位)
+    if (isStageGateError(error)) {
          return res.status(400).json({ success: false, error: error.message, details: error.message });
     }
 
+    // 樂觀鎖衝突：回傳 409 並附上伺服器目前資料，供前端進行合併
+    if (isConflictError(error)) {
+        return res.status(409).json({ success: false, conflict: true, error: error.message, details: error.message, current: error.current || null });
+    }
+
+    // 角色權限不足 (權限矩陣由 Service 層檢查)
+    if (isPermissionError(error)) {
+        return res.status(403).json({ success: false, permissionDenied: true, error: error.message, details: error.message });
+    }
+
     // 其他所有錯誤均回傳 500
     const userFriendlyMessage = '伺服器內部錯誤，請稍後再試或聯絡管理員。';
     res.status(500).json({ success: false, error: userFriendlyMessage, details: error.message });
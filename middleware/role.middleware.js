@@ -1,4 +1,8 @@
 // middleware/role.middleware.js
+// 路由層級的角色檢查 (整條路由允許 / 拒絕)。
+// 實體讀寫與欄位可見度請使用 config.PERMISSIONS 權限矩陣，由 Service 層透過 utils/permission-helpers 檢查。
+
+const { getRole } = require('../utils/permission-helpers');
 
 /**
  * 角色權限檢查中間件
@@ -16,7 +20,7 @@ exports.requireRole = (allowedRoles) => {
 
         // 3. 檢查權限
         // 假設 req.user.role 來自 decoded JWT payload
-        const userRole = req.user.role || 'sales'; // 預設降級為 sales
+        const userRole = getRole(req.user); // 未知角色降級為 PERMISSIONS.DEFAULT_ROLE
 
         if (roles.includes(userRole)) {
             next(); // 通行
@@ -0,0 +1,383 @@
+// public/scripts/automation.js
+// 職責：管理員「自動化規則」頁面 (資料來源：/api/automation)
+// 規則列表 (啟用切換、編輯、刪除)、規則編輯視窗 (觸發 / 條件 / 動作) 與最近的執行紀錄
+
+const AutomationPage = (() => {
+    let _meta = null;
+    let _rules = [];
+    let _webhooks = [];
+
+    // 條件欄位建議 (仍可輸入其他欄位名稱)
+    const FIELD_SUGGESTIONS = {
+        opportunity: ['opportunityName', 'customerCompany', 'assignee', 'currentStage', 'currentStatus', 'opportunityType',
+            'opportunitySource', 'opportunityValue', 'orderProbability', 'expectedCloseDate', 'salesModel'],
+        company: ['companyName', 'county', 'companyType', 'customerStage', 'engagementRating'],
+        contact: ['name', 'companyId', 'position', 'email', 'mobile']
+    };
+
+    // 動作參數：key, 標籤, 輸入類型
+    const ACTION_FIELDS = {
+        create_task: [['title', '任務標題 *'], ['description', '說明', 'textarea'], ['assignee', '負責人 (留白為資料的負責業務)', 'member'], ['dueInDays', '幾天後到期', 'number'], ['priority', '優先度', 'priority']],
+        create_interaction: [['title', '互動標題'], ['summary', '內容', 'textarea']],
+        post_announcement: [['title', '公告標題 *'], ['content', '公告內容', 'textarea']],
+        send_webhook: [['webhookId', 'Webhook 訂閱 * (於 Webhook 頁面設定網址與簽章密鑰)', 'webhook']],
+        assign_owner: [['assignee', '指派給 *', 'member']]
+    };
+
+    const _esc = (text) => {
+        const div = document.createElement('div');
+        div.textContent = text === null || text === undefined ? '' : String(text);
+        return div.innerHTML;
+    };
+
+    async function load() {
+        const container = document.getElementById('page-automation');
+        if (!container) return;
+
+        container.innerHTML = `
+            <div class="dashboard-widget">
+                <div class="widget-header">
+                    <div><h2 class="widget-title">自動化規則</h2>
+                        <p style="color: var(--text-muted); font-size: 0.9rem; margin-top: 5px;">文字欄位可使用 {{欄位}} 帶入觸發資料，例如 {{opportunityName}}；動作造成的變更不會再觸發其他規則。</p></div>
+                    <div style="display: flex; gap: 10px;">
+                        <button class="action-btn secondary" id="automation-idle-check-btn">立即執行閒置檢查</button>
+                        <button class="action-btn primary" id="automation-add-btn">+ 新增規則</button>
+                    </div>
+                </div>
+                <div id="automation-rules-content" class="widget-content">
+                    <div class="loading show"><div class="spinner"></div><p>載入規則中...</p></div>
+                </div>
+            </div>
+            <div class="dashboard-widget" style="margin-top: 20px;">
+                <div class="widget-header"><h2 class="widget-title">最近執行紀錄</h2></div>
+                <div id="automation-logs-content" class="widget-content"></div>
+            </div>`;
+
+        document.getElementById('automation-add-btn').addEventListener('click', () => openEditor());
+        document.getElementById('automation-idle-check-btn').addEventListener('click', runIdleCheck);
+        container.removeEventListener('click', _handleClick);
+        container.addEventListener('click', _handleClick);
+
+        try {
+            if (!_meta) {
+                const metaResult = await authedFetch('/api/automation/meta');
+                _meta = metaResult.data;
+            }
+            await refresh();
+        } catch (error) {
+            if (error.message !== 'Unauthorized') {
+                document.getElementById('automation-rules-content').innerHTML = `<div class="alert alert-error">載入失敗: ${_esc(error.message)}</div>`;
+            }
+        }
+    }
+
+    async function refresh() {
+        const [rulesResult, logsResult, webhooksResult] = await Promise.all([
+            authedFetch('/api/automation/rules'),
+            authedFetch('/api/automation/logs?limit=50'),
+            authedFetch('/api/webhooks')
+        ]);
+        _rules = rulesResult.data || [];
+        _webhooks = webhooksResult.data || [];
+        _renderRules();
+        _renderLogs(logsResult.data || []);
+    }
+
+    function _describeTrigger(rule) {
+        const params = rule.triggerParams || {};
+        if (rule.trigger === 'idle') return `閒置 ${params.days} 天`;
+        if (rule.trigger === 'stage_changed' && (params.fromStage || params.toStage)) {
+            return `階段變更 (${_stageName(params.fromStage) || '任何'} → ${_stageName(params.toStage) || '任何'})`;
+        }
+        return _meta.triggers[rule.trigger] || rule.trigger;
+    }
+
+    function _stageName(value) {
+        if (!value) return '';
+        const stage = (window.CRM_APP.systemConfig?.['機會階段'] || []).find(s => s.value === value);
+        return stage ? stage.note || stage.value : value;
+    }
+
+    function _renderRules() {
+        const container = document.getElementById('automation-rules-content');
+        if (_rules.length === 0) {
+            container.innerHTML = '<div class="alert alert-info" style="text-align:center;">尚未建立自動化規則</div>';
+            return;
+        }
+
+        const rows = _rules.map(rule => `
+            <tr>
+                <td data-label="啟用"><input type="checkbox" data-action="toggle" data-id="${_esc(rule.ruleId)}" ${rule.enabled ? 'checked' : ''}></td>
+                <td data-label="名稱"><strong>${_esc(rule.name)}</strong></td>
+                <td data-label="觸發">${_esc(_meta.entities[rule.entity] || rule.entity)}：${_esc(_describeTrigger(rule))}</td>
+                <td data-label="條件">${rule.conditions.length
+                    ? rule.conditions.map(c => `${_esc(c.field)} ${_esc(_meta.operators[c.operator] || c.operator)} ${_esc(c.value)}`).join('<br>')
+                    : '-'}</td>
+                <td data-label="動作">${rule.actions.map(a => _esc(_meta.actions[a.type] || a.type)).join('<br>')}</td>
+                <td data-label="最後執行">${rule.lastRun ? `${_esc(rule.lastRun.status)} (${formatDateTime(rule.lastRun.executedTime)})` : '-'}</td>
+                <td data-label="操作">
+                    <div class="action-buttons-container">
+                        <button class="action-btn small secondary" data-action="edit" data-id="${_esc(rule.ruleId)}">編輯</button>
+                        <button class="action-btn small danger" data-action="delete" data-id="${_esc(rule.ruleId)}">刪除</button>
+                    </div>
+                </td>
+            </tr>`).join('');
+
+        container.innerHTML = `<table class="data-table"><thead><tr><th>啟用</th><th>名稱</th><th>觸發</th><th>條件</th><th>動作</th><th>最後執行</th><th>操作</th></tr></thead><tbody>${rows}</tbody></table>`;
+    }
+
+    function _renderLogs(logs) {
+        const container = document.getElementById('automation-logs-content');
+        if (!container) return;
+        if (logs.length === 0) {
+            container.innerHTML = '<div class="alert alert-info" style="text-align:center;">尚無執行紀錄</div>';
+            return;
+        }
+
+        const rows = logs.map(log => `
+            <tr>
+                <td data-label="時間">${formatDateTime(log.executedTime)}</td>
+                <td data-label="規則">${_esc(log.ruleName)}</td>
+                <td data-label="資料">${_esc(_meta.entities[log.entity] || log.entity)} ${_esc(log.entityId)}</td>
+                <td data-label="結果"><span style="color: ${log.status === '成功' ? '#10b981' : '#ef4444'}; font-weight: 600;">${_esc(log.status)}</span></td>
+                <td data-label="明細" style="font-size: 0.85rem;">${(log.detail || []).map(d =>
+                    `${d.ok ? '✔' : '✖'} ${_esc(_meta.actions[d.type] || d.type)}：${_esc(d.message)}`).join('<br>')}</td>
+            </tr>`).join('');
+
+        container.innerHTML = `<div style="max-height: 400px; overflow-y: auto;"><table class="data-table"><thead><tr><th>時間</th><th>規則</th><th>資料</th><th>結果</th><th>明細</th></tr></thead><tbody>${rows}</tbody></table></div>`;
+    }
+
+    function _handleClick(e) {
+        const target = e.target.closest('[data-action]');
+        if (!target) return;
+        const rule = _rules.find(r => r.ruleId === target.dataset.id);
+
+        switch (target.dataset.action) {
+            case 'edit':
+                openEditor(rule);
+                break;
+            case 'delete':
+                showConfirmDialog(`確定要刪除規則「${rule.name}」嗎？執行紀錄會保留。`, () => _send(`/api/automation/rules/${encodeURIComponent(rule.ruleId)}`, 'DELETE'));
+                break;
+            case 'toggle':
+                _send(`/api/automation/rules/${encodeURIComponent(rule.ruleId)}`, 'PUT', { enabled: target.checked });
+                break;
+        }
+    }
+
+    async function _send(url, method, body) {
+        showLoading('正在儲存...');
+        try {
+            // skipRefresh：規則只顯示在本頁，完成後重新載入本頁資料
+            const result = await authedFetch(url, { method, body: body ? JSON.stringify(body) : undefined, skipRefresh: true });
+            showNotification(result.message || '已儲存', 'success');
+            await refresh();
+            return true;
+        } catch (error) {
+            if (error.message !== 'Unauthorized') await refresh().catch(() => {});
+            return false;
+        } finally {
+            hideLoading();
+        }
+    }
+
+    async function runIdleCheck() {
+        showLoading('正在執行閒置檢查...');
+        try {
+            const result = await authedFetch('/api/automation/idle-check', { method: 'POST', skipRefresh: true });
+            showNotification(result.message, 'success');
+            await refresh();
+        } catch (error) {
+            // authedFetch 已顯示錯誤訊息
+        } finally {
+            hideLoading();
+        }
+    }
+
+    // --- 規則編輯視窗 ---
+
+    function _options(map, selected, emptyLabel) {
+        const empty = emptyLabel !== undefined ? `<option value="">${emptyLabel}</option>` : '';
+        return empty + Object.entries(map).map(([value, label]) =>
+            `<option value="${_esc(value)}" ${value === selected ? 'selected' : ''}>${_esc(label)}</option>`).join('');
+    }
+
+    function _stageOptions(selected) {
+        const stages = Object.fromEntries((window.CRM_APP.systemConfig?.['機會階段'] || []).map(s => [s.value, s.note || s.value]));
+        return _options(stages, selected, '任何階段');
+    }
+
+    function _memberOptions(selected, emptyLabel) {
+        const members = Object.fromEntries((window.CRM_APP.systemConfig?.['團隊成員'] || []).map(m => [m.value, m.note || m.value]));
+        return _options(members, selected, emptyLabel);
+    }
+
+    function _webhookOptions(selected) {
+        const webhooks = Object.fromEntries(_webhooks.map(w => [w.webhookId, w.enabled ? w.name : `${w.name} (已停用)`]));
+        return _options(webhooks, selected, '請選擇');
+    }
+
+    function openEditor(rule = null) {
+        const existing = document.getElementById('automation-editor-modal');
+        if (existing) existing.remove();
+
+        const value = rule || { name: '', enabled: true, entity: 'opportunity', trigger: 'created', triggerParams: {}, conditions: [], actions: [] };
+        const modalHTML = `
+            <div id="automation-editor-modal" class="modal" style="display: block;">
+                <div class="modal-content" style="max-width: 860px;">
+                    <div class="modal-header">
+                        <h2 class="modal-title">${rule ? '編輯自動化規則' : '新增自動化規則'}</h2>
+                        <button class="close-btn" onclick="closeModal('automation-editor-modal')">&times;</button>
+                    </div>
+                    <div class="form-row">
+                        <div class="form-group" style="flex: 2;">
+                            <label class="form-label">規則名稱 *</label>
+                            <input type="text" id="automation-name" class="form-input" value="${_esc(value.name)}">
+                        </div>
+                        <div class="form-group">
+                            <label class="form-label">啟用</label>
+                            <input type="checkbox" id="automation-enabled" ${value.enabled ? 'checked' : ''}>
+                        </div>
+                    </div>
+                    <div class="form-row">
+                        <div class="form-group">
+                            <label class="form-label">實體</label>
+                            <select id="automation-entity" class="form-select">${_options(_meta.entities, value.entity)}</select>
+                        </div>
+                        <div class="form-group">
+                            <label class="form-label">觸發</label>
+                            <select id="automation-trigger" class="form-select">${_options(_meta.triggers, value.trigger)}</select>
+                        </div>
+                        <div class="form-group" id="automation-trigger-params"></div>
+                    </div>
+                    <h3 style="margin: 10px 0 6px;">條件 <small style="color: var(--text-muted); font-weight: normal;">(全部符合才執行；「為下列之一」以逗號分隔)</small></h3>
+                    <div id="automation-conditions"></div>
+                    <button type="button" class="action-btn small secondary" id="automation-add-condition">+ 新增條件</button>
+                    <h3 style="margin: 16px 0 6px;">動作 <small style="color: var(--text-muted); font-weight: normal;">(依序執行)</small></h3>
+                    <div id="automation-actions"></div>
+                    <div style="display: flex; gap: 8px; align-items: center; margin-top: 6px;">
+                        <select id="automation-new-action-type" class="form-select" style="width: auto;">${_options(_meta.actions, '')}</select>
+                        <button type="button" class="action-btn small secondary" id="automation-add-action">+ 新增動作</button>
+                    </div>
+                    <datalist id="automation-field-options"></datalist>
+                    <button type="button" class="submit-btn" id="automation-save-btn" style="margin-top: 16px;">💾 儲存規則</button>
+                </div>
+            </div>`;
+        document.getElementById('modal-container').insertAdjacentHTML('beforeend', modalHTML);
+
+        value.conditions.forEach(c => _addConditionRow(c));
+        value.actions.forEach(a => _addActionRow(a));
+        _renderTriggerParams(value.triggerParams || {});
+        _renderFieldOptions();
+
+        document.getElementById('automation-entity').addEventListener('change', () => {
+            _renderTriggerParams({});
+            _renderFieldOptions();
+        });
+        document.getElementById('automation-trigger').addEventListener('change', () => _renderTriggerParams({}));
+        document.getElementById('automation-add-condition').addEventListener('click', () => _addConditionRow({ operator: 'equals' }));
+        document.getElementById('automation-add-action').addEventListener('click', () => {
+            _addActionRow({ type: document.getElementById('automation-new-action-type').value });
+        });
+        document.getElementById('automation-editor-modal').addEventListener('click', (e) => {
+            const removeBtn = e.target.closest('.automation-remove-row');
+            if (removeBtn) removeBtn.closest('.automation-row').remove();
+        });
+        document.getElementById('automation-save-btn').addEventListener('click', () => save(rule));
+    }
+
+    function _renderTriggerParams(params) {
+        const trigger = document.getElementById('automation-trigger').value;
+        const entity = document.getElementById('automation-entity').value;
+        const container = document.getElementById('automation-trigger-params');
+
+        if (trigger === 'idle') {
+            container.innerHTML = `<label class="form-label">閒置天數</label>
+                <input type="number" id="automation-idle-days" class="form-input" min="1" value="${_esc(params.days || 14)}">`;
+        } else if (trigger === 'stage_changed' && entity === 'opportunity') {
+            container.innerHTML = `<label class="form-label">階段 (從 → 到)</label>
+                <div style="display: flex; gap: 6px;">
+                    <select id="automation-from-stage" class="form-select">${_stageOptions(params.fromStage)}</select>
+                    <select id="automation-to-stage" class="form-select">${_stageOptions(params.toStage)}</select>
+                </div>`;
+        } else {
+            container.innerHTML = '';
+        }
+    }
+
+    function _renderFieldOptions() {
+        const entity = document.getElementById('automation-entity').value;
+        document.getElementById('automation-field-options').innerHTML =
+            (FIELD_SUGGESTIONS[entity] || []).map(f => `<option value="${f}">`).join('');
+    }
+
+    function _addConditionRow(condition) {
+        document.getElementById('automation-conditions').insertAdjacentHTML('beforeend', `
+            <div class="automation-row automation-condition" style="display: flex; gap: 6px; margin-bottom: 6px;">
+                <input type="text" class="form-input" data-key="field" list="automation-field-options" placeholder="欄位" value="${_esc(condition.field)}">
+                <select class="form-select" data-key="operator">${_options(_meta.operators, condition.operator)}</select>
+                <input type="text" class="form-input" data-key="value" placeholder="值" value="${_esc(condition.value)}">
+                <button type="button" class="action-btn small danger automation-remove-row">✕</button>
+            </div>`);
+    }
+
+    function _addActionRow(action) {
+        const fields = (ACTION_FIELDS[action.type] || []).map(([key, label, type]) => {
+            let input;
+            if (type === 'textarea') input = `<textarea class="form-textarea" rows="2" data-key="${key}">${_esc(action[key])}</textarea>`;
+            else if (type === 'member') input = `<select class="form-select" data-key="${key}">${_memberOptions(action[key], key === 'assignee' && action.type === 'create_task' ? '資料的負責業務' : '請選擇')}</select>`;
+            else if (type === 'webhook') input = `<select class="form-select" data-key="${key}">${_webhookOptions(action[key])}</select>`;
+            else if (type === 'priority') input = `<select class="form-select" data-key="${key}">${_options({ '高': '高', '中': '中', '低': '低' }, action[key] || '中')}</select>`;
+            else input = `<input type="${type === 'number' ? 'number' : 'text'}" class="form-input" data-key="${key}" value="${_esc(action[key])}">`;
+            return `<div class="form-group"><label class="form-label">${label}</label>${input}</div>`;
+        }).join('');
+
+        document.getElementById('automation-actions').insertAdjacentHTML('beforeend', `
+            <div class="automation-row automation-action" data-type="${_esc(action.type)}" style="border: 1px solid var(--border-color); border-radius: 6px; padding: 8px 10px; margin-bottom: 8px;">
+                <div style="display: flex; justify-content: space-between; align-items: center;">
+                    <strong>${_esc(_meta.actions[action.type] || action.type)}</strong>
+                    <button type="button" class="action-btn small danger automation-remove-row">✕</button>
+                </div>
+                ${fields}
+            </div>`);
+    }
+
+    function _collectRow(row) {
+        const data = {};
+        row.querySelectorAll('[data-key]').forEach(input => { data[input.dataset.key] = input.value.trim(); });
+        return data;
+    }
+
+    async function save(rule) {
+        const trigger = document.getElementById('automation-trigger').value;
+        const payload = {
+            name: document.getElementById('automation-name').value.trim(),
+            enabled: document.getElementById('automation-enabled').checked,
+            entity: document.getElementById('automation-entity').value,
+            trigger,
+            triggerParams: {},
+            conditions: [...document.querySelectorAll('#automation-conditions .automation-condition')].map(_collectRow).filter(c => c.field),
+            actions: [...document.querySelectorAll('#automation-actions .automation-action')].map(row => ({ type: row.dataset.type, ..._collectRow(row) }))
+        };
+        if (trigger === 'idle') payload.triggerParams.days = document.getElementById('automation-idle-days').value;
+        if (document.getElementById('automation-from-stage')) {
+            payload.triggerParams.fromStage = document.getElementById('automation-from-stage').value;
+            payload.triggerParams.toStage = document.getElementById('automation-to-stage').value;
+        }
+
+        const saved = await _send(
+            rule ? `/api/automation/rules/${encodeURIComponent(rule.ruleId)}` : '/api/automation/rules',
+            rule ? 'PUT' : 'POST',
+            payload
+        );
+        if (saved) closeModal('automation-editor-modal');
+    }
+
+    return { load, openEditor };
+})();
+
+window.AutomationPage = AutomationPage;
+
+if (window.CRM_APP) {
+    window.CRM_APP.pageModules['automation'] = () => AutomationPage.load();
+}
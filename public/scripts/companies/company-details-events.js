@@ -56,7 +56,7 @@ function handleCompanyDetailsAction(e) {
             confirmDeleteCompany();
             break;
         case 'delete-opp': 
-            confirmDeleteOppInDetails(payload.rowIndex, payload.name);
+            confirmDeleteOppInDetails(payload.opportunityId, payload.name);
             break;
         
         // --- 聯絡人操作 ---
@@ -131,6 +131,8 @@ async function saveCompanyInfo(event) {
     const formData = new FormData(form);
     const updateData = Object.fromEntries(formData.entries());
     const oldCompanyName = _currentCompanyInfo.companyName;
+    // 樂觀鎖：帶上載入時的最後更新時間，他人已修改時伺服器回傳 409
+    const expectedLastUpdateTime = _currentCompanyInfo.lastUpdateTime || '';
     
     // [Security] 雙重編碼，防止特殊字元破壞 URL
     const encodedOldName = encodeURIComponent(encodeURIComponent(oldCompanyName));
@@ -152,7 +154,7 @@ async function saveCompanyInfo(event) {
         // [Critical] skipRefresh: true -> 我們自己處理 UI 更新，不讓 api.js 刷新頁面
         const result = await authedFetch(`/api/companies/${encodedOldName}`, {
             method: 'PUT',
-            body: JSON.stringify(updateData),
+            body: JSON.stringify({ ...updateData, expectedLastUpdateTime }),
             headers: { 'Content-Type': 'application/json' },
             skipRefresh: true 
         });
@@ -163,7 +165,7 @@ async function saveCompanyInfo(event) {
             else alert('公司資料已更新');
             
             // 2. 更新本地快取
-            _currentCompanyInfo = { ..._currentCompanyInfo, ...updateData };
+            _currentCompanyInfo = { ..._currentCompanyInfo, ...updateData, lastUpdateTime: result.lastUpdateTime || _currentCompanyInfo.lastUpdateTime };
 
             // 3. 判斷是否改名
             if (updateData.companyName !== oldCompanyName) {
@@ -181,6 +183,14 @@ async function saveCompanyInfo(event) {
             throw new Error(result.error || '儲存失敗');
         }
     } catch (error) {
+        const handled = ConflictPrompt.handle(error, {
+            onReload: () => window.loadCompanyDetailsPage(encodeURIComponent(oldCompanyName)),
+            onOverwrite: (current) => {
+                _currentCompanyInfo.lastUpdateTime = current ? current.lastUpdateTime : '';
+                saveCompanyInfo(event);
+            }
+        });
+        if (handled) return;
         console.error('儲存失敗:', error);
         if(window.showNotification) showNotification('儲存失敗: ' + error.message, 'error');
         else alert('儲存失敗: ' + error.message);
@@ -251,7 +261,7 @@ async function generateCompanyProfile() {
 async function confirmDeleteCompany() {
     if (!_currentCompanyInfo) return;
     const name = _currentCompanyInfo.companyName;
-    const message = `確定要刪除「${name}」嗎？此操作無法復原。`;
+    const message = `確定要刪除「${name}」嗎？刪除後將移至回收桶，可由管理員還原。`;
     
     const performDelete = async () => {
         if(typeof showLoading === 'function') showLoading('刪除中...');
@@ -293,14 +303,14 @@ async function confirmDeleteCompany() {
 /**
  * 刪除機會案件 (在詳細頁中)
  */
-async function confirmDeleteOppInDetails(rowIndex, oppName) {
-    if (!rowIndex) return;
+async function confirmDeleteOppInDetails(opportunityId, oppName) {
+    if (!opportunityId) return;
     const message = `確定要刪除機會「${oppName || '(未命名)'}」嗎？`;
 
     const doDelete = async () => {
         if(typeof showLoading === 'function') showLoading('正在刪除機會...');
         try {
-            const result = await authedFetch(`/api/opportunities/${rowIndex}`, { 
+            const result = await authedFetch(`/api/opportunities/${encodeURIComponent(opportunityId)}`, { 
                 method: 'DELETE',
                 skipRefresh: true
             });
@@ -349,6 +359,7 @@ function showEditContactModal(contact) {
                 </div>
                 <form id="edit-contact-form">
                     <input type="hidden" id="edit-contact-id" value="${contact.contactId}">
+                    <input type="hidden" id="edit-contact-last-update" value="${contact.lastUpdateTime || ''}">
                     <div class="form-row">
                         <div class="form-group"><label class="form-label">部門</label><input type="text" class="form-input" id="edit-contact-department" value="${contact.department || ''}"></div>
                         <div class="form-group"><label class="form-label">職位</label><input type="text" class="form-input" id="edit-contact-position" value="${contact.position || ''}"></div>
@@ -384,13 +395,27 @@ async function handleSaveContact(e) {
         phone: document.getElementById('edit-contact-phone').value,
         email: document.getElementById('edit-contact-email').value,
     };
-    
+    await _submitContactUpdate(id, data, document.getElementById('edit-contact-last-update').value);
+}
+
+/**
+ * 送出聯絡人更新；版本過期 (409) 時提示載入最新資料或覆寫
+ */
+async function _submitContactUpdate(id, data, expectedLastUpdateTime) {
+    const reloadPage = () => {
+        if (window.loadCompanyDetailsPage) {
+            window.loadCompanyDetailsPage(encodeURIComponent(_currentCompanyInfo.companyName));
+        } else {
+            window.location.reload();
+        }
+    };
+
     if(typeof showLoading === 'function') showLoading('更新中...');
     
     try {
         await authedFetch(`/api/contacts/${id}`, { 
             method: 'PUT', 
-            body: JSON.stringify(data),
+            body: JSON.stringify({ ...data, expectedLastUpdateTime }),
             skipRefresh: true 
         });
         
@@ -398,14 +423,16 @@ async function handleSaveContact(e) {
         closeEditContactModal();
         
         // 重新載入頁面 (聯絡人更新較複雜，建議重整)
-        setTimeout(() => {
-            if (window.loadCompanyDetailsPage) {
-                window.loadCompanyDetailsPage(encodeURIComponent(_currentCompanyInfo.companyName));
-            } else {
-                window.location.reload();
-            }
-        }, 500);
+        setTimeout(reloadPage, 500);
     } catch(e) { 
+        const handled = ConflictPrompt.handle(e, {
+            onReload: () => {
+                closeEditContactModal();
+                reloadPage();
+            },
+            onOverwrite: (current) => _submitContactUpdate(id, data, current ? current.lastUpdateTime : '')
+        });
+        if (handled) return;
         console.error(e); 
         if(window.showNotification) showNotification('更新失敗', 'error');
     } finally {
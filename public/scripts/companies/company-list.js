@@ -91,9 +91,9 @@ async function executeDeleteCompany(encodedName) {
     };
 
     if (typeof confirmFunc === 'function' && window.showConfirmDialog) {
-        showConfirmDialog(`確定要永久刪除公司「${name}」及其所有關聯資料嗎？`, doDelete);
+        showConfirmDialog(`確定要刪除公司「${name}」嗎？刪除後將移至回收桶，可由管理員還原。`, doDelete);
     } else {
-        if (confirm(`(系統提示) 確定要刪除「${name}」嗎？此操作無法復原。`)) {
+        if (confirm(`(系統提示) 確定要刪除「${name}」嗎？刪除後將移至回收桶。`)) {
              doDelete();
         }
     }
@@ -161,6 +161,9 @@ async function loadCompaniesListPage() {
                     <button class="action-btn small primary" data-action="toggle-quick-create" data-show="true" id="btn-toggle-create" style="flex-shrink: 0; display: flex; align-items: center; gap: 4px;">
                         <span style="font-size: 1.2em; line-height: 1;">+</span> 快速新增
                     </button>
+                    <button class="action-btn small secondary" data-action="import-companies" style="flex-shrink: 0;">📥 匯入</button>
+                    <button class="action-btn small secondary" data-action="export-companies" data-format="csv" style="flex-shrink: 0;">⬇ CSV</button>
+                    <button class="action-btn small secondary" data-action="export-companies" data-format="xlsx" style="flex-shrink: 0;">⬇ XLSX</button>
 
                     <div id="company-list-filters" style="display: flex; gap: 0.5rem; flex-wrap: wrap;">
                         <select id="company-type-filter" class="form-select-sm" data-filter="type"><option value="all">所有類型</option></select>
@@ -253,6 +256,8 @@ function handleCompanyListClick(e) {
         case 'sort': handleCompanySort(payload.field); break;
         case 'toggle-quick-create': toggleQuickCreateCard(payload.show === 'true'); break;
         case 'submit-quick-create': submitQuickCreateCompany(); break;
+        case 'import-companies': ImportWizard.open('company', { onComplete: () => loadCompaniesListPage() }); break;
+        case 'export-companies': exportCompanyList(payload.format); break;
         case 'delete-company': executeDeleteCompany(payload.name).catch(console.error); break;
         case 'navigate':
             e.preventDefault();
@@ -273,6 +278,19 @@ function handleCompanyListKeydown(e) {
     if (e.target.id === 'quick-create-name-input' && e.key === 'Enter') submitQuickCreateCompany();
 }
 
+/**
+ * 依目前的搜尋與篩選匯出公司列表 (伺服器端重新查詢，依最後活動時間排序)
+ */
+function exportCompanyList(format) {
+    const params = new URLSearchParams({ format });
+    const query = document.getElementById('company-list-search')?.value.trim();
+    if (query) params.set('q', query);
+    Object.entries(companyListFilters).forEach(([key, value]) => {
+        if (value && value !== 'all') params.set(key, value);
+    });
+    authedDownload(`/api/companies/export?${params.toString()}`).catch(console.error);
+}
+
 function filterAndRenderCompanyList() {
     const query = document.getElementById('company-list-search')?.value.toLowerCase() || '';
     const { type, stage, rating } = companyListFilters;
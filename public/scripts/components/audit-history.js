@@ -0,0 +1,80 @@
+// public/scripts/components/audit-history.js
+// 職責：渲染實體的「欄位異動歷程」(資料來源：GET /api/audit?entity=&id=)
+
+const AuditHistory = (() => {
+    // 欄位名稱對照 (DTO key -> 顯示名稱)，未列出的欄位直接顯示 key
+    const FIELD_LABELS = {
+        opportunity: {
+            opportunityName: '機會名稱', customerCompany: '終端客戶', mainContact: '主要聯絡人',
+            assignee: '負責業務', opportunityType: '機會種類', opportunitySource: '機會來源',
+            currentStage: '目前階段', expectedCloseDate: '結案日期', opportunityValue: '機會價值',
+            opportunityValueType: '價值計算方式', currentStatus: '目前狀態', notes: '備註',
+            orderProbability: '下單機率', potentialSpecification: '可能下單規格', deviceScale: '設備規模',
+            salesModel: '銷售模式', salesChannel: '主要通路/下單方', channelDetails: '主要通路/下單方',
+            channelContact: '通路窗口', parentOpportunityId: '母機會', createdTime: '建立時間'
+        },
+        company: {
+            companyName: '公司名稱', phone: '公司電話', address: '地址', county: '縣市',
+            introduction: '公司簡介', companyType: '公司類型', customerStage: '客戶階段',
+            engagementRating: '互動評級', deletedTime: '刪除時間', deletedBy: '刪除者'
+        }
+    };
+
+    // 一般刪除為軟刪除 (記錄為欄位修改)，delete 動作只會出現在回收桶的永久刪除；merge 為重複資料合併；create 的新值為名稱
+    const ACTION_LABELS = { create: '建立', update: '修改', delete: '永久刪除', merge: '合併' };
+
+    function _escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text === null || text === undefined ? '' : String(text);
+        return div.innerHTML;
+    }
+
+    function _formatTime(value) {
+        const date = new Date(value);
+        return isNaN(date.getTime()) ? (value || '-') : date.toLocaleString('zh-TW', { hour12: false });
+    }
+
+    function _renderTable(entity, logs) {
+        if (logs.length === 0) {
+            return '<div class="alert alert-info" style="text-align:center;">尚無欄位異動紀錄</div>';
+        }
+
+        const labels = FIELD_LABELS[entity] || {};
+        const rows = logs.map(log => `
+            <tr>
+                <td data-label="時間">${_escapeHtml(_formatTime(log.timestamp))}</td>
+                <td data-label="使用者">${_escapeHtml(log.user || '-')}</td>
+                <td data-label="動作">${_escapeHtml(ACTION_LABELS[log.action] || log.action)}</td>
+                <td data-label="欄位">${_escapeHtml(labels[log.field] || log.field || '-')}</td>
+                <td data-label="舊值" style="color: var(--text-muted); white-space: pre-wrap;">${_escapeHtml(log.oldValue) || '-'}</td>
+                <td data-label="新值" style="white-space: pre-wrap;">${_escapeHtml(log.newValue) || '-'}</td>
+            </tr>
+        `).join('');
+
+        return `<table class="data-table"><thead><tr><th>時間</th><th>使用者</th><th>動作</th><th>欄位</th><th>舊值</th><th>新值</th></tr></thead><tbody>${rows}</tbody></table>`;
+    }
+
+    /**
+     * 公開：載入並渲染異動歷程
+     * @param {HTMLElement} container
+     * @param {string} entity - opportunity / company / contact / product / event
+     * @param {string} entityId
+     */
+    async function render(container, entity, entityId) {
+        if (!container || !entityId) return;
+
+        container.innerHTML = '<div class="loading show"><div class="spinner" style="width:20px;height:20px"></div></div>';
+        try {
+            const result = await authedFetch(`/api/audit?entity=${encodeURIComponent(entity)}&id=${encodeURIComponent(entityId)}`);
+            container.innerHTML = _renderTable(entity, result.data || []);
+        } catch (error) {
+            if (error.message !== 'Unauthorized') {
+                container.innerHTML = `<div class="alert alert-error">無法載入異動歷程: ${_escapeHtml(error.message)}</div>`;
+            }
+        }
+    }
+
+    return { render };
+})();
+
+window.AuditHistory = AuditHistory;
@@ -314,7 +314,6 @@ class ChipWall {
             <div class="opportunity-chip" 
                  ${draggableAttr}
                  data-item-id="${item.opportunityId}" 
-                 data-item-row-index="${item.rowIndex}"
                  style="--chip-color: ${color};"
                  title="${item.opportunityName}">
                 ${item.opportunityName}
@@ -409,7 +408,6 @@ class ChipWall {
         const chip = e.target.closest('.opportunity-chip');
         if (!chip) return;
         e.dataTransfer.setData('text/plain', chip.dataset.itemId);
-        e.dataTransfer.setData('text/rowIndex', chip.dataset.itemRowIndex);
         setTimeout(() => chip.classList.add('dragging'), 0);
     }
 
@@ -440,7 +438,6 @@ class ChipWall {
         
         block.classList.remove('drag-over');
         const opportunityId = e.dataTransfer.getData('text/plain');
-        const rowIndex = e.dataTransfer.getData('text/rowIndex');
         const newStageId = block.dataset.stageId;
         
         const item = this.allItems.find(i => i.opportunityId === opportunityId);
@@ -452,23 +449,26 @@ class ChipWall {
             historySet.add(`C:${newStageId}`); 
             const newStageHistory = Array.from(historySet).join(',');
             
-            const result = await authedFetch(`/api/opportunities/${rowIndex}`, {
+            const result = await authedFetch(`/api/opportunities/${encodeURIComponent(opportunityId)}`, {
                 method: 'PUT',
                 body: JSON.stringify({ 
                     currentStage: newStageId, 
                     stageHistory: newStageHistory, 
-                    modifier: getCurrentUser() 
+                    modifier: getCurrentUser(),
+                    expectedLastUpdateTime: item.lastUpdateTime || ''
                 }),
             });
             
             if (result.success) {
                 item.currentStage = newStageId;
                 item.stageHistory = newStageHistory; 
+                if (result.data && result.data.lastUpdateTime) item.lastUpdateTime = result.data.lastUpdateTime;
                 this.render();
                 showNotification(`機會 "${item.opportunityName}" 已移至新階段`, 'success');
                 if (typeof this.options.onItemUpdate === 'function') this.options.onItemUpdate();
             } else { throw new Error(result.error); }
         } catch (error) { 
+            if (ConflictPrompt.handle(error, { onReload: () => window.CRM_APP.refreshCurrentView() })) return;
             if (error.message !== 'Unauthorized') showNotification(`更新失敗: ${error.message}`, 'error');
         } finally { 
             hideLoading(); 
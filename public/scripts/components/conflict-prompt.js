@@ -0,0 +1,72 @@
+// public/scripts/components/conflict-prompt.js
+// 職責：資料衝突 (409) 的通用提示視窗，讓使用者選擇載入最新資料或以自己的修改覆寫
+// 用法：catch (error) { if (ConflictPrompt.handle(error, { onReload, onOverwrite })) return; ... }
+// 視窗層級高於各編輯視窗，編輯中的表單保留不關閉 (取消後可繼續修改)
+
+const ConflictPrompt = (() => {
+    const MODAL_ID = 'conflict-prompt-modal';
+
+    let handlers = {};
+    let current = null;
+
+    function _escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text === null || text === undefined ? '' : String(text);
+        return div.innerHTML;
+    }
+
+    function _close() {
+        const modal = document.getElementById(MODAL_ID);
+        if (modal) modal.remove();
+    }
+
+    function _handleClick(event) {
+        const button = event.target.closest('[data-action]');
+        if (!button) return;
+
+        const { onReload, onOverwrite } = handlers;
+        _close();
+        if (button.dataset.action === 'reload' && onReload) onReload(current);
+        if (button.dataset.action === 'overwrite' && onOverwrite) onOverwrite(current);
+    }
+
+    /**
+     * 若為資料衝突錯誤則顯示提示視窗
+     * @param {Error} error - authedFetch 拋出的錯誤 (409 時帶有 status 與 current)
+     * @param {Object} [options]
+     * @param {Function} [options.onReload] - 載入最新資料 (參數為伺服器目前資料)
+     * @param {Function} [options.onOverwrite] - 以目前版本重新送出我的修改 (未提供則不顯示覆寫按鈕)
+     * @returns {boolean} true 表示已處理 (呼叫端不需再顯示錯誤)
+     */
+    function handle(error, options = {}) {
+        if (!error || error.status !== 409) return false;
+
+        _close();
+        handlers = options;
+        current = error.current || null;
+
+        const modalHTML = `
+            <div id="${MODAL_ID}" class="modal" style="display: block; z-index: 4000;">
+                <div class="modal-content" style="max-width: 520px;">
+                    <div class="modal-header">
+                        <h2 class="modal-title">⚠️ 資料衝突</h2>
+                        <button class="close-btn" data-action="cancel">&times;</button>
+                    </div>
+                    <p style="margin-bottom: 10px;">${_escapeHtml(error.message)}</p>
+                    <p style="color: var(--text-muted); margin-bottom: 20px;">載入最新資料會放棄您尚未儲存的修改。</p>
+                    <div style="display: flex; gap: 10px; justify-content: flex-end;">
+                        <button class="action-btn" style="background: #6c757d;" data-action="cancel">取消</button>
+                        ${options.onOverwrite ? '<button class="action-btn" style="background: #dc3545;" data-action="overwrite">💾 仍以我的修改覆寫</button>' : ''}
+                        <button class="action-btn" data-action="reload">🔄 載入最新資料</button>
+                    </div>
+                </div>
+            </div>`;
+        document.getElementById('modal-container').insertAdjacentHTML('beforeend', modalHTML);
+        document.getElementById(MODAL_ID).addEventListener('click', _handleClick);
+        return true;
+    }
+
+    return { handle };
+})();
+
+window.ConflictPrompt = ConflictPrompt;
@@ -0,0 +1,260 @@
+// public/scripts/components/global-search.js
+// 職責：頁首的全域搜尋面板 (Ctrl / ⌘ + K)，依相關度列出機會、公司、聯絡人、互動、事件與商品
+// 資料來源：GET /api/search?q=
+
+const GlobalSearch = (() => {
+    const MODAL_ID = 'global-search-modal';
+    const DEBOUNCE_MS = 200;
+    const RESULT_LIMIT = 20;
+
+    const TYPE_ICONS = {
+        opportunity: '🎯',
+        company: '🏢',
+        contact: '👤',
+        lead: '📇',
+        interaction: '💬',
+        event: '📝',
+        product: '📦'
+    };
+
+    let debounceTimer = null;
+    let requestSeq = 0;
+    let results = [];
+    let activeIndex = 0;
+
+    function _escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text === null || text === undefined ? '' : String(text);
+        return div.innerHTML;
+    }
+
+    /**
+     * 標示查詢字詞 (先找出範圍再逐段跳脫)
+     */
+    function _highlight(text, query) {
+        const source = String(text || '');
+        const lower = source.toLowerCase();
+        const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+
+        const marks = new Array(source.length).fill(false);
+        words.forEach(word => {
+            for (let i = lower.indexOf(word); i >= 0; i = lower.indexOf(word, i + word.length)) {
+                marks.fill(true, i, i + word.length);
+            }
+        });
+
+        let html = '';
+        let start = 0;
+        for (let i = 1; i <= source.length; i++) {
+            if (i === source.length || marks[i] !== marks[start]) {
+                const part = _escapeHtml(source.slice(start, i));
+                html += marks[start] ? `<mark>${part}</mark>` : part;
+                start = i;
+            }
+        }
+        return html;
+    }
+
+    function _input() {
+        return document.getElementById('global-search-input');
+    }
+
+    function _close() {
+        clearTimeout(debounceTimer);
+        requestSeq++;
+        const modal = document.getElementById(MODAL_ID);
+        if (modal) modal.remove();
+        document.body.style.overflow = '';
+    }
+
+    // ==================== 搜尋 ====================
+
+    function _scheduleSearch() {
+        clearTimeout(debounceTimer);
+        debounceTimer = setTimeout(_search, DEBOUNCE_MS);
+    }
+
+    async function _search() {
+        const input = _input();
+        if (!input) return;
+        // 保留結尾空白：伺服器據此判斷最後一個詞是否仍在輸入 (前綴比對)
+        const query = input.value;
+        if (!query.trim()) {
+            results = [];
+            _renderResults(null, '');
+            return;
+        }
+
+        const seq = ++requestSeq;
+        try {
+            const params = new URLSearchParams({ q: query, limit: RESULT_LIMIT });
+            const result = await authedFetch(`/api/search?${params.toString()}`);
+            // 只顯示最後一次輸入的結果
+            if (seq !== requestSeq) return;
+            results = result.data.results;
+            activeIndex = 0;
+            _renderResults(result.data, query.trim());
+        } catch (error) {
+            console.error('[GlobalSearch] 搜尋失敗:', error);
+        }
+    }
+
+    function _renderResults(data, query) {
+        const container = document.querySelector(`#${MODAL_ID} .global-search-results`);
+        if (!container) return;
+
+        if (!data) {
+            container.innerHTML = '<p style="color: var(--text-muted); padding: 12px;">輸入公司、機會、聯絡人、電話或事件內容；↑ ↓ 選擇，Enter 開啟，Esc 關閉。</p>';
+            return;
+        }
+        if (data.total === 0) {
+            container.innerHTML = `<p style="color: var(--text-muted); padding: 12px;">找不到符合「${_escapeHtml(query)}」的資料</p>`;
+            return;
+        }
+
+        const labels = {};
+        results.forEach(r => { labels[r.type] = r.typeLabel; });
+        const summary = Object.entries(data.counts)
+            .map(([type, count]) => `${labels[type] || type} ${count}`)
+            .join(' · ');
+
+        container.innerHTML = `
+            <p style="color: var(--text-muted); font-size: 0.85rem; padding: 0 12px;">
+                共 ${data.total} 筆${data.total > results.length ? `，顯示最相關的 ${results.length} 筆` : ''}：${_escapeHtml(summary)}
+            </p>
+            ${results.map((r, index) => `
+                <div class="global-search-item" data-index="${index}"
+                     style="display: flex; gap: 10px; padding: 8px 12px; border-radius: 6px; cursor: pointer; ${index === activeIndex ? 'background: var(--secondary-bg);' : ''}">
+                    <span style="font-size: 1.2rem;" title="${_escapeHtml(r.typeLabel)}">${TYPE_ICONS[r.type] || '🔍'}</span>
+                    <div style="min-width: 0; flex: 1;">
+                        <div style="font-weight: 600;">${_highlight(r.title, query)}
+                            <span style="font-weight: normal; font-size: 0.8rem; color: var(--text-muted);">${_escapeHtml(r.typeLabel)}</span>
+                        </div>
+                        ${r.subtitle ? `<div style="font-size: 0.85rem; color: var(--text-muted);">${_escapeHtml(r.subtitle)}</div>` : ''}
+                        ${r.snippet ? `<div style="font-size: 0.85rem; white-space: nowrap; overflow: hidden; text-overflow: ellipsis;">
+                            <span style="color: var(--text-muted);">${_escapeHtml(r.snippet.label)}：</span>${_highlight(r.snippet.text, query)}
+                        </div>` : ''}
+                    </div>
+                </div>`).join('')}
+        `;
+    }
+
+    function _setActive(index) {
+        if (results.length === 0) return;
+        activeIndex = (index + results.length) % results.length;
+        document.querySelectorAll(`#${MODAL_ID} .global-search-item`).forEach(item => {
+            const isActive = Number(item.dataset.index) === activeIndex;
+            item.style.background = isActive ? 'var(--secondary-bg)' : '';
+            if (isActive) item.scrollIntoView({ block: 'nearest' });
+        });
+    }
+
+    // ==================== 開啟結果 ====================
+
+    async function _openResult(result) {
+        if (!result) return;
+        _close();
+
+        const ctx = result.context || {};
+        switch (result.type) {
+            case 'opportunity':
+                CRM_APP.navigateTo('opportunity-details', { opportunityId: ctx.opportunityId });
+                break;
+            case 'company':
+                CRM_APP.navigateTo('company-details', { companyName: encodeURIComponent(ctx.companyName) });
+                break;
+            case 'contact':
+                if (ctx.companyName) CRM_APP.navigateTo('company-details', { companyName: encodeURIComponent(ctx.companyName) });
+                break;
+            case 'lead':
+                CRM_APP.navigateTo('contacts');
+                break;
+            case 'interaction':
+                if (ctx.opportunityId) CRM_APP.navigateTo('opportunity-details', { opportunityId: ctx.opportunityId });
+                else if (ctx.companyName) CRM_APP.navigateTo('company-details', { companyName: encodeURIComponent(ctx.companyName) });
+                else CRM_APP.navigateTo('interactions');
+                break;
+            case 'event':
+                if (typeof window.showEventLogReport === 'function') window.showEventLogReport(ctx.eventId);
+                break;
+            case 'product':
+                await CRM_APP.navigateTo('products');
+                if (window.ProductManager) ProductManager.openDetailModal(ctx.productId);
+                break;
+        }
+    }
+
+    function _handleKeydown(event) {
+        switch (event.key) {
+            case 'ArrowDown':
+                event.preventDefault();
+                _setActive(activeIndex + 1);
+                break;
+            case 'ArrowUp':
+                event.preventDefault();
+                _setActive(activeIndex - 1);
+                break;
+            case 'Enter':
+                event.preventDefault();
+                _openResult(results[activeIndex]);
+                break;
+            case 'Escape':
+                _close();
+                break;
+        }
+    }
+
+    function _handleClick(event) {
+        const item = event.target.closest('.global-search-item');
+        if (item) {
+            _openResult(results[Number(item.dataset.index)]);
+            return;
+        }
+        // 點擊面板外的遮罩或關閉按鈕
+        if (event.target.id === MODAL_ID || event.target.closest('[data-action="close"]')) _close();
+    }
+
+    /**
+     * 公開：開啟搜尋面板
+     */
+    function open() {
+        if (document.getElementById(MODAL_ID)) {
+            _input().focus();
+            return;
+        }
+        results = [];
+        activeIndex = 0;
+
+        const modalHTML = `
+            <div id="${MODAL_ID}" class="modal" style="display: block;">
+                <div class="modal-content" style="max-width: 680px; margin-top: 8vh;">
+                    <div style="display: flex; gap: 8px; align-items: center;">
+                        <input type="text" id="global-search-input" class="form-control" placeholder="搜尋全部資料..." autocomplete="off" style="flex: 1;">
+                        <button class="close-btn" data-action="close">&times;</button>
+                    </div>
+                    <div class="global-search-results" style="max-height: 60vh; overflow-y: auto; margin-top: 8px;"></div>
+                </div>
+            </div>`;
+        document.getElementById('modal-container').insertAdjacentHTML('beforeend', modalHTML);
+
+        const modal = document.getElementById(MODAL_ID);
+        modal.addEventListener('click', _handleClick);
+        _input().addEventListener('input', _scheduleSearch);
+        _input().addEventListener('keydown', _handleKeydown);
+        document.body.style.overflow = 'hidden';
+        _renderResults(null, '');
+        _input().focus();
+    }
+
+    // Ctrl / ⌘ + K 開啟
+    document.addEventListener('keydown', (event) => {
+        if ((event.ctrlKey || event.metaKey) && event.key.toLowerCase() === 'k') {
+            event.preventDefault();
+            open();
+        }
+    });
+
+    return { open };
+})();
+
+window.GlobalSearch = GlobalSearch;
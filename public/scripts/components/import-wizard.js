@@ -0,0 +1,287 @@
+// public/scripts/components/import-wizard.js
+// 職責：CSV / XLSX 批次匯入精靈 (選檔 -> 欄位對應 -> 驗證預覽 -> 背景匯入與進度)
+// 資料來源：POST /api/import/:entity (dryRun 預覽 / 開始匯入)、GET /api/import/jobs/:jobId
+
+const ImportWizard = (() => {
+    const MODAL_ID = 'import-wizard-modal';
+    const MAX_FILE_BYTES = 5 * 1024 * 1024;
+    const POLL_INTERVAL = 2000;
+
+    const ENTITY_NAMES = { company: '公司', contact: '聯絡人', opportunity: '機會案件' };
+    const ACTION_LABELS = {
+        create: { text: '匯入', color: 'var(--accent-green)' },
+        skip: { text: '略過 (重複)', color: 'var(--text-muted)' },
+        error: { text: '錯誤', color: 'var(--accent-red)' }
+    };
+
+    let state = null; // { entity, fileName, content, preview, onComplete, pollTimer }
+
+    function _escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text === null || text === undefined ? '' : String(text);
+        return div.innerHTML;
+    }
+
+    function _body() {
+        return document.querySelector(`#${MODAL_ID} .import-wizard-body`);
+    }
+
+    function _close() {
+        if (state && state.pollTimer) clearTimeout(state.pollTimer);
+        const modal = document.getElementById(MODAL_ID);
+        if (modal) modal.remove();
+        document.body.style.overflow = '';
+    }
+
+    // ==================== 步驟 1：選擇檔案 ====================
+
+    function _renderFileStep() {
+        _body().innerHTML = `
+            <p style="color: var(--text-muted);">
+                支援 CSV (UTF-8 或 Big5) 與 XLSX，第一列須為欄位標題，只讀取第一個工作表；檔案上限 5 MB。
+            </p>
+            <input type="file" id="import-wizard-file" accept=".csv,.xlsx,text/csv,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet">
+        `;
+        document.getElementById('import-wizard-file').addEventListener('change', _handleFileSelected);
+    }
+
+    function _handleFileSelected(event) {
+        const file = event.target.files && event.target.files[0];
+        if (!file) return;
+        if (file.size > MAX_FILE_BYTES) {
+            showNotification('檔案超過 5 MB 上限，請分批匯入', 'warning');
+            event.target.value = '';
+            return;
+        }
+
+        const reader = new FileReader();
+        reader.onload = () => {
+            state.fileName = file.name;
+            state.content = reader.result;
+            _requestPreview(null);
+        };
+        reader.onerror = () => showNotification('讀取檔案失敗', 'error');
+        reader.readAsDataURL(file);
+    }
+
+    // ==================== 步驟 2：欄位對應與驗證預覽 ====================
+
+    async function _requestPreview(mapping) {
+        showLoading('正在驗證資料...');
+        try {
+            const result = await authedFetch(`/api/import/${state.entity}`, {
+                method: 'POST',
+                body: JSON.stringify({
+                    fileName: state.fileName,
+                    content: state.content,
+                    mapping,
+                    skipDuplicates: _skipDuplicates(),
+                    dryRun: true
+                }),
+                skipRefresh: true
+            });
+            state.preview = result.data;
+            _renderPreviewStep();
+        } catch (error) {
+            // 錯誤訊息已由 authedFetch 顯示
+            console.error('[ImportWizard] 預覽失敗:', error);
+        } finally {
+            hideLoading();
+        }
+    }
+
+    function _skipDuplicates() {
+        const checkbox = document.getElementById('import-wizard-skip-duplicates');
+        return checkbox ? checkbox.checked : true;
+    }
+
+    function _collectMapping() {
+        const mapping = {};
+        document.querySelectorAll(`#${MODAL_ID} select[data-field]`).forEach(select => {
+            if (select.value !== '') mapping[select.dataset.field] = Number(select.value);
+        });
+        return mapping;
+    }
+
+    function _renderPreviewStep() {
+        const { headers, fields, mapping, summary, rows } = state.preview;
+        const skipChecked = _skipDuplicates();
+
+        const mappingRows = fields.map(field => {
+            const options = headers.map((header, index) =>
+                `<option value="${index}" ${mapping[field.key] === index ? 'selected' : ''}>${_escapeHtml(header || `(第 ${index + 1} 欄)`)}</option>`
+            ).join('');
+            return `
+                <tr>
+                    <td data-label="欄位">${_escapeHtml(field.label)}${field.required ? ' <span style="color: var(--accent-red);">*</span>' : ''}</td>
+                    <td data-label="檔案欄位">
+                        <select class="form-select-sm" data-field="${field.key}">
+                            <option value="">(不匯入)</option>${options}
+                        </select>
+                    </td>
+                    <td data-label="說明" style="color: var(--text-muted);">${_escapeHtml(field.hint)}</td>
+                </tr>`;
+        }).join('');
+
+        const mappedFields = fields.filter(field => mapping[field.key] !== undefined);
+        const previewRows = rows.map(row => {
+            const action = ACTION_LABELS[row.action];
+            const messages = [
+                ...row.errors.map(msg => `<div style="color: var(--accent-red);">✖ ${_escapeHtml(msg)}</div>`),
+                ...row.warnings.map(msg => `<div style="color: var(--text-muted);">⚠ ${_escapeHtml(msg)}</div>`)
+            ].join('');
+            return `
+                <tr>
+                    <td data-label="列">${row.rowNumber}</td>
+                    <td data-label="處理" style="color: ${action.color}; white-space: nowrap;">${action.text}</td>
+                    ${mappedFields.map(field => `<td data-label="${_escapeHtml(field.label)}">${_escapeHtml(row.values[field.key])}</td>`).join('')}
+                    <td data-label="訊息">${messages || '-'}</td>
+                </tr>`;
+        }).join('');
+
+        const truncated = summary.total > rows.length
+            ? `<p style="color: var(--text-muted);">僅預覽前 ${rows.length} 列，匯入時會驗證全部 ${summary.total} 列。</p>`
+            : '';
+
+        _body().innerHTML = `
+            <p>
+                <strong>${_escapeHtml(state.fileName)}</strong>：共 ${summary.total} 列，
+                <span style="color: var(--accent-green);">可匯入 ${summary.create}</span>、
+                <span style="color: var(--text-muted);">略過 ${summary.skip}</span>、
+                <span style="color: var(--accent-red);">錯誤 ${summary.error}</span>
+            </p>
+            <h3>欄位對應</h3>
+            <table class="data-table"><thead><tr><th>欄位</th><th>檔案欄位</th><th>說明</th></tr></thead><tbody>${mappingRows}</tbody></table>
+            <label style="display: block; margin: 12px 0;">
+                <input type="checkbox" id="import-wizard-skip-duplicates" ${skipChecked ? 'checked' : ''}> 略過可能重複的資料
+            </label>
+            <div style="display: flex; gap: 8px; margin-bottom: 16px;">
+                <button class="action-btn secondary" data-action="restart">重新選擇檔案</button>
+                <button class="action-btn info" data-action="revalidate">套用對應並重新驗證</button>
+                <button class="action-btn primary" data-action="start" ${summary.create === 0 ? 'disabled' : ''}>開始匯入 ${summary.create} 筆</button>
+            </div>
+            <h3>驗證預覽</h3>
+            ${truncated}
+            <div style="max-height: 360px; overflow: auto;">
+                <table class="data-table">
+                    <thead><tr><th>列</th><th>處理</th>${mappedFields.map(field => `<th>${_escapeHtml(field.label)}</th>`).join('')}<th>訊息</th></tr></thead>
+                    <tbody>${previewRows}</tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    // ==================== 步驟 3：匯入與進度 ====================
+
+    function _confirmImport() {
+        const mapping = _collectMapping();
+        showConfirmDialog(
+            `確定要匯入${ENTITY_NAMES[state.entity]}嗎？匯入會在背景進行，為避免超過 Google Sheets 寫入配額，資料會分批間隔寫入。`,
+            () => _startImport(mapping)
+        );
+    }
+
+    async function _startImport(mapping) {
+        showLoading('正在建立匯入工作...');
+        try {
+            const result = await authedFetch(`/api/import/${state.entity}`, {
+                method: 'POST',
+                body: JSON.stringify({
+                    fileName: state.fileName,
+                    content: state.content,
+                    mapping,
+                    skipDuplicates: _skipDuplicates()
+                }),
+                skipRefresh: true
+            });
+            showNotification(result.message || '已開始匯入', 'success');
+            _renderJob(result.data);
+            _pollJob(result.data.jobId);
+        } catch (error) {
+            console.error('[ImportWizard] 匯入失敗:', error);
+        } finally {
+            hideLoading();
+        }
+    }
+
+    function _pollJob(jobId) {
+        state.pollTimer = setTimeout(async () => {
+            if (!document.getElementById(MODAL_ID)) return;
+            try {
+                const result = await authedFetch(`/api/import/jobs/${encodeURIComponent(jobId)}`);
+                _renderJob(result.data);
+                if (result.data.status === 'running') {
+                    _pollJob(jobId);
+                } else if (typeof state.onComplete === 'function') {
+                    state.onComplete(result.data);
+                }
+            } catch (error) {
+                console.error('[ImportWizard] 查詢進度失敗:', error);
+            }
+        }, POLL_INTERVAL);
+    }
+
+    function _renderJob(job) {
+        const percent = job.total > 0 ? Math.round(job.processed / job.total * 100) : 100;
+        const statusText = { running: '匯入中...', completed: '匯入完成', failed: '匯入中斷' }[job.status] || job.status;
+        const errors = job.errors.map(err =>
+            `<tr><td data-label="列">${err.rowNumber || '-'}</td><td data-label="錯誤">${_escapeHtml(err.message)}</td></tr>`
+        ).join('');
+
+        _body().innerHTML = `
+            <p><strong>${statusText}</strong> (${job.processed} / ${job.total})</p>
+            <div style="height: 10px; background: var(--secondary-bg); border: 1px solid var(--border-color); border-radius: 5px; overflow: hidden;">
+                <div style="height: 100%; width: ${percent}%; background: var(--accent-blue);"></div>
+            </div>
+            <p style="margin-top: 12px;">
+                <span style="color: var(--accent-green);">新增 ${job.created}</span>、
+                <span style="color: var(--accent-red);">失敗 ${job.failed}</span>、
+                <span style="color: var(--text-muted);">略過 ${job.skipped}</span>
+            </p>
+            ${job.status === 'running' ? '<p style="color: var(--text-muted);">可關閉此視窗，匯入會在背景繼續進行。</p>' : ''}
+            ${errors ? `<table class="data-table"><thead><tr><th>列</th><th>錯誤</th></tr></thead><tbody>${errors}</tbody></table>` : ''}
+        `;
+    }
+
+    function _handleClick(event) {
+        const btn = event.target.closest('[data-action]');
+        if (!btn) return;
+
+        switch (btn.dataset.action) {
+            case 'close': _close(); break;
+            case 'restart': _renderFileStep(); break;
+            case 'revalidate': _requestPreview(_collectMapping()); break;
+            case 'start': _confirmImport(); break;
+        }
+    }
+
+    /**
+     * 公開：開啟匯入精靈
+     * @param {string} entity - company / contact / opportunity
+     * @param {Object} [options]
+     * @param {Function} [options.onComplete] - 匯入工作結束時呼叫 (參數為工作結果)
+     */
+    function open(entity, options = {}) {
+        _close();
+        state = { entity, fileName: '', content: '', preview: null, onComplete: options.onComplete, pollTimer: null };
+
+        const modalHTML = `
+            <div id="${MODAL_ID}" class="modal" style="display: block;">
+                <div class="modal-content" style="max-width: 960px;">
+                    <div class="modal-header">
+                        <h2 class="modal-title">匯入${ENTITY_NAMES[entity] || ''}</h2>
+                        <button class="close-btn" data-action="close">&times;</button>
+                    </div>
+                    <div class="import-wizard-body"></div>
+                </div>
+            </div>`;
+        document.getElementById('modal-container').insertAdjacentHTML('beforeend', modalHTML);
+        document.getElementById(MODAL_ID).addEventListener('click', _handleClick);
+        document.body.style.overflow = 'hidden';
+        _renderFileStep();
+    }
+
+    return { open };
+})();
+
+window.ImportWizard = ImportWizard;
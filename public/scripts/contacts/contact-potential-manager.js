@@ -106,7 +106,7 @@ const PotentialContactsManager = (() => {
         showConfirmDialog(confirmMsg, async () => {
             showLoading('正在建立聯絡人檔案...');
             try {
-                const result = await authedFetch(`/api/contacts/${contactData.rowIndex}/file`, {
+                const result = await authedFetch(`/api/contacts/${encodeURIComponent(contactData.cardId)}/file`, {
                     method: 'POST'
                 });
                 
@@ -142,7 +142,7 @@ const PotentialContactsManager = (() => {
             mobile: contactData.mobile,
             phone: contactData.phone,
             email: contactData.email,
-            rowIndex: contactData.rowIndex, 
+            cardId: contactData.cardId, 
             company: contactData.company,
         };
 
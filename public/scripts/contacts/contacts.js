@@ -16,7 +16,14 @@ async function loadContacts(query = '') {
             <div class="loading show" style="grid-column: span 12;"><div class="spinner"></div></div>
         </div>
         <div class="dashboard-widget">
-            <div class="widget-header"><h2 class="widget-title">潛在客戶列表</h2></div>
+            <div class="widget-header">
+                <h2 class="widget-title">潛在客戶列表</h2>
+                <div style="display: flex; gap: 8px;">
+                    <button class="action-btn secondary" data-action="import-contacts" title="匯入至聯絡人總表">📥 匯入聯絡人</button>
+                    <button class="action-btn primary" data-action="upload-card">📷 上傳名片</button>
+                </div>
+                <input type="file" id="contacts-card-file" accept="image/jpeg,image/png,image/webp,image/heic" style="display: none;">
+            </div>
             <div class="search-pagination" style="padding: 0 1.5rem; margin-bottom: 1rem;">
                 <input type="text" class="search-box" id="contacts-page-search" placeholder="搜尋姓名或公司..." value="${query}">
             </div>
@@ -30,6 +37,12 @@ async function loadContacts(query = '') {
     container.removeEventListener('click', handleContactListClick);
     container.addEventListener('click', handleContactListClick);
 
+    // 綁定名片上傳
+    const cardFileInput = document.getElementById('contacts-card-file');
+    if (cardFileInput) {
+        cardFileInput.addEventListener('change', handleCardFileSelected);
+    }
+
     // 綁定搜尋輸入
     const searchInput = document.getElementById('contacts-page-search');
     if (searchInput) {
@@ -102,7 +115,110 @@ function handleContactListClick(e) {
                 console.warn('NewOppWizard not found');
             }
             break;
+
+        case 'upload-card':
+            document.getElementById('contacts-card-file')?.click();
+            break;
+
+        case 'import-contacts':
+            // 匯入至聯絡人總表 (正式聯絡人)，不影響此頁的潛在客戶列表
+            ImportWizard.open('contact');
+            break;
+    }
+}
+
+// --- 名片上傳 (辨識後新增為潛在客戶) ---
+
+const CARD_UPLOAD_MAX_BYTES = 5 * 1024 * 1024;
+
+const CARD_FIELD_LABELS = {
+    name: '姓名', company: '公司', position: '職稱', department: '部門', phone: '電話',
+    mobile: '手機', fax: '傳真', email: 'Email', website: '網站', address: '地址'
+};
+
+function handleCardFileSelected(event) {
+    const file = event.target.files && event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    if (file.size > CARD_UPLOAD_MAX_BYTES) {
+        showNotification('圖片超過 5 MB 上限，請壓縮後再上傳', 'warning');
+        return;
     }
+
+    const reader = new FileReader();
+    reader.onload = () => uploadBusinessCard(file, reader.result);
+    reader.onerror = () => showNotification('讀取圖片失敗', 'error');
+    reader.readAsDataURL(file);
+}
+
+async function uploadBusinessCard(file, dataUrl) {
+    showLoading('正在辨識名片...');
+    try {
+        const result = await authedFetch('/api/contacts/business-cards', {
+            method: 'POST',
+            body: JSON.stringify({ image: dataUrl, mimeType: file.type, fileName: file.name })
+        });
+        showNotification(result.message || '名片已加入潛在客戶', 'success');
+        showCardRecognitionResult(result.data);
+
+        allContactsData = [];
+        const searchInput = document.getElementById('contacts-page-search');
+        await loadContacts(searchInput ? searchInput.value : '');
+    } catch (error) {
+        if (error.message !== 'Unauthorized') console.error('[Contacts] 名片上傳失敗:', error);
+    } finally {
+        hideLoading();
+    }
+}
+
+function showCardRecognitionResult(card) {
+    const existing = document.getElementById('card-recognition-modal');
+    if (existing) existing.remove();
+
+    const escapeHtml = (text) => {
+        const div = document.createElement('div');
+        div.textContent = text === null || text === undefined ? '' : String(text);
+        return div.innerHTML;
+    };
+
+    const rows = Object.entries(CARD_FIELD_LABELS)
+        .filter(([field]) => card.fields[field])
+        .map(([field, label]) => {
+            const score = Math.round((card.confidence[field] || 0) * 100);
+            const review = card.needsReview.includes(field);
+            return `
+                <tr>
+                    <td data-label="欄位">${label}</td>
+                    <td data-label="辨識結果">${escapeHtml(card.fields[field])}</td>
+                    <td data-label="信心度" style="color: ${review ? 'var(--accent-red)' : 'var(--accent-green)'};">
+                        ${score}%${review ? ' ⚠ 需確認' : ''}
+                    </td>
+                </tr>`;
+        }).join('');
+
+    const modalHTML = `
+        <div id="card-recognition-modal" class="modal" style="display: block;">
+            <div class="modal-content" style="max-width: 600px;">
+                <div class="modal-header">
+                    <h2 class="modal-title">名片辨識結果</h2>
+                    <button class="close-btn" onclick="closeModal('card-recognition-modal')">&times;</button>
+                </div>
+                <p style="color: var(--text-muted);">
+                    整體信心度 ${Math.round(card.overallConfidence * 100)}%。${card.needsReview.length > 0
+                        ? '標示「需確認」的欄位請於升級為聯絡人前核對名片。'
+                        : '各欄位信心度皆達標準。'}
+                </p>
+                <table class="data-table"><thead><tr><th>欄位</th><th>辨識結果</th><th>信心度</th></tr></thead><tbody>${rows}</tbody></table>
+                <div style="margin-top: 12px;">
+                    <button class="action-btn small info" id="card-recognition-preview">💳 檢視名片</button>
+                </div>
+            </div>
+        </div>`;
+    document.getElementById('modal-container').insertAdjacentHTML('beforeend', modalHTML);
+    document.getElementById('card-recognition-preview').addEventListener('click', () => {
+        if (window.showBusinessCardPreview) window.showBusinessCardPreview(card.driveLink);
+    });
 }
 
 function searchContactsEvent(event) {
@@ -222,6 +338,9 @@ function renderContactsTable(data) {
                     </div>
                     <div class="contact-card-company">${contact.company || '(無公司)'}</div>
                     <div class="contact-card-position">${contact.position || '(無職位)'}</div>
+                    ${contact.aiConfidence && contact.confidence !== ''
+                        ? `<div class="contact-card-position" title="名片辨識信心度">AI 信心度 ${Math.round(Number(contact.confidence) * 100)}%</div>`
+                        : ''}
                 </div>
                 <div class="contact-card-actions">
                     ${driveLinkBtn}
@@ -18,7 +18,19 @@ window.CRM_APP.pageConfig = {
     'opportunity-details': { title: '機會詳細資料', subtitle: '檢視機會的所有關聯資訊', loaded: true },
     
     // ★★★ 【新增】商品成本管理頁面 ★★★
-    'products': { title: '商品成本管理', subtitle: '檢視市場商品成本與定價策略 (機密)', loaded: false }
+    'products': { title: '商品成本管理', subtitle: '檢視市場商品成本與定價策略 (機密)', loaded: false },
+
+    // [Soft Delete] 管理員回收桶
+    'recycle-bin': { title: '回收桶', subtitle: '還原或永久刪除已刪除的機會案件、公司與事件紀錄', loaded: false },
+
+    // [Automation] 自動化規則
+    'automation': { title: '自動化規則', subtitle: '設定資料建立、更新、階段變更或閒置時自動執行的動作', loaded: false },
+
+    // [Webhook] 對外 Webhook 訂閱
+    'webhooks': { title: 'Webhook 訂閱', subtitle: '資料異動與 LINE 新名片時通知其他系統 (HMAC 簽章)', loaded: false },
+
+    // [Duplicates] 重複資料偵測與合併
+    'duplicates': { title: '重複資料', subtitle: '找出疑似重複的公司與聯絡人，合併後關聯資料改指向保留的一筆', loaded: false }
 };
 // 2. 下拉選單元素 ID 與 Config Key 的對應
 window.CRM_APP.dropdownMappings = {
@@ -10,7 +10,9 @@ const LayoutManager = {
     // 1. 定義預設的角色設定 (預設為中文，確保斷線時也顯示正常)
     defaultRoleDefs: {
         'admin': { title: '管理員', permission: 'System Admin', color: '#fee2e2', textColor: '#991b1b' },
-        'sales': { title: '業務', permission: 'General User', color: '#dbeafe', textColor: '#1e40af' }
+        'manager': { title: '主管', permission: 'Manager', color: '#fef3c7', textColor: '#92400e' },
+        'sales': { title: '業務', permission: 'General User', color: '#dbeafe', textColor: '#1e40af' },
+        'readonly': { title: '唯讀', permission: 'Read Only', color: '#f3f4f6', textColor: '#374151' }
     },
 
     init() {
@@ -71,6 +73,22 @@ const LayoutManager = {
     loadUserRole() {
         this.currentUserRole = localStorage.getItem('crmUserRole') || 'sales';
         window.CRM_APP.currentUserRole = this.currentUserRole;
+
+        // [Permissions] 登入時由伺服器回傳的權限矩陣 (僅用於隱藏功能入口)
+        try {
+            this.permissions = JSON.parse(localStorage.getItem('crmPermissions') || '{}');
+        } catch (e) {
+            this.permissions = {};
+        }
+        window.CRM_APP.permissions = this.permissions;
+    },
+
+    /**
+     * 目前角色是否可讀取某實體 (未取得權限資料時僅管理員可見)
+     */
+    canRead(entity) {
+        const rule = this.permissions && this.permissions[entity];
+        return rule ? !!rule.read : this.currentUserRole === 'admin';
     },
 
     setupSidebar() {
@@ -127,7 +145,12 @@ const LayoutManager = {
     },
 
     injectAdminFeatures() {
-        if (this.currentUserRole !== 'admin') return;
+        const isAdmin = this.currentUserRole === 'admin';
+        const canReadProducts = this.canRead('product');
+        const canReadAutomation = this.canRead('automation');
+        const canReadWebhooks = this.canRead('webhook');
+        const canReadDuplicates = this.canRead('dataMerge');
+        if (!isAdmin && !canReadProducts && !canReadAutomation && !canReadWebhooks && !canReadDuplicates) return;
 
         const sidebarNav = document.querySelector('.sidebar-nav ul') || document.querySelector('.sidebar-menu');
         if (!sidebarNav) return;
@@ -150,12 +173,78 @@ const LayoutManager = {
             </a>
         `;
 
+        // [Soft Delete] 回收桶 (僅管理員)
+        const recycleBinItem = document.createElement('li');
+        recycleBinItem.id = 'nav-recycle-bin';
+        recycleBinItem.className = 'nav-item admin-restricted';
+        recycleBinItem.innerHTML = `
+            <a href="#" class="nav-link" onclick="event.preventDefault(); CRM_APP.navigateTo('recycle-bin');">
+                <svg class="nav-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                    <polyline points="3 6 5 6 21 6"></polyline>
+                    <path d="M19 6l-1 14a2 2 0 0 1-2 2H8a2 2 0 0 1-2-2L5 6"></path>
+                    <path d="M10 11v6"></path>
+                    <path d="M14 11v6"></path>
+                </svg>
+                <span class="nav-text">回收桶</span>
+            </a>
+        `;
+
+        // [Automation] 自動化規則 (權限矩陣預設僅管理員)
+        const automationItem = document.createElement('li');
+        automationItem.id = 'nav-automation';
+        automationItem.className = 'nav-item admin-restricted';
+        automationItem.innerHTML = `
+            <a href="#" class="nav-link" onclick="event.preventDefault(); CRM_APP.navigateTo('automation');">
+                <svg class="nav-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                    <polygon points="13 2 3 14 12 14 11 22 21 10 12 10 13 2"></polygon>
+                </svg>
+                <span class="nav-text">自動化規則</span>
+            </a>
+        `;
+
+        // [Webhook] 對外 Webhook 訂閱 (權限矩陣預設僅管理員)
+        const webhookItem = document.createElement('li');
+        webhookItem.id = 'nav-webhooks';
+        webhookItem.className = 'nav-item admin-restricted';
+        webhookItem.innerHTML = `
+            <a href="#" class="nav-link" onclick="event.preventDefault(); CRM_APP.navigateTo('webhooks');">
+                <svg class="nav-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                    <path d="M10 13a5 5 0 0 0 7.54.54l3-3a5 5 0 0 0-7.07-7.07l-1.72 1.71"></path>
+                    <path d="M14 11a5 5 0 0 0-7.54-.54l-3 3a5 5 0 0 0 7.07 7.07l1.71-1.71"></path>
+                </svg>
+                <span class="nav-text">Webhook 訂閱</span>
+            </a>
+        `;
+
+        // [Duplicates] 重複資料候選與合併 (合併按鈕依 dataMerge 寫入權限顯示)
+        const duplicatesItem = document.createElement('li');
+        duplicatesItem.id = 'nav-duplicates';
+        duplicatesItem.className = 'nav-item';
+        duplicatesItem.innerHTML = `
+            <a href="#" class="nav-link" onclick="event.preventDefault(); CRM_APP.navigateTo('duplicates');">
+                <svg class="nav-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                    <rect x="9" y="9" width="13" height="13" rx="2" ry="2"></rect>
+                    <path d="M5 15H4a2 2 0 0 1-2-2V4a2 2 0 0 1 2-2h9a2 2 0 0 1 2 2v1"></path>
+                </svg>
+                <span class="nav-text">重複資料</span>
+            </a>
+        `;
+
         const systemConfigItem = Array.from(sidebarNav.children).find(li => li.textContent.includes('系統設定'));
-        if (systemConfigItem) {
-            sidebarNav.insertBefore(adminItem, systemConfigItem);
-        } else {
-            sidebarNav.appendChild(adminItem);
-        }
+        // 商品頁依權限矩陣開放 (價格欄位由伺服器依角色移除)；回收桶仍僅限管理員
+        const items = [];
+        if (canReadProducts) items.push(adminItem);
+        if (canReadAutomation) items.push(automationItem);
+        if (canReadWebhooks) items.push(webhookItem);
+        if (canReadDuplicates) items.push(duplicatesItem);
+        if (isAdmin) items.push(recycleBinItem);
+        items.forEach(item => {
+            if (systemConfigItem) {
+                sidebarNav.insertBefore(item, systemConfigItem);
+            } else {
+                sidebarNav.appendChild(item);
+            }
+        });
     },
 
     refreshRoleDisplay() {
@@ -71,6 +71,7 @@ document.addEventListener('DOMContentLoaded', async () => {
     localStorage.removeItem('crm-token');
     localStorage.removeItem('crmCurrentUserName');
     localStorage.removeItem('crmUserRole');
+    localStorage.removeItem('crmPermissions');
 
     // 恢復按鈕狀態
     if (submitBtn) {
@@ -121,6 +122,7 @@ document.addEventListener('DOMContentLoaded', async () => {
                 
                 // ★★★ 3. 儲存角色權限 ★★★
                 localStorage.setItem('crmUserRole', result.role || 'sales');
+                localStorage.setItem('crmPermissions', JSON.stringify(result.permissions || {}));
 
                 if (messageEl) {
                     messageEl.textContent = '登入成功，正在跳轉...';
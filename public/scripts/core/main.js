@@ -1,121 +1,8 @@
-// public/scripts/core/main.js (重構版: Smart Polling + 序列化資源載入)
-// 職責：系統初始化入口與智慧輪詢管理
+// public/scripts/core/main.js (重構版: 即時推播 + 序列化資源載入)
+// 職責：系統初始化入口 (資料變更改由 realtime-service.js 的 SSE 推播通知)
 
 window.CRM_APP = window.CRM_APP || {};
 
-// --- Smart Polling Manager ---
-const SmartPolling = {
-    intervalId: null,
-    isActive: true,
-    lastActivity: Date.now(),
-    currentInterval: 30000, // Default 30s
-    dataTimestamp: 0,
-
-    init() {
-        console.log('🧠 [SmartPolling] 初始化智慧輪詢...');
-        
-        // 1. 監聽使用者活動 (Activity Tracking)
-        const resetActivity = () => {
-            this.lastActivity = Date.now();
-            if (!this.isActive) this.resume();
-        };
-        ['mousemove', 'keydown', 'click', 'scroll'].forEach(evt => 
-            document.addEventListener(evt, () => {
-                // Simple throttle for activity update
-                if (Date.now() - this.lastActivity > 1000) resetActivity();
-            }, { passive: true })
-        );
-
-        // 2. 監聽分頁可見性 (Visibility Tracking)
-        document.addEventListener('visibilitychange', () => {
-            if (document.hidden) {
-                this.slowDown(); // Background -> Slow poll
-            } else {
-                this.resume();   // Foreground -> Normal poll
-            }
-        });
-
-        // 3. 啟動
-        this.start();
-    },
-
-    start() {
-        this.runCycle();
-    },
-
-    runCycle() {
-        if (this.intervalId) clearTimeout(this.intervalId);
-
-        // Calculate next delay based on state
-        let delay = this.currentInterval;
-        const now = Date.now();
-        const isIdle = (now - this.lastActivity) > 60000; // 1 min idle
-        
-        // Logic:
-        // - User Active: Normal (30s)
-        // - User Idle (>1m): Slow (2m)
-        // - Tab Hidden: Slower (5m)
-        // - Modal Open: Pause (handled by check)
-
-        if (document.hidden) {
-            delay = 300000; // 5 mins
-        } else if (isIdle) {
-            delay = 120000; // 2 mins
-        } else {
-            delay = 30000; // 30 secs
-        }
-
-        // Check for open modals (Pause if editing)
-        const hasOpenModal = document.querySelector('.modal[style*="display: block"]');
-        if (hasOpenModal) {
-            console.log('⏸ [SmartPolling] Modal open, skipping poll.');
-            this.intervalId = setTimeout(() => this.runCycle(), 10000); // Check again in 10s
-            return;
-        }
-
-        this.checkServer();
-        this.intervalId = setTimeout(() => this.runCycle(), delay);
-    },
-
-    resume() {
-        if (!this.isActive) {
-            console.log('▶ [SmartPolling] Resuming normal speed.');
-            this.isActive = true;
-            this.currentInterval = 30000;
-            this.runCycle(); // Restart immediately
-        }
-    },
-
-    slowDown() {
-        console.log('💤 [SmartPolling] Entering background mode.');
-        this.isActive = false;
-        // Logic handled in runCycle via document.hidden check
-    },
-
-    async checkServer() {
-        try {
-            // Check system status
-            const result = await authedFetch('/api/system/status', { skipRefresh: true });
-            if (result && result.success && result.lastWriteTimestamp) {
-                const serverTime = result.lastWriteTimestamp;
-                if (this.dataTimestamp === 0) {
-                    this.dataTimestamp = serverTime;
-                } else if (serverTime > this.dataTimestamp) {
-                    console.warn(`[Sync] 偵測到新資料！伺服器: ${serverTime}`);
-                    this.showRefreshNotice(true);
-                }
-            }
-        } catch (err) {
-            // Ignore auth errors or network blips
-        }
-    },
-
-    showRefreshNotice(show) {
-        const bar = document.getElementById('data-refresh-notification');
-        if (bar) bar.style.display = show ? 'flex' : 'none';
-    }
-};
-
 // --- Main App Logic ---
 
 CRM_APP.init = async function() {
@@ -125,8 +12,8 @@ CRM_APP.init = async function() {
         await this.loadConfig();
         LayoutManager.init();
         
-        // Use SmartPolling instead of legacy startDataPolling
-        SmartPolling.init();
+        // [Realtime] 以 SSE 推播取代 SmartPolling 輪詢
+        RealtimeService.init();
 
         Router.init();
 
@@ -232,14 +119,13 @@ function logout() {
     localStorage.removeItem('crmToken');
     localStorage.removeItem('crmCurrentUserName');
     localStorage.removeItem('crmUserRole');
+    localStorage.removeItem('crmPermissions');
     window.location.href = '/';
 }
 
-// Override legacy polling methods to use SmartPolling (if needed elsewhere)
-window.CRM_APP.startDataPolling = () => SmartPolling.resume();
-window.CRM_APP.stopDataPolling = () => SmartPolling.slowDown(); // or actually pause?
-// Note: SyncService from sync-service.js might still exist if loaded. 
-// We rely on main.js loading last or this overriding.
+// Legacy polling API：改為控制即時推播連線
+window.CRM_APP.startDataPolling = () => RealtimeService.init();
+window.CRM_APP.stopDataPolling = () => RealtimeService.disconnect();
 
 document.addEventListener('DOMContentLoaded', () => {
     if (!window.CRM_APP_INITIALIZED) {
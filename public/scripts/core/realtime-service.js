@@ -0,0 +1,256 @@
+// public/scripts/core/realtime-service.js
+// 職責：接收伺服器推播的即時變更 (SSE)，取代原本的 SmartPolling 輪詢
+// 以 fetch 讀取串流 (EventSource 無法帶 Authorization header)，並帶上 X-Client-Id 供伺服器標記來源。
+
+window.CRM_APP = window.CRM_APP || {};
+
+// 實體 -> 顯示該實體的頁面 (列表頁整頁重載；詳細頁在瀏覽同一筆或無法比對時重載)
+const REALTIME_ENTITY_PAGES = {
+    opportunity: { lists: ['opportunities'], detail: 'opportunity-details', param: 'opportunityId' },
+    company: { lists: ['companies'], detail: 'company-details' },
+    contact: { lists: ['contacts'] },
+    interaction: { lists: ['interactions'], detail: 'opportunity-details' },
+    event: { lists: ['events'], detail: 'opportunity-details' },
+    weekly: { lists: ['weekly-business'], detail: 'weekly-detail' },
+    announcement: { lists: ['announcements'] },
+    product: { lists: ['products'] }
+};
+
+const RealtimeService = {
+    url: '/api/realtime/changes',
+    handlers: new Map(),   // entity ('*' = 全部) -> Set<handler>
+    controller: null,
+    retryDelay: 3000,
+    minRetryDelay: 3000,
+    maxRetryDelay: 60000,
+    reconnectTimer: null,
+    stopped: false,
+    initialized: false,
+
+    init() {
+        this.stopped = false;
+        if (this.initialized) {
+            // 已初始化 (例如 disconnect 後再次啟動)：只需重新連線
+            this.connect();
+            return;
+        }
+        this.initialized = true;
+
+        console.log('📡 [Realtime] 初始化即時推播...');
+        this.subscribe('*', (change) => this._refreshAffectedView(change));
+        this.connect();
+
+        // 分頁回到前景時若連線已中斷，立即重連 (不等退避時間)
+        document.addEventListener('visibilitychange', () => {
+            if (!document.hidden && !this.controller && !this.stopped) {
+                this.retryDelay = this.minRetryDelay;
+                this.connect();
+            }
+        });
+    },
+
+    /**
+     * 訂閱某實體的變更
+     * handler(change) 回傳 true (或 resolve 為 true) 代表已就地更新目前畫面，不需提示重新整理
+     * @param {string} entity - opportunity / company / contact / interaction / event / weekly / announcement / product / '*'
+     * @param {Function} handler
+     * @returns {Function} 取消訂閱
+     */
+    subscribe(entity, handler) {
+        if (!this.handlers.has(entity)) this.handlers.set(entity, new Set());
+        this.handlers.get(entity).add(handler);
+        return () => this.handlers.get(entity).delete(handler);
+    },
+
+    async connect() {
+        if (this.controller) return;
+        const token = localStorage.getItem('crm-token');
+        if (!token) return;
+
+        clearTimeout(this.reconnectTimer);
+        const controller = new AbortController();
+        this.controller = controller;
+
+        try {
+            const response = await fetch(this.url, {
+                headers: {
+                    'Accept': 'text/event-stream',
+                    'Authorization': `Bearer ${token}`,
+                    'X-Client-Id': CRM_CLIENT_ID
+                },
+                signal: controller.signal
+            });
+
+            if (response.status === 401 || response.status === 403) {
+                // 登入失效交由 authedFetch 處理跳轉，這裡只停止重連
+                console.warn('[Realtime] 認證失效，停止即時推播');
+                this.stopped = true;
+                return;
+            }
+            if (!response.ok || !response.body) throw new Error(`HTTP ${response.status}`);
+
+            await this._readStream(response.body);
+        } catch (err) {
+            if (err.name !== 'AbortError') console.warn(`[Realtime] 連線中斷: ${err.message}`);
+        } finally {
+            if (this.controller === controller) this.controller = null;
+        }
+
+        this._scheduleReconnect();
+    },
+
+    disconnect() {
+        this.stopped = true;
+        clearTimeout(this.reconnectTimer);
+        if (this.controller) this.controller.abort();
+        this.controller = null;
+    },
+
+    _scheduleReconnect() {
+        if (this.stopped) return;
+        clearTimeout(this.reconnectTimer);
+        const delay = this.retryDelay;
+        this.retryDelay = Math.min(this.retryDelay * 2, this.maxRetryDelay);
+        console.log(`[Realtime] ${Math.round(delay / 1000)} 秒後重新連線...`);
+        this.reconnectTimer = setTimeout(() => this.connect(), delay);
+    },
+
+    async _readStream(body) {
+        const reader = body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        while (true) {
+            const { value, done } = await reader.read();
+            if (done) break;
+
+            buffer += decoder.decode(value, { stream: true }).replace(/\r\n/g, '\n');
+            let boundary;
+            while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+                const block = buffer.slice(0, boundary);
+                buffer = buffer.slice(boundary + 2);
+                this._handleBlock(block);
+            }
+        }
+    },
+
+    _handleBlock(block) {
+        let event = 'message';
+        const dataLines = [];
+
+        block.split('\n').forEach(line => {
+            if (!line || line.startsWith(':')) return; // 註解 (心跳)
+            const idx = line.indexOf(':');
+            const field = idx === -1 ? line : line.slice(0, idx);
+            const value = idx === -1 ? '' : line.slice(idx + 1).replace(/^ /, '');
+
+            if (field === 'event') event = value;
+            else if (field === 'data') dataLines.push(value);
+            else if (field === 'retry' && !isNaN(parseInt(value))) this.minRetryDelay = parseInt(value);
+        });
+
+        if (event === 'ready') {
+            console.log('✅ [Realtime] 即時推播已連線');
+            this.retryDelay = this.minRetryDelay;
+            return;
+        }
+        if (event !== 'change' || dataLines.length === 0) return;
+
+        try {
+            this._dispatch(JSON.parse(dataLines.join('\n')));
+        } catch (err) {
+            console.warn('[Realtime] 無法解析推播事件:', err);
+        }
+    },
+
+    async _dispatch(change) {
+        // 自己觸發的寫入已由 authedFetch 的智慧刷新處理
+        if (change.origin && change.origin === CRM_CLIENT_ID) return;
+
+        console.log(`[Realtime] ${change.entity} ${change.action} ${change.id || ''} by ${change.user || '-'}`);
+
+        const handlers = [
+            ...(this.handlers.get(change.entity) || []),
+            ...(this.handlers.get('*') || [])
+        ];
+
+        const results = await Promise.all(handlers.map(async handler => {
+            try {
+                return await handler(change);
+            } catch (err) {
+                console.warn('[Realtime] 即時更新失敗:', err);
+                return false;
+            }
+        }));
+        const handled = results.some(Boolean);
+
+        // 非目前頁面的列表一律標記過期，下次進入時重新載入
+        this._invalidateListPages(handled ? this.currentPage() : null);
+        if (!handled) this.showRefreshNotice(true);
+    },
+
+    /**
+     * @private 目前頁面顯示了變更的實體時，直接重載目前頁面 (列表列 / 詳細頁)
+     */
+    async _refreshAffectedView(change) {
+        const page = this.currentPage();
+        const pages = REALTIME_ENTITY_PAGES[change.entity];
+        if (change.entity !== '*' && !pages) return false;
+        if (this.isEditing()) return false;
+
+        const params = Object.fromEntries(new URLSearchParams(window.location.hash.split('?')[1] || ''));
+        let affected = change.entity === '*' ? page !== 'dashboard' : pages.lists.includes(page);
+        if (!affected && pages && page === pages.detail) {
+            // 詳細頁只有在瀏覽同一筆 (或無法判斷是哪一筆) 時才重載
+            affected = !pages.param || !change.id || params[pages.param] === change.id;
+        }
+        if (!affected) return false;
+
+        const pageConfig = window.CRM_APP.pageConfig;
+        if (pageConfig && pageConfig[page]) pageConfig[page].loaded = false;
+        await window.CRM_APP.navigateTo(page, params, false);
+        return true;
+    },
+
+    _invalidateListPages(exceptPage) {
+        const pageConfig = window.CRM_APP.pageConfig;
+        if (!pageConfig) return;
+        for (const key in pageConfig) {
+            const isListPage = !key.includes('-details') && key !== 'weekly-detail';
+            if (isListPage && key !== exceptPage) pageConfig[key].loaded = false;
+        }
+    },
+
+    showRefreshNotice(show) {
+        const bar = document.getElementById('data-refresh-notification');
+        if (bar) bar.style.display = show ? 'flex' : 'none';
+    },
+
+    // --- 供各頁面模組使用的輔助函式 ---
+
+    currentPage() {
+        return window.location.hash.substring(1).split('?')[0] || 'dashboard';
+    },
+
+    /**
+     * 使用者正在編輯 (Modal 開啟中) 時不就地重繪，改為提示重新整理
+     */
+    isEditing() {
+        return !!document.querySelector('.modal[style*="display: block"]');
+    },
+
+    /**
+     * 取得單一機會的最新資料；已刪除或找不到時回傳 null
+     */
+    async fetchOpportunity(opportunityId) {
+        try {
+            const result = await authedFetch(`/api/opportunities/${encodeURIComponent(opportunityId)}/details`);
+            return (result && result.success && result.data) ? result.data.opportunityInfo : null;
+        } catch (err) {
+            if (err.message === 'Unauthorized') throw err;
+            return null;
+        }
+    }
+};
+
+window.RealtimeService = RealtimeService;
@@ -93,7 +93,17 @@ const dashboardManager = {
                 );
             }
 
-            // D. 地圖 (Map)
+            // D. 業績達成 (獨立請求，不阻塞其他區塊)
+            if (window.DashboardQuota) {
+                DashboardQuota.load();
+            }
+
+            // E. 我的任務 (獨立請求，不阻塞其他區塊)
+            if (window.DashboardTasks) {
+                DashboardTasks.load();
+            }
+
+            // F. 地圖 (Map)
             if (window.mapManager) {
                 await window.mapManager.update();
             }
@@ -154,6 +154,35 @@ const DashboardKanban = {
         }
     },
 
+    /**
+     * [Realtime] 其他成員變更機會時就地更新卡片 (只處理進行中的機會，與後端看板資料一致)
+     * @returns {Promise<boolean>} 是否已更新畫面
+     */
+    async applyRealtimeChange(change) {
+        if (!this.isInitialized || !change.id || RealtimeService.currentPage() !== 'dashboard') return false;
+
+        const index = this.data.opportunities.findIndex(opp => opp.opportunityId === change.id);
+        const latest = change.action === 'delete' ? null : await RealtimeService.fetchOpportunity(change.id);
+
+        if (latest && latest.currentStatus === '進行中') {
+            const previous = index >= 0 ? this.data.opportunities[index] : null;
+            latest.effectiveLastActivity = Math.max(
+                new Date(latest.lastUpdateTime || latest.createdTime).getTime() || 0,
+                previous?.effectiveLastActivity || 0
+            );
+            latest.creationYear = latest.createdTime ? new Date(latest.createdTime).getFullYear() : null;
+            if (index >= 0) this.data.opportunities[index] = latest;
+            else this.data.opportunities.push(latest);
+        } else if (index >= 0) {
+            this.data.opportunities.splice(index, 1);
+        } else {
+            return true; // 不在看板上的機會，不影響畫面
+        }
+
+        this.render();
+        return true;
+    },
+
     toggleView() {
         this.viewMode = this.viewMode === 'kanban' ? 'chip-wall' : 'kanban';
         localStorage.setItem('dashboardKanbanViewMode', this.viewMode);
@@ -366,4 +395,8 @@ const DashboardKanban = {
     }
 };
 
-window.DashboardKanban = DashboardKanban;
\ No newline at end of file
+window.DashboardKanban = DashboardKanban;
+
+if (window.RealtimeService) {
+    RealtimeService.subscribe('opportunity', (change) => DashboardKanban.applyRealtimeChange(change));
+}
\ No newline at end of file
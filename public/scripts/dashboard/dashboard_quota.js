@@ -0,0 +1,163 @@
+// public/scripts/dashboard/dashboard_quota.js
+// 職責：儀表板「業績達成」區塊 (資料來源：GET /api/sales/quotas/attainment)
+// 左側為個人達成率儀表 (點選排行榜可切換成員，未設目標時顯示團隊)，右側為業務排行榜
+
+const DashboardQuota = {
+    state: {
+        periodType: 'month',
+        data: null,
+        selected: null
+    },
+
+    _esc(text) {
+        const div = document.createElement('div');
+        div.textContent = text === null || text === undefined ? '' : String(text);
+        return div.innerHTML;
+    },
+
+    _fmtMoney(v) {
+        return (v || 0).toLocaleString('zh-TW', { style: 'currency', currency: 'TWD', minimumFractionDigits: 0 });
+    },
+
+    _barColor(rate) {
+        if (rate === null || rate === undefined) return '#9ca3af';
+        if (rate >= 100) return '#10b981';
+        if (rate >= 70) return '#3b82f6';
+        if (rate >= 40) return '#f59e0b';
+        return '#ef4444';
+    },
+
+    /**
+     * 由 dashboardManager.refresh() 呼叫；無成交分析檢視權限時隱藏整個區塊
+     */
+    async load() {
+        const widget = document.getElementById('quota-widget');
+        if (!widget) return;
+        const rule = window.CRM_APP.permissions?.salesAnalysis;
+        if (rule && !rule.read) {
+            widget.style.display = 'none';
+            return;
+        }
+        widget.style.display = '';
+
+        const select = document.getElementById('quota-period-select');
+        if (select && !select.dataset.bound) {
+            select.dataset.bound = 'true';
+            select.addEventListener('change', (e) => {
+                this.state.periodType = e.target.value;
+                this.load();
+            });
+        }
+
+        try {
+            const result = await authedFetch(`/api/sales/quotas/attainment?periodType=${this.state.periodType}`);
+            if (!result.success || !result.data) throw new Error(result.error || '無法取得業績達成資料');
+            this.state.data = result.data;
+            this.render();
+        } catch (error) {
+            if (error.message === 'Unauthorized') return;
+            console.error('[DashboardQuota] 載入失敗:', error);
+            const content = widget.querySelector('.widget-content');
+            if (content) content.innerHTML = `<div class="alert alert-error">載入失敗: ${this._esc(error.message)}</div>`;
+        }
+    },
+
+    render() {
+        const widget = document.getElementById('quota-widget');
+        const data = this.state.data;
+        if (!widget || !data) return;
+
+        const title = widget.querySelector('.widget-title');
+        if (title) title.innerHTML = `業績達成 <span style="font-size: 0.8rem; color: var(--text-muted); font-weight: 500;">${this._esc(data.label)}</span>`;
+
+        const content = widget.querySelector('.widget-content');
+        if (!data.leaderboard.length) {
+            content.innerHTML = '<div class="alert alert-info" style="text-align:center;">本期尚未設定業績目標，也沒有成交案件</div>';
+            return;
+        }
+
+        content.innerHTML = `
+            <div style="display: grid; grid-template-columns: minmax(220px, 1fr) 2fr; gap: 20px; align-items: start;">
+                <div>
+                    <div id="quota-gauge-chart" style="height: 220px;"></div>
+                    <div id="quota-gauge-caption" style="text-align: center; font-size: 0.9rem; color: var(--text-muted);"></div>
+                </div>
+                <div id="quota-leaderboard" style="max-height: 280px; overflow-y: auto;"></div>
+            </div>`;
+
+        this._renderLeaderboard(data);
+        const initial = this.state.selected && data.leaderboard.find(r => r.assignee === this.state.selected);
+        this._renderGauge(initial || (data.me && data.me.quota ? data.me : null));
+    },
+
+    _renderLeaderboard(data) {
+        const container = document.getElementById('quota-leaderboard');
+        if (!container) return;
+
+        const rows = data.leaderboard.map((row, index) => {
+            const width = Math.min(100, row.attainment || 0);
+            const isMe = data.me && data.me.assignee === row.assignee;
+            return `
+                <div class="quota-row" data-assignee="${this._esc(row.assignee)}" style="padding: 8px 6px; border-bottom: 1px solid var(--border-color); cursor: pointer; ${isMe ? 'background: var(--secondary-bg);' : ''}">
+                    <div style="display: flex; justify-content: space-between; font-size: 0.9rem;">
+                        <span><strong>${index + 1}.</strong> ${this._esc(row.name)}${isMe ? ' (我)' : ''}</span>
+                        <span style="font-weight: 600;">${row.attainment === null ? '未設目標' : `${row.attainment}%`}</span>
+                    </div>
+                    <div style="height: 6px; background: var(--border-color); border-radius: 3px; margin: 6px 0 4px;">
+                        <div style="height: 100%; width: ${width}%; background: ${this._barColor(row.attainment)}; border-radius: 3px;"></div>
+                    </div>
+                    <div style="font-size: 0.8rem; color: var(--text-muted);">${this._fmtMoney(row.won)} / ${row.quota ? this._fmtMoney(row.quota) : '-'} (${row.dealCount} 件)</div>
+                </div>`;
+        }).join('');
+
+        container.innerHTML = rows + `
+            <div style="padding: 8px 6px; font-size: 0.85rem; color: var(--text-muted);">
+                團隊：${this._fmtMoney(data.team.won)} / ${data.team.quota ? this._fmtMoney(data.team.quota) : '-'}
+                ${data.team.attainment === null ? '' : `(${data.team.attainment}%)`}
+            </div>`;
+
+        container.querySelectorAll('.quota-row').forEach(el => {
+            el.addEventListener('click', () => {
+                this.state.selected = el.dataset.assignee;
+                this._renderGauge(data.leaderboard.find(r => r.assignee === el.dataset.assignee));
+            });
+        });
+    },
+
+    /**
+     * @param {Object|null} row - 排行榜中的成員，null 時顯示團隊
+     */
+    _renderGauge(row) {
+        const data = this.state.data;
+        const target = row || { name: '團隊', ...data.team };
+        const caption = document.getElementById('quota-gauge-caption');
+        if (caption) {
+            caption.innerHTML = `${this._esc(target.name)}：${this._fmtMoney(target.won)} / ${target.quota ? this._fmtMoney(target.quota) : '未設目標'}`;
+        }
+
+        setTimeout(() => {
+            if (typeof createThemedChart !== 'function') return;
+            const value = target.attainment || 0;
+            // 儀表模組 (highcharts-more / solid-gauge) 未載入時改以單一橫條呈現
+            const hasGauge = window.Highcharts && Highcharts.seriesTypes && Highcharts.seriesTypes.solidgauge;
+            createThemedChart('quota-gauge-chart', hasGauge ? {
+                chart: { type: 'solidgauge' },
+                title: { text: '' },
+                pane: { center: ['50%', '70%'], size: '130%', startAngle: -90, endAngle: 90, background: { innerRadius: '60%', outerRadius: '100%', shape: 'arc' } },
+                yAxis: { min: 0, max: Math.max(100, Math.ceil(value / 50) * 50), stops: [[0.4, '#ef4444'], [0.7, '#f59e0b'], [0.9, '#3b82f6'], [1, '#10b981']], lineWidth: 0, tickAmount: 2, labels: { y: 16 } },
+                tooltip: { enabled: false },
+                plotOptions: { solidgauge: { dataLabels: { y: -25, borderWidth: 0, useHTML: true, format: '<div style="text-align:center;font-size:1.4rem;">{y}%</div>' } } },
+                series: [{ name: '達成率', data: [value] }]
+            } : {
+                chart: { type: 'bar' },
+                title: { text: '' },
+                xAxis: { categories: [target.name] },
+                yAxis: { min: 0, max: Math.max(100, value), title: { text: '達成率 (%)' } },
+                legend: { enabled: false },
+                series: [{ name: '達成率', data: [value], color: this._barColor(target.attainment) }]
+            });
+        }, 50);
+    }
+};
+
+window.DashboardQuota = DashboardQuota;
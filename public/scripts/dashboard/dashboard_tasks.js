@@ -0,0 +1,283 @@
+// public/scripts/dashboard/dashboard_tasks.js
+// 職責：儀表板「我的任務」區塊 (資料來源：GET /api/tasks/mine) 與任務新增 / 編輯視窗
+// 逾期任務以紅色標示、今天與即將到期以橘色標示；勾選即完成 (週期任務由後端自動建立下一次)
+
+const DashboardTasks = {
+    state: {
+        data: null
+    },
+
+    _esc(text) {
+        const div = document.createElement('div');
+        div.textContent = text === null || text === undefined ? '' : String(text);
+        return div.innerHTML;
+    },
+
+    _canWrite() {
+        const rule = window.CRM_APP.permissions?.task;
+        return rule ? !!rule.write : true;
+    },
+
+    /**
+     * 由 dashboardManager.refresh() 呼叫；無任務檢視權限時隱藏整個區塊
+     */
+    async load() {
+        const widget = document.getElementById('task-widget');
+        if (!widget) return;
+        const rule = window.CRM_APP.permissions?.task;
+        if (rule && !rule.read) {
+            widget.style.display = 'none';
+            return;
+        }
+        widget.style.display = '';
+
+        const addBtn = document.getElementById('task-add-btn');
+        if (addBtn && !addBtn.dataset.bound) {
+            addBtn.dataset.bound = 'true';
+            addBtn.style.display = this._canWrite() ? '' : 'none';
+            addBtn.addEventListener('click', () => this.openEditor());
+        }
+
+        try {
+            const result = await authedFetch('/api/tasks/mine');
+            if (!result.success || !result.data) throw new Error(result.error || '無法取得任務');
+            this.state.data = result.data;
+            this.render();
+        } catch (error) {
+            if (error.message === 'Unauthorized') return;
+            console.error('[DashboardTasks] 載入失敗:', error);
+            const content = widget.querySelector('.widget-content');
+            if (content) content.innerHTML = `<div class="alert alert-error">載入失敗: ${this._esc(error.message)}</div>`;
+        }
+    },
+
+    render() {
+        const widget = document.getElementById('task-widget');
+        const data = this.state.data;
+        if (!widget || !data) return;
+
+        const title = widget.querySelector('.widget-title');
+        if (title) {
+            const overdue = data.counts.overdue
+                ? ` <span style="font-size: 0.8rem; color: #ef4444; font-weight: 600;">逾期 ${data.counts.overdue}</span>` : '';
+            title.innerHTML = `我的任務 <span style="font-size: 0.8rem; color: var(--text-muted); font-weight: 500;">${data.counts.open} 項未完成</span>${overdue}`;
+        }
+
+        const content = widget.querySelector('.widget-content');
+        if (!data.counts.open) {
+            content.innerHTML = '<div class="alert alert-info" style="text-align:center;">目前沒有待辦任務</div>';
+            return;
+        }
+
+        const section = (label, tasks) => tasks.length ? `
+            <div style="font-size: 0.8rem; color: var(--text-muted); margin: 10px 0 4px;">${label} (${tasks.length})</div>
+            ${tasks.map(t => this._renderRow(t)).join('')}` : '';
+
+        content.innerHTML = `<div style="max-height: 320px; overflow-y: auto;">
+            ${section('已逾期', data.overdue)}${section('今天到期', data.today)}${section('之後', data.upcoming)}
+        </div>`;
+
+        content.querySelectorAll('.task-done-checkbox').forEach(el => {
+            el.addEventListener('change', () => this.complete(el.dataset.taskId, el));
+        });
+        content.querySelectorAll('.task-edit-btn').forEach(el => {
+            el.addEventListener('click', () => this.openEditor(this._findTask(el.dataset.taskId)));
+        });
+    },
+
+    _renderRow(task) {
+        const colors = { overdue: '#ef4444', today: '#f59e0b', soon: '#f59e0b' };
+        const color = colors[task.dueState] || 'var(--text-muted)';
+        const priorityColor = { '高': '#ef4444', '中': '#3b82f6', '低': '#9ca3af' }[task.priority] || '#9ca3af';
+
+        let link = '';
+        if (task.linkType === 'opportunity') {
+            link = `<a href="#" class="text-link" onclick="event.preventDefault();CRM_APP.navigateTo('opportunity-details',{opportunityId:'${this._esc(task.linkId)}'})">${this._esc(task.linkName)}</a>`;
+        } else if (task.linkType === 'company') {
+            link = `<a href="#" class="text-link" onclick="event.preventDefault();CRM_APP.navigateTo('company-details',{companyName:encodeURIComponent(this.dataset.name)})" data-name="${this._esc(task.linkName)}">${this._esc(task.linkName)}</a>`;
+        } else if (task.linkName) {
+            link = this._esc(task.linkName);
+        }
+
+        return `
+            <div class="task-row" style="display: flex; gap: 10px; align-items: flex-start; padding: 8px 6px; border-bottom: 1px solid var(--border-color); ${task.dueState === 'overdue' ? 'background: rgba(239, 68, 68, 0.08);' : ''}">
+                ${this._canWrite() ? `<input type="checkbox" class="task-done-checkbox" data-task-id="${this._esc(task.taskId)}" title="標記完成" style="margin-top: 4px;">` : ''}
+                <div style="flex: 1; min-width: 0;">
+                    <div style="font-size: 0.9rem;">
+                        <span style="display: inline-block; width: 8px; height: 8px; border-radius: 50%; background: ${priorityColor};" title="優先度：${this._esc(task.priority)}"></span>
+                        ${this._esc(task.title)}
+                        ${task.recurrenceLabel && task.recurrence !== 'none' ? `<span style="font-size: 0.75rem; color: var(--text-muted);">🔁 ${this._esc(task.recurrenceLabel)}</span>` : ''}
+                    </div>
+                    <div style="font-size: 0.8rem; color: var(--text-muted);">
+                        <span style="color: ${color}; font-weight: ${task.dueState ? 600 : 400};">${task.dueDate ? `到期 ${this._esc(task.dueDate)}` : '未設到期日'}</span>
+                        ${link ? ` · ${link}` : ''}
+                    </div>
+                </div>
+                ${this._canWrite() ? `<button class="action-btn small secondary task-edit-btn" data-task-id="${this._esc(task.taskId)}">編輯</button>` : ''}
+            </div>`;
+    },
+
+    _findTask(taskId) {
+        const data = this.state.data;
+        return [...data.overdue, ...data.today, ...data.upcoming].find(t => t.taskId === taskId);
+    },
+
+    async complete(taskId, checkbox) {
+        checkbox.disabled = true;
+        try {
+            // skipRefresh：任務只影響本區塊，完成後重新載入本區塊即可
+            const result = await authedFetch(`/api/tasks/${encodeURIComponent(taskId)}`, {
+                method: 'PUT',
+                body: JSON.stringify({ status: '已完成' }),
+                skipRefresh: true
+            });
+            showNotification(result.message || '任務已完成', 'success');
+            await this.load();
+        } catch (error) {
+            checkbox.checked = false;
+            checkbox.disabled = false;
+        }
+    },
+
+    /**
+     * 開啟任務新增 / 編輯視窗
+     * @param {Object} [task] - 編輯中的任務；未提供時為新增
+     * @param {Object} [defaults] - 新增時的預設值 (例如 { linkType, linkId, linkName })
+     */
+    openEditor(task = null, defaults = {}) {
+        const existing = document.getElementById('task-editor-modal');
+        if (existing) existing.remove();
+
+        const value = task || { priority: '中', recurrence: 'none', assignee: window.CRM_APP.currentUser || '', ...defaults };
+        const members = window.CRM_APP.systemConfig?.['團隊成員'] || [];
+        const recurrences = { none: '不重複', daily: '每天', weekly: '每週', monthly: '每月' };
+        const statuses = ['待辦', '進行中', '已完成', '已取消'];
+
+        const modalHTML = `
+            <div id="task-editor-modal" class="modal" style="display: block;">
+                <div class="modal-content" style="max-width: 600px;">
+                    <div class="modal-header">
+                        <h2 class="modal-title">${task ? '編輯任務' : '新增任務'}</h2>
+                        <button class="close-btn" onclick="closeModal('task-editor-modal')">&times;</button>
+                    </div>
+                    <div class="form-group">
+                        <label class="form-label">標題 *</label>
+                        <input type="text" id="task-title" class="form-input" value="${this._esc(value.title)}">
+                    </div>
+                    <div class="form-group">
+                        <label class="form-label">說明</label>
+                        <textarea id="task-description" class="form-textarea" rows="3">${this._esc(value.description)}</textarea>
+                    </div>
+                    <div class="form-row">
+                        <div class="form-group">
+                            <label class="form-label">負責人</label>
+                            <select id="task-assignee" class="form-select">
+                                <option value="">未指派</option>
+                                ${members.map(m => `<option value="${this._esc(m.value)}" ${m.value === value.assignee ? 'selected' : ''}>${this._esc(m.note || m.value)}</option>`).join('')}
+                            </select>
+                        </div>
+                        <div class="form-group">
+                            <label class="form-label">到期日</label>
+                            <input type="date" id="task-due-date" class="form-input" value="${this._esc(value.dueDate)}">
+                        </div>
+                    </div>
+                    <div class="form-row">
+                        <div class="form-group">
+                            <label class="form-label">優先度</label>
+                            <select id="task-priority" class="form-select">
+                                ${['高', '中', '低'].map(p => `<option value="${p}" ${p === value.priority ? 'selected' : ''}>${p}</option>`).join('')}
+                            </select>
+                        </div>
+                        <div class="form-group">
+                            <label class="form-label">重複</label>
+                            <select id="task-recurrence" class="form-select">
+                                ${Object.entries(recurrences).map(([k, label]) => `<option value="${k}" ${k === (value.recurrence || 'none') ? 'selected' : ''}>${label}</option>`).join('')}
+                            </select>
+                        </div>
+                        ${task ? `
+                        <div class="form-group">
+                            <label class="form-label">狀態</label>
+                            <select id="task-status" class="form-select">
+                                ${statuses.map(s => `<option value="${s}" ${s === value.status ? 'selected' : ''}>${s}</option>`).join('')}
+                            </select>
+                        </div>` : ''}
+                    </div>
+                    ${value.linkName ? `<p style="color: var(--text-muted); font-size: 0.85rem;">關聯：${this._esc(value.linkName)}</p>` : ''}
+                    <div style="display: flex; gap: 10px;">
+                        <button type="button" class="submit-btn" id="task-save-btn">💾 儲存</button>
+                        ${task ? '<button type="button" class="action-btn danger" id="task-delete-btn">刪除</button>' : ''}
+                    </div>
+                </div>
+            </div>`;
+        document.getElementById('modal-container').insertAdjacentHTML('beforeend', modalHTML);
+
+        document.getElementById('task-save-btn').addEventListener('click', () => this.save(task, value));
+        const deleteBtn = document.getElementById('task-delete-btn');
+        if (deleteBtn) {
+            deleteBtn.addEventListener('click', () => {
+                showConfirmDialog(`確定要刪除任務「${task.title}」嗎？`, () => this.remove(task.taskId));
+            });
+        }
+    },
+
+    async save(task, value) {
+        const payload = {
+            title: document.getElementById('task-title').value.trim(),
+            description: document.getElementById('task-description').value.trim(),
+            assignee: document.getElementById('task-assignee').value,
+            dueDate: document.getElementById('task-due-date').value,
+            priority: document.getElementById('task-priority').value,
+            recurrence: document.getElementById('task-recurrence').value
+        };
+        if (!payload.title) {
+            showNotification('請填寫任務標題', 'warning');
+            return;
+        }
+        if (task) {
+            payload.status = document.getElementById('task-status').value;
+        } else if (value.linkType && value.linkId) {
+            payload.linkType = value.linkType;
+            payload.linkId = value.linkId;
+        }
+
+        showLoading('正在儲存任務...');
+        try {
+            const result = await authedFetch(task ? `/api/tasks/${encodeURIComponent(task.taskId)}` : '/api/tasks', {
+                method: task ? 'PUT' : 'POST',
+                body: JSON.stringify(payload),
+                skipRefresh: true
+            });
+            closeModal('task-editor-modal');
+            showNotification(result.message || '任務已儲存', 'success');
+            await this.load();
+        } catch (error) {
+            // authedFetch 已顯示錯誤訊息
+        } finally {
+            hideLoading();
+        }
+    },
+
+    async remove(taskId) {
+        showLoading('正在刪除任務...');
+        try {
+            await authedFetch(`/api/tasks/${encodeURIComponent(taskId)}`, { method: 'DELETE', skipRefresh: true });
+            closeModal('task-editor-modal');
+            showNotification('任務已刪除', 'success');
+            await this.load();
+        } catch (error) {
+            // authedFetch 已顯示錯誤訊息
+        } finally {
+            hideLoading();
+        }
+    }
+};
+
+window.DashboardTasks = DashboardTasks;
+
+if (window.RealtimeService) {
+    // 任務只顯示在儀表板：在儀表板時重新載入本區塊，其他頁面不需提示
+    RealtimeService.subscribe('task', async () => {
+        if (RealtimeService.currentPage() === 'dashboard') await DashboardTasks.load();
+        return true;
+    });
+}
@@ -0,0 +1,174 @@
+// public/scripts/duplicates.js
+// 職責：「重複資料」頁面 (資料來源：/api/duplicates)
+// 公司 / 聯絡人重複候選 (分數、判斷依據、雙方資料並列)，選擇存續資料後合併
+
+const DuplicatesPage = (() => {
+    let _type = 'companies';
+    let _pairs = [];
+
+    const TYPE_LABELS = { companies: '公司', contacts: '聯絡人' };
+
+    const _esc = (text) => {
+        const div = document.createElement('div');
+        div.textContent = text === null || text === undefined ? '' : String(text);
+        return div.innerHTML;
+    };
+
+    function _canMerge() {
+        const rule = window.CRM_APP.permissions?.dataMerge;
+        return rule ? !!rule.write : window.CRM_APP.currentUserRole === 'admin';
+    }
+
+    async function load() {
+        const container = document.getElementById('page-duplicates');
+        if (!container) return;
+
+        container.innerHTML = `
+            <div class="dashboard-widget">
+                <div class="widget-header">
+                    <div><h2 class="widget-title">重複資料候選</h2>
+                        <p style="color: var(--text-muted); font-size: 0.9rem; margin-top: 5px;">
+                            依名稱、電話、Email、地址比對；合併時關聯資料改指向保留的一筆，被併入的公司移入回收桶、聯絡人直接刪除。</p></div>
+                    <div class="action-buttons-container">
+                        ${Object.entries(TYPE_LABELS).map(([type, label]) => `
+                            <button class="action-btn small ${type === _type ? 'primary' : 'secondary'}" data-action="type" data-type="${type}">${label}</button>`).join('')}
+                        <button class="action-btn small secondary" data-action="refresh">重新比對</button>
+                    </div>
+                </div>
+                <div id="duplicates-content" class="widget-content">
+                    <div class="loading show"><div class="spinner"></div><p>比對中...</p></div>
+                </div>
+            </div>`;
+
+        container.removeEventListener('click', _handleClick);
+        container.addEventListener('click', _handleClick);
+        await refresh();
+    }
+
+    async function refresh() {
+        const content = document.getElementById('duplicates-content');
+        try {
+            const result = await authedFetch(`/api/duplicates/${_type}`);
+            _pairs = result.data || [];
+            _render();
+        } catch (error) {
+            if (error.message !== 'Unauthorized' && content) {
+                content.innerHTML = `<div class="alert alert-error">載入失敗: ${_esc(error.message)}</div>`;
+            }
+        }
+    }
+
+    function _recordFields(record) {
+        if (_type === 'companies') {
+            return [
+                ['電話', record.phone],
+                ['縣市', record.county],
+                ['地址', record.address],
+                ['建立', record.createdTime ? formatDateTime(record.createdTime) : ''],
+                ['關聯', `機會 ${record.counts.opportunities}、聯絡人 ${record.counts.contacts}、互動 ${record.counts.interactions}`]
+            ];
+        }
+        return [
+            ['公司', record.companyName],
+            ['職稱', record.position],
+            ['手機', record.mobile],
+            ['電話', record.phone],
+            ['Email', record.email],
+            ['建立', record.createdTime ? formatDateTime(record.createdTime) : ''],
+            ['關聯', `機會 ${record.counts.opportunities}`]
+        ];
+    }
+
+    function _renderRecord(pair, record) {
+        const fields = _recordFields(record).map(([label, value]) => `
+            <div><span style="color: var(--text-muted);">${label}：</span>${value ? _esc(value) : '-'}</div>`).join('');
+        return `
+            <div style="flex: 1; min-width: 240px; padding: 12px; border: 1px solid var(--border-color); border-radius: 8px;">
+                <label style="display: flex; align-items: center; gap: 6px; margin-bottom: 8px;">
+                    ${_canMerge() ? `<input type="radio" name="survivor-${_esc(pair.pairId)}" value="${_esc(record.id)}" ${record.id === pair.suggestedSurvivorId ? 'checked' : ''}>` : ''}
+                    <strong>${_esc(record.name)}</strong>
+                    ${record.id === pair.suggestedSurvivorId ? '<small style="color: var(--accent-green);">建議保留</small>' : ''}
+                </label>
+                <div style="font-size: 0.85rem; line-height: 1.6;">${fields}</div>
+                <small style="color: var(--text-muted);">${_esc(record.id)}</small>
+            </div>`;
+    }
+
+    function _render() {
+        const content = document.getElementById('duplicates-content');
+        if (!content) return;
+        if (_pairs.length === 0) {
+            content.innerHTML = `<div class="alert alert-info" style="text-align:center;">沒有疑似重複的${TYPE_LABELS[_type]}</div>`;
+            return;
+        }
+
+        content.innerHTML = _pairs.map(pair => `
+            <div class="dashboard-widget" style="margin-bottom: 12px; padding: 12px;">
+                <div style="display: flex; align-items: center; gap: 8px; flex-wrap: wrap; margin-bottom: 10px;">
+                    <span style="font-weight: 700; font-size: 1.1rem; color: ${pair.score >= 80 ? '#ef4444' : '#f59e0b'};">${pair.score} 分</span>
+                    ${pair.reasons.map(reason => `<span style="padding: 2px 8px; border-radius: 10px; background: var(--secondary-bg); font-size: 0.8rem;">${_esc(reason)}</span>`).join('')}
+                    ${_canMerge() ? `<button class="action-btn small primary" style="margin-left: auto;" data-action="merge" data-id="${_esc(pair.pairId)}">合併</button>` : ''}
+                </div>
+                <div style="display: flex; gap: 12px; flex-wrap: wrap;">
+                    ${pair.records.map(record => _renderRecord(pair, record)).join('')}
+                </div>
+            </div>`).join('');
+    }
+
+    function _handleClick(e) {
+        const target = e.target.closest('[data-action]');
+        if (!target) return;
+
+        switch (target.dataset.action) {
+            case 'type':
+                _type = target.dataset.type;
+                load();
+                break;
+            case 'refresh':
+                load();
+                break;
+            case 'merge':
+                _confirmMerge(_pairs.find(p => p.pairId === target.dataset.id));
+                break;
+        }
+    }
+
+    function _confirmMerge(pair) {
+        if (!pair) return;
+        const checked = document.querySelector(`input[name="survivor-${CSS.escape(pair.pairId)}"]:checked`);
+        const survivorId = checked ? checked.value : pair.suggestedSurvivorId;
+        const survivor = pair.records.find(r => r.id === survivorId);
+        const duplicate = pair.records.find(r => r.id !== survivorId);
+        const fate = _type === 'companies' ? '移入回收桶' : '刪除';
+
+        showConfirmDialog(
+            `確定將「${duplicate.name}」合併至「${survivor.name}」嗎？關聯資料將改指向「${survivor.name}」，「${duplicate.name}」將${fate}。`,
+            () => _merge(survivorId, duplicate.id)
+        );
+    }
+
+    async function _merge(survivorId, duplicateId) {
+        showLoading('正在合併...');
+        try {
+            const result = await authedFetch(`/api/duplicates/${_type}/merge`, {
+                method: 'POST',
+                body: JSON.stringify({ survivorId, duplicateId })
+            });
+            const moved = Object.values(result.moved || {}).reduce((sum, n) => sum + n, 0);
+            showNotification(`${result.message || '已合併'}，共轉移 ${moved} 筆關聯資料`, 'success');
+            await refresh();
+        } catch (error) {
+            if (error.message !== 'Unauthorized') await refresh().catch(() => {});
+        } finally {
+            hideLoading();
+        }
+    }
+
+    return { load };
+})();
+
+window.DuplicatesPage = DuplicatesPage;
+
+if (window.CRM_APP) {
+    window.CRM_APP.pageModules['duplicates'] = () => DuplicatesPage.load();
+}
@@ -18,6 +18,8 @@ const EventEditorStandalone = (() => {
         ourParticipants: new Set(),
         clientParticipants: new Set()
     };
+    // 樂觀鎖：載入時的最後修改時間，儲存時送回供伺服器比對
+    let _version = '';
     
     let _isInitialized = false;
     let _resizeObserver = null;
@@ -179,6 +181,7 @@ const EventEditorStandalone = (() => {
                     const result = await authedFetch(`/api/events/${eventId}`);
                     if (result.success) {
                         eventData = result.data;
+                        _version = eventData.lastModifiedTime || '';
                     } else {
                         throw new Error(result.error || 'Unknown Error');
                     }
@@ -484,6 +487,7 @@ const EventEditorStandalone = (() => {
             multi[cb.name].push(cb.value);
         });
         for (let k in multi) data[k] = multi[k].join(', ');
+        data.expectedLastUpdateTime = _version;
 
         _setLoading(true, '儲存中...');
         try {
@@ -492,7 +496,16 @@ const EventEditorStandalone = (() => {
                 _close();
                 if (window.CRM_APP && window.CRM_APP.refreshCurrentView) window.CRM_APP.refreshCurrentView('更新成功！');
             } else throw new Error(res.error);
-        } catch (e) { showNotification('儲存失敗: ' + e.message, 'error'); } 
+        } catch (e) {
+            const handled = ConflictPrompt.handle(e, {
+                onReload: () => open(id),
+                onOverwrite: (current) => {
+                    _version = current ? current.lastUpdateTime : '';
+                    _form.requestSubmit();
+                }
+            });
+            if (!handled) showNotification('儲存失敗: ' + e.message, 'error');
+        } 
         finally { _setLoading(false); }
     }
 
@@ -518,6 +531,7 @@ const EventEditorStandalone = (() => {
         _form.reset();
         _data.ourParticipants.clear();
         _data.clientParticipants.clear();
+        _version = '';
         _setLoading(false);
         
         _inputs.specificContainer.innerHTML = '';
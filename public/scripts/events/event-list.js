@@ -47,6 +47,8 @@ function renderEventLogList(container, eventList) {
                 <button class="action-btn small primary" data-action="create-event" style="flex-shrink: 0; display: flex; align-items: center; gap: 4px;">
                     <span style="font-size: 1.1em; line-height: 1;">+</span> 新增紀錄
                 </button>
+                <button class="action-btn small secondary" data-action="export-events" data-format="csv" style="flex-shrink: 0;">⬇ CSV</button>
+                <button class="action-btn small secondary" data-action="export-events" data-format="xlsx" style="flex-shrink: 0;">⬇ XLSX</button>
 
                 <div id="event-list-filters" style="display: flex; gap: 0.5rem; flex-wrap: wrap;">
                     <select id="event-filter-type" class="form-select-sm"><option value="all">所有類型</option></select>
@@ -146,6 +148,10 @@ function handleEventListClick(e) {
             }
             break;
 
+        case 'export-events':
+            _exportEventList(payload.format);
+            break;
+
         case 'view-report':
             // 呼叫全域報告檢視函式
             if (typeof window.showEventLogReport === 'function') {
@@ -187,6 +193,18 @@ function handleEventListClick(e) {
 /**
  * 核心邏輯：篩選資料並重新渲染表格
  */
+/**
+ * 依目前的搜尋與篩選匯出事件紀錄 (伺服器端套用相同的篩選條件)
+ */
+function _exportEventList(format) {
+    const params = new URLSearchParams({ format });
+    if (_eventSearchQuery) params.set('q', _eventSearchQuery);
+    Object.entries(_eventFilters).forEach(([key, value]) => {
+        if (value !== 'all') params.set(key, value);
+    });
+    authedDownload(`/api/events/export?${params.toString()}`).catch(console.error);
+}
+
 function _filterAndRenderEvents() {
     const tableContainer = document.getElementById('event-list-table-container');
     const countDisplay = document.getElementById('event-list-count');
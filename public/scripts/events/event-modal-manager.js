@@ -9,6 +9,9 @@ let eventCompanySearchTimeout;
 let selectedEditOurParticipants = new Set();
 let selectedEditClientParticipants = new Set();
 
+// 樂觀鎖：編輯中事件於載入時的最後修改時間，儲存時送回供伺服器比對
+let editingEventVersion = '';
+
 // 入口函式
 async function showEventLogFormModal(options = {}) {
     // 分流：若無 eventId 則開啟精靈
@@ -34,6 +37,7 @@ async function showEventLogFormModal(options = {}) {
     // 重置人員選擇 Set
     selectedEditOurParticipants.clear();
     selectedEditClientParticipants.clear();
+    editingEventVersion = '';
     
     showModal('event-log-modal');
 
@@ -48,6 +52,7 @@ async function showEventLogFormModal(options = {}) {
         const result = await authedFetch(`/api/events/${options.eventId}`);
         if (!result.success) throw new Error('無法載入事件資料');
         const eventData = result.data;
+        editingEventVersion = eventData.lastModifiedTime || '';
         
         deleteBtn.style.display = 'block';
         deleteBtn.onclick = () => confirmDeleteEvent(eventData.eventId, eventData.eventName);
@@ -62,7 +67,7 @@ async function showEventLogFormModal(options = {}) {
 // 刪除事件
 async function confirmDeleteEvent(eventId, eventName) {
     const safeEventName = eventName || '此事件';
-    const message = `您確定要永久刪除事件 "${safeEventName}" 嗎？\n\n此操作無法復原，但系統會留下一筆刪除互動紀錄。`;
+    const message = `您確定要刪除事件 "${safeEventName}" 嗎？\n\n刪除後將移至回收桶，可由管理員還原。`;
 
     showConfirmDialog(message, async () => {
         showLoading('正在刪除事件...');
@@ -383,6 +388,7 @@ async function handleEventFormSubmit(e) {
         for (let k in multiVal) {
             eventData[k] = multiVal[k].join(', ');
         }
+        eventData.expectedLastUpdateTime = editingEventVersion;
         
         const result = await authedFetch(`/api/events/${eventId}`, {
             method: 'PUT',
@@ -396,7 +402,14 @@ async function handleEventFormSubmit(e) {
         }
 
     } catch (error) {
-        if (error.message !== 'Unauthorized') showNotification(`更新失敗: ${error.message}`, 'error');
+        const handled = ConflictPrompt.handle(error, {
+            onReload: () => showEventLogFormModal({ eventId }),
+            onOverwrite: (current) => {
+                editingEventVersion = current ? current.lastUpdateTime : '';
+                form.requestSubmit();
+            }
+        });
+        if (!handled && error.message !== 'Unauthorized') showNotification(`更新失敗: ${error.message}`, 'error');
     } finally {
         hideLoading();
     }
@@ -11,12 +11,21 @@ const scripts = [
     "scripts/core/constants.js",
     "scripts/core/layout-manager.js",
     "scripts/core/sync-service.js",
+    "scripts/core/realtime-service.js",
     "scripts/core/router.js",
     "scripts/core/main.js",
     "scripts/components/chip-wall.js",
+    "scripts/components/audit-history.js",
+    "scripts/components/import-wizard.js",
+    "scripts/components/global-search.js",
+    "scripts/components/conflict-prompt.js",
     "scripts/meetings.js",
     "scripts/interactions.js",
     "scripts/announcements.js",
+    "scripts/recycle-bin.js",
+    "scripts/automation.js",
+    "scripts/webhooks.js",
+    "scripts/duplicates.js",
     "scripts/map-manager.js",
     "scripts/kanban-board.js",
     "scripts/contacts/contact-potential-manager.js",
@@ -24,12 +33,16 @@ const scripts = [
     "scripts/opportunities/opportunities.js",
     "scripts/sales/sales-analysis-helper.js",
     "scripts/sales/sales-analysis-components.js",
+    "scripts/sales/sales-pipeline-analytics.js",
+    "scripts/sales/sales-forecast.js",
+    "scripts/sales/sales-quota.js",
     "scripts/sales/sales-analysis.js",
     "scripts/opportunities/details/opportunity-stepper.js",
     "scripts/opportunities/details/opportunity-interactions.js",
     "scripts/opportunities/details/opportunity-associated-contacts.js",
     "scripts/opportunities/details/opportunity-event-reports.js",
     "scripts/opportunities/details/opportunity-info-view.js",
+    "scripts/opportunities/details/opportunity-quotes.js",
     "scripts/opportunities/details/opportunity-details-components.js",
     "scripts/opportunities/opportunity-details-events.js",
     "scripts/opportunities/opportunity-details.js",
@@ -50,6 +63,8 @@ const scripts = [
     "scripts/dashboard/dashboard_widgets.js",
     "scripts/dashboard/dashboard_weekly.js",
     "scripts/dashboard/dashboard_kanban.js",
+    "scripts/dashboard/dashboard_quota.js",
+    "scripts/dashboard/dashboard_tasks.js",
     "scripts/dashboard/dashboard.js",
     
     // ★★★ 【新增】商品模組腳本 ★★★
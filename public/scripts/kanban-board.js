@@ -66,12 +66,14 @@ const kanbanBoardManager = {
             const newStageHistory = Array.from(historySet).join(',');
 
             // 【修改】API請求中同時傳送 currentStage 和 stageHistory
-            const updateResult = await authedFetch(`/api/opportunities/${opportunity.rowIndex}`, {
+            const updateResult = await authedFetch(`/api/opportunities/${encodeURIComponent(opportunity.opportunityId)}`, {
                 method: 'PUT',
                 body: JSON.stringify({ 
                     currentStage: newStageId,
                     stageHistory: newStageHistory, // <--- 傳送新欄位
-                    modifier: getCurrentUser() 
+                    modifier: getCurrentUser(),
+                    // 樂觀鎖：他人已修改此機會時伺服器回傳 409
+                    expectedLastUpdateTime: opportunity.lastUpdateTime || ''
                 })
             });
 
@@ -86,6 +88,7 @@ const kanbanBoardManager = {
                 // 【修改】同步更新前端物件的狀態
                 opportunity.currentStage = newStageId;
                 opportunity.stageHistory = newStageHistory; // <--- 更新本地物件狀態
+                if (updateResult.data && updateResult.data.lastUpdateTime) opportunity.lastUpdateTime = updateResult.data.lastUpdateTime;
                 kanbanData[newStageId].opportunities.unshift(opportunity);
                 
                 // --- 【*** 關鍵修正 #2：呼叫正確的刷新函式 ***】 ---
@@ -97,7 +100,9 @@ const kanbanBoardManager = {
                 throw new Error(updateResult.details || '更新失敗');
             }
         } catch (error) {
-            if (error.message !== 'Unauthorized') {
+            if (ConflictPrompt.handle(error, { onReload: () => window.CRM_APP.refreshCurrentView() })) {
+                window.dashboardManager.renderKanbanView();
+            } else if (error.message !== 'Unauthorized') {
                 showNotification('更新階段失敗，將還原操作', 'error');
                 // 失敗時也重新渲染以還原外觀
                 window.dashboardManager.renderKanbanView();
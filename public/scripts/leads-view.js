@@ -363,7 +363,7 @@ function openPreview(driveLink) {
 
 function openEdit(lead) {
     const modal = document.getElementById('edit-modal');
-    document.getElementById('edit-rowIndex').value = lead.rowIndex;
+    document.getElementById('edit-cardId').value = lead.cardId;
     document.getElementById('edit-name').value = lead.name || '';
     document.getElementById('edit-position').value = lead.position || '';
     document.getElementById('edit-company').value = lead.company || '';
@@ -380,7 +380,7 @@ async function handleEditSubmit(e) {
     btn.disabled = true;
     btn.textContent = '儲存中...';
 
-    const rowIndex = document.getElementById('edit-rowIndex').value;
+    const cardId = document.getElementById('edit-cardId').value;
     const data = {
         name: document.getElementById('edit-name').value,
         position: document.getElementById('edit-position').value,
@@ -407,7 +407,7 @@ async function handleEditSubmit(e) {
             }
         }
 
-        const res = await fetch(`/api/line/leads/${rowIndex}`, {
+        const res = await fetch(`/api/line/leads/${encodeURIComponent(cardId)}`, {
             method: 'PUT',
             headers: headers,
             body: JSON.stringify(data)
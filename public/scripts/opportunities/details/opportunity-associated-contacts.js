@@ -17,12 +17,16 @@ const OpportunityContacts = (() => {
             phone: document.getElementById('edit-contact-phone').value,
             email: document.getElementById('edit-contact-email').value,
         };
+        await _submitContactUpdate(contactId, updateData, document.getElementById('edit-contact-last-update').value);
+    }
 
+    // 送出聯絡人更新 (附帶載入時的版本，過期時提示載入最新資料或覆寫)
+    async function _submitContactUpdate(contactId, updateData, expectedLastUpdateTime) {
         showLoading('正在儲存聯絡人資料...');
         try {
             const result = await authedFetch(`/api/contacts/${contactId}`, {
                 method: 'PUT',
-                body: JSON.stringify(updateData)
+                body: JSON.stringify({ ...updateData, expectedLastUpdateTime })
             });
 
             if (result.success) {
@@ -36,6 +40,15 @@ const OpportunityContacts = (() => {
                 throw new Error(result.error || '儲存失敗');
             }
         } catch (error) {
+            const handled = ConflictPrompt.handle(error, {
+                onReload: () => {
+                    const modal = document.getElementById('edit-contact-modal-container');
+                    if (modal) modal.remove();
+                    window.CRM_APP.refreshCurrentView();
+                },
+                onOverwrite: (current) => _submitContactUpdate(contactId, updateData, current ? current.lastUpdateTime : '')
+            });
+            if (handled) return;
             if (error.message !== 'Unauthorized') showNotification(`儲存失敗: ${error.message}`, 'error');
         } finally {
             hideLoading();
@@ -50,7 +63,7 @@ const OpportunityContacts = (() => {
             try {
                 const result = await authedFetch(`/api/contacts/${contactId}/link-card`, {
                     method: 'POST',
-                    body: JSON.stringify({ businessCardRowIndex: businessCard.rowIndex })
+                    body: JSON.stringify({ businessCardId: businessCard.cardId })
                 });
 
                 if (result.success) {
@@ -99,7 +112,7 @@ const OpportunityContacts = (() => {
 
             if (!isMainContact) {
                 const newMainContactName = contact.name.replace(/'/g, "\\'");
-                actionButtons += `<button class="action-btn small primary" style="background: var(--accent-green);" onclick="OpportunityContacts.setAsMain('${_opportunityInfo.opportunityId}', ${_opportunityInfo.rowIndex}, '${newMainContactName}')">👑 設為主要</button>`;
+                actionButtons += `<button class="action-btn small primary" style="background: var(--accent-green);" onclick="OpportunityContacts.setAsMain('${_opportunityInfo.opportunityId}', '${newMainContactName}')">👑 設為主要</button>`;
                 // 【修改】將「刪除關聯」按鈕改為只有垃圾桶圖示
                 actionButtons += `<button class="action-btn small danger" onclick="OpportunityContacts.unlink('${_opportunityInfo.opportunityId}', '${contact.contactId}', '${contact.name}')" title="刪除關聯">🗑️</button>`;
             }
@@ -204,6 +217,7 @@ const OpportunityContacts = (() => {
                     </div>
                     <form id="edit-opp-contact-form">
                         <input type="hidden" id="edit-contact-id" value="${contact.contactId}">
+                        <input type="hidden" id="edit-contact-last-update" value="${contact.lastUpdateTime || ''}">
                         <div class="form-row">
                             <div class="form-group"><label class="form-label">部門</label><input type="text" class="form-input" id="edit-contact-department" value="${contact.department || ''}"></div>
                             <div classs="form-group"><label class="form-label">職位</label><input type="text" class="form-input" id="edit-contact-position" value="${contact.position || ''}"></div>
@@ -227,14 +241,14 @@ const OpportunityContacts = (() => {
     }
 
     // 設定為主要聯絡人
-    async function setAsMain(opportunityId, rowIndex, newMainContactName) {
+    async function setAsMain(opportunityId, newMainContactName) {
         const confirmMsg = `確定要將「${newMainContactName}」設定為這個機會的主要聯絡人嗎？`;
         showConfirmDialog(confirmMsg, async () => {
             showLoading('正在更新主要聯絡人...');
             try {
-                const result = await authedFetch(`/api/opportunities/${rowIndex}`, {
+                const result = await authedFetch(`/api/opportunities/${encodeURIComponent(opportunityId)}`, {
                     method: 'PUT',
-                    body: JSON.stringify({ mainContact: newMainContactName })
+                    body: JSON.stringify({ mainContact: newMainContactName, expectedLastUpdateTime: _opportunityInfo.lastUpdateTime || '' })
                 });
                 if (result.success) {
                     // 【*** 移除衝突 ***】
@@ -246,6 +260,7 @@ const OpportunityContacts = (() => {
                     throw new Error(result.error || '更新失敗');
                 }
             } catch (error) {
+                if (ConflictPrompt.handle(error, { onReload: () => window.CRM_APP.refreshCurrentView() })) return;
                 if (error.message !== 'Unauthorized') {
                     showNotification(`更新失敗: ${error.message}`, 'error');
                 }
@@ -436,11 +436,11 @@ const OpportunityInfoCard = (() => {
 
 // OpportunityAssociatedOpps 保持不變
 const OpportunityAssociatedOpps = (() => {
-    async function _handleRemoveParentLink(opportunityId, rowIndex) {
+    async function _handleRemoveParentLink(opportunityId) {
         showConfirmDialog('您確定要移除此母機會關聯嗎？', async () => {
             showLoading('正在移除關聯...');
             try {
-                const result = await authedFetch(`/api/opportunities/${rowIndex}`, {
+                const result = await authedFetch(`/api/opportunities/${encodeURIComponent(opportunityId)}`, {
                     method: 'PUT',
                     body: JSON.stringify({ parentOpportunityId: '', modifier: getCurrentUser() })
                 });
@@ -458,9 +458,9 @@ const OpportunityAssociatedOpps = (() => {
         const { opportunityInfo, parentOpportunity, childOpportunities } = details;
         let html = '';
         addButton.style.display = 'flex'; 
-        addButton.onclick = () => showLinkOpportunityModal(opportunityInfo.opportunityId, opportunityInfo.rowIndex);
+        addButton.onclick = () => showLinkOpportunityModal(opportunityInfo.opportunityId);
         if (parentOpportunity) {
-            html += `<div class="summary-item" style="margin-bottom: 1rem;"><span class="summary-label">母機會</span><div style="display: flex; align-items: center; gap: 10px;"><span class="summary-value" style="font-size: 1rem;"><a href="#" class="text-link" onclick="event.preventDefault(); CRM_APP.navigateTo('opportunity-details', { opportunityId: '${parentOpportunity.opportunityId}' })">${parentOpportunity.opportunityName}</a></span><button class="action-btn small danger" style="padding: 2px 6px; font-size: 0.7rem;" onclick="OpportunityAssociatedOpps._handleRemoveParentLink('${opportunityInfo.opportunityId}', ${opportunityInfo.rowIndex})" title="移除母機會關聯">移除</button></div></div>`;
+            html += `<div class="summary-item" style="margin-bottom: 1rem;"><span class="summary-label">母機會</span><div style="display: flex; align-items: center; gap: 10px;"><span class="summary-value" style="font-size: 1rem;"><a href="#" class="text-link" onclick="event.preventDefault(); CRM_APP.navigateTo('opportunity-details', { opportunityId: '${parentOpportunity.opportunityId}' })">${parentOpportunity.opportunityName}</a></span><button class="action-btn small danger" style="padding: 2px 6px; font-size: 0.7rem;" onclick="OpportunityAssociatedOpps._handleRemoveParentLink('${opportunityInfo.opportunityId}')" title="移除母機會關聯">移除</button></div></div>`;
             addButton.textContent = '✏️ 變更母機會';
         } else { addButton.textContent = '+ 設定母機會'; }
         if (childOpportunities && childOpportunities.length > 0) {
@@ -57,6 +57,7 @@ const OpportunityInteractions = (() => {
 
         const rawSummary = interaction.contentSummary || '(無內容)';
         const summaryHtml = escapeHtml(rawSummary).replace(/\n/g, '<br>');
+        const nextAction = (interaction.nextAction || '').trim();
 
         const rowId = interaction.interactionId;
         const rowIndex = interaction.rowIndex;
@@ -82,6 +83,17 @@ const OpportunityInteractions = (() => {
                     </button>
                 `;
             }
+
+            // 有下次行動時可一鍵轉為待辦任務
+            const taskRule = window.CRM_APP?.permissions?.task;
+            if (nextAction && (!taskRule || taskRule.write)) {
+                buttonsHtml += `
+                    &nbsp;
+                    <button type="button" class="action-btn small secondary" onclick="OpportunityInteractions.createTaskFromNextAction('${rowId}')">
+                        轉為任務
+                    </button>
+                `;
+            }
         }
 
         return `
@@ -94,6 +106,7 @@ const OpportunityInteractions = (() => {
                     <div class="feed-text">
                         ${summaryHtml}
                     </div>
+                    ${nextAction ? `<div class="feed-text" style="color: var(--text-muted);">下次行動：${escapeHtml(nextAction)}</div>` : ''}
                     <div class="feed-text">
                         ${buttonsHtml}
                     </div>
@@ -324,6 +337,28 @@ const OpportunityInteractions = (() => {
         });
     }
 
+    /**
+     * 公開：將互動的下次行動轉為待辦任務 (同一筆互動重複點選時，後端回傳既有任務)
+     */
+    async function createTaskFromNextAction(interactionId) {
+        showLoading('正在建立任務...');
+        try {
+            // skipRefresh：任務不顯示在本頁，不需重新載入
+            const result = await authedFetch(`/api/tasks/from-interaction/${encodeURIComponent(interactionId)}`, {
+                method: 'POST',
+                body: JSON.stringify({}),
+                skipRefresh: true
+            });
+            showNotification(result.message || '已將下次行動轉為任務', result.existing ? 'info' : 'success');
+        } catch (error) {
+            if (error.message !== 'Unauthorized') {
+                console.error('建立任務失敗:', error);
+            }
+        } finally {
+            hideLoading();
+        }
+    }
+
     /**
      * 公開：初始化
      */
@@ -386,6 +421,7 @@ const OpportunityInteractions = (() => {
         init,
         showForEditing,
         toggleListExpanded,
-        confirmDelete
+        confirmDelete,
+        createTaskFromNextAction
     };
 })();
@@ -0,0 +1,402 @@
+// public/scripts/opportunities/details/opportunity-quotes.js
+// 職責：機會詳細頁的「報價單」區塊 (資料來源：/api/quotes)
+// 列出報價版次、以商品價目表編輯明細 (建立新版次)、送出 / 接受 / 拒絕，以及列印與下載 PDF
+
+const OpportunityQuotes = (() => {
+    let _opportunity = null;
+    let _quotes = [];
+    let _products = null;
+    let _editor = { priceTier: '', tiers: [], items: [] };
+
+    function _esc(text) {
+        const div = document.createElement('div');
+        div.textContent = text === null || text === undefined ? '' : String(text);
+        return div.innerHTML;
+    }
+
+    function _fmtMoney(v) {
+        return (Number(v) || 0).toLocaleString('zh-TW', { style: 'currency', currency: 'TWD', minimumFractionDigits: 0 });
+    }
+
+    function _rule() {
+        return window.CRM_APP.permissions?.quote;
+    }
+
+    function _canWrite() {
+        const rule = _rule();
+        return rule ? !!rule.write : true;
+    }
+
+    const STATUS_COLORS = { '草稿': '#6b7280', '已送出': '#3b82f6', '已接受': '#10b981', '已拒絕': '#ef4444', '已取代': '#9ca3af' };
+
+    /**
+     * 入口：由 opportunity-details.js 呼叫；無報價檢視權限時隱藏整個區塊
+     * @param {Object} opportunityInfo
+     */
+    async function init(opportunityInfo) {
+        _opportunity = opportunityInfo;
+        const widget = document.getElementById('opportunity-quotes-widget');
+        if (!widget) return;
+
+        const rule = _rule();
+        if (rule && !rule.read) {
+            widget.style.display = 'none';
+            return;
+        }
+
+        const addBtn = document.getElementById('add-quote-btn');
+        if (addBtn) {
+            addBtn.style.display = _canWrite() ? '' : 'none';
+            addBtn.onclick = () => openEditor(null);
+        }
+        await refresh();
+    }
+
+    async function refresh() {
+        const container = document.getElementById('opportunity-quotes-list');
+        if (!container || !_opportunity) return;
+
+        try {
+            const result = await authedFetch(`/api/quotes?opportunityId=${encodeURIComponent(_opportunity.opportunityId)}`);
+            if (!result.success) throw new Error(result.error || '無法取得報價單');
+            _quotes = result.data || [];
+            _render(container);
+        } catch (error) {
+            if (error.message === 'Unauthorized') return;
+            console.error('[OpportunityQuotes] 載入失敗:', error);
+            container.innerHTML = `<div class="alert alert-error">載入失敗: ${_esc(error.message)}</div>`;
+        }
+    }
+
+    function _render(container) {
+        if (!_quotes.length) {
+            container.innerHTML = '<div class="alert alert-info" style="text-align:center;">尚未建立報價單</div>';
+            return;
+        }
+
+        const editable = _canWrite();
+        const rows = _quotes.map(q => {
+            const open = q.status === '草稿' || q.status === '已送出';
+            const actions = [
+                `<button class="action-btn small secondary" data-action="print" data-id="${q.quoteId}">列印</button>`,
+                `<button class="action-btn small secondary" data-action="pdf" data-id="${q.quoteId}">PDF</button>`,
+                editable ? `<button class="action-btn small secondary" data-action="revise" data-id="${q.quoteId}">改版</button>` : '',
+                editable && q.status === '草稿' ? `<button class="action-btn small secondary" data-action="sent" data-id="${q.quoteId}">標記送出</button>` : '',
+                editable && open ? `<button class="action-btn small primary" data-action="accept" data-id="${q.quoteId}">接受</button>` : '',
+                editable && open ? `<button class="action-btn small danger" data-action="rejected" data-id="${q.quoteId}">拒絕</button>` : ''
+            ].join(' ');
+            return `
+                <tr>
+                    <td>${_esc(q.quoteNumber)}</td>
+                    <td style="text-align:center;">R${q.version}</td>
+                    <td><span style="color:${STATUS_COLORS[q.status] || 'inherit'}; font-weight:600;">${_esc(q.status)}</span></td>
+                    <td>${_esc(q.priceTierLabel)}</td>
+                    <td style="text-align:right;">${_fmtMoney(q.subtotal)}</td>
+                    <td style="text-align:right;">${_fmtMoney(q.total)}</td>
+                    <td>${_esc(q.validUntil)}</td>
+                    <td>${_esc(q.createdBy)}</td>
+                    <td style="white-space:nowrap;">${actions}</td>
+                </tr>`;
+        }).join('');
+
+        container.innerHTML = `
+            <div class="table-container"><table class="data-table">
+                <thead><tr><th>報價單號</th><th>版次</th><th>狀態</th><th>價格級別</th><th style="text-align:right;">未稅小計</th>
+                <th style="text-align:right;">含稅總計</th><th>有效期限</th><th>建立者</th><th>操作</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table></div>`;
+
+        container.querySelectorAll('button[data-action]').forEach(btn => {
+            btn.addEventListener('click', () => _handleAction(btn.dataset.action, btn.dataset.id));
+        });
+    }
+
+    function _handleAction(action, quoteId) {
+        const quote = _quotes.find(q => q.quoteId === quoteId);
+        if (!quote) return;
+
+        if (action === 'print') return printQuote(quoteId);
+        if (action === 'pdf') return downloadPdf(quoteId);
+        if (action === 'revise') return openEditor(quote);
+        if (action === 'accept') {
+            return showConfirmDialog(`確定接受報價 ${quote.quoteNumber}？機會價值將更新為 ${_fmtMoney(quote.subtotal)} (未稅)，其他版次標為已取代。`,
+                () => _post(`/api/quotes/${quoteId}/accept`, {}, '已接受報價', true));
+        }
+        const label = action === 'sent' ? '標記為已送出' : '標記為已拒絕';
+        showConfirmDialog(`確定將報價 ${quote.quoteNumber} ${label}？`,
+            () => _post(`/api/quotes/${quoteId}/status`, { status: action }, '報價狀態已更新', false));
+    }
+
+    async function _post(url, body, successMessage, reloadPage) {
+        showLoading('正在更新報價單...');
+        try {
+            // 接受報價會寫回機會價值，交由 authedFetch 重新整理整頁；其他狀態只影響本區塊
+            const result = await authedFetch(url, { method: 'POST', body: JSON.stringify(body), skipRefresh: !reloadPage });
+            if (!reloadPage) {
+                showNotification(result.message || successMessage, 'success');
+                await refresh();
+            }
+        } catch (error) {
+            if (error.message !== 'Unauthorized') showNotification(`更新失敗: ${error.message}`, 'error');
+        } finally {
+            hideLoading();
+        }
+    }
+
+    async function _fetchRendered(quoteId) {
+        const result = await authedFetch(`/api/quotes/${quoteId}/render`);
+        if (!result.success) throw new Error(result.error || '無法產生報價單');
+        return result.data;
+    }
+
+    async function printQuote(quoteId) {
+        // 先開窗再取資料，避免瀏覽器封鎖非使用者觸發的彈出視窗
+        const win = window.open('', '_blank');
+        if (!win) {
+            showNotification('請允許瀏覽器開啟彈出視窗', 'warning');
+            return;
+        }
+        try {
+            const { html } = await _fetchRendered(quoteId);
+            win.document.open();
+            win.document.write(html);
+            win.document.close();
+            win.focus();
+            setTimeout(() => win.print(), 300);
+        } catch (error) {
+            win.close();
+            if (error.message !== 'Unauthorized') showNotification(`產生報價單失敗: ${error.message}`, 'error');
+        }
+    }
+
+    async function downloadPdf(quoteId) {
+        if (typeof html2pdf === 'undefined') {
+            showNotification('PDF 產生器 (html2pdf) 載入失敗，請改用列印另存 PDF', 'error');
+            return;
+        }
+        showLoading('正在產生 PDF...');
+        try {
+            const { html, fileName } = await _fetchRendered(quoteId);
+            await html2pdf().from(html).set({
+                margin: 10,
+                filename: fileName,
+                image: { type: 'jpeg', quality: 0.98 },
+                html2canvas: { scale: 2, useCORS: true, logging: false },
+                jsPDF: { unit: 'mm', format: 'a4', orientation: 'portrait' }
+            }).save();
+        } catch (error) {
+            if (error.message !== 'Unauthorized') showNotification(`PDF 產生失敗: ${error.message}`, 'error');
+        } finally {
+            hideLoading();
+        }
+    }
+
+    // --- 編輯器 (每次儲存都建立新版次) ---
+
+    async function _loadProducts() {
+        if (_products) return _products;
+        const result = await authedFetch('/api/products');
+        _products = (result.data || []).filter(p => p.status !== '停售' && p.status !== '下架');
+        return _products;
+    }
+
+    /**
+     * @param {Object|null} baseQuote - 改版時的來源版次；null 表示由產品明細預填
+     */
+    async function openEditor(baseQuote) {
+        showLoading('正在準備報價單...');
+        try {
+            const tierParam = baseQuote ? `&priceTier=${encodeURIComponent(baseQuote.priceTier)}` : '';
+            // 改版時沿用原級別 (角色不可用該級別時，伺服器改回依銷售模式判斷的級別)
+            const [draftResult] = await Promise.all([
+                authedFetch(`/api/quotes/draft?opportunityId=${encodeURIComponent(_opportunity.opportunityId)}${tierParam}`),
+                _loadProducts()
+            ]);
+            const draft = draftResult.data;
+            const sameTier = baseQuote && draft.priceTier === baseQuote.priceTier;
+            _editor = {
+                priceTier: draft.priceTier,
+                tiers: draft.tiers,
+                items: (baseQuote ? baseQuote.items : draft.items).map(item => ({
+                    productId: item.productId || '',
+                    name: item.name,
+                    spec: item.spec || '',
+                    unit: item.unit || '',
+                    quantity: item.quantity,
+                    // 改版且級別不同時，商品明細改回新級別的定價
+                    unitPrice: baseQuote && !sameTier && item.productId ? '' : item.unitPrice,
+                    discount: item.discount || 0
+                })),
+                taxRate: baseQuote ? baseQuote.taxRate : draft.taxRate,
+                validUntil: draft.validUntil,
+                note: baseQuote ? baseQuote.note : ''
+            };
+            _renderEditor(baseQuote);
+        } catch (error) {
+            if (error.message !== 'Unauthorized') showNotification(`無法開啟報價編輯: ${error.message}`, 'error');
+        } finally {
+            hideLoading();
+        }
+    }
+
+    function _renderEditor(baseQuote) {
+        const existing = document.getElementById('quote-editor-modal');
+        if (existing) existing.remove();
+
+        const productOptions = _products.map(p =>
+            `<option value="${_esc(p.id)}">${_esc(p.name)}${p.spec ? ` (${_esc(p.spec)})` : ''}</option>`).join('');
+
+        const modalHTML = `
+            <div id="quote-editor-modal" class="modal" style="display: block;">
+                <div class="modal-content" style="max-width: 1100px;">
+                    <div class="modal-header">
+                        <h2 class="modal-title">${baseQuote ? `報價改版 (${_esc(baseQuote.quoteNumber)})` : '新增報價單'}</h2>
+                        <button class="close-btn" onclick="closeModal('quote-editor-modal')">&times;</button>
+                    </div>
+                    <div class="form-row">
+                        <div class="form-group">
+                            <label class="form-label">價格級別</label>
+                            <select id="quote-tier-select" class="form-select">
+                                ${_editor.tiers.map(t => `<option value="${t.value}" ${t.value === _editor.priceTier ? 'selected' : ''}>${_esc(t.label)}</option>`).join('')}
+                            </select>
+                        </div>
+                        <div class="form-group">
+                            <label class="form-label">稅率 (%)</label>
+                            <input type="number" id="quote-tax-rate" class="form-input" min="0" max="100" value="${_editor.taxRate}">
+                        </div>
+                        <div class="form-group">
+                            <label class="form-label">有效期限</label>
+                            <input type="date" id="quote-valid-until" class="form-input" value="${_editor.validUntil}">
+                        </div>
+                    </div>
+                    <p style="color: var(--text-muted); font-size: 0.85rem;">選擇商品後單價留白即採用該價格級別的定價；自訂項目 (不選商品) 須填寫品名與單價。</p>
+                    <datalist id="quote-product-options">${productOptions}</datalist>
+                    <div class="table-container" style="max-height: 360px; overflow-y: auto;">
+                        <table class="data-table">
+                            <thead><tr><th style="width: 22%;">商品ID</th><th>品名</th><th style="width: 9%;">數量</th><th style="width: 13%;">單價</th>
+                            <th style="width: 9%;">折扣 %</th><th style="width: 12%; text-align:right;">金額</th><th style="width: 5%;"></th></tr></thead>
+                            <tbody id="quote-lines-body"></tbody>
+                        </table>
+                    </div>
+                    <button type="button" class="action-btn secondary" id="quote-add-line-btn" style="margin-top: 8px;">+ 新增項目</button>
+                    <div id="quote-editor-totals" style="text-align: right; margin-top: 10px; line-height: 1.8;"></div>
+                    <div class="form-group">
+                        <label class="form-label">備註</label>
+                        <textarea id="quote-note" class="form-textarea" rows="3" placeholder="付款條件、交期等">${_esc(_editor.note)}</textarea>
+                    </div>
+                    <button type="button" class="submit-btn" id="quote-save-btn">💾 建立報價版次</button>
+                </div>
+            </div>`;
+        document.getElementById('modal-container').insertAdjacentHTML('beforeend', modalHTML);
+
+        document.getElementById('quote-tier-select').addEventListener('change', (e) => {
+            _editor.priceTier = e.target.value;
+            _renderLines();
+        });
+        document.getElementById('quote-tax-rate').addEventListener('input', _renderTotals);
+        document.getElementById('quote-add-line-btn').addEventListener('click', () => {
+            _editor.items.push({ productId: '', name: '', spec: '', unit: '', quantity: 1, unitPrice: '', discount: 0 });
+            _renderLines();
+        });
+        document.getElementById('quote-save-btn').addEventListener('click', _save);
+        _renderLines();
+    }
+
+    /**
+     * 前端預覽用的單價 (實際金額以伺服器計算為準)
+     */
+    function _previewPrice(item) {
+        if (item.unitPrice !== '' && item.unitPrice !== null && item.unitPrice !== undefined) return Number(item.unitPrice) || 0;
+        const product = item.productId && _products.find(p => p.id === item.productId);
+        const tier = _editor.tiers.find(t => t.value === _editor.priceTier);
+        const field = { MTB: 'priceMtb', SI: 'priceSi', MTU: 'priceMtu' }[tier && tier.value];
+        return product && field ? parseFloat(String(product[field] || '').replace(/,/g, '')) || 0 : 0;
+    }
+
+    function _lineAmount(item) {
+        return Math.round((Number(item.quantity) || 0) * _previewPrice(item) * (1 - (Number(item.discount) || 0) / 100));
+    }
+
+    function _renderLines() {
+        const body = document.getElementById('quote-lines-body');
+        if (!body) return;
+
+        body.innerHTML = _editor.items.map((item, index) => `
+            <tr data-index="${index}">
+                <td><input class="form-input form-input-sm" list="quote-product-options" data-field="productId" value="${_esc(item.productId)}" placeholder="自訂項目可留白"></td>
+                <td><input class="form-input form-input-sm" data-field="name" value="${_esc(item.name)}"></td>
+                <td><input type="number" min="0" class="form-input form-input-sm" data-field="quantity" value="${_esc(item.quantity)}"></td>
+                <td><input type="number" min="0" class="form-input form-input-sm" data-field="unitPrice" value="${_esc(item.unitPrice)}" placeholder="${_previewPrice({ ...item, unitPrice: '' }) || ''}"></td>
+                <td><input type="number" min="0" max="100" class="form-input form-input-sm" data-field="discount" value="${_esc(item.discount)}"></td>
+                <td class="quote-line-amount" style="text-align:right;">${_fmtMoney(_lineAmount(item))}</td>
+                <td><button type="button" class="action-btn small danger" data-remove="${index}">✕</button></td>
+            </tr>`).join('');
+
+        body.querySelectorAll('input[data-field]').forEach(input => {
+            input.addEventListener('change', (e) => {
+                const index = parseInt(e.target.closest('tr').dataset.index, 10);
+                const field = e.target.dataset.field;
+                _editor.items[index][field] = e.target.value;
+                if (field === 'productId') {
+                    const product = _products.find(p => p.id === e.target.value);
+                    if (product) Object.assign(_editor.items[index], { name: product.name, spec: product.spec, unit: product.unit, unitPrice: '' });
+                    _renderLines();
+                    return;
+                }
+                e.target.closest('tr').querySelector('.quote-line-amount').textContent = _fmtMoney(_lineAmount(_editor.items[index]));
+                _renderTotals();
+            });
+        });
+        body.querySelectorAll('button[data-remove]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                _editor.items.splice(parseInt(btn.dataset.remove, 10), 1);
+                _renderLines();
+            });
+        });
+        _renderTotals();
+    }
+
+    function _renderTotals() {
+        const container = document.getElementById('quote-editor-totals');
+        if (!container) return;
+        const subtotal = _editor.items.reduce((sum, item) => sum + _lineAmount(item), 0);
+        const taxRate = Number(document.getElementById('quote-tax-rate')?.value) || 0;
+        const tax = Math.round(subtotal * taxRate / 100);
+        container.innerHTML = `未稅小計：<strong>${_fmtMoney(subtotal)}</strong>　稅額：${_fmtMoney(tax)}　總計：<strong>${_fmtMoney(subtotal + tax)}</strong>`;
+    }
+
+    async function _save() {
+        const payload = {
+            opportunityId: _opportunity.opportunityId,
+            priceTier: _editor.priceTier,
+            taxRate: document.getElementById('quote-tax-rate').value,
+            validUntil: document.getElementById('quote-valid-until').value,
+            note: document.getElementById('quote-note').value,
+            items: _editor.items.map(item => ({
+                productId: item.productId || undefined,
+                name: item.name,
+                spec: item.spec,
+                unit: item.unit,
+                quantity: item.quantity,
+                unitPrice: item.unitPrice,
+                discount: item.discount
+            }))
+        };
+
+        showLoading('正在建立報價單...');
+        try {
+            const result = await authedFetch('/api/quotes', { method: 'POST', body: JSON.stringify(payload), skipRefresh: true });
+            showNotification(result.message || '報價單已建立', 'success');
+            closeModal('quote-editor-modal');
+            await refresh();
+        } catch (error) {
+            if (error.message !== 'Unauthorized') showNotification(`建立失敗: ${error.message}`, 'error');
+        } finally {
+            hideLoading();
+        }
+    }
+
+    return { init, refresh, openEditor, printQuote, downloadPdf };
+})();
+
+window.OpportunityQuotes = OpportunityQuotes;
@@ -74,15 +74,20 @@ const OpportunityStepper = (() => {
         const newStageHistory = Array.from(historySet).join(',');
         // --- 【*** 修正結束 ***】 ---
 
+        await _submitStages(newCurrentStage, newStageHistory, _opportunityInfo.lastUpdateTime || '');
+    }
 
+    // 送出階段歷程 (附帶載入時的版本，過期時提示載入最新資料或覆寫)
+    async function _submitStages(newCurrentStage, newStageHistory, expectedLastUpdateTime) {
         showLoading('正在儲存階段歷程...');
         try {
-            const result = await authedFetch(`/api/opportunities/${_opportunityInfo.rowIndex}`, {
+            const result = await authedFetch(`/api/opportunities/${encodeURIComponent(_opportunityInfo.opportunityId)}`, {
                 method: 'PUT',
                 body: JSON.stringify({
                     currentStage: newCurrentStage,
                     stageHistory: newStageHistory,
-                    modifier: getCurrentUser()
+                    modifier: getCurrentUser(),
+                    expectedLastUpdateTime
                 })
             });
 
@@ -93,7 +98,11 @@ const OpportunityStepper = (() => {
             }
 
         } catch (error) {
-            if (error.message !== 'Unauthorized') {
+            const handled = ConflictPrompt.handle(error, {
+                onReload: () => window.CRM_APP.refreshCurrentView(),
+                onOverwrite: (current) => _submitStages(newCurrentStage, newStageHistory, current ? current.lastUpdateTime : '')
+            });
+            if (!handled && error.message !== 'Unauthorized') {
                 showNotification(`儲存失敗: ${error.message}`, 'error');
             }
         } finally {
@@ -55,6 +55,10 @@ async function loadOpportunities(query = '') {
                         <button class="action-btn small danger" data-action="clear-filters" style="padding: 2px 8px;">清除</button>
                     </div>
 
+                    <button class="action-btn small secondary" data-action="import-opportunities">📥 匯入</button>
+                    <button class="action-btn small secondary" data-action="export-opportunities" data-format="csv">⬇ CSV</button>
+                    <button class="action-btn small secondary" data-action="export-opportunities" data-format="xlsx">⬇ XLSX</button>
+
                     <div id="opportunity-list-filters" style="display: flex; gap: 0.5rem; flex-wrap: wrap;">
                         <select id="opp-year-filter" class="form-select-sm" data-filter="year"><option value="all">所有年份</option></select>
                         <select id="opp-type-filter" class="form-select-sm" data-filter="type"><option value="all">所有種類</option></select>
@@ -222,11 +226,17 @@ function handleOpportunitiesClick(e) {
             handleOppSort(payload.field);
             break;
         case 'delete-opp':
-            confirmDeleteOpportunity(payload.rowIndex, payload.name);
+            confirmDeleteOpportunity(payload.opportunityId, payload.name);
             break;
         case 'clear-filters':
             clearAllOppFilters();
             break;
+        case 'import-opportunities':
+            ImportWizard.open('opportunity', { onComplete: () => loadOpportunities() });
+            break;
+        case 'export-opportunities':
+            exportOpportunityList(payload.format);
+            break;
         case 'navigate':
             e.preventDefault();
             // 解析可能的參數
@@ -393,6 +403,35 @@ function filterAndRenderOpportunities(filterKey, filterDisplayValue) {
     listContent.innerHTML = renderOpportunitiesTable(filteredData);
 }
 
+/**
+ * 依目前的搜尋、篩選與排序匯出機會列表 (伺服器端重新查詢)
+ * 年份 / 種類 / 來源 / 階段與搜尋字串可由伺服器套用；其餘篩選 (活動時間、圖表點選) 不適用於匯出
+ */
+function exportOpportunityList(format) {
+    const params = new URLSearchParams({ format });
+    const query = document.getElementById('opportunities-list-search')?.value.trim();
+    if (query) params.set('q', query);
+
+    const serverFilters = ['year', 'type', 'source', 'stage'];
+    serverFilters.forEach(key => {
+        const value = opportunitiesListFilters[key];
+        if (value && value !== 'all') params.set(key, value);
+    });
+    const ignored = Object.entries(opportunitiesListFilters)
+        .filter(([key, value]) => value && value !== 'all' && !serverFilters.includes(key));
+    if (ignored.length > 0) {
+        showNotification('活動時間與圖表點選的篩選不適用於匯出，檔案會包含較多資料', 'warning');
+    }
+
+    // effectiveLastActivity 為前端計算欄位，伺服器改用預設排序 (最後更新時間)
+    if (currentOppSort.field !== 'effectiveLastActivity') {
+        params.set('sortField', currentOppSort.field);
+        params.set('sortDirection', currentOppSort.direction);
+    }
+
+    authedDownload(`/api/opportunities/export?${params.toString()}`).catch(console.error);
+}
+
 /**
  * 處理搜尋事件
  */
@@ -515,7 +554,7 @@ function renderOpportunitiesTable(opportunities) {
                 <td class="col-actions">
                     <button class="btn-mini-delete" title="刪除案件" 
                             data-action="delete-opp" 
-                            data-row-index="${opp.rowIndex}" 
+                            data-opportunity-id="${opp.opportunityId}" 
                             data-name="${safeOppName}">
                         <svg style="width:18px;height:18px" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M3 6h18M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"></path></svg>
                     </button>
@@ -601,13 +640,13 @@ function renderOppStageChart(data) {
     });
 }
 
-async function confirmDeleteOpportunity(rowIndex, opportunityName) {
-    if (!rowIndex) { showNotification('無法刪除：缺少必要的紀錄索引。', 'error'); return; }
-    const message = `您確定要"永久刪除"\n機會案件 "${opportunityName || '(未命名)'}" 嗎？\n此操作無法復原！`;
+async function confirmDeleteOpportunity(opportunityId, opportunityName) {
+    if (!opportunityId) { showNotification('無法刪除：缺少機會ID。', 'error'); return; }
+    const message = `您確定要刪除\n機會案件 "${opportunityName || '(未命名)'}" 嗎？\n刪除後將移至回收桶，可由管理員還原。`;
     showConfirmDialog(message, async () => {
         showLoading('正在刪除...');
         try {
-            const result = await authedFetch(`/api/opportunities/${rowIndex}`, { method: 'DELETE' });
+            const result = await authedFetch(`/api/opportunities/${encodeURIComponent(opportunityId)}`, { method: 'DELETE' });
             if (result.success) {
                 await loadOpportunities(document.getElementById('opportunities-list-search')?.value || '');
             } else { throw new Error(result.details || '刪除操作失敗'); }
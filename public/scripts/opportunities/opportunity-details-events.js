@@ -290,11 +290,16 @@ const OpportunityInfoCardEvents = (() => {
             notes: getValue('edit-notes')
         };
 
+        await _submit(updateData, _currentOppForEditing.lastUpdateTime || '');
+    }
+
+    // 送出機會更新 (附帶載入時的版本，過期時提示載入最新資料或覆寫)
+    async function _submit(updateData, expectedLastUpdateTime) {
         showLoading('正在儲存...');
         try {
-            const result = await authedFetch(`/api/opportunities/${_currentOppForEditing.rowIndex}`, {
+            const result = await authedFetch(`/api/opportunities/${encodeURIComponent(_currentOppForEditing.opportunityId)}`, {
                 method: 'PUT',
-                body: JSON.stringify({ ...updateData, modifier: getCurrentUser() })
+                body: JSON.stringify({ ...updateData, modifier: getCurrentUser(), expectedLastUpdateTime })
             });
 
             if (result.success) {
@@ -309,7 +314,11 @@ const OpportunityInfoCardEvents = (() => {
                 throw new Error(result.error || '儲存失敗');
             }
         } catch (e) {
-            showNotification(e.message, 'error');
+            const handled = ConflictPrompt.handle(e, {
+                onReload: () => window.CRM_APP.refreshCurrentView(),
+                onOverwrite: (current) => _submit(updateData, current ? current.lastUpdateTime : '')
+            });
+            if (!handled) showNotification(e.message, 'error');
         } finally {
             hideLoading();
         }
@@ -48,9 +48,19 @@ async function loadOpportunityDetailPage(opportunityId) {
                 OpportunityInteractions.init(interactionContainer, { opportunityId: opportunityInfo.opportunityId }, interactions || []);
             }
             
+            // 欄位異動歷程 (互動區塊的子頁籤)
+            if (window.AuditHistory) {
+                AuditHistory.render(document.getElementById('opportunity-audit-history'), 'opportunity', opportunityInfo.opportunityId);
+            }
+            
             // 初始化關聯對象
             OpportunityContacts.init(opportunityInfo, linkedContacts || []);
             OpportunityAssociatedOpps.render({ opportunityInfo, parentOpportunity, childOpportunities });
+
+            // 報價單 (版次清單與編輯器)
+            if (window.OpportunityQuotes) {
+                OpportunityQuotes.init(opportunityInfo);
+            }
             
             // 初始化潛在聯絡人
             if (window.PotentialContactsManager) {
@@ -1,5 +1,5 @@
 // views/scripts/opportunity-modals.js
-// 職責：管理所有與「機會」相關的彈出視窗 (新增Wizard、編輯、關聯)
+// 職責：管理所有與「機會」相關的彈出視窗 (新增Wizard、編輯、關聯、衝突合併)
 
 // ==================== 全域變數 ====================
 let allSearchedContacts = [];
@@ -16,7 +16,7 @@ const NewOppWizard = {
             mainContact: '',
             contactPhone: '',
             county: '',
-            sourceId: null // 用於名片轉入 (rowIndex)
+            sourceId: null // 用於名片轉入 (cardId)
         }
     },
 
@@ -217,7 +217,7 @@ const NewOppWizard = {
         this.state.data.companyName = card.company;
         this.state.data.mainContact = card.name;
         this.state.data.contactPhone = card.mobile || card.phone;
-        this.state.data.sourceId = card.rowIndex;
+        this.state.data.sourceId = card.cardId;
         
         if(card.address && typeof detectCountyFromAddress === 'function') {
             const detected = detectCountyFromAddress(card.address);
@@ -489,7 +489,8 @@ async function editOpportunity(opportunityId) {
         const opportunity = result.data.opportunityInfo;
 
         showModal('edit-opportunity-modal');
-        document.getElementById('edit-opportunity-rowIndex').value = opportunity.rowIndex;
+        document.getElementById('edit-opportunity-id').value = opportunity.opportunityId;
+        document.getElementById('edit-opportunity-last-update').value = opportunity.lastUpdateTime || '';
         document.getElementById('edit-opportunity-name').value = opportunity.opportunityName;
         document.getElementById('edit-customer-company').value = opportunity.customerCompany;
         document.getElementById('edit-main-contact').value = opportunity.mainContact;
@@ -517,6 +518,97 @@ async function editOpportunity(opportunityId) {
     }
 }
 
+// 2-1. 資料衝突 (409) 合併提示
+const OpportunityConflict = {
+    FIELDS: [
+        { key: 'opportunityName', label: '機會名稱' },
+        { key: 'opportunityType', label: '機會種類' },
+        { key: 'opportunitySource', label: '機會來源' },
+        { key: 'currentStage', label: '目前階段' },
+        { key: 'assignee', label: '負責業務' },
+        { key: 'expectedCloseDate', label: '結案日期' },
+        { key: 'opportunityValue', label: '機會價值' },
+        { key: 'notes', label: '備註' }
+    ],
+    state: { opportunityId: null, mine: null, current: null },
+
+    _escape: function(value) {
+        const div = document.createElement('div');
+        div.textContent = (value === null || value === undefined) ? '' : String(value);
+        return div.innerHTML;
+    },
+
+    show: function(opportunityId, mine, current) {
+        if (!current) {
+            showNotification('資料已被其他使用者更新，請重新開啟編輯視窗。', 'warning');
+            return;
+        }
+        this.state = { opportunityId, mine, current };
+
+        document.getElementById('opportunity-conflict-message').innerHTML = `
+            <p>此機會已被 <strong>${this._escape(current.lastModifier || '其他使用者')}</strong> 於 ${this._escape(current.lastUpdateTime || '稍早')} 更新。</p>
+            <p style="color: var(--text-muted);">請逐欄選擇要保留的內容，或直接載入最新資料。</p>
+        `;
+
+        const rows = this.FIELDS.map(field => {
+            const mineValue = mine[field.key] ?? '';
+            const serverValue = current[field.key] ?? '';
+            const isDiff = String(mineValue) !== String(serverValue);
+            const rowStyle = isDiff ? 'background: rgba(255, 193, 7, 0.12);' : '';
+            return `
+                <tr style="${rowStyle}">
+                    <td style="padding: 6px; font-weight: 600;">${field.label}</td>
+                    <td style="padding: 6px;">
+                        <label><input type="radio" name="conflict-${field.key}" value="mine" ${isDiff ? 'checked' : ''}> ${this._escape(mineValue) || '-'}</label>
+                    </td>
+                    <td style="padding: 6px;">
+                        <label><input type="radio" name="conflict-${field.key}" value="server" ${isDiff ? '' : 'checked'}> ${this._escape(serverValue) || '-'}</label>
+                    </td>
+                </tr>
+            `;
+        }).join('');
+
+        document.getElementById('opportunity-conflict-fields').innerHTML = `
+            <table style="width: 100%; border-collapse: collapse;">
+                <thead>
+                    <tr><th style="text-align: left; padding: 6px;">欄位</th><th style="text-align: left; padding: 6px;">我的修改</th><th style="text-align: left; padding: 6px;">伺服器目前資料</th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+        showModal('opportunity-conflict-modal');
+    },
+
+    reloadLatest: function() {
+        closeModal('opportunity-conflict-modal');
+        editOpportunity(this.state.opportunityId);
+    },
+
+    saveMerged: async function() {
+        const { opportunityId, mine, current } = this.state;
+        const merged = { modifier: getCurrentUser(), expectedLastUpdateTime: current.lastUpdateTime || '' };
+        this.FIELDS.forEach(field => {
+            const choice = document.querySelector(`input[name="conflict-${field.key}"]:checked`);
+            merged[field.key] = (choice && choice.value === 'mine') ? mine[field.key] : current[field.key];
+        });
+
+        showLoading('正在儲存合併結果...');
+        try {
+            await authedFetch(`/api/opportunities/${encodeURIComponent(opportunityId)}`, { method: 'PUT', body: JSON.stringify(merged) });
+            closeModal('opportunity-conflict-modal');
+            closeModal('edit-opportunity-modal');
+        } catch (error) {
+            if (error.status === 409) {
+                this.show(opportunityId, mine, error.current);
+            } else if (error.message !== 'Unauthorized') {
+                showNotification(`更新失敗: ${error.message}`, 'error');
+            }
+        } finally {
+            hideLoading();
+        }
+    }
+};
+
 // 3. 關聯聯絡人 Modal
 function showLinkContactModal(opportunityId) {
     showModal('link-contact-modal');
@@ -624,7 +716,7 @@ async function handleLinkContact(contactData, type) {
         mobile: contactData.mobile,
         phone: contactData.phone,
         email: contactData.email,
-        rowIndex: contactData.rowIndex, 
+        cardId: contactData.cardId, 
         company: contactData.companyName || contactData.company,
         contactId: contactData.contactId
     };
@@ -652,7 +744,7 @@ async function handleCreateAndLinkContact(e) {
 }
 
 // 4. 關聯母機會 Modal
-function showLinkOpportunityModal(currentOppId, currentOppRowIndex) {
+function showLinkOpportunityModal(currentOppId) {
     showModal('link-opportunity-modal');
     const searchInput = document.getElementById('search-opportunity-to-link-input');
     const resultsContainer = document.getElementById('opportunity-to-link-results');
@@ -667,7 +759,7 @@ function showLinkOpportunityModal(currentOppId, currentOppRowIndex) {
 
             if (filtered.length > 0) {
                 resultsContainer.innerHTML = filtered.map(opp => `
-                    <div class="kanban-card" style="cursor: pointer; margin-bottom:8px;" onclick='handleLinkOpportunity(${currentOppRowIndex}, "${opp.opportunityId}")'>
+                    <div class="kanban-card" style="cursor: pointer; margin-bottom:8px;" onclick='handleLinkOpportunity("${currentOppId}", "${opp.opportunityId}")'>
                         <div class="card-title">${opp.opportunityName}</div>
                         <div class="card-company">${opp.customerCompany}</div>
                     </div>
@@ -686,10 +778,10 @@ function showLinkOpportunityModal(currentOppId, currentOppRowIndex) {
     };
 }
 
-async function handleLinkOpportunity(currentOppRowIndex, parentOppId) {
+async function handleLinkOpportunity(currentOppId, parentOppId) {
     showLoading('正在建立關聯...');
     try {
-        const result = await authedFetch(`/api/opportunities/${currentOppRowIndex}`, {
+        const result = await authedFetch(`/api/opportunities/${encodeURIComponent(currentOppId)}`, {
             method: 'PUT',
             body: JSON.stringify({ parentOpportunityId: parentOppId })
         });
@@ -724,14 +816,14 @@ document.addEventListener('submit', async function(e) {
             currentStage: document.getElementById('wiz-stage').value,
             notes: document.getElementById('wiz-notes').value,
             
-            rowIndex: stateData.sourceId 
+            cardId: stateData.sourceId 
         };
 
         showLoading('正在建立機會案件...');
         try {
             let url = '/api/opportunities';
-            if (payload.rowIndex) {
-                url = `/api/contacts/${payload.rowIndex}/upgrade`;
+            if (payload.cardId) {
+                url = `/api/contacts/${encodeURIComponent(payload.cardId)}/upgrade`;
             }
             const result = await authedFetch(url, { method: 'POST', body: JSON.stringify(payload) });
 
@@ -751,13 +843,14 @@ document.addEventListener('submit', async function(e) {
     if (e.target.id === 'edit-opportunity-form') {
         e.preventDefault();
         showLoading('正在儲存編輯...');
+        const opportunityId = document.getElementById('edit-opportunity-id').value;
+        let updateOpportunityData = null;
         try {
-            const rowIndex = document.getElementById('edit-opportunity-rowIndex').value;
             const modifier = getCurrentUser();
             const companyName = document.getElementById('edit-customer-company').value;
             const newCounty = document.getElementById('edit-company-county').value;
             
-            const updateOpportunityData = {
+            updateOpportunityData = {
                 opportunityName: document.getElementById('edit-opportunity-name').value,
                 opportunityType: document.getElementById('edit-opportunity-type').value,
                 opportunitySource: document.getElementById('edit-opportunity-source').value,
@@ -766,11 +859,12 @@ document.addEventListener('submit', async function(e) {
                 expectedCloseDate: document.getElementById('edit-expected-close-date').value,
                 opportunityValue: document.getElementById('edit-opportunity-value').value,
                 notes: document.getElementById('edit-opportunity-notes').value,
-                modifier: modifier
+                modifier: modifier,
+                expectedLastUpdateTime: document.getElementById('edit-opportunity-last-update').value
             };
             
             const promises = [
-                authedFetch(`/api/opportunities/${rowIndex}`, { method: 'PUT', body: JSON.stringify(updateOpportunityData) })
+                authedFetch(`/api/opportunities/${encodeURIComponent(opportunityId)}`, { method: 'PUT', body: JSON.stringify(updateOpportunityData) })
             ];
             if (newCounty) {
                 const encodedCompanyName = encodeURIComponent(companyName);
@@ -779,7 +873,11 @@ document.addEventListener('submit', async function(e) {
             await Promise.all(promises);
             closeModal('edit-opportunity-modal');
         } catch (error) {
-            if (error.message !== 'Unauthorized') showNotification(`更新失敗: ${error.message}`, 'error');
+            if (error.status === 409) {
+                OpportunityConflict.show(opportunityId, updateOpportunityData, error.current);
+            } else if (error.message !== 'Unauthorized') {
+                showNotification(`更新失敗: ${error.message}`, 'error');
+            }
         } finally {
             hideLoading();
         }
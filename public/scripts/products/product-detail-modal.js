@@ -267,7 +267,8 @@ class ProductDetailModal {
         if(this.elements.btnSave) this.elements.btnSave.disabled = true;
         
         try {
-            await this.onSaveCallback(newData);
+            // 回傳 false 表示資料衝突，已由提示視窗接手
+            if (await this.onSaveCallback(newData) === false) return;
             this.currentProduct = { ...this.currentProduct, ...newData };
             
             if (newData.category && !this.categories.includes(newData.category)) {
@@ -90,10 +90,16 @@ window.ProductManager = {
         btnGroup.style.display = 'flex';
         btnGroup.style.gap = '8px';
 
+        // [Permissions] 無商品寫入權限的角色不顯示編輯入口
+        const productRule = window.CRM_APP.permissions?.product;
+        const canWrite = productRule ? productRule.write : window.CRM_APP.currentUserRole === 'admin';
+
         btnGroup.innerHTML = `
             <button id="btn-add-row" class="action-btn secondary" style="display:none; white-space:nowrap;">＋ 新增</button>
-            <button id="btn-toggle-edit" class="action-btn secondary" style="white-space:nowrap;">✏️ 列表編輯</button>
+            <button id="btn-toggle-edit" class="action-btn secondary" style="white-space:nowrap;${canWrite ? '' : ' display:none;'}">✏️ 列表編輯</button>
             <button id="btn-save-batch" class="action-btn primary" style="display:none; white-space:nowrap;">💾 儲存列表</button>
+            <button class="action-btn secondary" data-export-format="csv" style="white-space:nowrap;">⬇ CSV</button>
+            <button class="action-btn secondary" data-export-format="xlsx" style="white-space:nowrap;">⬇ XLSX</button>
             <button id="btn-refresh-products" class="action-btn secondary" title="同步" style="white-space:nowrap;">⟳</button>
         `;
         panelActions.appendChild(btnGroup);
@@ -124,6 +130,7 @@ window.ProductManager = {
             if (target.id === 'btn-toggle-edit') this.setEditMode(!this.isEditMode);
             if (target.id === 'btn-save-batch') this.saveAll();
             if (target.id === 'btn-add-row') this.addNewRow();
+            if (target.dataset.exportFormat) this.exportList(target.dataset.exportFormat);
             
             if (target.classList.contains('close-modal')) {
                 if(this.detailModal) this.detailModal.close();
@@ -141,6 +148,16 @@ window.ProductManager = {
         this.hasBoundGlobalEvents = true;
     },
 
+    /**
+     * 依目前的搜尋字串匯出商品列表 (價格欄位由伺服器依角色移除)
+     */
+    exportList(format) {
+        const params = new URLSearchParams({ format });
+        const query = document.getElementById('product-search-input')?.value.trim();
+        if (query) params.set('q', query);
+        authedDownload(`/api/products/export?${params.toString()}`).catch(console.error);
+    },
+
     renderTable(query = '') {
         const container = document.getElementById('product-groups-container');
         const wallArea = document.getElementById('chip-wall-area');
@@ -376,28 +393,49 @@ window.ProductManager = {
         const allCats = Array.from(new Set([...this.categoryOrder, ...existingCategories]));
 
         this.detailModal.open(product, allCats, async (updatedData) => {
-            await this.handleSingleProductSave(updatedData);
+            // 每次儲存都取最新版本 (同一視窗內可連續儲存多次)
+            const latest = this.allProducts.find(p => p.id === id) || product;
+            return await this.handleSingleProductSave(updatedData, latest.lastUpdateTime || '');
         });
     },
 
-    async handleSingleProductSave(updatedData) {
+    /**
+     * 儲存單筆商品 (附帶開啟時的版本)
+     * @returns {Promise<boolean>} false 表示資料衝突，已交由 ConflictPrompt 處理
+     */
+    async handleSingleProductSave(updatedData, expectedLastUpdateTime) {
         try {
             const res = await authedFetch('/api/products/batch', {
                 method: 'POST',
                 headers: {'Content-Type': 'application/json'},
-                body: JSON.stringify({products: [updatedData]})
+                body: JSON.stringify({products: [{ ...updatedData, expectedLastUpdateTime }]})
             });
 
             if(res.success) {
                 const idx = this.allProducts.findIndex(p => p.id === updatedData.id);
                 if (idx !== -1) {
-                    this.allProducts[idx] = { ...this.allProducts[idx], ...updatedData };
+                    const versions = (res.result && res.result.versions) || {};
+                    this.allProducts[idx] = { ...this.allProducts[idx], ...updatedData, lastUpdateTime: versions[updatedData.id] || this.allProducts[idx].lastUpdateTime };
                 }
                 this.renderTable(); 
+                return true;
             } else {
                 throw new Error(res.error || 'API Error');
             }
         } catch (e) {
+            const handled = ConflictPrompt.handle(e, {
+                onReload: () => {
+                    this.detailModal.close();
+                    this.loadData();
+                },
+                onOverwrite: async (current) => {
+                    const latest = (current || [])[0];
+                    if (await this.handleSingleProductSave(updatedData, latest ? latest.lastUpdateTime : '')) {
+                        this.detailModal.close();
+                    }
+                }
+            });
+            if (handled) return false;
             console.error(e);
             throw e;
         }
@@ -478,7 +516,8 @@ window.ProductManager = {
             if (original._isNew || hasChange) {
                 if (!obj.id && original.id) obj.id = original.id;
                 // 合併原始資料與變更，確保沒變的欄位也存在 (視後端需求，通常傳送完整物件較安全)
-                payload.push({ ...original, ...obj });
+                // 樂觀鎖：既有商品帶上載入時的最後更新時間
+                payload.push({ ...original, ...obj, expectedLastUpdateTime: original._isNew ? '' : (original.lastUpdateTime || '') });
             }
         });
         
@@ -512,7 +551,14 @@ window.ProductManager = {
                 throw new Error(res.error);
             }
         } catch(e) {
-            alert('儲存失敗: ' + e.message);
+            // 批次中有商品已被他人修改時整批未寫入，載入最新資料後需重新編輯
+            const handled = ConflictPrompt.handle(e, {
+                onReload: async () => {
+                    await this.loadData();
+                    this.setEditMode(false, true);
+                }
+            });
+            if (!handled) alert('儲存失敗: ' + e.message);
         } finally {
             if(overlay) overlay.classList.remove('active');
         }
@@ -0,0 +1,109 @@
+// public/scripts/recycle-bin.js
+// 職責：管理員回收桶頁面 (已刪除的機會案件、公司、事件紀錄：還原 / 永久刪除)
+
+const RECYCLE_BIN_ENTITY_LABELS = {
+    opportunities: '機會案件',
+    companies: '公司',
+    events: '事件紀錄'
+};
+
+async function loadRecycleBinPage() {
+    const container = document.getElementById('page-recycle-bin');
+    if (!container) return;
+
+    container.innerHTML = `
+        <div class="dashboard-widget">
+            <div class="widget-header">
+                <h2 class="widget-title">回收桶</h2>
+                <select id="recycle-bin-filter" class="form-select" style="width:auto;">
+                    <option value="">全部類型</option>
+                    ${Object.entries(RECYCLE_BIN_ENTITY_LABELS).map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+                </select>
+            </div>
+            <div id="recycle-bin-content" class="widget-content">
+                <div class="loading show"><div class="spinner"></div><p>載入回收桶中...</p></div>
+            </div>
+        </div>
+    `;
+
+    // 綁定事件委派
+    container.removeEventListener('click', handleRecycleBinClick);
+    container.addEventListener('click', handleRecycleBinClick);
+
+    try {
+        const result = await authedFetch('/api/recycle-bin');
+        if (!result.success) throw new Error(result.error);
+
+        const items = result.data || [];
+        renderRecycleBinList(items);
+        document.getElementById('recycle-bin-filter').addEventListener('change', (e) => {
+            renderRecycleBinList(e.target.value ? items.filter(i => i.entity === e.target.value) : items);
+        });
+    } catch (error) {
+        if (error.message !== 'Unauthorized') {
+            document.getElementById('recycle-bin-content').innerHTML = `<div class="alert alert-error">載入回收桶失敗: ${error.message}</div>`;
+        }
+    }
+}
+
+function handleRecycleBinClick(e) {
+    const btn = e.target.closest('[data-action]');
+    if (!btn) return;
+
+    const { entity, id, name } = btn.dataset;
+    switch (btn.dataset.action) {
+        case 'restore':
+            confirmRecycleBinAction(entity, id, 'restore', `確定要還原${RECYCLE_BIN_ENTITY_LABELS[entity]} "${name}" 嗎？`);
+            break;
+        case 'purge':
+            confirmRecycleBinAction(entity, id, 'purge', `確定要永久刪除${RECYCLE_BIN_ENTITY_LABELS[entity]} "${name}" 嗎？此操作無法復原。`);
+            break;
+    }
+}
+
+function renderRecycleBinList(items) {
+    const container = document.getElementById('recycle-bin-content');
+    if (items.length === 0) {
+        container.innerHTML = '<div class="alert alert-info" style="text-align:center;">回收桶是空的</div>';
+        return;
+    }
+
+    const escape = (text) => String(text ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/"/g, '&quot;');
+
+    const rows = items.map(item => `
+        <tr>
+            <td data-label="類型"><span class="card-tag type">${RECYCLE_BIN_ENTITY_LABELS[item.entity] || item.entity}</span></td>
+            <td data-label="名稱"><strong>${escape(item.name)}</strong></td>
+            <td data-label="補充">${escape(item.detail) || '-'}</td>
+            <td data-label="刪除時間">${item.deletedTime ? formatDateTime(item.deletedTime) : '-'}</td>
+            <td data-label="刪除者">${escape(item.deletedBy) || '-'}</td>
+            <td data-label="操作">
+                <div class="action-buttons-container">
+                    <button class="action-btn small primary" data-action="restore" data-entity="${item.entity}" data-id="${escape(item.id)}" data-name="${escape(item.name)}">↩️ 還原</button>
+                    <button class="action-btn small danger" data-action="purge" data-entity="${item.entity}" data-id="${escape(item.id)}" data-name="${escape(item.name)}">🗑️ 永久刪除</button>
+                </div>
+            </td>
+        </tr>
+    `).join('');
+
+    container.innerHTML = `<table class="data-table"><thead><tr><th>類型</th><th>名稱</th><th>補充</th><th>刪除時間</th><th>刪除者</th><th>操作</th></tr></thead><tbody>${rows}</tbody></table>`;
+}
+
+function confirmRecycleBinAction(entity, id, action, message) {
+    showConfirmDialog(message, async () => {
+        showLoading(action === 'restore' ? '正在還原...' : '正在永久刪除...');
+        try {
+            // authedFetch 成功後會自動刷新目前頁面
+            const result = await authedFetch(`/api/${entity}/${encodeURIComponent(id)}/${action}`, { method: 'POST' });
+            if (!result.success) throw new Error(result.error);
+        } catch (error) {
+            if (error.message !== 'Unauthorized') showNotification(`操作失敗: ${error.message}`, 'error');
+        } finally {
+            hideLoading();
+        }
+    });
+}
+
+if (window.CRM_APP) {
+    window.CRM_APP.pageModules['recycle-bin'] = loadRecycleBinPage;
+}
@@ -45,6 +45,11 @@ const SalesAnalysisComponents = {
             .sort-icon { margin-left: 4px; font-size: 0.8em; color: #9ca3af; }
             .pagination-container { display: flex; align-items: center; justify-content: center; gap: 15px; margin-top: 20px; }
             .page-btn { padding: 6px 12px; border: 1px solid #d1d5db; border-radius: 6px; background-color: white; cursor: pointer; }
+            #page-sales-analysis .sales-tabs { display: flex; gap: 4px; border-bottom: 1px solid var(--border-color); margin-bottom: 20px; }
+            #page-sales-analysis .sales-tab-link { padding: 10px 18px; border: none; background: none; cursor: pointer; color: var(--text-muted); font-weight: 600; border-bottom: 3px solid transparent; }
+            #page-sales-analysis .sales-tab-link.active { color: var(--accent-blue); border-bottom-color: var(--accent-blue); }
+            #page-sales-analysis .sales-tab-content { display: none; }
+            #page-sales-analysis .sales-tab-content.active { display: block; }
             @media (min-width: 1000px) { .four-charts-row { display: grid !important; grid-template-columns: repeat(4, 1fr) !important; gap: 16px; } }
         `;
         document.head.appendChild(style);
@@ -57,6 +62,13 @@ const SalesAnalysisComponents = {
         const rangeText = (start && end) ? `${start} - ${end}` : '全歷史資料';
 
         return `
+            <div class="sales-tabs">
+                <button class="sales-tab-link active" data-tab="analysis" onclick="switchSalesTab('analysis')">成交分析</button>
+                <button class="sales-tab-link" data-tab="pipeline" onclick="switchSalesTab('pipeline')">流程分析</button>
+                <button class="sales-tab-link" data-tab="forecast" onclick="switchSalesTab('forecast')">業績預測</button>
+                <button class="sales-tab-link" data-tab="quota" onclick="switchSalesTab('quota')">業績目標</button>
+            </div>
+            <div id="sales-tab-analysis" class="sales-tab-content active">
             <div class="dashboard-widget">
                 <div class="widget-header" style="align-items: flex-start;">
                     <div><h2 class="widget-title">績效概覽</h2><p id="sales-date-range-display" style="color: var(--text-muted); font-size: 0.9rem; margin-top: 5px;">資料期間：${rangeText}</p></div>
@@ -87,6 +99,10 @@ const SalesAnalysisComponents = {
                     <button class="page-btn" onclick="changePage(-1)" id="btn-prev-page">上一頁</button><span class="page-info" id="page-info-display"></span><button class="page-btn" onclick="changePage(1)" id="btn-next-page">下一頁</button>
                 </div>
             </div>
+            </div>
+            <div id="sales-tab-pipeline" class="sales-tab-content"></div>
+            <div id="sales-tab-forecast" class="sales-tab-content"></div>
+            <div id="sales-tab-quota" class="sales-tab-content"></div>
         `;
     },
 
@@ -204,6 +204,29 @@ window.changePage = function(delta) {
     }
 };
 
+// 分頁切換：流程分析、業績預測與業績目標於第一次開啟時才載入 (流程分析沿用目前的查詢期間)
+window.switchSalesTab = function(tab) {
+    const page = document.getElementById('page-sales-analysis');
+    if (!page) return;
+    page.querySelectorAll('.sales-tab-link').forEach(btn => btn.classList.toggle('active', btn.dataset.tab === tab));
+    page.querySelectorAll('.sales-tab-content').forEach(el => el.classList.toggle('active', el.id === `sales-tab-${tab}`));
+
+    const pipelineTab = document.getElementById('sales-tab-pipeline');
+    if (tab === 'pipeline' && pipelineTab && !pipelineTab.hasChildNodes()) {
+        SalesPipelineAnalytics.load(salesStartDate, salesEndDate);
+    }
+
+    const forecastTab = document.getElementById('sales-tab-forecast');
+    if (tab === 'forecast' && forecastTab && !forecastTab.hasChildNodes()) {
+        SalesForecast.load();
+    }
+
+    const quotaTab = document.getElementById('sales-tab-quota');
+    if (tab === 'quota' && quotaTab && !quotaTab.hasChildNodes()) {
+        SalesQuota.load();
+    }
+};
+
 window.exportSalesToCSV = function() {
     const csvContent = SalesAnalysisHelper.generateCSV(allWonDeals, salesStartDate, salesEndDate);
     if (!csvContent) return;
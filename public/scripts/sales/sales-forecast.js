@@ -0,0 +1,241 @@
+// public/scripts/sales/sales-forecast.js
+// 職責：成交分析頁的「業績預測」分頁 (資料來源：GET /api/sales/forecast)
+// 進行中機會依月 / 季與負責業務分組，顯示承諾 / 最佳情況 / 加權預測，並與上一次預測快照比較
+
+const SalesForecast = {
+    state: {
+        period: 'month',
+        assignee: '',
+        data: null
+    },
+
+    _categoryLabels: { commit: '承諾', bestCase: '最佳情況', pipeline: '管線' },
+    _categoryColors: { commit: '#10b981', bestCase: '#3b82f6', pipeline: '#9ca3af' },
+
+    _esc(text) {
+        const div = document.createElement('div');
+        div.textContent = text === null || text === undefined ? '' : String(text);
+        return div.innerHTML;
+    },
+
+    _fmtMoney(v) {
+        return (v || 0).toLocaleString('zh-TW', { style: 'currency', currency: 'TWD', minimumFractionDigits: 0 });
+    },
+
+    _fmtChange(v, isMoney = true) {
+        if (!v) return '<span style="color: var(--text-muted);">持平</span>';
+        const color = v > 0 ? '#10b981' : '#ef4444';
+        const text = isMoney ? this._fmtMoney(Math.abs(v)) : Math.abs(v);
+        return `<span style="color:${color};">${v > 0 ? '▲' : '▼'} ${text}</span>`;
+    },
+
+    _canSaveSnapshot() {
+        const rule = window.CRM_APP.permissions?.salesAnalysis;
+        return rule ? !!rule.write : window.CRM_APP.currentUserRole === 'admin';
+    },
+
+    /**
+     * 入口：渲染分頁骨架並載入資料
+     */
+    async load() {
+        const container = document.getElementById('sales-tab-forecast');
+        if (!container) return;
+
+        const members = window.CRM_APP.systemConfig?.['團隊成員'] || [];
+        container.innerHTML = `
+            <div class="dashboard-widget">
+                <div class="widget-header" style="align-items: flex-start; flex-wrap: wrap; gap: 15px;">
+                    <div><h2 class="widget-title">業績預測</h2><p id="forecast-baseline-display" style="color: var(--text-muted); font-size: 0.9rem; margin-top: 5px;"></p></div>
+                    <div style="display: flex; gap: 10px; align-items: center; flex-wrap: wrap;">
+                        <select id="forecast-period-select" class="custom-select-control">
+                            <option value="month" ${this.state.period === 'month' ? 'selected' : ''}>依月份</option>
+                            <option value="quarter" ${this.state.period === 'quarter' ? 'selected' : ''}>依季度</option>
+                        </select>
+                        <select id="forecast-assignee-select" class="custom-select-control">
+                            <option value="">全部業務</option>
+                            ${members.map(m => `<option value="${this._esc(m.value)}" ${this.state.assignee === m.value ? 'selected' : ''}>${this._esc(m.note || m.value)}</option>`).join('')}
+                        </select>
+                        <button id="forecast-refresh-btn" class="action-btn secondary">重新計算</button>
+                        ${this._canSaveSnapshot() ? '<button id="forecast-snapshot-btn" class="action-btn primary">儲存本次預測</button>' : ''}
+                    </div>
+                </div>
+                <div id="forecast-kpi-content" class="widget-content"><div class="loading show"><div class="spinner"></div></div></div>
+            </div>
+            <div class="dashboard-widget" style="margin-top: 24px;">
+                <div class="widget-header"><h2 class="widget-title">各期預測</h2></div>
+                <div id="forecast-period-chart" style="height: 320px;"></div>
+            </div>
+            <div class="dashboard-widget" style="margin-top: 24px;">
+                <div class="widget-header"><h2 class="widget-title">負責業務 × 期別 (加權預測)</h2></div>
+                <div id="forecast-matrix-content" class="widget-content" style="padding: 0;"></div>
+            </div>
+            <div class="dashboard-widget" style="margin-top: 24px;">
+                <div class="widget-header"><h2 class="widget-title">進行中機會</h2><span style="font-size: 0.9rem; color: var(--text-muted);">共 <span id="forecast-count-display">0</span> 筆</span></div>
+                <div id="forecast-opportunities-content" class="widget-content" style="padding: 0;"></div>
+            </div>`;
+
+        document.getElementById('forecast-period-select').addEventListener('change', (e) => {
+            this.state.period = e.target.value;
+            this.refresh();
+        });
+        document.getElementById('forecast-assignee-select').addEventListener('change', (e) => {
+            this.state.assignee = e.target.value;
+            this.refresh();
+        });
+        document.getElementById('forecast-refresh-btn').addEventListener('click', () => this.refresh());
+        const snapshotBtn = document.getElementById('forecast-snapshot-btn');
+        if (snapshotBtn) snapshotBtn.addEventListener('click', () => this.saveSnapshot());
+
+        await this.refresh();
+    },
+
+    async refresh() {
+        const params = new URLSearchParams({ period: this.state.period });
+        if (this.state.assignee) params.set('assignee', this.state.assignee);
+
+        try {
+            const result = await authedFetch(`/api/sales/forecast?${params.toString()}`);
+            if (!result.success || !result.data) throw new Error(result.error || '無法取得預測資料');
+            this.state.data = result.data;
+            this.render();
+        } catch (error) {
+            console.error('[SalesForecast] 載入失敗:', error);
+            const kpi = document.getElementById('forecast-kpi-content');
+            if (kpi) kpi.innerHTML = `<div class="alert alert-error">載入失敗: ${this._esc(error.message)}</div>`;
+        }
+    },
+
+    async saveSnapshot() {
+        if (!confirm('確定要將目前的預測儲存為快照？下次預測將以此作為比較基準。')) return;
+        try {
+            // skipRefresh：快照不影響目前畫面以外的資料，儲存後只重新計算本分頁
+            const result = await authedFetch('/api/sales/forecast/snapshots', {
+                method: 'POST',
+                skipRefresh: true
+            });
+            showNotification(result.message || '已儲存本次預測快照', 'success');
+            await this.refresh();
+        } catch (error) {
+            console.error('[SalesForecast] 儲存快照失敗:', error);
+        }
+    },
+
+    render() {
+        const data = this.state.data;
+        this._renderBaseline(data.comparison);
+        this._renderKpis(data.totals, data.comparison, data.thresholds);
+        this._renderChart(data.byPeriod);
+        this._renderMatrix(data);
+        this._renderOpportunities(data.opportunities);
+    },
+
+    _renderBaseline(comparison) {
+        const el = document.getElementById('forecast-baseline-display');
+        if (!el) return;
+        el.textContent = comparison
+            ? `比較基準：${new Date(comparison.createdAt).toLocaleString('zh-TW')} ${comparison.createdBy} 儲存的預測快照`
+            : '尚無預測快照，儲存本次預測後即可追蹤變化';
+    },
+
+    _renderKpis(totals, comparison, thresholds) {
+        const container = document.getElementById('forecast-kpi-content');
+        if (!container) return;
+        const change = comparison ? comparison.change : null;
+        const card = (cls, label, value, metric, hint) => `
+            <div class="stat-card ${cls}">
+                <div class="stat-header"><div class="stat-label">${label}</div></div>
+                <div class="stat-number">${this._fmtMoney(value)}</div>
+                <div style="font-size: 0.8rem; margin-top: 6px;">${change ? this._fmtChange(change[metric]) : ''} <span style="color: var(--text-muted);">${hint}</span></div>
+            </div>`;
+
+        container.innerHTML = `
+            <div class="stats-grid" style="grid-template-columns: repeat(4, 1fr);">
+                ${card('green', '承諾 (Commit)', totals.committed, 'committed', `機率 ≥ ${thresholds.commit}%`)}
+                ${card('blue', '最佳情況 (Best Case)', totals.bestCase, 'bestCase', `機率 ≥ ${thresholds.bestCase}%`)}
+                ${card('purple', '加權預測', totals.weighted, 'weighted', '機會價值 × 機率')}
+                ${card('orange', `管線總額 (${totals.count} 件)`, totals.pipeline, 'pipeline', '所有進行中機會')}
+            </div>`;
+    },
+
+    _renderChart(byPeriod) {
+        setTimeout(() => {
+            if (typeof createThemedChart !== 'function') return;
+            createThemedChart('forecast-period-chart', {
+                chart: { type: 'column' },
+                title: { text: '' },
+                xAxis: { categories: byPeriod.map(p => p.label) },
+                yAxis: { title: { text: '金額' } },
+                tooltip: { shared: true, valueDecimals: 0 },
+                plotOptions: { column: { stacking: 'normal' } },
+                series: [
+                    { name: '承諾', data: byPeriod.map(p => p.committed), color: this._categoryColors.commit },
+                    { name: '最佳情況 (不含承諾)', data: byPeriod.map(p => p.bestCase - p.committed), color: this._categoryColors.bestCase },
+                    { name: '其他管線', data: byPeriod.map(p => p.pipeline - p.bestCase), color: this._categoryColors.pipeline },
+                    { type: 'line', name: '加權預測', data: byPeriod.map(p => p.weighted), color: '#8b5cf6' }
+                ]
+            });
+        }, 50);
+    },
+
+    _renderMatrix(data) {
+        const container = document.getElementById('forecast-matrix-content');
+        if (!container) return;
+        if (!data.byAssignee.length) {
+            container.innerHTML = '<div class="alert alert-info" style="margin:20px;text-align:center;">目前沒有進行中的機會</div>';
+            return;
+        }
+
+        const periodKeys = new Set(data.byPeriod.map(p => p.key));
+        const periods = data.periods.filter(p => periodKeys.has(p.key));
+        const cellMap = new Map(data.cells.map(c => [`${c.period}|${c.assignee}`, c]));
+        const assigneeChange = new Map((data.comparison?.byAssignee || []).map(a => [a.key, a.change]));
+
+        let html = `<div class="table-container" style="overflow-x:auto;"><table class="data-table sticky-header"><thead><tr style="white-space:nowrap;">
+            <th>負責業務</th>${periods.map(p => `<th style="text-align:right;">${this._esc(p.label)}</th>`).join('')}
+            <th style="text-align:right;">加權合計</th><th style="text-align:right;">與快照相比</th></tr></thead><tbody>`;
+
+        data.byAssignee.forEach(a => {
+            html += `<tr><td>${this._esc(a.label)}</td>
+                ${periods.map(p => {
+                    const cell = cellMap.get(`${p.key}|${a.key}`);
+                    return `<td style="text-align:right;">${cell ? this._fmtMoney(cell.weighted) : '-'}</td>`;
+                }).join('')}
+                <td style="text-align:right;font-weight:600;">${this._fmtMoney(a.weighted)}</td>
+                <td style="text-align:right;">${data.comparison ? this._fmtChange((assigneeChange.get(a.key) || {}).weighted) : '-'}</td></tr>`;
+        });
+
+        html += `<tr style="font-weight:600;"><td>合計</td>
+            ${periods.map(p => `<td style="text-align:right;">${this._fmtMoney(data.byPeriod.find(b => b.key === p.key).weighted)}</td>`).join('')}
+            <td style="text-align:right;">${this._fmtMoney(data.totals.weighted)}</td>
+            <td style="text-align:right;">${data.comparison ? this._fmtChange(data.comparison.change.weighted) : '-'}</td></tr>`;
+
+        container.innerHTML = html + '</tbody></table></div>';
+    },
+
+    _renderOpportunities(opportunities) {
+        const countDisplay = document.getElementById('forecast-count-display');
+        if (countDisplay) countDisplay.textContent = opportunities.length;
+        const container = document.getElementById('forecast-opportunities-content');
+        if (!container) return;
+        if (!opportunities.length) { container.innerHTML = ''; return; }
+
+        const periodLabels = new Map(this.state.data.periods.map(p => [p.key, p.label]));
+        let html = `<div class="table-container" style="overflow-x:auto;"><table class="data-table sticky-header"><thead><tr style="white-space:nowrap;">
+            <th>分類</th><th>機會名稱</th><th>終端客戶</th><th>負責業務</th><th>階段</th><th>預計結案</th>
+            <th style="text-align:right;">機率</th><th style="text-align:right;">機會價值</th><th style="text-align:right;">加權</th></tr></thead><tbody>`;
+
+        opportunities.forEach(o => {
+            html += `<tr>
+                <td><span class="sales-chip" style="background:${this._categoryColors[o.category]}">${this._categoryLabels[o.category]}</span></td>
+                <td><a href="#" class="text-link" onclick="event.preventDefault();CRM_APP.navigateTo('opportunity-details',{opportunityId:'${this._esc(o.opportunityId)}'})"><strong>${this._esc(o.opportunityName)}</strong></a></td>
+                <td>${this._esc(o.customerCompany || '-')}</td><td>${this._esc(o.assigneeName)}</td><td>${this._esc(o.stageName || '-')}</td>
+                <td>${o.expectedCloseDate ? this._esc(String(o.expectedCloseDate).split('T')[0]) : '-'} <span style="color: var(--text-muted); font-size: 0.8rem;">${this._esc(periodLabels.get(o.period) || '')}</span></td>
+                <td style="text-align:right;">${o.probability}%</td>
+                <td style="text-align:right;">${this._fmtMoney(o.value)}</td>
+                <td style="text-align:right;font-weight:600;">${this._fmtMoney(o.weighted)}</td></tr>`;
+        });
+        container.innerHTML = html + '</tbody></table></div>';
+    }
+};
+
+window.SalesForecast = SalesForecast;
@@ -0,0 +1,228 @@
+// public/scripts/sales/sales-pipeline-analytics.js
+// 職責：成交分析頁的「流程分析」分頁 (資料來源：GET /api/sales/pipeline-analytics)
+// 階段漏斗、各階段停留天數 (找出卡關階段)、依來源 / 銷售模式 / 業務的勝率，以及成交週期分佈
+
+const SalesPipelineAnalytics = {
+    state: {
+        startDate: null,
+        endDate: null,
+        data: null
+    },
+
+    _esc(text) {
+        const div = document.createElement('div');
+        div.textContent = text === null || text === undefined ? '' : String(text);
+        return div.innerHTML;
+    },
+
+    _fmtRate(v) {
+        return v === null || v === undefined ? '-' : `${v}%`;
+    },
+
+    _fmtDays(v) {
+        return v === null || v === undefined ? '-' : `${v} 天`;
+    },
+
+    /**
+     * 入口：渲染分頁骨架並載入資料 (沿用成交分析分頁的查詢期間，以機會建立日篩選)
+     */
+    async load(startDate, endDate) {
+        const container = document.getElementById('sales-tab-pipeline');
+        if (!container) return;
+        this.state.startDate = startDate || null;
+        this.state.endDate = endDate || null;
+
+        const rangeText = (startDate && endDate) ? `${startDate} - ${endDate} 建立的機會` : '全部機會';
+        container.innerHTML = `
+            <div class="dashboard-widget">
+                <div class="widget-header" style="align-items: flex-start;">
+                    <div><h2 class="widget-title">銷售流程分析</h2><p id="pipeline-analytics-range" style="color: var(--text-muted); font-size: 0.9rem; margin-top: 5px;">分析對象：${this._esc(rangeText)}</p></div>
+                    <button id="pipeline-analytics-refresh-btn" class="action-btn secondary">重新計算</button>
+                </div>
+                <div id="pipeline-analytics-kpi" class="widget-content"><div class="loading show"><div class="spinner"></div></div></div>
+            </div>
+            <div class="dashboard-grid-flexible" style="margin-top: 24px; display: grid; grid-template-columns: repeat(auto-fit, minmax(420px, 1fr)); gap: 24px;">
+                <div class="dashboard-widget"><div class="widget-header"><h2 class="widget-title">階段漏斗</h2></div><div id="pipeline-funnel-chart" style="height: 340px;"></div></div>
+                <div class="dashboard-widget"><div class="widget-header"><h2 class="widget-title">階段停留天數</h2></div><div id="pipeline-aging-chart" style="height: 340px;"></div></div>
+            </div>
+            <div class="dashboard-widget" style="margin-top: 24px;">
+                <div class="widget-header"><h2 class="widget-title">階段轉換明細</h2></div>
+                <div id="pipeline-stage-table" class="widget-content" style="padding: 0;"></div>
+            </div>
+            <div class="dashboard-grid-flexible" style="margin-top: 24px; display: grid; grid-template-columns: repeat(auto-fit, minmax(320px, 1fr)); gap: 24px;">
+                <div class="dashboard-widget"><div class="widget-header"><h2 class="widget-title">勝率：機會來源</h2></div><div id="pipeline-winrate-source" class="widget-content" style="padding: 0;"></div></div>
+                <div class="dashboard-widget"><div class="widget-header"><h2 class="widget-title">勝率：銷售模式</h2></div><div id="pipeline-winrate-model" class="widget-content" style="padding: 0;"></div></div>
+                <div class="dashboard-widget"><div class="widget-header"><h2 class="widget-title">勝率：負責業務</h2></div><div id="pipeline-winrate-assignee" class="widget-content" style="padding: 0;"></div></div>
+            </div>
+            <div class="dashboard-widget" style="margin-top: 24px;">
+                <div class="widget-header"><h2 class="widget-title">成交週期分佈</h2></div>
+                <div id="pipeline-cycle-chart" style="height: 300px;"></div>
+            </div>`;
+
+        document.getElementById('pipeline-analytics-refresh-btn').addEventListener('click', () => this.refresh());
+        await this.refresh();
+    },
+
+    async refresh() {
+        const params = new URLSearchParams();
+        if (this.state.startDate) params.set('startDate', this.state.startDate);
+        if (this.state.endDate) params.set('endDate', this.state.endDate);
+
+        try {
+            const result = await authedFetch(`/api/sales/pipeline-analytics?${params.toString()}`);
+            if (!result.success || !result.data) throw new Error(result.error || '無法取得流程分析資料');
+            this.state.data = result.data;
+            this.render();
+        } catch (error) {
+            console.error('[SalesPipelineAnalytics] 載入失敗:', error);
+            const kpi = document.getElementById('pipeline-analytics-kpi');
+            if (kpi) kpi.innerHTML = `<div class="alert alert-error">載入失敗: ${this._esc(error.message)}</div>`;
+        }
+    },
+
+    render() {
+        const data = this.state.data;
+        this._renderKpis(data);
+        this._renderFunnel(data.funnel);
+        this._renderAging(data.stageAging);
+        this._renderStageTable(data.funnel, data.stageAging);
+        this._renderWinRateTable('pipeline-winrate-source', data.winRates.bySource);
+        this._renderWinRateTable('pipeline-winrate-model', data.winRates.bySalesModel);
+        this._renderWinRateTable('pipeline-winrate-assignee', data.winRates.byAssignee, this._memberName);
+        this._renderCycle(data.salesCycle);
+    },
+
+    _memberName(value) {
+        const member = (window.CRM_APP.systemConfig?.['團隊成員'] || []).find(m => m.value === value);
+        return member ? (member.note || member.value) : value;
+    },
+
+    _renderKpis(data) {
+        const container = document.getElementById('pipeline-analytics-kpi');
+        if (!container) return;
+
+        // 停留最久的階段 (以目前停留中機會的平均天數為準，其次為歷史平均)
+        const stalled = [...data.stageAging]
+            .filter(s => s.currentAvgAge !== null || s.avgDays !== null)
+            .sort((a, b) => (b.currentAvgAge ?? b.avgDays) - (a.currentAvgAge ?? a.avgDays))[0];
+        const overall = data.winRates.overall;
+
+        container.innerHTML = `
+            <div class="stats-grid" style="grid-template-columns: repeat(4, 1fr);">
+                <div class="stat-card blue"><div class="stat-header"><div class="stat-label">分析機會數</div></div><div class="stat-number">${data.coverage.opportunities} 件</div></div>
+                <div class="stat-card green"><div class="stat-header"><div class="stat-label">整體勝率</div></div><div class="stat-number">${this._fmtRate(overall ? overall.winRate : null)}</div>
+                    <div style="font-size: 0.8rem; margin-top: 6px; color: var(--text-muted);">${overall ? `成交 ${overall.won} / 失敗 ${overall.lost}` : '尚無結案機會'}</div></div>
+                <div class="stat-card purple"><div class="stat-header"><div class="stat-label">成交週期 (中位數)</div></div><div class="stat-number">${this._fmtDays(data.salesCycle.medianDays)}</div>
+                    <div style="font-size: 0.8rem; margin-top: 6px; color: var(--text-muted);">平均 ${this._fmtDays(data.salesCycle.avgDays)}</div></div>
+                <div class="stat-card orange"><div class="stat-header"><div class="stat-label">最易卡關階段</div></div><div class="stat-number" style="font-size: 1.4rem;">${stalled ? this._esc(stalled.label) : '-'}</div>
+                    <div style="font-size: 0.8rem; margin-top: 6px; color: var(--text-muted);">停留天數可計算：${data.coverage.timed} / ${data.coverage.opportunities} 件 (依稽核紀錄)</div></div>
+            </div>`;
+    },
+
+    _renderFunnel(funnel) {
+        setTimeout(() => {
+            if (typeof createThemedChart !== 'function') return;
+            const points = funnel.map(layer => ({ name: layer.label, y: layer.count, rate: layer.conversionRate, value: layer.value }));
+            const tooltip = {
+                formatter: function() {
+                    const p = this.point;
+                    return `<b>${p.name}</b><br/>機會數：${p.y}<br/>金額：${(p.value || 0).toLocaleString()}<br/>前一階段轉換率：${p.rate === null ? '-' : p.rate + '%'}`;
+                }
+            };
+
+            // 漏斗模組未載入時改以橫條圖呈現
+            const hasFunnel = window.Highcharts && Highcharts.seriesTypes && Highcharts.seriesTypes.funnel;
+            createThemedChart('pipeline-funnel-chart', hasFunnel ? {
+                chart: { type: 'funnel' },
+                title: { text: '' },
+                tooltip,
+                plotOptions: { funnel: { neckWidth: '30%', neckHeight: '0%', width: '70%', dataLabels: { enabled: true, format: '<b>{point.name}</b> {point.y}' } } },
+                legend: { enabled: false },
+                series: [{ name: '機會數', data: points }]
+            } : {
+                chart: { type: 'bar' },
+                title: { text: '' },
+                xAxis: { categories: points.map(p => p.name) },
+                yAxis: { title: { text: '機會數' } },
+                tooltip,
+                legend: { enabled: false },
+                series: [{ name: '機會數', data: points, color: '#3b82f6' }]
+            });
+        }, 50);
+    },
+
+    _renderAging(stageAging) {
+        setTimeout(() => {
+            if (typeof createThemedChart !== 'function') return;
+            createThemedChart('pipeline-aging-chart', {
+                chart: { type: 'bar' },
+                title: { text: '' },
+                xAxis: { categories: stageAging.map(s => s.label) },
+                yAxis: { title: { text: '天數' } },
+                tooltip: { shared: true, valueSuffix: ' 天', valueDecimals: 1 },
+                series: [
+                    { name: '平均停留 (已離開)', data: stageAging.map(s => s.avgDays), color: '#8b5cf6' },
+                    { name: '目前停留中 (平均)', data: stageAging.map(s => s.currentAvgAge), color: '#f97316' }
+                ]
+            });
+        }, 50);
+    },
+
+    _renderStageTable(funnel, stageAging) {
+        const container = document.getElementById('pipeline-stage-table');
+        if (!container) return;
+        const agingMap = new Map(stageAging.map(s => [s.stage, s]));
+
+        let html = `<div class="table-container" style="overflow-x:auto;"><table class="data-table sticky-header"><thead><tr style="white-space:nowrap;">
+            <th>階段</th><th style="text-align:right;">到達機會</th><th style="text-align:right;">轉換率</th><th style="text-align:right;">累計轉換率</th>
+            <th style="text-align:right;">在此失敗</th><th style="text-align:right;">平均停留</th><th style="text-align:right;">中位數</th>
+            <th style="text-align:right;">目前停留中</th><th style="text-align:right;">最久停留</th></tr></thead><tbody>`;
+
+        funnel.forEach(layer => {
+            const aging = agingMap.get(layer.stage);
+            html += `<tr><td>${this._esc(layer.label)}</td>
+                <td style="text-align:right;">${layer.count}</td>
+                <td style="text-align:right;">${this._fmtRate(layer.conversionRate)}</td>
+                <td style="text-align:right;">${this._fmtRate(layer.overallRate)}</td>
+                <td style="text-align:right;">${layer.lost || '-'}</td>
+                <td style="text-align:right;">${aging ? this._fmtDays(aging.avgDays) : '-'}</td>
+                <td style="text-align:right;">${aging ? this._fmtDays(aging.medianDays) : '-'}</td>
+                <td style="text-align:right;">${aging && aging.currentCount ? `${aging.currentCount} 件 / 平均 ${this._fmtDays(aging.currentAvgAge)}` : '-'}</td>
+                <td style="text-align:right;">${aging ? this._fmtDays(aging.currentMaxAge) : '-'}</td></tr>`;
+        });
+        container.innerHTML = html + '</tbody></table></div>';
+    },
+
+    _renderWinRateTable(containerId, rows, labelFn = (v) => v) {
+        const container = document.getElementById(containerId);
+        if (!container) return;
+        if (!rows.length) {
+            container.innerHTML = '<div class="alert alert-info" style="margin:20px;text-align:center;">尚無結案機會</div>';
+            return;
+        }
+
+        let html = `<div class="table-container" style="overflow-x:auto; max-height: 320px;"><table class="data-table sticky-header"><thead><tr style="white-space:nowrap;">
+            <th>分類</th><th style="text-align:right;">成交</th><th style="text-align:right;">失敗</th><th style="text-align:right;">勝率</th></tr></thead><tbody>`;
+        rows.forEach(row => {
+            html += `<tr><td>${this._esc(labelFn(row.name))}</td><td style="text-align:right;">${row.won}</td><td style="text-align:right;">${row.lost}</td>
+                <td style="text-align:right;font-weight:600;">${this._fmtRate(row.winRate)}</td></tr>`;
+        });
+        container.innerHTML = html + '</tbody></table></div>';
+    },
+
+    _renderCycle(salesCycle) {
+        setTimeout(() => {
+            if (typeof createThemedChart !== 'function') return;
+            createThemedChart('pipeline-cycle-chart', {
+                chart: { type: 'column' },
+                title: { text: '' },
+                xAxis: { categories: salesCycle.buckets.map(b => b.label) },
+                yAxis: { title: { text: '成交件數' }, allowDecimals: false },
+                legend: { enabled: false },
+                series: [{ name: '成交件數', data: salesCycle.buckets.map(b => b.count), color: '#10b981' }]
+            });
+        }, 50);
+    }
+};
+
+window.SalesPipelineAnalytics = SalesPipelineAnalytics;
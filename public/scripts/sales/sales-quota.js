@@ -0,0 +1,163 @@
+// public/scripts/sales/sales-quota.js
+// 職責：成交分析頁的「業績目標」分頁 (資料來源：GET / PUT /api/sales/quotas)
+// 依年度列出各負責業務的月 / 季目標 (可切換可能下單規格的分類)，僅管理員可編輯
+
+const SalesQuota = {
+    state: {
+        year: new Date().getFullYear(),
+        periodType: 'month',
+        category: '',
+        quotas: []
+    },
+
+    _esc(text) {
+        const div = document.createElement('div');
+        div.textContent = text === null || text === undefined ? '' : String(text);
+        return div.innerHTML;
+    },
+
+    _canEdit() {
+        const rule = window.CRM_APP.permissions?.salesQuota;
+        return rule ? !!rule.write : window.CRM_APP.currentUserRole === 'admin';
+    },
+
+    _periods() {
+        const year = this.state.year;
+        if (this.state.periodType === 'quarter') {
+            return [1, 2, 3, 4].map(q => ({ key: `${year}-Q${q}`, label: `Q${q}` }));
+        }
+        return Array.from({ length: 12 }, (_, i) => ({ key: `${year}-${String(i + 1).padStart(2, '0')}`, label: `${i + 1}月` }));
+    },
+
+    /**
+     * 入口：渲染分頁骨架並載入資料
+     */
+    async load() {
+        const container = document.getElementById('sales-tab-quota');
+        if (!container) return;
+
+        const thisYear = new Date().getFullYear();
+        const years = [thisYear - 1, thisYear, thisYear + 1];
+        const categories = [...new Set((window.CRM_APP.systemConfig?.['可能下單規格'] || []).map(s => s.category || '其他'))];
+
+        container.innerHTML = `
+            <div class="dashboard-widget">
+                <div class="widget-header" style="align-items: flex-start; flex-wrap: wrap; gap: 15px;">
+                    <div><h2 class="widget-title">業績目標</h2><p style="color: var(--text-muted); font-size: 0.9rem; margin-top: 5px;">
+                        ${this._canEdit() ? '直接修改金額後儲存；清空表示刪除該目標。季目標未設定時，以三個月的月目標加總計算。' : '目標由管理員設定'}</p></div>
+                    <div style="display: flex; gap: 10px; align-items: center; flex-wrap: wrap;">
+                        <select id="quota-year-select" class="custom-select-control">
+                            ${years.map(y => `<option value="${y}" ${y === this.state.year ? 'selected' : ''}>${y} 年</option>`).join('')}
+                        </select>
+                        <select id="quota-type-select" class="custom-select-control">
+                            <option value="month" ${this.state.periodType === 'month' ? 'selected' : ''}>月目標</option>
+                            <option value="quarter" ${this.state.periodType === 'quarter' ? 'selected' : ''}>季目標</option>
+                        </select>
+                        <select id="quota-category-select" class="custom-select-control">
+                            <option value="">整體目標</option>
+                            ${categories.map(c => `<option value="${this._esc(c)}" ${this.state.category === c ? 'selected' : ''}>分類：${this._esc(c)}</option>`).join('')}
+                        </select>
+                        ${this._canEdit() ? '<button id="quota-save-btn" class="action-btn primary">儲存目標</button>' : ''}
+                    </div>
+                </div>
+                <div id="quota-grid-content" class="widget-content" style="padding: 0;"><div class="loading show"><div class="spinner"></div></div></div>
+            </div>`;
+
+        const bind = (id, key) => document.getElementById(id).addEventListener('change', (e) => {
+            this.state[key] = key === 'year' ? parseInt(e.target.value, 10) : e.target.value;
+            key === 'year' ? this.refresh() : this.renderGrid();
+        });
+        bind('quota-year-select', 'year');
+        bind('quota-type-select', 'periodType');
+        bind('quota-category-select', 'category');
+        const saveBtn = document.getElementById('quota-save-btn');
+        if (saveBtn) saveBtn.addEventListener('click', () => this.save());
+
+        await this.refresh();
+    },
+
+    async refresh() {
+        try {
+            const result = await authedFetch(`/api/sales/quotas?year=${this.state.year}`);
+            if (!result.success) throw new Error(result.error || '無法取得業績目標');
+            this.state.quotas = result.data || [];
+            this.renderGrid();
+        } catch (error) {
+            console.error('[SalesQuota] 載入失敗:', error);
+            const grid = document.getElementById('quota-grid-content');
+            if (grid) grid.innerHTML = `<div class="alert alert-error">載入失敗: ${this._esc(error.message)}</div>`;
+        }
+    },
+
+    _findAmount(assignee, periodKey) {
+        const quota = this.state.quotas.find(q => q.assignee === assignee && q.periodType === this.state.periodType
+            && q.period === periodKey && (q.category || '') === this.state.category);
+        return quota ? quota.amount : '';
+    },
+
+    renderGrid() {
+        const container = document.getElementById('quota-grid-content');
+        if (!container) return;
+
+        const members = window.CRM_APP.systemConfig?.['團隊成員'] || [];
+        if (!members.length) {
+            container.innerHTML = '<div class="alert alert-info" style="margin:20px;text-align:center;">系統設定尚未建立團隊成員</div>';
+            return;
+        }
+
+        const periods = this._periods();
+        const editable = this._canEdit();
+        let html = `<div class="table-container" style="overflow-x:auto;"><table class="data-table sticky-header"><thead><tr style="white-space:nowrap;">
+            <th>負責業務</th>${periods.map(p => `<th style="text-align:right;">${p.label}</th>`).join('')}<th style="text-align:right;">合計</th></tr></thead><tbody>`;
+
+        members.forEach(m => {
+            let total = 0;
+            const cells = periods.map(p => {
+                const amount = this._findAmount(m.value, p.key);
+                total += Number(amount) || 0;
+                return editable
+                    ? `<td><input type="number" min="0" step="1000" class="form-input form-input-sm quota-input" style="width: 110px; text-align: right;"
+                        data-assignee="${this._esc(m.value)}" data-period="${p.key}" data-original="${amount}" value="${amount}"></td>`
+                    : `<td style="text-align:right;">${amount === '' ? '-' : Number(amount).toLocaleString()}</td>`;
+            }).join('');
+            html += `<tr><td>${this._esc(m.note || m.value)}</td>${cells}<td style="text-align:right;font-weight:600;">${total ? total.toLocaleString() : '-'}</td></tr>`;
+        });
+        container.innerHTML = html + '</tbody></table></div>';
+    },
+
+    async save() {
+        const inputs = [...document.querySelectorAll('#quota-grid-content .quota-input')]
+            .filter(input => input.value !== input.dataset.original);
+        if (!inputs.length) {
+            showNotification('沒有需要儲存的變更', 'info');
+            return;
+        }
+
+        const quotas = inputs.map(input => ({
+            assignee: input.dataset.assignee,
+            periodType: this.state.periodType,
+            period: input.dataset.period,
+            category: this.state.category,
+            amount: input.value
+        }));
+
+        showLoading('正在儲存業績目標...');
+        try {
+            // skipRefresh：目標只影響本分頁與儀表板的達成率，儲存後重新載入本分頁即可
+            const result = await authedFetch('/api/sales/quotas', {
+                method: 'PUT',
+                body: JSON.stringify({ quotas }),
+                skipRefresh: true
+            });
+            this.state.quotas = (result.data || []).filter(q => q.period.startsWith(`${this.state.year}-`));
+            this.renderGrid();
+            showNotification(result.message || '業績目標已儲存', 'success');
+        } catch (error) {
+            if (error.message !== 'Unauthorized') showNotification(`儲存失敗: ${error.message}`, 'error');
+        } finally {
+            hideLoading();
+        }
+    }
+};
+
+window.SalesQuota = SalesQuota;
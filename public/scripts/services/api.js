@@ -16,6 +16,9 @@ let lastRequestTime = 0;
 
 let isRedirectingToLogin = false;
 
+// 每個分頁一組連線ID：寫入請求帶上 X-Client-Id，即時推播時據此略過自己觸發的變更
+const CRM_CLIENT_ID = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
 /**
  * 經過認證與流量控制的 fetch 函式
  * @param {string} url - API 的 URL
@@ -67,6 +70,7 @@ async function executeFetch(url, options, attempts) {
     const token = localStorage.getItem('crm-token');
     const headers = { 'Content-Type': 'application/json', ...options.headers };
     if (token) headers['Authorization'] = `Bearer ${token}`;
+    headers['X-Client-Id'] = CRM_CLIENT_ID;
 
     const method = options.method ? options.method.toUpperCase() : 'GET';
     const isWriteOperation = ['POST', 'PUT', 'DELETE'].includes(method);
@@ -87,6 +91,16 @@ async function executeFetch(url, options, attempts) {
             }
         }
 
+        // --- Handle Permission Denied (角色權限不足：仍保持登入，僅提示錯誤) ---
+        if (response.status === 403) {
+            const denied = await response.clone().json().catch(() => null);
+            if (denied && denied.permissionDenied) {
+                const permissionError = new Error(denied.error || '權限不足');
+                permissionError.status = 403;
+                throw permissionError;
+            }
+        }
+
         // --- Handle Unauthorized ---
         if (response.status === 401 || response.status === 403) {
             if (!isRedirectingToLogin) {
@@ -95,6 +109,7 @@ async function executeFetch(url, options, attempts) {
                 localStorage.removeItem('crmToken');
                 localStorage.removeItem('crmCurrentUserName');
                 localStorage.removeItem('crmUserRole');
+                localStorage.removeItem('crmPermissions');
                 showNotification('您的登入已過期或無效，將跳轉至登入頁面。', 'error', 3000);
                 setTimeout(() => { window.location.href = '/login.html'; }, 2000);
             }
@@ -113,6 +128,16 @@ async function executeFetch(url, options, attempts) {
             }
         }
 
+        // --- Handle 409 Conflict (樂觀鎖：資料已被他人更新) ---
+        // 交由呼叫端顯示合併提示，附上伺服器目前的資料
+        if (response.status === 409) {
+            const conflictError = new Error(result?.details || result?.error || '資料已被其他使用者更新');
+            conflictError.status = 409;
+            conflictError.conflict = true;
+            conflictError.current = result?.current || null;
+            throw conflictError;
+        }
+
         if (!response.ok) {
             const errorDetails = result?.details || result?.message || result?.error || response.statusText || `HTTP error ${response.status}`;
             throw new Error(errorDetails);
@@ -132,10 +157,45 @@ async function executeFetch(url, options, attempts) {
         return result;
 
     } catch (error) {
-        if (error.message !== 'Unauthorized' && !isRedirectingToLogin) {
+        if (error.message !== 'Unauthorized' && error.status !== 409 && !isRedirectingToLogin) {
             const displayError = error.message.length > 100 ? error.message.substring(0, 97) + '...' : error.message;
             showNotification(`操作失敗: ${displayError}`, 'error');
         }
         throw error;
     }
-}
\ No newline at end of file
+}
+/**
+ * 經過認證的檔案下載 (列表匯出 CSV / XLSX)
+ * 檔名取自回應的 Content-Disposition (filename* 為 UTF-8 中文檔名)
+ * @param {string} url - API 的 URL
+ * @param {string} [fallbackName='export'] - 回應未提供檔名時使用
+ */
+async function authedDownload(url, fallbackName = 'export') {
+    const token = localStorage.getItem('crm-token');
+    const headers = { 'X-Client-Id': CRM_CLIENT_ID };
+    if (token) headers['Authorization'] = `Bearer ${token}`;
+
+    try {
+        const response = await fetch(url, { headers });
+        if (!response.ok) {
+            const result = await response.json().catch(() => null);
+            throw new Error(result?.details || result?.error || `下載失敗，狀態碼: ${response.status}`);
+        }
+
+        const disposition = response.headers.get('content-disposition') || '';
+        const encodedName = disposition.match(/filename\*=UTF-8''([^;]+)/i);
+        const plainName = disposition.match(/filename="([^"]+)"/i);
+        const fileName = encodedName ? decodeURIComponent(encodedName[1]) : (plainName ? plainName[1] : fallbackName);
+
+        const blob = await response.blob();
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = fileName;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+        showNotification(`已開始下載 ${fileName}`, 'success');
+    } catch (error) {
+        showNotification(`匯出失敗: ${error.message}`, 'error');
+        throw error;
+    }
+}
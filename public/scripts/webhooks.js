@@ -0,0 +1,277 @@
+// public/scripts/webhooks.js
+// 職責：管理員「Webhook 訂閱」頁面 (資料來源：/api/webhooks)
+// 訂閱列表 (啟用切換、編輯、刪除)、訂閱編輯視窗、簽章密鑰顯示，以及傳送紀錄與手動重新傳送
+
+const WebhooksPage = (() => {
+    let _meta = null;
+    let _subscriptions = [];
+    let _deliveries = [];
+
+    const _esc = (text) => {
+        const div = document.createElement('div');
+        div.textContent = text === null || text === undefined ? '' : String(text);
+        return div.innerHTML;
+    };
+
+    async function load() {
+        const container = document.getElementById('page-webhooks');
+        if (!container) return;
+
+        container.innerHTML = `
+            <div class="dashboard-widget">
+                <div class="widget-header">
+                    <div><h2 class="widget-title">Webhook 訂閱</h2>
+                        <p style="color: var(--text-muted); font-size: 0.9rem; margin-top: 5px;">
+                            每次傳送以 POST JSON 送出，標頭 X-CRM-Signature = sha256=HMAC(密鑰, "X-CRM-Timestamp.內容")；失敗時自動重試。</p></div>
+                    <button class="action-btn primary" id="webhook-add-btn">+ 新增訂閱</button>
+                </div>
+                <div id="webhook-subscriptions-content" class="widget-content">
+                    <div class="loading show"><div class="spinner"></div><p>載入訂閱中...</p></div>
+                </div>
+            </div>
+            <div class="dashboard-widget" style="margin-top: 20px;">
+                <div class="widget-header">
+                    <h2 class="widget-title">傳送紀錄</h2>
+                    <select id="webhook-delivery-status" class="form-select" style="width: auto;">
+                        <option value="">全部結果</option>
+                        <option value="成功">成功</option>
+                        <option value="失敗">失敗</option>
+                    </select>
+                </div>
+                <div id="webhook-deliveries-content" class="widget-content"></div>
+            </div>`;
+
+        document.getElementById('webhook-add-btn').addEventListener('click', () => openEditor());
+        document.getElementById('webhook-delivery-status').addEventListener('change', () => _loadDeliveries().catch(() => {}));
+        container.removeEventListener('click', _handleClick);
+        container.addEventListener('click', _handleClick);
+
+        try {
+            if (!_meta) {
+                const metaResult = await authedFetch('/api/webhooks/meta');
+                _meta = metaResult.data;
+            }
+            await refresh();
+        } catch (error) {
+            if (error.message !== 'Unauthorized') {
+                document.getElementById('webhook-subscriptions-content').innerHTML = `<div class="alert alert-error">載入失敗: ${_esc(error.message)}</div>`;
+            }
+        }
+    }
+
+    async function refresh() {
+        const result = await authedFetch('/api/webhooks');
+        _subscriptions = result.data || [];
+        _renderSubscriptions();
+        await _loadDeliveries();
+    }
+
+    async function _loadDeliveries() {
+        const status = document.getElementById('webhook-delivery-status')?.value || '';
+        const result = await authedFetch(`/api/webhooks/deliveries?limit=100${status ? `&status=${encodeURIComponent(status)}` : ''}`);
+        _deliveries = result.data || [];
+        _renderDeliveries();
+    }
+
+    function _eventName(event) {
+        return _meta.events[event] || event;
+    }
+
+    function _renderSubscriptions() {
+        const container = document.getElementById('webhook-subscriptions-content');
+        if (_subscriptions.length === 0) {
+            container.innerHTML = '<div class="alert alert-info" style="text-align:center;">尚未建立 Webhook 訂閱</div>';
+            return;
+        }
+
+        const rows = _subscriptions.map(sub => `
+            <tr>
+                <td data-label="啟用"><input type="checkbox" data-action="toggle" data-id="${_esc(sub.webhookId)}" ${sub.enabled ? 'checked' : ''}></td>
+                <td data-label="名稱"><strong>${_esc(sub.name)}</strong></td>
+                <td data-label="網址" style="word-break: break-all;">${_esc(sub.url)}</td>
+                <td data-label="事件">${sub.events.map(e => _esc(_eventName(e))).join('<br>')}</td>
+                <td data-label="密鑰"><code>${_esc(sub.secretHint)}</code></td>
+                <td data-label="最後傳送">${sub.lastDelivery
+                    ? `${_esc(sub.lastDelivery.status)} (${formatDateTime(sub.lastDelivery.deliveredTime)})`
+                    : '-'}</td>
+                <td data-label="操作">
+                    <div class="action-buttons-container">
+                        <button class="action-btn small secondary" data-action="edit" data-id="${_esc(sub.webhookId)}">編輯</button>
+                        <button class="action-btn small danger" data-action="delete" data-id="${_esc(sub.webhookId)}">刪除</button>
+                    </div>
+                </td>
+            </tr>`).join('');
+
+        container.innerHTML = `<table class="data-table"><thead><tr><th>啟用</th><th>名稱</th><th>網址</th><th>事件</th><th>密鑰</th><th>最後傳送</th><th>操作</th></tr></thead><tbody>${rows}</tbody></table>`;
+    }
+
+    function _renderDeliveries() {
+        const container = document.getElementById('webhook-deliveries-content');
+        if (!container) return;
+        if (_deliveries.length === 0) {
+            container.innerHTML = '<div class="alert alert-info" style="text-align:center;">尚無傳送紀錄</div>';
+            return;
+        }
+
+        const names = new Map(_subscriptions.map(s => [s.webhookId, s.name]));
+        const rows = _deliveries.map(d => `
+            <tr>
+                <td data-label="時間">${formatDateTime(d.deliveredTime)}</td>
+                <td data-label="訂閱">${_esc(names.get(d.webhookId) || `${d.webhookId} (已刪除)`)}</td>
+                <td data-label="事件">${_esc(_eventName(d.event))}<br><small style="color: var(--text-muted);">${_esc(d.entityId)}</small></td>
+                <td data-label="結果">
+                    <span style="color: ${d.status === '成功' ? '#10b981' : '#ef4444'}; font-weight: 600;">${_esc(d.status)}</span>
+                    <small>HTTP ${_esc(d.responseStatus || '-')} / ${_esc(d.attempts)} 次</small>
+                    ${d.error ? `<br><small style="color: #ef4444;">${_esc(d.error)}</small>` : ''}
+                    ${d.redeliveryOf ? '<br><small style="color: var(--text-muted);">重新傳送</small>' : ''}
+                </td>
+                <td data-label="內容">
+                    <details><summary style="cursor: pointer;">檢視</summary>
+                        <pre style="max-width: 420px; max-height: 240px; overflow: auto; font-size: 0.8rem; white-space: pre-wrap;">${_esc(JSON.stringify(d.payload, null, 2))}</pre>
+                    </details>
+                </td>
+                <td data-label="操作">
+                    ${names.has(d.webhookId)
+                        ? `<button class="action-btn small secondary" data-action="redeliver" data-id="${_esc(d.deliveryId)}">重新傳送</button>`
+                        : ''}
+                </td>
+            </tr>`).join('');
+
+        container.innerHTML = `<div style="max-height: 500px; overflow-y: auto;"><table class="data-table"><thead><tr><th>時間</th><th>訂閱</th><th>事件</th><th>結果</th><th>內容</th><th>操作</th></tr></thead><tbody>${rows}</tbody></table></div>`;
+    }
+
+    function _handleClick(e) {
+        const target = e.target.closest('[data-action]');
+        if (!target) return;
+        const subscription = _subscriptions.find(s => s.webhookId === target.dataset.id);
+        const url = subscription ? `/api/webhooks/${encodeURIComponent(subscription.webhookId)}` : null;
+
+        switch (target.dataset.action) {
+            case 'edit':
+                openEditor(subscription);
+                break;
+            case 'delete':
+                showConfirmDialog(`確定要刪除 Webhook 訂閱「${subscription.name}」嗎？傳送紀錄會保留。`, () => _send(url, 'DELETE'));
+                break;
+            case 'toggle':
+                _send(url, 'PUT', { enabled: target.checked });
+                break;
+            case 'redeliver':
+                _send(`/api/webhooks/deliveries/${encodeURIComponent(target.dataset.id)}/redeliver`, 'POST');
+                break;
+        }
+    }
+
+    /**
+     * @returns {Promise<object|null>} 成功時回傳 API 結果
+     */
+    async function _send(url, method, body) {
+        showLoading('正在處理...');
+        try {
+            // skipRefresh：訂閱只顯示在本頁，完成後重新載入本頁資料
+            const result = await authedFetch(url, { method, body: body ? JSON.stringify(body) : undefined, skipRefresh: true });
+            const failed = result.data && result.data.status === '失敗';
+            showNotification(result.message || '已儲存', failed ? 'warning' : 'success');
+            await refresh();
+            return result;
+        } catch (error) {
+            if (error.message !== 'Unauthorized') await refresh().catch(() => {});
+            return null;
+        } finally {
+            hideLoading();
+        }
+    }
+
+    // --- 訂閱編輯視窗 ---
+
+    function openEditor(subscription = null) {
+        const existing = document.getElementById('webhook-editor-modal');
+        if (existing) existing.remove();
+
+        const value = subscription || { name: '', url: '', events: [], enabled: true };
+        const eventOptions = Object.entries(_meta.events).map(([event, label]) => `
+            <label style="display: flex; align-items: center; gap: 6px; margin-bottom: 4px;">
+                <input type="checkbox" name="webhook-event" value="${_esc(event)}" ${value.events.includes(event) ? 'checked' : ''}>
+                ${_esc(label)} <small style="color: var(--text-muted);">${_esc(event)}</small>
+            </label>`).join('');
+
+        const modalHTML = `
+            <div id="webhook-editor-modal" class="modal" style="display: block;">
+                <div class="modal-content" style="max-width: 640px;">
+                    <div class="modal-header">
+                        <h2 class="modal-title">${subscription ? '編輯 Webhook 訂閱' : '新增 Webhook 訂閱'}</h2>
+                        <button class="close-btn" onclick="closeModal('webhook-editor-modal')">&times;</button>
+                    </div>
+                    <div class="form-group">
+                        <label class="form-label">名稱 *</label>
+                        <input type="text" id="webhook-name" class="form-input" value="${_esc(value.name)}">
+                    </div>
+                    <div class="form-group">
+                        <label class="form-label">網址 *</label>
+                        <input type="url" id="webhook-url" class="form-input" placeholder="https://" value="${_esc(value.url)}">
+                    </div>
+                    <div class="form-group">
+                        <label class="form-label">事件 *</label>
+                        <div style="column-count: 2;">${eventOptions}</div>
+                    </div>
+                    <div class="form-group">
+                        <label style="display: flex; align-items: center; gap: 6px;">
+                            <input type="checkbox" id="webhook-enabled" ${value.enabled ? 'checked' : ''}> 啟用
+                        </label>
+                        ${subscription ? `
+                        <label style="display: flex; align-items: center; gap: 6px; margin-top: 6px;">
+                            <input type="checkbox" id="webhook-regenerate-secret"> 重新產生簽章密鑰 (目前 ${_esc(subscription.secretHint)}，接收端須同步更新)
+                        </label>` : '<p style="color: var(--text-muted); font-size: 0.85rem;">簽章密鑰由系統產生，只在建立後顯示一次。</p>'}
+                    </div>
+                    <button type="button" class="submit-btn" id="webhook-save-btn">💾 儲存訂閱</button>
+                </div>
+            </div>`;
+        document.getElementById('modal-container').insertAdjacentHTML('beforeend', modalHTML);
+        document.getElementById('webhook-save-btn').addEventListener('click', () => save(subscription));
+    }
+
+    async function save(subscription) {
+        const payload = {
+            name: document.getElementById('webhook-name').value.trim(),
+            url: document.getElementById('webhook-url').value.trim(),
+            events: [...document.querySelectorAll('input[name="webhook-event"]:checked')].map(input => input.value),
+            enabled: document.getElementById('webhook-enabled').checked
+        };
+        const regenerate = document.getElementById('webhook-regenerate-secret');
+        if (regenerate && regenerate.checked) payload.regenerateSecret = true;
+
+        const result = await _send(
+            subscription ? `/api/webhooks/${encodeURIComponent(subscription.webhookId)}` : '/api/webhooks',
+            subscription ? 'PUT' : 'POST',
+            payload
+        );
+        if (!result) return;
+        closeModal('webhook-editor-modal');
+        if (result.secret) _showSecret(payload.name, result.secret);
+    }
+
+    function _showSecret(name, secret) {
+        const modalHTML = `
+            <div id="webhook-secret-modal" class="modal" style="display: block;">
+                <div class="modal-content" style="max-width: 560px;">
+                    <div class="modal-header">
+                        <h2 class="modal-title">「${_esc(name)}」的簽章密鑰</h2>
+                        <button class="close-btn" onclick="closeModal('webhook-secret-modal')">&times;</button>
+                    </div>
+                    <p>請將此密鑰設定於接收端，用於驗證 X-CRM-Signature。關閉後將無法再次檢視。</p>
+                    <input type="text" class="form-input" readonly value="${_esc(secret)}" onclick="this.select()" style="font-family: monospace;">
+                </div>
+            </div>`;
+        const existing = document.getElementById('webhook-secret-modal');
+        if (existing) existing.remove();
+        document.getElementById('modal-container').insertAdjacentHTML('beforeend', modalHTML);
+    }
+
+    return { load, openEditor };
+})();
+
+window.WebhooksPage = WebhooksPage;
+
+if (window.CRM_APP) {
+    window.CRM_APP.pageModules['webhooks'] = () => WebhooksPage.load();
+}
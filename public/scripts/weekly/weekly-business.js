@@ -1,4 +1,5 @@
 /* [v7.0.3][2026-01-23] Weekly UI Safe-Parse + Weekday-Only Patch */
+/* [Draft] 依本週 CRM 活動草擬紀錄，確認後逐筆建立 */
 // views/scripts/weekly-business.js
 // 職責：管理週間業務的列表、詳情雙日曆顯示、編輯與互動
 // 修補：
@@ -94,6 +95,10 @@ function handleWeeklyPageClick(e) {
             openWeeklyBusinessEditorPanel(dayInfo, theme, entry);
             break;
         }
+
+        case 'draft-week':
+            showDraftWeekModal();
+            break;
     }
 }
 
@@ -212,6 +217,7 @@ function renderWeeklyDetailView() {
                     <p style="color: var(--text-secondary); margin-top: 5px; font-size: 1.2rem; font-weight: 600;">${currentWeekData.title} ${currentWeekData.dateRange}</p>
                 </div>
                 <div style="display: flex; gap: 10px; align-items: center;">
+                    <button class="action-btn primary" data-action="draft-week" title="依本週的互動、事件、階段異動與行程草擬紀錄">✨ 草擬本週</button>
                     <button class="action-btn secondary" data-action="navigate-detail" data-week-id="${prevWeekId}">< 上一週</button>
                     <button class="action-btn secondary" data-action="navigate-back">返回總覽</button>
                     <button class="action-btn secondary" data-action="navigate-detail" data-week-id="${nextWeekId}">下一週 ></button>
@@ -559,8 +565,185 @@ function confirmAddWeek() {
     }
 }
 
+// --- 週報草稿 (Draft) ---
+
+let weeklyDrafts = [];
+
+function _escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text === null || text === undefined ? '' : String(text);
+    return div.innerHTML;
+}
+
+function showDraftWeekModal() {
+    const systemConfig = window.CRM_APP ? window.CRM_APP.systemConfig : {};
+    const themes = systemConfig['週間業務主題'] || [{ value: 'IoT', note: 'IoT' }, { value: 'DT', note: 'DT' }];
+    const members = systemConfig['團隊成員'] || [];
+    const currentUser = getCurrentUser();
+
+    const memberOptions = members.map(m =>
+        `<option value="${_escapeHtml(m.note)}" ${m.note === currentUser ? 'selected' : ''}>${_escapeHtml(m.note)}</option>`
+    ).join('');
+    const themeOptions = themes.map(t => `<option value="${_escapeHtml(t.value)}">${_escapeHtml(t.note)}</option>`).join('');
+
+    document.getElementById('draft-week-modal')?.remove();
+    const modalHtml = `
+        <div id="draft-week-modal" class="modal" style="display: block;">
+            <div class="modal-content" style="max-width: 900px;">
+                <div class="modal-header">
+                    <h2 class="modal-title">草擬本週紀錄 ${_escapeHtml(currentWeekData.title)}</h2>
+                    <button class="close-btn" id="btn-close-draft-modal">&times;</button>
+                </div>
+                <div style="display: flex; gap: 12px; align-items: flex-end; flex-wrap: wrap;">
+                    <div class="form-group" style="flex: 1; min-width: 160px;">
+                        <label class="form-label">成員</label>
+                        <div class="select-wrapper">
+                            <select id="draft-member" class="form-select"><option value="">全部成員</option>${memberOptions}</select>
+                        </div>
+                    </div>
+                    <div class="form-group" style="flex: 1; min-width: 160px;">
+                        <label class="form-label">分類</label>
+                        <div class="select-wrapper">
+                            <select id="draft-category" class="form-select"><option value="">全部分類</option>${themeOptions}</select>
+                        </div>
+                    </div>
+                    <div class="form-group">
+                        <label><input type="checkbox" id="draft-summarize"> 以 AI 濃縮重點摘要</label>
+                    </div>
+                    <div class="form-group">
+                        <button class="action-btn primary" id="btn-generate-draft">產生草稿</button>
+                    </div>
+                </div>
+                <div id="draft-week-results"><p style="color: var(--text-muted);">選擇條件後按「產生草稿」。草稿不會自動儲存，確認內容後再建立。</p></div>
+            </div>
+        </div>
+    `;
+    document.getElementById('modal-container').insertAdjacentHTML('beforeend', modalHtml);
+
+    document.getElementById('btn-close-draft-modal').addEventListener('click', () => document.getElementById('draft-week-modal')?.remove());
+    document.getElementById('btn-generate-draft').addEventListener('click', generateWeeklyDrafts);
+}
+
+async function generateWeeklyDrafts() {
+    const results = document.getElementById('draft-week-results');
+    if (!results) return;
+
+    const body = {
+        member: document.getElementById('draft-member').value,
+        category: document.getElementById('draft-category').value,
+        summarize: document.getElementById('draft-summarize').checked
+    };
+
+    results.innerHTML = `<div class="loading show"><div class="spinner"></div><p>${body.summarize ? 'AI 整理中，請稍候...' : '彙整本週活動中...'}</p></div>`;
+    try {
+        const result = await authedFetch(`/api/business/weekly/draft/${currentWeekData.id}`, { method: 'POST', body: JSON.stringify(body) });
+        if (!result.success) throw new Error(result.error || '草擬失敗');
+
+        weeklyDrafts = result.data.drafts || [];
+        if (result.data.aiError) showNotification(`AI 摘要失敗，已保留原始條列：${result.data.aiError}`, 'warning');
+        renderWeeklyDrafts();
+    } catch (error) {
+        if (error.message !== 'Unauthorized') results.innerHTML = `<div class="alert alert-error">草擬失敗: ${_escapeHtml(error.message)}</div>`;
+    }
+}
+
+function renderWeeklyDrafts() {
+    const results = document.getElementById('draft-week-results');
+    if (!results) return;
+
+    if (weeklyDrafts.length === 0) {
+        results.innerHTML = `<div class="alert alert-info">本週沒有符合條件的活動。</div>`;
+        return;
+    }
+
+    const sourceText = (sources) => [
+        sources.interactions ? `互動 ${sources.interactions}` : '',
+        sources.events ? `事件 ${sources.events}` : '',
+        sources.stageChanges ? `階段 ${sources.stageChanges}` : '',
+        sources.calendar ? `行程 ${sources.calendar}` : ''
+    ].filter(Boolean).join('・');
+
+    results.innerHTML = `
+        <div class="draft-list">
+            ${weeklyDrafts.map((draft, index) => `
+                <div class="draft-card category-${_escapeHtml(draft.category.toLowerCase())}" data-index="${index}">
+                    <div class="draft-card-header">
+                        <label><input type="checkbox" class="draft-include" ${draft.existingCount > 0 ? '' : 'checked'}>
+                            <strong>${_escapeHtml(draft.date)}｜${_escapeHtml(draft.category)}</strong></label>
+                        <span class="draft-card-meta">${_escapeHtml(sourceText(draft.sources))}${draft.existingCount > 0 ? `・<span style="color: var(--accent-orange);">當日已有 ${draft.existingCount} 筆紀錄</span>` : ''}</span>
+                    </div>
+                    <input type="text" class="form-input" name="theme" value="${_escapeHtml(draft.theme)}" placeholder="主題">
+                    <input type="text" class="form-input" name="participants" value="${_escapeHtml(draft.participants)}" placeholder="參與人員">
+                    <textarea class="form-textarea" name="summary" rows="4" placeholder="重點摘要">${_escapeHtml(draft.summary)}</textarea>
+                    <textarea class="form-textarea" name="todo" rows="2" placeholder="待辦事項">${_escapeHtml(draft.todo)}</textarea>
+                </div>
+            `).join('')}
+        </div>
+        <button class="submit-btn" id="btn-create-drafts">建立選取的紀錄</button>
+    `;
+    _injectDraftStyles();
+    document.getElementById('btn-create-drafts').addEventListener('click', createSelectedDrafts);
+}
+
+async function createSelectedDrafts() {
+    const cards = Array.from(document.querySelectorAll('#draft-week-results .draft-card'))
+        .filter(card => card.querySelector('.draft-include').checked);
+    if (cards.length === 0) {
+        showNotification('請至少選取一筆草稿', 'warning');
+        return;
+    }
+
+    const entries = cards.map(card => {
+        const draft = weeklyDrafts[Number(card.dataset.index)];
+        return {
+            date: draft.date,
+            category: draft.category,
+            theme: card.querySelector('[name="theme"]').value.trim(),
+            participants: card.querySelector('[name="participants"]').value.trim(),
+            summary: card.querySelector('[name="summary"]').value,
+            todo: card.querySelector('[name="todo"]').value
+        };
+    });
+    if (entries.some(entry => !entry.theme)) {
+        showNotification('主題為必填項目', 'warning');
+        return;
+    }
+
+    showLoading(`正在建立 ${entries.length} 筆紀錄...`);
+    let created = 0;
+    try {
+        for (const entry of entries) {
+            const result = await authedFetch('/api/business/weekly', { method: 'POST', body: JSON.stringify(entry), skipRefresh: true });
+            if (!result.success) throw new Error(result.error || '建立失敗');
+            created++;
+        }
+        showNotification(`已建立 ${created} 筆週間業務紀錄`, 'success');
+        document.getElementById('draft-week-modal')?.remove();
+    } catch (error) {
+        if (error.message !== 'Unauthorized') showNotification(`已建立 ${created} 筆，其餘失敗: ${error.message}`, 'error');
+    } finally {
+        hideLoading();
+        if (created > 0) navigateToWeeklyDetail(currentWeekData.id);
+    }
+}
+
 // --- 樣式注入函式 ---
 
+function _injectDraftStyles() {
+    if (!document.getElementById('weekly-draft-styles')) {
+        const style = document.createElement('style');
+        style.id = 'weekly-draft-styles';
+        style.innerHTML = `
+            .draft-list { display: flex; flex-direction: column; gap: 12px; max-height: 60vh; overflow-y: auto; margin: 12px 0; }
+            .draft-card { display: flex; flex-direction: column; gap: 6px; padding: 10px; border-radius: 8px; background: var(--primary-bg); border-left: 3px solid var(--accent-blue); }
+            .draft-card.category-dt { border-left-color: var(--accent-purple); }
+            .draft-card-header { display: flex; justify-content: space-between; align-items: center; gap: 8px; flex-wrap: wrap; }
+            .draft-card-meta { font-size: 0.8rem; color: var(--text-muted); }
+        `;
+        document.head.appendChild(style);
+    }
+}
+
 function _injectWeeklyStyles() {
     if (!document.getElementById('weekly-business-styles')) {
         const style = document.createElement('style');
@@ -0,0 +1,25 @@
+/**
+ * routes/audit.routes.js
+ * 稽核紀錄路由
+ * * @version 1.0.0
+ * @date 2026-02-03
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// 輔助函式：從 Container 獲取 Controller 實例
+const getController = (req) => {
+    const services = req.app.get('services');
+    if (!services || !services.auditController) {
+        throw new Error('AuditController 尚未初始化');
+    }
+    return services.auditController;
+};
+
+// GET /api/audit?entity=&id=
+router.get('/', (req, res, next) => {
+    getController(req).getHistory(req, res, next);
+});
+
+module.exports = router;
@@ -0,0 +1,55 @@
+/**
+ * routes/automation.routes.js
+ * 自動化規則路由
+ * * @version 1.0.0
+ * @date 2026-02-14
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// 輔助函式：從 Container 獲取 Controller 實例
+const getController = (req) => {
+    const services = req.app.get('services');
+    if (!services || !services.automationController) {
+        throw new Error('AutomationController 尚未初始化');
+    }
+    return services.automationController;
+};
+
+// GET /api/automation/meta
+router.get('/meta', (req, res, next) => {
+    getController(req).getMeta(req, res, next);
+});
+
+// GET /api/automation/rules
+router.get('/rules', (req, res, next) => {
+    getController(req).getRules(req, res, next);
+});
+
+// POST /api/automation/rules
+router.post('/rules', (req, res, next) => {
+    getController(req).createRule(req, res, next);
+});
+
+// PUT /api/automation/rules/:ruleId
+router.put('/rules/:ruleId', (req, res, next) => {
+    getController(req).updateRule(req, res, next);
+});
+
+// DELETE /api/automation/rules/:ruleId
+router.delete('/rules/:ruleId', (req, res, next) => {
+    getController(req).deleteRule(req, res, next);
+});
+
+// GET /api/automation/logs?ruleId=&limit=
+router.get('/logs', (req, res, next) => {
+    getController(req).getRunLogs(req, res, next);
+});
+
+// POST /api/automation/idle-check
+router.post('/idle-check', (req, res, next) => {
+    getController(req).runIdleCheck(req, res, next);
+});
+
+module.exports = router;
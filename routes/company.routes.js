@@ -17,6 +17,15 @@ const getController = (req) => {
     return services.companyController;
 };
 
+// 匯出 (ExportController)
+const getExportController = (req) => {
+    const services = req.app.get('services');
+    if (!services || !services.exportController) {
+        throw new Error('ExportController 尚未初始化');
+    }
+    return services.exportController;
+};
+
 // 取得 ExternalController (可能尚未重構，維持 require 或從 services 嘗試取得)
 // 這裡保留 require 以確保 Phase 5 之前的相容性
 const externalController = require('../controllers/external.controller');
@@ -26,6 +35,11 @@ router.get('/', (req, res, next) => {
     getController(req).getCompanies(req, res, next);
 });
 
+// GET /api/companies/export?format=csv|xlsx (篩選參數同列表)
+router.get('/export', (req, res, next) => {
+    getExportController(req).exportCompanies(req, res, next);
+});
+
 // POST /api/companies/
 router.post('/', (req, res, next) => {
     getController(req).createCompany(req, res, next);
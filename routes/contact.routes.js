@@ -19,7 +19,8 @@ const getController = (req) => {
     return new ContactController(
         services.contactService,
         services.workflowService,
-        services.contactWriter
+        services.contactWriter,
+        services.cardIngestionService
     );
 };
 
@@ -35,6 +36,14 @@ router.get('/dashboard', async (req, res, next) => {
     } catch (e) { next(e); }
 });
 
+// POST /api/contacts/business-cards (上傳名片：辨識後新增為潛在客戶)
+// Body: { image: base64 或 data URL, mimeType, fileName }
+router.post('/business-cards', async (req, res, next) => {
+    try {
+        await getController(req).uploadBusinessCard(req, res);
+    } catch (e) { next(e); }
+});
+
 // GET /api/contacts (列表搜尋)
 router.get('/', async (req, res, next) => {
     try {
@@ -49,8 +58,8 @@ router.get('/list', async (req, res, next) => {
     } catch (e) { next(e); }
 });
 
-// POST /api/contacts/:rowIndex/upgrade (升級)
-router.post('/:rowIndex/upgrade', async (req, res, next) => {
+// POST /api/contacts/:cardId/upgrade (升級)
+router.post('/:cardId/upgrade', async (req, res, next) => {
     try {
         await getController(req).upgradeContact(req, res);
     } catch (e) { next(e); }
@@ -70,8 +79,8 @@ router.post('/:contactId/link-card', async (req, res, next) => {
     } catch (e) { next(e); }
 });
 
-// POST /api/contacts/:rowIndex/file (歸檔)
-router.post('/:rowIndex/file', async (req, res, next) => {
+// POST /api/contacts/:cardId/file (歸檔)
+router.post('/:cardId/file', async (req, res, next) => {
     try {
         await getController(req).fileContact(req, res);
     } catch (e) { next(e); }
@@ -0,0 +1,40 @@
+/**
+ * routes/duplicate.routes.js
+ * 重複資料偵測與合併路由
+ * * @version 1.0.0
+ * @date 2026-02-16
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// 輔助函式：從 Container 獲取 Controller 實例
+const getController = (req) => {
+    const services = req.app.get('services');
+    if (!services || !services.duplicateController) {
+        throw new Error('DuplicateController 尚未初始化');
+    }
+    return services.duplicateController;
+};
+
+// GET /api/duplicates/companies?minScore=&limit=
+router.get('/companies', (req, res, next) => {
+    getController(req).getCompanyDuplicates(req, res, next);
+});
+
+// GET /api/duplicates/contacts?minScore=&limit=
+router.get('/contacts', (req, res, next) => {
+    getController(req).getContactDuplicates(req, res, next);
+});
+
+// POST /api/duplicates/companies/merge
+router.post('/companies/merge', (req, res, next) => {
+    getController(req).mergeCompanies(req, res, next);
+});
+
+// POST /api/duplicates/contacts/merge
+router.post('/contacts/merge', (req, res, next) => {
+    getController(req).mergeContacts(req, res, next);
+});
+
+module.exports = router;
@@ -7,6 +7,8 @@ const controller = require('../controllers/event.controller');
 // ( /api/events/* )
 
 router.post('/', controller.createEventLog);
+// GET /api/events/export?format=csv|xlsx (須在 /:eventId 之前)
+router.get('/export', (req, res) => req.app.get('services').exportController.exportEvents(req, res));
 router.get('/:eventId', controller.getEventLogById);
 router.put('/:eventId', controller.updateEventLog);
 router.delete('/:eventId', controller.deleteEventLog);
@@ -0,0 +1,30 @@
+/**
+ * routes/import.routes.js
+ * CSV / XLSX 批次匯入路由
+ * * @version 1.0.0
+ * @date 2026-02-18
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// 輔助函式：從 Container 獲取 Controller 實例
+const getController = (req) => {
+    const services = req.app.get('services');
+    if (!services || !services.importController) {
+        throw new Error('ImportController 尚未初始化');
+    }
+    return services.importController;
+};
+
+// GET /api/import/jobs/:jobId
+router.get('/jobs/:jobId', (req, res, next) => {
+    getController(req).getJob(req, res, next);
+});
+
+// POST /api/import/:entity (company / contact / opportunity)
+router.post('/:entity', (req, res, next) => {
+    getController(req).importEntity(req, res, next);
+});
+
+module.exports = router;
@@ -26,6 +26,16 @@ const eventRoutes = require('./event.routes');
 const lineLeadsRoutes = require('./line-leads.routes');
 const externalRoutes = require('./external.routes');
 const calendarRoutes = require('./calendar.routes');
+const auditRoutes = require('./audit.routes');
+const recycleBinRoutes = require('./recycle-bin.routes');
+const realtimeRoutes = require('./realtime.routes');
+const quoteRoutes = require('./quote.routes');
+const taskRoutes = require('./task.routes');
+const automationRoutes = require('./automation.routes');
+const webhookRoutes = require('./webhook.routes');
+const duplicateRoutes = require('./duplicate.routes');
+const importRoutes = require('./import.routes');
+const searchRoutes = require('./search.routes');
 
 // ==========================================
 // 1. 公開/特殊驗證路由 (Public / Custom Auth)
@@ -43,6 +53,8 @@ router.get('/drive/thumbnail', externalController.getDriveThumbnail);
 // ==========================================
 router.use(authMiddleware.verifyToken);
 
+// [Soft Delete] 回收桶：/recycle-bin 與 /:entity/:id/(restore|purge)，須早於各模組路由
+router.use('/', recycleBinRoutes);
 router.use('/', systemRoutes);
 router.use('/external', externalRoutes);
 router.use('/announcements', announcementRoutes);
@@ -61,6 +73,15 @@ router.use('/sales-analysis', salesRoutes);
 router.use('/interactions', interactionRoutes);
 router.use('/events', eventRoutes);
 router.use('/calendar', calendarRoutes);
+router.use('/audit', auditRoutes);
+router.use('/realtime', realtimeRoutes);
+router.use('/quotes', quoteRoutes);
+router.use('/tasks', taskRoutes);
+router.use('/automation', automationRoutes);
+router.use('/webhooks', webhookRoutes);
+router.use('/duplicates', duplicateRoutes);
+router.use('/import', importRoutes);
+router.use('/search', searchRoutes);
 
 // ==========================================
 // 3. 404 與 根路徑
@@ -26,7 +26,7 @@ const getController = (req) => {
 // GET /api/line/leads - 取得所有名片資料
 router.get('/leads', (req, res) => getController(req).getAllLeads(req, res));
 
-// PUT /api/line/leads/:rowIndex - 更新特定名片狀態/資料
-router.put('/leads/:rowIndex', (req, res) => getController(req).updateLead(req, res));
+// PUT /api/line/leads/:cardId - 更新特定名片狀態/資料
+router.put('/leads/:cardId', (req, res) => getController(req).updateLead(req, res));
 
 module.exports = router;
@@ -17,6 +17,15 @@ const getController = (req) => {
     return services.opportunityController;
 };
 
+// 匯出 (ExportController)
+const getExportController = (req) => {
+    const services = req.app.get('services');
+    if (!services || !services.exportController) {
+        throw new Error('ExportController 尚未初始化');
+    }
+    return services.exportController;
+};
+
 // GET /api/opportunities/dashboard
 router.get('/dashboard', (req, res, next) => {
     getController(req).getDashboardData(req, res, next);
@@ -27,6 +36,11 @@ router.get('/by-county', (req, res, next) => {
     getController(req).getOpportunitiesByCounty(req, res, next);
 });
 
+// GET /api/opportunities/export?format=csv|xlsx (篩選 / 排序參數同列表)
+router.get('/export', (req, res, next) => {
+    getExportController(req).exportOpportunities(req, res, next);
+});
+
 // GET /api/opportunities/
 router.get('/', (req, res, next) => {
     getController(req).searchOpportunities(req, res, next);
@@ -47,13 +61,13 @@ router.put('/batch', (req, res, next) => {
     getController(req).batchUpdateOpportunities(req, res, next);
 });
 
-// PUT /api/opportunities/:rowIndex
-router.put('/:rowIndex', (req, res, next) => {
+// PUT /api/opportunities/:opportunityId
+router.put('/:opportunityId', (req, res, next) => {
     getController(req).updateOpportunity(req, res, next);
 });
 
-// DELETE /api/opportunities/:rowIndex
-router.delete('/:rowIndex', (req, res, next) => {
+// DELETE /api/opportunities/:opportunityId
+router.delete('/:opportunityId', (req, res, next) => {
     getController(req).deleteOpportunity(req, res, next);
 });
 
@@ -19,6 +19,9 @@ router.use(authMiddleware.verifyToken);
 // GET /api/products
 router.get('/', (req, res) => getController(req).getProducts(req, res));
 
+// GET /api/products/export?format=csv|xlsx (篩選參數同列表；非管理員不含成本與售價欄位)
+router.get('/export', (req, res) => req.app.get('services').exportController.exportProducts(req, res));
+
 // POST /api/products/refresh
 router.post('/refresh', (req, res) => getController(req).refresh(req, res));
 
@@ -0,0 +1,55 @@
+/**
+ * routes/quote.routes.js
+ * 報價單路由
+ * * @version 1.0.0
+ * @date 2026-02-12
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// 輔助函式：從 Container 獲取 Controller 實例
+const getController = (req) => {
+    const services = req.app.get('services');
+    if (!services || !services.quoteController) {
+        throw new Error('QuoteController 尚未初始化');
+    }
+    return services.quoteController;
+};
+
+// GET /api/quotes?opportunityId=
+router.get('/', (req, res, next) => {
+    getController(req).getQuotes(req, res, next);
+});
+
+// GET /api/quotes/draft?opportunityId=&priceTier=
+router.get('/draft', (req, res, next) => {
+    getController(req).getDraft(req, res, next);
+});
+
+// POST /api/quotes
+router.post('/', (req, res, next) => {
+    getController(req).createQuote(req, res, next);
+});
+
+// GET /api/quotes/:quoteId
+router.get('/:quoteId', (req, res, next) => {
+    getController(req).getQuote(req, res, next);
+});
+
+// GET /api/quotes/:quoteId/render
+router.get('/:quoteId/render', (req, res, next) => {
+    getController(req).renderQuote(req, res, next);
+});
+
+// POST /api/quotes/:quoteId/status
+router.post('/:quoteId/status', (req, res, next) => {
+    getController(req).updateStatus(req, res, next);
+});
+
+// POST /api/quotes/:quoteId/accept
+router.post('/:quoteId/accept', (req, res, next) => {
+    getController(req).acceptQuote(req, res, next);
+});
+
+module.exports = router;
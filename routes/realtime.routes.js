@@ -0,0 +1,25 @@
+/**
+ * routes/realtime.routes.js
+ * 即時變更推播路由
+ * * @version 1.0.0
+ * @date 2026-02-06
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// 輔助函式：從 Container 獲取 Controller 實例
+const getController = (req) => {
+    const services = req.app.get('services');
+    if (!services || !services.realtimeController) {
+        throw new Error('RealtimeController 尚未初始化');
+    }
+    return services.realtimeController;
+};
+
+// GET /api/realtime/changes (SSE)
+router.get('/changes', (req, res, next) => {
+    getController(req).streamChanges(req, res, next);
+});
+
+module.exports = router;
@@ -0,0 +1,42 @@
+/**
+ * routes/recycle-bin.routes.js
+ * 回收桶路由 (掛載於 /api 根層級)
+ * * @version 1.0.0
+ * @date 2026-02-04
+ */
+
+const express = require('express');
+const router = express.Router();
+const RecycleBinService = require('../services/recycle-bin-service');
+
+// 輔助函式：從 Container 獲取 Controller 實例
+const getController = (req) => {
+    const services = req.app.get('services');
+    if (!services || !services.recycleBinController) {
+        throw new Error('RecycleBinController 尚未初始化');
+    }
+    return services.recycleBinController;
+};
+
+// 只攔截回收桶支援的實體，其餘交給各模組路由
+router.param('entity', (req, res, next, entity) => {
+    if (!RecycleBinService.ENTITIES.includes(entity)) return next('route');
+    next();
+});
+
+// GET /api/recycle-bin
+router.get('/recycle-bin', (req, res, next) => {
+    getController(req).getItems(req, res, next);
+});
+
+// POST /api/:entity/:id/restore
+router.post('/:entity/:id/restore', (req, res, next) => {
+    getController(req).restore(req, res, next);
+});
+
+// POST /api/:entity/:id/purge
+router.post('/:entity/:id/purge', (req, res, next) => {
+    getController(req).purge(req, res, next);
+});
+
+module.exports = router;
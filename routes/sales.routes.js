@@ -6,4 +6,34 @@ const controller = require('../controllers/sales.controller');
 // GET /api/sales-analysis
 router.get('/', controller.getSalesAnalysis);
 
+// GET /api/sales/pipeline-analytics (階段漏斗、停留天數、勝率與成交週期)
+router.get('/pipeline-analytics', controller.getPipelineAnalytics);
+
+// GET /api/sales/forecast (業績預測)
+router.get('/forecast', controller.getForecast);
+
+// POST /api/sales/forecast/snapshots (儲存預測快照)
+router.post('/forecast/snapshots', controller.saveForecastSnapshot);
+
+// GET /api/sales/quotas (業績目標)
+router.get('/quotas', controller.getQuotas);
+
+// PUT /api/sales/quotas (設定業績目標，僅管理員)
+router.put('/quotas', controller.saveQuotas);
+
+// GET /api/sales/quotas/attainment (業績達成率與排行榜)
+router.get('/quotas/attainment', controller.getQuotaAttainment);
+
+// GET /api/sales/snapshots (每週管線快照列表)
+router.get('/snapshots', controller.getSnapshots);
+
+// POST /api/sales/snapshots (手動建立快照)
+router.post('/snapshots', controller.createSnapshot);
+
+// GET /api/sales/snapshots/movement (管線異動報表，須在 :snapshotId 之前)
+router.get('/snapshots/movement', controller.getSnapshotMovement);
+
+// GET /api/sales/snapshots/:snapshotId (快照明細)
+router.get('/snapshots/:snapshotId', controller.getSnapshot);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,25 @@
+/**
+ * routes/search.routes.js
+ * 全域搜尋路由
+ * * @version 1.0.0
+ * @date 2026-02-20
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// 輔助函式：從 Container 獲取 Controller 實例
+const getController = (req) => {
+    const services = req.app.get('services');
+    if (!services || !services.searchController) {
+        throw new Error('SearchController 尚未初始化');
+    }
+    return services.searchController;
+};
+
+// GET /api/search?q=
+router.get('/', (req, res, next) => {
+    getController(req).search(req, res, next);
+});
+
+module.exports = router;
@@ -0,0 +1,50 @@
+/**
+ * routes/task.routes.js
+ * 待辦任務路由
+ * * @version 1.0.0
+ * @date 2026-02-13
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// 輔助函式：從 Container 獲取 Controller 實例
+const getController = (req) => {
+    const services = req.app.get('services');
+    if (!services || !services.taskController) {
+        throw new Error('TaskController 尚未初始化');
+    }
+    return services.taskController;
+};
+
+// GET /api/tasks?assignee=&status=&linkType=&linkId=
+router.get('/', (req, res, next) => {
+    getController(req).getTasks(req, res, next);
+});
+
+// GET /api/tasks/mine
+router.get('/mine', (req, res, next) => {
+    getController(req).getMyTasks(req, res, next);
+});
+
+// POST /api/tasks
+router.post('/', (req, res, next) => {
+    getController(req).createTask(req, res, next);
+});
+
+// POST /api/tasks/from-interaction/:interactionId
+router.post('/from-interaction/:interactionId', (req, res, next) => {
+    getController(req).createFromInteraction(req, res, next);
+});
+
+// PUT /api/tasks/:taskId
+router.put('/:taskId', (req, res, next) => {
+    getController(req).updateTask(req, res, next);
+});
+
+// DELETE /api/tasks/:taskId
+router.delete('/:taskId', (req, res, next) => {
+    getController(req).deleteTask(req, res, next);
+});
+
+module.exports = router;
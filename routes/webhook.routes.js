@@ -0,0 +1,55 @@
+/**
+ * routes/webhook.routes.js
+ * 對外 Webhook 訂閱路由
+ * * @version 1.0.0
+ * @date 2026-02-15
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// 輔助函式：從 Container 獲取 Controller 實例
+const getController = (req) => {
+    const services = req.app.get('services');
+    if (!services || !services.webhookController) {
+        throw new Error('WebhookController 尚未初始化');
+    }
+    return services.webhookController;
+};
+
+// GET /api/webhooks/meta
+router.get('/meta', (req, res, next) => {
+    getController(req).getMeta(req, res, next);
+});
+
+// GET /api/webhooks/deliveries?webhookId=&status=&limit=
+router.get('/deliveries', (req, res, next) => {
+    getController(req).getDeliveries(req, res, next);
+});
+
+// POST /api/webhooks/deliveries/:deliveryId/redeliver
+router.post('/deliveries/:deliveryId/redeliver', (req, res, next) => {
+    getController(req).redeliver(req, res, next);
+});
+
+// GET /api/webhooks
+router.get('/', (req, res, next) => {
+    getController(req).getSubscriptions(req, res, next);
+});
+
+// POST /api/webhooks
+router.post('/', (req, res, next) => {
+    getController(req).createSubscription(req, res, next);
+});
+
+// PUT /api/webhooks/:webhookId
+router.put('/:webhookId', (req, res, next) => {
+    getController(req).updateSubscription(req, res, next);
+});
+
+// DELETE /api/webhooks/:webhookId
+router.delete('/:webhookId', (req, res, next) => {
+    getController(req).deleteSubscription(req, res, next);
+});
+
+module.exports = router;
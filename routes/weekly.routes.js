@@ -31,6 +31,11 @@ router.get('/details/:weekId', (req, res, next) =>
     getController(req).getWeeklyDetails(req, res, next)
 );
 
+// 依本週活動草擬週報 (不寫入)
+router.post('/draft/:weekId', (req, res, next) => 
+    getController(req).draftWeek(req, res, next)
+);
+
 // 建立週報
 router.post('/', (req, res, next) => 
     getController(req).createEntry(req, res, next)
@@ -7,8 +7,11 @@
  * @description 
  * 1. 承接原 Reader 的排序邏輯 (置頂優先 + 時間倒序)。
  * 2. 負責業務過濾 (狀態檢查)。
+ * 3. [Permissions] 建立 / 更新 / 刪除需具 announcement 寫入權限。
  */
 
+const { assertCanWrite } = require('../utils/permission-helpers');
+
 class AnnouncementService {
     /**
      * @param {Object} dependencies
@@ -57,6 +60,7 @@ class AnnouncementService {
      * @param {Object} user - 建立者使用者物件
      */
     async createAnnouncement(data, user) {
+        assertCanWrite(user, 'announcement');
         try {
             const creatorName = user.displayName || user.username || user.name || 'System';
             
@@ -80,6 +84,7 @@ class AnnouncementService {
      * @param {Object} user - 操作者
      */
     async updateAnnouncement(id, data, user) {
+        assertCanWrite(user, 'announcement');
         try {
             const modifierName = user.displayName || user.username || user.name || 'System';
 
@@ -104,8 +109,10 @@ class AnnouncementService {
     /**
      * 刪除公告
      * @param {string} id - 公告 ID
+     * @param {Object} [user] - 操作者
      */
-    async deleteAnnouncement(id) {
+    async deleteAnnouncement(id, user = null) {
+        assertCanWrite(user, 'announcement');
         try {
             // 1. 查找公告以獲取 rowIndex
             const allAnnouncements = await this.announcementReader.getAnnouncements();
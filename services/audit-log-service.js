@@ -0,0 +1,245 @@
+/**
+ * services/audit-log-service.js
+ * 欄位層級稽核紀錄 (Audit Trail)
+ * * @version 1.0.0
+ * @date 2026-02-03
+ * @description
+ * 1. attachToWriter()：由 service-container 掛載於各模組 Writer 的寫入方法外層。
+ * 寫入前依 rowIndex 取得舊資料快照，寫入成功後比對傳入欄位，逐欄寫入「稽核紀錄」。
+ * 快照在寫入範圍 (utils/write-context) 內與即時推播、自動化共用同一次讀取。
+ * 建立方法寫入成功後記一筆 create (新值為名稱)，ID 取自 Writer 回傳值。
+ * 2. 稽核寫入失敗只記錄警告，不影響原本的寫入結果。
+ * 3. getHistory()：依實體與ID 查詢異動歷程 (時間倒序)；角色不可見的欄位 (例如商品成本) 不回傳。
+ * 4. recordMerge()：重複資料合併時由 DuplicateService 呼叫，於存續與被併入的資料各記一筆 merge。
+ */
+
+const { assertCanRead, getHiddenFields } = require('../utils/permission-helpers');
+const writeContext = require('../utils/write-context');
+
+// 不列入稽核的系統欄位
+const IGNORED_FIELDS = ['rowIndex', 'modifier', 'lastUpdateTime', 'lastModifier'];
+
+const ENTITIES = ['opportunity', 'company', 'contact', 'product', 'event'];
+
+class AuditLogService {
+    /**
+     * @param {Object} auditLogReader
+     * @param {Object} auditLogWriter
+     */
+    constructor(auditLogReader, auditLogWriter) {
+        this.auditLogReader = auditLogReader;
+        this.auditLogWriter = auditLogWriter;
+    }
+
+    static get ENTITIES() {
+        return ENTITIES;
+    }
+
+    /**
+     * 將稽核掛載到 Writer 上 (不修改 Writer 原始碼，Sheet / SQL 版共用)
+     * @param {Object} writer - 任一 Writer 實例
+     * @param {Object} spec
+     * @param {string} spec.entity - 實體名稱 (見 ENTITIES)
+     * @param {string} spec.idField - DTO 中的穩定ID 欄位
+     * @param {string} [spec.nameField] - 建立 / 刪除時記錄的名稱欄位
+     * @param {Function} spec.loadRecords - 讀取該實體全部 DTO (含 rowIndex)，建議以 writeContext.shared() 包裝
+     * @param {Function} [spec.locate] - (records, key, data) => record，預設以 rowIndex 比對
+     * @param {Object} [spec.fieldMap] - Writer 欄位名稱 -> DTO 欄位名稱
+     * @param {Array<string>} [spec.ignoreFields] - 額外不記錄的欄位
+     * @param {Object} [spec.creates] - { methodName: 修改者參數位置，或 (args) => 修改者 }，第一個參數為新資料
+     * @param {Array<string>} [spec.updates] - 簽章為 (key, data, modifier) 的更新方法
+     * @param {Array<string>} [spec.batchUpdates] - 簽章為 ([{ rowIndex, data, modifier }]) 的批次更新方法
+     * @param {Object} [spec.deletes] - { methodName: 修改者參數位置 }
+     */
+    attachToWriter(writer, spec) {
+        Object.entries(spec.creates || {}).forEach(([method, modifierArg]) => {
+            const original = writer[method].bind(writer);
+            writer[method] = (...args) => writeContext.run(writer, method, args[0], async () => {
+                const result = await original(...args);
+                const id = this._idFromResult(spec, result);
+                if (id) {
+                    const data = args[0] || {};
+                    const modifier = typeof modifierArg === 'function' ? modifierArg(args) : args[modifierArg];
+                    await this._append([this._entry(spec, { [spec.idField]: id }, 'create', {
+                        field: '',
+                        oldValue: '',
+                        newValue: spec.nameField ? data[spec.nameField] : ''
+                    }, modifier)]);
+                }
+                return result;
+            });
+        });
+
+        (spec.updates || []).forEach(method => {
+            const original = writer[method].bind(writer);
+            writer[method] = (key, data, modifier, ...rest) => writeContext.run(writer, method, key, async () => {
+                const [before] = await this._snapshot(spec, [{ key, data }]);
+                const result = await original(key, data, modifier, ...rest);
+                await this._recordChanges(spec, [{ before, data, modifier }]);
+                return result;
+            });
+        });
+
+        (spec.batchUpdates || []).forEach(method => {
+            const original = writer[method].bind(writer);
+            writer[method] = (updates, ...rest) => writeContext.run(writer, method, updates, async () => {
+                const befores = await this._snapshot(spec, updates.map(u => ({ key: u.rowIndex, data: u.data })));
+                const result = await original(updates, ...rest);
+                await this._recordChanges(spec, updates.map((u, i) => ({ before: befores[i], data: u.data, modifier: u.modifier })));
+                return result;
+            });
+        });
+
+        Object.entries(spec.deletes || {}).forEach(([method, modifierArgIndex]) => {
+            const original = writer[method].bind(writer);
+            writer[method] = (...args) => writeContext.run(writer, method, args[0], async () => {
+                const [before] = await this._snapshot(spec, [{ key: args[0], data: {} }]);
+                const result = await original(...args);
+                if (before) {
+                    await this._append([this._entry(spec, before, 'delete', {
+                        field: '',
+                        oldValue: spec.nameField ? before[spec.nameField] : '',
+                        newValue: ''
+                    }, args[modifierArgIndex])]);
+                }
+                return result;
+            });
+        });
+    }
+
+    /**
+     * 記錄重複資料合併 (存續與被併入的兩筆各寫一列 action = 'merge')
+     * 移轉關聯時的欄位異動仍由 Writer 掛載照常記錄。
+     * @param {string} entity - company / contact
+     * @param {{ id: string, name: string }} survivor - 存續資料
+     * @param {{ id: string, name: string }} duplicate - 被併入的資料
+     * @param {string} summary - 移轉摘要
+     * @param {Object|string} modifier
+     */
+    async recordMerge(entity, survivor, duplicate, summary, modifier) {
+        const base = { timestamp: new Date().toISOString(), entity, action: 'merge', field: '', user: this._modifierName(modifier) };
+        await this._append([
+            { ...base, entityId: survivor.id, oldValue: `${duplicate.name} (${duplicate.id})`, newValue: summary },
+            { ...base, entityId: duplicate.id, oldValue: duplicate.name, newValue: `併入 ${survivor.name} (${survivor.id})` }
+        ]);
+    }
+
+    /**
+     * @param {string} entity
+     * @returns {boolean}
+     */
+    isSupportedEntity(entity) {
+        return ENTITIES.includes(entity);
+    }
+
+    /**
+     * 依實體與ID 取得異動歷程 (新 -> 舊)
+     * @param {string} entity
+     * @param {string} entityId
+     * @param {Object} [user] - 操作者，依角色移除不可見欄位的異動
+     */
+    async getHistory(entity, entityId, user = null) {
+        assertCanRead(user, entity);
+        const hiddenFields = getHiddenFields(user, entity);
+
+        const logs = await this.auditLogReader.getAuditLogs();
+        return logs
+            .filter(log => log.entity === entity && String(log.entityId) === String(entityId))
+            .filter(log => !hiddenFields.includes(log.field))
+            .sort((a, b) => new Date(b.timestamp || 0) - new Date(a.timestamp || 0));
+    }
+
+    /**
+     * @private 取得寫入前的資料快照，失敗時回傳 null (不阻擋寫入)
+     */
+    async _snapshot(spec, targets) {
+        try {
+            const records = await spec.loadRecords();
+            const locate = spec.locate || ((list, key) => list.find(r => String(r.rowIndex) === String(key)));
+            return targets.map(t => ({ ...(locate(records, t.key, t.data || {}) || {}) }))
+                .map(record => (Object.keys(record).length > 0 ? record : null));
+        } catch (error) {
+            console.warn(`⚠️ [AuditLogService] 無法取得 ${spec.entity} 異動前資料: ${error.message}`);
+            return targets.map(() => null);
+        }
+    }
+
+    /**
+     * @private 比對欄位並寫入
+     */
+    async _recordChanges(spec, items) {
+        const entries = [];
+        items.forEach(({ before, data, modifier }) => {
+            if (!before || !data) return;
+            this._diff(spec, before, data).forEach(change => {
+                entries.push(this._entry(spec, before, 'update', change, modifier));
+            });
+        });
+        await this._append(entries);
+    }
+
+    /**
+     * @private 只比對 DTO 上存在的欄位 (Writer 不認得的欄位本來就不會寫入)
+     */
+    _diff(spec, before, data) {
+        const ignored = [...IGNORED_FIELDS, ...(spec.ignoreFields || [])];
+        const fieldMap = spec.fieldMap || {};
+
+        return Object.keys(data)
+            .filter(key => data[key] !== undefined && !ignored.includes(key))
+            .map(key => ({ field: fieldMap[key] || key, newValue: data[key] }))
+            .filter(change => Object.prototype.hasOwnProperty.call(before, change.field))
+            .map(change => ({ ...change, oldValue: before[change.field] }))
+            .filter(change => this._stringify(change.oldValue) !== this._stringify(change.newValue));
+    }
+
+    _entry(spec, before, action, change, modifier) {
+        return {
+            timestamp: new Date().toISOString(),
+            entity: spec.entity,
+            entityId: before[spec.idField] || '',
+            action,
+            field: change.field,
+            oldValue: this._stringify(change.oldValue),
+            newValue: this._stringify(change.newValue),
+            user: this._modifierName(modifier)
+        };
+    }
+
+    _idFromResult(spec, result) {
+        if (!result) return null;
+        if (typeof result === 'string') return result;
+        return result.id || (result.data && result.data[spec.idField]) || null;
+    }
+
+    async _append(entries) {
+        if (entries.length === 0) return;
+
+        // 同一毫秒可能有多次寫入 (例如併發請求)，以隨機尾碼避免ID 重複；批次內序號維持排序
+        const base = Date.now();
+        const suffix = String(Math.floor(Math.random() * 1000)).padStart(3, '0');
+        entries.forEach((entry, index) => {
+            entry.auditId = `AUD${base}${String(index).padStart(3, '0')}${suffix}`;
+        });
+
+        try {
+            await this.auditLogWriter.appendEntries(entries);
+        } catch (error) {
+            console.warn(`⚠️ [AuditLogService] 寫入稽核紀錄失敗 (${entries.length} 筆): ${error.message}`);
+        }
+    }
+
+    _stringify(value) {
+        if (value === null || value === undefined) return '';
+        if (typeof value === 'object') return JSON.stringify(value);
+        return String(value);
+    }
+
+    _modifierName(modifier) {
+        if (!modifier) return 'System';
+        if (typeof modifier === 'object') return modifier.displayName || modifier.username || 'System';
+        return String(modifier);
+    }
+}
+
+module.exports = AuditLogService;
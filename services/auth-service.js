@@ -10,6 +10,7 @@
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const config = require('../config');
+const { getRolePermissions } = require('../utils/permission-helpers');
 
 class AuthService {
     /**
@@ -129,6 +130,8 @@ class AuthService {
         return {
             name: user.displayName,
             role: user.role,
+            // [Permissions] 前端據此隱藏無權限的功能入口 (實際限制仍由 Service 層執行)
+            permissions: getRolePermissions(payload),
             token
         };
     }
@@ -0,0 +1,654 @@
+/**
+ * services/automation-service.js
+ * 自動化規則引擎
+ * * @version 1.0.0
+ * @date 2026-02-14
+ * @description
+ * 1. 規則管理 (僅管理員)：觸發 (建立 / 更新 / 階段變更 / 閒置 N 天) + 條件 (全部符合) + 動作 (依序執行)。
+ * 2. attachToWriter()：與 AuditLogService 相同由 service-container 掛載於 Writer，寫入後比對前後資料並觸發規則。
+ * 規則在寫入完成後非同步執行，失敗只寫入執行紀錄，不影響原本的寫入結果。
+ * 異動前資料在寫入範圍 (utils/write-context) 內與稽核、推播共用；寫入後資料每次寫入只讀取一次 (批次亦同)，
+ * 匯入等批次作業 (writeContext.bulk) 的新增於作業結束後整批讀取一次再觸發。
+ * 3. 動作造成的寫入不會再觸發規則 (以 AsyncLocalStorage 標記執行中的規則)，避免規則互相連鎖。
+ * 動作以 SYSTEM_ACTOR 執行；「傳送 Webhook」指定 Webhook 訂閱，由 WebhookService 簽章、重試並寫入傳送紀錄。
+ * 4. 閒置規則由排程 (startSchedule) 定期檢查；同一筆資料在最後一次活動後只觸發一次。
+ * 依賴注入：Config, AutomationReader/Writer, OpportunityReader, CompanyReader, ContactReader, InteractionReader,
+ *          InteractionWriter, TaskService, AnnouncementService, OpportunityService, WebhookService
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const { assertCanRead, assertCanWrite, SYSTEM_ACTOR } = require('../utils/permission-helpers');
+const writeContext = require('../utils/write-context');
+
+const CREATE_ERROR_PREFIX = '無法建檔：';
+const UPDATE_ERROR_PREFIX = '無法更新：';
+
+// 比對是否有變更時忽略的系統欄位
+const IGNORED_FIELDS = ['rowIndex', 'lastUpdateTime', 'lastModifier', 'stageHistory'];
+
+// 各動作可用的實體 (未列出者全部可用)
+const ACTION_ENTITIES = {
+    assign_owner: ['opportunity']
+};
+
+const RUN_STATUS = { SUCCESS: '成功', FAILED: '失敗' };
+
+// 「傳送 Webhook」動作的事件名稱 (X-CRM-Event)
+const AUTOMATION_WEBHOOK_EVENT = 'automation.triggered';
+
+class AutomationService {
+    /**
+     * @param {Object} deps
+     */
+    constructor({
+        config, automationReader, automationWriter,
+        opportunityReader, companyReader, contactReader, interactionReader, interactionWriter,
+        taskService, announcementService, opportunityService, webhookService
+    }) {
+        this.config = config;
+        this.automationReader = automationReader;
+        this.automationWriter = automationWriter;
+        this.opportunityReader = opportunityReader;
+        this.companyReader = companyReader;
+        this.contactReader = contactReader;
+        this.interactionReader = interactionReader;
+        this.interactionWriter = interactionWriter;
+        this.taskService = taskService;
+        this.announcementService = announcementService;
+        this.opportunityService = opportunityService;
+        this.webhookService = webhookService;
+
+        this._running = new AsyncLocalStorage();
+        this._timer = null;
+    }
+
+    // --- 規則管理 (Rules) ---
+
+    /**
+     * 規則編輯器所需的選項 (實體、觸發、運算子、動作)
+     */
+    getMeta(user) {
+        assertCanRead(user, 'automation');
+        const { ENTITIES, TRIGGERS, OPERATORS, ACTIONS } = this.config.AUTOMATION;
+        return { entities: ENTITIES, triggers: TRIGGERS, operators: OPERATORS, actions: ACTIONS, actionEntities: ACTION_ENTITIES };
+    }
+
+    /**
+     * @returns {Promise<Array<object>>} 規則 (附最後一次執行結果)
+     */
+    async getRules(user) {
+        assertCanRead(user, 'automation');
+        const [rules, logs] = await Promise.all([this._loadRules(), this.automationReader.getRunLogs()]);
+
+        const lastRuns = new Map();
+        logs.forEach(log => {
+            const previous = lastRuns.get(log.ruleId);
+            if (!previous || log.executedTime > previous.executedTime) lastRuns.set(log.ruleId, log);
+        });
+
+        return rules.map(({ rowIndex, ...rule }) => {
+            const lastRun = lastRuns.get(rule.ruleId);
+            return { ...rule, lastRun: lastRun ? { status: lastRun.status, executedTime: lastRun.executedTime } : null };
+        });
+    }
+
+    async createRule(data, user) {
+        assertCanWrite(user, 'automation');
+        const rule = this._normalizeRule(data, CREATE_ERROR_PREFIX);
+        const result = await this.automationWriter.createRule(this._serialize(rule), this._userName(user));
+        return { success: true, id: result.id };
+    }
+
+    async updateRule(ruleId, data, user) {
+        assertCanWrite(user, 'automation');
+        const original = await this._findRule(ruleId);
+        const rule = this._normalizeRule({ ...original, ...data }, UPDATE_ERROR_PREFIX);
+        await this.automationWriter.updateRule(original.rowIndex, this._serialize(rule), this._userName(user));
+        return { success: true };
+    }
+
+    async deleteRule(ruleId, user) {
+        assertCanWrite(user, 'automation');
+        const rule = await this._findRule(ruleId);
+        await this.automationWriter.deleteRule(rule.rowIndex);
+        return { success: true };
+    }
+
+    /**
+     * 執行紀錄 (新 -> 舊)
+     * @param {Object} [filters] - { ruleId, limit }
+     */
+    async getRunLogs(filters = {}, user) {
+        assertCanRead(user, 'automation');
+        const limit = Math.min(parseInt(filters.limit, 10) || 100, 500);
+        const logs = await this.automationReader.getRunLogs();
+        return logs
+            .filter(log => !filters.ruleId || log.ruleId === filters.ruleId)
+            .sort((a, b) => String(b.executedTime).localeCompare(String(a.executedTime)))
+            .slice(0, limit)
+            .map(({ rowIndex, detail, ...log }) => ({ ...log, detail: this._parseJson(detail, []) }));
+    }
+
+    // --- 寫入觸發 (Writer Hooks) ---
+
+    /**
+     * 將規則觸發掛載到 Writer 上 (不修改 Writer 原始碼，Sheet / SQL 版共用)
+     * @param {Object} writer - 任一 Writer 實例
+     * @param {Object} spec
+     * @param {string} spec.entity - 實體名稱 (見 config.AUTOMATION.ENTITIES)
+     * @param {string} spec.idField - DTO 中的穩定ID 欄位
+     * @param {Function} spec.loadRecords - 讀取該實體全部 DTO (含 rowIndex)，建議以 writeContext.shared() 包裝
+     * @param {Array<string>} [spec.creates] - 建立方法 (由回傳值取得新ID)
+     * @param {Array<string>} [spec.updates] - 簽章為 (rowIndex, data, modifier) 的更新方法
+     * @param {Array<string>} [spec.batchUpdates] - 簽章為 ([{ rowIndex, data, modifier }]) 的批次更新方法
+     */
+    attachToWriter(writer, spec) {
+        (spec.creates || []).forEach(method => {
+            const original = writer[method].bind(writer);
+            writer[method] = (...args) => writeContext.run(writer, method, args[0], async () => {
+                const listening = await this._isListening(spec.entity);
+                const result = await original(...args);
+                const id = listening ? this._idFromResult(spec, result) : null;
+                if (id) {
+                    const handleCreated = (ids) => this._defer(async () => {
+                        const afters = await this._findRecords(spec, ids);
+                        for (const after of afters) {
+                            if (after) await this._handleChange(spec.entity, null, after);
+                        }
+                    });
+                    // 批次作業 (匯入) 結束後才一併觸發，整批只讀取一次
+                    if (!writeContext.afterBulk(`automation:${spec.entity}`, id, handleCreated)) handleCreated([id]);
+                }
+                return result;
+            });
+        });
+
+        const wrapUpdates = (method, toTargets) => {
+            const original = writer[method].bind(writer);
+            writer[method] = (...args) => writeContext.run(writer, method, args[0], async () => {
+                const listening = await this._isListening(spec.entity);
+                const befores = listening ? (await this._snapshot(spec, toTargets(args))).filter(Boolean) : [];
+                const result = await original(...args);
+                if (befores.length > 0) {
+                    this._defer(async () => {
+                        const afters = await this._findRecords(spec, befores.map(before => before[spec.idField]));
+                        for (let i = 0; i < befores.length; i++) {
+                            if (afters[i]) await this._handleChange(spec.entity, befores[i], afters[i]);
+                        }
+                    });
+                }
+                return result;
+            });
+        };
+        (spec.updates || []).forEach(method => wrapUpdates(method, (args) => [args[0]]));
+        (spec.batchUpdates || []).forEach(method => wrapUpdates(method, (args) => args[0].map(u => u.rowIndex)));
+    }
+
+    /**
+     * @private 依前後資料判斷觸發類型並執行符合的規則
+     * @param {string} entity
+     * @param {Object|null} before - 建立時為 null
+     * @param {Object} after
+     */
+    async _handleChange(entity, before, after) {
+        if (this._isDeleted(entity, after)) return;
+
+        const triggers = [];
+        if (!before) {
+            triggers.push('created');
+        } else if (this._hasChanges(before, after)) {
+            triggers.push('updated');
+            if (entity === 'opportunity' && before.currentStage !== after.currentStage) triggers.push('stage_changed');
+        }
+        if (triggers.length === 0) return;
+
+        const rules = (await this._loadRules()).filter(r => r.enabled && r.entity === entity && triggers.includes(r.trigger));
+        for (const rule of rules) {
+            if (rule.trigger === 'stage_changed' && !this._matchesStageChange(rule, before, after)) continue;
+            if (!this._matchesConditions(rule.conditions, after, before)) continue;
+            await this._execute(rule, entity, after, before);
+        }
+    }
+
+    _matchesStageChange(rule, before, after) {
+        const { fromStage, toStage } = rule.triggerParams || {};
+        if (fromStage && before.currentStage !== fromStage) return false;
+        if (toStage && after.currentStage !== toStage) return false;
+        return true;
+    }
+
+    /**
+     * 條件全部符合才執行 (沒有條件視為符合)
+     * @param {Array<object>} conditions - [{ field, operator, value }]
+     * @param {Object} record - 觸發後的資料
+     * @param {Object|null} before - 觸發前的資料 (operator 為 changed 時使用)
+     */
+    _matchesConditions(conditions, record, before) {
+        return (conditions || []).every(({ field, operator, value }) => {
+            const actual = record[field];
+            const text = actual === null || actual === undefined ? '' : String(actual).trim();
+            const expected = value === null || value === undefined ? '' : String(value).trim();
+
+            switch (operator) {
+                case 'equals': return text === expected;
+                case 'not_equals': return text !== expected;
+                case 'contains': return text.includes(expected);
+                case 'in': return expected.split(',').map(v => v.trim()).filter(Boolean).includes(text);
+                case 'gt': return text !== '' && Number(text) > Number(expected);
+                case 'lt': return text !== '' && Number(text) < Number(expected);
+                case 'is_empty': return text === '';
+                case 'not_empty': return text !== '';
+                case 'changed': return !!before && String(before[field] ?? '') !== String(actual ?? '');
+                default: return false;
+            }
+        });
+    }
+
+    // --- 閒置檢查 (Schedule) ---
+
+    /**
+     * 啟動閒置規則的定期檢查 (config.AUTOMATION)
+     */
+    startSchedule() {
+        const settings = this.config.AUTOMATION;
+        if (!settings.ENABLED || this._timer) return;
+
+        this._timer = setInterval(() => this._runScheduled(), settings.IDLE_CHECK_INTERVAL);
+        if (this._timer.unref) this._timer.unref();
+        setTimeout(() => this._runScheduled(), 30 * 1000).unref();
+        console.log(`🤖 [Automation] 閒置規則排程已啟動 (每 ${Math.round(settings.IDLE_CHECK_INTERVAL / 3600000)} 小時)`);
+    }
+
+    stopSchedule() {
+        if (this._timer) clearInterval(this._timer);
+        this._timer = null;
+    }
+
+    async _runScheduled() {
+        try {
+            const count = await this.runIdleCheck();
+            if (count > 0) console.log(`🤖 [Automation] 閒置規則執行 ${count} 次`);
+        } catch (error) {
+            console.warn(`⚠️ [Automation] 閒置檢查失敗: ${error.message}`);
+        }
+    }
+
+    /**
+     * 檢查所有閒置規則；最後活動時間早於 N 天前、且該次閒置尚未觸發過的資料執行動作
+     * @returns {Promise<number>} 執行次數
+     */
+    async runIdleCheck() {
+        const rules = (await this._loadRules()).filter(r => r.enabled && r.trigger === 'idle');
+        if (rules.length === 0) return 0;
+
+        const [logs, lastInteractions] = await Promise.all([
+            this.automationReader.getRunLogs(),
+            this._latestInteractionTimes()
+        ]);
+        const now = Date.now();
+        let count = 0;
+
+        for (const rule of rules) {
+            const days = Number(rule.triggerParams.days);
+            const records = await this._loadEntityRecords(rule.entity);
+
+            for (const record of records) {
+                if (this._isDeleted(rule.entity, record) || !this._isIdleCandidate(rule.entity, record)) continue;
+
+                const id = record[this._idField(rule.entity)];
+                const lastActivity = this._lastActivity(rule.entity, record, lastInteractions);
+                if (!lastActivity || now - lastActivity < days * 86400000) continue;
+
+                const alreadyRun = logs.some(log => log.ruleId === rule.ruleId && log.entityId === id
+                    && new Date(log.executedTime).getTime() > lastActivity);
+                if (alreadyRun) continue;
+                if (!this._matchesConditions(rule.conditions, record, null)) continue;
+
+                await this._execute(rule, rule.entity, record, null);
+                count++;
+            }
+        }
+        return count;
+    }
+
+    _isIdleCandidate(entity, record) {
+        if (entity !== 'opportunity') return true;
+        return record.currentStatus === this.config.CONSTANTS.OPPORTUNITY_STATUS.ACTIVE;
+    }
+
+    /**
+     * 最後活動時間：資料本身的更新時間，機會與公司另計入互動紀錄
+     */
+    _lastActivity(entity, record, lastInteractions) {
+        const times = [record.lastUpdateTime, record.createdTime].map(t => new Date(t || 0).getTime() || 0);
+        if (entity === 'opportunity') times.push(lastInteractions.byOpportunity.get(record.opportunityId) || 0);
+        if (entity === 'company') times.push(lastInteractions.byCompany.get(record.companyId) || 0);
+        return Math.max(...times);
+    }
+
+    async _latestInteractionTimes() {
+        const byOpportunity = new Map();
+        const byCompany = new Map();
+        const interactions = await this.interactionReader.getInteractions();
+        interactions.forEach(i => {
+            const time = new Date(i.interactionTime || i.createdTime || 0).getTime() || 0;
+            if (i.opportunityId && time > (byOpportunity.get(i.opportunityId) || 0)) byOpportunity.set(i.opportunityId, time);
+            if (i.companyId && time > (byCompany.get(i.companyId) || 0)) byCompany.set(i.companyId, time);
+        });
+        return { byOpportunity, byCompany };
+    }
+
+    // --- 動作執行 (Actions) ---
+
+    /**
+     * @private 依序執行規則的動作並寫入執行紀錄；動作造成的寫入不再觸發規則
+     */
+    async _execute(rule, entity, record, before) {
+        const results = await this._running.run({ ruleId: rule.ruleId }, async () => {
+            const list = [];
+            for (const action of rule.actions) {
+                try {
+                    const message = await this._runAction(rule, action, entity, record, before);
+                    list.push({ type: action.type, ok: true, message });
+                } catch (error) {
+                    console.warn(`⚠️ [Automation] 規則「${rule.name}」動作 ${action.type} 失敗: ${error.message}`);
+                    list.push({ type: action.type, ok: false, message: error.message });
+                }
+            }
+            return list;
+        });
+
+        await this._appendLog({
+            ruleId: rule.ruleId,
+            ruleName: rule.name,
+            trigger: rule.trigger,
+            entity,
+            entityId: record[this._idField(entity)] || '',
+            status: results.every(r => r.ok) ? RUN_STATUS.SUCCESS : RUN_STATUS.FAILED,
+            detail: JSON.stringify(results)
+        });
+        return results;
+    }
+
+    /**
+     * @returns {Promise<string>} 執行結果說明
+     */
+    async _runAction(rule, action, entity, record, before) {
+        const fill = (text) => this._fillTemplate(text, record, rule);
+        const id = record[this._idField(entity)];
+
+        switch (action.type) {
+            case 'create_task': {
+                const dueInDays = parseInt(action.dueInDays, 10);
+                const dueDate = Number.isFinite(dueInDays) ? this._formatDate(this._addDays(new Date(), dueInDays)) : '';
+                const result = await this.taskService.createTask({
+                    title: fill(action.title),
+                    description: fill(action.description),
+                    assignee: action.assignee ? fill(action.assignee) : (record.assignee || ''),
+                    dueDate,
+                    priority: action.priority || this.config.TASK.DEFAULT_PRIORITY,
+                    linkType: entity,
+                    linkId: id
+                }, SYSTEM_ACTOR);
+                return `已建立任務 ${result.id}`;
+            }
+            case 'create_interaction': {
+                const opportunityId = entity === 'opportunity' ? id : '';
+                const companyId = entity === 'company' ? id : (record.companyId || '');
+                if (!opportunityId && !companyId) throw new Error('找不到可關聯的機會或公司');
+                const result = await this.interactionWriter.createInteraction({
+                    opportunityId,
+                    companyId,
+                    eventType: '系統事件',
+                    eventTitle: fill(action.title) || rule.name,
+                    contentSummary: fill(action.summary),
+                    interactionTime: new Date().toISOString()
+                }, SYSTEM_ACTOR.name);
+                return `已新增互動紀錄 ${(result && result.id) || ''}`.trim();
+            }
+            case 'post_announcement': {
+                const result = await this.announcementService.createAnnouncement({
+                    title: fill(action.title),
+                    content: fill(action.content),
+                    isPinned: !!action.isPinned
+                }, SYSTEM_ACTOR);
+                return `已發布公告 ${(result && result.id) || ''}`.trim();
+            }
+            case 'send_webhook': {
+                // 舊版規則直接填寫網址 (無簽章)，需改為指定 Webhook 訂閱
+                if (!action.webhookId) throw new Error('請編輯規則，改為指定 Webhook 訂閱');
+                const delivery = await this.webhookService.deliverTo(action.webhookId, {
+                    event: AUTOMATION_WEBHOOK_EVENT,
+                    entity,
+                    entityId: id,
+                    actor: SYSTEM_ACTOR.name,
+                    data: record,
+                    rule: { id: rule.ruleId, name: rule.name, trigger: rule.trigger },
+                    previous: before
+                });
+                return `Webhook 已送出 (${delivery.deliveryId}，HTTP ${delivery.responseStatus})`;
+            }
+            case 'assign_owner': {
+                const assignee = fill(action.assignee);
+                if (record.assignee === assignee) return '負責業務未變更';
+                await this.opportunityService.updateOpportunity(id, { assignee }, SYSTEM_ACTOR);
+                return `已指派給 ${assignee}`;
+            }
+            default:
+                throw new Error(`不支援的動作：${action.type}`);
+        }
+    }
+
+    // --- 驗證 (Validation) ---
+
+    _normalizeRule(data, prefix) {
+        const { ENTITIES, TRIGGERS, OPERATORS, ACTIONS } = this.config.AUTOMATION;
+
+        const name = String(data.name || '').trim();
+        if (!name) throw new Error(`${prefix}規則名稱不可空白`);
+        if (!ENTITIES[data.entity]) throw new Error(`${prefix}不支援的實體：${data.entity}`);
+        if (!TRIGGERS[data.trigger]) throw new Error(`${prefix}不支援的觸發：${data.trigger}`);
+
+        const params = data.triggerParams || {};
+        const triggerParams = {};
+        if (data.trigger === 'stage_changed') {
+            if (data.entity !== 'opportunity') throw new Error(`${prefix}階段變更僅適用於機會案件`);
+            if (params.fromStage) triggerParams.fromStage = String(params.fromStage);
+            if (params.toStage) triggerParams.toStage = String(params.toStage);
+        }
+        if (data.trigger === 'idle') {
+            const days = parseInt(params.days, 10);
+            if (!Number.isFinite(days) || days < 1) throw new Error(`${prefix}閒置天數必須是正整數`);
+            triggerParams.days = days;
+        }
+
+        const conditions = (Array.isArray(data.conditions) ? data.conditions : []).map(c => {
+            if (!c || !c.field) throw new Error(`${prefix}條件缺少欄位`);
+            if (!OPERATORS[c.operator]) throw new Error(`${prefix}不支援的條件運算子：${c.operator}`);
+            return { field: String(c.field), operator: c.operator, value: c.value === undefined ? '' : String(c.value) };
+        });
+
+        const actions = Array.isArray(data.actions) ? data.actions : [];
+        if (actions.length === 0) throw new Error(`${prefix}至少需要一個動作`);
+        actions.forEach(action => {
+            if (!action || !ACTIONS[action.type]) throw new Error(`${prefix}不支援的動作：${action && action.type}`);
+            const allowed = ACTION_ENTITIES[action.type];
+            if (allowed && !allowed.includes(data.entity)) {
+                throw new Error(`${prefix}「${ACTIONS[action.type]}」不適用於${ENTITIES[data.entity]}`);
+            }
+            if (['create_task', 'post_announcement'].includes(action.type) && !String(action.title || '').trim()) {
+                throw new Error(`${prefix}「${ACTIONS[action.type]}」需要標題`);
+            }
+            if (action.type === 'send_webhook' && !String(action.webhookId || '').trim()) {
+                throw new Error(`${prefix}「${ACTIONS[action.type]}」需要指定 Webhook 訂閱`);
+            }
+            if (action.type === 'assign_owner' && !String(action.assignee || '').trim()) {
+                throw new Error(`${prefix}「指派負責業務」需要指定負責人`);
+            }
+        });
+
+        return {
+            name,
+            enabled: data.enabled !== false && data.enabled !== 'false',
+            entity: data.entity,
+            trigger: data.trigger,
+            triggerParams,
+            conditions,
+            actions
+        };
+    }
+
+    // --- 內部輔助函式 ---
+
+    async _isListening(entity) {
+        if (!this.config.AUTOMATION.ENABLED || this._running.getStore()) return false;
+        try {
+            const rules = await this._loadRules();
+            return rules.some(r => r.enabled && r.entity === entity && r.trigger !== 'idle');
+        } catch (error) {
+            console.warn(`⚠️ [Automation] 無法讀取自動化規則: ${error.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * @private 讀取並解析規則 (JSON 欄位解析失敗的規則視為停用)
+     */
+    async _loadRules() {
+        const rows = await this.automationReader.getRules();
+        return rows.map(row => {
+            const actions = this._parseJson(row.actions, null);
+            return {
+                ...row,
+                enabled: (row.enabled === true || String(row.enabled).toUpperCase() === 'TRUE') && Array.isArray(actions),
+                triggerParams: this._parseJson(row.triggerParams, {}),
+                conditions: this._parseJson(row.conditions, []),
+                actions: actions || []
+            };
+        });
+    }
+
+    async _findRule(ruleId) {
+        const rules = await this._loadRules();
+        const rule = rules.find(r => r.ruleId === ruleId);
+        if (!rule) throw new Error(`找不到自動化規則 (ID: ${ruleId})`);
+        return rule;
+    }
+
+    _serialize(rule) {
+        return {
+            name: rule.name,
+            enabled: rule.enabled ? 'TRUE' : 'FALSE',
+            entity: rule.entity,
+            trigger: rule.trigger,
+            triggerParams: JSON.stringify(rule.triggerParams),
+            conditions: JSON.stringify(rule.conditions),
+            actions: JSON.stringify(rule.actions)
+        };
+    }
+
+    async _loadEntityRecords(entity) {
+        if (entity === 'opportunity') return this.opportunityReader.getOpportunities();
+        if (entity === 'company') return this.companyReader.getCompanyList();
+        return this.contactReader.getContactList();
+    }
+
+    _idField(entity) {
+        return { opportunity: 'opportunityId', company: 'companyId', contact: 'contactId' }[entity];
+    }
+
+    async _snapshot(spec, keys) {
+        try {
+            const records = await spec.loadRecords();
+            return keys.map(key => records.find(r => String(r.rowIndex) === String(key)) || null)
+                .map(record => (record ? { ...record } : null));
+        } catch (error) {
+            console.warn(`⚠️ [Automation] 無法取得 ${spec.entity} 異動前資料: ${error.message}`);
+            return keys.map(() => null);
+        }
+    }
+
+    /**
+     * @private 寫入後讀取一次，依ID 取回多筆 (在寫入範圍外讀取，取得最新資料)
+     */
+    async _findRecords(spec, ids) {
+        const records = await writeContext.outside(() => spec.loadRecords());
+        return ids.map(id => records.find(r => String(r[spec.idField]) === String(id)) || null);
+    }
+
+    _idFromResult(spec, result) {
+        if (!result) return null;
+        if (typeof result === 'string') return result;
+        return result.id || (result.data && result.data[spec.idField]) || null;
+    }
+
+    _hasChanges(before, after) {
+        return Object.keys(after)
+            .filter(key => !IGNORED_FIELDS.includes(key))
+            .some(key => String(before[key] ?? '') !== String(after[key] ?? ''));
+    }
+
+    _isDeleted(entity, record) {
+        if (record.deletedTime) return true;
+        return entity === 'opportunity' && record.currentStatus === this.config.CONSTANTS.OPPORTUNITY_STATUS.DELETED;
+    }
+
+    /**
+     * @private 寫入後才執行，不延遲原本的回應；錯誤只記錄警告
+     */
+    _defer(task) {
+        setImmediate(() => {
+            task().catch(error => console.warn(`⚠️ [Automation] 規則觸發失敗: ${error.message}`));
+        });
+    }
+
+    async _appendLog(entry) {
+        const now = new Date();
+        try {
+            await this.automationWriter.appendRunLogs([{
+                runId: `RUN${now.getTime()}${Math.floor(Math.random() * 1000)}`,
+                executedTime: now.toISOString(),
+                ...entry
+            }]);
+        } catch (error) {
+            console.warn(`⚠️ [Automation] 寫入執行紀錄失敗: ${error.message}`);
+        }
+    }
+
+    /**
+     * 以 {{欄位}} 帶入觸發資料；{{ruleName}} 為規則名稱
+     */
+    _fillTemplate(text, record, rule) {
+        if (!text) return '';
+        return String(text).replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => {
+            if (key === 'ruleName') return rule.name;
+            const value = record[key];
+            return value === null || value === undefined ? '' : String(value);
+        });
+    }
+
+    _userName(user) {
+        return (user && (user.name || user.username)) || 'System';
+    }
+
+    _parseJson(text, fallback) {
+        if (text && typeof text === 'object') return text;
+        try {
+            return text ? JSON.parse(text) : fallback;
+        } catch (error) {
+            return fallback;
+        }
+    }
+
+    _addDays(date, days) {
+        const result = new Date(date);
+        result.setDate(result.getDate() + days);
+        return result;
+    }
+
+    _formatDate(date) {
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    }
+}
+
+module.exports = AutomationService;
@@ -0,0 +1,172 @@
+/**
+ * services/card-ingestion-service.js
+ * CRM 內上傳名片：辨識 -> 存入 Drive -> 寫入「原始名片資料」
+ * * @version 1.0.0
+ * @date 2026-02-17
+ * @description
+ * 1. 圖片以 base64 (或 data URL) 上傳，依 config.CARD_OCR 檢查格式與大小。
+ * 2. 辨識由可替換的供應者 (services/card-ocr-providers) 執行，回傳全文、欄位與各欄位信心度。
+ * 3. 辨識完成後才上傳 Drive (檔名依日期 / 公司 / 姓名命名)，辨識失敗不會留下孤立檔案。
+ * 4. 寫入潛在客戶時一併保存 RAW_TEXT、AI_PARSING、AI_CONFIDENCE，信心度低於 REVIEW_THRESHOLD 的欄位回傳為 needsReview。
+ */
+
+const crypto = require('crypto');
+const { assertCanWrite } = require('../utils/permission-helpers');
+const { CARD_FIELDS } = require('./card-ocr-providers');
+
+const CREATE_ERROR_PREFIX = '無法建檔：';
+
+const EXTENSIONS = {
+    'image/jpeg': 'jpg',
+    'image/png': 'png',
+    'image/webp': 'webp',
+    'image/heic': 'heic'
+};
+
+class CardIngestionService {
+    /**
+     * @param {Object} deps
+     * @param {Object} deps.config
+     * @param {Object} deps.contactReader
+     * @param {Object} deps.contactWriter
+     * @param {ExternalService} deps.externalService - Drive 上傳
+     * @param {Object} deps.ocrProvider - 見 services/card-ocr-providers
+     */
+    constructor({ config, contactReader, contactWriter, externalService, ocrProvider }) {
+        this.config = config;
+        this.contactReader = contactReader;
+        this.contactWriter = contactWriter;
+        this.externalService = externalService;
+        this.ocrProvider = ocrProvider;
+    }
+
+    /**
+     * 上傳並辨識一張名片，新增為待審核的潛在客戶
+     * @param {Object} upload - { image: base64 或 data URL, mimeType, fileName }
+     * @param {Object} user
+     * @returns {Promise<Object>} { cardId, fields, confidence, overallConfidence, needsReview, driveLink, smartFilename }
+     */
+    async ingestCard(upload = {}, user = null) {
+        assertCanWrite(user, 'contact');
+        const startedAt = Date.now();
+        const settings = this.config.CARD_OCR;
+        const { buffer, mimeType } = this._decodeImage(upload);
+
+        let recognized;
+        try {
+            recognized = await this.ocrProvider.recognize({ buffer, mimeType, fileName: upload.fileName || '' });
+        } catch (error) {
+            console.error(`❌ [CardIngestion] 辨識失敗 (${this.ocrProvider.name}):`, error.message);
+            throw new Error(`${CREATE_ERROR_PREFIX}名片辨識失敗，請稍後再試 (${error.message})`);
+        }
+
+        const fields = this._cleanFields(recognized.fields);
+        if (!fields.name && !fields.company) {
+            throw new Error(`${CREATE_ERROR_PREFIX}無法從圖片辨識出姓名或公司，請確認是否為清晰的名片照片`);
+        }
+        const confidence = this._cleanConfidence(recognized.confidence, fields);
+        const scores = Object.values(confidence);
+        const overallConfidence = scores.length > 0
+            ? Math.round(scores.reduce((sum, n) => sum + n, 0) / scores.length * 100) / 100
+            : 0;
+
+        const uploader = this._uploaderName(user);
+        const createdTime = new Date().toISOString();
+        const smartFilename = this._smartFilename(createdTime, fields, mimeType);
+        const { link: driveLink } = await this.externalService.uploadDriveFile({
+            name: smartFilename,
+            mimeType,
+            buffer,
+            folderId: settings.DRIVE_FOLDER_ID
+        });
+
+        const cardId = await this.contactWriter.appendPotentialContactRow({
+            cardId: `CARD${Date.now()}${crypto.randomBytes(2).toString('hex')}`,
+            createdTime,
+            ...fields,
+            confidence: overallConfidence,
+            processingTime: ((Date.now() - startedAt) / 1000).toFixed(1),
+            driveLink,
+            smartFilename,
+            rawText: recognized.rawText || '',
+            aiParsing: JSON.stringify(fields),
+            aiConfidence: JSON.stringify(confidence),
+            dataSource: settings.DATA_SOURCE,
+            userNickname: uploader
+        });
+        this.contactReader.invalidateCache('contacts');
+
+        const needsReview = CARD_FIELDS.filter(field => fields[field] && confidence[field] < settings.REVIEW_THRESHOLD);
+        console.log(`📇 [CardIngestion] ${uploader} 上傳名片 ${cardId}: ${fields.name} / ${fields.company} (${this.ocrProvider.name}, 信心度 ${overallConfidence})`);
+
+        return { cardId, fields, confidence, overallConfidence, needsReview, driveLink, smartFilename };
+    }
+
+    /**
+     * @private 解析 base64 / data URL 並檢查格式與大小
+     */
+    _decodeImage({ image, mimeType }) {
+        const settings = this.config.CARD_OCR;
+        if (!image || typeof image !== 'string') {
+            throw new Error(`${CREATE_ERROR_PREFIX}請提供名片圖片`);
+        }
+
+        const dataUrl = image.match(/^data:([^;]+);base64,(.*)$/s);
+        const type = String((dataUrl ? dataUrl[1] : mimeType) || '').toLowerCase();
+        if (!settings.MIME_TYPES.includes(type)) {
+            throw new Error(`${CREATE_ERROR_PREFIX}不支援的圖片格式 ${type || '(未提供)'}，可用: ${settings.MIME_TYPES.join(', ')}`);
+        }
+
+        const buffer = Buffer.from(dataUrl ? dataUrl[2] : image, 'base64');
+        if (buffer.length === 0) {
+            throw new Error(`${CREATE_ERROR_PREFIX}圖片內容為空`);
+        }
+        if (buffer.length > settings.MAX_IMAGE_BYTES) {
+            throw new Error(`${CREATE_ERROR_PREFIX}圖片超過 ${Math.round(settings.MAX_IMAGE_BYTES / 1024 / 1024)} MB 上限`);
+        }
+        return { buffer, mimeType: type };
+    }
+
+    /**
+     * @private 只保留 CARD_FIELDS，值轉為去除空白的字串
+     */
+    _cleanFields(rawFields = {}) {
+        const fields = {};
+        CARD_FIELDS.forEach(field => {
+            const value = rawFields[field];
+            fields[field] = value === null || value === undefined ? '' : String(value).trim();
+        });
+        return fields;
+    }
+
+    /**
+     * @private 只保留有值欄位的信心度，限制於 0 ~ 1；供應者未提供時視為 0 (需確認)
+     */
+    _cleanConfidence(rawConfidence = {}, fields) {
+        const confidence = {};
+        CARD_FIELDS.filter(field => fields[field]).forEach(field => {
+            const score = Number(rawConfidence[field]);
+            confidence[field] = Number.isFinite(score) ? Math.min(1, Math.max(0, score)) : 0;
+        });
+        return confidence;
+    }
+
+    /**
+     * @private 20260217_公司_姓名.jpg (移除檔名不允許的字元)
+     */
+    _smartFilename(createdTime, fields, mimeType) {
+        const date = new Date(createdTime).toLocaleDateString('en-CA', { timeZone: this.config.TIMEZONE }).replace(/-/g, '');
+        const parts = [date, fields.company, fields.name]
+            .filter(Boolean)
+            .map(part => part.replace(/[\\/:*?"<>|\s]+/g, ''));
+        return `${parts.join('_')}.${EXTENSIONS[mimeType] || 'jpg'}`;
+    }
+
+    _uploaderName(user) {
+        if (!user) return 'System';
+        if (typeof user === 'object') return user.displayName || user.username || user.name || 'System';
+        return String(user);
+    }
+}
+
+module.exports = CardIngestionService;
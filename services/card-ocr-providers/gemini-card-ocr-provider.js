@@ -0,0 +1,30 @@
+/**
+ * services/card-ocr-providers/gemini-card-ocr-provider.js
+ * 以 ExternalService (Gemini) 辨識名片
+ * * @version 1.0.0
+ * @date 2026-02-17
+ * @description 先辨識圖片全文 (OCR)，再由 AI 自全文擷取欄位與信心度；全文一併回傳供寫入 RAW_TEXT。
+ */
+
+class GeminiCardOcrProvider {
+    /**
+     * @param {Object} options
+     * @param {ExternalService} options.externalService
+     */
+    constructor({ externalService }) {
+        this.name = 'gemini';
+        this.externalService = externalService;
+    }
+
+    async recognize({ buffer, mimeType }) {
+        const rawText = await this.externalService.extractBusinessCardText({ buffer, mimeType });
+        if (!rawText) {
+            return { rawText: '', fields: {}, confidence: {}, provider: this.name };
+        }
+
+        const { fields, confidence } = await this.externalService.parseBusinessCardFields(rawText);
+        return { rawText, fields, confidence, provider: this.name };
+    }
+}
+
+module.exports = GeminiCardOcrProvider;
@@ -0,0 +1,38 @@
+/**
+ * services/card-ocr-providers/index.js
+ * 依 config.CARD_OCR.PROVIDER 建立名片辨識供應者
+ * * @version 1.0.0
+ * @date 2026-02-17
+ * @description 介面說明見 stub-card-ocr-provider.js。
+ */
+
+const StubCardOcrProvider = require('./stub-card-ocr-provider');
+const GeminiCardOcrProvider = require('./gemini-card-ocr-provider');
+
+/**
+ * @param {Object} cardOcrConfig - config.CARD_OCR
+ * @param {Object} deps
+ * @param {ExternalService} deps.externalService
+ * @returns {StubCardOcrProvider}
+ */
+function createCardOcrProvider(cardOcrConfig = {}, { externalService } = {}) {
+    const provider = String(cardOcrConfig.PROVIDER || 'gemini').toLowerCase();
+
+    switch (provider) {
+        case 'stub':
+            return new StubCardOcrProvider();
+
+        case 'gemini':
+            return new GeminiCardOcrProvider({ externalService });
+
+        default:
+            throw new Error(`未知的名片辨識供應者: ${cardOcrConfig.PROVIDER} (可用: gemini / stub)`);
+    }
+}
+
+module.exports = {
+    createCardOcrProvider,
+    StubCardOcrProvider,
+    GeminiCardOcrProvider,
+    CARD_FIELDS: StubCardOcrProvider.CARD_FIELDS
+};
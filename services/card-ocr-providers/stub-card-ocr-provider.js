@@ -0,0 +1,52 @@
+/**
+ * services/card-ocr-providers/stub-card-ocr-provider.js
+ * 名片辨識供應者介面 + 本地實作
+ * * @version 1.0.0
+ * @date 2026-02-17
+ * @description
+ * 所有名片辨識供應者皆實作相同介面：
+ * - recognize({ buffer, mimeType, fileName }) => { rawText, fields, confidence, provider }
+ *   fields 的鍵為 CARD_FIELDS，confidence 為各欄位 0 ~ 1 的信心度 (未辨識的欄位可省略)。
+ * 本實作不呼叫任何外部服務，固定回傳建構時提供的結果，供本地開發與測試使用。
+ */
+
+/** 供應者可回傳的名片欄位 (對應「原始名片資料」欄位) */
+const CARD_FIELDS = ['name', 'company', 'position', 'department', 'phone', 'mobile', 'fax', 'email', 'website', 'address'];
+
+const DEFAULT_RESULT = {
+    rawText: '王小明\n範例科技股份有限公司\n業務經理\nTel: 02-2345-6789\nMobile: 0912-345-678\nming@example.com',
+    fields: {
+        name: '王小明',
+        company: '範例科技股份有限公司',
+        position: '業務經理',
+        phone: '02-2345-6789',
+        mobile: '0912-345-678',
+        email: 'ming@example.com'
+    },
+    confidence: { name: 0.95, company: 0.9, position: 0.8, phone: 0.9, mobile: 0.9, email: 0.95 }
+};
+
+class StubCardOcrProvider {
+    /**
+     * @param {Object} [options]
+     * @param {Object} [options.result] - 固定回傳的 { rawText, fields, confidence }，預設為範例名片
+     */
+    constructor({ result } = {}) {
+        this.name = 'stub';
+        this.result = result || DEFAULT_RESULT;
+    }
+
+    async recognize({ fileName } = {}) {
+        console.log(`🧪 [CardOcr] stub 辨識: ${fileName || '(未命名)'}`);
+        return {
+            rawText: this.result.rawText || '',
+            fields: { ...this.result.fields },
+            confidence: { ...this.result.confidence },
+            provider: this.name
+        };
+    }
+}
+
+StubCardOcrProvider.CARD_FIELDS = CARD_FIELDS;
+
+module.exports = StubCardOcrProvider;
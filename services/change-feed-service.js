@@ -0,0 +1,208 @@
+/**
+ * services/change-feed-service.js
+ * 即時變更推播 (Server-Sent Events 的事件來源)
+ * * @version 1.0.0
+ * @date 2026-02-06
+ * @description
+ * 1. attachToWriter()：與 AuditLogService 相同，由 service-container 掛載於 Writer 寫入方法外層，
+ * 寫入成功後發出 { entity, id, action, user, origin, timestamp }。
+ * 2. origin 為發出請求的前端連線ID (X-Client-Id)，前端據此略過自己觸發的變更。
+ * 3. 其他實例的寫入只能透過快取失效得知，因此以 action = 'invalidate'、id = null 推播 (依快取 key 對應實體)。
+ * 4. 推播失敗 (例如無法解析 ID) 只記錄警告，不影響原本的寫入結果。
+ * 5. 異動前資料在寫入範圍 (utils/write-context) 內與稽核、自動化共用同一次讀取；
+ * 監聽器另外收到 detail = { before, getRecord }，getRecord() 於寫入後讀取一次並由同一次寫入的所有事件共用。
+ * detail 含完整資料，不屬於事件內容 (SSE 只送出 event)。
+ * 6. 批次作業 (writeContext.bulk，例如匯入) 內的寫入於作業結束後才一併推播，同一實體的寫入後資料只讀取一次。
+ */
+
+const config = require('../config');
+const BaseReader = require('../data/base-reader');
+const requestContext = require('../utils/request-context');
+const writeContext = require('../utils/write-context');
+
+// 快取 key -> 實體 (跨實例失效通知使用)
+const CACHE_KEY_ENTITIES = {
+    opportunities: 'opportunity',
+    companyList: 'company',
+    contactList: 'contact',
+    contacts: 'contact',
+    oppContactLinks: 'opportunity',
+    interactions: 'interaction',
+    eventLogs: 'event',
+    weeklyBusiness: 'weekly',
+    announcements: 'announcement',
+    marketProducts: 'product'
+};
+
+class ChangeFeedService {
+    constructor() {
+        this.listeners = new Set();
+
+        BaseReader.onRemoteInvalidate((key, timestamp) => {
+            const entity = key === null ? '*' : CACHE_KEY_ENTITIES[key];
+            if (!entity) return;
+            this.publish({ entity, id: null, action: 'invalidate', user: null, remote: true, timestamp });
+        });
+    }
+
+    /**
+     * 訂閱變更事件
+     * @param {Function} listener - (change, detail) => void，detail 為 { before, getRecord } (僅本實例的寫入)
+     * @returns {Function} 取消訂閱
+     */
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    get subscriberCount() {
+        return this.listeners.size;
+    }
+
+    /**
+     * 發出變更事件
+     * @param {Object} change - { entity, id, action, user }
+     * @param {Object} [detail] - { before, getRecord }，只傳給監聽器，不併入事件
+     */
+    publish(change, detail = {}) {
+        const event = {
+            timestamp: Date.now(),
+            origin: requestContext.getClientId(),
+            ...change
+        };
+
+        this.listeners.forEach(listener => {
+            try {
+                listener(event, detail);
+            } catch (error) {
+                console.warn(`⚠️ [ChangeFeedService] 推播失敗: ${error.message}`);
+            }
+        });
+    }
+
+    /**
+     * 將變更推播掛載到 Writer 上 (不修改 Writer 原始碼，Sheet / SQL 版共用)
+     * @param {Object} writer - 任一 Writer 實例
+     * @param {Object} spec
+     * @param {string} spec.entity - 實體名稱
+     * @param {string} spec.idField - DTO 中的穩定ID 欄位
+     * @param {Function} [spec.loadRecords] - 讀取該實體全部 DTO，用於把 rowIndex 解析為穩定ID 與寫入後的 getRecord()
+     *   (建議以 writeContext.shared() 包裝)
+     * @param {Function} [spec.locate] - (records, key, data) => record，預設以 rowIndex 比對
+     * @param {Object} spec.methods - { methodName: { action, user, idArg, locateData, batch } }
+     *   - action: 'create' | 'update' | 'delete'
+     *   - user: 修改者參數位置，或 (args) => 修改者
+     *   - idArg: 第一個參數即為穩定ID (不需查找)
+     *   - locateData: (args) => 傳給 locate 的資料，預設為第二個參數
+     *   - batch: 簽章為 ([{ rowIndex, data, modifier }])
+     */
+    attachToWriter(writer, spec) {
+        Object.entries(spec.methods).forEach(([method, options]) => {
+            if (typeof writer[method] !== 'function') return;
+            const original = writer[method].bind(writer);
+
+            if (options.batch) {
+                writer[method] = (updates, ...rest) => writeContext.run(writer, method, updates, async () => {
+                    const befores = await Promise.all(updates.map(u => this._locate(spec, u.rowIndex, u.data)));
+                    const result = await original(updates, ...rest);
+                    const loadAfter = this._afterLoader(spec);
+                    updates.forEach((u, i) => {
+                        const id = befores[i] ? befores[i][spec.idField] : null;
+                        this._emit(spec, id, this._classify(options.action, u.data, befores[i]), u.modifier, befores[i], loadAfter);
+                    });
+                    return result;
+                });
+                return;
+            }
+
+            writer[method] = (...args) => writeContext.run(writer, method, args[0], async () => {
+                let id = null;
+                let before = null;
+                if (options.idArg) id = args[0];
+                else if (options.action !== 'create') {
+                    const data = options.locateData ? options.locateData(args) : args[1];
+                    before = await this._locate(spec, args[0], data);
+                    id = before ? before[spec.idField] : null;
+                }
+
+                const result = await original(...args);
+
+                if (options.action === 'create') id = this._idFromResult(spec, result);
+                const user = typeof options.user === 'function' ? options.user(args) : args[options.user];
+                const change = { id, action: this._classify(options.action, args[1], before), user, before };
+
+                // 批次作業 (匯入) 結束後才推播，寫入後的資料只讀取一次
+                const queued = writeContext.afterBulk(`changeFeed:${spec.entity}`, change, (changes) => {
+                    const loadAfter = this._afterLoader(spec);
+                    changes.forEach(c => this._emit(spec, c.id, c.action, c.user, c.before, loadAfter));
+                });
+                if (!queued) this._emit(spec, change.id, change.action, change.user, change.before, this._afterLoader(spec));
+                return result;
+            });
+        });
+    }
+
+    _emit(spec, id, action, modifier, before, loadAfter) {
+        const getRecord = async () => {
+            if (!id) return null;
+            const records = await loadAfter();
+            return records.find(r => String(r[spec.idField]) === String(id)) || null;
+        };
+        this.publish({ entity: spec.entity, id: id || null, action, user: this._modifierName(modifier) }, { before, getRecord });
+    }
+
+    /**
+     * @private 寫入前以 rowIndex 找出異動前資料 (穩定ID 由此取得)，失敗時回傳 null (仍會推播，前端以整頁更新處理)
+     */
+    async _locate(spec, key, data) {
+        if (!spec.loadRecords) return null;
+        try {
+            const records = await spec.loadRecords();
+            const locate = spec.locate || ((list, k) => list.find(r => String(r.rowIndex) === String(k)));
+            return locate(records, key, (data && typeof data === 'object') ? data : {}) || null;
+        } catch (error) {
+            console.warn(`⚠️ [ChangeFeedService] 無法解析 ${spec.entity} ID: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * @private 寫入後的讀取：第一次呼叫時才讀取 (在寫入範圍外，取得最新資料)，同一次寫入共用結果
+     */
+    _afterLoader(spec) {
+        let pending = null;
+        return () => {
+            if (!spec.loadRecords) return Promise.resolve([]);
+            if (!pending) pending = writeContext.outside(() => spec.loadRecords());
+            return pending;
+        };
+    }
+
+    _idFromResult(spec, result) {
+        if (!result) return null;
+        if (typeof result === 'string') return result;
+        return result.id || (result.data && result.data[spec.idField]) || null;
+    }
+
+    /**
+     * @private 軟刪除 / 還原在 Writer 層是 update，推播時還原成使用者看到的動作
+     * 機會以狀態標記刪除：由「已刪除」改為其他狀態即為還原 (含刪除時間欄位加入前刪除的資料)
+     */
+    _classify(action, data, before) {
+        if (action !== 'update' || !data || typeof data !== 'object') return action;
+        const { DELETED } = config.CONSTANTS.OPPORTUNITY_STATUS;
+        if (data.currentStatus === DELETED) return 'delete';
+        if (before && before.currentStatus === DELETED && data.currentStatus !== undefined) return 'restore';
+        if (data.deletedTime) return 'delete';
+        if (data.deletedTime === '') return 'restore';
+        return action;
+    }
+
+    _modifierName(modifier) {
+        if (!modifier) return 'System';
+        if (typeof modifier === 'object') return modifier.displayName || modifier.username || 'System';
+        return String(modifier);
+    }
+}
+
+module.exports = ChangeFeedService;
@@ -7,8 +7,14 @@
  * * 1. [Fix] getCompanyDetails 回傳結構修正，對齊前端 companies.js 預期的 contacts, opportunities, potentialContacts。
  * * 2. [Feature] 實作 getCompanyListWithActivity 的記憶體過濾 (Search & Filter)。
  * * 3. [Strict] 確保只呼叫 Reader/Writer 存在的正確方法。
+ * * 4. [Concurrency] updateCompany 支援 expectedLastUpdateTime 樂觀鎖，過期寫入回傳 409。
+ * * 5. [Soft Delete] deleteCompany 改為寫入刪除時間/刪除者移入回收桶；還原 / 永久刪除以公司ID 定位。
+ * * 6. [Permissions] 建立 / 更新 / 刪除需具 company 寫入權限；公司詳細資料中的機會案件依角色移除不可見欄位。
  */
 
+const { takeExpectedVersion, assertNotStale } = require('../utils/concurrency-helpers');
+const { assertCanWrite, filterFields } = require('../utils/permission-helpers');
+
 class CompanyService {
     constructor(
         companyReader, companyWriter, contactReader, contactWriter,
@@ -72,6 +78,7 @@ class CompanyService {
 
     // 1. 建立公司
     async createCompany(companyName, companyData, user) {
+        assertCanWrite(user, 'company');
         try {
             const modifier = user.displayName || user.username || user || 'System';
             const companies = await this.companyReader.getCompanyList();
@@ -197,7 +204,7 @@ class CompanyService {
     }
 
     // 3. 取得詳細資料 (聚合 Contact, Opportunity, Interaction, EventLog)
-    async getCompanyDetails(companyName) {
+    async getCompanyDetails(companyName, user = null) {
         try {
             // [Fix] 增加 contactReader.getContacts(3000) 以取得潛在客戶 (Raw Data)
             // 這裡必須同時讀取「正式聯絡人」與「潛在聯絡人」
@@ -255,7 +262,14 @@ class CompanyService {
             );
 
             // [Fix] Key 名稱對齊前端: relatedContacts -> contacts, relatedOpportunities -> opportunities
-            return { companyInfo, contacts, opportunities, potentialContacts, interactions, eventLogs };
+            return {
+                companyInfo,
+                contacts,
+                opportunities: filterFields(user, 'opportunity', opportunities),
+                potentialContacts,
+                interactions,
+                eventLogs
+            };
 
         } catch (error) {
             console.error(`[CompanyService] Details Error (${companyName}):`, error);
@@ -264,14 +278,21 @@ class CompanyService {
     }
 
     // 4. 更新公司
-    async updateCompany(companyName, updateData, user) {
+    async updateCompany(companyName, rawUpdateData, user) {
+        assertCanWrite(user, 'company');
         try {
             const modifier = user.displayName || user.username || 'System';
+            const { expected, data: updateData } = takeExpectedVersion(rawUpdateData);
+
+            // 樂觀鎖需比對最新版本，不可使用快取
+            if (expected !== undefined) this.companyReader.invalidateCache('companyList');
             
             // 確保公司存在
-            const details = await this.getCompanyDetails(companyName);
+            const details = await this.getCompanyDetails(companyName, user);
             if (!details.companyInfo) throw new Error(`找不到公司: ${companyName}`);
 
+            assertNotStale(details.companyInfo, expected, `公司「${details.companyInfo.companyName}」`);
+
             // 取得行號並寫入
             const rowIndex = await this._findCompanyRowIndex(companyName);
             const result = await this.companyWriter.updateCompany(rowIndex, updateData, modifier);
@@ -293,6 +314,7 @@ class CompanyService {
 
     // 5. 刪除公司
     async deleteCompany(companyName, user) {
+        assertCanWrite(user, 'company');
         try {
             // 檢查關聯商機 (保護機制)
             const opps = await this.opportunityReader.getOpportunities();
@@ -304,9 +326,13 @@ class CompanyService {
                 throw new Error(`無法刪除：尚有 ${relatedOpps.length} 個關聯機會案件 (例如: ${relatedOpps[0].opportunityName})。請先移除關聯案件。`);
             }
 
-            // 執行刪除
+            // [Soft Delete] 執行刪除：標記刪除時間/刪除者，資料列保留於回收桶
+            const modifier = user.displayName || user.username || user || 'System';
             const rowIndex = await this._findCompanyRowIndex(companyName);
-            const result = await this.companyWriter.deleteCompany(rowIndex);
+            const result = await this.companyWriter.updateCompany(rowIndex, {
+                deletedTime: new Date().toISOString(),
+                deletedBy: modifier
+            }, modifier);
             
             // 清除快取
             if (this.companyReader.invalidateCache) {
@@ -320,6 +346,61 @@ class CompanyService {
             throw error;
         }
     }
+
+    // 6. [Soft Delete] 回收桶 (還原 / 永久刪除)
+    async getDeletedCompanies() {
+        return this.companyReader.getDeletedCompanies();
+    }
+
+    async restoreCompany(companyId, user) {
+        try {
+            const modifier = user.displayName || user.username || user || 'System';
+            const target = await this._findDeletedCompany(companyId);
+
+            // 刪除期間可能已建立同名公司，還原會造成重複
+            const companies = await this.companyReader.getCompanyList();
+            const normalizedTarget = this._normalizeCompanyName(target.companyName);
+            const existing = companies.find(c => this._normalizeCompanyName(c.companyName) === normalizedTarget);
+            if (existing) {
+                throw new Error(`無法還原：已存在同名公司 (${existing.companyName})，請先更名或合併。`);
+            }
+
+            const result = await this.companyWriter.updateCompany(target.rowIndex, {
+                deletedTime: '',
+                deletedBy: ''
+            }, modifier);
+
+            if (this.companyReader.invalidateCache) this.companyReader.invalidateCache('companyList');
+            await this._logCompanyInteraction(companyId, '還原公司', `公司 "${target.companyName}" 已被 ${modifier} 從回收桶還原。`, modifier);
+
+            return result;
+        } catch (error) {
+            console.error('[CompanyService] Restore Error:', error);
+            throw error;
+        }
+    }
+
+    async purgeCompany(companyId, user) {
+        try {
+            const modifier = user.displayName || user.username || user || 'System';
+            const target = await this._findDeletedCompany(companyId);
+            const result = await this.companyWriter.deleteCompany(target.rowIndex, modifier);
+
+            if (this.companyReader.invalidateCache) this.companyReader.invalidateCache('companyList');
+            return result;
+        } catch (error) {
+            console.error('[CompanyService] Purge Error:', error);
+            throw error;
+        }
+    }
+
+    // Helper: 只在回收桶中查找，避免誤刪/誤還原使用中的公司
+    async _findDeletedCompany(companyId) {
+        const deleted = await this.companyReader.getDeletedCompanies();
+        const target = deleted.find(c => c.companyId === companyId);
+        if (!target) throw new Error(`回收桶中找不到公司 (ID: ${companyId})`);
+        return target;
+    }
 }
 
 module.exports = CompanyService;
\ No newline at end of file
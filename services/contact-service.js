@@ -8,8 +8,16 @@
  * 1. 承接所有 Reader 移除的業務邏輯 (Filter, Sort, Pagination, Join)。
  * 2. 負責資料流控制：讀取 Reader -> 計算/合併 -> 傳遞 rowIndex 給 Writer。
  * 3. 確保 Writer 接收到的指令是 Pure Write (RowIndex + Data)。
+ * [Stable ID] 對外一律以 聯絡人ID / 名片 cardId 定位，rowIndex 僅在 Service 與 Writer 之間傳遞。
+ * 外部流程寫入、未填「原始ID」的名片由 getCards() 補發識別碼並寫回工作表。
+ * [Concurrency] updateContact 支援 expectedLastUpdateTime 樂觀鎖，過期寫入回傳 409。
+ * [Permissions] 更新正式聯絡人需具 contact 寫入權限。
  */
 
+const crypto = require('crypto');
+const { takeExpectedVersion, assertNotStale } = require('../utils/concurrency-helpers');
+const { assertCanWrite } = require('../utils/permission-helpers');
+
 class ContactService {
     /**
      * @param {ContactReader} contactReader
@@ -31,6 +39,40 @@ class ContactService {
         return String(str).toLowerCase().trim();
     }
 
+    /**
+     * 內部輔助：依 cardId 查找名片原始資料 (含 Writer 所需的 rowIndex)
+     */
+    async _findPotentialContact(cardId) {
+        // 空白 cardId 不可比對 (避免誤中尚未補發識別碼的名片)
+        if (!cardId) return null;
+        const allContacts = await this.getCards();
+        return allContacts.find(c => c.cardId === String(cardId)) || null;
+    }
+
+    /**
+     * 取得所有名片 (潛在客戶原始資料)，並確保每張名片都有識別碼
+     * 缺少「原始ID」的名片 (LINE 外部流程寫入或舊資料) 補發識別碼並寫回，之後不再變動。
+     * 識別碼由列號與名片內容推導，多個實例同時補寫會寫入相同的值。
+     * @returns {Promise<Array<object>>}
+     */
+    async getCards() {
+        const cards = await this.contactReader.getContacts();
+        const missing = cards.filter(c => !c.cardId);
+        if (missing.length === 0) return cards;
+
+        const assignments = missing.map(card => {
+            const digest = crypto.createHash('sha1')
+                .update([card.rowIndex, card.createdTime, card.name, card.company, card.driveLink].join('|'))
+                .digest('hex');
+            return { rowIndex: card.rowIndex, cardId: `CARD${digest.slice(0, 16).toUpperCase()}` };
+        });
+        await this.contactWriter.writeCardIds(assignments);
+        console.log(`🪪 [ContactService] 已補發 ${assignments.length} 張名片的識別碼`);
+
+        const idByRow = new Map(assignments.map(a => [a.rowIndex, a.cardId]));
+        return cards.map(c => (c.cardId ? c : { ...c, cardId: idByRow.get(c.rowIndex) }));
+    }
+
     /**
      * 取得儀表板統計數據
      */
@@ -57,7 +99,7 @@ class ContactService {
      */
     async getPotentialContacts(limit = 2000) {
         try {
-            let contacts = await this.contactReader.getContacts();
+            let contacts = await this.getCards();
             
             // 1. Filter: 過濾掉完全無效的空行
             contacts = contacts.filter(c => c.name || c.company);
@@ -239,9 +281,19 @@ class ContactService {
     /**
      * 更新正式聯絡人資料
      * [Flow Control]: Find rowIndex via Reader -> Call Writer
+     * @param {string} contactId
+     * @param {Object} rawUpdateData
+     * @param {Object} user - 操作者 (req.user)，用於權限檢查與修改者欄位
      */
-    async updateContact(contactId, updateData, user) {
+    async updateContact(contactId, rawUpdateData, user) {
+        assertCanWrite(user, 'contact');
         try {
+            const modifier = this._modifierName(user);
+            const { expected, data: updateData } = takeExpectedVersion(rawUpdateData);
+
+            // 樂觀鎖需比對最新版本，不可使用快取
+            if (expected !== undefined) this.contactReader.invalidateCache('contactList');
+
             // 1. 透過 Reader 查找目標 rowIndex (模擬 DB Index Scan)
             const allContacts = await this.contactReader.getContactList();
             const target = allContacts.find(c => c.contactId === contactId);
@@ -250,13 +302,15 @@ class ContactService {
                 throw new Error(`Contact ID not found: ${contactId}`);
             }
 
+            assertNotStale(target, expected, `聯絡人「${target.name}」`);
+
             const rowIndex = target.rowIndex;
             if (!rowIndex) {
                 throw new Error(`System Error: Missing rowIndex for Contact ${contactId}`);
             }
 
             // 2. 呼叫 Writer 執行 Pure Write
-            await this.contactWriter.updateContactRow(rowIndex, updateData, user);
+            await this.contactWriter.updateContactRow(rowIndex, updateData, modifier);
             
             // 3. Invalidate Cache
             this.contactReader.invalidateCache('contactList');
@@ -270,15 +324,19 @@ class ContactService {
     /**
      * 更新潛在客戶資料
      * [Flow Control]: Read -> Merge -> Write (Read-Modify-Write at Service Layer)
+     * @param {string} cardId - 名片識別碼 (由 ContactReader 提供)
+     * @param {Object} updateData
+     * @param {Object} user - 操作者，用於權限檢查與備註署名
      */
-    async updatePotentialContact(rowIndex, updateData, modifier) {
+    async updatePotentialContact(cardId, updateData, user) {
+        assertCanWrite(user, 'contact');
         try {
+            const modifier = this._modifierName(user);
             // 1. Read Raw Data for Merge (Service Layer Merge)
-            const allContacts = await this.contactReader.getContacts();
-            const target = allContacts.find(c => c.rowIndex === parseInt(rowIndex));
+            const target = await this._findPotentialContact(cardId);
 
             if (!target) {
-                throw new Error(`找不到潛在客戶 Row: ${rowIndex}`);
+                throw new Error(`找不到潛在客戶: ${cardId}`);
             }
 
             // 2. Prepare Merged Data
@@ -295,7 +353,7 @@ class ContactService {
             }
 
             // 3. Call Writer (Pure Write)
-            await this.contactWriter.writePotentialContactRow(rowIndex, mergedData);
+            await this.contactWriter.writePotentialContactRow(target.rowIndex, mergedData);
             
             // 4. Invalidate Cache
             this.contactReader.invalidateCache('contacts');
@@ -306,6 +364,95 @@ class ContactService {
             throw error;
         }
     }
+
+    /**
+     * 名片建檔為正式聯絡人 (同公司已有同名聯絡人時沿用)，並將名片標記為已升級
+     * @param {string} cardId
+     * @param {string} companyId - 由 WorkflowService 建立或取得的公司ID
+     * @param {Object} user - 操作者
+     * @returns {Promise<{ contactId: string, name: string, existed: boolean }>}
+     */
+    async fileCard(cardId, companyId, user) {
+        assertCanWrite(user, 'contact');
+        const card = await this._requireCard(cardId, '無法建檔：');
+        if (!card.name) throw new Error('無法建檔：名片缺少姓名');
+        const modifier = this._modifierName(user);
+
+        const contacts = await this.contactReader.getContactList();
+        const nameKey = this._normalizeKey(card.name);
+        const existing = contacts.find(c => c.companyId === companyId && this._normalizeKey(c.name) === nameKey);
+
+        const contactId = existing ? existing.contactId : `CON${Date.now()}${crypto.randomBytes(2).toString('hex')}`;
+        if (!existing) {
+            await this.contactWriter.createContact({
+                id: contactId,
+                sourceId: card.cardId,
+                name: card.name,
+                companyId,
+                department: card.department,
+                jobTitle: card.position,
+                phone: card.mobile,
+                tel: card.phone,
+                email: card.email,
+                creator: modifier,
+                modifier
+            });
+        }
+
+        await this._markCardUpgraded(card);
+        console.log(`🪪 [ContactService] 名片 ${card.cardId} 建檔為聯絡人 ${contactId}${existing ? ' (沿用既有聯絡人)' : ''} by ${modifier}`);
+        return { contactId, name: card.name, existed: !!existing };
+    }
+
+    /**
+     * 將名片資料歸檔至既有的正式聯絡人 (名片上有值的欄位補充或覆蓋原資料)，並將名片標記為已升級
+     * @param {string} contactId
+     * @param {string} cardId
+     * @param {Object} user - 操作者
+     */
+    async linkCardToContact(contactId, cardId, user) {
+        assertCanWrite(user, 'contact');
+        const card = await this._requireCard(cardId, '無法更新：');
+        const contact = (await this.contactReader.getContactList()).find(c => c.contactId === contactId);
+        if (!contact) throw new Error(`無法更新：找不到聯絡人 ${contactId}`);
+
+        const fromCard = { department: card.department, jobTitle: card.position, phone: card.mobile, tel: card.phone, email: card.email };
+        const updateData = Object.fromEntries(Object.entries(fromCard).filter(([, value]) => value));
+        await this.contactWriter.updateContactRow(contact.rowIndex, updateData, this._modifierName(user));
+        this.contactReader.invalidateCache('contactList');
+
+        await this._markCardUpgraded(card);
+        return { success: true, contactId, cardId: card.cardId };
+    }
+
+    /**
+     * 以 cardId 取得名片
+     * @returns {Promise<object|null>}
+     */
+    async getCardById(cardId) {
+        return this._findPotentialContact(cardId);
+    }
+
+    /**
+     * @private
+     */
+    async _requireCard(cardId, errorPrefix) {
+        const card = await this.getCardById(cardId);
+        if (!card) throw new Error(`${errorPrefix}找不到名片 ${cardId}`);
+        return card;
+    }
+
+    /**
+     * @private
+     */
+    async _markCardUpgraded(card) {
+        await this.contactWriter.writePotentialContactRow(card.rowIndex, { status: this.config.CONSTANTS.CONTACT_STATUS.UPGRADED });
+        this.contactReader.invalidateCache('contacts');
+    }
+
+    _modifierName(user) {
+        return user.displayName || user.name || user.username || 'System';
+    }
 }
 
 module.exports = ContactService;
\ No newline at end of file
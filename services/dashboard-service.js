@@ -8,8 +8,13 @@
  * 1. [Direct Read] 本服務直接讀取 Opportunity/Contact/Interaction Reader 以優化效能。
  * 2. [Shadow Logic] 內含 MTU/SI 活躍定義邏輯，未來應遷移至 CompanyService。
  * 3. [Logic Duplication] _getWeekId 為暫時性重複邏輯，Phase 6 應統一注入 DateHelpers。
+ * 4. [Permissions] 主儀表板的機會案件 (看板、待追蹤) 依角色移除不可見欄位。
+ * 5. [Pipeline] 成交統計與待追蹤範圍依銷售流程定義 (成交階段 / 進行中階段)，不再寫死階段值。
  */
 
+const { filterFields } = require('../utils/permission-helpers');
+const { isWonStage, getOpenStages } = require('../utils/pipeline-helpers');
+
 class DashboardService {
     /**
      * 建構子：接收所有必要的資料讀取器與服務
@@ -22,6 +27,7 @@ class DashboardService {
      * @param {WeeklyBusinessService} weeklyBusinessService - [Service Integration]
      * @param {CompanyReader} companyReader - [Direct Read]
      * @param {CalendarService} calendarService
+     * @param {PipelineService} pipelineService
      */
     constructor(
         config,
@@ -32,7 +38,8 @@ class DashboardService {
         systemReader,
         weeklyBusinessService,
         companyReader,
-        calendarService
+        calendarService,
+        pipelineService
     ) {
         // 嚴格檢查依賴
         if (!opportunityReader || !contactReader || !interactionReader || !config) {
@@ -48,6 +55,7 @@ class DashboardService {
         this.weeklyBusinessService = weeklyBusinessService;
         this.companyReader = companyReader;
         this.calendarService = calendarService;
+        this.pipelineService = pipelineService;
     }
 
     /**
@@ -68,8 +76,9 @@ class DashboardService {
     /**
      * 取得主儀表板所需的所有整合資料
      * 採用分批請求 (Batching) 以優化效能
+     * @param {Object} [user] - 操作者，依角色移除機會案件的不可見欄位
      */
-    async getDashboardData() {
+    async getDashboardData(user = null) {
         console.log('📊 [DashboardService] 執行主儀表板資料整合 (分批優化模式)...');
 
         const today = new Date();
@@ -84,7 +93,7 @@ class DashboardService {
         // 預期併發數: 3
         console.log('   ↳ 正在載入核心資料 (Batch 1)...');
         const [
-            opportunitiesRaw,
+            opportunitiesAll,
             contacts,
             interactions
         ] = await Promise.all([
@@ -93,6 +102,8 @@ class DashboardService {
             this.interactionReader.getInteractions()
         ]);
 
+        const opportunitiesRaw = filterFields(user, 'opportunity', opportunitiesAll);
+
         // --- Batch 2: 次要/參考資料 (接續執行) ---
         // 等待 Batch 1 完成後才發起，錯開流量峰值
         // 預期併發數: 4
@@ -116,6 +127,8 @@ class DashboardService {
             companyPromise
         ]);
 
+        const pipeline = await this.pipelineService.getPipeline();
+
         // --- 週間業務資料整合 (關鍵修正) ---
         let thisWeeksEntries = [];
         let thisWeekDetails = { title: '載入中...', days: [] }; // 預設空結構
@@ -253,11 +266,8 @@ class DashboardService {
         });
         // [End of Shadow Logic]
 
-        // 成交案件統計
-        // 寬鬆判斷：包含 '受注', '已成交', '已完成'
-        const wonOpportunities = opportunities.filter(o => 
-            o.currentStage === '受注' || o.currentStage === '已成交' || o.currentStatus === '已完成'
-        );
+        // 成交案件統計 (銷售流程的成交階段，含舊版結案流程寫入的「已成交」)
+        const wonOpportunities = opportunities.filter(o => isWonStage(pipeline, o.currentStage));
         const wonCount = wonOpportunities.length;
         const wonCountMonth = wonOpportunities.filter(o => {
             const dateStr = o.expectedCloseDate || o.lastUpdateTime;
@@ -265,7 +275,7 @@ class DashboardService {
             return new Date(dateStr) >= startOfMonth;
         }).length;
 
-        const followUps = this._getFollowUpOpportunities(opportunities, interactions);
+        const followUps = this._getFollowUpOpportunities(opportunities, interactions, pipeline);
 
         const stats = {
             contactsCount: contacts.length,
@@ -405,9 +415,9 @@ class DashboardService {
 
     // --- 內部資料處理函式 (Data Processing Helpers) ---
 
-    _getFollowUpOpportunities(opportunities, interactions) {
+    _getFollowUpOpportunities(opportunities, interactions, pipeline) {
         const daysThreshold = (this.config.FOLLOW_UP && this.config.FOLLOW_UP.DAYS_THRESHOLD) || 7;
-        const activeStages = (this.config.FOLLOW_UP && this.config.FOLLOW_UP.ACTIVE_STAGES) || ['01_初步接觸', '02_需求確認', '03_提案報價', '04_談判修正'];
+        const activeStages = getOpenStages(pipeline);
         
         const sevenDaysAgo = new Date();
         sevenDaysAgo.setDate(sevenDaysAgo.getDate() - daysThreshold);
@@ -0,0 +1,638 @@
+/**
+ * services/duplicate-service.js
+ * 重複資料偵測與合併 (公司 / 正式聯絡人)
+ * * @version 1.0.0
+ * @date 2026-02-16
+ * @description
+ * 1. findCompanyDuplicates / findContactDuplicates：先依特徵分組 (名稱、電話、Email、地址…) 產生候選配對再評分，
+ * 不做全部兩兩比對；權重與門檻見 config.DUPLICATES。
+ * 2. mergeCompanies：機會案件 (終端客戶 / 主要通路，以被併入公司實際儲存的名稱比對)、聯絡人、互動紀錄、事件紀錄、待辦任務改指向存續公司，
+ * 存續公司的空白欄位以被併入公司補齊，被併入公司移入回收桶。
+ * 3. mergeContacts：機會關聯、機會的終端窗口、待辦任務改指向存續聯絡人，補齊空白欄位後刪除被併入的聯絡人。
+ * 4. 合併以稽核紀錄 (action = 'merge') 記錄於兩筆資料的異動歷程；公司合併另在存續公司新增一筆系統事件互動。
+ * 5. 各步驟皆只處理仍指向被併入資料的紀錄，中途失敗時可再次執行同一合併補完。
+ * 機會案件以批次更新 (每批 config.DUPLICATES.MERGE_BATCH_SIZE 筆)，有任何一筆未更新時中止合併 (被併入公司保留，可重跑)。
+ */
+
+const { assertCanRead, assertCanWrite } = require('../utils/permission-helpers');
+
+const MERGE_ERROR_PREFIX = '無法合併：';
+
+// 存續公司空白時以被併入公司補齊的欄位
+const COMPANY_FILL_FIELDS = ['phone', 'address', 'county', 'introduction', 'companyType', 'customerStage', 'engagementRating'];
+
+// 聯絡人 DTO 欄位 -> ContactWriter 欄位 (同稽核掛載的 fieldMap)
+const CONTACT_FILL_FIELDS = {
+    companyId: 'company',
+    department: 'department',
+    position: 'jobTitle',
+    mobile: 'phone',
+    phone: 'tel',
+    email: 'email'
+};
+
+// --- 正規化與相似度 ---
+
+function normalizeName(name) {
+    return String(name || '').toLowerCase()
+        .replace(/臺/g, '台')
+        .replace(/股份有限公司|有限公司|公司/g, '')
+        .replace(/[(（].*?[)）]/g, '')
+        .replace(/[\s.,，、\-_&]/g, '');
+}
+
+function normalizePersonName(name) {
+    return String(name || '').toLowerCase().replace(/\s+/g, '');
+}
+
+/**
+ * 電話比對鍵：去除分機與國碼後取末 8 碼 (市話含區碼、手機皆可比對)
+ */
+function phoneKey(phone) {
+    const digits = String(phone || '').split(/#|ext|分機/i)[0].replace(/\D/g, '').replace(/^886/, '0');
+    return digits.length >= 7 ? digits.slice(-8) : '';
+}
+
+/**
+ * 地址比對鍵：統一臺/台與全形數字，去除空白與標點，樓層以後不比對
+ */
+function addressKey(address) {
+    const text = String(address || '').toLowerCase()
+        .replace(/臺/g, '台')
+        .replace(/[０-９]/g, ch => String.fromCharCode(ch.charCodeAt(0) - 0xFEE0))
+        .replace(/[\s,，.、\-]/g, '');
+    const numberIndex = text.indexOf('號');
+    return numberIndex > 0 ? text.slice(0, numberIndex + 1) : text;
+}
+
+function emailDomain(email, publicDomains) {
+    const match = String(email || '').toLowerCase().trim().match(/@([a-z0-9.-]+)$/);
+    if (!match || publicDomains.includes(match[1])) return '';
+    return match[1];
+}
+
+function isSubsequence(short, long) {
+    let index = 0;
+    for (const ch of long) {
+        if (ch === short[index]) index++;
+        if (index === short.length) return true;
+    }
+    return false;
+}
+
+function bigramDice(a, b) {
+    if (a.length < 2 || b.length < 2) return 0;
+    const grams = (text) => {
+        const map = new Map();
+        for (let i = 0; i < text.length - 1; i++) {
+            const gram = text.slice(i, i + 2);
+            map.set(gram, (map.get(gram) || 0) + 1);
+        }
+        return map;
+    };
+    const gramsA = grams(a);
+    const gramsB = grams(b);
+    let overlap = 0;
+    gramsA.forEach((count, gram) => { overlap += Math.min(count, gramsB.get(gram) || 0); });
+    return (2 * overlap) / (a.length - 1 + b.length - 1);
+}
+
+/**
+ * 公司名稱相似度 (0 ~ 1)：相同 1、包含 0.9、縮寫 (首字相同且依序出現，例如「台積電」) 0.75，其餘為字元雙字組相似度
+ * @returns {{ score: number, reason: string }}
+ */
+function companyNameSimilarity(a, b) {
+    if (!a || !b) return { score: 0, reason: '' };
+    if (a === b) return { score: 1, reason: '名稱相同' };
+
+    const [short, long] = a.length <= b.length ? [a, b] : [b, a];
+    if (short.length >= 2 && long.includes(short)) return { score: 0.9, reason: '名稱包含' };
+    if (short.length >= 2 && short[0] === long[0] && isSubsequence(short, long)) return { score: 0.75, reason: '名稱縮寫' };
+
+    const dice = bigramDice(a, b);
+    return dice >= 0.5 ? { score: dice, reason: `名稱相似 ${Math.round(dice * 100)}%` } : { score: 0, reason: '' };
+}
+
+class DuplicateService {
+    /**
+     * @param {Object} deps
+     * @param {Object} deps.config
+     * @param {Object} deps.companyReader
+     * @param {Object} deps.companyWriter
+     * @param {Object} deps.contactReader
+     * @param {Object} deps.contactWriter
+     * @param {Object} deps.opportunityReader
+     * @param {Object} deps.opportunityWriter
+     * @param {Object} deps.interactionReader
+     * @param {Object} deps.interactionWriter
+     * @param {Object} deps.eventLogReader
+     * @param {Object} deps.eventLogWriter
+     * @param {Object} deps.taskReader
+     * @param {Object} deps.taskWriter
+     * @param {AuditLogService} deps.auditLogService
+     */
+    constructor({
+        config, companyReader, companyWriter, contactReader, contactWriter,
+        opportunityReader, opportunityWriter, interactionReader, interactionWriter,
+        eventLogReader, eventLogWriter, taskReader, taskWriter, auditLogService
+    }) {
+        this.config = config;
+        this.companyReader = companyReader;
+        this.companyWriter = companyWriter;
+        this.contactReader = contactReader;
+        this.contactWriter = contactWriter;
+        this.opportunityReader = opportunityReader;
+        this.opportunityWriter = opportunityWriter;
+        this.interactionReader = interactionReader;
+        this.interactionWriter = interactionWriter;
+        this.eventLogReader = eventLogReader;
+        this.eventLogWriter = eventLogWriter;
+        this.taskReader = taskReader;
+        this.taskWriter = taskWriter;
+        this.auditLogService = auditLogService;
+    }
+
+    // ==================== 偵測 ====================
+
+    /**
+     * 公司重複候選 (分數高 -> 低)
+     * @param {Object} [options] - { minScore, limit }
+     * @param {Object} [user]
+     * @returns {Promise<Array<{ pairId, score, reasons, records, suggestedSurvivorId }>>}
+     */
+    async findCompanyDuplicates(options = {}, user = null) {
+        assertCanRead(user, 'dataMerge');
+        assertCanRead(user, 'company');
+        const settings = this.config.DUPLICATES;
+        const weights = settings.WEIGHTS.company;
+
+        const [companies, contacts, opportunities, interactions] = await Promise.all([
+            this.companyReader.getCompanyList(),
+            this.contactReader.getContactList(),
+            this.opportunityReader.getOpportunities(),
+            this.interactionReader.getInteractions()
+        ]);
+
+        // 公司沒有 Email 欄位，網域取自該公司聯絡人
+        const domainsByCompany = new Map();
+        contacts.forEach(contact => {
+            const domain = emailDomain(contact.email, settings.PUBLIC_EMAIL_DOMAINS);
+            if (!domain) return;
+            if (!domainsByCompany.has(contact.companyId)) domainsByCompany.set(contact.companyId, new Set());
+            domainsByCompany.get(contact.companyId).add(domain);
+        });
+
+        const records = companies.map(company => ({
+            company,
+            name: normalizeName(company.companyName),
+            phone: phoneKey(company.phone),
+            address: addressKey(company.address),
+            domains: domainsByCompany.get(company.companyId) || new Set()
+        }));
+
+        const pairs = this._candidatePairs(records, record => [
+            record.name ? `n:${record.name[0]}` : '',
+            record.phone ? `p:${record.phone}` : '',
+            record.address ? `a:${record.address}` : '',
+            ...[...record.domains].map(domain => `d:${domain}`)
+        ]);
+
+        const counts = this._companyRelationCounts(companies, contacts, opportunities, interactions);
+
+        const results = [];
+        pairs.forEach(([a, b]) => {
+            const reasons = [];
+            let score = 0;
+
+            const name = companyNameSimilarity(a.name, b.name);
+            if (name.score > 0) {
+                score += name.score * weights.name;
+                reasons.push(name.reason);
+            }
+            if (a.phone && a.phone === b.phone) {
+                score += weights.phone;
+                reasons.push('電話相同');
+            }
+            const sharedDomain = [...a.domains].find(domain => b.domains.has(domain));
+            if (sharedDomain) {
+                score += weights.emailDomain;
+                reasons.push(`Email 網域相同 (${sharedDomain})`);
+            }
+            if (a.address && a.address === b.address) {
+                score += weights.address;
+                reasons.push('地址相同');
+            }
+
+            const summaries = [a, b].map(({ company }) => ({
+                id: company.companyId,
+                name: company.companyName,
+                phone: company.phone,
+                address: company.address,
+                county: company.county,
+                createdTime: company.createdTime,
+                counts: counts.get(company.companyId)
+            }));
+            results.push(this._toResult(summaries, Math.min(100, Math.round(score)), reasons));
+        });
+
+        return this._rank(results, options);
+    }
+
+    /**
+     * 正式聯絡人重複候選 (分數高 -> 低)
+     * @param {Object} [options] - { minScore, limit }
+     * @param {Object} [user]
+     */
+    async findContactDuplicates(options = {}, user = null) {
+        assertCanRead(user, 'dataMerge');
+        assertCanRead(user, 'contact');
+        const settings = this.config.DUPLICATES;
+        const weights = settings.WEIGHTS.contact;
+
+        const [contacts, companies, links] = await Promise.all([
+            this.contactReader.getContactList(),
+            this.companyReader.getCompanyList(),
+            this.contactReader.getAllOppContactLinks()
+        ]);
+
+        const companyNames = new Map(companies.map(c => [c.companyId, c.companyName]));
+        const linkCounts = new Map();
+        links.filter(l => l.status === 'active').forEach(l => linkCounts.set(l.contactId, (linkCounts.get(l.contactId) || 0) + 1));
+
+        const records = contacts.map(contact => ({
+            contact,
+            name: normalizePersonName(contact.name),
+            phones: [phoneKey(contact.mobile), phoneKey(contact.phone)].filter(Boolean),
+            email: String(contact.email || '').toLowerCase().trim(),
+            domain: emailDomain(contact.email, settings.PUBLIC_EMAIL_DOMAINS)
+        }));
+
+        const pairs = this._candidatePairs(records, record => [
+            record.name ? `n:${record.name}` : '',
+            record.email ? `e:${record.email}` : '',
+            record.contact.companyId ? `c:${record.contact.companyId}` : '',
+            ...record.phones.map(phone => `p:${phone}`)
+        ]);
+
+        const results = [];
+        pairs.forEach(([a, b]) => {
+            const reasons = [];
+            let score = 0;
+
+            if (a.name && a.name === b.name) {
+                score += weights.name;
+                reasons.push('姓名相同');
+            } else {
+                const dice = bigramDice(a.name, b.name);
+                if (dice >= 0.5) {
+                    score += dice * weights.name;
+                    reasons.push(`姓名相似 ${Math.round(dice * 100)}%`);
+                }
+            }
+            if (a.phones.some(phone => b.phones.includes(phone))) {
+                score += weights.phone;
+                reasons.push('電話相同');
+            }
+            if (a.email && a.email === b.email) {
+                score += weights.email;
+                reasons.push('Email 相同');
+            } else if (a.domain && a.domain === b.domain) {
+                score += weights.email / 2;
+                reasons.push(`Email 網域相同 (${a.domain})`);
+            }
+            if (a.contact.companyId && a.contact.companyId === b.contact.companyId) {
+                score += weights.company;
+                reasons.push('同公司');
+            }
+
+            const summaries = [a, b].map(({ contact }) => ({
+                id: contact.contactId,
+                name: contact.name,
+                companyName: companyNames.get(contact.companyId) || contact.companyId,
+                position: contact.position,
+                mobile: contact.mobile,
+                phone: contact.phone,
+                email: contact.email,
+                createdTime: contact.createdTime,
+                counts: { opportunities: linkCounts.get(contact.contactId) || 0 }
+            }));
+            results.push(this._toResult(summaries, Math.min(100, Math.round(score)), reasons));
+        });
+
+        return this._rank(results, options);
+    }
+
+    /**
+     * @private 依分組鍵產生不重複的候選配對
+     * @param {Array<Object>} records
+     * @param {Function} keysOf - (record) => Array<string>，空字串略過
+     * @returns {Array<[Object, Object]>}
+     */
+    _candidatePairs(records, keysOf) {
+        const blocks = new Map();
+        records.forEach((record, index) => {
+            new Set(keysOf(record).filter(Boolean)).forEach(key => {
+                if (!blocks.has(key)) blocks.set(key, []);
+                blocks.get(key).push(index);
+            });
+        });
+
+        const seen = new Set();
+        const pairs = [];
+        blocks.forEach(indexes => {
+            for (let i = 0; i < indexes.length; i++) {
+                for (let j = i + 1; j < indexes.length; j++) {
+                    const pairKey = `${indexes[i]}|${indexes[j]}`;
+                    if (seen.has(pairKey)) continue;
+                    seen.add(pairKey);
+                    pairs.push([records[indexes[i]], records[indexes[j]]]);
+                }
+            }
+        });
+        return pairs;
+    }
+
+    _companyRelationCounts(companies, contacts, opportunities, interactions) {
+        const counts = new Map(companies.map(c => [c.companyId, { opportunities: 0, contacts: 0, interactions: 0 }]));
+        // 與 mergeCompanies 相同，機會以實際儲存的公司名稱對應
+        const idByName = new Map(companies.map(c => [String(c.companyName || '').trim(), c.companyId]));
+
+        opportunities.forEach(o => {
+            const id = idByName.get(String(o.customerCompany || '').trim());
+            if (id) counts.get(id).opportunities++;
+        });
+        contacts.forEach(c => { if (counts.has(c.companyId)) counts.get(c.companyId).contacts++; });
+        interactions.forEach(i => { if (counts.has(i.companyId)) counts.get(i.companyId).interactions++; });
+        return counts;
+    }
+
+    /**
+     * @private 建議存續：關聯資料較多者，相同時取較早建立者；建議存續者排在 records[0]
+     */
+    _toResult(summaries, score, reasons) {
+        const total = (record) => Object.values(record.counts || {}).reduce((sum, n) => sum + n, 0);
+        const time = (record) => new Date(record.createdTime || 0).getTime() || Infinity;
+        const [a, b] = summaries;
+        const keepFirst = total(a) !== total(b) ? total(a) > total(b) : time(a) <= time(b);
+        const records = keepFirst ? [a, b] : [b, a];
+
+        return {
+            pairId: `${records[0].id}|${records[1].id}`,
+            score,
+            reasons,
+            records,
+            suggestedSurvivorId: records[0].id
+        };
+    }
+
+    _rank(results, options) {
+        const settings = this.config.DUPLICATES;
+        const minScore = Number(options.minScore) || settings.MIN_SCORE;
+        const limit = Math.min(Number(options.limit) || settings.MAX_RESULTS, settings.MAX_RESULTS);
+
+        return results
+            .filter(result => result.score >= minScore)
+            .sort((a, b) => b.score - a.score || a.pairId.localeCompare(b.pairId))
+            .slice(0, limit);
+    }
+
+    // ==================== 合併 ====================
+
+    /**
+     * 合併公司：duplicateId 的關聯資料改指向 survivorId，duplicateId 移入回收桶
+     * @param {string} survivorId - 存續公司ID
+     * @param {string} duplicateId - 被併入公司ID
+     * @param {Object} user
+     * @returns {Promise<object>} { success, survivorId, duplicateId, filled, moved, skipped }
+     */
+    async mergeCompanies(survivorId, duplicateId, user) {
+        assertCanWrite(user, 'dataMerge');
+        assertCanWrite(user, 'company');
+        this._assertPair(survivorId, duplicateId, '公司');
+
+        const modifier = this._modifierName(user);
+
+        // 合併需以最新資料判斷，不可使用快取
+        this.companyReader.invalidateCache('companyList');
+        const companies = await this.companyReader.getCompanyList();
+        const survivor = companies.find(c => c.companyId === survivorId);
+        const duplicate = companies.find(c => c.companyId === duplicateId);
+        if (!survivor || !duplicate) {
+            throw new Error(`${MERGE_ERROR_PREFIX}找不到公司 (${!survivor ? survivorId : duplicateId})，可能已刪除或已合併`);
+        }
+
+        const [opportunities, deletedOpportunities, contacts, eventLogs, deletedEventLogs, tasks] = await Promise.all([
+            this.opportunityReader.getOpportunities(),
+            this.opportunityReader.getDeletedOpportunities(),
+            this.contactReader.getContactList(),
+            this.eventLogReader.getEventLogs(),
+            this.eventLogReader.getDeletedEventLogs(),
+            this.taskReader.getTasks()
+        ]);
+
+        const moved = { opportunities: 0, contacts: 0, interactions: 0, events: 0, tasks: 0 };
+        const skipped = { legacyEvents: 0 };
+
+        // 1. 存續公司補齊空白欄位
+        const filled = {};
+        COMPANY_FILL_FIELDS.forEach(field => {
+            if (!survivor[field] && duplicate[field]) filled[field] = duplicate[field];
+        });
+        if (Object.keys(filled).length > 0) {
+            await this.companyWriter.updateCompany(survivor.rowIndex, filled, modifier);
+        }
+
+        // 2. 機會案件以公司名稱關聯 (終端客戶 / 主要通路，機會沒有公司ID 欄位)，含回收桶中的機會
+        // 只比對被併入公司實際儲存的名稱：正規化後相同的名稱可能屬於另一間仍存在的公司，不可一併改指
+        const duplicateName = String(duplicate.companyName || '').trim();
+        const pointsToDuplicate = (value) => !!duplicateName && duplicateName !== survivor.companyName && String(value || '').trim() === duplicateName;
+        const opportunityUpdates = [];
+        for (const opp of [...opportunities, ...deletedOpportunities]) {
+            const data = {};
+            if (pointsToDuplicate(opp.customerCompany)) data.customerCompany = survivor.companyName;
+            if (pointsToDuplicate(opp.salesChannel)) data.salesChannel = survivor.companyName;
+            if (Object.keys(data).length > 0) opportunityUpdates.push({ rowIndex: opp.rowIndex, data, modifier });
+        }
+        const batchSize = this.config.DUPLICATES.MERGE_BATCH_SIZE;
+        for (let i = 0; i < opportunityUpdates.length; i += batchSize) {
+            const result = await this.opportunityWriter.batchUpdateOpportunities(opportunityUpdates.slice(i, i + batchSize));
+            moved.opportunities += result.successCount;
+            if (result.failCount > 0) {
+                throw new Error(`${MERGE_ERROR_PREFIX}${result.failCount} 筆機會案件未能更新 (已更新 ${moved.opportunities} 筆)，請重新執行合併`);
+            }
+        }
+
+        // 3. 正式聯絡人
+        for (const contact of contacts.filter(c => c.companyId === duplicateId)) {
+            await this.contactWriter.updateContactRow(contact.rowIndex, { company: survivorId }, modifier);
+            moved.contacts++;
+        }
+
+        // 4. 互動紀錄 (批次)
+        const interactionResult = await this.interactionWriter.reassignCompany(duplicateId, survivorId);
+        moved.interactions = interactionResult.count;
+
+        // 5. 事件紀錄 (含回收桶)；舊版「事件紀錄總表」無法依類型定位，略過
+        for (const log of [...eventLogs, ...deletedEventLogs].filter(e => e.companyId === duplicateId)) {
+            if (log.eventType === 'legacy') {
+                skipped.legacyEvents++;
+                continue;
+            }
+            await this.eventLogWriter.updateEventLog(log.rowIndex || log.eventId, { eventType: log.eventType, companyId: survivorId }, modifier);
+            moved.events++;
+        }
+
+        // 6. 待辦任務
+        for (const task of tasks.filter(t => t.linkType === 'company' && t.linkId === duplicateId)) {
+            await this.taskWriter.updateTask(task.rowIndex, { linkId: survivorId, linkName: survivor.companyName }, modifier);
+            moved.tasks++;
+        }
+
+        // 7. 被併入公司移入回收桶 (最後執行，失敗時可重跑本合併)
+        await this.companyWriter.updateCompany(duplicate.rowIndex, {
+            deletedTime: new Date().toISOString(),
+            deletedBy: modifier
+        }, modifier);
+
+        this.companyReader.invalidateCache('companyList');
+        this.contactReader.invalidateCache('contactList');
+
+        // 8. 合併紀錄
+        const summary = `機會 ${moved.opportunities}、聯絡人 ${moved.contacts}、互動 ${moved.interactions}、事件 ${moved.events}、任務 ${moved.tasks}`;
+        await this.auditLogService.recordMerge(
+            'company',
+            { id: survivorId, name: survivor.companyName },
+            { id: duplicateId, name: duplicate.companyName },
+            summary, modifier
+        );
+        await this._logCompanyMerge(survivorId, duplicate, summary, modifier);
+
+        console.log(`🔗 [DuplicateService] 公司合併: ${duplicate.companyName} (${duplicateId}) -> ${survivor.companyName} (${survivorId}) by ${modifier}｜${summary}`);
+        return { success: true, survivorId, duplicateId, filled: Object.keys(filled), moved, skipped };
+    }
+
+    /**
+     * 合併正式聯絡人：duplicateId 的機會關聯與任務改指向 survivorId，並刪除 duplicateId
+     * @param {string} survivorId - 存續聯絡人ID
+     * @param {string} duplicateId - 被併入聯絡人ID
+     * @param {Object} user
+     * @returns {Promise<object>} { success, survivorId, duplicateId, filled, moved }
+     */
+    async mergeContacts(survivorId, duplicateId, user) {
+        assertCanWrite(user, 'dataMerge');
+        assertCanWrite(user, 'contact');
+        this._assertPair(survivorId, duplicateId, '聯絡人');
+
+        const modifier = this._modifierName(user);
+
+        this.contactReader.invalidateCache('contactList');
+        this.contactReader.invalidateCache('oppContactLinks');
+        const [contacts, links, opportunities, tasks] = await Promise.all([
+            this.contactReader.getContactList(),
+            this.contactReader.getAllOppContactLinks(),
+            this.opportunityReader.getOpportunities(),
+            this.taskReader.getTasks()
+        ]);
+
+        const survivor = contacts.find(c => c.contactId === survivorId);
+        const duplicate = contacts.find(c => c.contactId === duplicateId);
+        if (!survivor || !duplicate) {
+            throw new Error(`${MERGE_ERROR_PREFIX}找不到聯絡人 (${!survivor ? survivorId : duplicateId})，可能已刪除或已合併`);
+        }
+
+        const moved = { links: 0, opportunities: 0, tasks: 0 };
+
+        // 1. 存續聯絡人補齊空白欄位
+        const filled = {};
+        Object.entries(CONTACT_FILL_FIELDS).forEach(([field, writerField]) => {
+            if (!survivor[field] && duplicate[field]) filled[writerField] = duplicate[field];
+        });
+        if (Object.keys(filled).length > 0) {
+            await this.contactWriter.updateContactRow(survivor.rowIndex, filled, modifier);
+        }
+
+        // 2. 機會關聯：存續者尚未關聯的機會改建立存續者的關聯，被併入者的關聯一律移除
+        const survivorOpportunities = new Set(
+            links.filter(l => l.contactId === survivorId && l.status === 'active').map(l => l.opportunityId)
+        );
+        const duplicateLinks = links.filter(l => l.contactId === duplicateId);
+        for (const link of duplicateLinks) {
+            if (link.status === 'active' && !survivorOpportunities.has(link.opportunityId)) {
+                await this.opportunityWriter.linkContactToOpportunity(link.opportunityId, survivorId, modifier);
+                survivorOpportunities.add(link.opportunityId);
+                moved.links++;
+            }
+            await this.opportunityWriter.deleteContactLink(link.opportunityId, duplicateId);
+        }
+
+        // 3. 關聯機會的終端窗口 (以姓名記錄)
+        if (duplicate.name && duplicate.name !== survivor.name) {
+            const linkedOpportunities = new Set(duplicateLinks.map(l => l.opportunityId));
+            for (const opp of opportunities.filter(o => linkedOpportunities.has(o.opportunityId) && o.mainContact === duplicate.name)) {
+                await this.opportunityWriter.updateOpportunity(opp.rowIndex, { mainContact: survivor.name }, modifier);
+                moved.opportunities++;
+            }
+        }
+
+        // 4. 待辦任務
+        for (const task of tasks.filter(t => t.linkType === 'contact' && t.linkId === duplicateId)) {
+            await this.taskWriter.updateTask(task.rowIndex, { linkId: survivorId, linkName: survivor.name }, modifier);
+            moved.tasks++;
+        }
+
+        // 5. 刪除被併入的聯絡人 (最後執行，失敗時可重跑本合併)
+        await this.contactWriter.deleteContactRow(duplicate.rowIndex, modifier);
+        this.contactReader.invalidateCache('contactList');
+
+        // 6. 合併紀錄
+        const summary = `機會關聯 ${moved.links}、終端窗口 ${moved.opportunities}、任務 ${moved.tasks}`;
+        await this.auditLogService.recordMerge(
+            'contact',
+            { id: survivorId, name: survivor.name },
+            { id: duplicateId, name: duplicate.name },
+            summary, modifier
+        );
+
+        console.log(`🔗 [DuplicateService] 聯絡人合併: ${duplicate.name} (${duplicateId}) -> ${survivor.name} (${survivorId}) by ${modifier}｜${summary}`);
+        return { success: true, survivorId, duplicateId, filled: Object.keys(filled), moved };
+    }
+
+    _assertPair(survivorId, duplicateId, label) {
+        if (!survivorId || !duplicateId) {
+            throw new Error(`${MERGE_ERROR_PREFIX}請指定存續與被併入的${label}`);
+        }
+        if (survivorId === duplicateId) {
+            throw new Error(`${MERGE_ERROR_PREFIX}不可將${label}與自己合併`);
+        }
+    }
+
+    /**
+     * @private 在存續公司新增系統事件互動 (失敗只記錄警告，合併已完成)
+     */
+    async _logCompanyMerge(companyId, duplicate, summary, modifier) {
+        try {
+            await this.interactionWriter.createInteraction({
+                companyId,
+                eventType: '系統事件',
+                eventTitle: '合併公司',
+                contentSummary: `公司 "${duplicate.companyName}" (${duplicate.companyId}) 已由 ${modifier} 併入本公司。移轉：${summary}。`,
+                interactionTime: new Date().toISOString()
+            }, modifier);
+        } catch (error) {
+            console.warn(`[DuplicateService] 無法記錄合併互動: ${error.message}`);
+        }
+    }
+
+    _modifierName(user) {
+        if (!user) return 'System';
+        if (typeof user === 'object') return user.displayName || user.username || user.name || 'System';
+        return String(user);
+    }
+}
+
+// 名稱 / 電話正規化規則，供匯入等功能以相同規則判斷重複
+DuplicateService.normalizeName = normalizeName;
+DuplicateService.normalizePersonName = normalizePersonName;
+DuplicateService.phoneKey = phoneKey;
+
+module.exports = DuplicateService;
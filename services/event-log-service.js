@@ -1,18 +1,25 @@
 /**
  * services/event-log-service.js
  * 事件紀錄服務邏輯
- * @version 5.2.0 (Phase 5 - SQL Reader Fallback Injection)
- * @date 2026-01-29
+ * @version 5.3.0 (Phase 5 - Stable Record IDs)
+ * @date 2026-01-31
  * @description
  * [Standard A] Join 邏輯集中在 Service；所有回傳物件皆 clone，避免污染 Reader Cache。
  * [Hotfix] 當 eventType 變更時，rowIndex 不可跨 sheet update，必須 delete + create (Move)。
  * [Fix] deleteEventLog: 修正 Controller 呼叫斷裂，新增 eventId 解析邏輯。
  * [Test] 注入 EventLogSqlReader 供讀取測試，失敗時 Fallback 至 Sheet Reader。
+ * [SQL] 寫入路徑支援 EventLogSqlWriter：SQL 紀錄無 rowIndex，Writer 改以 eventId 定位 (見 _resolveWriteKey)。
+ * [Stable ID] 更新/刪除一律以事件ID 解析，不再接受 rowIndex；rowIndex 僅作為 Sheet Writer 的內部定位。
+ * [Soft Delete] deleteEventLog 改為標記刪除時間/刪除者移入回收桶；eventType 變更的 Move 流程仍為實體刪除。
+ * [Permissions] 建立 / 更新 / 刪除需具 event 寫入權限 (由 Controller 傳入 req.user)。
+ * [Concurrency] updateEventLog 支援 expectedLastUpdateTime 樂觀鎖 (比對最後修改時間)，過期寫入回傳 409。
  * 依賴注入：EventLogReader, EventLogWriter, OpportunityReader, CompanyReader, SystemReader, CalendarService
  */
 
 // [Patch] 引入 SQL Reader 供測試期雙軌並行
 const EventLogSqlReader = require('../data/event-log-sql-reader');
+const { assertCanWrite } = require('../utils/permission-helpers');
+const { takeExpectedVersion, assertNotStale } = require('../utils/concurrency-helpers');
 
 class EventLogService {
     constructor(eventReader, eventWriter, oppReader, companyReader, systemReader, calendarService) {
@@ -40,6 +47,14 @@ class EventLogService {
         }
     }
 
+    /**
+     * 取得 Writer 定位用的 Key
+     * Sheet 紀錄以 rowIndex 定位；SQL 紀錄 rowIndex 固定為 null，改以 eventId 定位。
+     */
+    _resolveWriteKey(record) {
+        return record.rowIndex ? record.rowIndex : record.eventId;
+    }
+
     async getAllEvents() {
         try {
             // [Patch Start] SQL Read Priority with Fallback
@@ -125,6 +140,7 @@ class EventLogService {
     }
 
     async createEvent(data, user) {
+        assertCanWrite(user, 'event');
         try {
             const modifier = user?.displayName || user?.username || 'System';
 
@@ -156,68 +172,69 @@ class EventLogService {
         }
     }
 
-    async updateEvent(rowIndex, data, user) {
-        try {
-            const modifier = user?.displayName || user?.username || 'System';
-            const result = await this.eventWriter.updateEventLog(rowIndex, data, modifier);
-            this._invalidateEventCacheSafe();
-            return result;
-        } catch (error) {
-            console.error(`[EventLogService] updateEvent Error (Row: ${rowIndex}):`, error);
-            throw error;
-        }
+    /**
+     * 依事件ID 找出原始紀錄 (同時取得 Writer 定位 Key 與原 eventType)
+     * [Note] 寫入流程必須與 Writer 同源，因此直接呼叫注入的 Reader，不走 SQL fallback 邏輯
+     * @private
+     */
+    async _findEventById(eventId) {
+        const logs = await this.eventReader.getEventLogs();
+        return logs.find(l => l.eventId === eventId) || null;
     }
 
     /**
-     * [Proxy] 兼容舊 Controller：允許 eventId 或 rowIndex
-     * [Hotfix] 若 eventType 變更，必須 Move：delete(old sheet row) + create(new sheet row)
+     * @private rowIndex 僅在此與 Writer 之間流動，不對外暴露
      */
-    async updateEventLog(idOrRowIndex, data, modifier) {
-        // 1) 先嘗試拿到 eventId（前端可能傳 eventId，也可能只傳 rowIndex）
-        const inputEventId = data?.eventId || data?.id || null;
+    async _updateByWriteKey(writeKey, data, modifier) {
+        const result = await this.eventWriter.updateEventLog(writeKey, data, modifier);
+        this._invalidateEventCacheSafe();
+        return result;
+    }
 
-        // 2) 先讀全列表（這裡是必要的：用來解析原始 rowIndex / 原 eventType）
-        // [Note] Update 流程必須依賴 Sheet 的 rowIndex，因此直接呼叫 Sheet Reader，不走 SQL fallback 邏輯
-        const logs = await this.eventReader.getEventLogs();
+    /**
+     * @private
+     */
+    async _deleteByWriteKey(writeKey, eventType) {
+        const result = await this.eventWriter.deleteEventLog(writeKey, eventType);
+        this._invalidateEventCacheSafe();
+        return result;
+    }
 
-        let original = null;
+    /**
+     * 更新事件紀錄 (一律以事件ID 定位)
+     * [Hotfix] 若 eventType 變更，必須 Move：delete(old sheet row) + create(new sheet row)
+     * @param {string} eventId
+     * @param {Object} rawData - 可附帶 expectedLastUpdateTime (讀取時的最後修改時間)
+     * @param {string} modifier - 修改者名稱
+     * @param {Object} [user] - 操作者 (req.user)，用於權限檢查
+     */
+    async updateEventLog(eventId, rawData, modifier, user = null) {
+        assertCanWrite(user, 'event');
+        try {
+            const { expected, data } = takeExpectedVersion(rawData);
 
-        // 2a) 優先用 eventId 找原事件（最準）
-        if (inputEventId) {
-            original = logs.find(l => l.eventId === inputEventId) || null;
-        }
+            // 樂觀鎖需比對最新版本，不可使用快取
+            if (expected !== undefined) this._invalidateEventCacheSafe();
 
-        // 2b) 若找不到，再用 rowIndex 猜（風險較高，但保持相容）
-        if (!original) {
-            const candidateRow = Number(idOrRowIndex);
-            if (Number.isInteger(candidateRow)) {
-                original = logs.find(l => Number(l.rowIndex) === candidateRow) || null;
+            const original = await this._findEventById(eventId);
+            if (!original) {
+                throw new Error(`Update Failed: Event ID '${eventId}' not found.`);
             }
-        }
 
-        // 3) 若連原事件都找不到，就維持舊行為（交給 writer 報錯）
-        //    但我們先把 rowIndex 解析成數字
-        let rowIndex = idOrRowIndex;
-        if (typeof rowIndex === 'string' && isNaN(Number(rowIndex))) {
-            // 傳進來像 eventId 的情況：用 logs 查 rowIndex
-            const target = logs.find(l => l.eventId === rowIndex);
-            if (!target || !target.rowIndex) {
-                throw new Error(`Update Failed: Event ID '${rowIndex}' not found.`);
-            }
-            rowIndex = target.rowIndex;
-        }
+            // 事件的版本欄位為最後修改時間 (lastModifiedTime)
+            assertNotStale(
+                { ...original, lastUpdateTime: original.lastModifiedTime },
+                expected,
+                `事件「${original.eventName || eventId}」`
+            );
 
-        rowIndex = Number(rowIndex);
-        if (!Number.isInteger(rowIndex)) {
-            throw new Error('Invalid resolved rowIndex');
-        }
+            // 解析 Writer 定位 Key (Sheet: rowIndex / SQL: eventId)
+            const writeKey = this._resolveWriteKey(original);
 
-        // 4) Hotfix：偵測事件種類變更 -> Move
-        //    original 必須存在才做 move；否則走原本 update
-        if (original && data && data.eventType && original.eventType && data.eventType !== original.eventType) {
-            try {
-                // (A) 先刪舊的（用原 eventType + 原 rowIndex 才刪得到）
-                await this.eventWriter.deleteEventLog(original.rowIndex, original.eventType);
+            // Hotfix：偵測事件種類變更 -> Move
+            if (data && data.eventType && original.eventType && data.eventType !== original.eventType) {
+                // (A) 先刪舊的（用原 eventType + 原定位 Key 才刪得到）
+                await this.eventWriter.deleteEventLog(writeKey, original.eventType);
 
                 // (B) 再建新的：保留 eventId（避免前端之後找不到）
                 const payload = { ...data };
@@ -236,36 +253,41 @@ class EventLogService {
                     return { ...createResult, moved: true };
                 }
                 return { success: true, moved: true };
-            } catch (moveError) {
-                console.error('[EventLogService] Move on eventType change failed:', moveError);
-                throw moveError;
             }
-        }
 
-        // 5) 沒有 eventType 變更 -> 正常 update
-        const user = { displayName: modifier };
-        return await this.updateEvent(rowIndex, data, user);
+            return await this._updateByWriteKey(writeKey, data, modifier);
+        } catch (error) {
+            console.error(`[EventLogService] updateEventLog Error (${eventId}):`, error);
+            throw error;
+        }
     }
 
     /**
-     * [Patch] 實作 Controller 所需的 deleteEventLog 介面
-     * 負責將 eventId 解析為 rowIndex 與 eventType 後刪除
+     * 刪除事件紀錄 (一律以事件ID 定位)
+     * [Soft Delete] 只標記刪除時間/刪除者，資料列保留於回收桶
+     * @param {string} eventId
+     * @param {string} modifier - 刪除者名稱
+     * @param {Object} [user] - 操作者 (req.user)，用於權限檢查
      */
-    async deleteEventLog(eventId, user) {
+    async deleteEventLog(eventId, modifier, user = null) {
+        assertCanWrite(user, 'event');
         try {
-            // 1. 讀取所有事件以查找 eventId (解析 rowIndex 與 eventType)
-            // [Note] Delete 流程必須依賴 Sheet 的 rowIndex，因此直接呼叫 Sheet Reader，不走 SQL fallback 邏輯
-            const logs = await this.eventReader.getEventLogs();
-            const target = logs.find(l => l.eventId === eventId);
-
+            const target = await this._findEventById(eventId);
             if (!target) {
                 throw new Error(`Delete Failed: Event ID '${eventId}' not found.`);
             }
+            // 舊版「事件紀錄總表」沒有刪除欄位，無法放入回收桶
+            if (target.eventType === 'legacy') {
+                throw new Error('無法刪除：舊版事件紀錄不支援回收桶，請先編輯並轉存為新版事件。');
+            }
 
-            // 2. 呼叫底層 deleteEvent 進行實體刪除 (複用既有邏輯)
-            // 注意：deleteEvent 內部會呼叫 Writer 並 invalidate cache
-            console.log(`[EventLogService] Resolved delete for ${eventId} -> Row ${target.rowIndex} (${target.eventType})`);
-            return await this.deleteEvent(target.rowIndex, target.eventType, { displayName: user });
+            const writeKey = this._resolveWriteKey(target);
+            console.log(`[EventLogService] Resolved delete for ${eventId} -> ${writeKey} (${target.eventType}) by ${modifier}`);
+            return await this._updateByWriteKey(writeKey, {
+                eventType: target.eventType,
+                deletedTime: new Date().toISOString(),
+                deletedBy: modifier
+            }, modifier);
 
         } catch (error) {
             console.error(`[EventLogService] deleteEventLog Error (${eventId}):`, error);
@@ -273,17 +295,54 @@ class EventLogService {
         }
     }
 
-    async deleteEvent(rowIndex, eventType, user) {
+    /**
+     * [Soft Delete] 取得回收桶中的事件紀錄
+     */
+    async getDeletedEventLogs() {
+        return this.eventReader.getDeletedEventLogs();
+    }
+
+    /**
+     * [Soft Delete] 從回收桶還原事件紀錄
+     */
+    async restoreEventLog(eventId, user) {
+        try {
+            const target = await this._findDeletedEventById(eventId);
+            return await this._updateByWriteKey(this._resolveWriteKey(target), {
+                eventType: target.eventType,
+                deletedTime: '',
+                deletedBy: ''
+            }, user);
+        } catch (error) {
+            console.error(`[EventLogService] restoreEventLog Error (${eventId}):`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * [Soft Delete] 永久刪除回收桶中的事件紀錄 (實體刪除資料列)
+     */
+    async purgeEventLog(eventId, user) {
         try {
-            const result = await this.eventWriter.deleteEventLog(rowIndex, eventType);
-            this._invalidateEventCacheSafe();
-            return result;
+            const target = await this._findDeletedEventById(eventId);
+            console.log(`[EventLogService] Purge ${eventId} (${target.eventType}) by ${user}`);
+            return await this._deleteByWriteKey(this._resolveWriteKey(target), target.eventType);
         } catch (error) {
-            console.error(`[EventLogService] deleteEvent Error (Row: ${rowIndex}):`, error);
+            console.error(`[EventLogService] purgeEventLog Error (${eventId}):`, error);
             throw error;
         }
     }
 
+    /**
+     * @private 只在回收桶中查找，避免誤刪/誤還原使用中的事件
+     */
+    async _findDeletedEventById(eventId) {
+        const logs = await this.eventReader.getDeletedEventLogs();
+        const target = logs.find(l => l.eventId === eventId);
+        if (!target) throw new Error(`回收桶中找不到事件 (ID: ${eventId})`);
+        return target;
+    }
+
     async getEventTypes() {
         try {
             const config = await this.systemReader.getSystemConfig();
@@ -43,16 +43,11 @@ class EventService {
 
         if (opportunityId) {
             try {
-                const oppResult = await this.opportunityService.getOpportunityDetails(opportunityId);
+                const oppResult = await this.opportunityService.getOpportunityDetails(opportunityId, user);
                 opportunityInfo = oppResult.opportunityInfo;
                 
-                // 保留原始分類邏輯 (字串包含)
-                const type = (opportunityInfo.opportunityType || '').toLowerCase();
-                if (type.includes('iot') || type.includes('智慧') || type.includes('連網')) {
-                    category = 'IoT';
-                } else {
-                    category = 'DT';
-                }
+                // 分類邏輯 (字串包含) 與週報草稿共用
+                category = this.weeklyBusinessService.getCategoryForOpportunity(opportunityInfo);
                 
                 // Fallback B: 若欄位為空則顯示 '未知客戶'
                 customerName = opportunityInfo.customerCompany || '未知客戶';
@@ -147,7 +142,7 @@ ${companyNote}
             };
             
             // [Fix] 改為呼叫 Service
-            actions.push(this.weeklyBusinessService.createWeeklyBusinessEntry(weeklyData));
+            actions.push(this.weeklyBusinessService.createWeeklyBusinessEntry(weeklyData, user));
         }
 
         // 3. 並行執行所有寫入 (保留 Promise.allSettled 策略)
@@ -0,0 +1,206 @@
+/**
+ * services/export-service.js
+ * 列表匯出 (機會案件 / 公司 / 事件紀錄 / 商品)
+ * * @version 1.0.0
+ * @date 2026-02-19
+ * @description
+ * 1. 各列表沿用原本的查詢方法與篩選參數取得資料 (不分頁)，匯出內容與畫面篩選結果一致。
+ * 2. 欄位依角色移除：PERMISSIONS.hiddenFields 之外，EXPORT.ADMIN_ONLY_FIELDS 對非管理員一律移除 (商品成本與各級售價)。
+ * 3. 回傳 { fileName, sheetName, columns, rows }，由 Controller 以 utils/spreadsheet-writer 輸出 CSV / XLSX。
+ */
+
+const { assertCanRead, getHiddenFields, getRole } = require('../utils/permission-helpers');
+
+const EXPORT_ERROR_PREFIX = '無法匯出：';
+
+// 事件紀錄列表的時間篩選 (與事件紀錄頁相同：近 N 天內有更新)
+const EVENT_TIME_FILTERS = ['7', '30', '90'];
+
+class ExportService {
+    /**
+     * @param {Object} deps
+     * @param {Object} deps.config
+     * @param {OpportunityService} deps.opportunityService
+     * @param {CompanyService} deps.companyService
+     * @param {DashboardService} deps.dashboardService - 事件紀錄列表 (含機會 / 公司名稱)
+     * @param {ProductService} deps.productService
+     */
+    constructor({ config, opportunityService, companyService, dashboardService, productService }) {
+        this.config = config;
+        this.opportunityService = opportunityService;
+        this.companyService = companyService;
+        this.dashboardService = dashboardService;
+        this.productService = productService;
+
+        const F = config.OPPORTUNITY_FIELD_NAMES;
+        this.columns = {
+            opportunity: [
+                { key: 'opportunityId', label: F.ID },
+                { key: 'opportunityName', label: F.NAME },
+                { key: 'customerCompany', label: F.CUSTOMER },
+                { key: 'salesModel', label: F.SALES_MODEL },
+                { key: 'salesChannel', label: F.CHANNEL },
+                { key: 'channelContact', label: F.CHANNEL_CONTACT },
+                { key: 'mainContact', label: F.CONTACT },
+                { key: 'assignee', label: F.ASSIGNEE },
+                { key: 'opportunityType', label: F.TYPE },
+                { key: 'opportunitySource', label: F.SOURCE },
+                { key: 'currentStage', label: F.STAGE },
+                { key: 'expectedCloseDate', label: F.CLOSE_DATE },
+                { key: 'orderProbability', label: F.PROBABILITY },
+                { key: 'opportunityValue', label: F.VALUE, type: 'number' },
+                { key: 'opportunityValueType', label: F.VALUE_TYPE },
+                { key: 'deviceScale', label: F.DEVICE_SCALE },
+                { key: 'currentStatus', label: F.STATUS },
+                { key: 'notes', label: F.NOTES },
+                { key: 'createdTime', label: F.CREATED_TIME },
+                { key: 'lastUpdateTime', label: F.LAST_UPDATE_TIME },
+                { key: 'lastModifier', label: F.LAST_MODIFIER }
+            ],
+            company: [
+                { key: 'companyId', label: '公司ID' },
+                { key: 'companyName', label: '公司名稱' },
+                { key: 'phone', label: '公司電話' },
+                { key: 'address', label: '地址' },
+                { key: 'county', label: '縣市' },
+                { key: 'companyType', label: '公司類型' },
+                { key: 'customerStage', label: '客戶階段' },
+                { key: 'engagementRating', label: '互動評級' },
+                { key: 'introduction', label: '公司簡介' },
+                { key: 'lastActivity', label: '最後活動時間' },
+                { key: 'createdTime', label: '建立時間' },
+                { key: 'creator', label: '建立者' }
+            ],
+            event: [
+                { key: 'eventId', label: '事件ID' },
+                { key: 'eventType', label: '事件類型' },
+                { key: 'eventName', label: '事件名稱' },
+                { key: 'opportunityName', label: '關聯機會' },
+                { key: 'companyName', label: '關聯公司' },
+                { key: 'creator', label: '建立者' },
+                { key: 'createdTime', label: '建立時間' },
+                { key: 'lastModifiedTime', label: '最後修改時間' },
+                { key: 'ourParticipants', label: '我方與會人員' },
+                { key: 'clientParticipants', label: '客戶與會人員' },
+                { key: 'visitPlace', label: '會議地點' },
+                { key: 'eventContent', label: '會議內容' },
+                { key: 'clientQuestions', label: '客戶提問' },
+                { key: 'clientIntelligence', label: '客戶情報' },
+                { key: 'eventNotes', label: '備註' }
+            ],
+            product: [
+                { key: 'id', label: '商品ID' },
+                { key: 'name', label: '商品' },
+                { key: 'category', label: '商品種類' },
+                { key: 'group', label: '群組' },
+                { key: 'combination', label: '商品組合' },
+                { key: 'unit', label: '單位' },
+                { key: 'spec', label: '規格' },
+                { key: 'cost', label: '成本', type: 'number' },
+                { key: 'priceMtb', label: 'MTB價格', type: 'number' },
+                { key: 'priceSi', label: 'SI價格', type: 'number' },
+                { key: 'priceMtu', label: 'MTU售價', type: 'number' },
+                { key: 'supplier', label: '供應商' },
+                { key: 'series', label: '系列' },
+                { key: 'interface', label: '介面' },
+                { key: 'property', label: '性質' },
+                { key: 'aspect', label: '面向' },
+                { key: 'description', label: '說明資料' },
+                { key: 'status', label: '狀態' },
+                { key: 'lastUpdateTime', label: '最後修改日期' }
+            ]
+        };
+    }
+
+    /**
+     * 機會案件 (同 GET /api/opportunities 的搜尋、篩選與排序)
+     * @param {Object} params - { q, filters: { assignee, type, stage, source, year }, sortOptions }
+     */
+    async exportOpportunities({ q, filters = {}, sortOptions = null }, format, user) {
+        assertCanRead(user, 'opportunity');
+        this._assertFormat(format);
+        const rows = await this.opportunityService.searchOpportunities(q, 0, filters, user, sortOptions);
+        return this._buildFile('opportunity', '機會案件', rows, user);
+    }
+
+    /**
+     * 公司 (同 GET /api/companies 的篩選，依最後活動時間排序)
+     * @param {Object} filters - { q, type, stage, rating }
+     */
+    async exportCompanies(filters, format, user) {
+        assertCanRead(user, 'company');
+        this._assertFormat(format);
+        const rows = await this.companyService.getCompanyListWithActivity(filters);
+        return this._buildFile('company', '公司', rows, user);
+    }
+
+    /**
+     * 事件紀錄 (與事件紀錄頁相同的搜尋與篩選)
+     * @param {Object} filters - { q, type, time (7 / 30 / 90 天), creator }
+     */
+    async exportEvents({ q, type, time, creator }, format, user) {
+        assertCanRead(user, 'event');
+        this._assertFormat(format);
+        const { eventList } = await this.dashboardService.getEventsDashboardData();
+
+        const term = String(q || '').toLowerCase().trim();
+        const days = EVENT_TIME_FILTERS.includes(String(time)) ? Number(time) : null;
+        const now = Date.now();
+        const rows = eventList.filter(evt => {
+            if (term && !`${evt.eventName} ${evt.opportunityName || ''} ${evt.companyName || ''} ${evt.creator}`.toLowerCase().includes(term)) return false;
+            if (type && type !== 'all' && evt.eventType !== type) return false;
+            if (days && now - new Date(evt.lastModifiedTime || evt.createdTime).getTime() > days * 24 * 60 * 60 * 1000) return false;
+            if (creator && creator !== 'all' && evt.creator !== creator) return false;
+            return true;
+        });
+        return this._buildFile('event', '事件紀錄', rows, user);
+    }
+
+    /**
+     * 商品 (同 GET /api/products 的篩選)
+     * @param {Object} filters - { search, category, status }
+     */
+    async exportProducts(filters, format, user) {
+        this._assertFormat(format);
+        // getAllProducts 內已檢查讀取權限並移除角色隱藏欄位
+        const rows = await this.productService.getAllProducts(filters, user);
+        return this._buildFile('product', '商品', rows, user);
+    }
+
+    /**
+     * 取得角色可匯出的欄位
+     * @param {string} list
+     * @param {Object} user
+     */
+    getColumns(list, user) {
+        const removed = new Set(getHiddenFields(user, list));
+        if (getRole(user) !== 'admin') {
+            (this.config.EXPORT.ADMIN_ONLY_FIELDS[list] || []).forEach(field => removed.add(field));
+        }
+        return this.columns[list].filter(col => !removed.has(col.key));
+    }
+
+    // ==================== 內部 ====================
+
+    _assertFormat(format) {
+        if (!this.config.EXPORT.FORMATS.includes(format)) {
+            throw new Error(`${EXPORT_ERROR_PREFIX}不支援的格式 ${format} (可用: ${this.config.EXPORT.FORMATS.join(' / ')})`);
+        }
+    }
+
+    _buildFile(list, label, rows, user) {
+        if (rows.length > this.config.EXPORT.MAX_ROWS) {
+            throw new Error(`${EXPORT_ERROR_PREFIX}共 ${rows.length} 筆，超過單次匯出上限 ${this.config.EXPORT.MAX_ROWS} 筆，請縮小篩選範圍`);
+        }
+        const date = new Date().toLocaleDateString('en-CA', { timeZone: this.config.TIMEZONE }).replace(/-/g, '');
+        console.log(`📤 [Export] ${user ? user.name || user.username : 'System'} 匯出${label} ${rows.length} 筆`);
+        return {
+            fileName: `${label}_${date}`,
+            sheetName: label,
+            columns: this.getColumns(list, user),
+            rows
+        };
+    }
+}
+
+module.exports = ExportService;
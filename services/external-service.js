@@ -4,8 +4,10 @@
  * * @version 1.0.0 (Phase 1 Refactor - L2 Upgrade)
  * @date 2026-01-26
  * @description 封裝 Gemini AI 策略、Prompt 建構與 Google Drive 串流邏輯。
+ * [Card OCR] 名片全文辨識、欄位擷取與 Drive 上傳，供 services/card-ocr-providers 與 CardIngestionService 使用。
  */
 
+const { Readable } = require('stream');
 const { GoogleGenerativeAI } = require('@google/generative-ai');
 
 class ExternalService {
@@ -76,6 +78,84 @@ class ExternalService {
         return await this._generateWithFallback(prompt);
     }
 
+    /**
+     * 將一天的業務活動濃縮為週報「重點摘要」
+     * @param {Object} draft - { date, category, lines }
+     * @returns {Promise<string>} 條列文字
+     */
+    async generateWeeklySummary({ date, category, lines }) {
+        const prompt = `
+            以下是業務團隊 ${date}「${category}」的活動紀錄（互動、事件、機會階段異動與行程）：
+            ${lines.join('\n')}
+            請整理成週報的「重點摘要」：
+            1. 條列輸出，每行以「- 」開頭，最多 5 點，每點不超過 40 字。
+            2. 保留客戶 / 機會名稱與關鍵進展，不要加入紀錄中沒有的內容。
+            3. 使用繁體中文，請直接輸出內容，不要包含 Markdown 標題或額外說明。
+        `;
+        return (await this._generateWithFallback(prompt)).trim();
+    }
+
+    /**
+     * 辨識名片圖片上的全部文字 (OCR)
+     * @param {Object} image - { buffer: Buffer, mimeType }
+     * @returns {Promise<string>} 名片全文，無法辨識時為空字串
+     */
+    async extractBusinessCardText({ buffer, mimeType }) {
+        const prompt = `
+            請逐行抄錄這張名片上的所有文字，保留原本的換行順序。
+            不要翻譯、不要補充或解釋；若圖片不是名片或無法辨識，請只輸出空白。
+        `;
+        const text = await this._generateWithFallback([
+            prompt,
+            { inlineData: { data: buffer.toString('base64'), mimeType } }
+        ]);
+        return text.trim();
+    }
+
+    /**
+     * 自名片全文擷取欄位與各欄位信心度
+     * @param {string} rawText - extractBusinessCardText 的結果
+     * @returns {Promise<{fields: Object, confidence: Object}>}
+     */
+    async parseBusinessCardFields(rawText) {
+        const prompt = `
+            以下是一張名片的 OCR 全文：
+            ${rawText}
+            請擷取欄位並輸出 JSON，格式為 {"fields": {...}, "confidence": {...}}：
+            1. fields 可用的鍵：name (姓名)、company (公司全名)、position (職稱)、department (部門)、
+               phone (市話，含分機)、mobile (手機)、fax (傳真)、email、website、address (地址)。
+            2. confidence 為各欄位 0 ~ 1 的信心度；全文中沒有的欄位請省略，不要猜測。
+            3. 保留原文字 (繁體中文或英文)，只輸出 JSON，不要包含 Markdown 或額外說明。
+        `;
+        const text = await this._generateWithFallback(prompt);
+        const match = text.match(/\{[\s\S]*\}/);
+        if (!match) throw new Error('AI 未回傳名片欄位 JSON');
+
+        const parsed = JSON.parse(match[0]);
+        return { fields: parsed.fields || {}, confidence: parsed.confidence || {} };
+    }
+
+    /**
+     * 上傳檔案至 Google Drive
+     * @param {Object} file - { name, mimeType, buffer, folderId }
+     * @returns {Promise<{fileId: string, link: string}>}
+     */
+    async uploadDriveFile({ name, mimeType, buffer, folderId }) {
+        if (!this.googleClientService) {
+            throw new Error('GoogleClientService not initialized');
+        }
+
+        const drive = await this.googleClientService.getDriveClient();
+        const response = await drive.files.create({
+            requestBody: { name, mimeType, ...(folderId ? { parents: [folderId] } : {}) },
+            media: { mimeType, body: Readable.from(buffer) },
+            fields: 'id, webViewLink'
+        });
+
+        const fileId = response.data.id;
+        return { fileId, link: response.data.webViewLink || `https://drive.google.com/file/d/${fileId}/view` };
+    }
+
     /**
      * [Internal] 解析 Drive File ID
      */
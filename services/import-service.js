@@ -0,0 +1,565 @@
+/**
+ * services/import-service.js
+ * CSV / XLSX 批次匯入 (聯絡人 / 公司 / 機會案件)
+ * * @version 1.0.0
+ * @date 2026-02-18
+ * @description
+ * 1. preview：解析檔案、建議欄位對應 (依標題名稱與常見別名)，逐列驗證並標示重複 (與既有資料或檔案內較前面的列)。
+ * 2. startImport：以相同的驗證流程建立背景匯入工作，只寫入沒有錯誤的列 (skipDuplicates 時略過重複列)；
+ *    逐筆經由各模組 Writer 寫入，速率依 config.IMPORT 控制，進度與結果以 getJob 查詢。
+ *    保留逐筆寫入：每列需各自取得新ID並回報失敗原因，聯絡人匯入時新建的公司也要供後續列使用，
+ *    且稽核 / 推播 / 自動化都掛載在單筆建立方法上。整個工作以 writeContext.bulk() 執行，
+ *    推播與自動化的寫入後讀取於工作結束後合併為每個實體一次，不會每寫入一列就重新讀取整張工作表。
+ * 3. 可對應的欄位取自 CONTACT_LIST_FIELDS / COMPANY_LIST_FIELDS / OPPORTUNITY_FIELD_NAMES，系統欄位 (ID、建立時間…) 不開放匯入。
+ * 4. 聯絡人的「公司ID」可填公司ID或公司名稱，找不到時於匯入時新建公司。
+ * 5. 重複判斷沿用 DuplicateService 的名稱 / 電話正規化規則。
+ * 6. 匯入工作只保存在本實例記憶體中，重新啟動後無法再查詢。
+ * 7. 機會案件與手動建立相同須通過階段關卡 (指定階段的必填欄位)，不符者於預覽即標示為錯誤。
+ */
+
+const { assertCanWrite, getRole } = require('../utils/permission-helpers');
+const { parseSpreadsheet, excelSerialToDate } = require('../utils/spreadsheet-parser');
+const pipelineHelpers = require('../utils/pipeline-helpers');
+const DuplicateService = require('./duplicate-service');
+const writeContext = require('../utils/write-context');
+
+const IMPORT_ERROR_PREFIX = '無法建檔：';
+
+const ENTITY_NAMES = { company: '公司', contact: '聯絡人', opportunity: '機會案件' };
+
+// 可匯入的欄位：公司 / 聯絡人為總表標題 -> DTO key；機會為 OPPORTUNITY_FIELD_NAMES 的鍵 -> DTO key
+const IMPORTABLE_FIELDS = {
+    company: {
+        '公司名稱': 'companyName', '公司電話': 'phone', '地址': 'address', '縣市': 'county',
+        '公司簡介': 'introduction', '公司類型': 'companyType', '客戶階段': 'customerStage', '互動評級': 'engagementRating'
+    },
+    contact: {
+        '姓名': 'name', '公司ID': 'company', '部門': 'department', '職稱': 'jobTitle',
+        '手機': 'phone', '公司電話': 'tel', 'Email': 'email'
+    },
+    opportunity: {
+        NAME: 'opportunityName', CUSTOMER: 'customerCompany', SALES_MODEL: 'salesModel', CHANNEL: 'salesChannel',
+        CHANNEL_CONTACT: 'channelContact', CONTACT: 'mainContact', ASSIGNEE: 'assignee', TYPE: 'opportunityType',
+        SOURCE: 'opportunitySource', STAGE: 'currentStage', CLOSE_DATE: 'expectedCloseDate',
+        PROBABILITY: 'orderProbability', VALUE: 'opportunityValue', DEVICE_SCALE: 'deviceScale', NOTES: 'notes'
+    }
+};
+
+const REQUIRED_FIELDS = { company: ['companyName'], contact: ['name'], opportunity: ['opportunityName'] };
+
+const FIELD_HINTS = {
+    contact: { company: '公司ID或公司名稱，找不到時自動新建公司' },
+    opportunity: {
+        currentStage: '階段代碼或名稱，空白為第一個進行中階段',
+        assignee: '空白時為匯入者',
+        expectedCloseDate: 'YYYY-MM-DD',
+        opportunityValue: '數字'
+    }
+};
+
+// 檔案標題的常見別名 (小寫、去空白後比對) -> DTO key；與欄位標題完全相同者不需列出
+const HEADER_ALIASES = {
+    company: {
+        '公司': 'companyName', '名稱': 'companyName', 'company': 'companyName', 'name': 'companyName',
+        '電話': 'phone', 'phone': 'phone', 'tel': 'phone', 'address': 'address', '簡介': 'introduction'
+    },
+    contact: {
+        'name': 'name', '名字': 'name', '公司': 'company', '公司名稱': 'company', 'company': 'company',
+        '職位': 'jobTitle', 'title': 'jobTitle', '部門名稱': 'department', 'department': 'department',
+        'mobile': 'phone', '行動電話': 'phone', '電話': 'tel', 'tel': 'tel', 'phone': 'tel',
+        'e-mail': 'email', 'email': 'email', '信箱': 'email', '電子郵件': 'email'
+    },
+    opportunity: {
+        '名稱': 'opportunityName', '客戶': 'customerCompany', '公司': 'customerCompany', '業務': 'assignee',
+        '階段': 'currentStage', '金額': 'opportunityValue', '結案日': 'expectedCloseDate', '窗口': 'mainContact'
+    }
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const normalizeHeader = (text) => String(text || '').toLowerCase().replace(/\s+/g, '');
+
+class ImportService {
+    /**
+     * @param {Object} deps
+     * @param {Object} deps.config
+     * @param {Object} deps.companyReader
+     * @param {Object} deps.companyWriter
+     * @param {Object} deps.contactReader
+     * @param {Object} deps.contactWriter
+     * @param {Object} deps.opportunityReader
+     * @param {Object} deps.opportunityWriter
+     * @param {PipelineService} deps.pipelineService
+     */
+    constructor({
+        config, companyReader, companyWriter, contactReader, contactWriter,
+        opportunityReader, opportunityWriter, pipelineService
+    }) {
+        this.config = config;
+        this.companyReader = companyReader;
+        this.companyWriter = companyWriter;
+        this.contactReader = contactReader;
+        this.contactWriter = contactWriter;
+        this.opportunityReader = opportunityReader;
+        this.opportunityWriter = opportunityWriter;
+        this.pipelineService = pipelineService;
+
+        this.jobs = new Map(); // jobId -> job
+    }
+
+    /**
+     * 可對應的欄位
+     * @param {string} entity - company / contact / opportunity
+     * @returns {Array<{ key, label, required, hint }>}
+     */
+    getFields(entity) {
+        this._assertEntity(entity);
+        const map = IMPORTABLE_FIELDS[entity];
+        const fields = entity === 'opportunity'
+            ? Object.entries(map).map(([name, key]) => ({ key, label: this.config.OPPORTUNITY_FIELD_NAMES[name] }))
+            : (entity === 'company' ? this.config.COMPANY_LIST_FIELDS : this.config.CONTACT_LIST_FIELDS)
+                .filter(label => map[label])
+                .map(label => ({ key: map[label], label }));
+
+        return fields.map(field => ({
+            ...field,
+            required: REQUIRED_FIELDS[entity].includes(field.key),
+            hint: (FIELD_HINTS[entity] || {})[field.key] || ''
+        }));
+    }
+
+    /**
+     * 解析並驗證檔案 (不寫入)
+     * @param {string} entity
+     * @param {Object} payload - { fileName, content: base64 或 data URL, mapping?: { DTO key: 檔案欄位索引 }, skipDuplicates? }
+     * @param {Object} user
+     */
+    async preview(entity, payload = {}, user = null) {
+        this._assertEntity(entity);
+        assertCanWrite(user, entity);
+
+        const analysis = await this._analyze(entity, payload, user);
+        return {
+            entity,
+            fileName: payload.fileName || '',
+            headers: analysis.headers,
+            fields: this.getFields(entity),
+            mapping: analysis.mapping,
+            summary: this._summarize(analysis.rows),
+            rows: analysis.rows.slice(0, this.config.IMPORT.PREVIEW_ROWS)
+        };
+    }
+
+    /**
+     * 建立背景匯入工作 (立即回傳，進度以 getJob 查詢)
+     * @param {string} entity
+     * @param {Object} payload - 同 preview
+     * @param {Object} user
+     */
+    async startImport(entity, payload = {}, user = null) {
+        this._assertEntity(entity);
+        assertCanWrite(user, entity);
+
+        const analysis = await this._analyze(entity, payload, user);
+        const rows = analysis.rows.filter(row => row.action === 'create');
+        if (rows.length === 0) {
+            throw new Error(`${IMPORT_ERROR_PREFIX}沒有可匯入的資料列 (請檢查錯誤或重複標示)`);
+        }
+
+        const job = {
+            jobId: `IMP${Date.now()}`,
+            entity,
+            fileName: payload.fileName || '',
+            status: 'running',
+            total: rows.length,
+            processed: 0,
+            created: 0,
+            failed: 0,
+            skipped: analysis.rows.length - rows.length,
+            errors: [],
+            startedBy: this._modifierName(user),
+            startedTime: new Date().toISOString(),
+            finishedTime: null
+        };
+        this._keepJob(job);
+
+        this._runJob(job, rows).catch(error => {
+            console.error(`❌ [Import] 匯入工作 ${job.jobId} 中斷:`, error);
+            job.status = 'failed';
+            job.errors.push({ rowNumber: null, message: error.message });
+            job.finishedTime = new Date().toISOString();
+        });
+
+        console.log(`📥 [Import] ${job.startedBy} 開始匯入${ENTITY_NAMES[entity]} ${rows.length} 筆 (${job.fileName}, ${job.jobId})`);
+        return { ...job };
+    }
+
+    /**
+     * 查詢匯入工作 (只有建立者或管理員可查詢)
+     * @returns {Object|null}
+     */
+    getJob(jobId, user) {
+        const job = this.jobs.get(jobId);
+        if (!job) return null;
+        if (getRole(user) !== 'admin' && job.startedBy !== this._modifierName(user)) return null;
+        return { ...job, errors: [...job.errors] };
+    }
+
+    // ==================== 解析與驗證 ====================
+
+    /**
+     * @private
+     * @returns {Promise<{ headers, mapping, rows: Array<{ rowNumber, values, errors, warnings, action }> }>}
+     */
+    async _analyze(entity, payload, user) {
+        const settings = this.config.IMPORT;
+        const buffer = this._decodeFile(payload);
+
+        let table;
+        try {
+            table = parseSpreadsheet({ name: payload.fileName, buffer }, { maxInflatedBytes: settings.MAX_INFLATED_BYTES });
+        } catch (error) {
+            throw new Error(`${IMPORT_ERROR_PREFIX}${error.message}`);
+        }
+        if (table.headers.length === 0 || table.rows.length === 0) {
+            throw new Error(`${IMPORT_ERROR_PREFIX}檔案沒有資料列 (第一列須為標題)`);
+        }
+        if (table.rows.length > settings.MAX_ROWS) {
+            throw new Error(`${IMPORT_ERROR_PREFIX}資料列超過 ${settings.MAX_ROWS} 筆上限，請分批匯入`);
+        }
+
+        const fields = this.getFields(entity);
+        const mapping = payload.mapping
+            ? this._cleanMapping(payload.mapping, fields, table.headers)
+            : this._suggestMapping(entity, fields, table.headers);
+        const missing = fields.filter(f => f.required && mapping[f.key] === undefined);
+        if (missing.length > 0 && payload.mapping) {
+            throw new Error(`${IMPORT_ERROR_PREFIX}必填欄位未對應：${missing.map(f => f.label).join('、')}`);
+        }
+
+        const records = table.rows.map((cells, index) => {
+            const values = {};
+            fields.forEach(({ key }) => {
+                if (mapping[key] !== undefined) values[key] = cells[mapping[key]] || '';
+            });
+            return { rowNumber: table.lines[index], values, errors: [], warnings: [] };
+        });
+
+        const context = await this._loadContext(entity);
+        const validators = {
+            company: () => this._validateCompanies(records, context, fields),
+            contact: () => this._validateContacts(records, context, fields),
+            opportunity: () => this._validateOpportunities(records, context, fields, user)
+        };
+        validators[entity]();
+
+        const skipDuplicates = payload.skipDuplicates !== false;
+        records.forEach(record => {
+            if (record.errors.length > 0) record.action = 'error';
+            else if (record.duplicate && skipDuplicates) record.action = 'skip';
+            else record.action = 'create';
+            delete record.duplicate;
+        });
+
+        return { headers: table.headers, mapping, rows: records };
+    }
+
+    _decodeFile({ fileName, content }) {
+        if (!fileName || !content || typeof content !== 'string') {
+            throw new Error(`${IMPORT_ERROR_PREFIX}請上傳 CSV 或 XLSX 檔案`);
+        }
+        const base64 = content.replace(/^data:[^;]*;base64,/, '');
+        const buffer = Buffer.from(base64, 'base64');
+        if (buffer.length > this.config.IMPORT.MAX_FILE_BYTES) {
+            throw new Error(`${IMPORT_ERROR_PREFIX}檔案超過 ${Math.round(this.config.IMPORT.MAX_FILE_BYTES / 1024 / 1024)} MB 上限`);
+        }
+        return buffer;
+    }
+
+    /**
+     * @private 標題與欄位名稱相同或符合別名者自動對應 (每個檔案欄位只對應一次)
+     */
+    _suggestMapping(entity, fields, headers) {
+        const mapping = {};
+        const used = new Set();
+        const aliasesOf = (key) => Object.entries(HEADER_ALIASES[entity]).filter(([, k]) => k === key).map(([alias]) => alias);
+
+        fields.forEach(field => {
+            const candidates = [normalizeHeader(field.label), ...aliasesOf(field.key)];
+            const index = headers.findIndex((header, i) => !used.has(i) && candidates.includes(normalizeHeader(header)));
+            if (index >= 0) {
+                mapping[field.key] = index;
+                used.add(index);
+            }
+        });
+        return mapping;
+    }
+
+    _cleanMapping(rawMapping, fields, headers) {
+        const mapping = {};
+        fields.forEach(({ key }) => {
+            const index = rawMapping[key];
+            if (index === null || index === undefined || index === '') return;
+            const column = Number(index);
+            if (Number.isInteger(column) && column >= 0 && column < headers.length) mapping[key] = column;
+        });
+        return mapping;
+    }
+
+    async _loadContext(entity) {
+        const [companies, contacts, opportunities, pipeline] = await Promise.all([
+            this.companyReader.getCompanyList(),
+            entity === 'contact' ? this.contactReader.getContactList() : [],
+            entity === 'opportunity' ? this.opportunityReader.getOpportunities() : [],
+            entity === 'opportunity' ? this.pipelineService.getPipeline() : null
+        ]);
+        return { companies, contacts, opportunities, pipeline };
+    }
+
+    _validateRequired(record, fields) {
+        fields.filter(f => f.required).forEach(field => {
+            if (!record.values[field.key]) record.errors.push(`缺少${field.label}`);
+        });
+    }
+
+    /**
+     * @private 以 keyOf 判斷檔案內的重複 (較後面的列標示為重複；有錯誤的列不會被匯入，不列入比對)
+     */
+    _markFileDuplicates(records, keyOf) {
+        const seen = new Map();
+        records.forEach(record => {
+            const key = record.errors.length > 0 ? '' : keyOf(record);
+            if (!key) return;
+            if (seen.has(key)) {
+                record.duplicate = true;
+                record.warnings.push(`與檔案第 ${seen.get(key)} 列重複`);
+            } else {
+                seen.set(key, record.rowNumber);
+            }
+        });
+    }
+
+    _validateCompanies(records, { companies }, fields) {
+        const existing = new Map(companies.map(c => [DuplicateService.normalizeName(c.companyName), c]));
+
+        records.forEach(record => {
+            this._validateRequired(record, fields);
+            const match = existing.get(DuplicateService.normalizeName(record.values.companyName));
+            if (record.values.companyName && match) {
+                record.duplicate = true;
+                record.warnings.push(`公司已存在：${match.companyName} (${match.companyId})`);
+            }
+        });
+        this._markFileDuplicates(records, r => r.duplicate ? '' : DuplicateService.normalizeName(r.values.companyName));
+    }
+
+    _validateContacts(records, { companies, contacts }, fields) {
+        const companyById = new Map(companies.map(c => [c.companyId, c]));
+        const companyByName = new Map(companies.map(c => [DuplicateService.normalizeName(c.companyName), c]));
+        const personKey = (name, companyId) => `${DuplicateService.normalizePersonName(name)}|${companyId}`;
+        const byNameAndCompany = new Map(contacts.map(c => [personKey(c.name, c.companyId), c]));
+        const byEmail = new Map(contacts.filter(c => c.email).map(c => [c.email.toLowerCase().trim(), c]));
+        const byPhone = new Map(contacts.filter(c => DuplicateService.phoneKey(c.mobile)).map(c => [DuplicateService.phoneKey(c.mobile), c]));
+
+        records.forEach(record => {
+            const values = record.values;
+            this._validateRequired(record, fields);
+            if (values.email && !EMAIL_PATTERN.test(values.email)) record.errors.push(`Email 格式錯誤：${values.email}`);
+
+            // 公司：先比對ID，再比對正規化名稱；都找不到時匯入時新建
+            const company = values.company
+                ? companyById.get(values.company) || companyByName.get(DuplicateService.normalizeName(values.company))
+                : null;
+            if (company) {
+                values.companyId = company.companyId;
+                values.companyName = company.companyName;
+            } else if (values.company) {
+                values.companyName = values.company;
+                record.warnings.push(`將新建公司「${values.company}」`);
+            }
+
+            const match = (values.companyId && byNameAndCompany.get(personKey(values.name, values.companyId)))
+                || (values.email && byEmail.get(values.email.toLowerCase()))
+                || (DuplicateService.phoneKey(values.phone) && byPhone.get(DuplicateService.phoneKey(values.phone)));
+            if (values.name && match) {
+                record.duplicate = true;
+                record.warnings.push(`聯絡人可能已存在：${match.name} (${match.contactId})`);
+            }
+        });
+        this._markFileDuplicates(records, r => r.duplicate || !r.values.name ? '' : personKey(r.values.name, DuplicateService.normalizeName(r.values.companyName)));
+    }
+
+    _validateOpportunities(records, { companies, opportunities, pipeline }, fields, user) {
+        const companyNames = new Set(companies.map(c => DuplicateService.normalizeName(c.companyName)));
+        const oppKey = (name, customer) => `${DuplicateService.normalizeName(name)}|${DuplicateService.normalizeName(customer)}`;
+        const existing = new Map(opportunities.map(o => [oppKey(o.opportunityName, o.customerCompany), o]));
+        const firstStage = pipelineHelpers.getFirstStage(pipeline);
+
+        records.forEach(record => {
+            const values = record.values;
+            this._validateRequired(record, fields);
+
+            // 階段：接受代碼或顯示名稱，空白時為第一個進行中階段
+            if (values.currentStage) {
+                const stage = pipeline.stages.find(s => s.value === values.currentStage || s.label === values.currentStage);
+                if (stage) values.currentStage = stage.value;
+                else record.errors.push(`未知的階段：${values.currentStage}`);
+            } else {
+                values.currentStage = firstStage;
+            }
+
+            if (values.opportunityValue) {
+                const amount = Number(String(values.opportunityValue).replace(/[,\s$＄元]/g, ''));
+                if (Number.isFinite(amount)) values.opportunityValue = String(amount);
+                else record.errors.push(`機會價值不是數字：${values.opportunityValue}`);
+            }
+
+            if (values.expectedCloseDate) {
+                const serialDate = excelSerialToDate(values.expectedCloseDate);
+                const date = new Date(serialDate || values.expectedCloseDate.replace(/\//g, '-'));
+                if (isNaN(date.getTime())) record.errors.push(`預計結案日格式錯誤：${values.expectedCloseDate}`);
+                else values.expectedCloseDate = serialDate || date.toLocaleDateString('en-CA', { timeZone: this.config.TIMEZONE });
+            }
+
+            if (!values.assignee) values.assignee = this._modifierName(user);
+
+            // 階段關卡：與手動建立相同，需填妥該階段要求的欄位 (於預覽即標示為錯誤)
+            if (record.errors.length === 0) {
+                try {
+                    pipelineHelpers.assertCreate(pipeline, values);
+                } catch (error) {
+                    if (!pipelineHelpers.isStageGateError(error)) throw error;
+                    record.errors.push(error.message);
+                }
+            }
+
+            if (values.customerCompany && !companyNames.has(DuplicateService.normalizeName(values.customerCompany))) {
+                record.warnings.push(`公司總表中沒有「${values.customerCompany}」`);
+            }
+
+            const match = values.opportunityName && existing.get(oppKey(values.opportunityName, values.customerCompany));
+            if (match) {
+                record.duplicate = true;
+                record.warnings.push(`機會可能已存在：${match.opportunityName} (${match.opportunityId})`);
+            }
+        });
+        this._markFileDuplicates(records, r => r.duplicate || !r.values.opportunityName ? '' : oppKey(r.values.opportunityName, r.values.customerCompany));
+    }
+
+    _summarize(rows) {
+        return {
+            total: rows.length,
+            create: rows.filter(r => r.action === 'create').length,
+            skip: rows.filter(r => r.action === 'skip').length,
+            error: rows.filter(r => r.action === 'error').length,
+            warning: rows.filter(r => r.warnings.length > 0).length
+        };
+    }
+
+    // ==================== 寫入 ====================
+
+    /**
+     * @private 逐筆寫入；每筆間隔 WRITE_INTERVAL，每 BATCH_SIZE 筆暫停 BATCH_PAUSE (SQL 資料源只間隔 SQL_WRITE_INTERVAL)
+     * 以批次作業範圍執行，推播與自動化的寫入後處理延到全部寫入完成後一次執行
+     */
+    async _runJob(job, rows) {
+        return writeContext.bulk(() => this._writeRows(job, rows));
+    }
+
+    async _writeRows(job, rows) {
+        const settings = this.config.IMPORT;
+        const source = { company: 'COMPANY', contact: 'CONTACT', opportunity: 'OPPORTUNITY' }[job.entity];
+        const isSql = String(this.config.DATA_SOURCES[source] || '').toUpperCase() === 'SQL';
+        const interval = isSql ? settings.SQL_WRITE_INTERVAL : settings.WRITE_INTERVAL;
+        const createdCompanies = new Map(); // 正規化名稱 -> companyId (聯絡人匯入時新建的公司)
+
+        for (let start = 0; start < rows.length; start += settings.BATCH_SIZE) {
+            const batch = rows.slice(start, start + settings.BATCH_SIZE);
+            for (const row of batch) {
+                try {
+                    await this._createRecord(job.entity, row.values, job.startedBy, createdCompanies);
+                    job.created++;
+                } catch (error) {
+                    job.failed++;
+                    job.errors.push({ rowNumber: row.rowNumber, message: error.message });
+                    console.warn(`⚠️ [Import] ${job.jobId} 第 ${row.rowNumber} 列失敗: ${error.message}`);
+                }
+                job.processed++;
+                await this._delay(interval);
+            }
+            if (!isSql && start + settings.BATCH_SIZE < rows.length) await this._delay(settings.BATCH_PAUSE);
+        }
+
+        this.companyReader.invalidateCache('companyList');
+        this.contactReader.invalidateCache('contactList');
+        this.opportunityReader.invalidateCache('opportunities');
+
+        job.status = 'completed';
+        job.finishedTime = new Date().toISOString();
+        console.log(`✅ [Import] ${job.jobId} 完成: 新增=${job.created}, 失敗=${job.failed}, 略過=${job.skipped}`);
+    }
+
+    async _createRecord(entity, values, modifier, createdCompanies) {
+        if (entity === 'company') {
+            await this.companyWriter.createCompany(values, modifier);
+            return;
+        }
+
+        if (entity === 'contact') {
+            let companyId = values.companyId || '';
+            if (!companyId && values.companyName) {
+                const key = DuplicateService.normalizeName(values.companyName);
+                if (!createdCompanies.has(key)) {
+                    const result = await this.companyWriter.createCompany({ companyName: values.companyName }, modifier);
+                    createdCompanies.set(key, result.data.companyId);
+                }
+                companyId = createdCompanies.get(key);
+            }
+            await this.contactWriter.createContact({
+                id: `CON${Date.now()}${Math.floor(Math.random() * 1000)}`,
+                sourceId: 'IMPORT',
+                name: values.name,
+                companyId,
+                department: values.department,
+                jobTitle: values.jobTitle,
+                phone: values.phone,
+                tel: values.tel,
+                email: values.email,
+                creator: modifier,
+                modifier
+            });
+            return;
+        }
+
+        // 階段歷程沿用看板寫入的 "C:階段" 格式
+        await this.opportunityWriter.createOpportunity({ ...values, stageHistory: `C:${values.currentStage}` }, modifier);
+    }
+
+    // ==================== 其他 ====================
+
+    _assertEntity(entity) {
+        if (!IMPORTABLE_FIELDS[entity]) {
+            throw new Error(`${IMPORT_ERROR_PREFIX}不支援匯入的資料類型：${entity} (可用: ${Object.keys(IMPORTABLE_FIELDS).join(' / ')})`);
+        }
+    }
+
+    _keepJob(job) {
+        this.jobs.set(job.jobId, job);
+        const finished = [...this.jobs.values()].filter(j => j.status !== 'running');
+        while (this.jobs.size > this.config.IMPORT.KEEP_JOBS && finished.length > 0) {
+            this.jobs.delete(finished.shift().jobId);
+        }
+    }
+
+    _delay(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    _modifierName(user) {
+        if (!user) return 'System';
+        if (typeof user === 'object') return user.displayName || user.username || user.name || 'System';
+        return String(user);
+    }
+}
+
+module.exports = ImportService;
@@ -5,8 +5,11 @@
  * @date 2026-01-23
  * @description 負責處理互動紀錄的查詢、排序、過濾、分頁與 Join。[Standard A] 承擔完整邏輯。
  * 依賴注入：InteractionReader, InteractionWriter, OpportunityReader, CompanyReader
+ * [Permissions] 新增 / 更新 / 刪除需具 interaction 寫入權限。
  */
 
+const { assertCanWrite } = require('../utils/permission-helpers');
+
 class InteractionService {
     /**
      * @param {InteractionReader} interactionReader 
@@ -157,6 +160,7 @@ class InteractionService {
      * @param {Object} user 
      */
     async createInteraction(data, user) {
+        assertCanWrite(user, 'interaction');
         try {
             const safeUser = user || {};
             const newId = await this.interactionWriter.createInteraction(data, safeUser);
@@ -175,6 +179,7 @@ class InteractionService {
      * @param {Object} user 
      */
     async updateInteraction(id, data, user) {
+        assertCanWrite(user, 'interaction');
         try {
             const safeUser = user || {};
             await this.interactionWriter.updateInteraction(id, data, safeUser);
@@ -192,6 +197,7 @@ class InteractionService {
      * @param {Object} user 
      */
     async deleteInteraction(id, user) {
+        assertCanWrite(user, 'interaction');
         try {
             const safeUser = user || {};
             await this.interactionWriter.deleteInteraction(id, safeUser);
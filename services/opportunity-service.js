@@ -9,12 +9,21 @@
 /**
  * services/opportunity-service.js
  * 機會案件業務邏輯層 (Service Layer)
- * * @version 6.1.2 (Fix: Migrate Stage Aggregation)
- * @date 2026-01-27
+ * * @version 6.2.0 (Stable Record IDs)
+ * @date 2026-01-31
  * @description 負責處理與「機會案件」相關的 CRUD、關聯管理與自動日誌。
- * 依賴注入：Readers (Opportunity, Interaction, EventLog, Contact, System) & Writers (Company, Contact, Opportunity, Interaction) & Config
+ * [Stable ID] 更新/刪除一律以機會ID 定位；rowIndex 僅在 Service 與 Writer 之間傳遞。
+ * [Concurrency] updateOpportunity 支援 expectedLastUpdateTime 樂觀鎖，過期寫入回傳 409。
+ * [Soft Delete] deleteOpportunity 改為將狀態設為「已刪除」移入回收桶 (記錄刪除時間、刪除者與刪除前狀態)；還原 / 永久刪除由管理員執行。
+ * [Permissions] 寫入需具 opportunity 寫入權限；查詢結果依角色移除不可見欄位 (例如唯讀角色看不到機會價值)。
+ * [Pipeline] 階段變更與建立時指定的階段須通過銷售流程的階段關卡 (有效階段、結案後不可直接改階段、各階段必填欄位)。
+ * 依賴注入：Readers (Opportunity, Interaction, EventLog, Contact, System) & Writers (Company, Contact, Opportunity, Interaction) & PipelineService & Config
  */
 
+const { takeExpectedVersion, assertNotStale } = require('../utils/concurrency-helpers');
+const { assertCanWrite, filterFields, getHiddenFields } = require('../utils/permission-helpers');
+const { assertTransition } = require('../utils/pipeline-helpers');
+
 class OpportunityService {
     /**
      * @param {Object} config - 系統設定
@@ -28,6 +37,7 @@ class OpportunityService {
      * @param {InteractionWriter} interactionWriter
      * @param {EventLogReader} eventLogReader
      * @param {SystemReader} systemReader
+     * @param {PipelineService} pipelineService
      */
     constructor({
         config,
@@ -40,7 +50,8 @@ class OpportunityService {
         interactionReader,
         interactionWriter,
         eventLogReader,
-        systemReader
+        systemReader,
+        pipelineService
     }) {
         this.config = config;
         
@@ -51,6 +62,7 @@ class OpportunityService {
         this.contactReader = contactReader;
         this.systemReader = systemReader;
         this.companyReader = companyReader;
+        this.pipelineService = pipelineService;
 
         // Writers
         this.opportunityWriter = opportunityWriter;
@@ -93,12 +105,24 @@ class OpportunityService {
         }
     }
 
+    /**
+     * 依機會ID 查找機會案件 (Writer 所需的 rowIndex 由此取得，不對外暴露)
+     * @private
+     */
+    async _findOpportunityById(opportunityId) {
+        const opportunities = await this.opportunityReader.getOpportunities();
+        return opportunities.find(o => o.opportunityId === opportunityId) || null;
+    }
+
     /**
      * 建立新機會案件
      */
     async createOpportunity(opportunityData, user) {
+        assertCanWrite(user, 'opportunity');
         try {
             const modifier = user.displayName || user.username || 'System';
+            // 建立時即指定的階段同樣需通過階段關卡
+            await this.pipelineService.assertCreate(opportunityData);
             return await this.opportunityWriter.createOpportunity(opportunityData, modifier);
         } catch (error) {
             console.error('[OpportunityService] createOpportunity Error:', error);
@@ -109,8 +133,10 @@ class OpportunityService {
     /**
      * 高效獲取機會案件的完整詳細資料
      * 包含：互動紀錄、事件報告、已關聯聯絡人、潛在聯絡人建議、主要聯絡人職稱補全
+     * @param {string} opportunityId
+     * @param {Object} [user] - 操作者，依角色移除不可見欄位
      */
-    async getOpportunityDetails(opportunityId) {
+    async getOpportunityDetails(opportunityId, user = null) {
         try {
             // ✅ Fix: ContactReader does not have getLinkedContacts()
             // Use Raw Data from getAllOppContactLinks() + getContactList() and JOIN in Service layer
@@ -222,13 +248,13 @@ class OpportunityService {
             const childOpportunities = allOpportunities.filter(opp => opp.parentOpportunityId === opportunityId);
 
             return {
-                opportunityInfo,
+                opportunityInfo: filterFields(user, 'opportunity', opportunityInfo),
                 interactions,
                 eventLogs,
                 linkedContacts: linkedContactsFromCache,
                 potentialContacts,
-                parentOpportunity,
-                childOpportunities
+                parentOpportunity: filterFields(user, 'opportunity', parentOpportunity),
+                childOpportunities: filterFields(user, 'opportunity', childOpportunities)
             };
         } catch (error) {
             console.error(`[OpportunityService] getOpportunityDetails Error (${opportunityId}):`, error);
@@ -239,19 +265,29 @@ class OpportunityService {
     /**
      * 更新機會案件，並自動新增多種互動紀錄
      */
-    async updateOpportunity(rowIndex, updateData, user) {
+    async updateOpportunity(opportunityId, rawUpdateData, user) {
+        assertCanWrite(user, 'opportunity');
         try {
             const modifier = user.displayName || user.username || 'System';
+            const { expected, data: visibleData } = takeExpectedVersion(rawUpdateData);
+            // 角色不可見的欄位不接受修改
+            const updateData = filterFields(user, 'opportunity', visibleData);
+
+            // 樂觀鎖需比對最新版本，不可使用快取
+            if (expected !== undefined) this.opportunityReader.invalidateCache('opportunities');
             
-            const opportunities = await this.opportunityReader.getOpportunities();
-            const originalOpportunity = opportunities.find(o => o.rowIndex === parseInt(rowIndex));
+            const originalOpportunity = await this._findOpportunityById(opportunityId);
             
             if (!originalOpportunity) {
-                throw new Error(`找不到要更新的機會 (Row: ${rowIndex})`);
+                throw new Error(`找不到要更新的機會 (ID: ${opportunityId})`);
             }
+
+            assertNotStale(originalOpportunity, expected, `機會「${originalOpportunity.opportunityName}」`);
+
+            // 階段關卡：不合法的階段變更或缺少必填欄位時拒絕寫入
+            await this.pipelineService.assertTransition(originalOpportunity, updateData);
             
             const oldStage = originalOpportunity.currentStage;
-            const opportunityId = originalOpportunity.opportunityId;
 
             // --- 獲取對照表以供日誌使用 ---
             const systemConfig = await this.systemReader.getSystemConfig();
@@ -284,7 +320,7 @@ class OpportunityService {
             }
 
             // --- 執行更新 ---
-            const updateResult = await this.opportunityWriter.updateOpportunity(rowIndex, updateData, modifier);
+            const updateResult = await this.opportunityWriter.updateOpportunity(originalOpportunity.rowIndex, updateData, modifier);
             
             // --- 寫入日誌 ---
             if (logs.length > 0) {
@@ -307,6 +343,7 @@ class OpportunityService {
      * 將一個聯絡人關聯到機會案件的工作流
      */
     async addContactToOpportunity(opportunityId, contactData, user) {
+        assertCanWrite(user, 'opportunity');
         try {
             const modifier = user.displayName || user.username || 'System';
             let contactToLink;
@@ -326,13 +363,17 @@ class OpportunityService {
                 // 2. 建立聯絡人
                 contactToLink = await this.contactWriter.getOrCreateContact(contactData, contactCompanyData, modifier);
 
-                // 3. 如果是從潛在客戶升級，更新原始狀態
-                if (contactData.rowIndex) {
+                // 3. 如果是從潛在客戶升級，更新原始狀態 (以 cardId 解析 Writer 所需的 rowIndex)
+                if (contactData.cardId) {
                     logTitle = '從潛在客戶關聯';
-                    await this.contactWriter.updateContactStatus(
-                        contactData.rowIndex,
-                        this.config.CONSTANTS.CONTACT_STATUS.UPGRADED
-                    );
+                    const cards = await this.contactReader.getContacts();
+                    const card = cards.find(c => c.cardId === String(contactData.cardId));
+                    if (card) {
+                        await this.contactWriter.updateContactStatus(
+                            card.rowIndex,
+                            this.config.CONSTANTS.CONTACT_STATUS.UPGRADED
+                        );
+                    }
                 }
             }
 
@@ -358,6 +399,7 @@ class OpportunityService {
      * 刪除機會與聯絡人的關聯
      */
     async deleteContactLink(opportunityId, contactId, user) {
+        assertCanWrite(user, 'opportunity');
         try {
             const modifier = user.displayName || user.username || 'System';
             
@@ -386,40 +428,37 @@ class OpportunityService {
     /**
      * 刪除一筆機會案件（增加日誌到所屬公司）
      */
-    async deleteOpportunity(rowIndex, user) {
+    async deleteOpportunity(opportunityId, user) {
+        assertCanWrite(user, 'opportunity');
         try {
             const modifier = user.displayName || user.username || 'System';
             
-            const opportunities = await this.opportunityReader.getOpportunities();
-            const opportunity = opportunities.find(o => o.rowIndex === parseInt(rowIndex));
+            const opportunity = await this._findOpportunityById(opportunityId);
             
             if (!opportunity) {
-                throw new Error(`找不到要刪除的機會 (Row: ${rowIndex})`);
+                throw new Error(`找不到要刪除的機會 (ID: ${opportunityId})`);
             }
 
-            const deleteResult = await this.opportunityWriter.deleteOpportunity(rowIndex, modifier);
+            // [Soft Delete] 僅標記狀態，資料列保留於回收桶；記錄刪除前狀態供還原
+            const deleteResult = await this.opportunityWriter.updateOpportunity(
+                opportunity.rowIndex,
+                {
+                    currentStatus: this.config.CONSTANTS.OPPORTUNITY_STATUS.DELETED,
+                    deletedTime: new Date().toISOString(),
+                    deletedBy: modifier,
+                    previousStatus: opportunity.currentStatus || this.config.CONSTANTS.OPPORTUNITY_STATUS.ACTIVE
+                },
+                modifier
+            );
             
             // 刪除後，嘗試在公司層級留下一筆紀錄
-            if (deleteResult.success && opportunity.customerCompany) {
-                try {
-                    const allCompanies = await this.companyReader.getCompanyList();
-                    const company = allCompanies.find(c => 
-                        c.companyName.toLowerCase().trim() === opportunity.customerCompany.toLowerCase().trim()
-                    );
-                    
-                    if (company) {
-                        await this.interactionWriter.createInteraction({
-                            companyId: company.companyId,
-                            eventType: '系統事件',
-                            eventTitle: '刪除機會案件',
-                            contentSummary: `機會案件 "${opportunity.opportunityName}" (ID: ${opportunity.opportunityId}) 已被 ${modifier} 刪除。`,
-                            recorder: modifier,
-                            interactionTime: new Date().toISOString()
-                        });
-                    }
-                } catch (logError) {
-                     console.warn(`[OpportunityService] 寫入公司日誌失敗 (刪除機會時): ${logError.message}`);
-                }
+            if (deleteResult.success) {
+                await this._logCompanyEvent(
+                    opportunity,
+                    '刪除機會案件',
+                    `機會案件 "${opportunity.opportunityName}" (ID: ${opportunity.opportunityId}) 已被 ${modifier} 移至回收桶。`,
+                    modifier
+                );
             }
             
             return deleteResult;
@@ -429,6 +468,101 @@ class OpportunityService {
         }
     }
 
+    /**
+     * [Soft Delete] 取得回收桶中的機會案件
+     */
+    async getDeletedOpportunities() {
+        return this.opportunityReader.getDeletedOpportunities();
+    }
+
+    /**
+     * [Soft Delete] 從回收桶還原機會案件 (狀態回到刪除前的狀態；未記錄時為「進行中」)
+     * @param {string} opportunityId
+     * @param {Object} user
+     */
+    async restoreOpportunity(opportunityId, user) {
+        try {
+            const modifier = user.displayName || user.username || 'System';
+            const opportunity = await this._findDeletedOpportunityById(opportunityId);
+
+            const result = await this.opportunityWriter.updateOpportunity(
+                opportunity.rowIndex,
+                {
+                    currentStatus: opportunity.previousStatus || this.config.CONSTANTS.OPPORTUNITY_STATUS.ACTIVE,
+                    deletedTime: '',
+                    deletedBy: '',
+                    previousStatus: ''
+                },
+                modifier
+            );
+
+            await this._logCompanyEvent(
+                opportunity,
+                '還原機會案件',
+                `機會案件 "${opportunity.opportunityName}" (ID: ${opportunity.opportunityId}) 已被 ${modifier} 從回收桶還原。`,
+                modifier
+            );
+            return result;
+        } catch (error) {
+            console.error('[OpportunityService] restoreOpportunity Error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * [Soft Delete] 永久刪除回收桶中的機會案件 (實體刪除資料列)
+     * @param {string} opportunityId
+     * @param {Object} user
+     */
+    async purgeOpportunity(opportunityId, user) {
+        try {
+            const modifier = user.displayName || user.username || 'System';
+            const opportunity = await this._findDeletedOpportunityById(opportunityId);
+            return await this.opportunityWriter.deleteOpportunity(opportunity.rowIndex, modifier);
+        } catch (error) {
+            console.error('[OpportunityService] purgeOpportunity Error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * @private 只在回收桶中查找，避免誤刪/誤還原使用中的機會
+     */
+    async _findDeletedOpportunityById(opportunityId) {
+        const deleted = await this.opportunityReader.getDeletedOpportunities();
+        const opportunity = deleted.find(o => o.opportunityId === opportunityId);
+        if (!opportunity) {
+            throw new Error(`回收桶中找不到機會 (ID: ${opportunityId})`);
+        }
+        return opportunity;
+    }
+
+    /**
+     * @private 在機會所屬公司留下系統事件 (失敗不影響主流程)
+     */
+    async _logCompanyEvent(opportunity, title, summary, modifier) {
+        if (!opportunity.customerCompany) return;
+        try {
+            const allCompanies = await this.companyReader.getCompanyList();
+            const company = allCompanies.find(c => 
+                c.companyName.toLowerCase().trim() === opportunity.customerCompany.toLowerCase().trim()
+            );
+            
+            if (company) {
+                await this.interactionWriter.createInteraction({
+                    companyId: company.companyId,
+                    eventType: '系統事件',
+                    eventTitle: title,
+                    contentSummary: summary,
+                    recorder: modifier,
+                    interactionTime: new Date().toISOString()
+                });
+            }
+        } catch (logError) {
+             console.warn(`[OpportunityService] 寫入公司日誌失敗 (${title}): ${logError.message}`);
+        }
+    }
+
     /**
      * 根據日期範圍獲取機會案件 (For Weekly/Dashboard Service)
      * @param {Date} startDate - 開始日期
@@ -555,15 +689,24 @@ class OpportunityService {
      * [Standard A] 搜尋機會案件
      * * Service 卸除資料層邏輯，轉為代理角色
      * * 由 Reader 負責執行查詢、過濾、排序與分頁 (單一真相)
+     * * Service 僅依角色移除不可見欄位
+     * @param {Object} [sortOptions] - { field, direction }，未指定時依最後更新時間倒序
      */
-    async searchOpportunities(query, page, filters) {
+    async searchOpportunities(query, page, filters, user = null, sortOptions = null) {
         try {
-            // 定義預設排序 (依最後更新時間倒序)
-            const sortOptions = { field: 'lastUpdateTime', direction: 'desc' };
+            // 不可依角色隱藏的欄位排序 (否則可由排序結果推得隱藏值)
+            const hidden = getHiddenFields(user, 'opportunity');
+            if (!sortOptions || !sortOptions.field || hidden.includes(sortOptions.field)) {
+                sortOptions = { field: 'lastUpdateTime', direction: 'desc' };
+            }
 
             // 直接委派 Reader 執行，不在此重複過濾或運算
             // 注意：Archived 過濾已由 Reader.getOpportunities 內部處理
-            return await this.opportunityReader.searchOpportunities(query, page, filters, sortOptions);
+            const result = await this.opportunityReader.searchOpportunities(query, page, filters, sortOptions);
+
+            // 未分頁時回傳陣列，分頁時回傳 { data, pagination }
+            if (Array.isArray(result)) return filterFields(user, 'opportunity', result);
+            return { ...result, data: filterFields(user, 'opportunity', result.data) };
 
         } catch (error) {
              console.error('❌ [OpportunityService] searchOpportunities 錯誤:', error);
@@ -572,10 +715,28 @@ class OpportunityService {
     }
 
     /**
-     * [Proxy] 批量更新機會案件 (原 Controller 直呼 Writer)
+     * 批量更新機會案件 (原 Controller 直呼 Writer)
+     * @param {Array<{opportunityId: string, data: Object, modifier: string}>} updates
+     * @param {Object} [user]
      */
-    async batchUpdateOpportunities(updates) {
-        return await this.opportunityWriter.batchUpdateOpportunities(updates);
+    async batchUpdateOpportunities(updates, user = null) {
+        assertCanWrite(user, 'opportunity');
+        const opportunities = await this.opportunityReader.getOpportunities();
+        const opportunityMap = new Map(opportunities.map(o => [o.opportunityId, o]));
+        const pipeline = await this.pipelineService.getPipeline();
+
+        const resolved = updates.map(update => {
+            const original = opportunityMap.get(update.opportunityId);
+            if (!original) {
+                throw new Error(`找不到要更新的機會 (ID: ${update.opportunityId})`);
+            }
+            const data = filterFields(user, 'opportunity', update.data);
+            // 任一筆未通過階段關卡即整批拒絕，避免部分寫入
+            assertTransition(pipeline, original, data);
+            return { ...update, data, rowIndex: original.rowIndex };
+        });
+
+        return await this.opportunityWriter.batchUpdateOpportunities(resolved);
     }
 }
 
@@ -0,0 +1,66 @@
+/**
+ * services/pipeline-service.js
+ * 銷售流程服務
+ * * @version 1.0.0
+ * @date 2026-02-09
+ * @description 由「系統設定」工作表的機會階段載入銷售流程定義 (唯一來源)，
+ * 供機會案件的階段關卡檢查、結案流程、儀表板與成交分析共用。
+ * 依賴注入：SystemService, Config
+ */
+
+const pipelineHelpers = require('../utils/pipeline-helpers');
+
+class PipelineService {
+    /**
+     * @param {SystemService} systemService
+     * @param {Object} config - 系統設定
+     */
+    constructor(systemService, config) {
+        this.systemService = systemService;
+        this.config = config;
+    }
+
+    /**
+     * 取得目前的銷售流程定義 (系統設定本身已有快取，此處不另行快取，設定變更即時生效)
+     * @returns {Promise<Object>} { stages, legacyOutcomes }
+     */
+    async getPipeline() {
+        const systemConfig = await this.systemService.getSystemConfig();
+        return pipelineHelpers.buildPipeline(systemConfig['機會階段'] || [], this.config.PIPELINE);
+    }
+
+    /**
+     * 檢查機會案件的階段變更 (不合法時拋出「階段限制：」錯誤)
+     * @param {Object} original - 目前的機會案件
+     * @param {Object} updateData - 本次更新的欄位
+     */
+    async assertTransition(original, updateData) {
+        const pipeline = await this.getPipeline();
+        pipelineHelpers.assertTransition(pipeline, original, updateData);
+    }
+
+    /**
+     * 檢查新建機會案件的初始階段與必填欄位 (不合法時拋出「階段限制：」錯誤)
+     * @param {Object} data - 新建的機會資料
+     */
+    async assertCreate(data) {
+        const pipeline = await this.getPipeline();
+        pipelineHelpers.assertCreate(pipeline, data);
+    }
+
+    /**
+     * 取得結案時要寫入的階段
+     * @param {'won'|'lost'} outcome
+     * @returns {Promise<string>}
+     */
+    async getClosingStage(outcome) {
+        const pipeline = await this.getPipeline();
+        const stage = pipelineHelpers.getClosingStage(pipeline, outcome);
+        if (!stage) {
+            throw new Error(`銷售流程未設定${outcome === 'won' ? '成交' : '失敗'}階段，請至系統設定的機會階段標記分類`);
+        }
+        return stage;
+    }
+}
+
+module.exports = PipelineService;
@@ -0,0 +1,334 @@
+/**
+ * services/pipeline-snapshot-service.js
+ * 銷售管線快照服務
+ * * @version 1.0.0
+ * @date 2026-02-10
+ * @description 每週保存所有進行中機會的階段、價值、機率與預計結案日 (機會資料為原地更新，無法回溯)，
+ * 並比較任兩份快照 (或快照與目前管線) 產生管線異動報表：新增、推進、倒退、延後結案、成交、失敗、移出。
+ * 業績預測快照 (SalesAnalysisService) 同樣以快照類型 forecast 存於此，比較時再依期別重新加總。
+ * 排程由 app.js 啟動 (startSchedule)，以週次判斷是否已建立。排程快照的快照ID 由週次產生 (每週唯一)：
+ * 多實例同時建立時寫入的是同一份快照，SQL 以唯一鍵 (快照ID + 機會ID) 略過重複列，Sheet 則在讀取分組時略過重複列。
+ * 依賴注入：PipelineSnapshotReader/Writer, OpportunityReader, SystemReader, PipelineService, Config
+ */
+
+const dateHelpers = require('../utils/date-helpers');
+const { assertCanRead, assertCanWrite, SYSTEM_ACTOR } = require('../utils/permission-helpers');
+const { getOutcome, getStage, resolveProbability } = require('../utils/pipeline-helpers');
+
+const MOVEMENT_TYPES = ['new', 'advanced', 'regressed', 'slipped', 'won', 'lost', 'removed'];
+
+class PipelineSnapshotService {
+    /**
+     * @param {PipelineSnapshotReader} snapshotReader
+     * @param {PipelineSnapshotWriter} snapshotWriter
+     * @param {OpportunityReader} opportunityReader
+     * @param {SystemReader} systemReader
+     * @param {PipelineService} pipelineService
+     * @param {Object} config - 系統設定
+     */
+    constructor(snapshotReader, snapshotWriter, opportunityReader, systemReader, pipelineService, config) {
+        this.snapshotReader = snapshotReader;
+        this.snapshotWriter = snapshotWriter;
+        this.opportunityReader = opportunityReader;
+        this.systemReader = systemReader;
+        this.pipelineService = pipelineService;
+        this.config = config;
+        this._timer = null;
+    }
+
+    // --- 排程 (Schedule) ---
+
+    /**
+     * 啟動每週快照排程 (config.PIPELINE_SNAPSHOT)
+     */
+    startSchedule() {
+        const settings = this.config.PIPELINE_SNAPSHOT;
+        if (!settings.ENABLED || this._timer) return;
+
+        this._timer = setInterval(() => this._runScheduled(), settings.CHECK_INTERVAL);
+        if (this._timer.unref) this._timer.unref();
+        // 啟動時補建本週快照 (例如排程時間伺服器正在重啟)
+        setTimeout(() => this._runScheduled(), 10 * 1000).unref();
+        console.log(`📸 [PipelineSnapshot] 每週快照排程已啟動 (週${settings.WEEKDAY} ${settings.HOUR}:00 後)`);
+    }
+
+    stopSchedule() {
+        if (this._timer) clearInterval(this._timer);
+        this._timer = null;
+    }
+
+    async _runScheduled() {
+        try {
+            const now = new Date();
+            if (!this._isDue(now)) return;
+
+            const weekId = dateHelpers.getWeekId(now);
+            // 其他實例可能已建立，需讀取最新資料
+            this.snapshotReader.invalidateCache('pipelineSnapshots');
+            const rows = await this.snapshotReader.getSnapshotRows();
+            if (rows.some(r => r.weekId === weekId && r.type === 'scheduled')) return;
+
+            const result = await this.takeSnapshot('scheduled', SYSTEM_ACTOR);
+            console.log(`📸 [PipelineSnapshot] 已建立 ${weekId} 每週快照 (${result.count} 筆機會)`);
+        } catch (error) {
+            console.error('[PipelineSnapshotService] 排程快照失敗:', error.message);
+        }
+    }
+
+    /**
+     * 本週是否已過排程時間
+     */
+    _isDue(now) {
+        const { WEEKDAY, HOUR } = this.config.PIPELINE_SNAPSHOT;
+        const day = now.getDay() || 7;
+        if (day < WEEKDAY) return false;
+        const due = new Date(now);
+        due.setDate(now.getDate() - (day - WEEKDAY));
+        due.setHours(HOUR, 0, 0, 0);
+        return now >= due;
+    }
+
+    // --- 快照 (Snapshots) ---
+
+    /**
+     * 建立快照
+     * @param {'scheduled'|'manual'|'forecast'} [type='manual']
+     * @param {Object} user - 操作者 (排程建立時為 SYSTEM_ACTOR)
+     * @returns {Promise<object>} 快照摘要
+     */
+    async takeSnapshot(type, user) {
+        assertCanWrite(user, 'salesAnalysis');
+        try {
+            const now = new Date();
+            const weekId = dateHelpers.getWeekId(now);
+            const meta = {
+                snapshotId: type === 'scheduled' ? `PS${weekId}` : `PS${now.getTime()}`,
+                snapshotTime: now.toISOString(),
+                weekId,
+                type,
+                createdBy: user.displayName || user.name || user.username || 'System'
+            };
+
+            const current = await this._getCurrentPipeline();
+            const rows = current.map(entry => ({ ...meta, ...entry }));
+            await this.snapshotWriter.appendRows(rows);
+
+            return this._summarize(meta, rows);
+        } catch (error) {
+            console.error('[PipelineSnapshotService] takeSnapshot Error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 列出所有快照 (新到舊)
+     * @param {Object} [user]
+     * @returns {Promise<Array<object>>} { snapshotId, snapshotTime, weekId, type, createdBy, count, totalValue, weightedValue }
+     */
+    async listSnapshots(user = null) {
+        assertCanRead(user, 'salesAnalysis');
+        const groups = await this._groupSnapshots();
+        return groups.map(group => this._summarize(group.meta, group.rows));
+    }
+
+    /**
+     * 取得單一快照的機會明細
+     * @param {string} snapshotId
+     * @param {Object} [user]
+     */
+    async getSnapshot(snapshotId, user = null) {
+        assertCanRead(user, 'salesAnalysis');
+        const group = (await this._groupSnapshots()).find(g => g.meta.snapshotId === snapshotId);
+        if (!group) throw new Error(`找不到快照 (ID: ${snapshotId})`);
+        return { ...this._summarize(group.meta, group.rows), opportunities: group.rows.map(r => this._toEntry(r)) };
+    }
+
+    /**
+     * 取得指定類型最新的快照 (含機會明細)
+     * @param {string} type
+     * @param {Object} [user]
+     * @returns {Promise<object|null>} 沒有該類型的快照時回傳 null
+     */
+    async getLatestSnapshot(type, user = null) {
+        assertCanRead(user, 'salesAnalysis');
+        const group = (await this._groupSnapshots()).find(g => g.meta.type === type);
+        if (!group) return null;
+        return { ...this._summarize(group.meta, group.rows), opportunities: group.rows.map(r => this._toEntry(r)) };
+    }
+
+    /**
+     * 管線異動報表：比較兩份快照
+     * - 未指定時比較最近兩份快照；to = 'current' 表示與目前管線比較；只指定 to 時以它的前一份快照為基準
+     * - 機會在後一份快照中消失時，依機會目前的階段判斷為成交 / 失敗，否則視為移出 (取消、刪除、封存)
+     * @param {string} [fromId]
+     * @param {string} [toId]
+     * @param {Object} [user]
+     * @returns {Promise<object>} { from, to, summary, changes }
+     */
+    async getMovement(fromId, toId, user = null) {
+        assertCanRead(user, 'salesAnalysis');
+        const groups = await this._groupSnapshots();
+        const findGroup = (id) => {
+            const group = groups.find(g => g.meta.snapshotId === id);
+            if (!group) throw new Error(`找不到快照 (ID: ${id})`);
+            return group;
+        };
+
+        let to;
+        if (toId === 'current') {
+            const rows = await this._getCurrentPipeline();
+            to = { meta: { snapshotId: 'current', snapshotTime: new Date().toISOString(), weekId: dateHelpers.getWeekId(new Date()), type: 'current' }, rows };
+        } else {
+            to = toId ? findGroup(toId) : groups[0];
+        }
+        let from = fromId ? findGroup(fromId) : groups.find(g => g !== to && g.meta.snapshotTime < to?.meta.snapshotTime);
+        if (!to || !from) throw new Error('快照數量不足，至少需要兩份快照 (或一份快照與目前管線) 才能比較');
+        if (from.meta.snapshotTime > to.meta.snapshotTime) [from, to] = [to, from];
+
+        const pipeline = await this.pipelineService.getPipeline();
+        const opportunities = await this.opportunityReader.getOpportunities();
+        const currentMap = new Map(opportunities.map(o => [o.opportunityId, o]));
+        const fromMap = new Map(from.rows.map(r => [r.opportunityId, this._toEntry(r)]));
+        const toMap = new Map(to.rows.map(r => [r.opportunityId, this._toEntry(r)]));
+
+        const changes = [];
+        new Set([...fromMap.keys(), ...toMap.keys()]).forEach(id => {
+            const before = fromMap.get(id) || null;
+            const after = toMap.get(id) || null;
+            const movements = this._classify(pipeline, before, after, currentMap.get(id));
+            if (movements.length === 0 && (!before || !after || before.opportunityValue === after.opportunityValue)) return;
+
+            const ref = after || before;
+            changes.push({
+                opportunityId: id,
+                opportunityName: ref.opportunityName,
+                customerCompany: ref.customerCompany,
+                assignee: ref.assignee,
+                movements,
+                from: before,
+                to: after,
+                currentStage: after ? after.currentStage : (currentMap.get(id) || {}).currentStage || '',
+                valueChange: (after ? after.opportunityValue : 0) - (before ? before.opportunityValue : 0)
+            });
+        });
+
+        const summary = {};
+        MOVEMENT_TYPES.forEach(type => {
+            const matched = changes.filter(c => c.movements.includes(type));
+            summary[type] = {
+                count: matched.length,
+                value: matched.reduce((sum, c) => sum + (c.to || c.from).opportunityValue, 0)
+            };
+        });
+
+        return {
+            from: this._summarize(from.meta, from.rows),
+            to: this._summarize(to.meta, to.rows),
+            summary,
+            changes
+        };
+    }
+
+    // --- 內部輔助函式 ---
+
+    /**
+     * 目前管線：所有進行中且未結案的機會
+     */
+    async _getCurrentPipeline() {
+        const [opportunities, systemConfig, pipeline] = await Promise.all([
+            this.opportunityReader.getOpportunities(),
+            this.systemReader.getSystemConfig(),
+            this.pipelineService.getPipeline()
+        ]);
+        const probabilityItems = systemConfig['下單機率'] || [];
+        const activeStatus = this.config.CONSTANTS.OPPORTUNITY_STATUS.ACTIVE;
+
+        return opportunities
+            .filter(opp => opp.currentStatus === activeStatus)
+            .filter(opp => !['won', 'lost'].includes(getOutcome(pipeline, opp.currentStage)))
+            .map(opp => ({
+                opportunityId: opp.opportunityId,
+                opportunityName: opp.opportunityName || '',
+                customerCompany: opp.customerCompany || '',
+                assignee: opp.assignee || '',
+                currentStage: opp.currentStage || '',
+                opportunityValue: parseFloat(String(opp.opportunityValue || '').replace(/,/g, '')) || 0,
+                orderProbability: opp.orderProbability || '',
+                probability: resolveProbability(pipeline, opp, probabilityItems),
+                expectedCloseDate: opp.expectedCloseDate ? String(opp.expectedCloseDate).split('T')[0] : ''
+            }));
+    }
+
+    /**
+     * 快照列依快照ID 分組 (新到舊)
+     * 同一快照中重複的機會 (多實例同時建立排程快照) 只保留先寫入的一列
+     */
+    async _groupSnapshots() {
+        const rows = await this.snapshotReader.getSnapshotRows();
+        const groups = new Map();
+        rows.forEach(row => {
+            if (!row.snapshotId) return;
+            if (!groups.has(row.snapshotId)) {
+                const { snapshotId, snapshotTime, weekId, type, createdBy } = row;
+                groups.set(row.snapshotId, { meta: { snapshotId, snapshotTime, weekId, type, createdBy }, rows: [], ids: new Set() });
+            }
+            const group = groups.get(row.snapshotId);
+            if (group.ids.has(row.opportunityId)) return;
+            group.ids.add(row.opportunityId);
+            group.rows.push(row);
+        });
+        return [...groups.values()].sort((a, b) => String(b.meta.snapshotTime).localeCompare(String(a.meta.snapshotTime)));
+    }
+
+    /**
+     * 快照列轉為比較用的資料 (Sheet 讀回的數值為字串)
+     */
+    _toEntry(row) {
+        return {
+            opportunityId: row.opportunityId,
+            opportunityName: row.opportunityName,
+            customerCompany: row.customerCompany,
+            assignee: row.assignee,
+            currentStage: row.currentStage,
+            opportunityValue: parseFloat(String(row.opportunityValue || '').replace(/,/g, '')) || 0,
+            orderProbability: row.orderProbability,
+            probability: parseFloat(row.probability) || 0,
+            expectedCloseDate: row.expectedCloseDate ? String(row.expectedCloseDate).split('T')[0] : ''
+        };
+    }
+
+    _summarize(meta, rows) {
+        const entries = rows.map(r => this._toEntry(r));
+        return {
+            ...meta,
+            count: entries.length,
+            totalValue: entries.reduce((sum, e) => sum + e.opportunityValue, 0),
+            weightedValue: Math.round(entries.reduce((sum, e) => sum + e.opportunityValue * e.probability / 100, 0))
+        };
+    }
+
+    /**
+     * 判斷單一機會在兩份快照之間的異動類型 (可同時屬於多種，例如推進且延後結案)
+     * @returns {string[]}
+     */
+    _classify(pipeline, before, after, current) {
+        if (!before) return ['new'];
+        if (!after) {
+            const outcome = current ? getOutcome(pipeline, current.currentStage) : null;
+            return [outcome === 'won' || outcome === 'lost' ? outcome : 'removed'];
+        }
+
+        const movements = [];
+        const fromStage = getStage(pipeline, before.currentStage);
+        const toStage = getStage(pipeline, after.currentStage);
+        if (fromStage && toStage && toStage.order !== fromStage.order) {
+            movements.push(toStage.order > fromStage.order ? 'advanced' : 'regressed');
+        }
+        if (before.expectedCloseDate && after.expectedCloseDate && new Date(after.expectedCloseDate) > new Date(before.expectedCloseDate)) {
+            movements.push('slipped');
+        }
+        return movements;
+    }
+}
+
+module.exports = PipelineSnapshotService;
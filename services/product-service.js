@@ -6,8 +6,13 @@
  * @author Gemini (System Architect)
  * @description 負責市場商品資料的查詢、建立與維護。
  * 優化：實作 batchUpdate 的 Dirty Checking (差異更新) 與 Rate Limiting (速率限制) 以解決 429 錯誤。
+ * [Permissions] 讀寫權限與機敏價格欄位 (成本 / MTB / SI / MTU) 依 config.PERMISSIONS 於本層過濾。
+ * [Concurrency] batchUpdate 的每筆商品可附帶 expectedLastUpdateTime，任一筆過期則整批不寫入並回傳 409。
  */
 
+const { assertCanRead, assertCanWrite, filterFields, getHiddenFields } = require('../utils/permission-helpers');
+const { takeExpectedVersion, assertNotStale, isConflictError } = require('../utils/concurrency-helpers');
+
 class ProductService {
     /**
      * @param {ProductReader} productReader
@@ -25,8 +30,10 @@ class ProductService {
     /**
      * 取得所有商品列表
      * @param {Object} filters - 選填篩選條件 { category, status, search }
+     * @param {Object} [user] - 操作者，依角色移除不可見的價格欄位
      */
-    async getAllProducts(filters = {}) {
+    async getAllProducts(filters = {}, user = null) {
+        assertCanRead(user, 'product');
         try {
             let products = await this.productReader.getAllProducts();
 
@@ -39,13 +46,16 @@ class ProductService {
             }
             if (filters.search) {
                 const term = filters.search.toLowerCase();
+                // 與商品頁的搜尋框相同：名稱 / 分類 / 規格，另可直接輸入商品ID
                 products = products.filter(p => 
                     (p.name && p.name.toLowerCase().includes(term)) ||
-                    (p.id && p.id.toLowerCase().includes(term))
+                    (p.id && p.id.toLowerCase().includes(term)) ||
+                    (p.category && p.category.toLowerCase().includes(term)) ||
+                    (p.spec && p.spec.toLowerCase().includes(term))
                 );
             }
 
-            return products;
+            return filterFields(user, 'product', products);
         } catch (error) {
             console.error('[ProductService] getAllProducts Error:', error);
             // 根據安全策略，這裡可以選擇拋出錯誤或回傳空陣列
@@ -57,11 +67,13 @@ class ProductService {
     /**
      * 取得單一商品詳情
      * @param {string} productId 
+     * @param {Object} [user]
      */
-    async getProductById(productId) {
+    async getProductById(productId, user = null) {
+        assertCanRead(user, 'product');
         try {
             const products = await this.productReader.getAllProducts();
-            return products.find(p => p.id === productId) || null;
+            return filterFields(user, 'product', products.find(p => p.id === productId) || null);
         } catch (error) {
             console.error(`[ProductService] getProductById Error (${productId}):`, error);
             return null;
@@ -74,6 +86,7 @@ class ProductService {
      * @param {Object} user 
      */
     async createProduct(productData, user) {
+        assertCanWrite(user, 'product');
         try {
             const modifier = user.displayName || user.username || 'System';
             // 資料清洗或驗證可在此執行
@@ -86,16 +99,20 @@ class ProductService {
 
     /**
      * ★★★ 優化版：批次更新商品 (支援差異更新與速率限制) ★★★
-     * @param {Array} products 
+     * @param {Array} products - 每筆可附帶 expectedLastUpdateTime
      * @param {Object} user 
+     * @returns {Promise<Object>} stats，另含 versions (商品ID -> 新的最後更新時間)
      */
     async batchUpdate(products, user) {
         if (!Array.isArray(products)) {
             throw new Error('Invalid input: products must be an array');
         }
+        assertCanWrite(user, 'product');
+        // 角色看不到的欄位不會出現在前端資料中，比對與寫入時沿用現有值，避免被清空
+        const hiddenFields = getHiddenFields(user, 'product');
 
         const modifier = user.displayName || user.username || 'System';
-        const stats = { updated: 0, appended: 0, skipped: 0, errors: 0 };
+        const stats = { updated: 0, appended: 0, skipped: 0, errors: 0, versions: {} };
         
         console.log(`🔄 [ProductService] 開始批次處理 ${products.length} 筆資料...`);
 
@@ -107,17 +124,41 @@ class ProductService {
         // 建立 Map 加速查找: ID -> Product Object
         const productMap = new Map(currentProducts.map(p => [p.id, p]));
 
-        // 2. 逐筆處理
-        for (const item of products) {
+        // 2. 樂觀鎖：寫入前先檢查全部商品，任一筆過期則整批不寫入
+        const items = products.map(product => takeExpectedVersion(product));
+        const conflicts = [];
+        items.forEach(({ expected, data }) => {
+            const existing = productMap.get(data.id);
+            if (!existing) return;
+            try {
+                assertNotStale(existing, expected, `商品「${existing.name || existing.id}」`);
+            } catch (error) {
+                if (!isConflictError(error)) throw error;
+                conflicts.push(error);
+            }
+        });
+        if (conflicts.length > 0) {
+            const error = conflicts[0];
+            if (conflicts.length > 1) error.message += ` (另有 ${conflicts.length - 1} 筆商品也已被更新)`;
+            // 批次更新時 current 為所有衝突商品的目前資料
+            error.current = filterFields(user, 'product', conflicts.map(e => e.current));
+            throw error;
+        }
+
+        // 3. 逐筆處理
+        for (const { data: item } of items) {
             try {
                 const existing = productMap.get(item.id);
+                if (existing) hiddenFields.forEach(field => { item[field] = existing[field]; });
+                else hiddenFields.forEach(field => { delete item[field]; });
 
                 if (existing) {
                     // 檢查是否真的有變更 (Dirty Checking)
                     if (this._hasChanges(existing, item)) {
                         console.log(`📝 [Diff] 偵測到變更: ${item.id} (${item.name})`);
                         
-                        await this.productWriter.updateProduct(existing.rowIndex, item, modifier);
+                        const result = await this.productWriter.updateProduct(existing.rowIndex, item, modifier);
+                        if (result && result.lastUpdateTime) stats.versions[item.id] = result.lastUpdateTime;
                         stats.updated++;
                         
                         // ★★★ Rate Limiting 保護 ★★★
@@ -192,6 +233,15 @@ class ProductService {
         return new Promise(resolve => setTimeout(resolve, ms));
     }
 
+    /**
+     * 使用者觸發的重新同步 (需可讀取商品)
+     * @param {Object} user
+     */
+    async refresh(user) {
+        assertCanRead(user, 'product');
+        await this.refreshCache();
+    }
+
     /**
      * 強制重新整理快取
      */
@@ -238,6 +288,7 @@ class ProductService {
      * @param {Object} user - 操作者
      */
     async saveCategoryOrder(order, user) {
+        assertCanWrite(user, 'product');
         try {
             if (!Array.isArray(order)) throw new Error('Order must be an array');
             
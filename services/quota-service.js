@@ -0,0 +1,351 @@
+/**
+ * services/quota-service.js
+ * 業績目標服務
+ * * @version 1.0.0
+ * @date 2026-02-11
+ * @description 管理員設定各負責業務的月 / 季業績目標 (可再細分可能下單規格的分類)，每個目標一列存於「業績目標」(QuotaReader / QuotaWriter)；
+ * 舊版存於系統設定 (SystemPref SALES_QUOTAS) 的目標在目標表為空時沿用，第一次儲存時搬入目標表並清空舊設定。
+ * 達成率以成交階段的機會計算，成交日期沿用成交分析的規則 (預計結案日，未填時為最後更新日)。
+ * 分類目標依機會的可能下單規格數量比例分攤成交金額 (規格的分類取自系統設定「可能下單規格」的分類欄)。
+ * 依賴注入：OpportunityReader, QuotaReader, QuotaWriter, SystemService, PipelineService, Config
+ */
+
+const { assertCanRead, assertCanWrite } = require('../utils/permission-helpers');
+const { isWonStage } = require('../utils/pipeline-helpers');
+
+// 舊版儲存位置 (只讀取與清空)
+const LEGACY_QUOTA_PREF = 'SALES_QUOTAS';
+const PERIOD_PATTERNS = {
+    month: /^\d{4}-(0[1-9]|1[0-2])$/,
+    quarter: /^\d{4}-Q[1-4]$/
+};
+const UNCATEGORIZED = '未分類';
+
+class QuotaService {
+    /**
+     * @param {OpportunityReader} opportunityReader
+     * @param {QuotaReader} quotaReader
+     * @param {QuotaWriter} quotaWriter
+     * @param {SystemService} systemService
+     * @param {PipelineService} pipelineService
+     * @param {Object} config - 系統設定
+     */
+    constructor(opportunityReader, quotaReader, quotaWriter, systemService, pipelineService, config) {
+        this.opportunityReader = opportunityReader;
+        this.quotaReader = quotaReader;
+        this.quotaWriter = quotaWriter;
+        this.systemService = systemService;
+        this.pipelineService = pipelineService;
+        this.config = config;
+    }
+
+    /**
+     * 取得業績目標清單
+     * @param {Object} [filters]
+     * @param {string} [filters.year] - 只取某年度
+     * @param {Object} [user]
+     * @returns {Promise<Array<{ assignee, periodType, period, category, amount }>>}
+     */
+    async getQuotas({ year } = {}, user = null) {
+        assertCanRead(user, 'salesQuota');
+        const quotas = await this._loadQuotas();
+        return year ? quotas.filter(q => q.period.startsWith(`${year}-`)) : quotas;
+    }
+
+    /**
+     * 新增 / 修改業績目標 (同一業務、期別、分類視為同一筆；金額為 0 或空白表示刪除)
+     * @param {Array<Object>} entries
+     * @param {Object} user
+     * @returns {Promise<Array<object>>} 更新後的完整清單
+     */
+    async saveQuotas(entries, user) {
+        assertCanWrite(user, 'salesQuota');
+        if (!Array.isArray(entries) || entries.length === 0) {
+            throw new Error('請提供要儲存的業績目標');
+        }
+
+        const changes = entries.map(entry => this._normalizeEntry(entry));
+        const { rows, duplicates } = await this._loadQuotaRows();
+        const legacy = rows.length === 0 ? await this._loadLegacyQuotas() : [];
+
+        const existing = new Map(rows.map(row => [this._keyOf(row), row]));
+        const creates = new Map(legacy.map(q => [this._keyOf(q), q]));
+        const updates = new Map();
+        const deletes = [...duplicates];
+        changes.forEach(change => {
+            const key = this._keyOf(change);
+            const row = existing.get(key);
+            if (change.amount > 0) {
+                if (!row) creates.set(key, change);
+                else if (row.amount !== change.amount) updates.set(key, { rowIndex: row.rowIndex, amount: change.amount });
+                return;
+            }
+            creates.delete(key);
+            updates.delete(key);
+            if (row && !deletes.includes(row.rowIndex)) deletes.push(row.rowIndex);
+        });
+
+        // 新增列附加在最後，刪除放在最後執行，避免 Sheet 列號位移影響更新
+        const modifier = (user && (user.name || user.username)) || 'System';
+        await this.quotaWriter.createQuotas([...creates.values()], modifier);
+        await this.quotaWriter.updateQuotas([...updates.values()], modifier);
+        await this.quotaWriter.deleteQuotas(deletes);
+        if (legacy.length > 0) await this.systemService.updateSystemPref(LEGACY_QUOTA_PREF, '', modifier);
+
+        return this._loadQuotas();
+    }
+
+    /**
+     * 業績達成率 (排行榜與個人儀表)
+     * 季目標未設定時，以該季三個月的月目標加總。
+     * @param {Object} [options]
+     * @param {'month'|'quarter'} [options.periodType='month']
+     * @param {string} [options.period] - 預設為本期，例如 2026-02 / 2026-Q1
+     * @param {Object} [user]
+     * @returns {Promise<object>} { periodType, period, label, startDate, endDate, team, leaderboard, categories, me }
+     */
+    async getAttainment({ periodType = 'month', period } = {}, user = null) {
+        assertCanRead(user, 'salesAnalysis');
+        const type = periodType === 'quarter' ? 'quarter' : 'month';
+        const periodKey = period || this._currentPeriod(type, new Date());
+        if (!PERIOD_PATTERNS[type].test(periodKey)) {
+            throw new Error(`期別格式錯誤：${periodKey} (月：YYYY-MM，季：YYYY-Q1)`);
+        }
+
+        const [opportunities, systemConfig, pipeline, quotas] = await Promise.all([
+            this.opportunityReader.getOpportunities(),
+            this.systemService.getSystemConfig(),
+            this.pipelineService.getPipeline(),
+            this._loadQuotas()
+        ]);
+
+        const { start, end } = this._periodRange(type, periodKey);
+        const wonDeals = opportunities.filter(opp => {
+            if (!isWonStage(pipeline, opp.currentStage)) return false;
+            const dateStr = opp.expectedCloseDate || opp.lastUpdateTime;
+            const date = dateStr ? new Date(dateStr) : null;
+            return date && !isNaN(date) && date >= start && date <= end;
+        });
+
+        const specCategories = new Map((systemConfig['可能下單規格'] || []).map(item => [item.value, item.category || '其他']));
+        const memberNames = new Map((systemConfig['團隊成員'] || []).map(item => [item.value, item.note || item.value]));
+        const periodQuotas = this._quotasForPeriod(quotas, type, periodKey);
+
+        // 成交金額：業務 -> { total, byCategory }
+        const won = new Map();
+        const ensure = (assignee) => {
+            if (!won.has(assignee)) won.set(assignee, { total: 0, count: 0, byCategory: {} });
+            return won.get(assignee);
+        };
+        wonDeals.forEach(opp => {
+            const value = parseFloat(String(opp.opportunityValue || '').replace(/,/g, '')) || 0;
+            const entry = ensure(opp.assignee || UNCATEGORIZED);
+            entry.total += value;
+            entry.count++;
+            Object.entries(this._splitByCategory(opp, value, specCategories)).forEach(([category, amount]) => {
+                entry.byCategory[category] = (entry.byCategory[category] || 0) + amount;
+            });
+        });
+
+        const assignees = new Set([...won.keys(), ...periodQuotas.map(q => q.assignee)]);
+        const leaderboard = [...assignees].map(assignee => {
+            const wonEntry = won.get(assignee) || { total: 0, count: 0, byCategory: {} };
+            const quota = this._sumQuota(periodQuotas, assignee, '');
+            const categories = [...new Set([
+                ...periodQuotas.filter(q => q.assignee === assignee && q.category).map(q => q.category),
+                ...Object.keys(wonEntry.byCategory)
+            ])].map(category => {
+                const categoryQuota = this._sumQuota(periodQuotas, assignee, category);
+                const categoryWon = Math.round(wonEntry.byCategory[category] || 0);
+                return { category, quota: categoryQuota, won: categoryWon, attainment: this._rate(categoryWon, categoryQuota) };
+            });
+
+            return {
+                assignee,
+                name: memberNames.get(assignee) || assignee,
+                quota,
+                won: Math.round(wonEntry.total),
+                dealCount: wonEntry.count,
+                attainment: this._rate(wonEntry.total, quota),
+                categories
+            };
+        }).sort((a, b) => (b.attainment ?? -1) - (a.attainment ?? -1) || b.won - a.won);
+
+        const teamQuota = leaderboard.reduce((sum, row) => sum + (row.quota || 0), 0);
+        const teamWon = leaderboard.reduce((sum, row) => sum + row.won, 0);
+        const categoryTotals = {};
+        leaderboard.forEach(row => row.categories.forEach(c => {
+            if (!categoryTotals[c.category]) categoryTotals[c.category] = { category: c.category, quota: 0, won: 0 };
+            categoryTotals[c.category].quota += c.quota || 0;
+            categoryTotals[c.category].won += c.won;
+        }));
+
+        const myKey = user && typeof user === 'object' ? (user.name || user.username) : null;
+        return {
+            periodType: type,
+            period: periodKey,
+            label: this._periodLabel(type, periodKey),
+            startDate: this._formatDate(start),
+            endDate: this._formatDate(end),
+            team: { quota: teamQuota || null, won: teamWon, attainment: this._rate(teamWon, teamQuota) },
+            leaderboard,
+            categories: Object.values(categoryTotals).map(c => ({ ...c, quota: c.quota || null, attainment: this._rate(c.won, c.quota) })),
+            me: leaderboard.find(row => row.assignee === myKey) || null
+        };
+    }
+
+    // --- 內部輔助函式 ---
+
+    /**
+     * 目前的業績目標 (目標表為空時沿用舊版設定)
+     * @returns {Promise<Array<{ assignee, periodType, period, category, amount }>>}
+     */
+    async _loadQuotas() {
+        const { rows } = await this._loadQuotaRows();
+        const quotas = rows.length > 0
+            ? rows.map(({ assignee, periodType, period, category, amount }) => ({ assignee, periodType, period, category, amount }))
+            : await this._loadLegacyQuotas();
+        return quotas.sort((a, b) =>
+            a.period.localeCompare(b.period) || a.assignee.localeCompare(b.assignee) || a.category.localeCompare(b.category));
+    }
+
+    /**
+     * 讀取目標表；同一業務、期別、分類重複的列 (同時儲存) 只保留最後一列，其餘列於下次儲存時刪除
+     * @returns {Promise<{ rows: Array<object>, duplicates: Array<number|string> }>}
+     */
+    async _loadQuotaRows() {
+        const byKey = new Map();
+        const duplicates = [];
+        (await this.quotaReader.getQuotas()).forEach(raw => {
+            if (!raw.assignee || !raw.period) return;
+            const row = {
+                rowIndex: raw.rowIndex,
+                assignee: raw.assignee,
+                periodType: raw.periodType === 'quarter' ? 'quarter' : 'month',
+                period: raw.period,
+                category: raw.category || '',
+                amount: parseFloat(String(raw.amount || '').replace(/,/g, '')) || 0
+            };
+            const key = this._keyOf(row);
+            if (byKey.has(key)) duplicates.push(byKey.get(key).rowIndex);
+            byKey.set(key, row);
+        });
+        return { rows: [...byKey.values()], duplicates };
+    }
+
+    _keyOf(quota) {
+        return `${quota.assignee}|${quota.periodType}|${quota.period}|${quota.category}`;
+    }
+
+    async _loadLegacyQuotas() {
+        const systemConfig = await this.systemService.getSystemConfig();
+        const pref = (systemConfig['SystemPref'] || []).find(p => p.value === LEGACY_QUOTA_PREF);
+        if (!pref || !pref.note) return [];
+        try {
+            const quotas = JSON.parse(pref.note);
+            return Array.isArray(quotas) ? quotas : [];
+        } catch (error) {
+            console.warn('[QuotaService] 業績目標格式錯誤，已略過:', error.message);
+            return [];
+        }
+    }
+
+    _normalizeEntry(entry) {
+        const assignee = String(entry.assignee || '').trim();
+        const periodType = entry.periodType === 'quarter' ? 'quarter' : 'month';
+        const period = String(entry.period || '').trim();
+        const amount = entry.amount === '' || entry.amount === null || entry.amount === undefined
+            ? 0
+            : parseFloat(String(entry.amount).replace(/,/g, ''));
+
+        if (!assignee) throw new Error('業績目標缺少負責業務');
+        if (!PERIOD_PATTERNS[periodType].test(period)) {
+            throw new Error(`期別格式錯誤：${period || '(空白)'} (月：YYYY-MM，季：YYYY-Q1)`);
+        }
+        if (isNaN(amount) || amount < 0) throw new Error(`業績目標金額錯誤：${entry.amount}`);
+
+        return { assignee, periodType, period, category: String(entry.category || '').trim(), amount };
+    }
+
+    /**
+     * 取得適用於該期的目標；季目標未設定的業務 / 分類以月目標加總
+     */
+    _quotasForPeriod(quotas, type, periodKey) {
+        const exact = quotas.filter(q => q.periodType === type && q.period === periodKey);
+        if (type === 'month') return exact;
+
+        const [year, quarter] = periodKey.split('-Q');
+        const months = [1, 2, 3].map(i => `${year}-${String((quarter - 1) * 3 + i).padStart(2, '0')}`);
+        const covered = new Set(exact.map(q => `${q.assignee}|${q.category}`));
+        const fromMonths = quotas.filter(q => q.periodType === 'month' && months.includes(q.period) && !covered.has(`${q.assignee}|${q.category}`));
+        return [...exact, ...fromMonths];
+    }
+
+    _sumQuota(periodQuotas, assignee, category) {
+        const matched = periodQuotas.filter(q => q.assignee === assignee && q.category === category);
+        return matched.length ? matched.reduce((sum, q) => sum + q.amount, 0) : null;
+    }
+
+    /**
+     * 依可能下單規格的數量比例分攤成交金額至各分類
+     */
+    _splitByCategory(opp, value, specCategories) {
+        let specs = {};
+        try {
+            const parsed = opp.potentialSpecification ? JSON.parse(opp.potentialSpecification) : {};
+            if (parsed && typeof parsed === 'object') specs = parsed;
+        } catch (e) {
+            String(opp.potentialSpecification || '').split(',').map(s => s.trim()).filter(Boolean).forEach(name => { specs[name] = 1; });
+        }
+
+        const quantities = {};
+        Object.entries(specs).forEach(([spec, qty]) => {
+            const q = parseFloat(qty) || 0;
+            if (q <= 0) return;
+            const category = specCategories.get(spec) || UNCATEGORIZED;
+            quantities[category] = (quantities[category] || 0) + q;
+        });
+
+        const totalQty = Object.values(quantities).reduce((sum, q) => sum + q, 0);
+        if (totalQty === 0) return { [UNCATEGORIZED]: value };
+        return Object.fromEntries(Object.entries(quantities).map(([category, q]) => [category, value * q / totalQty]));
+    }
+
+    _currentPeriod(type, date) {
+        const year = date.getFullYear();
+        return type === 'quarter'
+            ? `${year}-Q${Math.floor(date.getMonth() / 3) + 1}`
+            : `${year}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+    }
+
+    _periodRange(type, periodKey) {
+        if (type === 'quarter') {
+            const [year, quarter] = periodKey.split('-Q').map(Number);
+            return {
+                start: new Date(year, (quarter - 1) * 3, 1),
+                end: new Date(year, quarter * 3, 0, 23, 59, 59, 999)
+            };
+        }
+        const [year, month] = periodKey.split('-').map(Number);
+        return { start: new Date(year, month - 1, 1), end: new Date(year, month, 0, 23, 59, 59, 999) };
+    }
+
+    _formatDate(date) {
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    }
+
+    _periodLabel(type, periodKey) {
+        if (type === 'quarter') {
+            const [year, quarter] = periodKey.split('-Q');
+            return `${year} Q${quarter}`;
+        }
+        const [year, month] = periodKey.split('-');
+        return `${year}年${parseInt(month, 10)}月`;
+    }
+
+    _rate(part, total) {
+        return total > 0 ? Math.round(part / total * 1000) / 10 : null;
+    }
+}
+
+module.exports = QuotaService;
@@ -0,0 +1,383 @@
+/**
+ * services/quote-service.js
+ * 報價單服務
+ * * @version 1.0.0
+ * @date 2026-02-12
+ * @description 以市場商品資料為價目表，替機會案件建立多版次的報價單 (數量、折扣、通路價格級別)，
+ * 並產生可列印的 HTML 報價單。每次修改都建立新版次，舊版次保留；接受某版次後以未稅小計寫回機會價值。
+ * 價格級別對應的商品價格欄位若為角色的隱藏欄位 (例如業務看不到 MTB 價)，不可用該級別報價。
+ * 依賴注入：QuoteReader, QuoteWriter, OpportunityReader, OpportunityService, ProductReader, SystemService, Config
+ */
+
+const { assertCanRead, assertCanWrite, getHiddenFields } = require('../utils/permission-helpers');
+const { renderQuoteHtml } = require('../utils/quote-template');
+
+const INPUT_ERROR_PREFIX = '無法建檔：';
+
+class QuoteService {
+    /**
+     * @param {QuoteReader} quoteReader
+     * @param {QuoteWriter} quoteWriter
+     * @param {OpportunityReader} opportunityReader
+     * @param {OpportunityService} opportunityService - 接受報價時更新機會價值 (含階段關卡、稽核與日誌)
+     * @param {ProductReader} productReader
+     * @param {SystemService} systemService
+     * @param {Object} config - 系統設定
+     */
+    constructor(quoteReader, quoteWriter, opportunityReader, opportunityService, productReader, systemService, config) {
+        this.quoteReader = quoteReader;
+        this.quoteWriter = quoteWriter;
+        this.opportunityReader = opportunityReader;
+        this.opportunityService = opportunityService;
+        this.productReader = productReader;
+        this.systemService = systemService;
+        this.config = config;
+    }
+
+    /**
+     * 取得機會案件的所有報價版次 (新版在前)
+     * @param {string} opportunityId
+     * @param {Object} [user]
+     * @returns {Promise<Array<object>>}
+     */
+    async getQuotes(opportunityId, user = null) {
+        assertCanRead(user, 'quote');
+        if (!opportunityId) throw new Error('請指定機會ID');
+
+        const quotes = await this.quoteReader.getQuotes();
+        return quotes
+            .filter(q => q.opportunityId === opportunityId)
+            .map(q => this._present(q, user))
+            .sort((a, b) => b.version - a.version);
+    }
+
+    /**
+     * @param {string} quoteId
+     * @param {Object} [user]
+     */
+    async getQuote(quoteId, user = null) {
+        assertCanRead(user, 'quote');
+        return this._present(await this._findQuote(quoteId), user);
+    }
+
+    /**
+     * 新報價的預填內容：價格級別依銷售模式判斷，明細由機會的產品明細 (可能下單規格與數量) 帶入。
+     * 規格對得到商品 (商品ID 或名稱相同) 時以商品定價，否則以可能下單規格的值2 作為單價。
+     * @param {string} opportunityId
+     * @param {string} [priceTier] - 偏好的價格級別
+     * @param {Object} [user]
+     * @returns {Promise<object>} { opportunityId, priceTier, tiers, taxRate, validUntil, items }
+     */
+    async getDraft(opportunityId, priceTier = null, user = null) {
+        assertCanWrite(user, 'quote');
+        const opportunity = await this._findOpportunity(opportunityId);
+        const systemConfig = await this.systemService.getSystemConfig();
+        // 指定的級別角色不可用時 (例如改版他人的 SI 報價) 改依銷售模式判斷
+        const preferred = priceTier && this._availableTiers(user).some(t => t.value === priceTier);
+        const tier = preferred ? priceTier : this._resolveTier(opportunity, systemConfig, user);
+        const tierField = this._assertTier(tier, user);
+
+        const products = await this.productReader.getAllProducts();
+        const specItems = systemConfig['可能下單規格'] || [];
+        const items = Object.entries(this._parseSpecification(opportunity.potentialSpecification))
+            .filter(([, qty]) => qty > 0)
+            .map(([spec, quantity]) => {
+                const specItem = specItems.find(i => i.value === spec) || {};
+                const product = products.find(p => p.id === spec || p.name === spec || (specItem.note && p.name === specItem.note));
+                if (product) {
+                    return {
+                        productId: product.id, name: product.name, spec: product.spec, unit: product.unit,
+                        quantity, listPrice: this._parseAmount(product[tierField]), discount: 0
+                    };
+                }
+                return {
+                    productId: '', name: specItem.note || spec, spec: '', unit: '',
+                    quantity, listPrice: null, unitPrice: this._parseAmount(specItem.value2), discount: 0
+                };
+            })
+            .map(item => ({ ...item, unitPrice: item.unitPrice ?? item.listPrice }));
+
+        return {
+            opportunityId,
+            priceTier: tier,
+            tiers: this._availableTiers(user),
+            taxRate: this.config.QUOTE.TAX_RATE,
+            validUntil: this._formatDate(this._addDays(new Date(), this.config.QUOTE.VALID_DAYS)),
+            items
+        };
+    }
+
+    /**
+     * 建立報價版次 (版次 = 該機會目前最大版次 + 1，報價單號沿用第一版)
+     * @param {Object} data - { opportunityId, priceTier, items: [{ productId?, name?, spec?, unit?, quantity, unitPrice?, discount? }], taxRate?, validUntil?, note? }
+     * @param {Object} user
+     * @returns {Promise<object>} 新建立的報價
+     */
+    async createQuote(data, user) {
+        assertCanWrite(user, 'quote');
+        const opportunity = await this._findOpportunity(data.opportunityId);
+        const tierField = this._assertTier(data.priceTier, user);
+
+        if (!Array.isArray(data.items) || data.items.length === 0) {
+            throw new Error(`${INPUT_ERROR_PREFIX}報價單至少需要一項明細`);
+        }
+
+        const products = await this.productReader.getAllProducts();
+        const items = data.items.map((line, index) => this._priceLine(line, index, products, tierField));
+        const subtotal = items.reduce((sum, item) => sum + item.amount, 0);
+        const taxRate = data.taxRate === undefined || data.taxRate === '' ? this.config.QUOTE.TAX_RATE : parseFloat(data.taxRate);
+        if (isNaN(taxRate) || taxRate < 0 || taxRate > 100) {
+            throw new Error(`${INPUT_ERROR_PREFIX}稅率必須介於 0 到 100 之間`);
+        }
+        const taxAmount = Math.round(subtotal * taxRate / 100);
+
+        const existing = (await this.quoteReader.getQuotes()).filter(q => q.opportunityId === opportunity.opportunityId);
+        const version = existing.reduce((max, q) => Math.max(max, parseInt(q.version, 10) || 0), 0) + 1;
+        const firstVersion = existing.find(q => String(q.version) === '1');
+        const now = new Date();
+        const baseNumber = firstVersion
+            ? String(firstVersion.quoteNumber).replace(/-R\d+$/, '')
+            : `QT${this._formatDate(now).replace(/-/g, '')}-${String(opportunity.opportunityId).slice(-4)}`;
+
+        const quote = {
+            quoteId: `QTE${Date.now()}`,
+            quoteNumber: `${baseNumber}-R${version}`,
+            opportunityId: opportunity.opportunityId,
+            version,
+            status: this.config.QUOTE.STATUS.DRAFT,
+            priceTier: data.priceTier,
+            items: JSON.stringify(items),
+            subtotal,
+            taxRate,
+            taxAmount,
+            total: subtotal + taxAmount,
+            validUntil: data.validUntil || this._formatDate(this._addDays(now, this.config.QUOTE.VALID_DAYS)),
+            note: data.note || ''
+        };
+
+        await this.quoteWriter.createQuote(quote, this._modifier(user));
+        return this._present({ ...quote, createdBy: this._modifier(user), createdTime: now.toISOString() }, user);
+    }
+
+    /**
+     * 變更報價狀態 (送出 / 拒絕)；接受請使用 acceptQuote
+     * @param {string} quoteId
+     * @param {'sent'|'rejected'} status
+     * @param {Object} user
+     */
+    async updateStatus(quoteId, status, user) {
+        assertCanWrite(user, 'quote');
+        const STATUS = this.config.QUOTE.STATUS;
+        const target = { sent: STATUS.SENT, rejected: STATUS.REJECTED }[status];
+        if (!target) throw new Error(`不支援的報價狀態：${status}`);
+
+        const quote = await this._findQuote(quoteId);
+        if (![STATUS.DRAFT, STATUS.SENT].includes(quote.status)) {
+            throw new Error(`報價單 ${quote.quoteNumber} 目前為「${quote.status}」，無法改為「${target}」`);
+        }
+
+        await this.quoteWriter.updateQuoteStatus(quote.rowIndex, target, this._modifier(user));
+        return { success: true, status: target };
+    }
+
+    /**
+     * 接受報價：以未稅小計更新機會價值 (類型改為手動)，並將同一機會其他未結束的版次標為已取代
+     * @param {string} quoteId
+     * @param {Object} user
+     */
+    async acceptQuote(quoteId, user) {
+        assertCanWrite(user, 'quote');
+        const STATUS = this.config.QUOTE.STATUS;
+        const quote = await this._findQuote(quoteId);
+        if (![STATUS.DRAFT, STATUS.SENT].includes(quote.status)) {
+            throw new Error(`報價單 ${quote.quoteNumber} 目前為「${quote.status}」，無法接受`);
+        }
+
+        // 先寫回機會價值 (會檢查機會的寫入權限與階段關卡)，失敗時不變更報價狀態
+        await this.opportunityService.updateOpportunity(quote.opportunityId, {
+            opportunityValue: String(quote.subtotal),
+            opportunityValueType: 'manual'
+        }, user);
+
+        const modifier = this._modifier(user);
+        await this.quoteWriter.updateQuoteStatus(quote.rowIndex, STATUS.ACCEPTED, modifier);
+
+        const others = (await this.quoteReader.getQuotes()).filter(q =>
+            q.opportunityId === quote.opportunityId && q.quoteId !== quote.quoteId &&
+            [STATUS.DRAFT, STATUS.SENT, STATUS.ACCEPTED].includes(q.status));
+        for (const other of others) {
+            await this.quoteWriter.updateQuoteStatus(other.rowIndex, STATUS.SUPERSEDED, modifier);
+        }
+
+        return { success: true, opportunityValue: quote.subtotal, superseded: others.length };
+    }
+
+    /**
+     * 產生可列印的報價單 HTML
+     * @param {string} quoteId
+     * @param {Object} [user]
+     * @returns {Promise<{ html: string, fileName: string }>}
+     */
+    async renderQuote(quoteId, user = null) {
+        const quote = await this.getQuote(quoteId, user);
+        const opportunity = await this._findOpportunity(quote.opportunityId);
+        const systemConfig = await this.systemService.getSystemConfig();
+        const noteOf = (key, value) => ((systemConfig[key] || []).find(i => i.value === value) || {}).note || value || '';
+
+        const html = renderQuoteHtml({
+            quote,
+            opportunity: {
+                ...opportunity,
+                assigneeName: noteOf('團隊成員', opportunity.assignee),
+                salesModelName: noteOf('銷售模式', opportunity.salesModel)
+            },
+            company: this.config.QUOTE.COMPANY
+        });
+        return { html, fileName: `${quote.quoteNumber}.pdf` };
+    }
+
+    // --- 內部輔助函式 ---
+
+    async _findQuote(quoteId) {
+        const quotes = await this.quoteReader.getQuotes();
+        const quote = quotes.find(q => q.quoteId === quoteId);
+        if (!quote) throw new Error(`找不到報價單 (ID: ${quoteId})`);
+        return quote;
+    }
+
+    async _findOpportunity(opportunityId) {
+        const opportunities = await this.opportunityReader.getOpportunities();
+        const opportunity = opportunities.find(o => o.opportunityId === opportunityId);
+        if (!opportunity) throw new Error(`找不到機會案件 (ID: ${opportunityId})`);
+        return opportunity;
+    }
+
+    /**
+     * 檢查價格級別，回傳對應的商品價格欄位
+     */
+    _assertTier(tier, user) {
+        const definition = this.config.QUOTE.PRICE_TIERS[tier];
+        if (!definition) throw new Error(`${INPUT_ERROR_PREFIX}不支援的價格級別：${tier || '(空白)'}`);
+        if (getHiddenFields(user, 'product').includes(definition.field)) {
+            throw new Error(`權限不足：您的角色無法使用「${definition.label}」報價`);
+        }
+        return definition.field;
+    }
+
+    _availableTiers(user) {
+        const hidden = getHiddenFields(user, 'product');
+        return Object.entries(this.config.QUOTE.PRICE_TIERS)
+            .filter(([, definition]) => !hidden.includes(definition.field))
+            .map(([value, definition]) => ({ value, label: definition.label }));
+    }
+
+    /**
+     * 依銷售模式 (設定值與顯示名稱) 比對關鍵字決定價格級別；角色不可用時退回第一個可用級別
+     */
+    _resolveTier(opportunity, systemConfig, user) {
+        const model = (systemConfig['銷售模式'] || []).find(i => i.value === opportunity.salesModel) || {};
+        const text = `${opportunity.salesModel || ''} ${model.note || ''}`.toUpperCase();
+        const matched = Object.entries(this.config.QUOTE.SALES_MODEL_TIERS)
+            .find(([, keywords]) => keywords.some(keyword => text.includes(keyword.toUpperCase())));
+
+        const tier = matched ? matched[0] : this.config.QUOTE.DEFAULT_TIER;
+        const available = this._availableTiers(user).map(t => t.value);
+        return available.includes(tier) ? tier : (available[0] || tier);
+    }
+
+    /**
+     * 計算單一明細：商品明細的定價取自價格級別，可用 unitPrice 覆寫；自訂明細 (無商品ID) 必須填寫單價
+     */
+    _priceLine(line, index, products, tierField) {
+        const label = `第 ${index + 1} 項`;
+        let base = { productId: '', name: String(line.name || '').trim(), spec: line.spec || '', unit: line.unit || '', listPrice: null };
+
+        if (line.productId) {
+            const product = products.find(p => p.id === line.productId);
+            if (!product) throw new Error(`${INPUT_ERROR_PREFIX}${label}的商品不存在 (ID: ${line.productId})`);
+            base = {
+                productId: product.id,
+                name: base.name || product.name,
+                spec: line.spec !== undefined ? line.spec : product.spec,
+                unit: line.unit || product.unit,
+                listPrice: this._parseAmount(product[tierField])
+            };
+        }
+        if (!base.name) throw new Error(`${INPUT_ERROR_PREFIX}${label}缺少品名`);
+
+        const quantity = parseFloat(line.quantity);
+        if (isNaN(quantity) || quantity <= 0) throw new Error(`${INPUT_ERROR_PREFIX}「${base.name}」的數量必須大於 0`);
+
+        const override = line.unitPrice === undefined || line.unitPrice === null || line.unitPrice === '' ? null : this._parseAmount(line.unitPrice);
+        const unitPrice = override !== null ? override : base.listPrice;
+        if (unitPrice === null || unitPrice < 0) throw new Error(`${INPUT_ERROR_PREFIX}「${base.name}」沒有此價格級別的定價，請填寫單價`);
+
+        const discount = line.discount === undefined || line.discount === '' ? 0 : parseFloat(line.discount);
+        if (isNaN(discount) || discount < 0 || discount > 100) throw new Error(`${INPUT_ERROR_PREFIX}「${base.name}」的折扣必須介於 0 到 100 (%)`);
+
+        return { ...base, quantity, unitPrice, discount, amount: Math.round(quantity * unitPrice * (1 - discount / 100)) };
+    }
+
+    /**
+     * 轉為前端 DTO：解析明細 JSON、金額轉數字；角色看不到該級別定價時移除明細的定價 (單價為實際報價，保留)
+     */
+    _present(quote, user) {
+        let items = [];
+        try {
+            items = typeof quote.items === 'string' ? JSON.parse(quote.items || '[]') : (quote.items || []);
+        } catch (e) {
+            console.warn(`[QuoteService] 報價明細解析失敗 (ID: ${quote.quoteId})`);
+        }
+
+        const definition = this.config.QUOTE.PRICE_TIERS[quote.priceTier];
+        const hideListPrice = definition && getHiddenFields(user, 'product').includes(definition.field);
+        if (hideListPrice) items = items.map(({ listPrice, ...item }) => item);
+
+        const { rowIndex, ...rest } = quote;
+        return {
+            ...rest,
+            version: parseInt(quote.version, 10) || 0,
+            priceTierLabel: definition ? definition.label : quote.priceTier,
+            items,
+            subtotal: this._parseAmount(quote.subtotal) || 0,
+            taxRate: this._parseAmount(quote.taxRate) || 0,
+            taxAmount: this._parseAmount(quote.taxAmount) || 0,
+            total: this._parseAmount(quote.total) || 0
+        };
+    }
+
+    _parseSpecification(value) {
+        const specs = {};
+        try {
+            const parsed = value ? JSON.parse(value) : {};
+            if (parsed && typeof parsed === 'object') {
+                Object.entries(parsed).forEach(([spec, qty]) => { specs[spec] = parseFloat(qty) || 0; });
+            }
+        } catch (e) {
+            String(value || '').split(',').map(s => s.trim()).filter(Boolean).forEach(name => { specs[name] = 1; });
+        }
+        return specs;
+    }
+
+    _parseAmount(value) {
+        if (value === null || value === undefined || value === '') return null;
+        const amount = parseFloat(String(value).replace(/[,$\s]/g, ''));
+        return isNaN(amount) ? null : amount;
+    }
+
+    _modifier(user) {
+        return (user && (user.name || user.username)) || 'System';
+    }
+
+    _addDays(date, days) {
+        const result = new Date(date);
+        result.setDate(result.getDate() + days);
+        return result;
+    }
+
+    _formatDate(date) {
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    }
+}
+
+module.exports = QuoteService;
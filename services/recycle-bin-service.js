@@ -0,0 +1,120 @@
+/**
+ * services/recycle-bin-service.js
+ * 回收桶 (Soft Delete)
+ * * @version 1.0.0
+ * @date 2026-02-04
+ * @description
+ * 1. 彙整機會案件、公司、事件紀錄中已軟刪除的資料，統一成回收桶清單 (刪除時間倒序)。
+ * 2. restore / purge 依實體分派至各模組 Service，定位一律使用穩定ID。
+ * 3. 權限檢查 (僅限管理員) 由 Controller 負責。
+ */
+
+const ENTITIES = ['opportunities', 'companies', 'events'];
+
+class RecycleBinService {
+    /**
+     * @param {OpportunityService} opportunityService
+     * @param {CompanyService} companyService
+     * @param {EventLogService} eventLogService
+     */
+    constructor(opportunityService, companyService, eventLogService) {
+        this.opportunityService = opportunityService;
+        this.companyService = companyService;
+        this.eventLogService = eventLogService;
+    }
+
+    static get ENTITIES() {
+        return ENTITIES;
+    }
+
+    /**
+     * @param {string} entity
+     * @returns {boolean}
+     */
+    isSupportedEntity(entity) {
+        return ENTITIES.includes(entity);
+    }
+
+    /**
+     * 取得回收桶清單
+     * @returns {Promise<Array<{entity, id, name, detail, deletedTime, deletedBy}>>}
+     */
+    async getItems() {
+        const [opportunities, companies, events] = await Promise.all([
+            this.opportunityService.getDeletedOpportunities(),
+            this.companyService.getDeletedCompanies(),
+            this.eventLogService.getDeletedEventLogs()
+        ]);
+
+        const items = [
+            // 機會以狀態標記刪除；刪除時間/刪除者欄位加入前刪除的資料以最後更新時間/最後變更者代替
+            ...opportunities.map(o => ({
+                entity: 'opportunities',
+                id: o.opportunityId,
+                name: o.opportunityName,
+                detail: o.customerCompany || '',
+                deletedTime: o.deletedTime || o.lastUpdateTime,
+                deletedBy: o.deletedBy || o.lastModifier
+            })),
+            ...companies.map(c => ({
+                entity: 'companies',
+                id: c.companyId,
+                name: c.companyName,
+                detail: c.companyType || '',
+                deletedTime: c.deletedTime,
+                deletedBy: c.deletedBy
+            })),
+            ...events.map(e => ({
+                entity: 'events',
+                id: e.eventId,
+                name: e.eventName || e.opportunityName || e.eventId,
+                detail: e.eventType || '',
+                deletedTime: e.deletedTime,
+                deletedBy: e.deletedBy
+            }))
+        ];
+
+        return items.sort((a, b) => new Date(b.deletedTime || 0) - new Date(a.deletedTime || 0));
+    }
+
+    /**
+     * 還原
+     * @param {string} entity
+     * @param {string} id
+     * @param {Object} user - req.user
+     */
+    async restore(entity, id, user) {
+        switch (entity) {
+            case 'opportunities': return this.opportunityService.restoreOpportunity(id, this._serviceUser(user));
+            case 'companies': return this.companyService.restoreCompany(id, this._serviceUser(user));
+            case 'events': return this.eventLogService.restoreEventLog(id, this._modifierName(user));
+            default: throw new Error(`不支援的回收桶實體: ${entity}`);
+        }
+    }
+
+    /**
+     * 永久刪除
+     * @param {string} entity
+     * @param {string} id
+     * @param {Object} user - req.user
+     */
+    async purge(entity, id, user) {
+        switch (entity) {
+            case 'opportunities': return this.opportunityService.purgeOpportunity(id, this._serviceUser(user));
+            case 'companies': return this.companyService.purgeCompany(id, this._serviceUser(user));
+            case 'events': return this.eventLogService.purgeEventLog(id, this._modifierName(user));
+            default: throw new Error(`不支援的回收桶實體: ${entity}`);
+        }
+    }
+
+    // 機會/公司 Service 以 displayName || username 取修改者；事件 Service 直接接收名稱字串
+    _serviceUser(user) {
+        return { ...user, displayName: this._modifierName(user) };
+    }
+
+    _modifierName(user) {
+        return user?.name || user?.username || 'System';
+    }
+}
+
+module.exports = RecycleBinService;
@@ -5,34 +5,64 @@
  * @date 2026-01-27
  * @description 負責處理成交金額、銷售渠道分析與產品組合統計。
  * 依賴注入：OpportunityReader, SystemReader, Config
+ * [Permissions] 成交金額分析需具 salesAnalysis 讀取權限。
+ * [Pipeline] 成交案件依銷售流程的成交階段判斷 (PipelineService)。
+ * [Forecast] 進行中機會依月 / 季與負責業務分組，計算承諾 / 最佳情況 / 加權預測，並與上一次預測快照比較。
+ * 預測快照存於機會快照 (類型 forecast，每個機會一列)，比較時依快照建立當時的期別重新加總，月 / 季共用同一份快照。
+ * 依賴注入：OpportunityReader, SystemReader, Config, PipelineService, PipelineSnapshotService (預測快照)
+ * [Funnel] 依階段歷程與稽核紀錄 (目前階段的異動時間) 計算階段轉換率、各階段停留天數、勝率與成交週期分佈。
+ * 依賴注入：AuditLogReader (階段異動時間)
  */
 
+const { assertCanRead, assertCanWrite } = require('../utils/permission-helpers');
+const { isWonStage, getOutcome, getStage, getOpenStages, parseStageHistory, resolveProbability } = require('../utils/pipeline-helpers');
+
+const FORECAST_SNAPSHOT_TYPE = 'forecast';
+const FORECAST_METRICS = ['count', 'pipeline', 'committed', 'bestCase', 'weighted'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// 成交週期分佈 (天數上限)
+const CYCLE_BUCKETS = [
+    { label: '30 天內', max: 30 },
+    { label: '31-60 天', max: 60 },
+    { label: '61-90 天', max: 90 },
+    { label: '91-180 天', max: 180 },
+    { label: '181-365 天', max: 365 },
+    { label: '超過一年', max: Infinity }
+];
+
 class SalesAnalysisService {
     /**
      * @param {OpportunityReader} opportunityReader
      * @param {SystemReader} systemReader
      * @param {Object} config - 系統設定
+     * @param {PipelineService} pipelineService
+     * @param {PipelineSnapshotService} pipelineSnapshotService - 預測快照
+     * @param {AuditLogReader} auditLogReader - 階段異動時間 (階段歷程本身不含時間)
      */
-    constructor(opportunityReader, systemReader, config) {
+    constructor(opportunityReader, systemReader, config, pipelineService, pipelineSnapshotService, auditLogReader) {
         this.opportunityReader = opportunityReader;
         this.systemReader = systemReader;
         this.config = config;
-        
-        // --- !!! 重要設定 !!! ---
-        this.WON_STAGE_VALUE = '受注'; 
+        this.pipelineService = pipelineService;
+        this.pipelineSnapshotService = pipelineSnapshotService;
+        this.auditLogReader = auditLogReader;
     }
 
     /**
      * 獲取指定時間範圍內的成交分析數據
      * @param {string} startDateISO - 開始日期 (ISO 格式字串)
      * @param {string} endDateISO - 結束日期 (ISO 格式字串)
+     * @param {Object} [user] - 操作者
      * @returns {Promise<object>} - 包含分析結果的物件
      */
-    async getSalesAnalysisData(startDateISO, endDateISO) {
+    async getSalesAnalysisData(startDateISO, endDateISO, user = null) {
+        assertCanRead(user, 'salesAnalysis');
         console.log(`📈 [SalesAnalysisService] 計算成交分析資料...`);
 
         const allOpportunities = await this.opportunityReader.getOpportunities();
         const systemConfig = await this.systemReader.getSystemConfig();
+        const pipeline = await this.pipelineService.getPipeline();
 
         // 1. 準備設定資料傳給前端
         // (A) 銷售模式顏色對應表
@@ -46,10 +76,10 @@ class SalesAnalysisService {
         const start = startDateISO ? new Date(startDateISO) : new Date(0); // 預設很久以前
         const end = endDateISO ? new Date(endDateISO) : new Date(); // 預設現在
 
-        // 2. 篩選「受注」且「在時間範圍內」的案件
+        // 2. 篩選「成交階段」且「在時間範圍內」的案件
         const wonDeals = allOpportunities.filter(opp => {
-            // 階段必須是受注
-            if (opp.currentStage !== this.WON_STAGE_VALUE) return false;
+            // 階段必須是銷售流程中的成交階段
+            if (!isWonStage(pipeline, opp.currentStage)) return false;
             
             // 判斷日期 (使用預計結案日或最後更新日)
             const dateStr = opp.expectedCloseDate || opp.lastUpdateTime;
@@ -96,8 +126,486 @@ class SalesAnalysisService {
         };
     }
 
+    /**
+     * 銷售流程分析：階段漏斗、各階段停留天數、勝率與成交週期分佈
+     * - 以「建立日期」落在期間內的機會為分析對象 (未指定期間時為全部)
+     * - 到達階段：階段歷程 + 目前階段 + 稽核紀錄中的階段異動；成交案件視為通過所有進行中階段
+     * - 停留天數：由稽核紀錄的目前階段異動時間推算，稽核啟用前已存在的階段停留時間未知，不列入計算
+     * @param {string} [startDateISO]
+     * @param {string} [endDateISO]
+     * @param {Object} [user] - 操作者
+     * @returns {Promise<object>} { stages, funnel, stageAging, winRates, salesCycle, coverage }
+     */
+    async getPipelineAnalytics(startDateISO, endDateISO, user = null) {
+        assertCanRead(user, 'salesAnalysis');
+        console.log(`📈 [SalesAnalysisService] 計算銷售流程分析...`);
+
+        const [allOpportunities, pipeline, auditLogs] = await Promise.all([
+            this.opportunityReader.getOpportunities(),
+            this.pipelineService.getPipeline(),
+            this.auditLogReader.getAuditLogs()
+        ]);
+
+        const start = startDateISO ? new Date(startDateISO) : null;
+        const end = endDateISO ? new Date(`${String(endDateISO).split('T')[0]}T23:59:59`) : null;
+        const opportunities = allOpportunities.filter(opp => {
+            if (!start && !end) return true;
+            const created = opp.createdTime ? new Date(opp.createdTime) : null;
+            if (!created || isNaN(created)) return false;
+            return (!start || created >= start) && (!end || created <= end);
+        });
+
+        const timelines = this._buildStageTimelines(opportunities, auditLogs);
+        const outcomes = new Map(opportunities.map(opp => [opp.opportunityId, getOutcome(pipeline, opp.currentStage)]));
+        const closed = opportunities.filter(opp => ['won', 'lost'].includes(outcomes.get(opp.opportunityId)));
+        const won = closed.filter(opp => outcomes.get(opp.opportunityId) === 'won');
+
+        return {
+            stages: pipeline.stages.map(({ value, label, order, outcome }) => ({ value, label, order, outcome })),
+            funnel: this._analyzeFunnel(opportunities, timelines, outcomes, pipeline),
+            stageAging: this._analyzeStageAging(opportunities, timelines, outcomes, pipeline),
+            winRates: {
+                bySource: this._analyzeWinRate(closed, outcomes, 'opportunitySource'),
+                bySalesModel: this._analyzeWinRate(closed, outcomes, 'salesModel'),
+                byAssignee: this._analyzeWinRate(closed, outcomes, 'assignee'),
+                overall: this._analyzeWinRate(closed, outcomes, () => '全部')[0] || null
+            },
+            salesCycle: this._analyzeSalesCycle(won, timelines, pipeline),
+            coverage: {
+                opportunities: opportunities.length,
+                timed: [...timelines.values()].filter(segments => segments.some(s => s.enteredAt)).length
+            }
+        };
+    }
+
+    /**
+     * 業績預測：進行中機會依預計結案日分期 (月 / 季) 與負責業務分組
+     * 期別包含「逾期」(預計結案日已過)、本期起 N 期、「更晚」與「未排定」(未填預計結案日)。
+     * 機會價值不論金額計算模式 (自動 / 手動) 皆以已儲存的機會價值計算。
+     * @param {Object} [options]
+     * @param {'month'|'quarter'} [options.period='month']
+     * @param {string} [options.assignee] - 只看某位負責業務
+     * @param {Object} [user] - 操作者
+     * @returns {Promise<object>} { period, thresholds, totals, byPeriod, byAssignee, cells, opportunities, comparison }
+     */
+    async getForecastData({ period = 'month', assignee = '' } = {}, user = null) {
+        assertCanRead(user, 'salesAnalysis');
+        const periodType = period === 'quarter' ? 'quarter' : 'month';
+        const settings = this.config.FORECAST;
+        console.log(`📈 [SalesAnalysisService] 計算業績預測 (${periodType})...`);
+
+        const [allOpportunities, systemConfig, pipeline] = await Promise.all([
+            this.opportunityReader.getOpportunities(),
+            this.systemReader.getSystemConfig(),
+            this.pipelineService.getPipeline()
+        ]);
+
+        const getNote = (type, value) => (systemConfig[type] || []).find(i => i.value === value)?.note || value;
+        const probabilityItems = systemConfig['下單機率'] || [];
+        const periods = this._buildForecastPeriods(periodType, settings.PERIODS[periodType] || 6);
+
+        const activeStatus = this.config.CONSTANTS.OPPORTUNITY_STATUS.ACTIVE;
+        const rows = allOpportunities
+            .filter(opp => opp.currentStatus === activeStatus)
+            .filter(opp => !['won', 'lost'].includes(getOutcome(pipeline, opp.currentStage)))
+            .filter(opp => !assignee || opp.assignee === assignee)
+            .map(opp => {
+                const stage = getStage(pipeline, opp.currentStage);
+                const probability = resolveProbability(pipeline, opp, probabilityItems);
+                const value = parseFloat(String(opp.opportunityValue || '').replace(/,/g, '')) || 0;
+                return {
+                    opportunityId: opp.opportunityId,
+                    opportunityName: opp.opportunityName,
+                    customerCompany: opp.customerCompany,
+                    assignee: opp.assignee || '',
+                    assigneeName: opp.assignee ? getNote('團隊成員', opp.assignee) : '未指派',
+                    currentStage: opp.currentStage,
+                    stageName: stage ? stage.label : opp.currentStage,
+                    orderProbability: opp.orderProbability,
+                    probability,
+                    value,
+                    valueType: opp.opportunityValueType || 'auto',
+                    weighted: Math.round(value * probability / 100),
+                    expectedCloseDate: opp.expectedCloseDate,
+                    period: this._getForecastPeriodKey(opp.expectedCloseDate, periodType, periods),
+                    category: probability >= settings.COMMIT_PROBABILITY ? 'commit'
+                        : (probability >= settings.BEST_CASE_PROBABILITY ? 'bestCase' : 'pipeline')
+                };
+            });
+
+        const periodLabels = new Map(periods.map(p => [p.key, p.label]));
+        const byPeriod = this._sumForecast(rows, row => row.period)
+            .sort((a, b) => this._comparePeriodKeys(a.key, b.key, periods))
+            .map(item => ({ ...item, label: periodLabels.get(item.key) || item.key }));
+        const assigneeNames = new Map(rows.map(row => [row.assignee, row.assigneeName]));
+        const byAssignee = this._sumForecast(rows, row => row.assignee)
+            .map(item => ({ ...item, label: assigneeNames.get(item.key) || item.key }))
+            .sort((a, b) => b.weighted - a.weighted);
+        const cells = this._sumForecast(rows, row => `${row.period}|${row.assignee}`)
+            .map(({ key, ...totals }) => {
+                const [periodKey, assigneeKey] = key.split('|');
+                return { period: periodKey, assignee: assigneeKey, ...totals };
+            });
+        const totals = this._sumForecast(rows, () => 'all').map(({ key, ...sum }) => sum)[0] || this._emptyForecastTotals();
+
+        const forecast = {
+            period: periodType,
+            assignee: assignee || null,
+            generatedAt: new Date().toISOString(),
+            thresholds: { commit: settings.COMMIT_PROBABILITY, bestCase: settings.BEST_CASE_PROBABILITY },
+            periods: [{ key: 'overdue', label: '逾期' }, ...periods, { key: 'later', label: '更晚' }, { key: 'unscheduled', label: '未排定' }],
+            totals,
+            byPeriod,
+            byAssignee,
+            cells,
+            opportunities: rows.sort((a, b) => b.weighted - a.weighted)
+        };
+
+        const snapshot = await this.pipelineSnapshotService.getLatestSnapshot(FORECAST_SNAPSHOT_TYPE, user);
+        forecast.comparison = this._compareWithSnapshot(forecast, this._toForecastSnapshot(snapshot, periodType));
+        return forecast;
+    }
+
+    /**
+     * 儲存目前的預測為快照 (每週預測會議定案後建立，下次預測時作為比較基準)
+     * 快照保存每個進行中機會的階段、價值與機率，月 / 季預測皆以此比較
+     * @param {Object} user - 操作者
+     * @returns {Promise<object>} 快照摘要
+     */
+    async saveForecastSnapshot(user) {
+        assertCanWrite(user, 'salesAnalysis');
+        try {
+            return await this.pipelineSnapshotService.takeSnapshot(FORECAST_SNAPSHOT_TYPE, user);
+        } catch (error) {
+            console.error('[SalesAnalysisService] saveForecastSnapshot Error:', error);
+            throw error;
+        }
+    }
+
     // --- 內部輔助分析函式 ---
 
+    /**
+     * 由本期起算的預測期別
+     * @returns {Array<{key: string, label: string, start: Date, end: Date}>}
+     */
+    _buildForecastPeriods(periodType, count, now = new Date()) {
+        const monthsPerPeriod = periodType === 'quarter' ? 3 : 1;
+        const firstMonth = periodType === 'quarter' ? Math.floor(now.getMonth() / 3) * 3 : now.getMonth();
+
+        return Array.from({ length: count }, (_, i) => {
+            const start = new Date(now.getFullYear(), firstMonth + i * monthsPerPeriod, 1);
+            const end = new Date(start.getFullYear(), start.getMonth() + monthsPerPeriod, 1);
+            const year = start.getFullYear();
+            const key = periodType === 'quarter'
+                ? `${year}-Q${Math.floor(start.getMonth() / 3) + 1}`
+                : `${year}-${String(start.getMonth() + 1).padStart(2, '0')}`;
+            const label = periodType === 'quarter'
+                ? `${year} Q${Math.floor(start.getMonth() / 3) + 1}`
+                : `${year}年${start.getMonth() + 1}月`;
+            return { key, label, start, end };
+        });
+    }
+
+    _getForecastPeriodKey(dateStr, periodType, periods) {
+        if (!dateStr) return 'unscheduled';
+        const date = new Date(dateStr);
+        if (isNaN(date.getTime())) return 'unscheduled';
+        if (date < periods[0].start) return 'overdue';
+        const match = periods.find(p => date >= p.start && date < p.end);
+        return match ? match.key : 'later';
+    }
+
+    _comparePeriodKeys(a, b, periods) {
+        const order = ['overdue', ...periods.map(p => p.key), 'later', 'unscheduled'];
+        return order.indexOf(a) - order.indexOf(b);
+    }
+
+    _emptyForecastTotals() {
+        return { count: 0, pipeline: 0, committed: 0, bestCase: 0, weighted: 0 };
+    }
+
+    /**
+     * 依分組鍵加總預測指標
+     * @returns {Array<{key: string, count, pipeline, committed, bestCase, weighted}>}
+     */
+    _sumForecast(rows, keyFn) {
+        const groups = new Map();
+        rows.forEach(row => {
+            const key = keyFn(row);
+            if (!groups.has(key)) groups.set(key, { key, ...this._emptyForecastTotals() });
+            const group = groups.get(key);
+            group.count++;
+            group.pipeline += row.value;
+            group.weighted += row.weighted;
+            if (row.category === 'commit') group.committed += row.value;
+            if (row.category !== 'pipeline') group.bestCase += row.value;
+        });
+        return [...groups.values()];
+    }
+
+    /**
+     * 預測快照 (機會明細) 依快照建立當時的期別重新分組加總，轉為比較用的分組合計
+     * @returns {object|null} { id, createdAt, createdBy, cells }
+     */
+    _toForecastSnapshot(snapshot, periodType) {
+        if (!snapshot) return null;
+        const settings = this.config.FORECAST;
+        const periods = this._buildForecastPeriods(periodType, settings.PERIODS[periodType] || 6, new Date(snapshot.snapshotTime));
+        const rows = snapshot.opportunities.map(entry => ({
+            assignee: entry.assignee || '',
+            period: this._getForecastPeriodKey(entry.expectedCloseDate, periodType, periods),
+            value: entry.opportunityValue,
+            weighted: Math.round(entry.opportunityValue * entry.probability / 100),
+            category: entry.probability >= settings.COMMIT_PROBABILITY ? 'commit'
+                : (entry.probability >= settings.BEST_CASE_PROBABILITY ? 'bestCase' : 'pipeline')
+        }));
+        const cells = this._sumForecast(rows, row => `${row.period}|${row.assignee}`)
+            .map(({ key, ...totals }) => {
+                const [periodKey, assigneeKey] = key.split('|');
+                return { period: periodKey, assignee: assigneeKey, ...totals };
+            });
+        return { id: snapshot.snapshotId, createdAt: snapshot.snapshotTime, createdBy: snapshot.createdBy, cells };
+    }
+
+    /**
+     * 與快照比較：依目前的負責業務篩選重新加總快照的分組合計，回傳各指標的差額
+     * @returns {object|null} 沒有同期別類型的快照時回傳 null
+     */
+    _compareWithSnapshot(forecast, snapshot) {
+        if (!snapshot) return null;
+
+        const cells = (snapshot.cells || []).filter(cell => !forecast.assignee || cell.assignee === forecast.assignee);
+        const sumCells = (list) => list.reduce((sum, cell) => {
+            FORECAST_METRICS.forEach(metric => { sum[metric] += cell[metric] || 0; });
+            return sum;
+        }, this._emptyForecastTotals());
+        const diff = (current, previous) => Object.fromEntries(
+            FORECAST_METRICS.map(metric => [metric, (current[metric] || 0) - (previous[metric] || 0)])
+        );
+
+        const previousTotals = sumCells(cells);
+        const groupDiff = (items, field) => {
+            const keys = new Set([...items.map(i => i.key), ...cells.map(c => c[field])]);
+            return [...keys].map(key => {
+                const current = items.find(i => i.key === key) || this._emptyForecastTotals();
+                const previous = sumCells(cells.filter(c => c[field] === key));
+                return { key, previous, change: diff(current, previous) };
+            });
+        };
+
+        return {
+            snapshotId: snapshot.id,
+            createdAt: snapshot.createdAt,
+            createdBy: snapshot.createdBy,
+            previous: previousTotals,
+            change: diff(forecast.totals, previousTotals),
+            byPeriod: groupDiff(forecast.byPeriod, 'period'),
+            byAssignee: groupDiff(forecast.byAssignee, 'assignee')
+        };
+    }
+
+
+    /**
+     * 由稽核紀錄建立每個機會的階段時間軸 [{ stage, enteredAt, leftAt }]
+     * 第一段從建立時間起算，但機會建立於稽核啟用前時無法得知之前的異動，進入時間記為 null。
+     */
+    _buildStageTimelines(opportunities, auditLogs) {
+        const stageChanges = auditLogs
+            .filter(log => log.entity === 'opportunity' && log.action === 'update' && log.field === 'currentStage')
+            .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+        const auditStart = auditLogs.reduce((min, log) => {
+            const time = new Date(log.timestamp);
+            return !isNaN(time) && (!min || time < min) ? time : min;
+        }, null);
+
+        const changesById = new Map();
+        stageChanges.forEach(log => {
+            const id = String(log.entityId);
+            if (!changesById.has(id)) changesById.set(id, []);
+            changesById.get(id).push(log);
+        });
+
+        const timelines = new Map();
+        opportunities.forEach(opp => {
+            const changes = changesById.get(String(opp.opportunityId)) || [];
+            const created = opp.createdTime ? new Date(opp.createdTime) : null;
+            let stage = changes.length > 0 ? changes[0].oldValue : opp.currentStage;
+            let enteredAt = auditStart && created && !isNaN(created) && created >= auditStart ? created : null;
+
+            const segments = [];
+            changes.forEach(log => {
+                const changedAt = new Date(log.timestamp);
+                segments.push({ stage, enteredAt, leftAt: changedAt });
+                stage = log.newValue;
+                enteredAt = changedAt;
+            });
+            segments.push({ stage, enteredAt, leftAt: null });
+            timelines.set(opp.opportunityId, segments);
+        });
+        return timelines;
+    }
+
+    /**
+     * 階段漏斗：到達各進行中階段的機會數與轉換率，最後一層為成交
+     * 跳階的機會視為通過中間的階段；失敗案件記在最後到達的階段 (找出流失點)。
+     */
+    _analyzeFunnel(opportunities, timelines, outcomes, pipeline) {
+        const openStages = getOpenStages(pipeline).map(value => getStage(pipeline, value));
+        const maxOrders = new Map();
+
+        opportunities.forEach(opp => {
+            const outcome = outcomes.get(opp.opportunityId);
+            if (outcome === 'won') {
+                maxOrders.set(opp.opportunityId, Infinity);
+                return;
+            }
+            const reached = new Set([
+                ...parseStageHistory(opp.stageHistory),
+                ...(timelines.get(opp.opportunityId) || []).map(s => s.stage),
+                opp.currentStage
+            ]);
+            const orders = [...reached]
+                .map(value => getStage(pipeline, value))
+                .filter(stage => stage && stage.outcome === 'open')
+                .map(stage => stage.order);
+            if (orders.length > 0) maxOrders.set(opp.opportunityId, Math.max(...orders));
+        });
+
+        const layers = openStages.map(stage => {
+            const reached = opportunities.filter(opp => (maxOrders.get(opp.opportunityId) || 0) >= stage.order);
+            const lostHere = reached.filter(opp => outcomes.get(opp.opportunityId) === 'lost' && maxOrders.get(opp.opportunityId) === stage.order);
+            return {
+                stage: stage.value,
+                label: stage.label,
+                count: reached.length,
+                value: reached.reduce((sum, opp) => sum + this._parseValue(opp.opportunityValue), 0),
+                lost: lostHere.length
+            };
+        });
+
+        const wonDeals = opportunities.filter(opp => outcomes.get(opp.opportunityId) === 'won');
+        const wonStage = pipeline.stages.find(stage => stage.outcome === 'won');
+        layers.push({
+            stage: wonStage ? wonStage.value : 'won',
+            label: wonStage ? wonStage.label : '成交',
+            count: wonDeals.length,
+            value: wonDeals.reduce((sum, opp) => sum + this._parseValue(opp.opportunityValue), 0),
+            lost: 0
+        });
+
+        return layers.map((layer, index) => {
+            const previous = layers[index - 1];
+            return {
+                ...layer,
+                conversionRate: previous ? this._rate(layer.count, previous.count) : null,
+                overallRate: this._rate(layer.count, layers[0].count)
+            };
+        });
+    }
+
+    /**
+     * 各進行中階段的平均停留天數 (已離開的紀錄) 與目前停留中機會的平均天數
+     */
+    _analyzeStageAging(opportunities, timelines, outcomes, pipeline) {
+        const now = new Date();
+        const activeStatus = this.config.CONSTANTS.OPPORTUNITY_STATUS.ACTIVE;
+        const stats = new Map(getOpenStages(pipeline).map(value => [value, { durations: [], ages: [] }]));
+
+        opportunities.forEach(opp => {
+            const isActive = opp.currentStatus === activeStatus && outcomes.get(opp.opportunityId) === 'open';
+            (timelines.get(opp.opportunityId) || []).forEach(segment => {
+                const stat = stats.get(segment.stage);
+                if (!stat || !segment.enteredAt) return;
+                if (segment.leftAt) {
+                    stat.durations.push((segment.leftAt - segment.enteredAt) / DAY_MS);
+                } else if (isActive) {
+                    stat.ages.push((now - segment.enteredAt) / DAY_MS);
+                }
+            });
+        });
+
+        const average = (list) => (list.length ? Math.round(list.reduce((sum, d) => sum + d, 0) / list.length * 10) / 10 : null);
+        return [...stats.entries()].map(([value, stat]) => ({
+            stage: value,
+            label: getStage(pipeline, value).label,
+            avgDays: average(stat.durations),
+            medianDays: this._median(stat.durations),
+            samples: stat.durations.length,
+            currentCount: stat.ages.length,
+            currentAvgAge: average(stat.ages),
+            currentMaxAge: stat.ages.length ? Math.round(Math.max(...stat.ages)) : null
+        }));
+    }
+
+    /**
+     * 已結案機會的勝率 (成交 / (成交 + 失敗))
+     * @param {string|Function} field - DTO 欄位或分組函式
+     */
+    _analyzeWinRate(closed, outcomes, field) {
+        const keyFn = typeof field === 'function' ? field : (opp => opp[field] || '未分類');
+        const groups = new Map();
+        closed.forEach(opp => {
+            const key = keyFn(opp);
+            if (!groups.has(key)) groups.set(key, { name: key, won: 0, lost: 0, wonValue: 0 });
+            const group = groups.get(key);
+            if (outcomes.get(opp.opportunityId) === 'won') {
+                group.won++;
+                group.wonValue += this._parseValue(opp.opportunityValue);
+            } else {
+                group.lost++;
+            }
+        });
+        return [...groups.values()]
+            .map(group => ({ ...group, total: group.won + group.lost, winRate: this._rate(group.won, group.won + group.lost) }))
+            .sort((a, b) => b.total - a.total);
+    }
+
+    /**
+     * 成交週期 (建立日至成交日) 分佈
+     * 成交日優先採用稽核紀錄中進入成交階段的時間，否則沿用成交分析的預計結案日 / 最後更新日。
+     */
+    _analyzeSalesCycle(wonDeals, timelines, pipeline) {
+        const days = [];
+        wonDeals.forEach(opp => {
+            const created = opp.createdTime ? new Date(opp.createdTime) : null;
+            if (!created || isNaN(created)) return;
+            const wonSegment = (timelines.get(opp.opportunityId) || []).find(s => isWonStage(pipeline, s.stage) && s.enteredAt);
+            const closedAt = wonSegment ? wonSegment.enteredAt : new Date(opp.expectedCloseDate || opp.lastUpdateTime);
+            if (isNaN(closedAt)) return;
+            days.push(Math.max(0, Math.round((closedAt - created) / DAY_MS)));
+        });
+
+        let lower = 0;
+        const buckets = CYCLE_BUCKETS.map(bucket => {
+            const count = days.filter(d => d >= lower && d <= bucket.max).length;
+            lower = bucket.max + 1;
+            return { label: bucket.label, count };
+        });
+
+        return {
+            count: days.length,
+            avgDays: days.length ? Math.round(days.reduce((sum, d) => sum + d, 0) / days.length) : null,
+            medianDays: this._median(days),
+            buckets
+        };
+    }
+
+    _median(values) {
+        if (values.length === 0) return null;
+        const sorted = [...values].sort((a, b) => a - b);
+        const mid = Math.floor(sorted.length / 2);
+        const median = sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+        return Math.round(median * 10) / 10;
+    }
+
+    _rate(part, total) {
+        return total > 0 ? Math.round(part / total * 1000) / 10 : null;
+    }
+
+    _parseValue(value) {
+        return parseFloat(String(value || '').replace(/,/g, '')) || 0;
+    }
+
     _analyzeByDimension(deals, fieldKey, colorMap = {}) {
         const stats = {};
         deals.forEach(deal => {
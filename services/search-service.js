@@ -0,0 +1,508 @@
+/**
+ * services/search-service.js
+ * 全域搜尋 (機會案件 / 公司 / 聯絡人 / 潛在客戶 / 互動紀錄 / 事件紀錄 / 商品)
+ * * @version 1.0.0
+ * @date 2026-02-20
+ * @description
+ * 1. 記憶體內反向索引，每個類型一個分區 (詞 -> 文件與各欄位詞頻)；斷詞見 utils/search-tokenizer.js。
+ * 2. 排序：各欄位以 BM25 計分後乘上欄位權重加總，再依標題完全符合 / 開頭符合 / 包含加成，最後乘上類型權重。
+ *    查詢的每個詞都必須符合 (AND)；最後一個英數字詞以前綴比對，前綴展開的詞分數打折。
+ * 3. 保持最新：訂閱 ChangeFeedService (本實例寫入與其他實例的快取失效)，標記受影響的分區，
+ *    下次搜尋時才重建；另外超過 config.SEARCH.INDEX_TTL 的分區也會重建 (直接修改 Sheet 的資料)。
+ *    重建失敗時沿用舊索引。
+ * 4. 權限：只搜尋角色可讀取的類型，角色隱藏欄位不參與比對也不顯示於摘要。
+ *    索引只包含文字欄位 (不含金額、成本)，結果只回傳標題、副標題、摘要與導覽所需的ID。
+ */
+
+const { canRead, getHiddenFields } = require('../utils/permission-helpers');
+const { normalize, segment, tokenize, tokenizeQuery } = require('../utils/search-tokenizer');
+
+// BM25 參數
+const K1 = 1.2;
+const B = 0.75;
+
+// 前綴展開的詞 (非完整詞) 分數折扣
+const PREFIX_FACTOR = 0.8;
+
+// 標題加成 (查詢字串去除空白後與標題比較)
+const TITLE_EXACT_BOOST = 2;
+const TITLE_PREFIX_BOOST = 1.5;
+const TITLE_CONTAINS_BOOST = 1.2;
+
+const SNIPPET_BEFORE = 20;
+const SNIPPET_LENGTH = 80;
+
+// ChangeFeed 實體 -> 需要重建的分區 ('*' 為其他實例的全部快取失效)
+const CHANGE_PARTITIONS = {
+    opportunity: ['opportunity'],
+    company: ['company'],
+    contact: ['contact', 'lead'],
+    interaction: ['interaction'],
+    event: ['event'],
+    product: ['product']
+};
+
+// 副標題會顯示關聯的公司 / 機會名稱，搜尋這些類型時一併確保名稱來源的分區為最新
+const NAME_SOURCES = {
+    contact: ['company'],
+    interaction: ['opportunity', 'company'],
+    event: ['opportunity', 'company']
+};
+
+class SearchService {
+    /**
+     * @param {Object} deps
+     * @param {Object} deps.config
+     * @param {ChangeFeedService} deps.changeFeedService
+     * @param {OpportunityReader} deps.opportunityReader
+     * @param {CompanyReader} deps.companyReader
+     * @param {ContactReader} deps.contactReader - 正式聯絡人與潛在客戶 (名片)
+     * @param {InteractionReader} deps.interactionReader
+     * @param {EventLogReader} deps.eventLogReader
+     * @param {ProductReader} deps.productReader
+     */
+    constructor({
+        config, changeFeedService,
+        opportunityReader, companyReader, contactReader, interactionReader, eventLogReader, productReader
+    }) {
+        this.config = config;
+
+        const { UPGRADED } = config.CONSTANTS.CONTACT_STATUS;
+        const joinText = (...parts) => parts.filter(Boolean).join(' · ');
+
+        // type: { entity (權限), label, boost, load, id, title, subtitle, context, fields }
+        // fields 的 weight 為欄位權重，digits 為電話欄位 (另外比對純數字)
+        this.definitions = {
+            opportunity: {
+                entity: 'opportunity',
+                label: '機會案件',
+                boost: 1.2,
+                load: () => opportunityReader.getOpportunities(),
+                id: r => r.opportunityId,
+                title: r => r.opportunityName,
+                subtitle: r => joinText(r.customerCompany, r.assignee),
+                context: r => ({ opportunityId: r.opportunityId }),
+                fields: [
+                    { key: 'opportunityName', label: '機會名稱', weight: 3 },
+                    { key: 'opportunityId', label: '機會ID', weight: 2 },
+                    { key: 'customerCompany', label: '終端客戶', weight: 2 },
+                    { key: 'salesChannel', label: '銷售管道', weight: 1 },
+                    { key: 'mainContact', label: '主要聯絡人', weight: 1 },
+                    { key: 'assignee', label: '負責業務', weight: 1 },
+                    { key: 'notes', label: '備註', weight: 0.5 }
+                ]
+            },
+            company: {
+                entity: 'company',
+                label: '公司',
+                boost: 1.2,
+                load: () => companyReader.getCompanyList(),
+                id: r => r.companyId,
+                title: r => r.companyName,
+                subtitle: r => joinText(r.county, r.companyType),
+                context: r => ({ companyId: r.companyId, companyName: r.companyName }),
+                fields: [
+                    { key: 'companyName', label: '公司名稱', weight: 3 },
+                    { key: 'phone', label: '公司電話', weight: 1, digits: true },
+                    { key: 'address', label: '地址', weight: 0.5 },
+                    { key: 'introduction', label: '公司簡介', weight: 0.5 }
+                ]
+            },
+            contact: {
+                entity: 'contact',
+                label: '聯絡人',
+                boost: 1.1,
+                load: () => contactReader.getContactList(),
+                id: r => r.contactId,
+                title: r => r.name,
+                subtitle: (r, names) => joinText(names.company.get(r.companyId), r.position),
+                context: (r, names) => ({ companyId: r.companyId, companyName: names.company.get(r.companyId) || '' }),
+                fields: [
+                    { key: 'name', label: '姓名', weight: 3 },
+                    { key: 'email', label: 'Email', weight: 1.5 },
+                    { key: 'mobile', label: '手機', weight: 1.5, digits: true },
+                    { key: 'phone', label: '公司電話', weight: 1, digits: true },
+                    { key: 'department', label: '部門', weight: 0.8 },
+                    { key: 'position', label: '職稱', weight: 0.8 }
+                ]
+            },
+            lead: {
+                entity: 'contact',
+                label: '潛在客戶',
+                boost: 0.9,
+                // 已升級為正式聯絡人的名片不重複列出
+                load: async () => (await contactReader.getContacts())
+                    .filter(c => (c.name || c.company) && c.status !== UPGRADED),
+                // 尚未補發識別碼的名片以列號作為索引鍵
+                id: r => r.cardId || `row:${r.rowIndex}`,
+                title: r => r.name || r.company,
+                subtitle: r => joinText(r.company, r.position),
+                context: r => ({ cardId: r.cardId }),
+                fields: [
+                    { key: 'name', label: '姓名', weight: 3 },
+                    { key: 'company', label: '公司', weight: 2 },
+                    { key: 'email', label: 'Email', weight: 1.5 },
+                    { key: 'mobile', label: '手機', weight: 1.5, digits: true },
+                    { key: 'phone', label: '電話', weight: 1, digits: true },
+                    { key: 'department', label: '部門', weight: 0.8 },
+                    { key: 'position', label: '職稱', weight: 0.8 },
+                    { key: 'notes', label: '備註', weight: 0.5 }
+                ]
+            },
+            interaction: {
+                entity: 'interaction',
+                label: '互動紀錄',
+                boost: 0.8,
+                load: () => interactionReader.getInteractions(),
+                id: r => r.interactionId,
+                title: r => r.eventTitle || r.eventType,
+                subtitle: (r, names) => joinText(
+                    names.opportunity.get(r.opportunityId) || names.company.get(r.companyId),
+                    String(r.interactionTime || '').slice(0, 10)
+                ),
+                context: (r, names) => ({
+                    opportunityId: names.opportunity.has(r.opportunityId) ? r.opportunityId : '',
+                    companyName: names.company.get(r.companyId) || ''
+                }),
+                fields: [
+                    { key: 'eventTitle', label: '事件標題', weight: 2 },
+                    { key: 'contentSummary', label: '內容摘要', weight: 1 },
+                    { key: 'participants', label: '參與人員', weight: 1 },
+                    { key: 'nextAction', label: '下次行動', weight: 0.5 },
+                    { key: 'recorder', label: '記錄人', weight: 0.5 }
+                ]
+            },
+            event: {
+                entity: 'event',
+                label: '事件紀錄',
+                boost: 0.9,
+                load: () => eventLogReader.getEventLogs(),
+                id: r => r.eventId,
+                title: r => r.eventName,
+                subtitle: (r, names) => joinText(
+                    names.opportunity.get(r.opportunityId) || names.company.get(r.companyId),
+                    String(r.createdTime || '').slice(0, 10)
+                ),
+                context: r => ({ eventId: r.eventId }),
+                fields: [
+                    { key: 'eventName', label: '事件名稱', weight: 2.5 },
+                    { key: 'eventContent', label: '會議內容', weight: 1 },
+                    { key: 'clientParticipants', label: '客戶與會人員', weight: 1 },
+                    { key: 'ourParticipants', label: '我方與會人員', weight: 0.8 },
+                    { key: 'clientQuestions', label: '客戶提問', weight: 0.8 },
+                    { key: 'clientIntelligence', label: '客戶情報', weight: 0.8 },
+                    { key: 'iot_painPointDetails', label: '客戶痛點說明', weight: 0.8 },
+                    { key: 'visitPlace', label: '會議地點', weight: 0.5 },
+                    { key: 'eventNotes', label: '備註', weight: 0.5 }
+                ]
+            },
+            product: {
+                entity: 'product',
+                label: '商品',
+                boost: 1,
+                load: () => productReader.getAllProducts(),
+                id: r => r.id,
+                title: r => r.name,
+                subtitle: r => joinText(r.category, r.spec),
+                context: r => ({ productId: r.id }),
+                fields: [
+                    { key: 'name', label: '商品', weight: 3 },
+                    { key: 'id', label: '商品ID', weight: 2 },
+                    { key: 'spec', label: '規格', weight: 1 },
+                    { key: 'series', label: '系列', weight: 1 },
+                    { key: 'supplier', label: '供應商', weight: 1 },
+                    { key: 'category', label: '商品種類', weight: 0.8 },
+                    { key: 'description', label: '說明資料', weight: 0.5 }
+                ]
+            }
+        };
+
+        // generation 於寫入時遞增；建立索引時記錄當下的 generation，不一致即視為過期
+        this.partitions = {};
+        Object.keys(this.definitions).forEach(type => {
+            this.partitions[type] = {
+                docs: [], postings: new Map(), avgLengths: [],
+                builtAt: 0, builtGeneration: -1, generation: 0, pending: null
+            };
+        });
+
+        if (changeFeedService) {
+            changeFeedService.subscribe(change => this.invalidate(change.entity));
+        }
+    }
+
+    /**
+     * 標記分區過期 (下次搜尋時重建)
+     * @param {string} entity - ChangeFeed 實體名稱，'*' 代表全部
+     */
+    invalidate(entity) {
+        const types = entity === '*' ? Object.keys(this.partitions) : (CHANGE_PARTITIONS[entity] || []);
+        types.forEach(type => { this.partitions[type].generation++; });
+    }
+
+    /**
+     * 全域搜尋
+     * @param {string} query
+     * @param {Object} [options]
+     * @param {string[]} [options.types] - 限定類型 (預設全部可讀取的類型)
+     * @param {number} [options.limit]
+     * @param {Object} user - req.user
+     * @returns {Promise<{ query, total, counts, results }>}
+     */
+    async search(query, { types = null, limit } = {}, user) {
+        const S = this.config.SEARCH;
+        const raw = String(query || '').slice(0, S.MAX_QUERY_LENGTH);
+        const maxResults = Math.min(S.MAX_LIMIT, Math.max(1, parseInt(limit, 10) || S.DEFAULT_LIMIT));
+
+        const visibleTypes = Object.keys(this.definitions).filter(type =>
+            (!types || types.includes(type)) && canRead(user, this.definitions[type].entity)
+        );
+        const terms = tokenizeQuery(raw);
+        const empty = { query: raw.trim(), total: 0, counts: {}, results: [] };
+        if (terms.length === 0 || visibleTypes.length === 0) return empty;
+
+        const nameTypes = new Set();
+        visibleTypes.forEach(type => (NAME_SOURCES[type] || []).forEach(source => {
+            if (canRead(user, this.definitions[source].entity)) nameTypes.add(source);
+        }));
+        await Promise.all([...new Set([...visibleTypes, ...nameTypes])].map(type => this._refresh(type)));
+
+        const groups = this._expandTerms(terms, visibleTypes);
+        const idf = this._idf(groups, visibleTypes);
+        const names = this._names(nameTypes);
+        const compactQuery = normalize(raw).replace(/\s+/g, '');
+
+        const matches = [];
+        visibleTypes.forEach(type => {
+            this._scorePartition(type, groups, idf, user).forEach(({ doc, score, fields }) => {
+                const def = this.definitions[type];
+                const title = normalize(def.title(doc.record)).replace(/\s+/g, '');
+                let boost = def.boost;
+                if (title === compactQuery) boost *= TITLE_EXACT_BOOST;
+                else if (title.startsWith(compactQuery)) boost *= TITLE_PREFIX_BOOST;
+                else if (title.includes(compactQuery)) boost *= TITLE_CONTAINS_BOOST;
+                matches.push({ type, doc, fields, score: score * boost });
+            });
+        });
+
+        matches.sort((a, b) => b.score - a.score);
+
+        const counts = {};
+        matches.forEach(({ type }) => { counts[type] = (counts[type] || 0) + 1; });
+
+        return {
+            query: raw.trim(),
+            total: matches.length,
+            counts,
+            results: matches.slice(0, maxResults).map(match => this._toResult(match, raw, names))
+        };
+    }
+
+    // ==================== 索引 ====================
+
+    /**
+     * @private 分區過期時重建；同一分區同時只會有一個重建中的 Promise
+     */
+    async _refresh(type) {
+        const partition = this.partitions[type];
+        const isFresh = partition.builtAt
+            && partition.builtGeneration === partition.generation
+            && Date.now() - partition.builtAt < this.config.SEARCH.INDEX_TTL;
+        if (isFresh) return;
+
+        if (!partition.pending) {
+            partition.pending = this._build(type).finally(() => { partition.pending = null; });
+        }
+        try {
+            await partition.pending;
+        } catch (error) {
+            if (!partition.builtAt) throw error;
+            console.warn(`⚠️ [Search] ${this.definitions[type].label}索引重建失敗，沿用舊索引: ${error.message}`);
+        }
+    }
+
+    /**
+     * @private 讀取資料並建立分區的反向索引
+     */
+    async _build(type) {
+        const def = this.definitions[type];
+        const partition = this.partitions[type];
+        const generation = partition.generation;
+        const startTime = Date.now();
+
+        const records = await def.load();
+        const docs = [];
+        const postings = new Map();
+        const totalLengths = def.fields.map(() => 0);
+
+        records.forEach(record => {
+            if (!def.id(record)) return;
+
+            const lengths = [];
+            const termFields = new Map(); // 詞 -> 各欄位詞頻
+            def.fields.forEach((field, f) => {
+                const tokens = tokenize(record[field.key], { digits: field.digits });
+                lengths[f] = tokens.length;
+                totalLengths[f] += tokens.length;
+                tokens.forEach(term => {
+                    if (!termFields.has(term)) termFields.set(term, new Array(def.fields.length).fill(0));
+                    termFields.get(term)[f]++;
+                });
+            });
+            if (termFields.size === 0) return;
+
+            const docIndex = docs.push({ record, lengths }) - 1;
+            termFields.forEach((tfs, term) => {
+                if (!postings.has(term)) postings.set(term, []);
+                postings.get(term).push({ doc: docIndex, tfs });
+            });
+        });
+
+        Object.assign(partition, {
+            docs,
+            postings,
+            avgLengths: totalLengths.map(total => (docs.length ? total / docs.length : 0)),
+            builtAt: Date.now(),
+            builtGeneration: generation
+        });
+        console.log(`🔎 [Search] ${def.label}索引已建立：${docs.length} 筆，${postings.size} 個詞 (${Date.now() - startTime} ms)`);
+    }
+
+    // ==================== 計分 ====================
+
+    /**
+     * @private 每個查詢詞展開為 Map<詞, 折扣>；前綴比對的詞加入以其開頭的索引詞
+     */
+    _expandTerms(terms, types) {
+        return terms.map(({ term, prefix }) => {
+            const expansions = new Map([[term, 1]]);
+            if (!prefix) return expansions;
+
+            for (const type of types) {
+                for (const indexed of this.partitions[type].postings.keys()) {
+                    if (expansions.size > this.config.SEARCH.MAX_PREFIX_EXPANSIONS) return expansions;
+                    if (indexed !== term && indexed.startsWith(term)) expansions.set(indexed, PREFIX_FACTOR);
+                }
+            }
+            return expansions;
+        });
+    }
+
+    /**
+     * @private 以所有可搜尋類型的文件數計算 IDF (跨類型排序才有相同基準)
+     */
+    _idf(groups, types) {
+        const totalDocs = types.reduce((sum, type) => sum + this.partitions[type].docs.length, 0);
+        const idf = new Map();
+        groups.forEach(expansions => expansions.forEach((_, term) => {
+            if (idf.has(term)) return;
+            const df = types.reduce((sum, type) => sum + (this.partitions[type].postings.get(term) || []).length, 0);
+            idf.set(term, Math.log(1 + (totalDocs - df + 0.5) / (df + 0.5)));
+        }));
+        return idf;
+    }
+
+    /**
+     * @private 計算單一分區中符合所有查詢詞的文件分數
+     * @returns {Array<{ doc, score, fields: Set<number> }>}
+     */
+    _scorePartition(type, groups, idf, user) {
+        const def = this.definitions[type];
+        const partition = this.partitions[type];
+        const hidden = new Set(getHiddenFields(user, def.entity));
+
+        let candidates = null; // Map<docIndex, { score, fields }>
+        for (const expansions of groups) {
+            const groupScores = new Map();
+            expansions.forEach((factor, term) => {
+                (partition.postings.get(term) || []).forEach(({ doc, tfs }) => {
+                    let score = 0;
+                    const fields = [];
+                    tfs.forEach((tf, f) => {
+                        if (!tf || hidden.has(def.fields[f].key)) return;
+                        const norm = 1 - B + B * partition.docs[doc].lengths[f] / (partition.avgLengths[f] || 1);
+                        score += def.fields[f].weight * tf * (K1 + 1) / (tf + K1 * norm);
+                        fields.push(f);
+                    });
+                    score *= idf.get(term) * factor;
+                    // 同一查詢詞的多個展開只取最高分
+                    if (score > 0 && (!groupScores.has(doc) || groupScores.get(doc).score < score)) {
+                        groupScores.set(doc, { score, fields });
+                    }
+                });
+            });
+
+            if (candidates === null) {
+                candidates = new Map([...groupScores].map(([doc, match]) => [doc, { score: match.score, fields: new Set(match.fields) }]));
+            } else {
+                candidates.forEach((candidate, doc) => {
+                    const match = groupScores.get(doc);
+                    if (!match) {
+                        candidates.delete(doc);
+                        return;
+                    }
+                    candidate.score += match.score;
+                    match.fields.forEach(f => candidate.fields.add(f));
+                });
+            }
+            if (candidates.size === 0) return [];
+        }
+
+        return [...candidates].map(([doc, { score, fields }]) => ({ doc: partition.docs[doc], score, fields }));
+    }
+
+    // ==================== 結果 ====================
+
+    /**
+     * @private 公司 / 機會ID -> 名稱 (副標題用)；無讀取權限的類型為空
+     */
+    _names(nameTypes) {
+        const build = (type, key, value) => new Map(nameTypes.has(type)
+            ? this.partitions[type].docs.map(({ record }) => [record[key], record[value]])
+            : []);
+        return {
+            company: build('company', 'companyId', 'companyName'),
+            opportunity: build('opportunity', 'opportunityId', 'opportunityName')
+        };
+    }
+
+    _toResult({ type, doc, fields, score }, query, names) {
+        const def = this.definitions[type];
+        const record = doc.record;
+        const matchedFields = [...fields].sort((a, b) => def.fields[b].weight - def.fields[a].weight);
+
+        // 摘要取權重最高、且與標題不同的符合欄位
+        const title = def.title(record) || '';
+        const snippetField = matchedFields.map(f => def.fields[f]).find(field => record[field.key] !== title);
+
+        return {
+            type,
+            typeLabel: def.label,
+            id: def.id(record),
+            title,
+            subtitle: def.subtitle(record, names),
+            snippet: snippetField ? { label: snippetField.label, text: this._excerpt(record[snippetField.key], query) } : null,
+            matchedFields: matchedFields.map(f => def.fields[f].label),
+            score: Math.round(score * 1000) / 1000,
+            context: def.context(record, names)
+        };
+    }
+
+    /**
+     * @private 取出查詢字詞附近的片段
+     */
+    _excerpt(value, query) {
+        const text = String(value || '').replace(/\s+/g, ' ').trim();
+        const lower = text.toLowerCase();
+        const index = segment(query)
+            .map(({ text: part }) => lower.indexOf(part))
+            .filter(i => i >= 0)
+            .sort((a, b) => a - b)[0] || 0;
+
+        const start = Math.max(0, index - SNIPPET_BEFORE);
+        const end = Math.min(text.length, start + SNIPPET_LENGTH);
+        return `${start > 0 ? '…' : ''}${text.slice(start, end)}${end < text.length ? '…' : ''}`;
+    }
+}
+
+module.exports = SearchService;
@@ -1,17 +1,40 @@
 /**
  * services/service-container.js
  * 服務容器 (IoC Container)
- * * @version 7.2.0 (Phase B - SystemService Injection)
- * @date 2026-01-22
+ * * @version 7.4.0 (Phase 5 - SQL Data Sources)
+ * @date 2026-01-30
  * @description [Fix] 注入 SystemService，完成 System 模組分層。
+ * [SQL] 所有 Reader/Writer 依 config.DATA_SOURCES 逐模組切換 Sheet / SQL，Service 不需修改。
+ * [Audit] 建立 AuditLogService，並掛載於機會、公司、聯絡人、商品、事件紀錄的 Writer。
+ * [Soft Delete] 建立 RecycleBinService；稽核快照需包含回收桶中的資料 (還原 / 永久刪除)。
+ * [Cache] 依 config.CACHE 啟動快取同步後端，讓多實例部署時的快取失效互相通知。
+ * [Realtime] 建立 ChangeFeedService 並掛載於各 Writer，寫入後經 SSE 推播變更事件 (取代前端輪詢)。
+ * [Pipeline] 建立 PipelineService (銷售流程定義)，注入機會、儀表板、成交分析與工作流服務。
+ * [Snapshot] 建立 PipelineSnapshotService (每週管線快照與異動報表)，排程由 app.js 啟動。
+ * [Quota] 建立 QuotaService (業績目標與達成率)。
+ * [Quote] 建立 QuoteService (報價單版次、計價與列印)。
+ * [Task] 建立 TaskService (待辦任務、週期任務與互動下次行動轉任務)。
+ * [Automation] 建立 AutomationService (自動化規則)，掛載於機會、公司、聯絡人的 Writer；閒置排程由 app.js 啟動。
+ * [Webhook] 建立 WebhookService (對外 Webhook 訂閱)，事件來源為 ChangeFeedService；由 app.js 啟動。
+ * [Duplicates] 建立 DuplicateService (公司 / 聯絡人重複偵測與合併)；聯絡人 Writer 的刪除 (合併用) 一併掛載稽核與推播。
+ * [Weekly Draft] 建立共用的 ExternalService，並注入 WeeklyBusinessService 的週報草稿來源 (互動、事件、稽核、機會、公司)。
+ * [Card OCR] 依 config.CARD_OCR 建立名片辨識供應者與 CardIngestionService (CRM 內上傳名片)。
+ * [Import] 建立 ImportService (CSV / XLSX 批次匯入)，經由各模組 Writer 寫入，稽核 / 推播 / 自動化照常觸發。
+ * [Export] 建立 ExportService (機會 / 公司 / 事件紀錄 / 商品列表匯出)，沿用各列表的查詢 Service。
+ * [Search] 建立 SearchService (全域搜尋索引)，訂閱 ChangeFeedService 得知寫入與其他實例的快取失效。
  */
 
 const config = require('../config');
 const dateHelpers = require('../utils/date-helpers');
+const writeContext = require('../utils/write-context');
 
 // --- Import Infrastructure Services ---
 const GoogleClientService = require('./google-client-service');
 
+// --- Import Cache Infrastructure ---
+const BaseReader = require('../data/base-reader');
+const { createCacheBackend } = require('../data/cache-backends');
+
 // --- Import Readers ---
 const ContactReader = require('../data/contact-reader');
 const CompanyReader = require('../data/company-reader');
@@ -22,6 +45,13 @@ const SystemReader = require('../data/system-reader');
 const WeeklyBusinessReader = require('../data/weekly-business-reader');
 const AnnouncementReader = require('../data/announcement-reader');
 const ProductReader = require('../data/product-reader');
+const AuditLogReader = require('../data/audit-log-reader');
+const PipelineSnapshotReader = require('../data/pipeline-snapshot-reader');
+const QuoteReader = require('../data/quote-reader');
+const TaskReader = require('../data/task-reader');
+const AutomationReader = require('../data/automation-reader');
+const WebhookReader = require('../data/webhook-reader');
+const QuotaReader = require('../data/quota-reader');
 
 // --- Import Writers ---
 const ContactWriter = require('../data/contact-writer');
@@ -33,6 +63,46 @@ const SystemWriter = require('../data/system-writer');
 const WeeklyBusinessWriter = require('../data/weekly-business-writer');
 const AnnouncementWriter = require('../data/announcement-writer');
 const ProductWriter = require('../data/product-writer');
+const AuditLogWriter = require('../data/audit-log-writer');
+const PipelineSnapshotWriter = require('../data/pipeline-snapshot-writer');
+const QuoteWriter = require('../data/quote-writer');
+const TaskWriter = require('../data/task-writer');
+const AutomationWriter = require('../data/automation-writer');
+const WebhookWriter = require('../data/webhook-writer');
+const QuotaWriter = require('../data/quota-writer');
+
+// --- Import SQL Readers / Writers (DATA_SOURCES = 'SQL') ---
+const ContactSqlReader = require('../data/contact-sql-reader');
+const CompanySqlReader = require('../data/company-sql-reader');
+const OpportunitySqlReader = require('../data/opportunity-sql-reader');
+const InteractionSqlReader = require('../data/interaction-sql-reader');
+const EventLogSqlReader = require('../data/event-log-sql-reader');
+const SystemSqlReader = require('../data/system-sql-reader');
+const WeeklyBusinessSqlReader = require('../data/weekly-business-sql-reader');
+const ProductSqlReader = require('../data/product-sql-reader');
+const AuditLogSqlReader = require('../data/audit-log-sql-reader');
+const PipelineSnapshotSqlReader = require('../data/pipeline-snapshot-sql-reader');
+const QuoteSqlReader = require('../data/quote-sql-reader');
+const TaskSqlReader = require('../data/task-sql-reader');
+const AutomationSqlReader = require('../data/automation-sql-reader');
+const WebhookSqlReader = require('../data/webhook-sql-reader');
+const QuotaSqlReader = require('../data/quota-sql-reader');
+
+const ContactSqlWriter = require('../data/contact-sql-writer');
+const CompanySqlWriter = require('../data/company-sql-writer');
+const OpportunitySqlWriter = require('../data/opportunity-sql-writer');
+const InteractionSqlWriter = require('../data/interaction-sql-writer');
+const EventLogSqlWriter = require('../data/event-log-sql-writer');
+const SystemSqlWriter = require('../data/system-sql-writer');
+const WeeklyBusinessSqlWriter = require('../data/weekly-business-sql-writer');
+const ProductSqlWriter = require('../data/product-sql-writer');
+const AuditLogSqlWriter = require('../data/audit-log-sql-writer');
+const PipelineSnapshotSqlWriter = require('../data/pipeline-snapshot-sql-writer');
+const QuoteSqlWriter = require('../data/quote-sql-writer');
+const TaskSqlWriter = require('../data/task-sql-writer');
+const AutomationSqlWriter = require('../data/automation-sql-writer');
+const WebhookSqlWriter = require('../data/webhook-sql-writer');
+const QuotaSqlWriter = require('../data/quota-sql-writer');
 
 // --- Import Domain Services ---
 const AuthService = require('./auth-service');
@@ -51,6 +121,23 @@ const AnnouncementService = require('./announcement-service');
 const EventService = require('./event-service');
 // [New] Import SystemService
 const SystemService = require('./system-service');
+const AuditLogService = require('./audit-log-service');
+const RecycleBinService = require('./recycle-bin-service');
+const ChangeFeedService = require('./change-feed-service');
+const PipelineService = require('./pipeline-service');
+const PipelineSnapshotService = require('./pipeline-snapshot-service');
+const QuotaService = require('./quota-service');
+const QuoteService = require('./quote-service');
+const TaskService = require('./task-service');
+const AutomationService = require('./automation-service');
+const WebhookService = require('./webhook-service');
+const ExternalService = require('./external-service');
+const DuplicateService = require('./duplicate-service');
+const CardIngestionService = require('./card-ingestion-service');
+const { createCardOcrProvider } = require('./card-ocr-providers');
+const ImportService = require('./import-service');
+const ExportService = require('./export-service');
+const SearchService = require('./search-service');
 
 // --- Import Controllers (Class Based) ---
 const AuthController = require('../controllers/auth.controller');
@@ -62,13 +149,33 @@ const CompanyController = require('../controllers/company.controller');
 const InteractionController = require('../controllers/interaction.controller');
 const ProductController = require('../controllers/product.controller');
 const WeeklyController = require('../controllers/weekly.controller'); 
+const AuditController = require('../controllers/audit.controller');
+const RecycleBinController = require('../controllers/recycle-bin.controller');
+const RealtimeController = require('../controllers/realtime.controller');
+const QuoteController = require('../controllers/quote.controller');
+const TaskController = require('../controllers/task.controller');
+const AutomationController = require('../controllers/automation.controller');
+const WebhookController = require('../controllers/webhook.controller');
+const DuplicateController = require('../controllers/duplicate.controller');
+const ImportController = require('../controllers/import.controller');
+const ExportController = require('../controllers/export.controller');
+const SearchController = require('../controllers/search.controller');
 
 let services = null;
 
+/**
+ * 將 source 的指定方法綁定到 target (用於 AUTH / SYSTEM 資料源分離)
+ */
+function bindMethods(target, source, methods) {
+    methods.forEach(name => {
+        target[name] = source[name].bind(source);
+    });
+}
+
 async function initializeServices() {
     if (services) return services;
 
-    console.log('🚀 [System] 正在初始化 Service Container (v7.2.0 SystemService)...');
+    console.log('🚀 [System] 正在初始化 Service Container (v7.4.0 SQL Data Sources)...');
 
     try {
         // 1. Infrastructure
@@ -77,27 +184,222 @@ async function initializeServices() {
         const drive = await googleClientService.getDriveClient();
         const calendar = await googleClientService.getCalendarClient();
 
+        // [Cache] 快取同步後端 (Sheet / SQL Reader 共用同一份快取)
+        await BaseReader.useCacheBackend(createCacheBackend(config.CACHE));
+
         // 2. Readers
-        const contactReader = new ContactReader(sheets, config.IDS.CORE);
-        const companyReader = new CompanyReader(sheets, config.IDS.CORE);
-        const opportunityReader = new OpportunityReader(sheets, config.IDS.CORE);
-        const interactionReader = new InteractionReader(sheets, config.IDS.CORE);
-        const eventLogReader = new EventLogReader(sheets, config.IDS.CORE);
-        const weeklyReader = new WeeklyBusinessReader(sheets, config.IDS.CORE);
+        // [SQL] 依 config.DATA_SOURCES 逐模組切換 Sheet / SQL (Reader 與 Writer 必須同源)
+        const useSql = (domain) => config.DATA_SOURCES[domain] === 'SQL';
+
+        const contactReader = useSql('CONTACT') ? new ContactSqlReader() : new ContactReader(sheets, config.IDS.CORE);
+        const companyReader = useSql('COMPANY') ? new CompanySqlReader() : new CompanyReader(sheets, config.IDS.CORE);
+        const opportunityReader = useSql('OPPORTUNITY') ? new OpportunitySqlReader() : new OpportunityReader(sheets, config.IDS.CORE);
+        const interactionReader = useSql('INTERACTION') ? new InteractionSqlReader() : new InteractionReader(sheets, config.IDS.CORE);
+        const eventLogReader = useSql('EVENT_LOG') ? new EventLogSqlReader() : new EventLogReader(sheets, config.IDS.CORE);
+        const weeklyReader = useSql('WEEKLY') ? new WeeklyBusinessSqlReader() : new WeeklyBusinessReader(sheets, config.IDS.CORE);
         const announcementReader = new AnnouncementReader(sheets, config.IDS.CORE);
-        const systemReader = new SystemReader(sheets, config.IDS.SYSTEM);
-        const productReader = new ProductReader(sheets, config.IDS.PRODUCT);
+        const systemReader = useSql('SYSTEM') ? new SystemSqlReader() : new SystemReader(sheets, config.IDS.SYSTEM);
+        const productReader = useSql('PRODUCT') ? new ProductSqlReader() : new ProductReader(sheets, config.IDS.PRODUCT);
+        const auditLogReader = useSql('AUDIT') ? new AuditLogSqlReader() : new AuditLogReader(sheets, config.IDS.CORE);
+        const snapshotReader = useSql('SNAPSHOT') ? new PipelineSnapshotSqlReader() : new PipelineSnapshotReader(sheets, config.IDS.CORE);
+        const quoteReader = useSql('QUOTE') ? new QuoteSqlReader() : new QuoteReader(sheets, config.IDS.CORE);
+        const taskReader = useSql('TASK') ? new TaskSqlReader() : new TaskReader(sheets, config.IDS.CORE);
+        const automationReader = useSql('AUTOMATION') ? new AutomationSqlReader() : new AutomationReader(sheets, config.IDS.CORE);
+        const webhookReader = useSql('WEBHOOK') ? new WebhookSqlReader() : new WebhookReader(sheets, config.IDS.CORE);
+        const quotaReader = useSql('QUOTA') ? new QuotaSqlReader() : new QuotaReader(sheets, config.IDS.CORE);
 
         // 3. Writers
-        const contactWriter = new ContactWriter(sheets, config.IDS.CORE, contactReader);
-        const companyWriter = new CompanyWriter(sheets, config.IDS.CORE, companyReader);
-        const opportunityWriter = new OpportunityWriter(sheets, config.IDS.CORE, opportunityReader, contactReader);
-        const interactionWriter = new InteractionWriter(sheets, config.IDS.CORE, interactionReader);
-        const eventLogWriter = new EventLogWriter(sheets, config.IDS.CORE, eventLogReader);
-        const weeklyWriter = new WeeklyBusinessWriter(sheets, config.IDS.CORE, weeklyReader);
+        const contactWriter = useSql('CONTACT') ? new ContactSqlWriter(contactReader) : new ContactWriter(sheets, config.IDS.CORE, contactReader);
+        const companyWriter = useSql('COMPANY') ? new CompanySqlWriter() : new CompanyWriter(sheets, config.IDS.CORE, companyReader);
+        const opportunityWriter = useSql('OPPORTUNITY')
+            ? new OpportunitySqlWriter(opportunityReader, contactReader)
+            : new OpportunityWriter(sheets, config.IDS.CORE, opportunityReader, contactReader);
+        const interactionWriter = useSql('INTERACTION') ? new InteractionSqlWriter(interactionReader) : new InteractionWriter(sheets, config.IDS.CORE, interactionReader);
+        const eventLogWriter = useSql('EVENT_LOG') ? new EventLogSqlWriter() : new EventLogWriter(sheets, config.IDS.CORE, eventLogReader);
+        const weeklyWriter = useSql('WEEKLY') ? new WeeklyBusinessSqlWriter(weeklyReader) : new WeeklyBusinessWriter(sheets, config.IDS.CORE, weeklyReader);
         const announcementWriter = new AnnouncementWriter(sheets, config.IDS.CORE, announcementReader);
-        const systemWriter = new SystemWriter(sheets, config.IDS.SYSTEM, systemReader);
-        const productWriter = new ProductWriter(sheets, config.IDS.PRODUCT, productReader);
+        const systemWriter = useSql('SYSTEM') ? new SystemSqlWriter() : new SystemWriter(sheets, config.IDS.SYSTEM, systemReader);
+        const productWriter = useSql('PRODUCT') ? new ProductSqlWriter(productReader) : new ProductWriter(sheets, config.IDS.PRODUCT, productReader);
+        const auditLogWriter = useSql('AUDIT') ? new AuditLogSqlWriter(auditLogReader) : new AuditLogWriter(sheets, config.IDS.CORE, auditLogReader);
+        const snapshotWriter = useSql('SNAPSHOT') ? new PipelineSnapshotSqlWriter(snapshotReader) : new PipelineSnapshotWriter(sheets, config.IDS.CORE, snapshotReader);
+        const quoteWriter = useSql('QUOTE') ? new QuoteSqlWriter(quoteReader) : new QuoteWriter(sheets, config.IDS.CORE, quoteReader);
+        const taskWriter = useSql('TASK') ? new TaskSqlWriter(taskReader) : new TaskWriter(sheets, config.IDS.CORE, taskReader);
+        const automationWriter = useSql('AUTOMATION')
+            ? new AutomationSqlWriter(automationReader)
+            : new AutomationWriter(sheets, config.IDS.CORE, automationReader);
+        const webhookWriter = useSql('WEBHOOK') ? new WebhookSqlWriter(webhookReader) : new WebhookWriter(sheets, config.IDS.CORE, webhookReader);
+        const quotaWriter = useSql('QUOTA') ? new QuotaSqlWriter(quotaReader) : new QuotaWriter(sheets, config.IDS.CORE, quotaReader);
+
+        // [AUTH] 使用者名冊與系統設定共用 SystemReader/SystemWriter 介面；
+        // 當 AUTH 與 SYSTEM 資料源不同時，將使用者相關方法轉接至 AUTH 指定的資料源。
+        if (useSql('AUTH') !== useSql('SYSTEM')) {
+            const authReader = useSql('AUTH') ? new SystemSqlReader() : new SystemReader(sheets, config.IDS.SYSTEM);
+            const authWriter = useSql('AUTH') ? new SystemSqlWriter() : new SystemWriter(sheets, config.IDS.SYSTEM);
+            bindMethods(systemReader, authReader, ['getUsers', 'getTabId']);
+            bindMethods(systemWriter, authWriter, ['createUser', 'updateUserPasswordByRow', 'deleteUserByRow']);
+        }
+
+        // [Audit] 欄位層級稽核：掛載於 Writer，Service 不需修改
+        const auditLogService = new AuditLogService(auditLogReader, auditLogWriter);
+
+        // 異動前資料：同一次寫入的各掛載共用一次讀取 (見 utils/write-context.js)
+        const opportunityRecords = writeContext.shared(() => opportunityReader.getAllOpportunities());
+        const companyRecords = writeContext.shared(async () => [...await companyReader.getCompanyList(), ...await companyReader.getDeletedCompanies()]);
+        const contactRecords = writeContext.shared(() => contactReader.getContactList());
+        const productRecords = writeContext.shared(() => productReader.getAllProducts());
+        const eventLogRecords = writeContext.shared(async () => [...await eventLogReader.getEventLogs(), ...await eventLogReader.getDeletedEventLogs()]);
+
+        auditLogService.attachToWriter(opportunityWriter, {
+            entity: 'opportunity',
+            idField: 'opportunityId',
+            nameField: 'opportunityName',
+            loadRecords: opportunityRecords,
+            ignoreFields: ['stageHistory'],
+            creates: { createOpportunity: 1 },
+            updates: ['updateOpportunity'],
+            batchUpdates: ['batchUpdateOpportunities'],
+            deletes: { deleteOpportunity: 1 }
+        });
+        auditLogService.attachToWriter(companyWriter, {
+            entity: 'company',
+            idField: 'companyId',
+            nameField: 'companyName',
+            loadRecords: companyRecords,
+            creates: { createCompany: 1 },
+            updates: ['updateCompany'],
+            deletes: { deleteCompany: 1 }
+        });
+        auditLogService.attachToWriter(contactWriter, {
+            entity: 'contact',
+            idField: 'contactId',
+            nameField: 'name',
+            loadRecords: contactRecords,
+            // ContactWriter 的欄位名稱與聯絡人總表 DTO 不同
+            fieldMap: { company: 'companyId', jobTitle: 'position', phone: 'mobile', tel: 'phone' },
+            creates: { createContact: (args) => args[0] && args[0].creator },
+            updates: ['updateContactRow'],
+            deletes: { deleteContactRow: 1 }
+        });
+        auditLogService.attachToWriter(productWriter, {
+            entity: 'product',
+            idField: 'id',
+            nameField: 'name',
+            loadRecords: productRecords,
+            creates: { createProduct: 1 },
+            updates: ['updateProduct']
+        });
+        auditLogService.attachToWriter(eventLogWriter, {
+            entity: 'event',
+            idField: 'eventId',
+            nameField: 'eventName',
+            loadRecords: eventLogRecords,
+            // 定位 Key 與 EventLogService._resolveWriteKey 相同 (Sheet: 各分表 rowIndex / SQL: eventId)
+            locate: (records, key, data) => records.find(r =>
+                String(r.rowIndex || r.eventId) === String(key) && (!data.eventType || r.eventType === data.eventType)
+            ),
+            creates: { createEventLog: 1 },
+            updates: ['updateEventLog']
+        });
+
+        // [Realtime] 即時變更推播：與稽核相同掛載於 Writer (須在稽核之後，確保推播時寫入與稽核皆已完成)
+        const changeFeedService = new ChangeFeedService();
+
+        changeFeedService.attachToWriter(opportunityWriter, {
+            entity: 'opportunity',
+            idField: 'opportunityId',
+            loadRecords: opportunityRecords,
+            methods: {
+                createOpportunity: { action: 'create', user: 1 },
+                updateOpportunity: { action: 'update', user: 2 },
+                batchUpdateOpportunities: { action: 'update', batch: true },
+                deleteOpportunity: { action: 'delete', user: 1 },
+                linkContactToOpportunity: { action: 'update', idArg: true, user: 2 },
+                deleteContactLink: { action: 'update', idArg: true }
+            }
+        });
+        changeFeedService.attachToWriter(companyWriter, {
+            entity: 'company',
+            idField: 'companyId',
+            loadRecords: companyRecords,
+            methods: {
+                createCompany: { action: 'create', user: 1 },
+                updateCompany: { action: 'update', user: 2 },
+                deleteCompany: { action: 'delete', user: 1 }
+            }
+        });
+        changeFeedService.attachToWriter(contactWriter, {
+            entity: 'contact',
+            idField: 'contactId',
+            loadRecords: contactRecords,
+            methods: {
+                createContact: { action: 'create', user: (args) => args[0] && args[0].creator },
+                updateContactRow: { action: 'update', user: 2 },
+                deleteContactRow: { action: 'delete', user: 1 }
+            }
+        });
+        changeFeedService.attachToWriter(interactionWriter, {
+            entity: 'interaction',
+            idField: 'interactionId',
+            loadRecords: () => interactionReader.getInteractions(),
+            methods: {
+                createInteraction: { action: 'create', user: 1 },
+                updateInteraction: { action: 'update', idArg: true, user: 2 },
+                deleteInteraction: { action: 'delete', idArg: true, user: 1 }
+            }
+        });
+        changeFeedService.attachToWriter(eventLogWriter, {
+            entity: 'event',
+            idField: 'eventId',
+            loadRecords: eventLogRecords,
+            locate: (records, key, data) => records.find(r =>
+                String(r.rowIndex || r.eventId) === String(key) && (!data.eventType || r.eventType === data.eventType)
+            ),
+            methods: {
+                createEventLog: { action: 'create', user: 1 },
+                updateEventLog: { action: 'update', user: 2 },
+                deleteEventLog: { action: 'delete', locateData: (args) => ({ eventType: args[1] }) }
+            }
+        });
+        changeFeedService.attachToWriter(weeklyWriter, {
+            entity: 'weekly',
+            idField: 'recordId',
+            loadRecords: () => weeklyReader.getAllEntries(),
+            methods: {
+                createEntry: { action: 'create', user: 1 },
+                updateEntryRow: { action: 'update', user: 2 },
+                deleteEntryRow: { action: 'delete' }
+            }
+        });
+        changeFeedService.attachToWriter(announcementWriter, {
+            entity: 'announcement',
+            idField: 'id',
+            loadRecords: () => announcementReader.getAnnouncements(),
+            methods: {
+                createAnnouncement: { action: 'create', user: 1 },
+                updateAnnouncement: { action: 'update', user: 2 },
+                deleteAnnouncement: { action: 'delete' }
+            }
+        });
+        changeFeedService.attachToWriter(productWriter, {
+            entity: 'product',
+            idField: 'id',
+            loadRecords: productRecords,
+            methods: {
+                createProduct: { action: 'create', user: 1 },
+                updateProduct: { action: 'update', user: 2 },
+                deleteProduct: { action: 'delete' }
+            }
+        });
+        changeFeedService.attachToWriter(taskWriter, {
+            entity: 'task',
+            idField: 'taskId',
+            loadRecords: () => taskReader.getTasks(),
+            methods: {
+                createTask: { action: 'create', user: 1 },
+                updateTask: { action: 'update', user: 2 },
+                deleteTask: { action: 'delete' }
+            }
+        });
 
         // 4. Domain Services
         const calendarService = new CalendarService(calendar);
@@ -112,13 +414,18 @@ async function initializeServices() {
         // [New] System Service
         const systemService = new SystemService(systemReader, systemWriter);
 
+        // [Pipeline] 銷售流程定義 (來源：系統設定的機會階段)
+        const pipelineService = new PipelineService(systemService, config);
+        const pipelineSnapshotService = new PipelineSnapshotService(snapshotReader, snapshotWriter, opportunityReader, systemReader, pipelineService, config);
+        const quotaService = new QuotaService(opportunityReader, quotaReader, quotaWriter, systemService, pipelineService, config);
+
         const companyService = new CompanyService(
             companyReader, companyWriter, contactReader, contactWriter,
             opportunityReader, opportunityWriter, interactionReader, interactionWriter,
             eventLogReader, systemReader
         );
         
-        const contactService = new ContactService(contactReader, contactWriter, companyReader);
+        const contactService = new ContactService(contactReader, contactWriter, companyReader, config);
 
         const opportunityService = new OpportunityService({
             config, 
@@ -126,12 +433,21 @@ async function initializeServices() {
             contactReader, contactWriter,
             companyReader, companyWriter, 
             interactionReader, interactionWriter,
-            eventLogReader, systemReader
+            eventLogReader, systemReader,
+            pipelineService
         });
 
         const interactionService = new InteractionService(interactionReader, interactionWriter, opportunityReader, companyReader);
         const eventLogService = new EventLogService(eventLogReader, eventLogWriter, opportunityReader, companyReader, systemReader, calendarService);
         
+        const externalService = new ExternalService(googleClientService);
+
+        // [Card OCR] 名片上傳：辨識供應者可替換 (stub 供本地開發 / 測試)
+        const cardIngestionService = new CardIngestionService({
+            config, contactReader, contactWriter, externalService,
+            ocrProvider: createCardOcrProvider(config.CARD_OCR, { externalService })
+        });
+
         const weeklyBusinessService = new WeeklyBusinessService({
             weeklyBusinessReader: weeklyReader, 
             weeklyBusinessWriter: weeklyWriter,
@@ -139,23 +455,100 @@ async function initializeServices() {
             calendarService,
             systemReader,
             opportunityService,
-            config
+            config,
+            interactionReader,
+            eventLogReader,
+            auditLogReader,
+            opportunityReader,
+            companyReader,
+            externalService
         });
 
-        const salesAnalysisService = new SalesAnalysisService(opportunityReader, systemReader, config);
+        const salesAnalysisService = new SalesAnalysisService(opportunityReader, systemReader, config, pipelineService, pipelineSnapshotService, auditLogReader);
         const productService = new ProductService(productReader, productWriter, systemReader, systemWriter);
         
         const dashboardService = new DashboardService(
             config, opportunityReader, contactReader, interactionReader,
-            eventLogReader, systemReader, weeklyBusinessService, companyReader, calendarService
+            eventLogReader, systemReader, weeklyBusinessService, companyReader, calendarService,
+            pipelineService
         );
 
         const workflowService = new WorkflowService(
             opportunityService,
             interactionService,
-            contactService
+            contactService,
+            pipelineService,
+            companyService
         );
 
+        const quoteService = new QuoteService(quoteReader, quoteWriter, opportunityReader, opportunityService, productReader, systemService, config);
+        const taskService = new TaskService(
+            taskReader, taskWriter, interactionReader, opportunityReader, companyReader, contactReader, systemReader, config
+        );
+
+        // [Webhook] 對外 Webhook：訂閱 ChangeFeed 的寫入事件，另輪詢 LINE 新名片
+        const webhookService = new WebhookService({
+            config, webhookReader, webhookWriter, changeFeedService, contactService
+        });
+
+        // [Automation] 自動化規則：與稽核相同掛載於 Writer，寫入後非同步觸發
+        const automationService = new AutomationService({
+            config, automationReader, automationWriter,
+            opportunityReader, companyReader, contactReader, interactionReader, interactionWriter,
+            taskService, announcementService, opportunityService, webhookService
+        });
+        automationService.attachToWriter(opportunityWriter, {
+            entity: 'opportunity',
+            idField: 'opportunityId',
+            // 與稽核、推播共用讀取，排除已封存 / 已刪除 (同 getOpportunities)
+            loadRecords: async () => (await opportunityRecords()).filter(o =>
+                o.currentStatus !== config.CONSTANTS.OPPORTUNITY_STATUS.ARCHIVED && o.currentStatus !== config.CONSTANTS.OPPORTUNITY_STATUS.DELETED
+            ),
+            creates: ['createOpportunity'],
+            updates: ['updateOpportunity'],
+            batchUpdates: ['batchUpdateOpportunities']
+        });
+        automationService.attachToWriter(companyWriter, {
+            entity: 'company',
+            idField: 'companyId',
+            loadRecords: async () => (await companyRecords()).filter(c => !c.deletedTime),
+            creates: ['createCompany'],
+            updates: ['updateCompany']
+        });
+        automationService.attachToWriter(contactWriter, {
+            entity: 'contact',
+            idField: 'contactId',
+            loadRecords: contactRecords,
+            creates: ['createContact'],
+            updates: ['updateContactRow']
+        });
+
+        const recycleBinService = new RecycleBinService(opportunityService, companyService, eventLogService);
+
+        // [Duplicates] 重複資料合併：透過各模組 Writer 移轉關聯 (稽核 / 推播 / 自動化照常觸發)
+        const duplicateService = new DuplicateService({
+            config, companyReader, companyWriter, contactReader, contactWriter,
+            opportunityReader, opportunityWriter, interactionReader, interactionWriter,
+            eventLogReader, eventLogWriter, taskReader, taskWriter, auditLogService
+        });
+
+        // [Import] 批次匯入：逐筆經由 Writer 寫入，速率依 config.IMPORT
+        const importService = new ImportService({
+            config, companyReader, companyWriter, contactReader, contactWriter,
+            opportunityReader, opportunityWriter, pipelineService
+        });
+
+        // [Export] 列表匯出：沿用各列表的查詢方法與篩選
+        const exportService = new ExportService({
+            config, opportunityService, companyService, dashboardService, productService
+        });
+
+        // [Search] 全域搜尋：直接讀取 Reader 建立索引，寫入後由 ChangeFeed 標記重建
+        const searchService = new SearchService({
+            config, changeFeedService,
+            opportunityReader, companyReader, contactReader, interactionReader, eventLogReader, productReader
+        });
+
         const eventService = new EventService(
             calendarService, 
             interactionService, 
@@ -172,7 +565,7 @@ async function initializeServices() {
         const systemController = new SystemController(systemService, dashboardService);
         
         const announcementController = new AnnouncementController(announcementService);
-        const contactController = new ContactController(contactService, workflowService, contactWriter);
+        const contactController = new ContactController(contactService, workflowService, contactWriter, cardIngestionService);
         const companyController = new CompanyController(companyService);
         
         const opportunityController = new OpportunityController(
@@ -182,6 +575,17 @@ async function initializeServices() {
         const interactionController = new InteractionController(interactionService);
         const productController = new ProductController(productService);
         const weeklyController = new WeeklyController(weeklyBusinessService);
+        const auditController = new AuditController(auditLogService);
+        const recycleBinController = new RecycleBinController(recycleBinService);
+        const realtimeController = new RealtimeController(changeFeedService);
+        const quoteController = new QuoteController(quoteService);
+        const taskController = new TaskController(taskService);
+        const automationController = new AutomationController(automationService);
+        const webhookController = new WebhookController(webhookService);
+        const duplicateController = new DuplicateController(duplicateService);
+        const importController = new ImportController(importService);
+        const exportController = new ExportController(exportService);
+        const searchController = new SearchController(searchService);
 
         console.log('✅ Service Container 初始化完成');
 
@@ -195,6 +599,22 @@ async function initializeServices() {
             eventService,
             // [New] Export SystemService
             systemService,
+            auditLogService,
+            recycleBinService,
+            changeFeedService,
+            pipelineService,
+            pipelineSnapshotService,
+            quotaService,
+            quoteService,
+            taskService,
+            automationService,
+            webhookService,
+            externalService,
+            duplicateService,
+            cardIngestionService,
+            importService,
+            exportService,
+            searchService,
 
             // Controllers
             authController,
@@ -206,6 +626,17 @@ async function initializeServices() {
             interactionController,
             productController,
             weeklyController,
+            auditController,
+            recycleBinController,
+            realtimeController,
+            quoteController,
+            taskController,
+            automationController,
+            webhookController,
+            duplicateController,
+            importController,
+            exportController,
+            searchController,
 
             // Writers (Legacy compatibility)
             contactWriter,
@@ -0,0 +1,372 @@
+/**
+ * services/task-service.js
+ * 待辦任務服務
+ * * @version 1.0.0
+ * @date 2026-02-13
+ * @description 待辦任務的 CRUD，可關聯機會案件、公司或聯絡人 (關聯名稱於寫入時一併存下，方便列表顯示)。
+ * 週期性任務完成時自動建立下一次的任務；互動紀錄的「下次行動」可一鍵轉為任務 (同一筆互動只會建立一次)。
+ * 未完成任務依到期日標記逾期 / 今天 / 即將到期，供「我的任務」提醒。
+ * 依賴注入：TaskReader, TaskWriter, InteractionReader, OpportunityReader, CompanyReader, ContactReader, SystemReader, Config
+ */
+
+const { assertCanRead, assertCanWrite } = require('../utils/permission-helpers');
+
+const CREATE_ERROR_PREFIX = '無法建檔：';
+const UPDATE_ERROR_PREFIX = '無法更新：';
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+class TaskService {
+    /**
+     * @param {TaskReader} taskReader
+     * @param {TaskWriter} taskWriter
+     * @param {InteractionReader} interactionReader
+     * @param {OpportunityReader} opportunityReader
+     * @param {CompanyReader} companyReader
+     * @param {ContactReader} contactReader
+     * @param {SystemReader} systemReader
+     * @param {Object} config - 系統設定
+     */
+    constructor(taskReader, taskWriter, interactionReader, opportunityReader, companyReader, contactReader, systemReader, config) {
+        this.taskReader = taskReader;
+        this.taskWriter = taskWriter;
+        this.interactionReader = interactionReader;
+        this.opportunityReader = opportunityReader;
+        this.companyReader = companyReader;
+        this.contactReader = contactReader;
+        this.systemReader = systemReader;
+        this.config = config;
+    }
+
+    /**
+     * 查詢任務 (未完成在前，依到期日排序)
+     * @param {Object} [filters]
+     * @param {string} [filters.assignee]
+     * @param {string} [filters.status] - 'open' 表示待辦與進行中，或指定狀態值
+     * @param {string} [filters.linkType]
+     * @param {string} [filters.linkId]
+     * @param {Object} [user]
+     * @returns {Promise<Array<object>>}
+     */
+    async getTasks(filters = {}, user = null) {
+        assertCanRead(user, 'task');
+        const tasks = await this.taskReader.getTasks();
+        const today = this._formatDate(new Date());
+
+        return tasks
+            .filter(task => {
+                if (filters.assignee && task.assignee !== filters.assignee) return false;
+                if (filters.status === 'open' && !this._isOpen(task)) return false;
+                if (filters.status && filters.status !== 'open' && task.status !== filters.status) return false;
+                if (filters.linkType && task.linkType !== filters.linkType) return false;
+                if (filters.linkId && task.linkId !== filters.linkId) return false;
+                return true;
+            })
+            .map(task => this._present(task, today))
+            .sort((a, b) => this._compare(a, b));
+    }
+
+    /**
+     * 我的任務 (儀表板)：目前使用者負責的未完成任務，依到期狀態分組
+     * @param {Object} user
+     * @returns {Promise<object>} { assignee, overdue, today, upcoming, counts }
+     */
+    async getMyTasks(user) {
+        const assignee = user && (user.name || user.username);
+        const tasks = await this.getTasks({ assignee, status: 'open' }, user);
+
+        const groups = { overdue: [], today: [], upcoming: [] };
+        tasks.forEach(task => {
+            if (task.dueState === 'overdue') groups.overdue.push(task);
+            else if (task.dueState === 'today') groups.today.push(task);
+            else groups.upcoming.push(task);
+        });
+
+        return {
+            assignee,
+            ...groups,
+            counts: {
+                overdue: groups.overdue.length,
+                today: groups.today.length,
+                dueSoon: tasks.filter(t => t.dueState === 'soon').length,
+                open: tasks.length
+            }
+        };
+    }
+
+    /**
+     * 建立任務
+     * @param {Object} data - { title, description?, assignee?, dueDate?, priority?, recurrence?, linkType?, linkId? }
+     * @param {Object} user
+     */
+    async createTask(data, user) {
+        assertCanWrite(user, 'task');
+        const TASK = this.config.TASK;
+        const task = await this._normalize({
+            priority: TASK.DEFAULT_PRIORITY,
+            recurrence: 'none',
+            assignee: user && user.name,
+            ...data,
+            status: TASK.STATUS.OPEN
+        }, CREATE_ERROR_PREFIX);
+
+        const result = await this.taskWriter.createTask(task, this._modifier(user));
+        return { success: true, id: result.id };
+    }
+
+    /**
+     * 更新任務；週期性任務改為已完成時，自動建立下一次的任務
+     * @param {string} taskId
+     * @param {Object} data
+     * @param {Object} user
+     * @returns {Promise<object>} { success, nextTaskId? }
+     */
+    async updateTask(taskId, data, user) {
+        assertCanWrite(user, 'task');
+        const STATUS = this.config.TASK.STATUS;
+        const original = await this._findTask(taskId);
+
+        const allowed = ['title', 'description', 'assignee', 'dueDate', 'priority', 'status', 'recurrence', 'linkType', 'linkId'];
+        const changes = Object.fromEntries(Object.entries(data || {}).filter(([key]) => allowed.includes(key)));
+        // 關聯只改類型或只改ID 時，與原本的另一半合併驗證
+        if (changes.linkType !== undefined || changes.linkId !== undefined) {
+            changes.linkType = changes.linkType !== undefined ? changes.linkType : original.linkType;
+            changes.linkId = changes.linkId !== undefined ? changes.linkId : original.linkId;
+        }
+        const update = await this._normalize(changes, UPDATE_ERROR_PREFIX, true);
+
+        const completing = update.status === STATUS.DONE && original.status !== STATUS.DONE;
+        if (completing) update.completedTime = new Date().toISOString();
+        else if (update.status && update.status !== STATUS.DONE) update.completedTime = '';
+
+        const modifier = this._modifier(user);
+        await this.taskWriter.updateTask(original.rowIndex, update, modifier);
+
+        const merged = { ...original, ...update };
+        if (completing && merged.recurrence && merged.recurrence !== 'none') {
+            const next = await this.taskWriter.createTask({
+                title: merged.title,
+                description: merged.description,
+                assignee: merged.assignee,
+                dueDate: this._nextDueDate(merged.dueDate, merged.recurrence),
+                priority: merged.priority,
+                status: STATUS.OPEN,
+                recurrence: merged.recurrence,
+                linkType: merged.linkType,
+                linkId: merged.linkId,
+                linkName: merged.linkName
+            }, modifier);
+            return { success: true, nextTaskId: next.id };
+        }
+        return { success: true };
+    }
+
+    /**
+     * @param {string} taskId
+     * @param {Object} user
+     */
+    async deleteTask(taskId, user) {
+        assertCanWrite(user, 'task');
+        const task = await this._findTask(taskId);
+        await this.taskWriter.deleteTask(task.rowIndex);
+        return { success: true };
+    }
+
+    /**
+     * 將互動紀錄的「下次行動」轉為任務 (關聯該互動的機會或公司；已轉過時回傳既有任務)
+     * @param {string} interactionId
+     * @param {Object} [options] - { dueDate?, assignee?, priority? }
+     * @param {Object} user
+     * @returns {Promise<object>} { success, id, existing }
+     */
+    async createFromInteraction(interactionId, options = {}, user) {
+        assertCanWrite(user, 'task');
+        const interactions = await this.interactionReader.getInteractions();
+        const interaction = interactions.find(i => i.interactionId === interactionId);
+        if (!interaction) throw new Error(`找不到互動紀錄 (ID: ${interactionId})`);
+
+        const nextAction = String(interaction.nextAction || '').trim();
+        if (!nextAction) throw new Error(`${CREATE_ERROR_PREFIX}這筆互動沒有填寫下次行動`);
+
+        const tasks = await this.taskReader.getTasks();
+        const existing = tasks.find(t => t.sourceInteractionId === interactionId);
+        if (existing) return { success: true, id: existing.taskId, existing: true };
+
+        const link = interaction.opportunityId
+            ? { linkType: 'opportunity', linkId: interaction.opportunityId }
+            : (interaction.companyId ? { linkType: 'company', linkId: interaction.companyId } : {});
+        const dueDate = options.dueDate
+            || this._formatDate(this._addDays(new Date(), this.config.TASK.FROM_INTERACTION_DUE_DAYS));
+
+        const task = await this._normalize({
+            title: nextAction.length > 60 ? `${nextAction.slice(0, 60)}…` : nextAction,
+            description: nextAction.length > 60 ? nextAction : '',
+            assignee: options.assignee || (user && user.name),
+            dueDate,
+            priority: options.priority || this.config.TASK.DEFAULT_PRIORITY,
+            recurrence: 'none',
+            status: this.config.TASK.STATUS.OPEN,
+            ...link
+        }, CREATE_ERROR_PREFIX);
+        task.sourceInteractionId = interactionId;
+
+        const result = await this.taskWriter.createTask(task, this._modifier(user));
+        return { success: true, id: result.id, existing: false };
+    }
+
+    // --- 內部輔助函式 ---
+
+    async _findTask(taskId) {
+        const tasks = await this.taskReader.getTasks();
+        const task = tasks.find(t => t.taskId === taskId);
+        if (!task) throw new Error(`找不到任務 (ID: ${taskId})`);
+        return task;
+    }
+
+    /**
+     * 驗證並整理欄位；partial 為 true 時只處理有傳入的欄位
+     */
+    async _normalize(data, prefix, partial = false) {
+        const TASK = this.config.TASK;
+        const result = {};
+        const has = (key) => !partial || data[key] !== undefined;
+
+        if (has('title')) {
+            result.title = String(data.title || '').trim();
+            if (!result.title) throw new Error(`${prefix}任務標題不可空白`);
+        }
+        if (has('description')) result.description = String(data.description || '').trim();
+        if (has('dueDate')) {
+            result.dueDate = String(data.dueDate || '').slice(0, 10);
+            if (result.dueDate && !DATE_PATTERN.test(result.dueDate)) throw new Error(`${prefix}到期日格式錯誤 (YYYY-MM-DD)`);
+        }
+        if (has('priority')) {
+            result.priority = data.priority || TASK.DEFAULT_PRIORITY;
+            if (!TASK.PRIORITIES.includes(result.priority)) throw new Error(`${prefix}優先度必須是 ${TASK.PRIORITIES.join(' / ')}`);
+        }
+        if (has('status')) {
+            result.status = data.status;
+            if (!Object.values(TASK.STATUS).includes(result.status)) throw new Error(`${prefix}不支援的任務狀態：${data.status}`);
+        }
+        if (has('recurrence')) {
+            result.recurrence = data.recurrence || 'none';
+            if (!TASK.RECURRENCE[result.recurrence]) throw new Error(`${prefix}不支援的重複週期：${data.recurrence}`);
+        }
+
+        if (has('assignee')) {
+            result.assignee = String(data.assignee || '').trim();
+            const systemConfig = await this.systemReader.getSystemConfig();
+            const members = (systemConfig['團隊成員'] || []).map(m => m.value);
+            if (result.assignee && members.length > 0 && !members.includes(result.assignee)) {
+                throw new Error(`${prefix}負責人「${result.assignee}」不是團隊成員`);
+            }
+        }
+
+        if (has('linkType') || has('linkId')) {
+            const linkType = data.linkType || '';
+            const linkId = data.linkId || '';
+            if (!linkType || !linkId) {
+                Object.assign(result, { linkType: '', linkId: '', linkName: '' });
+            } else {
+                if (!TASK.LINK_TYPES[linkType]) throw new Error(`${prefix}不支援的關聯類型：${linkType}`);
+                const linkName = await this._resolveLinkName(linkType, linkId);
+                if (linkName === null) throw new Error(`${prefix}找不到關聯的${TASK.LINK_TYPES[linkType]} (ID: ${linkId})`);
+                Object.assign(result, { linkType, linkId, linkName });
+            }
+        }
+        return result;
+    }
+
+    /**
+     * @returns {Promise<string|null>} 找不到時回傳 null
+     */
+    async _resolveLinkName(linkType, linkId) {
+        if (linkType === 'opportunity') {
+            const opportunity = (await this.opportunityReader.getOpportunities()).find(o => o.opportunityId === linkId);
+            return opportunity ? opportunity.opportunityName : null;
+        }
+        if (linkType === 'company') {
+            const company = (await this.companyReader.getCompanyList()).find(c => c.companyId === linkId);
+            return company ? company.companyName : null;
+        }
+        const contact = (await this.contactReader.getContactList()).find(c => c.contactId === linkId);
+        return contact ? contact.name : null;
+    }
+
+    _isOpen(task) {
+        const STATUS = this.config.TASK.STATUS;
+        return task.status !== STATUS.DONE && task.status !== STATUS.CANCELLED;
+    }
+
+    /**
+     * 轉為前端 DTO：附上到期狀態 (overdue / today / soon / null)
+     */
+    _present(task, today) {
+        const { rowIndex, ...rest } = task;
+        let dueState = null;
+        if (this._isOpen(task) && task.dueDate) {
+            const soonLimit = this._formatDate(this._addDays(new Date(`${today}T00:00:00`), this.config.TASK.DUE_SOON_DAYS));
+            if (task.dueDate < today) dueState = 'overdue';
+            else if (task.dueDate === today) dueState = 'today';
+            else if (task.dueDate <= soonLimit) dueState = 'soon';
+        }
+        return { ...rest, recurrenceLabel: this.config.TASK.RECURRENCE[task.recurrence] || '', dueState };
+    }
+
+    /**
+     * 未完成在前；同組依到期日 (未設定者最後)、優先度排序
+     */
+    _compare(a, b) {
+        const openA = this._isOpen(a) ? 0 : 1;
+        const openB = this._isOpen(b) ? 0 : 1;
+        if (openA !== openB) return openA - openB;
+        const dueA = a.dueDate || '9999-12-31';
+        const dueB = b.dueDate || '9999-12-31';
+        if (dueA !== dueB) return dueA.localeCompare(dueB);
+        const priorities = this.config.TASK.PRIORITIES;
+        return priorities.indexOf(a.priority) - priorities.indexOf(b.priority);
+    }
+
+    /**
+     * 下一次的到期日：由原到期日 (未設定時為今天) 依週期推進，直到不早於今天
+     */
+    _nextDueDate(dueDate, recurrence) {
+        const today = this._formatDate(new Date());
+        const base = new Date(`${dueDate && DATE_PATTERN.test(dueDate) ? dueDate : today}T00:00:00`);
+        // 每次都由原到期日起算，避免月底日期被截短後逐月漂移
+        let step = 0;
+        let date;
+        do {
+            step++;
+            if (recurrence === 'daily') date = this._addDays(base, step);
+            else if (recurrence === 'weekly') date = this._addDays(base, step * 7);
+            else date = this._addMonths(base, step);
+        } while (this._formatDate(date) < today);
+        return this._formatDate(date);
+    }
+
+    _modifier(user) {
+        return (user && (user.name || user.username)) || 'System';
+    }
+
+    _addDays(date, days) {
+        const result = new Date(date);
+        result.setDate(result.getDate() + days);
+        return result;
+    }
+
+    /**
+     * 加一個月；月底日期不存在時取該月最後一天 (1/31 -> 2/28)
+     */
+    _addMonths(date, months) {
+        const result = new Date(date.getFullYear(), date.getMonth() + months, 1);
+        const lastDay = new Date(result.getFullYear(), result.getMonth() + 1, 0).getDate();
+        result.setDate(Math.min(date.getDate(), lastDay));
+        return result;
+    }
+
+    _formatDate(date) {
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    }
+}
+
+module.exports = TaskService;
@@ -0,0 +1,487 @@
+/**
+ * services/webhook-service.js
+ * 對外 Webhook 訂閱
+ * * @version 1.0.0
+ * @date 2026-02-15
+ * @description
+ * 1. 訂閱管理 (僅管理員)：名稱、網址、事件 (見 config.WEBHOOKS.EVENTS)；簽章密鑰由系統產生，可重新產生。
+ * 2. start()：訂閱 ChangeFeedService (Writer 寫入後發出)，轉為 <實體>.<動作> 事件；
+ * 沒有訂閱相關事件時不讀取任何資料。傳送內容沿用 ChangeFeed 的 detail (寫入後資料每次寫入只讀取一次)，
+ * 機會階段變更以 detail.before (異動前資料) 比對。其他實例的寫入由該實例傳送。
+ * 3. LINE 新名片由外部流程直接寫入工作表，無法由 Writer 得知，改以輪詢比對名片ID 偵測 (lead.created)。
+ * 4. 傳送：HMAC-SHA256 簽章、指數退避重試 (同 BaseReader._executeWithRetry)，每次傳送 (含失敗) 寫入傳送紀錄；
+ * 傳送在寫入完成後非同步執行，不影響原本的寫入結果。傳送紀錄可手動重新傳送 (使用訂閱目前的網址與密鑰)。
+ * 5. deliverTo()：自動化規則的「傳送 Webhook」動作指定訂閱傳送，同樣簽章、重試並寫入傳送紀錄。
+ * 依賴注入：Config, WebhookReader/Writer, ChangeFeedService, ContactService
+ */
+
+const crypto = require('crypto');
+const { assertCanRead, assertCanWrite } = require('../utils/permission-helpers');
+
+const CREATE_ERROR_PREFIX = '無法建檔：';
+const UPDATE_ERROR_PREFIX = '無法更新：';
+
+const DELIVERY_STATUS = { SUCCESS: '成功', FAILED: '失敗' };
+
+// ChangeFeed 動作 -> 事件動作 (未列出者不傳送，例如 restore)
+const ACTION_EVENTS = { create: 'created', update: 'updated', delete: 'deleted' };
+
+// 傳送 Webhook 的實體 (ChangeFeed 的其他實體不傳送)
+const WEBHOOK_ENTITIES = ['opportunity', 'company', 'contact', 'interaction'];
+
+// 可重試的 HTTP 狀態 (其餘 4xx 視為接收端拒絕，不重試)
+const isRetryableStatus = (status) => status === 429 || (status >= 500 && status < 600);
+
+class WebhookService {
+    /**
+     * @param {Object} deps
+     */
+    constructor({ config, webhookReader, webhookWriter, changeFeedService, contactService }) {
+        this.config = config;
+        this.webhookReader = webhookReader;
+        this.webhookWriter = webhookWriter;
+        this.changeFeedService = changeFeedService;
+        this.contactService = contactService;
+
+        this._unsubscribe = null;
+        this._leadTimer = null;
+        this._knownCards = null; // Set<cardId>
+    }
+
+    // --- 訂閱管理 (Subscriptions) ---
+
+    /**
+     * 訂閱編輯器所需的選項 (事件)
+     */
+    getMeta(user) {
+        assertCanRead(user, 'webhook');
+        return { events: this.config.WEBHOOKS.EVENTS };
+    }
+
+    /**
+     * @returns {Promise<Array<object>>} 訂閱 (附最後一次傳送結果；密鑰只回傳末四碼)
+     */
+    async getSubscriptions(user) {
+        assertCanRead(user, 'webhook');
+        const [subscriptions, deliveries] = await Promise.all([this._loadSubscriptions(), this.webhookReader.getDeliveries()]);
+
+        const lastDeliveries = new Map();
+        deliveries.forEach(d => {
+            const previous = lastDeliveries.get(d.webhookId);
+            if (!previous || d.deliveredTime > previous.deliveredTime) lastDeliveries.set(d.webhookId, d);
+        });
+
+        return subscriptions.map(({ rowIndex, secret, ...subscription }) => {
+            const last = lastDeliveries.get(subscription.webhookId);
+            return {
+                ...subscription,
+                secretHint: secret ? `…${secret.slice(-4)}` : '',
+                lastDelivery: last ? { status: last.status, event: last.event, deliveredTime: last.deliveredTime } : null
+            };
+        });
+    }
+
+    /**
+     * @returns {Promise<object>} { success, id, secret } - 密鑰只在建立與重新產生時回傳
+     */
+    async createSubscription(data, user) {
+        assertCanWrite(user, 'webhook');
+        const subscription = this._normalizeSubscription(data, CREATE_ERROR_PREFIX);
+        const secret = this._generateSecret();
+        const result = await this.webhookWriter.createSubscription(
+            { ...this._serialize(subscription), secret },
+            this._userName(user)
+        );
+        return { success: true, id: result.id, secret };
+    }
+
+    /**
+     * @param {Object} data - 可含 regenerateSecret: true 以重新產生簽章密鑰
+     */
+    async updateSubscription(webhookId, data, user) {
+        assertCanWrite(user, 'webhook');
+        const original = await this._findSubscription(webhookId);
+        const subscription = this._normalizeSubscription({ ...original, ...data }, UPDATE_ERROR_PREFIX);
+        const changes = this._serialize(subscription);
+        if (data.regenerateSecret) changes.secret = this._generateSecret();
+
+        await this.webhookWriter.updateSubscription(original.rowIndex, changes, this._userName(user));
+        return changes.secret ? { success: true, secret: changes.secret } : { success: true };
+    }
+
+    async deleteSubscription(webhookId, user) {
+        assertCanWrite(user, 'webhook');
+        const subscription = await this._findSubscription(webhookId);
+        await this.webhookWriter.deleteSubscription(subscription.rowIndex);
+        return { success: true };
+    }
+
+    /**
+     * 傳送紀錄 (新 -> 舊)
+     * @param {Object} [filters] - { webhookId, status, limit }
+     */
+    async getDeliveries(filters = {}, user) {
+        assertCanRead(user, 'webhook');
+        const limit = Math.min(parseInt(filters.limit, 10) || 100, 500);
+        const deliveries = await this.webhookReader.getDeliveries();
+        return deliveries
+            .filter(d => !filters.webhookId || d.webhookId === filters.webhookId)
+            .filter(d => !filters.status || d.status === filters.status)
+            .sort((a, b) => String(b.deliveredTime).localeCompare(String(a.deliveredTime)))
+            .slice(0, limit)
+            .map(({ rowIndex, payload, ...delivery }) => ({ ...delivery, payload: this._parseJson(payload, null) }));
+    }
+
+    /**
+     * 以原本的內容重新傳送 (送往訂閱目前的網址，並新增一筆傳送紀錄)
+     * @returns {Promise<object>} 新的傳送結果
+     */
+    async redeliver(deliveryId, user) {
+        assertCanWrite(user, 'webhook');
+        const deliveries = await this.webhookReader.getDeliveries();
+        const original = deliveries.find(d => d.deliveryId === deliveryId);
+        if (!original) throw new Error(`找不到傳送紀錄 (ID: ${deliveryId})`);
+
+        const payload = this._parseJson(original.payload, null);
+        if (!payload) throw new Error(`無法重新傳送：傳送紀錄 ${deliveryId} 的內容無法解析`);
+        const subscription = await this._findSubscription(original.webhookId);
+
+        return this._deliver(subscription, payload, original.entityId, deliveryId);
+    }
+
+    /**
+     * 直接傳送至指定訂閱 (自動化規則的「傳送 Webhook」動作)：與事件傳送相同簽章、重試並寫入傳送紀錄。
+     * 不受訂閱的事件清單限制，訂閱停用時不傳送。
+     * @param {string} webhookId
+     * @param {Object} message - { event, entity, entityId, actor, data, ...其他欄位 (原樣放入傳送內容) }
+     * @returns {Promise<object>} 傳送紀錄 (重試後仍失敗時拋出錯誤)
+     */
+    async deliverTo(webhookId, { event, entity, entityId, actor, data, ...extra }) {
+        const subscription = await this._findSubscription(webhookId);
+        if (!this._isActive(subscription)) throw new Error(`Webhook 訂閱「${subscription.name}」已停用`);
+
+        const payload = { ...this._buildPayload(event, entity, entityId, actor, this._stripInternal(data)), ...extra };
+        const delivery = await this._deliver(subscription, payload, entityId);
+        if (delivery.status !== DELIVERY_STATUS.SUCCESS) {
+            throw new Error(`Webhook 傳送失敗 (${delivery.deliveryId})：${delivery.error}`);
+        }
+        return delivery;
+    }
+
+    // --- 事件來源 (Event Sources) ---
+
+    /**
+     * 開始接收資料異動並輪詢 LINE 新名片 (config.WEBHOOKS)
+     */
+    start() {
+        const settings = this.config.WEBHOOKS;
+        if (!settings.ENABLED || this._unsubscribe) return;
+
+        this._unsubscribe = this.changeFeedService.subscribe((change, detail) => this._onChange(change, detail));
+
+        if (settings.LEAD_POLL_ENABLED) {
+            this._leadTimer = setInterval(() => this._pollLeads(), settings.LEAD_POLL_INTERVAL);
+            if (this._leadTimer.unref) this._leadTimer.unref();
+            this._pollLeads();
+        }
+        console.log('🔗 [Webhook] 對外 Webhook 已啟動');
+    }
+
+    stop() {
+        if (this._unsubscribe) this._unsubscribe();
+        if (this._leadTimer) clearInterval(this._leadTimer);
+        this._unsubscribe = null;
+        this._leadTimer = null;
+    }
+
+    /**
+     * @private ChangeFeed 監聽器 (同步呼叫，實際處理延後執行)
+     * @param {Object} change - { entity, id, action, user, remote }
+     * @param {Object} detail - { before, getRecord } (見 ChangeFeedService.publish)
+     */
+    _onChange(change, detail) {
+        // 其他實例的寫入由該實例傳送
+        if (change.remote) return;
+
+        const action = ACTION_EVENTS[change.action];
+        if (!action || !change.id || !WEBHOOK_ENTITIES.includes(change.entity)) return;
+
+        this._defer(async () => {
+            const events = [`${change.entity}.${action}`];
+            if (change.entity === 'opportunity' && action === 'updated') events.push('opportunity.stage_changed');
+
+            // 沒有訂閱時不讀取資料
+            if ((await this._subscriptionsFor(events)).length === 0) return;
+
+            const before = detail.before || null;
+            const record = (await detail.getRecord()) || (action === 'deleted' ? before : null);
+            const extra = {};
+
+            const stageChanged = before && record && (before.currentStage || '') !== (record.currentStage || '');
+            if (events.includes('opportunity.stage_changed')) {
+                if (stageChanged) extra.previousStage = before.currentStage || '';
+                else events.pop();
+            }
+            return this._dispatch(events, change, record, extra);
+        });
+    }
+
+    /**
+     * 比對名片ID，將新出現的名片以 lead.created 傳送 (第一次執行只記錄現有名片)
+     * @returns {Promise<number>} 新名片數
+     */
+    async _pollLeads() {
+        try {
+            // 經由 ContactService 取得，外部流程寫入的新名片會先補發識別碼
+            const cards = (await this.contactService.getCards()).filter(c => c.name || c.company);
+            if (!this._knownCards) {
+                this._knownCards = new Set(cards.map(c => c.cardId));
+                return 0;
+            }
+
+            const newCards = cards.filter(c => !this._knownCards.has(c.cardId));
+            newCards.forEach(c => this._knownCards.add(c.cardId));
+            if (newCards.length === 0) return 0;
+
+            const subscriptions = await this._subscriptionsFor(['lead.created']);
+            for (const card of newCards) {
+                if (subscriptions.length === 0) break;
+                const { rowIndex, ...data } = card;
+                await this._dispatch(['lead.created'], { entity: 'lead', id: card.cardId, user: data.userNickname || 'LINE' }, data, {});
+            }
+            return newCards.length;
+        } catch (error) {
+            console.warn(`⚠️ [Webhook] LINE 名片輪詢失敗: ${error.message}`);
+            return 0;
+        }
+    }
+
+    // --- 傳送 (Delivery) ---
+
+    /**
+     * @private 將事件送往所有訂閱該事件的 Webhook
+     * @param {Array<string>} events - 同一次異動產生的事件 (例如 opportunity.updated + opportunity.stage_changed)
+     * @param {Object} change - { entity, id, user }
+     * @param {Object|null} record - 異動後的資料 (找不到時只送ID)
+     * @param {Object} extra - { previousStage }
+     */
+    async _dispatch(events, change, record, extra) {
+        const subscriptions = await this._subscriptionsFor(events);
+        if (subscriptions.length === 0) return;
+        const data = record ? this._stripInternal(record) : { id: change.id };
+
+        for (const event of events) {
+            const payload = this._buildPayload(event, change.entity, change.id, change.user, data);
+            if (event === 'opportunity.stage_changed') {
+                payload.previousStage = extra.previousStage;
+                payload.currentStage = data.currentStage;
+            }
+
+            for (const subscription of subscriptions.filter(s => s.events.includes(event))) {
+                await this._deliver(subscription, payload, change.id);
+            }
+        }
+    }
+
+    _buildPayload(event, entity, entityId, actor, data) {
+        return {
+            id: `EVT${Date.now()}${crypto.randomBytes(3).toString('hex')}`,
+            event,
+            entity,
+            entityId,
+            actor: actor || null,
+            timestamp: new Date().toISOString(),
+            data
+        };
+    }
+
+    /**
+     * @private 傳送一次 (含重試) 並寫入傳送紀錄
+     * @returns {Promise<object>} 傳送紀錄
+     */
+    async _deliver(subscription, payload, entityId, redeliveryOf = '') {
+        const deliveryId = `WD${Date.now()}${Math.floor(Math.random() * 1000)}`;
+        const outcome = await this._sendWithRetry(subscription, payload, deliveryId);
+
+        const entry = {
+            deliveryId,
+            webhookId: subscription.webhookId,
+            event: payload.event,
+            entityId: entityId || '',
+            payload: JSON.stringify(payload),
+            status: outcome.ok ? DELIVERY_STATUS.SUCCESS : DELIVERY_STATUS.FAILED,
+            attempts: outcome.attempts,
+            responseStatus: outcome.status || '',
+            error: outcome.error || '',
+            deliveredTime: new Date().toISOString(),
+            redeliveryOf
+        };
+        if (!outcome.ok) console.warn(`⚠️ [Webhook] ${subscription.name} ${payload.event} 傳送失敗: ${outcome.error}`);
+
+        try {
+            await this.webhookWriter.appendDeliveries([entry]);
+        } catch (error) {
+            console.warn(`⚠️ [Webhook] 寫入傳送紀錄失敗: ${error.message}`);
+        }
+        return { ...entry, payload };
+    }
+
+    /**
+     * @private 連線失敗、逾時、HTTP 429 / 5xx 時依指數退避重試
+     * @returns {Promise<object>} { ok, status, attempts, error }
+     */
+    async _sendWithRetry(subscription, payload, deliveryId) {
+        const { MAX_RETRIES, RETRY_BASE_DELAY } = this.config.WEBHOOKS;
+        let attempt = 0;
+
+        while (true) {
+            attempt++;
+            let status = null;
+            let error = null;
+            try {
+                const response = await this._send(subscription, payload, deliveryId);
+                status = response.status;
+                if (response.ok) return { ok: true, status, attempts: attempt };
+                error = `HTTP ${status}`;
+            } catch (err) {
+                error = err.name === 'TimeoutError' ? '連線逾時' : err.message;
+            }
+
+            const retryable = status === null || isRetryableStatus(status);
+            if (!retryable || attempt > MAX_RETRIES) {
+                return { ok: false, status, attempts: attempt, error };
+            }
+
+            const delay = Math.pow(2, attempt - 1) * RETRY_BASE_DELAY + Math.random() * 500;
+            console.warn(`⚠️ [Webhook] 傳送失敗，自動重試 (${attempt}/${MAX_RETRIES}) - 等待 ${Math.round(delay)}ms... 原因: ${error}`);
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+    }
+
+    /**
+     * @private 簽章內容為 `${timestamp}.${body}`，接收端以相同密鑰驗證 X-CRM-Signature
+     */
+    async _send(subscription, payload, deliveryId) {
+        const body = JSON.stringify(payload);
+        const timestamp = Math.floor(Date.now() / 1000).toString();
+        const signature = crypto.createHmac('sha256', subscription.secret).update(`${timestamp}.${body}`).digest('hex');
+
+        return fetch(subscription.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'TFC-CRM-Webhook/1.0',
+                'X-CRM-Event': payload.event,
+                'X-CRM-Delivery': deliveryId,
+                'X-CRM-Timestamp': timestamp,
+                'X-CRM-Signature': `sha256=${signature}`
+            },
+            body,
+            signal: AbortSignal.timeout(this.config.WEBHOOKS.TIMEOUT)
+        });
+    }
+
+    // --- 驗證 (Validation) ---
+
+    _normalizeSubscription(data, prefix) {
+        const { EVENTS } = this.config.WEBHOOKS;
+
+        const name = String(data.name || '').trim();
+        if (!name) throw new Error(`${prefix}名稱不可空白`);
+
+        const url = String(data.url || '').trim();
+        if (!/^https?:\/\/\S+$/i.test(url)) throw new Error(`${prefix}Webhook 網址格式錯誤`);
+
+        const events = [...new Set(Array.isArray(data.events) ? data.events : [])];
+        if (events.length === 0) throw new Error(`${prefix}至少需要訂閱一個事件`);
+        const unknown = events.find(e => !EVENTS[e]);
+        if (unknown) throw new Error(`${prefix}不支援的事件：${unknown}`);
+
+        return {
+            name,
+            url,
+            events,
+            enabled: data.enabled !== false && data.enabled !== 'false'
+        };
+    }
+
+    // --- 內部輔助函式 ---
+
+    /**
+     * @private 讀取並解析訂閱 (事件欄位解析失敗的訂閱視為停用)
+     */
+    async _loadSubscriptions() {
+        const rows = await this.webhookReader.getSubscriptions();
+        return rows.map(row => {
+            const events = this._parseJson(row.events, null);
+            return {
+                ...row,
+                enabled: (row.enabled === true || String(row.enabled).toUpperCase() === 'TRUE') && Array.isArray(events),
+                events: events || []
+            };
+        });
+    }
+
+    async _subscriptionsFor(events) {
+        try {
+            const subscriptions = await this._loadSubscriptions();
+            return subscriptions.filter(s => this._isActive(s) && s.events.some(e => events.includes(e)));
+        } catch (error) {
+            console.warn(`⚠️ [Webhook] 無法讀取 Webhook 訂閱: ${error.message}`);
+            return [];
+        }
+    }
+
+    _isActive(subscription) {
+        return subscription.enabled && !!subscription.secret;
+    }
+
+    async _findSubscription(webhookId) {
+        const subscriptions = await this._loadSubscriptions();
+        const subscription = subscriptions.find(s => s.webhookId === webhookId);
+        if (!subscription) throw new Error(`找不到 Webhook 訂閱 (ID: ${webhookId})`);
+        return subscription;
+    }
+
+    _serialize(subscription) {
+        return {
+            name: subscription.name,
+            url: subscription.url,
+            events: JSON.stringify(subscription.events),
+            enabled: subscription.enabled ? 'TRUE' : 'FALSE'
+        };
+    }
+
+    _stripInternal(record) {
+        const { rowIndex, ...data } = record;
+        return data;
+    }
+
+    /**
+     * @private 寫入後才執行，不延遲原本的回應；錯誤只記錄警告
+     */
+    _defer(task) {
+        setImmediate(() => {
+            task().catch(error => console.warn(`⚠️ [Webhook] 事件處理失敗: ${error.message}`));
+        });
+    }
+
+    _generateSecret() {
+        return crypto.randomBytes(24).toString('hex');
+    }
+
+    _userName(user) {
+        return (user && (user.name || user.username)) || 'System';
+    }
+
+    _parseJson(text, fallback) {
+        if (text && typeof text === 'object') return text;
+        try {
+            return text ? JSON.parse(text) : fallback;
+        } catch (error) {
+            return fallback;
+        }
+    }
+}
+
+module.exports = WebhookService;
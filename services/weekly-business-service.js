@@ -8,8 +8,16 @@
  * [Final Polish]
  * 1. deleteWeeklyBusinessEntry 介面修正 (移除 rowIndex 參數)。
  * 2. getEntriesForWeek 增加明確的 View-only 欄位標記。
+ * 3. [Permissions] 建立 / 更新 / 刪除需具 weekly 寫入權限 (user 由 Controller 傳入)。
+ * 4. [Draft] draftWeek 彙整一週的互動、事件紀錄、階段異動與日曆行程為草稿 (不寫入)，可選擇以 AI 濃縮重點摘要。
+ *    草稿只讀取資料，需具 weekly 讀取權限；無稽核紀錄的機會改由階段歷程推得階段異動。
  */
 
+const { assertCanRead, assertCanWrite } = require('../utils/permission-helpers');
+const { parseStageHistory } = require('../utils/pipeline-helpers');
+
+const CREATE_ERROR_PREFIX = '無法建檔：';
+
 class WeeklyBusinessService {
     /**
      * 透過 Service Container 注入依賴
@@ -21,7 +29,13 @@ class WeeklyBusinessService {
         calendarService, 
         systemReader,
         opportunityService, 
-        config 
+        config,
+        interactionReader,
+        eventLogReader,
+        auditLogReader,
+        opportunityReader,
+        companyReader,
+        externalService
     }) {
         this.weeklyBusinessReader = weeklyBusinessReader;
         this.weeklyBusinessWriter = weeklyBusinessWriter;
@@ -30,6 +44,13 @@ class WeeklyBusinessService {
         this.systemReader = systemReader;
         this.opportunityService = opportunityService;
         this.config = config;
+        // [Draft] 草稿來源
+        this.interactionReader = interactionReader;
+        this.eventLogReader = eventLogReader;
+        this.auditLogReader = auditLogReader;
+        this.opportunityReader = opportunityReader;
+        this.companyReader = companyReader;
+        this.externalService = externalService;
     }
 
     /**
@@ -144,7 +165,26 @@ class WeeklyBusinessService {
         const weekInfo = this.dateHelpers.getWeekInfo(weekId);
         
         let entriesForWeek = await this.getEntriesForWeek(weekId);
-        
+        const { holidays, dxEventsByDay, atEventsByDay } = await this._getCalendarForWeek(weekInfo);
+
+        weekInfo.days.forEach(day => {
+            if (holidays.has(day.date)) day.holidayName = holidays.get(day.date);
+            day.dxCalendarEvents = dxEventsByDay[day.date] || [];
+            day.atCalendarEvents = atEventsByDay[day.date] || [];
+        });
+
+        return {
+            id: weekId,
+            ...weekInfo, 
+            entries: entriesForWeek 
+        };
+    }
+
+    /**
+     * @private 讀取該週假日與日曆行程 (DX / AT 依「日曆篩選規則」關鍵字分流)，依日期分組
+     * @returns {Promise<object>} { holidays: Map, dxEventsByDay, atEventsByDay }
+     */
+    async _getCalendarForWeek(weekInfo) {
         // 日曆與系統設定讀取
         const firstDay = new Date(weekInfo.days[0].date + 'T00:00:00'); 
         const lastDay = new Date(weekInfo.days[weekInfo.days.length - 1].date + 'T00:00:00'); 
@@ -230,17 +270,7 @@ class WeeklyBusinessService {
         const dxEventsByDay = organizeEventsByDay(finalDxList);
         const atEventsByDay = organizeEventsByDay(finalAtList);
 
-        weekInfo.days.forEach(day => {
-            if (holidays.has(day.date)) day.holidayName = holidays.get(day.date);
-            day.dxCalendarEvents = dxEventsByDay[day.date] || [];
-            day.atCalendarEvents = atEventsByDay[day.date] || [];
-        });
-
-        return {
-            id: weekId,
-            ...weekInfo, 
-            entries: entriesForWeek 
-        };
+        return { holidays, dxEventsByDay, atEventsByDay };
     }
 
     /**
@@ -269,8 +299,11 @@ class WeeklyBusinessService {
 
     /**
      * 建立週報
+     * @param {Object} data
+     * @param {Object} [user] - 操作者
      */
-    async createWeeklyBusinessEntry(data) {
+    async createWeeklyBusinessEntry(data, user = null) {
+        assertCanWrite(user, 'weekly');
         const entryDate = new Date(data.date || new Date());
         const weekId = this.dateHelpers.getWeekId(entryDate);
         
@@ -286,8 +319,12 @@ class WeeklyBusinessService {
     /**
      * 更新週報
      * [Flow Control] Lookup ID via Service -> Pure Write
+     * @param {string} recordId
+     * @param {Object} data
+     * @param {Object} [user] - 操作者
      */
-    async updateWeeklyBusinessEntry(recordId, data) {
+    async updateWeeklyBusinessEntry(recordId, data, user = null) {
+        assertCanWrite(user, 'weekly');
         try {
             // 1. Service Lookup (Simulate SQL Where)
             const allEntries = await this.weeklyBusinessReader.getAllEntries();
@@ -310,8 +347,11 @@ class WeeklyBusinessService {
      * 刪除週報
      * [Fix 1] 移除 rowIndex 參數，改由 Service 內部查找
      * [Flow Control] Lookup ID via Service -> Pure Write
+     * @param {string} recordId
+     * @param {Object} [user] - 操作者
      */
-    async deleteWeeklyBusinessEntry(recordId) {
+    async deleteWeeklyBusinessEntry(recordId, user = null) {
+        assertCanWrite(user, 'weekly');
         try {
             // 1. Service Lookup
             const allEntries = await this.weeklyBusinessReader.getAllEntries();
@@ -328,6 +368,243 @@ class WeeklyBusinessService {
             throw error;
         }
     }
+
+    // --- 週報草稿 (Draft) ---
+
+    /**
+     * 依機會種類判斷週間業務分類 (與 EventService 建立會議時的分類相同)
+     * @param {Object|null} opportunity
+     * @returns {string}
+     */
+    getCategoryForOpportunity(opportunity) {
+        const settings = this.config.WEEKLY_DRAFT;
+        const type = String((opportunity && opportunity.opportunityType) || '').toLowerCase();
+        return settings.IOT_KEYWORDS.some(kw => type.includes(kw)) ? 'IoT' : settings.DEFAULT_CATEGORY;
+    }
+
+    /**
+     * 草擬一週的週間業務紀錄 (不寫入；前端確認、修改後再逐筆建立)
+     * 每個「日期 + 分類」產生一筆草稿；週六、週日的活動併入週五 (週報頁只顯示週一 ~ 週五)。
+     * 日曆行程為團隊共用日曆，不依成員篩選。
+     * 階段異動以稽核紀錄為準；沒有稽核紀錄的機會 (如稽核功能上線前的資料) 改讀階段歷程，
+     * 歷程沒有時間，故以機會最後更新時間作為最近一次階段異動的日期。
+     * @param {string} weekId - 週次 ID (e.g., "2026-W03")
+     * @param {Object} [options]
+     * @param {string} [options.member] - 團隊成員名稱，留白為全部成員
+     * @param {string} [options.category] - 週間業務分類，留白為全部分類
+     * @param {boolean} [options.summarize] - 以 AI 將活動濃縮為重點摘要 (失敗時保留原始條列)
+     * @param {Object} [user] - 操作者
+     * @returns {Promise<object>} { weekId, title, dateRange, member, category, drafts, summarized, aiError }
+     */
+    async draftWeek(weekId, options = {}, user = null) {
+        assertCanRead(user, 'weekly');
+        if (!/^\d{4}-W\d{2}$/.test(String(weekId || ''))) {
+            throw new Error(`${CREATE_ERROR_PREFIX}週次格式錯誤 (${weekId})`);
+        }
+
+        const settings = this.config.WEEKLY_DRAFT;
+        const weekInfo = this.dateHelpers.getWeekInfo(weekId);
+        const member = String(options.member || '').trim();
+
+        const [interactions, eventLogs, auditLogs, opportunities, companies, systemConfig, entries, calendar] = await Promise.all([
+            this.interactionReader.getInteractions(),
+            this.eventLogReader.getEventLogs(),
+            this.auditLogReader.getAuditLogs().catch(() => []),
+            this.opportunityReader.getOpportunities(),
+            this.companyReader.getCompanyList(),
+            this.systemReader.getSystemConfig(),
+            this.getEntriesForWeek(weekId),
+            this._getCalendarForWeek(weekInfo).catch(error => {
+                console.warn(`[WeeklyService] draftWeek 無法讀取日曆: ${error.message}`);
+                return { dxEventsByDay: {}, atEventsByDay: {} };
+            })
+        ]);
+
+        const themes = (systemConfig['週間業務主題'] || [{ value: 'IoT' }, { value: 'DT' }]).map(t => t.value);
+        const category = String(options.category || '').trim();
+        if (category && !themes.includes(category)) {
+            throw new Error(`${CREATE_ERROR_PREFIX}不支援的分類：${category}`);
+        }
+
+        const opportunityMap = new Map(opportunities.map(o => [o.opportunityId, o]));
+        const companyMap = new Map(companies.map(c => [c.companyId, c]));
+        const stageLabels = new Map((systemConfig['機會階段'] || []).map(s => [s.value, s.note || s.value]));
+        const isMember = (...names) => !member || names.some(name => String(name || '').split(',').map(n => n.trim()).includes(member));
+
+        // 日期 -> 草稿日 (週末併入週五)；不在本週的活動回傳 null
+        const weekdays = weekInfo.days.filter(d => d.dayIndex <= 5);
+        const dayByDate = new Map(weekInfo.days.map(d => [d.date, d.dayIndex <= 5 ? d : weekdays[weekdays.length - 1]]));
+        const toDay = (value) => {
+            const date = this._toDateKey(value);
+            return date ? dayByDate.get(date) || null : null;
+        };
+
+        const buckets = new Map();
+        const add = (value, rawCategory, item) => {
+            const day = toDay(value);
+            if (!day) return;
+            const resolved = themes.includes(rawCategory) ? rawCategory : themes[0];
+            if (category && resolved !== category) return;
+
+            const key = `${day.date}|${resolved}`;
+            if (!buckets.has(key)) {
+                buckets.set(key, {
+                    date: day.date, category: resolved, lines: [], todos: [],
+                    names: new Set(), people: new Set(),
+                    sources: { interactions: 0, events: 0, stageChanges: 0, calendar: 0 }
+                });
+            }
+            const bucket = buckets.get(key);
+            const weekdayNote = this._toDateKey(value) !== day.date ? `(${this._toDateKey(value).slice(5)}) ` : '';
+            bucket.lines.push(`${item.prefix}${weekdayNote}${item.line}`);
+            if (item.todo) bucket.todos.push(item.todo);
+            if (item.name) bucket.names.add(item.name);
+            if (item.person) bucket.people.add(item.person);
+            bucket.sources[item.source]++;
+        };
+
+        const subjectName = (opportunityId, companyId) => {
+            const opp = opportunityMap.get(opportunityId);
+            if (opp) return opp.customerCompany || opp.opportunityName;
+            const company = companyMap.get(companyId);
+            return company ? company.companyName : '';
+        };
+
+        // 1. 互動紀錄
+        interactions
+            .filter(i => !settings.EXCLUDED_INTERACTION_TYPES.includes(i.eventType))
+            .filter(i => isMember(i.recorder, i.participants))
+            .forEach(i => {
+                const name = subjectName(i.opportunityId, i.companyId);
+                const snippet = this._snippet(i.contentSummary, settings.SNIPPET_LENGTH);
+                add(i.interactionTime || i.createdTime, this.getCategoryForOpportunity(opportunityMap.get(i.opportunityId)), {
+                    source: 'interactions',
+                    prefix: '【互動】',
+                    line: `${name ? `${name}：` : ''}${i.eventTitle || i.eventType}${snippet ? `－${snippet}` : ''}`,
+                    todo: i.nextAction ? `${name ? `${name}：` : ''}${i.nextAction}` : '',
+                    name,
+                    person: i.recorder
+                });
+            });
+
+        // 2. 新增的事件紀錄
+        eventLogs
+            .filter(e => isMember(e.creator, e.ourParticipants))
+            .forEach(e => {
+                const name = subjectName(e.opportunityId, e.companyId);
+                const eventCategory = settings.EVENT_TYPE_CATEGORIES[e.eventType]
+                    || this.getCategoryForOpportunity(opportunityMap.get(e.opportunityId));
+                add(e.createdTime, eventCategory, {
+                    source: 'events',
+                    prefix: '【事件】',
+                    line: `${name ? `${name}：` : ''}${e.eventName || '事件紀錄'}`,
+                    name,
+                    person: e.creator
+                });
+            });
+
+        // 3. 機會階段異動 (稽核紀錄)
+        const stageLogs = auditLogs
+            .filter(log => log.entity === 'opportunity' && log.action === 'update' && log.field === 'currentStage');
+        stageLogs
+            .forEach(log => {
+                const opp = opportunityMap.get(log.entityId);
+                if (!opp || !isMember(log.user, opp.assignee)) return;
+                const from = stageLabels.get(log.oldValue) || log.oldValue || '(無)';
+                const to = stageLabels.get(log.newValue) || log.newValue;
+                add(log.timestamp, this.getCategoryForOpportunity(opp), {
+                    source: 'stageChanges',
+                    prefix: '【階段】',
+                    line: `${opp.opportunityName}：${from} → ${to}`,
+                    name: opp.customerCompany || opp.opportunityName,
+                    person: log.user
+                });
+            });
+
+        // 3b. 無稽核紀錄的機會：由階段歷程的最後兩個階段推得異動
+        const loggedIds = new Set(stageLogs.map(log => log.entityId));
+        opportunities
+            .filter(opp => !loggedIds.has(opp.opportunityId) && isMember(opp.lastModifier, opp.assignee))
+            .forEach(opp => {
+                const reached = parseStageHistory(opp.stageHistory);
+                if (reached.length < 2 || reached[reached.length - 1] !== opp.currentStage) return;
+                const [fromValue, toValue] = reached.slice(-2);
+                add(opp.lastUpdateTime, this.getCategoryForOpportunity(opp), {
+                    source: 'stageChanges',
+                    prefix: '【階段】',
+                    line: `${opp.opportunityName}：${stageLabels.get(fromValue) || fromValue} → ${stageLabels.get(toValue) || toValue}`,
+                    name: opp.customerCompany || opp.opportunityName,
+                    person: opp.lastModifier
+                });
+            });
+
+        // 4. 日曆行程
+        [['dx', calendar.dxEventsByDay], ['at', calendar.atEventsByDay]].forEach(([source, eventsByDay]) => {
+            Object.entries(eventsByDay || {}).forEach(([date, events]) => {
+                events.forEach(evt => add(date, settings.CALENDAR_CATEGORIES[source], {
+                    source: 'calendar',
+                    prefix: '【行程】',
+                    line: `${evt.time} ${evt.summary || ''}`.trim()
+                }));
+            });
+        });
+
+        const drafts = [...buckets.values()]
+            .sort((a, b) => a.date.localeCompare(b.date) || themes.indexOf(a.category) - themes.indexOf(b.category))
+            .map(bucket => {
+                const names = [...bucket.names];
+                return {
+                    date: bucket.date,
+                    category: bucket.category,
+                    theme: names.length ? `${names.slice(0, 3).join('、')}${names.length > 3 ? ' 等' : ''}` : '本日行程',
+                    participants: member || [...bucket.people].filter(Boolean).join(','),
+                    summary: bucket.lines.join('\n'),
+                    todo: bucket.todos.map(t => `- ${t}`).join('\n'),
+                    lines: bucket.lines,
+                    sources: bucket.sources,
+                    existingCount: entries.filter(e => e['日期'] === bucket.date && e.category === bucket.category).length
+                };
+            });
+
+        const result = {
+            weekId, title: weekInfo.title, dateRange: weekInfo.dateRange,
+            member, category, drafts, summarized: false, aiError: null
+        };
+
+        if (options.summarize && drafts.length > 0) {
+            if (!this.externalService) {
+                result.aiError = 'AI 服務未啟用';
+            } else {
+                for (const draft of drafts) {
+                    try {
+                        draft.summary = await this.externalService.generateWeeklySummary(draft);
+                    } catch (error) {
+                        console.warn(`[WeeklyService] draftWeek AI 摘要失敗 (${draft.date} ${draft.category}): ${error.message}`);
+                        result.aiError = error.message;
+                    }
+                }
+                result.summarized = !result.aiError;
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * @private ISO 時間或 YYYY-MM-DD 轉為系統時區的日期 (YYYY-MM-DD)
+     */
+    _toDateKey(value) {
+        if (!value) return null;
+        if (/^\d{4}-\d{2}-\d{2}$/.test(value)) return value;
+        const date = new Date(value);
+        if (isNaN(date.getTime())) return null;
+        return date.toLocaleDateString('en-CA', { timeZone: this.config.TIMEZONE });
+    }
+
+    _snippet(text, length) {
+        const flat = String(text || '').replace(/\s+/g, ' ').trim();
+        return flat.length > length ? `${flat.slice(0, length)}…` : flat;
+    }
 }
 
 module.exports = WeeklyBusinessService;
\ No newline at end of file
@@ -4,19 +4,28 @@
  * * @version 5.0.0 (Phase 5 Refactoring)
  * @date 2026-01-09
  * @description 負責處理跨模組的複雜業務流程，例如「機會轉訂單」、「聯絡人升級」等。
- * 依賴注入：OpportunityService, InteractionService, ContactService
+ * [Pipeline] 結案與新機會的階段取自銷售流程定義，不再寫死階段值。
+ * [Stable ID] 名片建檔 / 升級 / 歸檔一律以名片 cardId 定位。
+ * 依賴注入：OpportunityService, InteractionService, ContactService, PipelineService, CompanyService
  */
 
+const { getFirstStage, assertCreate } = require('../utils/pipeline-helpers');
+const { assertCanWrite } = require('../utils/permission-helpers');
+
 class WorkflowService {
     /**
      * @param {OpportunityService} opportunityService
      * @param {InteractionService} interactionService
      * @param {ContactService} contactService
+     * @param {PipelineService} pipelineService
+     * @param {CompanyService} companyService
      */
-    constructor(opportunityService, interactionService, contactService) {
+    constructor(opportunityService, interactionService, contactService, pipelineService, companyService) {
         this.opportunityService = opportunityService;
         this.interactionService = interactionService;
         this.contactService = contactService;
+        this.pipelineService = pipelineService;
+        this.companyService = companyService;
     }
 
     /**
@@ -27,12 +36,12 @@ class WorkflowService {
      */
     async closeOpportunity(opportunityId, result, user) {
         try {
-            const status = result === 'Won' ? '已成交' : '已結案(失敗)';
+            const closingStage = await this.pipelineService.getClosingStage(result === 'Won' ? 'won' : 'lost');
             
-            // 1. 更新機會狀態
+            // 1. 更新機會狀態 (階段關卡由 OpportunityService 檢查，例如成交前需填妥機會價值)
             await this.opportunityService.updateOpportunity(
                 opportunityId, 
-                { currentStatus: '已完成', currentStage: status }, 
+                { currentStatus: '已完成', currentStage: closingStage }, 
                 user
             );
 
@@ -53,38 +62,82 @@ class WorkflowService {
     }
 
     /**
-     * 將潛在客戶升級為正式聯絡人，並自動建立初始機會
-     * @param {Object} rawContactData 
-     * @param {Object} user 
+     * 名片建檔：建立 (或沿用) 公司與正式聯絡人，名片標記為已升級
+     * @param {string} cardId
+     * @param {Object} user
      */
-    async upgradeContactAndCreateOpp(rawContactData, user) {
+    async fileContact(cardId, user) {
         try {
-            // 1. 建立正式聯絡人
-            const contactResult = await this.contactService.createContact(rawContactData, user);
-            
-            // 2. 如果成功，建立初始機會
-            if (contactResult.success && contactResult.id) {
-                const oppResult = await this.opportunityService.createOpportunity({
-                    opportunityName: `${rawContactData.name} - 初始商機`,
-                    mainContact: rawContactData.name, // 暫存名稱，理想應存 ID
-                    currentStage: '01_初步接觸'
-                }, user);
+            const contact = await this._fileCard(cardId, user);
+            return { success: true, ...contact };
+        } catch (error) {
+            console.error('[WorkflowService] fileContact Error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 將潛在客戶升級為機會案件：名片建檔為正式聯絡人，建立機會並關聯該聯絡人
+     * @param {string} cardId
+     * @param {Object} opportunityData - 新增機會表單資料
+     * @param {Object} user
+     */
+    async upgradeContactToOpportunity(cardId, opportunityData, user) {
+        try {
+            // 先檢查機會寫入權限與階段關卡，避免聯絡人已建檔而機會建立失敗
+            assertCanWrite(user, 'opportunity');
+            const { cardId: _cardId, ...data } = opportunityData;
+            const pipeline = await this.pipelineService.getPipeline();
+            const card = await this.contactService.getCardById(cardId);
+            const newOpportunity = {
+                ...data,
+                mainContact: data.mainContact || (card && card.name) || '',
+                currentStage: data.currentStage || getFirstStage(pipeline)
+            };
+            assertCreate(pipeline, newOpportunity);
+
+            const contact = await this._fileCard(cardId, user);
+            const oppResult = await this.opportunityService.createOpportunity({
+                ...newOpportunity,
+                mainContact: data.mainContact || contact.name
+            }, user);
+
+            await this.opportunityService.addContactToOpportunity(oppResult.id, { contactId: contact.contactId, name: contact.name }, user);
 
-                // 3. 建立關聯 (如果 OpportunityService 有提供此 API)
-                // await this.opportunityService.linkContact(oppResult.id, contactResult.id);
-                
-                return { 
-                    success: true, 
-                    contactId: contactResult.id, 
-                    opportunityId: oppResult.id 
-                };
-            }
-            throw new Error('聯絡人建立失敗');
+            return { success: true, opportunityId: oppResult.id, contactId: contact.contactId };
         } catch (error) {
-            console.error('[WorkflowService] upgradeContactAndCreateOpp Error:', error);
+            console.error('[WorkflowService] upgradeContactToOpportunity Error:', error);
             throw error;
         }
     }
+
+    /**
+     * 將名片資料歸檔至既有的正式聯絡人
+     * @param {string} contactId
+     * @param {string} cardId
+     * @param {Object} user
+     */
+    async linkBusinessCardToContact(contactId, cardId, user) {
+        return this.contactService.linkCardToContact(contactId, cardId, user);
+    }
+
+    /**
+     * @private
+     * @returns {Promise<{ contactId: string, name: string, existed: boolean, companyId: string }>}
+     */
+    async _fileCard(cardId, user) {
+        assertCanWrite(user, 'contact');
+        const card = await this.contactService.getCardById(cardId);
+        if (!card) throw new Error(`無法建檔：找不到名片 ${cardId}`);
+        if (!card.company) throw new Error('無法建檔：名片缺少公司名稱');
+
+        // 已存在時回傳現有公司 (data 皆含 companyId)
+        const companyResult = await this.companyService.createCompany(card.company, {}, user);
+        const companyId = companyResult.data.companyId;
+
+        const contact = await this.contactService.fileCard(card.cardId, companyId, user);
+        return { ...contact, companyId };
+    }
 }
 
 module.exports = WorkflowService;
\ No newline at end of file
@@ -0,0 +1,52 @@
+/**
+ * test/concurrency-helpers.test.js
+ * utils/concurrency-helpers.js 單元測試
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    EXPECTED_FIELD, takeExpectedVersion, assertNotStale, isConflictError
+} = require('../utils/concurrency-helpers');
+
+test('takeExpectedVersion 取出版本欄位且不修改原始資料', () => {
+    const updateData = { name: 'A', [EXPECTED_FIELD]: '2026-02-01T00:00:00.000Z' };
+    const { expected, data } = takeExpectedVersion(updateData);
+    assert.equal(expected, '2026-02-01T00:00:00.000Z');
+    assert.deepEqual(data, { name: 'A' });
+    assert.ok(EXPECTED_FIELD in updateData);
+});
+
+test('takeExpectedVersion 將空值視為未提供', () => {
+    assert.equal(takeExpectedVersion({ [EXPECTED_FIELD]: '' }).expected, undefined);
+    assert.equal(takeExpectedVersion({ [EXPECTED_FIELD]: null }).expected, undefined);
+    assert.equal(takeExpectedVersion().expected, undefined);
+});
+
+test('assertNotStale：未附帶版本時不檢查', () => {
+    assert.doesNotThrow(() => assertNotStale({ lastUpdateTime: '2026-02-02T00:00:00Z' }, undefined, '公司 A'));
+});
+
+test('assertNotStale：不同格式的同一時間視為相同版本', () => {
+    const current = { lastUpdateTime: '2026-02-01T08:00:00+08:00' };
+    assert.doesNotThrow(() => assertNotStale(current, '2026-02-01T00:00:00.000Z', '公司 A'));
+});
+
+test('assertNotStale：版本過期時拋出衝突錯誤並附上目前資料', () => {
+    const current = { lastUpdateTime: '2026-02-02T00:00:00Z', lastModifier: 'Amy' };
+    assert.throws(
+        () => assertNotStale(current, '2026-02-01T00:00:00Z', '公司 A'),
+        error => isConflictError(error) && error.current === current && /公司 A 已被 Amy/.test(error.message)
+    );
+});
+
+test('assertNotStale：無法解析的時間以字串比對', () => {
+    assert.doesNotThrow(() => assertNotStale({ lastUpdateTime: ' 不明 ' }, '不明', '公司 A'));
+    assert.throws(() => assertNotStale({ lastUpdateTime: '' }, '不明', '公司 A'), error => isConflictError(error));
+});
+
+test('isConflictError 只辨識衝突錯誤', () => {
+    assert.equal(isConflictError(new Error('其他錯誤')), false);
+    assert.equal(isConflictError(null), false);
+});
@@ -0,0 +1,67 @@
+/**
+ * test/permission-helpers.test.js
+ * utils/permission-helpers.js 單元測試
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    SYSTEM_ACTOR, getRole, canRead, canWrite, assertCanRead, assertCanWrite,
+    getHiddenFields, filterFields, isPermissionError
+} = require('../utils/permission-helpers');
+
+const admin = { username: 'admin', name: 'Admin', role: 'admin' };
+const sales = { username: 'amy', name: 'Amy', role: 'sales' };
+const readonly = { username: 'ro', name: 'Reader', role: 'readonly' };
+
+test('未知或缺少角色降級為 DEFAULT_ROLE', () => {
+    assert.equal(getRole({ username: 'x', role: 'superuser' }), 'sales');
+    assert.equal(getRole({ username: 'x' }), 'sales');
+    assert.equal(getRole(admin), 'admin');
+});
+
+test('依權限矩陣判斷讀寫', () => {
+    assert.equal(canWrite(admin, 'automation'), true);
+    assert.equal(canWrite(sales, 'opportunity'), true);
+    assert.equal(canWrite(sales, 'product'), false);
+    assert.equal(canRead(sales, 'automation'), false);
+    assert.equal(canWrite(readonly, 'contact'), false);
+    assert.equal(canRead(readonly, 'quote'), false);
+});
+
+test('唯讀角色無法寫入，錯誤可辨識為權限錯誤', () => {
+    assert.throws(() => assertCanWrite(readonly, 'contact'), error => isPermissionError(error));
+    assert.doesNotThrow(() => assertCanWrite(sales, 'contact'));
+});
+
+test('非使用者物件 (未帶或名稱字串) 一律拒絕', () => {
+    for (const user of [undefined, null, '', 'Admin', 42, ['admin']]) {
+        assert.equal(canRead(user, 'contact'), false);
+        assert.equal(canWrite(user, 'contact'), false);
+        assert.throws(() => assertCanWrite(user, 'contact'), error => isPermissionError(error));
+        assert.throws(() => assertCanRead(user, 'opportunity'), error => isPermissionError(error));
+        assert.throws(() => getHiddenFields(user, 'opportunity'), error => isPermissionError(error));
+        assert.throws(() => filterFields(user, 'opportunity', { opportunityValue: 1 }), error => isPermissionError(error));
+    }
+});
+
+test('SYSTEM_ACTOR 不受權限矩陣限制', () => {
+    assert.equal(canWrite(SYSTEM_ACTOR, 'automation'), true);
+    assert.equal(canWrite(SYSTEM_ACTOR, 'salesAnalysis'), true);
+    assert.deepEqual(getHiddenFields(SYSTEM_ACTOR, 'product'), []);
+    assert.ok(Object.isFrozen(SYSTEM_ACTOR));
+});
+
+test('仿造 SYSTEM_ACTOR 內容的物件不會取得系統權限', () => {
+    const forged = { ...SYSTEM_ACTOR };
+    assert.equal(canWrite(forged, 'automation'), false);
+});
+
+test('filterFields 移除隱藏欄位且不修改原始資料', () => {
+    const record = { opportunityId: 'OPP1', opportunityValue: 1000 };
+    const [filtered] = filterFields(readonly, 'opportunity', [record]);
+    assert.deepEqual(filtered, { opportunityId: 'OPP1' });
+    assert.equal(record.opportunityValue, 1000);
+    assert.equal(filterFields(admin, 'opportunity', record), record);
+});
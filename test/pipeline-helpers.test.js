@@ -0,0 +1,108 @@
+/**
+ * test/pipeline-helpers.test.js
+ * utils/pipeline-helpers.js 單元測試
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const pipelineHelpers = require('../utils/pipeline-helpers');
+
+const defaultPipeline = pipelineHelpers.buildPipeline([]);
+
+test('未設定機會階段時使用預設流程', () => {
+    assert.deepEqual(defaultPipeline.stages.map(s => s.order), [1, 2, 3, 4, 5, 6]);
+    assert.equal(pipelineHelpers.getFirstStage(defaultPipeline), '01_初步接觸');
+    assert.equal(pipelineHelpers.getClosingStage(defaultPipeline, 'won'), '受注');
+    assert.equal(pipelineHelpers.getClosingStage(defaultPipeline, 'lost'), '失注');
+    assert.deepEqual(defaultPipeline.stages[0].requiredFields, []);
+});
+
+test('系統設定的階段列：分類、機率與必填欄位 (中文名稱轉為欄位)', () => {
+    const pipeline = pipelineHelpers.buildPipeline([
+        { value: 'A', note: '接洽', order: 1, value2: '20%' },
+        { value: 'B', note: '報價', order: 2, value2: '150', value3: '機會價值、預計結案日' },
+        { value: 'W', note: '成交', order: 3, category: '成交' }
+    ]);
+    const [a, b, w] = pipeline.stages;
+    assert.equal(a.probability, 20);
+    assert.equal(b.probability, 100);
+    assert.deepEqual(b.requiredFields, ['opportunityValue', 'expectedCloseDate']);
+    assert.equal(w.outcome, 'won');
+    // 未定義失敗階段時補上預設的結案階段
+    assert.equal(pipelineHelpers.getClosingStage(pipeline, 'lost'), '失注');
+    assert.equal(pipeline.stages.find(s => s.value === '失注').order, 4);
+});
+
+test('getOutcome 辨識舊版結案階段值', () => {
+    assert.equal(pipelineHelpers.getOutcome(defaultPipeline, '已成交'), 'won');
+    assert.equal(pipelineHelpers.isLostStage(defaultPipeline, '已結案(失敗)'), true);
+    assert.equal(pipelineHelpers.getOutcome(defaultPipeline, '不存在'), null);
+    assert.deepEqual(pipelineHelpers.getOpenStages(defaultPipeline), ['01_初步接觸', '02_需求確認', '03_提案報價', '04_談判修正']);
+});
+
+test('parseProbabilitySetting：值2 優先，名稱需帶 % 才採用', () => {
+    assert.equal(pipelineHelpers.parseProbabilitySetting({ value: '高', value2: '80' }), 80);
+    assert.equal(pipelineHelpers.parseProbabilitySetting({ value: '01_高', note: '高 (70%)' }), 70);
+    assert.equal(pipelineHelpers.parseProbabilitySetting({ value: '01_高' }), null);
+});
+
+test('resolveProbability：下單機率設定優先，其次為階段預設機率', () => {
+    const items = [{ value: '高', value2: '90' }];
+    assert.equal(pipelineHelpers.resolveProbability(defaultPipeline, { orderProbability: '高', currentStage: '01_初步接觸' }, items), 90);
+    assert.equal(pipelineHelpers.resolveProbability(defaultPipeline, { orderProbability: '低', currentStage: '03_提案報價' }, items), 50);
+    assert.equal(pipelineHelpers.resolveProbability(defaultPipeline, { currentStage: '不存在' }), 0);
+});
+
+test('parseStageHistory 相容前綴、無前綴與 JSON 格式', () => {
+    assert.deepEqual(pipelineHelpers.parseStageHistory('C:01_初步接觸,X:02_需求確認,C:03_提案報價'), ['01_初步接觸', '03_提案報價']);
+    assert.deepEqual(pipelineHelpers.parseStageHistory('01_初步接觸,01_初步接觸,02_需求確認'), ['01_初步接觸', '02_需求確認']);
+    assert.deepEqual(pipelineHelpers.parseStageHistory('["01_初步接觸",{"stage":"02_需求確認"}]'), ['01_初步接觸', '02_需求確認']);
+    assert.deepEqual(pipelineHelpers.parseStageHistory('[壞掉'), []);
+    assert.deepEqual(pipelineHelpers.parseStageHistory(''), []);
+});
+
+test('getRequiredFields：跳階不能略過前面的關卡，失敗階段只檢查自身', () => {
+    assert.deepEqual(pipelineHelpers.getRequiredFields(defaultPipeline, '04_談判修正'), ['opportunityValue', 'expectedCloseDate']);
+    assert.deepEqual(pipelineHelpers.getRequiredFields(defaultPipeline, '受注'), ['opportunityValue', 'expectedCloseDate']);
+    assert.deepEqual(pipelineHelpers.getRequiredFields(defaultPipeline, '失注'), []);
+    assert.deepEqual(pipelineHelpers.getRequiredFields(defaultPipeline, '02_需求確認'), []);
+});
+
+test('assertTransition：未填必填欄位時拒絕進入階段', () => {
+    const original = { opportunityName: '測試案', currentStage: '02_需求確認', opportunityValue: '' };
+    assert.throws(
+        () => pipelineHelpers.assertTransition(defaultPipeline, original, { currentStage: '03_提案報價' }),
+        error => pipelineHelpers.isStageGateError(error) && /機會價值、預計結案日/.test(error.message)
+    );
+    assert.doesNotThrow(() => pipelineHelpers.assertTransition(defaultPipeline, original, {
+        currentStage: '03_提案報價', opportunityValue: '1000', expectedCloseDate: '2026-03-31'
+    }));
+});
+
+test('assertTransition：不在流程中的階段與已結案機會的階段變更', () => {
+    const open = { opportunityName: '測試案', currentStage: '01_初步接觸' };
+    assert.throws(() => pipelineHelpers.assertTransition(defaultPipeline, open, { currentStage: '不存在' }),
+        error => pipelineHelpers.isStageGateError(error));
+
+    const won = { opportunityName: '測試案', currentStage: '受注', opportunityValue: '1', expectedCloseDate: '2026-01-01' };
+    assert.throws(() => pipelineHelpers.assertTransition(defaultPipeline, won, { currentStage: '02_需求確認' }),
+        error => pipelineHelpers.isStageGateError(error) && /重新開啟/.test(error.message));
+    assert.doesNotThrow(() => pipelineHelpers.assertTransition(defaultPipeline, won, { currentStage: '02_需求確認', currentStatus: '進行中' }));
+});
+
+test('assertTransition：未變更階段也未修改必填欄位時不檢查舊資料', () => {
+    const legacy = { opportunityName: '舊案', currentStage: '03_提案報價', opportunityValue: '' };
+    assert.doesNotThrow(() => pipelineHelpers.assertTransition(defaultPipeline, legacy, { notes: '補充說明' }));
+    assert.throws(() => pipelineHelpers.assertTransition(defaultPipeline, legacy, { expectedCloseDate: '2026-03-31' }),
+        error => pipelineHelpers.isStageGateError(error) && /機會價值/.test(error.message));
+});
+
+test('assertCreate：建立時指定的階段同樣須通過關卡，未指定階段時不檢查', () => {
+    assert.throws(() => pipelineHelpers.assertCreate(defaultPipeline, { opportunityName: '新案', currentStage: '受注' }),
+        error => pipelineHelpers.isStageGateError(error) && /機會價值、預計結案日/.test(error.message));
+    assert.throws(() => pipelineHelpers.assertCreate(defaultPipeline, { opportunityName: '新案', currentStage: '不存在' }),
+        error => pipelineHelpers.isStageGateError(error));
+    assert.doesNotThrow(() => pipelineHelpers.assertCreate(defaultPipeline, { opportunityName: '新案', currentStage: '01_初步接觸' }));
+    assert.doesNotThrow(() => pipelineHelpers.assertCreate(defaultPipeline, { opportunityName: '新案' }));
+});
@@ -0,0 +1,118 @@
+/**
+ * test/spreadsheet-parser.test.js
+ * utils/spreadsheet-parser.js 單元測試
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+
+const { parseSpreadsheet, parseCsv, parseXlsx, excelSerialToDate } = require('../utils/spreadsheet-parser');
+const { toXlsx } = require('../utils/spreadsheet-writer');
+
+const MB = 1024 * 1024;
+
+/**
+ * 產生測試用 ZIP (Deflate，CRC 不檢查故填 0)；declaredSize 可覆寫中央目錄記錄的解壓後大小
+ */
+function buildZip(entries) {
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+
+    entries.forEach(({ name, content, declaredSize }) => {
+        const data = Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf8');
+        const compressed = zlib.deflateRawSync(data);
+        const nameBuffer = Buffer.from(name, 'utf8');
+        const size = declaredSize ?? data.length;
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(8, 8);
+        local.writeUInt32LE(compressed.length, 18);
+        local.writeUInt32LE(size, 22);
+        local.writeUInt16LE(nameBuffer.length, 26);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(8, 10);
+        central.writeUInt32LE(compressed.length, 20);
+        central.writeUInt32LE(size, 24);
+        central.writeUInt16LE(nameBuffer.length, 28);
+        central.writeUInt32LE(offset, 42);
+
+        locals.push(local, nameBuffer, compressed);
+        centrals.push(central, nameBuffer);
+        offset += local.length + nameBuffer.length + compressed.length;
+    });
+
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(centrals.reduce((sum, b) => sum + b.length, 0), 12);
+    end.writeUInt32LE(offset, 16);
+    return Buffer.concat([...locals, ...centrals, end]);
+}
+
+const SHEET_XML = '<worksheet><sheetData><row r="1"><c r="A1" t="inlineStr"><is><t>名稱</t></is></c></row>'
+    + '<row r="2"><c r="A2" t="inlineStr"><is><t>台積電</t></is></c></row></sheetData></worksheet>';
+
+test('CSV：引號欄位、欄位內換行與分隔符號判斷', () => {
+    assert.deepEqual(parseCsv('a,b\r\n"x, y","line1\nline2"\n'), [['a', 'b'], ['x, y', 'line1\nline2']]);
+    assert.deepEqual(parseCsv('a\tb\n1\t2'), [['a', 'b'], ['1', '2']]);
+});
+
+test('CSV：略過 BOM 與空白列，回傳原始列號', () => {
+    const buffer = Buffer.from('\uFEFF公司,電話\n\n台積電,03-5636688\n', 'utf8');
+    const table = parseSpreadsheet({ name: 'list.csv', buffer });
+    assert.deepEqual(table.headers, ['公司', '電話']);
+    assert.deepEqual(table.rows, [['台積電', '03-5636688']]);
+    assert.deepEqual(table.lines, [3]);
+});
+
+test('XLSX：可讀回 spreadsheet-writer 產生的檔案', () => {
+    const buffer = toXlsx([{ key: 'name', label: '名稱' }, { key: 'value', label: '金額', type: 'number' }], [{ name: 'A & B', value: 1200 }]);
+    const table = parseSpreadsheet({ name: 'export.xlsx', buffer });
+    assert.deepEqual(table.headers, ['名稱', '金額']);
+    assert.deepEqual(table.rows, [['A & B', '1200']]);
+});
+
+test('XLSX：不解壓用不到的項目', () => {
+    const buffer = buildZip([
+        { name: 'xl/worksheets/sheet1.xml', content: SHEET_XML },
+        { name: 'xl/media/huge.bin', content: Buffer.alloc(8 * MB) }
+    ]);
+    assert.deepEqual(parseXlsx(buffer, { maxInflatedBytes: MB }), [['名稱'], ['台積電']]);
+});
+
+test('XLSX：解壓後超過上限時中止 (含竄改中央目錄大小)', () => {
+    const bomb = Buffer.alloc(4 * MB);
+    const honest = buildZip([{ name: 'xl/worksheets/sheet1.xml', content: bomb }]);
+    const forged = buildZip([{ name: 'xl/worksheets/sheet1.xml', content: bomb, declaredSize: 10 }]);
+
+    for (const buffer of [honest, forged]) {
+        assert.throws(() => parseXlsx(buffer, { maxInflatedBytes: MB }), /解壓縮後超過/);
+    }
+});
+
+test('XLSX：上限為所有項目的總和', () => {
+    const sharedStrings = `<sst>${'<si><t>x</t></si>'.repeat(40000)}</sst>`;
+    const buffer = buildZip([
+        { name: 'xl/worksheets/sheet1.xml', content: SHEET_XML },
+        { name: 'xl/sharedStrings.xml', content: sharedStrings }
+    ]);
+    assert.throws(() => parseXlsx(buffer, { maxInflatedBytes: sharedStrings.length }), /解壓縮後超過/);
+    assert.doesNotThrow(() => parseXlsx(buffer, { maxInflatedBytes: MB }));
+});
+
+test('不支援的副檔名與非 ZIP 檔案', () => {
+    assert.throws(() => parseSpreadsheet({ name: 'a.xls', buffer: Buffer.alloc(10) }), /不支援的檔案格式/);
+    assert.throws(() => parseSpreadsheet({ name: 'a.xlsx', buffer: Buffer.alloc(100) }), /不是有效的 XLSX/);
+});
+
+test('excelSerialToDate', () => {
+    assert.equal(excelSerialToDate('45658'), '2025-01-01');
+    assert.equal(excelSerialToDate('2025-01-01'), null);
+    assert.equal(excelSerialToDate('0'), null);
+});
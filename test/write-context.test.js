@@ -0,0 +1,96 @@
+/**
+ * test/write-context.test.js
+ * utils/write-context.js 單元測試
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const writeContext = require('../utils/write-context');
+
+function countingLoader() {
+    const loader = async () => { loader.calls++; return [{ rowIndex: loader.calls }]; };
+    loader.calls = 0;
+    return loader;
+}
+
+test('同一次 Writer 呼叫的各掛載只讀取一次', async () => {
+    const loader = countingLoader();
+    const load = writeContext.shared(loader);
+    const writer = {};
+
+    await writeContext.run(writer, 'update', 5, async () => {
+        await load();
+        await writeContext.run(writer, 'update', 5, async () => {
+            await load();
+        });
+    });
+    assert.equal(loader.calls, 1);
+});
+
+test('範圍外與範圍內的其他寫入會重新讀取', async () => {
+    const loader = countingLoader();
+    const load = writeContext.shared(loader);
+    const writer = {};
+
+    await load();
+    await writeContext.run(writer, 'update', 5, async () => {
+        await load();
+        await writeContext.run(writer, 'update', 6, () => load());
+        await writeContext.outside(() => load());
+    });
+    assert.equal(loader.calls, 4);
+});
+
+test('寫入結束後範圍失效', async () => {
+    const loader = countingLoader();
+    const load = writeContext.shared(loader);
+    let later;
+
+    await writeContext.run({}, 'update', 1, async () => {
+        await load();
+        later = new Promise(resolve => setTimeout(() => resolve(load()), 0));
+    });
+    await later;
+    assert.equal(loader.calls, 2);
+});
+
+test('讀取失敗不保留結果', async () => {
+    let calls = 0;
+    const load = writeContext.shared(async () => {
+        calls++;
+        if (calls === 1) throw new Error('boom');
+        return [];
+    });
+
+    await writeContext.run({}, 'update', 1, async () => {
+        await assert.rejects(load());
+        assert.deepEqual(await load(), []);
+    });
+    assert.equal(calls, 2);
+});
+
+test('批次作業範圍內的寫入後處理於結束時依 key 合併執行', async () => {
+    const flushed = [];
+    const flush = async (items) => { flushed.push(items); };
+
+    await writeContext.bulk(async () => {
+        for (const id of ['A', 'B']) {
+            await writeContext.run({}, 'create', id, async () => {
+                assert.equal(writeContext.afterBulk('company', id, flush), true);
+            });
+        }
+        assert.deepEqual(flushed, []);
+    });
+    assert.deepEqual(flushed, [['A', 'B']]);
+    assert.equal(writeContext.afterBulk('company', 'C', flush), false);
+});
+
+test('批次作業失敗時仍執行已登記的寫入後處理', async () => {
+    const flushed = [];
+    await assert.rejects(writeContext.bulk(async () => {
+        writeContext.afterBulk('contact', 'A', async (items) => { flushed.push(...items); });
+        throw new Error('boom');
+    }));
+    assert.deepEqual(flushed, ['A']);
+});
@@ -0,0 +1,368 @@
+// migrate-sheets-to-sql.js - 將核心 Google Sheets 資料搬移至 PostgreSQL (Supabase)，並提供雙邊比對
+//
+// 用法：
+//   node tools/migrate-sheets-to-sql.js                    # 讀取 Sheet 並 upsert 至 SQL
+//   node tools/migrate-sheets-to-sql.js --dry-run          # 不寫入，只列出兩邊差異 (同 --diff)
+//   node tools/migrate-sheets-to-sql.js --diff --verbose   # 列出每一筆差異的欄位內容
+//   node tools/migrate-sheets-to-sql.js --only=opportunities,companies
+//
+// 可用資料集：opportunities, interactions, contacts, links, companies, events
+// 建議流程：先 --diff 確認差異 → 執行遷移 → 再 --diff 確認為 0 → 才切換 config.DATA_SOURCES 對應開關。
+//
+// 注意：
+// - 一律透過現有的 Sheet Reader 讀取，因此 OpportunityReader 排除的「已封存」案件不在遷移與比對範圍內。
+// - 只做 upsert，不會刪除 SQL 端多出的資料 (差異報表會列為「僅存在於 SQL」)。
+// - --diff 模式下若有任何差異，程式以 exit code 1 結束，方便在部署腳本中檢查。
+
+require('dotenv').config({ path: require('path').join(__dirname, '..', '.env') });
+
+const config = require('../config');
+const GoogleClientService = require('../services/google-client-service');
+
+const OpportunityReader = require('../data/opportunity-reader');
+const InteractionReader = require('../data/interaction-reader');
+const ContactReader = require('../data/contact-reader');
+const CompanyReader = require('../data/company-reader');
+const EventLogReader = require('../data/event-log-reader');
+
+const BaseSqlReader = require('../data/base-sql-reader');
+const OpportunitySqlReader = require('../data/opportunity-sql-reader');
+const InteractionSqlReader = require('../data/interaction-sql-reader');
+const ContactSqlReader = require('../data/contact-sql-reader');
+const CompanySqlReader = require('../data/company-sql-reader');
+const EventLogSqlWriter = require('../data/event-log-sql-writer');
+
+// ==================== 設定 ====================
+
+// 單次 upsert 筆數 (避免 PostgREST 請求過大)
+const BATCH_SIZE = 500;
+
+const args = process.argv.slice(2);
+const DRY_RUN = args.includes('--dry-run') || args.includes('--diff');
+const VERBOSE = args.includes('--verbose');
+const onlyArg = args.find(arg => arg.startsWith('--only='));
+const ONLY = onlyArg ? onlyArg.slice('--only='.length).split(',').map(s => s.trim()).filter(Boolean) : null;
+
+// ==================== 資料轉換 ====================
+
+/**
+ * 依欄位對照表將 Sheet DTO 轉為 SQL Row
+ * 空字串寫入 NULL (Sheet 沒有型別，SQL 的日期/數值欄位不接受 '')
+ */
+function toRow(dto, columnMap) {
+    const row = {};
+    Object.entries(columnMap).forEach(([key, column]) => {
+        const value = dto[key];
+        row[column] = (value === undefined || value === null || value === '') ? null : value;
+    });
+    return row;
+}
+
+// 舊版「事件紀錄總表」(eventType = legacy) 對應到 event_logs_summary 的欄位命名
+function toSummaryDto(log) {
+    return {
+        ...log,
+        participants: log.ourParticipants,
+        visitTarget: log.clientParticipants,
+        demandSummary: log.eventContent,
+        painExtraNote: log.eventNotes,
+        externalIntegration: log.externalSystems,
+        opportunityName: log.eventName
+    };
+}
+
+const eventLogSqlWriter = new EventLogSqlWriter();
+
+function toEventRow(log) {
+    const type = log.eventType === 'legacy' ? 'summary' : log.eventType;
+    const dto = type === 'summary' ? toSummaryDto(log) : log;
+
+    const row = {
+        ...eventLogSqlWriter._mapDtoToRow(dto, type),
+        event_id: log.eventId,
+        creator: log.creator,
+        created_time: log.createdTime
+    };
+    if (type !== 'summary') {
+        row.last_modified_time = log.lastModifiedTime;
+        row.edit_count = parseInt(log.editCount) || 1;
+    }
+
+    Object.keys(row).forEach(column => {
+        if (row[column] === undefined || row[column] === '') row[column] = null;
+    });
+    return { table: eventLogSqlWriter._getTableByType(type), row };
+}
+
+// ==================== 資料集定義 ====================
+
+/**
+ * 每個資料集回傳 [{ table, key, rows }]，rows 為已轉換好的 SQL Row。
+ * toggle 對應 config.DATA_SOURCES 的開關，僅用於報表顯示。
+ */
+const DATASETS = {
+    opportunities: {
+        label: '機會案件',
+        toggle: 'OPPORTUNITY',
+        async load(readers) {
+            // [Soft Delete] 回收桶中的機會一併搬移
+            const opportunities = [
+                ...await readers.opportunity.getOpportunities(),
+                ...await readers.opportunity.getDeletedOpportunities()
+            ];
+            return [{
+                table: 'opportunities',
+                key: 'opportunity_id',
+                rows: opportunities.map(opp => toRow(opp, OpportunitySqlReader.COLUMN_MAP))
+            }];
+        }
+    },
+    interactions: {
+        label: '互動紀錄',
+        toggle: 'INTERACTION',
+        async load(readers) {
+            const interactions = await readers.interaction.getInteractions();
+            return [{
+                table: 'interactions',
+                key: 'interaction_id',
+                rows: interactions.map(item => toRow(item, InteractionSqlReader.COLUMN_MAP))
+            }];
+        }
+    },
+    contacts: {
+        label: '聯絡人總表',
+        toggle: 'CONTACT',
+        async load(readers) {
+            const contacts = await readers.contact.getContactList();
+            return [{
+                table: 'contacts',
+                key: 'contact_id',
+                rows: contacts.map(contact => toRow(contact, ContactSqlReader.CONTACT_COLUMN_MAP))
+            }];
+        }
+    },
+    links: {
+        label: '機會-聯絡人關聯',
+        toggle: 'CONTACT',
+        async load(readers) {
+            const links = await readers.contact.getAllOppContactLinks();
+            return [{
+                table: 'opportunity_contact_links',
+                key: 'link_id',
+                rows: links.map(link => toRow(link, ContactSqlReader.LINK_COLUMN_MAP))
+            }];
+        }
+    },
+    companies: {
+        label: '公司總表',
+        toggle: 'COMPANY',
+        async load(readers) {
+            const companies = [
+                ...await readers.company.getCompanyList(),
+                ...await readers.company.getDeletedCompanies()
+            ];
+            return [{
+                table: 'companies',
+                key: 'company_id',
+                rows: companies.map(company => toRow(company, CompanySqlReader.COLUMN_MAP))
+            }];
+        }
+    },
+    events: {
+        label: '事件紀錄',
+        toggle: 'EVENT_LOG',
+        async load(readers) {
+            const logs = [
+                ...await readers.eventLog.getEventLogs(),
+                ...await readers.eventLog.getDeletedEventLogs()
+            ];
+            const groups = {};
+
+            Object.values(eventLogSqlWriter.tables).forEach(table => {
+                groups[table] = { table, key: 'event_id', rows: [] };
+            });
+            logs.forEach(log => {
+                const { table, row } = toEventRow(log);
+                groups[table].rows.push(row);
+            });
+
+            return Object.values(groups);
+        }
+    }
+};
+
+// ==================== 比對 ====================
+
+const DATE_PATTERN = /^\d{4}[-/]\d{1,2}[-/]\d{1,2}/;
+
+/**
+ * 正規化欄位值以便比較
+ * - NULL / undefined / '' 視為相同
+ * - 日期字串轉為 timestamp (Sheet 存本地格式，SQL 回傳 ISO 含時區)
+ * - 數值字串轉為數字 (SQL numeric 欄位回傳 number)
+ */
+function normalize(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value).trim();
+    if (text === '') return '';
+
+    if (DATE_PATTERN.test(text)) {
+        const time = new Date(text).getTime();
+        if (!isNaN(time)) return `@${time}`;
+    }
+    if (/^-?[\d,]+(\.\d+)?$/.test(text)) {
+        return String(Number(text.replace(/,/g, '')));
+    }
+    return text;
+}
+
+function diffRow(sheetRow, sqlRow) {
+    return Object.keys(sheetRow)
+        .filter(column => normalize(sheetRow[column]) !== normalize(sqlRow[column]))
+        .map(column => ({ column, sheet: sheetRow[column], sql: sqlRow[column] }));
+}
+
+/**
+ * 以主鍵比對 Sheet 與 SQL 兩邊資料
+ * @returns {{ missing: Array, extra: Array, changed: Array }}
+ */
+function compare(sheetRows, sqlRows, key) {
+    const sqlMap = new Map(sqlRows.map(row => [String(row[key]), row]));
+    const sheetKeys = new Set();
+    const result = { missing: [], extra: [], changed: [] };
+
+    sheetRows.forEach(row => {
+        const id = String(row[key]);
+        sheetKeys.add(id);
+
+        const sqlRow = sqlMap.get(id);
+        if (!sqlRow) {
+            result.missing.push(id);
+            return;
+        }
+        const fields = diffRow(row, sqlRow);
+        if (fields.length > 0) result.changed.push({ id, fields });
+    });
+
+    sqlMap.forEach((row, id) => {
+        if (!sheetKeys.has(id)) result.extra.push(id);
+    });
+
+    return result;
+}
+
+/**
+ * 移除無主鍵與重複主鍵的列 (重複時保留最後一筆，與 Sheet 上「後寫覆蓋」的讀取結果一致)
+ */
+function dedupe(rows, key, table) {
+    const map = new Map();
+    let blank = 0;
+
+    rows.forEach(row => {
+        const id = row[key];
+        if (id === null || id === undefined || String(id).trim() === '') {
+            blank++;
+            return;
+        }
+        map.set(String(id), row);
+    });
+
+    if (blank > 0) console.warn(`   ⚠️ ${table}: 略過 ${blank} 筆沒有 ${key} 的資料`);
+    const duplicated = rows.length - blank - map.size;
+    if (duplicated > 0) console.warn(`   ⚠️ ${table}: 發現 ${duplicated} 筆重複的 ${key}，以最後一筆為準`);
+
+    return Array.from(map.values());
+}
+
+// ==================== 寫入 ====================
+
+async function upsertRows(supabase, table, key, rows) {
+    for (let i = 0; i < rows.length; i += BATCH_SIZE) {
+        const batch = rows.slice(i, i + BATCH_SIZE);
+        const { error } = await supabase
+            .from(table)
+            .upsert(batch, { onConflict: key });
+
+        if (error) {
+            throw new Error(`寫入 ${table} 失敗 (第 ${i + 1} ~ ${i + batch.length} 筆): ${error.message}`);
+        }
+        console.log(`   ✍️  ${table}: 已寫入 ${Math.min(i + BATCH_SIZE, rows.length)} / ${rows.length}`);
+    }
+}
+
+// ==================== 主要邏輯 ====================
+
+function printComparison(table, result) {
+    console.log(`   📊 ${table}: 缺少 ${result.missing.length} 筆 | 僅存在於 SQL ${result.extra.length} 筆 | 內容不同 ${result.changed.length} 筆`);
+
+    if (!VERBOSE) return;
+
+    result.missing.forEach(id => console.log(`      [缺少] ${id}`));
+    result.extra.forEach(id => console.log(`      [僅 SQL] ${id}`));
+    result.changed.forEach(({ id, fields }) => {
+        console.log(`      [不同] ${id}`);
+        fields.forEach(f => console.log(`         - ${f.column}: Sheet=${JSON.stringify(f.sheet)} / SQL=${JSON.stringify(f.sql)}`));
+    });
+}
+
+async function main() {
+    const names = ONLY || Object.keys(DATASETS);
+    const unknown = names.filter(name => !DATASETS[name]);
+    if (unknown.length > 0) {
+        console.error(`❌ 未知的資料集: ${unknown.join(', ')}`);
+        console.log(`可用資料集: ${Object.keys(DATASETS).join(', ')}`);
+        process.exit(1);
+    }
+
+    console.log(DRY_RUN ? '🔍 比對模式 (Dry Run)：不會寫入任何資料' : '🚚 遷移模式：Sheet 資料將 upsert 至 SQL');
+
+    const googleClientService = new GoogleClientService();
+    const sheets = await googleClientService.getSheetsClient();
+
+    const readers = {
+        opportunity: new OpportunityReader(sheets, config.IDS.CORE),
+        interaction: new InteractionReader(sheets, config.IDS.CORE),
+        contact: new ContactReader(sheets, config.IDS.CORE),
+        company: new CompanyReader(sheets, config.IDS.CORE),
+        eventLog: new EventLogReader(sheets, config.IDS.CORE)
+    };
+    const sqlReader = new BaseSqlReader();
+
+    let totalDifferences = 0;
+
+    for (const name of names) {
+        const dataset = DATASETS[name];
+        console.log(`\n📦 ${dataset.label} (${name}) — 目前資料源: ${config.DATA_SOURCES[dataset.toggle]}`);
+
+        const groups = await dataset.load(readers);
+
+        for (const group of groups) {
+            const rows = dedupe(group.rows, group.key, group.table);
+
+            if (!DRY_RUN) {
+                await upsertRows(sqlReader.supabase, group.table, group.key, rows);
+            }
+
+            const sqlRows = await sqlReader._selectAll(group.table);
+            const result = compare(rows, sqlRows, group.key);
+            printComparison(group.table, result);
+
+            totalDifferences += result.missing.length + result.extra.length + result.changed.length;
+        }
+    }
+
+    console.log('\n================================================================================');
+    if (totalDifferences === 0) {
+        console.log('✅ Sheet 與 SQL 資料一致，可以切換對應的 DATA_SOURCES 開關。');
+    } else {
+        console.log(`⚠️ 共有 ${totalDifferences} 筆差異，請加上 --verbose 檢視明細。`);
+    }
+    console.log('================================================================================');
+
+    if (DRY_RUN && totalDifferences > 0) process.exit(1);
+}
+
+main().catch(error => {
+    console.error('❌ 執行失敗:', error.message);
+    process.exit(1);
+});
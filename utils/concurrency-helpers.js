@@ -0,0 +1,61 @@
+/**
+ * utils/concurrency-helpers.js
+ * 樂觀鎖 (Optimistic Concurrency) 工具函式庫
+ * * @version 1.0.0
+ * @date 2026-02-02
+ * @description 更新請求可附帶 expectedLastUpdateTime (前端讀取時的「最後更新時間」)。
+ * Service 在寫入前比對伺服器目前版本，不一致時拋出「資料衝突：」錯誤，
+ * 由 handleApiError 轉為 409 並附上伺服器目前資料 (error.current)。
+ * 未附帶 expectedLastUpdateTime 的請求維持原本行為 (不檢查)。
+ * Writer 的更新結果會帶回新的最後更新時間，前端於下一次儲存時送回。
+ */
+
+const EXPECTED_FIELD = 'expectedLastUpdateTime';
+const CONFLICT_PREFIX = '資料衝突：';
+
+/**
+ * 將時間字串正規化以便比較 (Sheet 存本地格式，SQL 回傳 ISO 含時區)
+ */
+function normalizeTime(value) {
+    if (value === null || value === undefined || value === '') return '';
+    const time = new Date(value).getTime();
+    return isNaN(time) ? String(value).trim() : String(time);
+}
+
+const concurrencyHelpers = {
+    EXPECTED_FIELD,
+
+    /**
+     * 從更新資料中取出版本欄位，回傳不含該欄位的資料 (避免寫入 Writer)
+     * @param {Object} updateData
+     * @returns {{ expected: string|undefined, data: Object }}
+     */
+    takeExpectedVersion: (updateData = {}) => {
+        const { [EXPECTED_FIELD]: expected, ...data } = updateData;
+        // 空字串視為未提供 (例如舊資料沒有最後更新時間)
+        return { expected: (expected === '' || expected === null) ? undefined : expected, data };
+    },
+
+    /**
+     * 比對版本，過期時拋出衝突錯誤
+     * @param {Object} current - 伺服器目前的紀錄 (需含 lastUpdateTime)
+     * @param {string|undefined} expected - 前端帶來的最後更新時間
+     * @param {string} label - 錯誤訊息中的紀錄名稱
+     */
+    assertNotStale: (current, expected, label) => {
+        if (expected === undefined || expected === null) return;
+        if (normalizeTime(current.lastUpdateTime) === normalizeTime(expected)) return;
+
+        const error = new Error(`${CONFLICT_PREFIX}${label} 已被 ${current.lastModifier || '其他使用者'} 於 ${current.lastUpdateTime || '稍早'} 更新，請確認後再儲存。`);
+        error.current = current;
+        throw error;
+    },
+
+    /**
+     * @param {Error} error
+     * @returns {boolean}
+     */
+    isConflictError: (error) => !!(error && error.message && error.message.startsWith(CONFLICT_PREFIX))
+};
+
+module.exports = concurrencyHelpers;
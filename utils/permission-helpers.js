@@ -0,0 +1,156 @@
+/**
+ * utils/permission-helpers.js
+ * 角色權限 (Role-based Permissions) 工具函式庫
+ * * @version 1.0.0
+ * @date 2026-02-07
+ * @description 依 config.PERMISSIONS 權限矩陣判斷角色對實體的讀寫權限與可見欄位。
+ * 由 Service 層呼叫：寫入前 assertCanWrite()，回傳前 filterFields() 移除機敏欄位。
+ * 權限不足時拋出「權限不足：」錯誤，由 handleApiError 轉為 403。
+ * user 必須是使用者物件 (req.user)；未帶 user 或只帶名稱字串一律視為無權限。
+ * 排程等沒有登入使用者的內部流程改傳 SYSTEM_ACTOR，不受權限矩陣限制。
+ */
+
+const config = require('../config');
+
+const DENIED_PREFIX = '權限不足：';
+
+const ENTITY_LABELS = {
+    product: '商品',
+    opportunity: '機會案件',
+    company: '公司',
+    contact: '聯絡人',
+    interaction: '互動紀錄',
+    event: '事件紀錄',
+    weekly: '週間業務',
+    announcement: '公告',
+    salesAnalysis: '成交分析',
+    salesQuota: '業績目標',
+    quote: '報價單',
+    task: '待辦任務',
+    automation: '自動化規則',
+    webhook: 'Webhook 訂閱',
+    dataMerge: '重複'
+};
+
+/**
+ * 系統執行身分 (排程、背景工作)：不受權限矩陣限制，寫入時修改者顯示為 System
+ */
+const SYSTEM_ACTOR = Object.freeze({ username: 'system', name: 'System', displayName: 'System', role: 'system' });
+
+function isUserObject(user) {
+    return !!user && typeof user === 'object' && !Array.isArray(user);
+}
+
+/**
+ * 取得使用者角色 (未知角色降級為 DEFAULT_ROLE)
+ */
+function getRole(user) {
+    const role = user && user.role;
+    return config.PERMISSIONS.ROLES[role] ? role : config.PERMISSIONS.DEFAULT_ROLE;
+}
+
+/**
+ * 取得角色對實體的權限設定 (實體設定覆蓋 '*')
+ * @returns {{ read: boolean, write: boolean, hiddenFields: string[] }}
+ */
+function getRule(user, entity) {
+    if (user === SYSTEM_ACTOR) return { read: true, write: true, hiddenFields: [] };
+    if (!isUserObject(user)) return { read: false, write: false, hiddenFields: [] };
+    const matrix = config.PERMISSIONS.ROLES[getRole(user)];
+    const rule = { read: false, write: false, hiddenFields: [], ...matrix['*'], ...matrix[entity] };
+    return { ...rule, hiddenFields: rule.hiddenFields || [] };
+}
+
+function deny(user, entity, action) {
+    const label = ENTITY_LABELS[entity] || entity;
+    if (!isUserObject(user)) {
+        console.warn(`⛔ [Permission] 缺少使用者物件 (收到 ${typeof user})，Denied: ${action} ${entity}`);
+        return new Error(`${DENIED_PREFIX}缺少操作者身分，無法${action === 'write' ? '修改' : '檢視'}${label}資料`);
+    }
+    console.warn(`⛔ [Permission] User: ${user.username || user.name}, Role: ${getRole(user)}, Denied: ${action} ${entity}`);
+    return new Error(`${DENIED_PREFIX}您的角色無法${action === 'write' ? '修改' : '檢視'}${label}資料`);
+}
+
+/**
+ * 移除單筆 DTO 中的隱藏欄位
+ */
+function omitFields(record, fields) {
+    if (!record || typeof record !== 'object' || fields.length === 0) return record;
+    const result = { ...record };
+    fields.forEach(field => delete result[field]);
+    return result;
+}
+
+const permissionHelpers = {
+    SYSTEM_ACTOR,
+
+    getRole,
+
+    /**
+     * @param {Object} user - req.user
+     * @param {string} entity
+     * @returns {boolean}
+     */
+    canRead: (user, entity) => getRule(user, entity).read,
+
+    /**
+     * @param {Object} user - req.user
+     * @param {string} entity
+     * @returns {boolean}
+     */
+    canWrite: (user, entity) => getRule(user, entity).write,
+
+    /**
+     * 無讀取權限時拋出權限錯誤
+     */
+    assertCanRead: (user, entity) => {
+        if (!permissionHelpers.canRead(user, entity)) throw deny(user, entity, 'read');
+    },
+
+    /**
+     * 無寫入權限時拋出權限錯誤
+     */
+    assertCanWrite: (user, entity) => {
+        if (!permissionHelpers.canWrite(user, entity)) throw deny(user, entity, 'write');
+    },
+
+    /**
+     * 取得角色在該實體上不可見的欄位 (缺少使用者物件時拋出權限錯誤，不回傳未過濾的資料)
+     * @returns {string[]}
+     */
+    getHiddenFields: (user, entity) => {
+        if (!isUserObject(user)) throw deny(user, entity, 'read');
+        return getRule(user, entity).hiddenFields;
+    },
+
+    /**
+     * 移除不可見欄位 (單筆或陣列)，回傳新物件，不修改快取中的原始資料
+     * @param {Object} user
+     * @param {string} entity
+     * @param {Object|Array<Object>} data
+     */
+    filterFields: (user, entity, data) => {
+        const hidden = permissionHelpers.getHiddenFields(user, entity);
+        if (hidden.length === 0) return data;
+        return Array.isArray(data) ? data.map(record => omitFields(record, hidden)) : omitFields(data, hidden);
+    },
+
+    /**
+     * 取得角色對所有實體的權限 (登入時回傳給前端，用於隱藏無權限的功能入口)
+     * @param {Object} user
+     * @returns {Object} { entity: { read, write, hiddenFields } }
+     */
+    getRolePermissions: (user) => {
+        const result = {};
+        Object.keys(ENTITY_LABELS).forEach(entity => { result[entity] = getRule(user, entity); });
+        return result;
+    },
+
+    /**
+     * @param {Error} error
+     * @returns {boolean}
+     */
+    isPermissionError: (error) => !!(error && error.message && error.message.startsWith(DENIED_PREFIX))
+};
+
+module.exports = permissionHelpers;
@@ -0,0 +1,280 @@
+/**
+ * utils/pipeline-helpers.js
+ * 銷售流程 (Sales Pipeline) 工具函式庫
+ * * @version 1.0.0
+ * @date 2026-02-09
+ * @description 將「系統設定」的機會階段列組成流程定義 (順序、成交/失敗旗標、預設機率、必填欄位)，
+ * 並提供階段判斷、機率換算與階段關卡 (Stage Gate) 檢查。流程定義為純資料物件，可直接回傳給前端。
+ * 不符合關卡時拋出「階段限制：」錯誤，由 handleApiError 轉為 400。
+ */
+
+const config = require('../config');
+
+const STAGE_GATE_PREFIX = '階段限制：';
+
+// 「分類」欄位 -> 階段結果
+const OUTCOME_ALIASES = {
+    '成交': 'won', 'won': 'won',
+    '失敗': 'lost', 'lost': 'lost'
+};
+
+// 必填欄位的顯示名稱 (DTO key -> 中文)，值3 可填任一種
+const FIELD_LABELS = {
+    opportunityName: '機會名稱',
+    customerCompany: '終端客戶',
+    mainContact: '主要聯絡人',
+    assignee: '負責業務',
+    opportunityType: '機會種類',
+    opportunitySource: '機會來源',
+    expectedCloseDate: '預計結案日',
+    opportunityValue: '機會價值',
+    orderProbability: '下單機率',
+    potentialSpecification: '可能下單規格',
+    deviceScale: '設備規模',
+    salesModel: '銷售模式',
+    salesChannel: '主要通路/下單方',
+    channelContact: '通路窗口'
+};
+
+const FIELD_KEYS = Object.fromEntries(Object.entries(FIELD_LABELS).map(([key, label]) => [label, key]));
+
+function parseOutcome(category) {
+    return OUTCOME_ALIASES[String(category || '').trim().toLowerCase()] || null;
+}
+
+function parseProbability(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const probability = parseFloat(String(value).replace('%', ''));
+    return isNaN(probability) ? null : Math.min(100, Math.max(0, probability));
+}
+
+function parseRequiredFields(value) {
+    if (!value) return null;
+    return String(value)
+        .split(/[,，、\s]+/)
+        .map(field => field.trim())
+        .filter(Boolean)
+        .map(field => FIELD_KEYS[field] || field);
+}
+
+function isBlank(value) {
+    return value === undefined || value === null || String(value).trim() === '';
+}
+
+const pipelineHelpers = {
+    FIELD_LABELS,
+
+    /**
+     * 由系統設定的「機會階段」組成流程定義
+     * @param {Array<Object>} stageRows - systemConfig['機會階段'] (已依順序排序)
+     * @param {Object} [pipelineConfig] - config.PIPELINE
+     * @returns {{ stages: Array<{ value, label, order, outcome, probability, requiredFields }>, legacyOutcomes: Object }}
+     */
+    buildPipeline: (stageRows = [], pipelineConfig = config.PIPELINE) => {
+        const defaults = pipelineConfig.DEFAULT_STAGES || [];
+
+        const stages = stageRows.length > 0
+            ? stageRows.map(row => {
+                const fallback = defaults.find(d => d.value === row.value) || {};
+                const requiredFields = parseRequiredFields(row.value3);
+                const probability = parseProbability(row.value2);
+                return {
+                    value: row.value,
+                    label: row.note || fallback.label || row.value,
+                    order: row.order,
+                    outcome: parseOutcome(row.category) || fallback.outcome || 'open',
+                    probability: probability !== null ? probability : (fallback.probability ?? null),
+                    requiredFields: requiredFields || fallback.requiredFields || []
+                };
+            })
+            : defaults.map((stage, index) => ({
+                outcome: 'open', probability: null, requiredFields: [], ...stage, order: index + 1
+            }));
+
+        // 工作表未定義成交 / 失敗階段時，補上預設的結案階段，確保結案流程可用
+        ['won', 'lost'].forEach(outcome => {
+            if (stages.some(stage => stage.outcome === outcome)) return;
+            defaults.filter(d => d.outcome === outcome && !stages.some(s => s.value === d.value)).forEach(stage => {
+                const lastOrder = stages.reduce((max, s) => Math.max(max, s.order || 0), 0);
+                stages.push({ probability: null, requiredFields: [], ...stage, order: lastOrder + 1 });
+            });
+        });
+
+        return { stages, legacyOutcomes: { ...(pipelineConfig.LEGACY_OUTCOMES || {}) } };
+    },
+
+    /**
+     * @returns {Object|null} 階段定義
+     */
+    getStage: (pipeline, value) => pipeline.stages.find(stage => stage.value === value) || null,
+
+    /**
+     * 取得階段結果 (含舊版結案階段值)
+     * @returns {'open'|'won'|'lost'|null} 不在流程中的階段回傳 null
+     */
+    getOutcome: (pipeline, value) => {
+        const stage = pipelineHelpers.getStage(pipeline, value);
+        if (stage) return stage.outcome;
+        return pipeline.legacyOutcomes[value] || null;
+    },
+
+    isWonStage: (pipeline, value) => pipelineHelpers.getOutcome(pipeline, value) === 'won',
+
+    isLostStage: (pipeline, value) => pipelineHelpers.getOutcome(pipeline, value) === 'lost',
+
+    /**
+     * @returns {string[]} 進行中階段值 (依流程順序)
+     */
+    getOpenStages: (pipeline) => pipeline.stages.filter(stage => stage.outcome === 'open').map(stage => stage.value),
+
+    /**
+     * @returns {string|null} 第一個進行中階段 (新機會的預設階段)
+     */
+    getFirstStage: (pipeline) => pipelineHelpers.getOpenStages(pipeline)[0] || null,
+
+    /**
+     * @param {'won'|'lost'} outcome
+     * @returns {string|null} 該結果的第一個結案階段
+     */
+    getClosingStage: (pipeline, outcome) => (pipeline.stages.find(stage => stage.outcome === outcome) || {}).value || null,
+
+    /**
+     * 「下單機率」設定項目轉為百分比：優先使用值2，否則解析備註 / 設定項目中帶 % 的數字 (例如「高 (80%)」)
+     * @param {Object} item - systemConfig['下單機率'] 的項目
+     * @returns {number|null}
+     */
+    parseProbabilitySetting: (item) => {
+        const explicit = parseProbability(item.value2);
+        if (explicit !== null) return explicit;
+
+        // 名稱中必須帶 % 才採用，避免把「01_高」之類的排序編號當成機率
+        for (const text of [item.note, item.value]) {
+            const match = String(text || '').match(/(\d+(?:\.\d+)?)\s*%/);
+            if (match) return parseProbability(match[1]);
+        }
+        return null;
+    },
+
+    /**
+     * 取得機會案件的成交機率 (%)：下單機率設定 > 階段預設機率 > 0
+     * @param {Object} pipeline
+     * @param {Object} opportunity
+     * @param {Array<Object>} probabilityItems - systemConfig['下單機率']
+     * @returns {number}
+     */
+    resolveProbability: (pipeline, opportunity, probabilityItems = []) => {
+        const item = probabilityItems.find(i => i.value === opportunity.orderProbability);
+        const mapped = item ? pipelineHelpers.parseProbabilitySetting(item) : null;
+        if (mapped !== null) return mapped;
+        const stage = pipelineHelpers.getStage(pipeline, opportunity.currentStage);
+        return (stage && stage.probability) || 0;
+    },
+
+    /**
+     * 解析「階段歷程」，回傳曾到達的階段值
+     * 相容三種格式：前端寫入的 "C:01_...,X:02_..." (X 為略過，不列入)、舊版無前綴的 "01_...,02_..."，
+     * 以及新建機會的 JSON 陣列 (字串或 { stage } 物件)。歷程不含時間，停留天數需另由稽核紀錄推算。
+     * @param {string|Array} value
+     * @returns {string[]}
+     */
+    parseStageHistory: (value) => {
+        if (!value) return [];
+        let items = value;
+        if (typeof value === 'string') {
+            const text = value.trim();
+            if (text.startsWith('[')) {
+                try { items = JSON.parse(text); } catch (e) { items = []; }
+            } else {
+                items = text.split(',');
+            }
+        }
+        if (!Array.isArray(items)) return [];
+
+        const reached = [];
+        items.forEach(item => {
+            let stage = typeof item === 'object' && item !== null ? (item.stage || item.value || '') : String(item || '').trim();
+            if (typeof item === 'string' && /^[A-Z]:/.test(stage)) {
+                if (stage.startsWith('X:')) return;
+                stage = stage.slice(2);
+            }
+            if (stage && !reached.includes(stage)) reached.push(stage);
+        });
+        return reached;
+    },
+
+    /**
+     * 取得進入某階段前必須填寫的欄位
+     * 成交與進行中階段須滿足流程中所有不晚於它的進行中階段的要求 (跳階也不能略過關卡)；失敗階段只檢查自身設定。
+     * @returns {string[]}
+     */
+    getRequiredFields: (pipeline, value) => {
+        const target = pipelineHelpers.getStage(pipeline, value);
+        if (!target) return [];
+        if (target.outcome === 'lost') return [...target.requiredFields];
+
+        const fields = new Set(target.requiredFields);
+        pipeline.stages
+            .filter(stage => stage.outcome === 'open' && stage.order <= target.order)
+            .forEach(stage => stage.requiredFields.forEach(field => fields.add(field)));
+        return [...fields];
+    },
+
+    /**
+     * 檢查機會案件的階段變更是否合法，不合法時拋出「階段限制：」錯誤
+     * - 目標階段必須存在於流程中
+     * - 已成交 / 失敗的機會不可直接改到其他階段，需同時將狀態改回「進行中」(重新開啟)
+     * - 更新後的資料必須填妥目標階段要求的欄位
+     * 未變更階段、也未修改目前階段的必填欄位時不檢查 (舊資料不因其他欄位的修改而被擋下)。
+     * @param {Object} pipeline
+     * @param {Object} original - 目前的機會案件 DTO
+     * @param {Object} updateData - 本次更新的欄位
+     */
+    assertTransition: (pipeline, original, updateData) => {
+        const oldStage = original.currentStage;
+        const newStage = updateData.currentStage !== undefined ? updateData.currentStage : oldStage;
+        const stageChanged = newStage !== oldStage;
+
+        if (stageChanged) {
+            if (!pipelineHelpers.getStage(pipeline, newStage)) {
+                throw new Error(`${STAGE_GATE_PREFIX}「${newStage || '(空白)'}」不是銷售流程中的機會階段`);
+            }
+
+            const oldOutcome = pipelineHelpers.getOutcome(pipeline, oldStage);
+            const reopening = updateData.currentStatus === config.CONSTANTS.OPPORTUNITY_STATUS.ACTIVE;
+            if ((oldOutcome === 'won' || oldOutcome === 'lost') && !reopening) {
+                const oldLabel = (pipelineHelpers.getStage(pipeline, oldStage) || {}).label || oldStage;
+                throw new Error(`${STAGE_GATE_PREFIX}機會「${original.opportunityName}」已結案 (${oldLabel})，需先重新開啟才能變更階段`);
+            }
+        }
+
+        const requiredFields = pipelineHelpers.getRequiredFields(pipeline, newStage);
+        if (!stageChanged && !requiredFields.some(field => field in updateData)) return;
+
+        const merged = { ...original, ...updateData };
+        const missing = requiredFields.filter(field => isBlank(merged[field]));
+        if (missing.length > 0) {
+            const stageLabel = pipelineHelpers.getStage(pipeline, newStage).label;
+            const fieldLabels = missing.map(field => FIELD_LABELS[field] || field).join('、');
+            throw new Error(`${STAGE_GATE_PREFIX}「${stageLabel}」階段需先填寫：${fieldLabels}`);
+        }
+    },
+
+    /**
+     * 檢查新建機會案件的初始階段 (手動建立與匯入共用)，視同從無階段進入該階段
+     * 未指定階段時不檢查。
+     * @param {Object} pipeline
+     * @param {Object} data - 新建的機會資料
+     */
+    assertCreate: (pipeline, data) => {
+        if (isBlank(data.currentStage)) return;
+        pipelineHelpers.assertTransition(pipeline, { opportunityName: data.opportunityName }, data);
+    },
+
+    /**
+     * @param {Error} error
+     * @returns {boolean}
+     */
+    isStageGateError: (error) => !!(error && error.message && error.message.startsWith(STAGE_GATE_PREFIX))
+};
+
+module.exports = pipelineHelpers;
@@ -0,0 +1,110 @@
+/**
+ * utils/quote-template.js
+ * 報價單列印範本
+ * * @version 1.0.0
+ * @date 2026-02-12
+ * @description 將報價 DTO (QuoteService._present 的結果) 組成獨立的 HTML 文件 (內嵌樣式、A4 版面)，
+ * 前端可直接開新視窗列印，或交給 html2pdf 轉為 PDF。所有資料值皆經過 HTML 轉義。
+ */
+
+function escapeHtml(value) {
+    if (value === null || value === undefined) return '';
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#039;');
+}
+
+function formatMoney(value) {
+    return (Number(value) || 0).toLocaleString('en-US', { maximumFractionDigits: 2 });
+}
+
+const STYLES = `
+    body { font-family: "Noto Sans TC", "Microsoft JhengHei", sans-serif; color: #1f2937; margin: 0; }
+    .quote-page { width: 190mm; margin: 0 auto; padding: 10mm 0; font-size: 12px; }
+    .quote-header { display: flex; justify-content: space-between; align-items: flex-start; border-bottom: 2px solid #1f2937; padding-bottom: 8px; }
+    .quote-header h1 { margin: 0; font-size: 24px; letter-spacing: 4px; }
+    .quote-company { text-align: right; line-height: 1.6; }
+    .quote-meta { display: grid; grid-template-columns: 1fr 1fr; gap: 4px 24px; margin: 12px 0; line-height: 1.6; }
+    .quote-meta span { color: #6b7280; display: inline-block; min-width: 70px; }
+    table { width: 100%; border-collapse: collapse; margin-top: 8px; }
+    th, td { border: 1px solid #d1d5db; padding: 6px; }
+    th { background: #f3f4f6; }
+    td.num { text-align: right; white-space: nowrap; }
+    .quote-totals { margin-left: auto; width: 45%; margin-top: 8px; }
+    .quote-totals td { border: none; padding: 3px 6px; }
+    .quote-totals tr.grand td { border-top: 2px solid #1f2937; font-weight: 700; font-size: 14px; }
+    .quote-note { margin-top: 16px; white-space: pre-wrap; line-height: 1.6; }
+    .quote-sign { display: flex; justify-content: space-between; margin-top: 40px; }
+    .quote-sign div { width: 40%; border-top: 1px solid #9ca3af; padding-top: 4px; text-align: center; color: #6b7280; }
+    @media print { @page { size: A4; margin: 10mm; } .quote-page { padding: 0; } }
+`;
+
+const quoteTemplate = {
+    /**
+     * @param {Object} params
+     * @param {Object} params.quote - 報價 DTO
+     * @param {Object} params.opportunity - 機會案件 (另含 assigneeName, salesModelName)
+     * @param {Object} params.company - config.QUOTE.COMPANY
+     * @returns {string} 完整 HTML 文件
+     */
+    renderQuoteHtml: ({ quote, opportunity, company }) => {
+        const rows = quote.items.map((item, index) => `
+            <tr>
+                <td class="num">${index + 1}</td>
+                <td>${escapeHtml(item.name)}${item.spec ? `<br><small>${escapeHtml(item.spec)}</small>` : ''}</td>
+                <td class="num">${escapeHtml(item.quantity)} ${escapeHtml(item.unit)}</td>
+                <td class="num">${formatMoney(item.unitPrice)}</td>
+                <td class="num">${item.discount ? `${escapeHtml(item.discount)}%` : '-'}</td>
+                <td class="num">${formatMoney(item.amount)}</td>
+            </tr>`).join('');
+
+        return `<!DOCTYPE html>
+<html lang="zh-Hant">
+<head>
+<meta charset="UTF-8">
+<title>${escapeHtml(quote.quoteNumber)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<div class="quote-page">
+    <div class="quote-header">
+        <h1>報價單</h1>
+        <div class="quote-company">
+            <strong>${escapeHtml(company.NAME)}</strong><br>
+            ${company.ADDRESS ? `${escapeHtml(company.ADDRESS)}<br>` : ''}
+            ${company.PHONE ? `TEL: ${escapeHtml(company.PHONE)}` : ''}
+        </div>
+    </div>
+    <div class="quote-meta">
+        <div><span>客戶</span>${escapeHtml(opportunity.customerCompany)}</div>
+        <div><span>報價單號</span>${escapeHtml(quote.quoteNumber)}</div>
+        <div><span>專案</span>${escapeHtml(opportunity.opportunityName)}</div>
+        <div><span>報價日期</span>${escapeHtml(String(quote.createdTime || '').slice(0, 10))}</div>
+        <div><span>聯絡人</span>${escapeHtml(opportunity.mainContact)}</div>
+        <div><span>有效期限</span>${escapeHtml(quote.validUntil)}</div>
+        <div><span>通路</span>${escapeHtml(opportunity.salesChannel || opportunity.salesModelName)}</div>
+        <div><span>業務</span>${escapeHtml(opportunity.assigneeName)}</div>
+    </div>
+    <table>
+        <thead>
+            <tr><th style="width: 6%;">#</th><th>品名 / 規格</th><th style="width: 12%;">數量</th><th style="width: 14%;">單價</th><th style="width: 9%;">折扣</th><th style="width: 16%;">金額</th></tr>
+        </thead>
+        <tbody>${rows}</tbody>
+    </table>
+    <table class="quote-totals">
+        <tr><td>小計 (未稅)</td><td class="num">${formatMoney(quote.subtotal)}</td></tr>
+        <tr><td>營業稅 (${escapeHtml(quote.taxRate)}%)</td><td class="num">${formatMoney(quote.taxAmount)}</td></tr>
+        <tr class="grand"><td>總計 (TWD)</td><td class="num">${formatMoney(quote.total)}</td></tr>
+    </table>
+    ${quote.note ? `<div class="quote-note"><strong>備註</strong><br>${escapeHtml(quote.note)}</div>` : ''}
+    <div class="quote-sign"><div>報價人</div><div>客戶確認簽章</div></div>
+</div>
+</body>
+</html>`;
+    }
+};
+
+module.exports = quoteTemplate;
@@ -0,0 +1,37 @@
+/**
+ * utils/request-context.js
+ * 請求範圍 (Request-scoped) 的上下文
+ * * @version 1.0.0
+ * @date 2026-02-06
+ * @description 以 AsyncLocalStorage 保存目前請求的前端連線ID (X-Client-Id)，
+ * 讓 Writer 層發出的即時變更事件能標記來源，前端據此略過自己觸發的變更。
+ * 不屬於任何請求的寫入 (例如排程、tools/ 腳本) 取得的值為 null。
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+const CLIENT_ID_HEADER = 'x-client-id';
+
+const requestContext = {
+    CLIENT_ID_HEADER,
+
+    /**
+     * Express middleware：為每個請求建立上下文
+     */
+    middleware(req, res, next) {
+        const clientId = req.headers[CLIENT_ID_HEADER] || null;
+        storage.run({ clientId }, next);
+    },
+
+    /**
+     * @returns {string|null} 目前請求的前端連線ID
+     */
+    getClientId() {
+        const store = storage.getStore();
+        return store ? store.clientId : null;
+    }
+};
+
+module.exports = requestContext;
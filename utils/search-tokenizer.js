@@ -0,0 +1,92 @@
+/**
+ * utils/search-tokenizer.js
+ * 全域搜尋的斷詞
+ * * @version 1.0.0
+ * @date 2026-02-20
+ * @description
+ * 不依賴斷詞字典：
+ * - 先以 NFKC 正規化並轉小寫 (全形英數字轉半形)。
+ * - 中日韓文字以 unigram + bigram 建立索引；查詢時兩字以上只比對 bigram (「台積電」→ 台積、積電)，單字才比對 unigram。
+ * - 英數字以連續字元為一個詞 (email、型號以符號切開)。
+ * - 電話欄位另外建立「只保留數字」的詞，讓 0912345678 可以找到 0912-345-678。
+ */
+
+// 中日韓文字 (漢字、假名、諺文)
+const CJK_PATTERN = '\\p{Script=Han}\\p{Script=Hiragana}\\p{Script=Katakana}\\p{Script=Hangul}';
+const SEGMENT_REGEX = new RegExp(`[${CJK_PATTERN}]+|[^\\s\\p{P}\\p{S}${CJK_PATTERN}]+`, 'gu');
+const CJK_REGEX = new RegExp(`^[${CJK_PATTERN}]`, 'u');
+
+const MIN_DIGIT_TOKEN_LENGTH = 6;
+
+function normalize(text) {
+    if (text === null || text === undefined) return '';
+    return String(text).normalize('NFKC').toLowerCase();
+}
+
+/**
+ * 切出連續的中日韓文字段與英數字段
+ * @returns {Array<{ text: string, cjk: boolean }>}
+ */
+function segment(text) {
+    return (normalize(text).match(SEGMENT_REGEX) || []).map(part => ({ text: part, cjk: CJK_REGEX.test(part) }));
+}
+
+function bigrams(chars) {
+    const result = [];
+    for (let i = 0; i < chars.length - 1; i++) result.push(chars[i] + chars[i + 1]);
+    return result;
+}
+
+/**
+ * 建立索引用的詞 (可重複，呼叫端自行計算詞頻)
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {boolean} [options.digits] - 另外加入只保留數字的詞 (電話)
+ * @returns {string[]}
+ */
+function tokenize(text, { digits = false } = {}) {
+    const tokens = [];
+    segment(text).forEach(({ text: part, cjk }) => {
+        if (!cjk) {
+            tokens.push(part);
+            return;
+        }
+        const chars = Array.from(part);
+        tokens.push(...chars, ...bigrams(chars));
+    });
+
+    if (digits) {
+        const digitsOnly = normalize(text).replace(/\D/g, '');
+        if (digitsOnly.length >= MIN_DIGIT_TOKEN_LENGTH) tokens.push(digitsOnly);
+    }
+    return tokens;
+}
+
+/**
+ * 解析查詢字串：每個詞都必須符合 (AND)
+ * 查詢最後一個英數字詞在使用者仍在輸入時 (結尾不是空白) 以前綴比對
+ * @param {string} query
+ * @returns {Array<{ term: string, prefix: boolean }>}
+ */
+function tokenizeQuery(query) {
+    const raw = String(query || '');
+    const parts = segment(raw);
+    const terms = [];
+
+    parts.forEach(({ text: part, cjk }, index) => {
+        if (!cjk) {
+            const isLast = index === parts.length - 1 && !/\s$/.test(raw);
+            terms.push({ term: part, prefix: isLast });
+            return;
+        }
+        const chars = Array.from(part);
+        const grams = chars.length === 1 ? chars : bigrams(chars);
+        grams.forEach(term => terms.push({ term, prefix: false }));
+    });
+
+    // 重複的詞只需比對一次
+    const seen = new Set();
+    return terms.filter(({ term }) => !seen.has(term) && seen.add(term));
+}
+
+module.exports = { normalize, segment, tokenize, tokenizeQuery };
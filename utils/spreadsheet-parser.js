@@ -0,0 +1,278 @@
+/**
+ * utils/spreadsheet-parser.js
+ * 匯入用的 CSV / XLSX 解析
+ * * @version 1.0.0
+ * @date 2026-02-18
+ * @description
+ * 只依賴 Node 內建模組：
+ * - CSV：支援引號欄位、欄位內換行、UTF-8 (含 BOM) 與 Excel 繁中版預設的 Big5 編碼；分隔符號自動判斷 (逗號 / Tab / 分號)。
+ * - XLSX：以 zlib 解壓 ZIP 內的 XML，只讀取活頁簿中的第一個工作表；儲存格一律回傳文字
+ *   (日期儲存格為 Excel 序號，由呼叫端依欄位轉換，見 excelSerialToDate)。
+ *   只解壓需要的項目 (workbook.xml、rels、sharedStrings 與第一個工作表)，解壓後總大小超過 maxInflatedBytes 即中止 (防止 ZIP 炸彈)。
+ * 回傳 { headers, rows, lines }，第一個非空白列視為標題列，全空白的資料列會被略過；lines 為各資料列在原始檔案中的列號。
+ */
+
+const zlib = require('zlib');
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+// XLSX 解壓後的總大小上限預設值 (呼叫端可由 options.maxInflatedBytes 覆寫)
+const DEFAULT_MAX_INFLATED_BYTES = 50 * 1024 * 1024;
+
+function decodeXml(text) {
+    return String(text).replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+        if (entity[0] === '#') {
+            const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+            return String.fromCodePoint(code);
+        }
+        return XML_ENTITIES[entity.toLowerCase()] ?? match;
+    });
+}
+
+// ==================== CSV ====================
+
+/**
+ * UTF-8 解碼失敗 (不合法的位元組序列) 時改以 Big5 解碼
+ */
+function decodeText(buffer) {
+    try {
+        return new TextDecoder('utf-8', { fatal: true }).decode(buffer).replace(/^\uFEFF/, '');
+    } catch (error) {
+        return new TextDecoder('big5').decode(buffer);
+    }
+}
+
+function detectDelimiter(text) {
+    const firstLine = text.slice(0, text.search(/\r?\n|$/));
+    const counts = [',', '\t', ';'].map(d => [d, firstLine.split(d).length]);
+    return counts.sort((a, b) => b[1] - a[1])[0][0];
+}
+
+function parseCsv(text) {
+    const delimiter = detectDelimiter(text);
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows;
+}
+
+// ==================== XLSX ====================
+
+/**
+ * 讀取 ZIP 中央目錄 (只支援未壓縮與 Deflate)，項目在 read() 時才解壓
+ * @param {Buffer} buffer
+ * @param {number} maxInflatedBytes - 所有 read() 解壓後的總大小上限
+ * @returns {{ names: string[], read: (name: string) => Buffer|null }}
+ */
+function openZip(buffer, maxInflatedBytes) {
+    let eocd = -1;
+    for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 65557); i--) {
+        if (buffer.readUInt32LE(i) === 0x06054b50) {
+            eocd = i;
+            break;
+        }
+    }
+    if (eocd < 0) throw new Error('檔案不是有效的 XLSX (ZIP) 格式');
+
+    const entryCount = buffer.readUInt16LE(eocd + 10);
+    let offset = buffer.readUInt32LE(eocd + 16);
+    const entries = new Map();
+
+    for (let i = 0; i < entryCount; i++) {
+        if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== 0x02014b50) throw new Error('XLSX 中央目錄格式錯誤');
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const extraLength = buffer.readUInt16LE(offset + 30);
+        const commentLength = buffer.readUInt16LE(offset + 32);
+        entries.set(buffer.toString('utf8', offset + 46, offset + 46 + nameLength), {
+            method: buffer.readUInt16LE(offset + 10),
+            compressedSize: buffer.readUInt32LE(offset + 20),
+            size: buffer.readUInt32LE(offset + 24),
+            localOffset: buffer.readUInt32LE(offset + 42)
+        });
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+
+    let inflated = 0;
+    const tooLarge = () => new Error(`XLSX 解壓縮後超過 ${Math.round(maxInflatedBytes / 1024 / 1024)} MB 上限`);
+
+    const read = (name) => {
+        const entry = entries.get(name);
+        if (!entry) return null;
+        const remaining = maxInflatedBytes - inflated;
+        // 中央目錄記錄的大小可能被竄改，解壓時仍以 maxOutputLength 限制
+        if (entry.size > remaining) throw tooLarge();
+
+        const { localOffset } = entry;
+        if (localOffset + 30 > buffer.length || buffer.readUInt32LE(localOffset) !== 0x04034b50) {
+            throw new Error(`XLSX 項目格式錯誤 (${name})`);
+        }
+        const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+        const raw = buffer.subarray(dataStart, dataStart + entry.compressedSize);
+
+        let data;
+        if (entry.method === 0) {
+            data = raw;
+        } else if (entry.method === 8) {
+            try {
+                data = zlib.inflateRawSync(raw, { maxOutputLength: Math.max(1, remaining) });
+            } catch (error) {
+                if (error.code === 'ERR_BUFFER_TOO_LARGE') throw tooLarge();
+                throw new Error(`XLSX 項目無法解壓縮 (${name})`);
+            }
+        } else {
+            throw new Error(`XLSX 項目使用不支援的壓縮方式 (${name})`);
+        }
+
+        inflated += data.length;
+        if (inflated > maxInflatedBytes) throw tooLarge();
+        return data;
+    };
+
+    return { names: [...entries.keys()], read };
+}
+
+function columnIndex(cellRef) {
+    const letters = cellRef.replace(/\d+$/, '');
+    return [...letters].reduce((sum, ch) => sum * 26 + ch.charCodeAt(0) - 64, 0) - 1;
+}
+
+function readText(zip, name) {
+    const data = zip.read(name);
+    return data ? data.toString('utf8') : '';
+}
+
+/**
+ * 取得活頁簿第一個工作表的路徑 (依 workbook.xml 的順序與 rels 對應)
+ */
+function firstSheetPath(zip) {
+    const workbook = readText(zip, 'xl/workbook.xml');
+    const rels = readText(zip, 'xl/_rels/workbook.xml.rels');
+    const sheetTag = workbook.match(/<sheet\b[^>]*>/);
+    const relId = sheetTag && (sheetTag[0].match(/r:id="([^"]+)"/) || [])[1];
+
+    if (relId) {
+        const relTag = [...rels.matchAll(/<Relationship\b[^>]*>/g)].map(m => m[0]).find(tag => tag.includes(`Id="${relId}"`));
+        const target = relTag && (relTag.match(/Target="([^"]+)"/) || [])[1];
+        if (target) {
+            const path = target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+            if (zip.names.includes(path)) return path;
+        }
+    }
+    return zip.names.filter(name => /^xl\/worksheets\/[^/]+\.xml$/.test(name)).sort()[0] || null;
+}
+
+function textOf(xml) {
+    return [...xml.matchAll(/<t\b[^>]*>([\s\S]*?)<\/t>/g)].map(m => decodeXml(m[1])).join('');
+}
+
+/**
+ * @param {Buffer} buffer
+ * @param {Object} [options]
+ * @param {number} [options.maxInflatedBytes] - 解壓後總大小上限
+ * @returns {string[][]}
+ */
+function parseXlsx(buffer, { maxInflatedBytes = DEFAULT_MAX_INFLATED_BYTES } = {}) {
+    const zip = openZip(buffer, maxInflatedBytes);
+    const sheetPath = firstSheetPath(zip);
+    if (!sheetPath) throw new Error('XLSX 中找不到工作表');
+
+    const sharedXml = readText(zip, 'xl/sharedStrings.xml');
+    const sharedStrings = [...sharedXml.matchAll(/<si\b[^>]*>([\s\S]*?)<\/si>/g)].map(m => textOf(m[1]));
+
+    const sheetXml = readText(zip, sheetPath);
+    const rows = [];
+    for (const rowMatch of sheetXml.matchAll(/<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+        const rowNumber = parseInt((rowMatch[1].match(/\br="(\d+)"/) || [])[1], 10) || rows.length + 1;
+        const row = [];
+        for (const cellMatch of (rowMatch[2] || '').matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+            const attrs = cellMatch[1];
+            const inner = cellMatch[2] || '';
+            const ref = (attrs.match(/\br="([A-Z]+\d+)"/) || [])[1];
+            const type = (attrs.match(/\bt="([^"]+)"/) || [])[1] || 'n';
+            const rawValue = (inner.match(/<v>([\s\S]*?)<\/v>/) || [])[1];
+
+            let value = '';
+            if (type === 's') value = sharedStrings[parseInt(rawValue, 10)] ?? '';
+            else if (type === 'inlineStr') value = textOf(inner);
+            else if (type === 'b') value = rawValue === '1' ? 'TRUE' : 'FALSE';
+            else if (rawValue !== undefined) value = decodeXml(rawValue);
+
+            row[ref ? columnIndex(ref) : row.length] = value;
+        }
+        rows[rowNumber - 1] = Array.from(row, v => v ?? '');
+    }
+    return Array.from(rows, r => r || []);
+}
+
+// ==================== 共用 ====================
+
+/**
+ * 依副檔名解析 CSV / XLSX
+ * @param {Object} file - { name, buffer }
+ * @param {Object} [options] - { maxInflatedBytes } (XLSX)
+ * @returns {{ headers: string[], rows: string[][], lines: number[] }}
+ */
+function parseSpreadsheet({ name, buffer }, options = {}) {
+    const ext = String(name || '').toLowerCase().split('.').pop();
+    let table;
+    if (ext === 'xlsx') table = parseXlsx(buffer, options);
+    else if (ext === 'csv' || ext === 'txt') table = parseCsv(decodeText(buffer));
+    else throw new Error(`不支援的檔案格式 .${ext}，請使用 CSV 或 XLSX`);
+
+    const isBlank = (row) => row.every(cell => String(cell ?? '').trim() === '');
+    const nonEmpty = table.map((row, index) => ({ row, line: index + 1 })).filter(({ row }) => !isBlank(row));
+    if (nonEmpty.length === 0) return { headers: [], rows: [], lines: [] };
+
+    const headers = nonEmpty[0].row.map(cell => String(cell ?? '').trim());
+    const data = nonEmpty.slice(1);
+    return {
+        headers,
+        rows: data.map(({ row }) => headers.map((h, i) => String(row[i] ?? '').trim())),
+        // 原始檔案中的列號 (1 起算)，供錯誤訊息對照
+        lines: data.map(({ line }) => line)
+    };
+}
+
+/**
+ * Excel 日期序號 (1900 日期系統) 轉為 YYYY-MM-DD；非序號時回傳 null
+ */
+function excelSerialToDate(value) {
+    const serial = Number(value);
+    if (!/^\d+(\.\d+)?$/.test(String(value)) || serial < 1 || serial > 2958465) return null;
+    const date = new Date(Date.UTC(1899, 11, 30) + Math.floor(serial) * 86400000);
+    return date.toISOString().slice(0, 10);
+}
+
+module.exports = { parseSpreadsheet, parseCsv, parseXlsx, excelSerialToDate };
@@ -0,0 +1,206 @@
+/**
+ * utils/spreadsheet-writer.js
+ * 匯出用的 CSV / XLSX 產生與下載回應
+ * * @version 1.0.0
+ * @date 2026-02-19
+ * @description
+ * spreadsheet-parser.js 的對應：只依賴 Node 內建模組。
+ * - CSV：UTF-8 加 BOM (Excel 繁中版才能正確辨識編碼)，CRLF 換行，必要時加引號。
+ *   以 = + - @ 開頭的文字前加上單引號，避免被試算表當成公式執行 (CSV Injection)。
+ * - XLSX：單一工作表，儲存格以 inlineStr 寫入 (不需 sharedStrings)，標題列為粗體並凍結。
+ * columns 為 [{ key, label, type }]，type 為 'number' 時輸出數值儲存格 (無法轉為數字時仍輸出文字)。
+ */
+
+const zlib = require('zlib');
+
+const CSV_CHUNK_ROWS = 500;
+
+// ==================== CSV ====================
+
+function csvCell(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (/^[=+\-@]/.test(text) && !/^-?\d+(\.\d+)?$/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvLine(cells) {
+    return cells.map(csvCell).join(',') + '\r\n';
+}
+
+// ==================== XLSX ====================
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * 以 Deflate 壓縮產生 ZIP (files: { 檔名: 字串或 Buffer })
+ */
+function zip(files) {
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+
+    Object.entries(files).forEach(([name, content]) => {
+        const data = Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf8');
+        const compressed = zlib.deflateRawSync(data);
+        const nameBuffer = Buffer.from(name, 'utf8');
+        const crc = crc32(data);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4);             // version needed
+        local.writeUInt16LE(0x0800, 6);         // UTF-8 檔名
+        local.writeUInt16LE(8, 8);              // deflate
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(compressed.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(nameBuffer.length, 26);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(20, 4);           // version made by
+        central.writeUInt16LE(20, 6);
+        central.writeUInt16LE(0x0800, 8);
+        central.writeUInt16LE(8, 10);
+        central.writeUInt32LE(crc, 16);
+        central.writeUInt32LE(compressed.length, 20);
+        central.writeUInt32LE(data.length, 24);
+        central.writeUInt16LE(nameBuffer.length, 28);
+        central.writeUInt32LE(offset, 42);
+
+        locals.push(local, nameBuffer, compressed);
+        centrals.push(central, nameBuffer);
+        offset += local.length + nameBuffer.length + compressed.length;
+    });
+
+    const centralSize = centrals.reduce((sum, b) => sum + b.length, 0);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(centrals.length / 2, 8);
+    end.writeUInt16LE(centrals.length / 2, 10);
+    end.writeUInt32LE(centralSize, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...locals, ...centrals, end]);
+}
+
+function escapeXml(value) {
+    return String(value)
+        // XML 1.0 不允許的控制字元
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+        .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function columnName(index) {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        name = String.fromCharCode(65 + (n - 1) % 26) + name;
+    }
+    return name;
+}
+
+function xlsxCell(ref, value, type, style) {
+    const styleAttr = style ? ` s="${style}"` : '';
+    if (value === null || value === undefined || value === '') return '';
+    if (type === 'number') {
+        const number = Number(String(value).replace(/,/g, ''));
+        if (String(value).trim() !== '' && Number.isFinite(number)) return `<c r="${ref}"${styleAttr}><v>${number}</v></c>`;
+    }
+    return `<c r="${ref}"${styleAttr} t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+}
+
+/**
+ * @param {Array<{ key, label, type }>} columns
+ * @param {Array<Object>} rows
+ * @param {Object} [options] - { sheetName }
+ * @returns {Buffer}
+ */
+function toXlsx(columns, rows, { sheetName = 'Sheet1' } = {}) {
+    const header = `<row r="1">${columns.map((col, i) => xlsxCell(`${columnName(i)}1`, col.label, 'string', 1)).join('')}</row>`;
+    const body = rows.map((row, r) => {
+        const cells = columns.map((col, i) => xlsxCell(`${columnName(i)}${r + 2}`, row[col.key], col.type)).join('');
+        return `<row r="${r + 2}">${cells}</row>`;
+    }).join('');
+    // 工作表名稱不可含 []:*?/\ 且最長 31 字
+    const safeSheetName = escapeXml(String(sheetName).replace(/[[\]:*?/\\]/g, '').slice(0, 31) || 'Sheet1');
+
+    return zip({
+        '[Content_Types].xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+            + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+            + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+            + '<Default Extension="xml" ContentType="application/xml"/>'
+            + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+            + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+            + '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+            + '</Types>',
+        '_rels/.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+            + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+            + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+            + '</Relationships>',
+        'xl/workbook.xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+            + '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+            + `<sheets><sheet name="${safeSheetName}" sheetId="1" r:id="rId1"/></sheets>`
+            + '</workbook>',
+        'xl/_rels/workbook.xml.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+            + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+            + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>'
+            + '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>'
+            + '</Relationships>',
+        'xl/styles.xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+            + '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+            + '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>'
+            + '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>'
+            + '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+            + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+            + '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>'
+            + '</styleSheet>',
+        'xl/worksheets/sheet1.xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+            + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+            + '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>'
+            + `<sheetData>${header}${body}</sheetData>`
+            + '</worksheet>'
+    });
+}
+
+// ==================== 下載回應 ====================
+
+/**
+ * 以附件回應 CSV / XLSX；CSV 分段寫出，不需先組成完整字串
+ * @param {Object} res - Express response
+ * @param {Object} file - { fileName (不含副檔名), format: 'csv' | 'xlsx', columns, rows, sheetName }
+ */
+function sendSpreadsheet(res, { fileName, format, columns, rows, sheetName }) {
+    const fullName = `${fileName}.${format}`;
+    // filename 為 ASCII 後備名稱，filename* 為 UTF-8 中文檔名 (RFC 5987)
+    const asciiName = /[^\x20-\x7e]/.test(fullName)
+        ? `export${fullName.replace(/[^\x20-\x7e]/g, '')}`
+        : fullName;
+    res.setHeader('Content-Disposition', `attachment; filename="${asciiName}"; filename*=UTF-8''${encodeURIComponent(fullName)}`);
+    res.setHeader('Cache-Control', 'no-store');
+
+    if (format === 'xlsx') {
+        res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+        res.end(toXlsx(columns, rows, { sheetName }));
+        return;
+    }
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.write('\uFEFF' + csvLine(columns.map(col => col.label)));
+    for (let start = 0; start < rows.length; start += CSV_CHUNK_ROWS) {
+        res.write(rows.slice(start, start + CSV_CHUNK_ROWS)
+            .map(row => csvLine(columns.map(col => row[col.key])))
+            .join(''));
+    }
+    res.end();
+}
+
+module.exports = { sendSpreadsheet, toXlsx, csvLine };
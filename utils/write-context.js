@@ -0,0 +1,106 @@
+/**
+ * utils/write-context.js
+ * 寫入範圍 (Write-scoped) 的共用讀取
+ * * @version 1.0.0
+ * @date 2026-02-21
+ * @description 稽核、即時推播與自動化都掛載在同一個 Writer 方法外層，寫入前各自需要異動前的資料。
+ * 最外層的掛載以 run() 建立寫入範圍，範圍內以 shared() 包裝的讀取函式只執行一次，其餘掛載沿用同一份結果。
+ * 範圍只涵蓋同一次 Writer 呼叫 (同一個 Writer、方法與第一個參數)，寫入結束即失效；
+ * 寫入後的讀取 (推播監聽器、自動化) 與範圍內發生的其他寫入都會重新讀取，不會取得異動前的資料。
+ * 批次作業 (例如匯入) 以 bulk() 執行時，各次寫入的寫入後處理改以 afterBulk() 登記，作業結束後合併執行一次，
+ * 避免每寫入一筆就重新讀取整張工作表。
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+function isSameCall(store, writer, method, key) {
+    return store.active && store.writer === writer && store.method === method && store.key === key;
+}
+
+const writeContext = {
+    /**
+     * 在寫入範圍內執行 (同一次 Writer 呼叫的內層掛載沿用外層範圍)
+     * @param {Object} writer
+     * @param {string} method
+     * @param {*} key - Writer 方法的第一個參數 (rowIndex / ID / 批次陣列)
+     * @param {Function} task
+     */
+    run(writer, method, key, task) {
+        const current = storage.getStore();
+        if (current && isSameCall(current, writer, method, key)) return task();
+
+        const store = { writer, method, key, active: true, loads: new Map(), bulk: current ? current.bulk : null };
+        return storage.run(store, async () => {
+            try {
+                return await task();
+            } finally {
+                store.active = false;
+            }
+        });
+    },
+
+    /**
+     * 包裝讀取函式：寫入範圍內只讀取一次，範圍外每次皆直接讀取
+     * @param {Function} loader - () => Promise<Array<object>>
+     * @returns {Function}
+     */
+    shared(loader) {
+        return () => {
+            const store = storage.getStore();
+            if (!store || !store.active) return loader();
+            if (!store.loads.has(loader)) {
+                const pending = loader();
+                // 讀取失敗時不保留，下一個掛載重新讀取
+                pending.catch(() => store.loads.delete(loader));
+                store.loads.set(loader, pending);
+            }
+            return store.loads.get(loader);
+        };
+    },
+
+    /**
+     * 在批次作業範圍內執行，結束後 (含失敗) 依序執行範圍內登記的寫入後處理
+     * @param {Function} task
+     */
+    async bulk(task) {
+        const bulk = new Map();
+        try {
+            return await storage.run({ active: false, loads: new Map(), bulk }, task);
+        } finally {
+            for (const [key, { items, flush }] of bulk) {
+                try {
+                    await flush(items);
+                } catch (error) {
+                    console.warn(`⚠️ [WriteContext] 批次寫入後處理失敗 (${key}): ${error.message}`);
+                }
+            }
+        }
+    },
+
+    /**
+     * 登記寫入後處理：批次作業範圍內，同一 key 的項目於作業結束後一併交給 flush
+     * @param {string} key
+     * @param {*} item
+     * @param {Function} flush - (items) => Promise
+     * @returns {boolean} false 表示不在批次作業範圍內 (呼叫端應立即處理)
+     */
+    afterBulk(key, item, flush) {
+        const store = storage.getStore();
+        if (!store || !store.bulk) return false;
+        if (!store.bulk.has(key)) store.bulk.set(key, { items: [], flush });
+        store.bulk.get(key).items.push(item);
+        return true;
+    },
+
+    /**
+     * 在寫入範圍外執行 (寫入後需要最新資料的讀取)
+     * @param {Function} task
+     */
+    outside(task) {
+        return storage.exit(task);
+    }
+};
+
+module.exports = writeContext;